@@ -39,6 +39,8 @@ export const AUDIT_ACTIONS = {
   REGISTRATION_DELETED: "registration.deleted",
   REGISTRATION_LOOKUP: "registration.lookup",
   REGISTRATION_VERIFIED: "registration.verified",
+  REGISTRATION_DRAFT_RESUMED: "registration.draft_resumed",
+  REGISTRATION_EMAIL_RESENT: "registration.email_resent",
 
   // Payment operations
   PAYMENT_SUBMITTED: "payment.submitted",
@@ -63,6 +65,15 @@ export const AUDIT_ACTIONS = {
   CHECKIN_PERFORMED: "checkin.performed",
   CHECKIN_REVERTED: "checkin.reverted",
 
+  // Certificate operations
+  CERTIFICATE_SENT: "certificate.sent",
+
+  // Session rating operations
+  SPEAKER_SUMMARY_SENT: "speaker.summary_sent",
+
+  // Email campaign operations
+  CAMPAIGN_SENT: "campaign.sent",
+
   // System operations
   SETTINGS_UPDATED: "settings.updated",
   RATE_LIMIT_EXCEEDED: "system.rate_limit",
@@ -0,0 +1,40 @@
+/**
+ * Bank Statement Module Tests
+ * Tests for splitting long PDF statements into Vision API page batches
+ */
+
+import {
+  STATEMENT_MAX_PAGES,
+  getFirstStatementPageBatch,
+  getRemainingStatementPageBatches,
+} from "./bankStatement";
+
+describe("bankStatement", () => {
+  describe("getFirstStatementPageBatch", () => {
+    it("requests the first five pages", () => {
+      expect(getFirstStatementPageBatch()).toEqual([1, 2, 3, 4, 5]);
+    });
+  });
+
+  describe("getRemainingStatementPageBatches", () => {
+    it("needs no more requests for short statements", () => {
+      expect(getRemainingStatementPageBatches(3)).toEqual([]);
+      expect(getRemainingStatementPageBatches(5)).toEqual([]);
+    });
+
+    it("requests the remaining pages five at a time", () => {
+      expect(getRemainingStatementPageBatches(12)).toEqual([
+        [6, 7, 8, 9, 10],
+        [11, 12],
+      ]);
+    });
+
+    it("stops at the page limit", () => {
+      const batches = getRemainingStatementPageBatches(80);
+
+      expect(batches).toHaveLength(STATEMENT_MAX_PAGES / 5 - 1);
+      expect(batches[batches.length - 1]).toEqual([26, 27, 28, 29, 30]);
+      expect(getRemainingStatementPageBatches(80, 8)).toEqual([[6, 7, 8]]);
+    });
+  });
+});
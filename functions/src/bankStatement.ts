@@ -0,0 +1,50 @@
+/**
+ * Bank Statement Module
+ *
+ * Page batching for extractBankStatementText. The Vision API annotates at
+ * most 5 pages of a PDF per synchronous request, so longer statements are
+ * read in several requests, up to a page limit that fits in the function's
+ * timeout.
+ *
+ * @module functions/bankStatement
+ */
+
+/**
+ * PDF pages the Vision API annotates in one synchronous request
+ */
+export const STATEMENT_PAGES_PER_REQUEST = 5;
+
+/**
+ * Most PDF pages read from one statement
+ */
+export const STATEMENT_MAX_PAGES = 30;
+
+/**
+ * Gets the page numbers to request after the first batch, in batches the
+ * Vision API accepts
+ *
+ * @param {number} totalPages - Pages in the PDF
+ * @param {number} [maxPages] - Most pages to read
+ * @return {Array<Array<number>>} 1-based page numbers per request, excluding the first batch
+ */
+export function getRemainingStatementPageBatches(
+  totalPages: number,
+  maxPages: number = STATEMENT_MAX_PAGES
+): number[][] {
+  const lastPage = Math.min(totalPages, maxPages);
+  const batches: number[][] = [];
+  for (let firstPage = STATEMENT_PAGES_PER_REQUEST + 1; firstPage <= lastPage; firstPage += STATEMENT_PAGES_PER_REQUEST) {
+    const batchSize = Math.min(STATEMENT_PAGES_PER_REQUEST, lastPage - firstPage + 1);
+    batches.push(Array.from({length: batchSize}, (_, i) => firstPage + i));
+  }
+  return batches;
+}
+
+/**
+ * Gets the page numbers of the first request
+ *
+ * @return {number[]} Pages 1 to STATEMENT_PAGES_PER_REQUEST
+ */
+export function getFirstStatementPageBatch(): number[] {
+  return Array.from({length: STATEMENT_PAGES_PER_REQUEST}, (_, i) => i + 1);
+}
@@ -0,0 +1,159 @@
+/**
+ * Campaigns Module Tests
+ * Tests for campaign segments, claiming stuck sends and planning retries
+ */
+
+import {
+  CAMPAIGN_DELIVERY_STATUS,
+  CAMPAIGN_STATUS,
+  canClaimCampaign,
+  getCampaignDeliveryId,
+  getCampaignQueryStatuses,
+  isCampaignSendStale,
+  planCampaignDeliveries,
+  resolveCampaignRecipients,
+} from "./campaigns";
+
+describe("campaigns", () => {
+  const now = new Date("2026-03-20T10:00:00Z");
+  const minutesAgo = (minutes: number) => new Date(now.getTime() - minutes * 60 * 1000);
+
+  const registrations = [
+    {
+      id: "doc-1",
+      registrationId: "REG-001",
+      status: "confirmed",
+      church: {name: "Grace Church"},
+      primaryAttendee: {
+        firstName: "Juan",
+        email: "Juan@Example.com ",
+        category: "regular",
+        workshopSelections: [{sessionId: "ws-a"}],
+      },
+      additionalAttendees: [
+        {firstName: "Maria", email: "maria@example.com", category: "student", foodChoice: "fish"},
+        {firstName: "Pedro", category: "regular"},
+      ],
+      attendeeCheckIns: [{checkedIn: true}, {checkedIn: false}, {checkedIn: false}],
+    },
+    {
+      id: "doc-2",
+      registrationId: "REG-002",
+      status: "pending_payment",
+      church: "Hope Church",
+      primaryAttendee: {firstName: "Ana", email: "ana@example.com", category: "regular"},
+      checkedIn: true,
+    },
+  ];
+
+  describe("isCampaignSendStale", () => {
+    it("treats sends older than 15 minutes as stuck", () => {
+      expect(isCampaignSendStale(minutesAgo(14), now)).toBe(false);
+      expect(isCampaignSendStale(minutesAgo(15), now)).toBe(true);
+    });
+
+    it("treats sends without a start time as stuck", () => {
+      expect(isCampaignSendStale(null, now)).toBe(true);
+    });
+  });
+
+  describe("canClaimCampaign", () => {
+    const allowed = [CAMPAIGN_STATUS.DRAFT, CAMPAIGN_STATUS.FAILED];
+
+    it("claims campaigns in the allowed statuses", () => {
+      expect(canClaimCampaign({status: CAMPAIGN_STATUS.DRAFT}, allowed, now)).toBe(true);
+      expect(canClaimCampaign({status: CAMPAIGN_STATUS.SENT}, allowed, now)).toBe(false);
+      expect(canClaimCampaign(undefined, allowed, now)).toBe(false);
+    });
+
+    it("reclaims a campaign stuck sending, but not one still sending", () => {
+      expect(canClaimCampaign({status: CAMPAIGN_STATUS.SENDING, sendStartedAt: minutesAgo(30)}, allowed, now))
+        .toBe(true);
+      expect(canClaimCampaign({status: CAMPAIGN_STATUS.SENDING, sendStartedAt: minutesAgo(5)}, allowed, now))
+        .toBe(false);
+    });
+  });
+
+  describe("getCampaignQueryStatuses", () => {
+    it("queries the segment's statuses", () => {
+      expect(getCampaignQueryStatuses({statuses: ["confirmed"]})).toEqual(["confirmed"]);
+    });
+
+    it("queries every status for segments without statuses", () => {
+      expect(getCampaignQueryStatuses({})).toBeNull();
+      expect(getCampaignQueryStatuses({statuses: []})).toBeNull();
+    });
+  });
+
+  describe("resolveCampaignRecipients", () => {
+    it("emails each attendee once, at their own address or the primary's", () => {
+      const recipients = resolveCampaignRecipients(registrations, {});
+
+      expect(recipients.map((recipient) => recipient.email)).toEqual([
+        "juan@example.com",
+        "maria@example.com",
+        "ana@example.com",
+      ]);
+      expect(recipients[0]).toMatchObject({firstName: "Juan", registrationId: "REG-001"});
+    });
+
+    it("filters by status, church, category and food choice", () => {
+      expect(resolveCampaignRecipients(registrations, {statuses: ["pending_payment"]})
+        .map((recipient) => recipient.email)).toEqual(["ana@example.com"]);
+      expect(resolveCampaignRecipients(registrations, {churches: ["Hope Church"]})
+        .map((recipient) => recipient.email)).toEqual(["ana@example.com"]);
+      expect(resolveCampaignRecipients(registrations, {categories: ["student"]})
+        .map((recipient) => recipient.email)).toEqual(["maria@example.com"]);
+      expect(resolveCampaignRecipients(registrations, {foodChoices: ["fish"]})
+        .map((recipient) => recipient.email)).toEqual(["maria@example.com"]);
+    });
+
+    it("filters by workshop and check-in", () => {
+      expect(resolveCampaignRecipients(registrations, {workshopIds: ["ws-a"]})
+        .map((recipient) => recipient.email)).toEqual(["juan@example.com"]);
+      expect(resolveCampaignRecipients(registrations, {checkIn: "not_checked_in"})
+        .map((recipient) => recipient.email)).toEqual(["maria@example.com", "juan@example.com"]);
+    });
+  });
+
+  describe("planCampaignDeliveries", () => {
+    const recipients = resolveCampaignRecipients(registrations, {});
+    const statusesFor = (entries: [string, string][]) => new Map(
+      entries.map(([email, status]) => [getCampaignDeliveryId(email), status])
+    );
+
+    it("emails everyone on the first attempt", () => {
+      const plan = planCampaignDeliveries(recipients, new Map());
+      expect(plan.pending).toHaveLength(3);
+      expect(plan.sentCount).toBe(0);
+      expect(plan.unconfirmed).toEqual([]);
+    });
+
+    it("does not email recipients who were sent to again", () => {
+      const plan = planCampaignDeliveries(recipients, statusesFor([
+        ["juan@example.com", CAMPAIGN_DELIVERY_STATUS.SENT],
+        ["maria@example.com", CAMPAIGN_DELIVERY_STATUS.FAILED],
+      ]));
+
+      expect(plan.sentCount).toBe(1);
+      expect(plan.pending.map((recipient) => recipient.email)).toEqual(["maria@example.com", "ana@example.com"]);
+    });
+
+    it("does not email recipients whose send may have gone out", () => {
+      const plan = planCampaignDeliveries(recipients, statusesFor([
+        ["juan@example.com", CAMPAIGN_DELIVERY_STATUS.SENDING],
+        ["ana@example.com", CAMPAIGN_DELIVERY_STATUS.UNCONFIRMED],
+      ]));
+
+      expect(plan.unconfirmed.map((recipient) => recipient.email)).toEqual(["juan@example.com", "ana@example.com"]);
+      expect(plan.pending.map((recipient) => recipient.email)).toEqual(["maria@example.com"]);
+    });
+
+    it("retries recipients who were skipped", () => {
+      const plan = planCampaignDeliveries(recipients, statusesFor([
+        ["ana@example.com", CAMPAIGN_DELIVERY_STATUS.SKIPPED],
+      ]));
+      expect(plan.pending).toHaveLength(3);
+    });
+  });
+});
@@ -0,0 +1,255 @@
+/**
+ * Campaigns Module
+ *
+ * Rules for sending email campaigns, shared with sendEmailCampaign and
+ * sendScheduledEmailCampaigns: who a segment reaches, when a campaign may be
+ * claimed for sending, and which recipients a retry may still email.
+ *
+ * @module functions/campaigns
+ */
+
+import {createHash} from "crypto";
+
+/**
+ * Email campaign status values (mirrors CAMPAIGN_STATUS on the frontend)
+ */
+export const CAMPAIGN_STATUS = {
+  DRAFT: "draft",
+  SCHEDULED: "scheduled",
+  SENDING: "sending",
+  SENT: "sent",
+  FAILED: "failed",
+} as const;
+
+/**
+ * Per-recipient delivery status values (mirrors CAMPAIGN_DELIVERY_STATUS on
+ * the frontend). A delivery is marked sending before its email goes out;
+ * one still sending when a stuck campaign is retried may or may not have
+ * been emailed, so it is marked unconfirmed and not emailed again.
+ */
+export const CAMPAIGN_DELIVERY_STATUS = {
+  SENDING: "sending",
+  SENT: "sent",
+  FAILED: "failed",
+  SKIPPED: "skipped",
+  UNCONFIRMED: "unconfirmed",
+} as const;
+
+/**
+ * Minutes after which a campaign still marked sending is treated as stuck
+ * and may be claimed again. Longer than the 540-second function timeout,
+ * so a send that is still running is never claimed twice.
+ */
+export const CAMPAIGN_SEND_STALE_MINUTES = 15;
+
+/**
+ * Most values Firestore accepts in an "in" filter
+ */
+const MAX_IN_FILTER_VALUES = 30;
+
+/**
+ * Attendee filters of a campaign segment. Empty lists match everyone.
+ */
+export interface CampaignSegment {
+  statuses?: string[];
+  categories?: string[];
+  churches?: string[];
+  workshopIds?: string[];
+  foodChoices?: string[];
+  checkIn?: "any" | "checked_in" | "not_checked_in";
+}
+
+/**
+ * A resolved campaign recipient
+ */
+export interface CampaignRecipient {
+  email: string;
+  firstName: string;
+  registrationId: string;
+  registration: FirebaseFirestore.DocumentData;
+}
+
+/**
+ * Recipients of a campaign attempt, split by what earlier attempts did
+ */
+export interface CampaignDeliveryPlan {
+  pending: CampaignRecipient[];
+  sentCount: number;
+  unconfirmed: CampaignRecipient[];
+}
+
+/**
+ * Checks whether a send that started at sendStartedAt is stuck
+ *
+ * @param {Date|null|undefined} sendStartedAt - When the send was claimed
+ * @param {Date} [now] - Current time
+ * @return {boolean} True when the send is older than the stale threshold
+ */
+export function isCampaignSendStale(
+  sendStartedAt: Date | null | undefined,
+  now: Date = new Date()
+): boolean {
+  if (!sendStartedAt) return true;
+  return now.getTime() - sendStartedAt.getTime() >= CAMPAIGN_SEND_STALE_MINUTES * 60 * 1000;
+}
+
+/**
+ * Checks whether a campaign may be claimed for sending: it is in one of the
+ * allowed statuses, or stuck sending
+ *
+ * @param {Object} campaign - Campaign status and send start time
+ * @param {string[]} allowedStatuses - Statuses the campaign may be sent from
+ * @param {Date} [now] - Current time
+ * @return {boolean} True when the campaign can be claimed
+ */
+export function canClaimCampaign(
+  campaign: {status?: string; sendStartedAt?: Date | null} | undefined,
+  allowedStatuses: string[],
+  now: Date = new Date()
+): boolean {
+  if (!campaign?.status) return false;
+  if (allowedStatuses.includes(campaign.status)) return true;
+  return campaign.status === CAMPAIGN_STATUS.SENDING && isCampaignSendStale(campaign.sendStartedAt, now);
+}
+
+/**
+ * Gets the registration statuses to query for a segment, or null to query
+ * every status
+ *
+ * @param {CampaignSegment} segment - Segment filters
+ * @return {string[]|null} Statuses for an "in" filter
+ */
+export function getCampaignQueryStatuses(segment: CampaignSegment): string[] | null {
+  const statuses = segment.statuses || [];
+  return statuses.length > 0 && statuses.length <= MAX_IN_FILTER_VALUES ? statuses : null;
+}
+
+/**
+ * Gets a registration's church name (church is an object or a legacy string)
+ *
+ * @param {FirebaseFirestore.DocumentData} registration - Registration data
+ * @return {string} Church name
+ */
+export function getCampaignChurchName(registration: FirebaseFirestore.DocumentData): string {
+  if (registration.church && typeof registration.church === "object") {
+    return registration.church.name || "";
+  }
+  if (typeof registration.church === "string") {
+    return registration.church;
+  }
+  return registration.primaryAttendee?.church || "";
+}
+
+/**
+ * Checks whether an attendee is checked in, with per-attendee tracking
+ * or the legacy registration-level flag
+ *
+ * @param {FirebaseFirestore.DocumentData} registration - Registration data
+ * @param {number} attendeeIndex - Attendee index (0 for primary)
+ * @return {boolean} True when checked in
+ */
+function isCampaignAttendeeCheckedIn(
+  registration: FirebaseFirestore.DocumentData,
+  attendeeIndex: number
+): boolean {
+  if (Array.isArray(registration.attendeeCheckIns)) {
+    return registration.attendeeCheckIns[attendeeIndex]?.checkedIn === true;
+  }
+  return registration.checkedIn === true;
+}
+
+/**
+ * Resolves the recipients of a campaign segment (mirrors
+ * getCampaignRecipients on the frontend). Each matching attendee is emailed
+ * at their own address, falling back to the primary attendee's, and each
+ * address is emailed once.
+ *
+ * @param {FirebaseFirestore.DocumentData[]} registrations - Registrations with id
+ * @param {CampaignSegment} segment - Segment filters
+ * @return {CampaignRecipient[]} Recipients
+ */
+export function resolveCampaignRecipients(
+  registrations: FirebaseFirestore.DocumentData[],
+  segment: CampaignSegment
+): CampaignRecipient[] {
+  const {
+    statuses = [],
+    categories = [],
+    churches = [],
+    workshopIds = [],
+    foodChoices = [],
+    checkIn = "any",
+  } = segment;
+  const recipients = new Map<string, CampaignRecipient>();
+
+  registrations
+    .filter((registration) => !statuses.length || statuses.includes(registration.status))
+    .filter((registration) => !churches.length || churches.includes(getCampaignChurchName(registration)))
+    .forEach((registration) => {
+      const attendees = [registration.primaryAttendee, ...(registration.additionalAttendees || [])];
+      attendees.forEach((attendee, attendeeIndex) => {
+        if (!attendee) return;
+        const attendeeWorkshops = (attendee.workshopSelections || [])
+          .map((selection: {sessionId?: string}) => selection.sessionId);
+        const checkedIn = isCampaignAttendeeCheckedIn(registration, attendeeIndex);
+        const matches =
+          (!categories.length || categories.includes(attendee.category)) &&
+          (!foodChoices.length || foodChoices.includes(attendee.foodChoice)) &&
+          (!workshopIds.length || workshopIds.some((id) => attendeeWorkshops.includes(id))) &&
+          (checkIn === "any" || (checkIn === "checked_in") === checkedIn);
+        if (!matches) return;
+
+        const email = (attendee.email || registration.primaryAttendee?.email || "").trim().toLowerCase();
+        if (!email || recipients.has(email)) return;
+        recipients.set(email, {
+          email,
+          firstName: (attendee.email ? attendee.firstName : registration.primaryAttendee?.firstName) || "",
+          registrationId: registration.registrationId || registration.id,
+          registration,
+        });
+      });
+    });
+
+  return [...recipients.values()];
+}
+
+/**
+ * Delivery document ID for a recipient, so a retried campaign finds the
+ * recipient's delivery from the earlier attempt
+ *
+ * @param {string} email - Recipient email
+ * @return {string} Delivery document ID
+ */
+export function getCampaignDeliveryId(email: string): string {
+  return createHash("sha256").update(email).digest("hex").slice(0, 32);
+}
+
+/**
+ * Splits a campaign's recipients by their delivery from earlier attempts.
+ * Recipients already sent to are counted but not emailed again; those left
+ * sending by an attempt that stopped are unconfirmed and not emailed again
+ * either; everyone else (new, failed or skipped) is pending.
+ *
+ * @param {CampaignRecipient[]} recipients - Resolved recipients
+ * @param {Map<string, string>} deliveryStatuses - Delivery status by delivery ID
+ * @return {CampaignDeliveryPlan} Recipients to email and to leave alone
+ */
+export function planCampaignDeliveries(
+  recipients: CampaignRecipient[],
+  deliveryStatuses: Map<string, string>
+): CampaignDeliveryPlan {
+  const plan: CampaignDeliveryPlan = {pending: [], sentCount: 0, unconfirmed: []};
+
+  recipients.forEach((recipient) => {
+    const status = deliveryStatuses.get(getCampaignDeliveryId(recipient.email));
+    if (status === CAMPAIGN_DELIVERY_STATUS.SENT) {
+      plan.sentCount += 1;
+    } else if (status === CAMPAIGN_DELIVERY_STATUS.SENDING || status === CAMPAIGN_DELIVERY_STATUS.UNCONFIRMED) {
+      plan.unconfirmed.push(recipient);
+    } else {
+      plan.pending.push(recipient);
+    }
+  });
+
+  return plan;
+}
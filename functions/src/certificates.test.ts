@@ -0,0 +1,84 @@
+/**
+ * Certificates Module Tests
+ * Tests for grouping issued certificates into certificate emails
+ */
+
+import {getStorageFilePath, groupCertificateRecipients} from "./certificates";
+
+describe("certificates", () => {
+  const url = (name: string) =>
+    `https://firebasestorage.googleapis.com/v0/b/app/o/certificates%2Freg-1%2F${name}.pdf?alt=media&token=abc`;
+
+  describe("groupCertificateRecipients", () => {
+    const registration = {
+      primaryAttendee: {firstName: "Juan", lastName: "Cruz", email: "juan@example.com"},
+      additionalAttendees: [
+        {firstName: "Maria", lastName: "Cruz", email: "maria@example.com"},
+        {firstName: "Ana", lastName: "Cruz"},
+      ],
+    };
+
+    it("sends each certificate to the attendee's own email", () => {
+      const recipients = groupCertificateRecipients({
+        ...registration,
+        certificates: {"0": {url: url("0")}, "1": {url: url("1")}},
+      });
+
+      expect(recipients.size).toBe(2);
+      expect(recipients.get("maria@example.com")).toEqual({
+        firstName: "Maria",
+        attendees: [{index: "1", name: "Maria Cruz", url: url("1")}],
+      });
+    });
+
+    it("sends certificates of attendees without an email to the primary attendee", () => {
+      const recipients = groupCertificateRecipients({
+        ...registration,
+        certificates: {"0": {url: url("0")}, "2": {url: url("2")}},
+      });
+
+      expect(recipients.size).toBe(1);
+      expect(recipients.get("juan@example.com")).toEqual({
+        firstName: "Juan",
+        attendees: [
+          {index: "0", name: "Juan Cruz", url: url("0")},
+          {index: "2", name: "Ana Cruz", url: url("2")},
+        ],
+      });
+    });
+
+    it("greets the primary attendee when the first certificate is for an attendee without an email", () => {
+      const recipients = groupCertificateRecipients({
+        ...registration,
+        certificates: {"2": {url: url("2")}},
+      });
+
+      expect(recipients.get("juan@example.com")?.firstName).toBe("Juan");
+    });
+
+    it("skips certificates without a file or attendee", () => {
+      const recipients = groupCertificateRecipients({
+        ...registration,
+        certificates: {"1": {issuedAt: "2026-03-01"}, "7": {url: url("7")}},
+      });
+
+      expect(recipients.size).toBe(0);
+      expect(groupCertificateRecipients({primaryAttendee: {firstName: "Juan"}}).size).toBe(0);
+    });
+
+    it("skips certificates with no email to send to", () => {
+      const recipients = groupCertificateRecipients({
+        primaryAttendee: {firstName: "Juan"},
+        certificates: {"0": {url: url("0")}},
+      });
+
+      expect(recipients.size).toBe(0);
+    });
+  });
+
+  describe("getStorageFilePath", () => {
+    it("decodes the file path from a download URL", () => {
+      expect(getStorageFilePath(url("0"))).toBe("certificates/reg-1/0.pdf");
+    });
+  });
+});
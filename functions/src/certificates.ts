@@ -0,0 +1,102 @@
+/**
+ * Certificates Module
+ *
+ * Groups the certificates of attendance issued on a registration by the
+ * address they are emailed to, for sendCertificateEmails. Certificates are
+ * generated and uploaded by admins in the web app and stored on the
+ * registration under certificates.{attendeeIndex}.
+ *
+ * @module functions/certificates
+ */
+
+/**
+ * Maximum registrations accepted per sendCertificateEmails call
+ */
+export const CERTIFICATE_EMAIL_BATCH_LIMIT = 20;
+
+/**
+ * Issued certificate stored on a registration under certificates.{index}
+ */
+export interface IssuedCertificate {
+  url?: string;
+  issuedAt?: unknown;
+  emailedAt?: unknown;
+}
+
+/**
+ * Attendee fields used to address certificate emails
+ */
+interface CertificateAttendee {
+  firstName?: string;
+  lastName?: string;
+  email?: string;
+}
+
+/**
+ * Registration fields used to address certificate emails
+ */
+export interface CertificateRegistration {
+  primaryAttendee?: CertificateAttendee;
+  additionalAttendees?: CertificateAttendee[];
+  certificates?: Record<string, IssuedCertificate>;
+}
+
+/**
+ * Certificates grouped for a single email recipient
+ */
+export interface CertificateRecipient {
+  firstName: string;
+  attendees: Array<{index: string; name: string; url: string}>;
+}
+
+/**
+ * Groups a registration's issued certificates by the email they will be
+ * sent to. Each attendee's certificate goes to their own email, falling back
+ * to the primary attendee's email, so one message is sent per recipient.
+ *
+ * @param {CertificateRegistration} registration - Registration data
+ * @return {Map<string, CertificateRecipient>} Recipients keyed by email
+ */
+export function groupCertificateRecipients(
+  registration: CertificateRegistration
+): Map<string, CertificateRecipient> {
+  const attendees = [
+    registration.primaryAttendee,
+    ...(registration.additionalAttendees || []),
+  ];
+  const primaryEmail = registration.primaryAttendee?.email;
+  const recipients = new Map<string, CertificateRecipient>();
+
+  Object.entries(registration.certificates || {}).forEach(([index, certificate]) => {
+    const attendee = attendees[Number(index)];
+    if (!attendee || !certificate?.url) return;
+
+    const email = attendee.email || primaryEmail;
+    if (!email) return;
+
+    const recipient: CertificateRecipient = recipients.get(email) || {
+      firstName: (attendee.email ?
+        attendee.firstName :
+        registration.primaryAttendee?.firstName) || "",
+      attendees: [],
+    };
+    recipient.attendees.push({
+      index,
+      name: `${attendee.firstName || ""} ${attendee.lastName || ""}`.trim(),
+      url: certificate.url,
+    });
+    recipients.set(email, recipient);
+  });
+
+  return recipients;
+}
+
+/**
+ * Gets the Storage file path from a Firebase Storage download URL
+ *
+ * @param {string} url - Download URL (https://.../o/{encoded path}?alt=media&token=...)
+ * @return {string} File path in the bucket
+ */
+export function getStorageFilePath(url: string): string {
+  return decodeURIComponent(url.split("/o/")[1].split("?")[0]);
+}
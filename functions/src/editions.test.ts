@@ -0,0 +1,67 @@
+/**
+ * Editions Module Tests
+ * Tests for edition IDs and names, per-edition documents and the
+ * conferenceId backfill
+ */
+
+import {
+  CONFERENCE_SHORT_NAME,
+  DEFAULT_EDITION_ID,
+  SETTINGS_DOC_ID,
+  STATS_DOC_ID,
+  getConferenceName,
+  getEditionSettingsDocId,
+  getEditionStatsDocId,
+  getRegistrationEditionId,
+  needsEditionBackfill,
+} from "./editions";
+
+describe("editions", () => {
+  describe("getRegistrationEditionId", () => {
+    it("uses the registration's conferenceId", () => {
+      expect(getRegistrationEditionId({conferenceId: "idmc-2027"})).toBe("idmc-2027");
+    });
+
+    it("puts registrations without a conferenceId in the default edition", () => {
+      expect(getRegistrationEditionId({})).toBe(DEFAULT_EDITION_ID);
+      expect(getRegistrationEditionId(undefined)).toBe(DEFAULT_EDITION_ID);
+    });
+  });
+
+  describe("needsEditionBackfill", () => {
+    it("stamps registrations without a conferenceId", () => {
+      expect(needsEditionBackfill({})).toBe(true);
+      expect(needsEditionBackfill({conferenceId: ""})).toBe(true);
+      expect(needsEditionBackfill({conferenceId: null})).toBe(true);
+    });
+
+    it("leaves registrations that already have one", () => {
+      expect(needsEditionBackfill({conferenceId: DEFAULT_EDITION_ID})).toBe(false);
+      expect(needsEditionBackfill({conferenceId: "idmc-2027"})).toBe(false);
+    });
+  });
+
+  describe("per-edition documents", () => {
+    it("keeps the default edition in the unscoped documents", () => {
+      expect(getEditionSettingsDocId(DEFAULT_EDITION_ID)).toBe(SETTINGS_DOC_ID);
+      expect(getEditionStatsDocId(DEFAULT_EDITION_ID)).toBe(STATS_DOC_ID);
+    });
+
+    it("scopes later editions by their ID", () => {
+      expect(getEditionSettingsDocId("idmc-2027")).toBe("idmc-2027");
+      expect(getEditionStatsDocId("idmc-2027")).toBe("idmc-2027");
+    });
+  });
+
+  describe("getConferenceName", () => {
+    it("uses the edition's title", () => {
+      expect(getConferenceName({title: "IDMC 2027: Go and Make Disciples", year: 2027}))
+        .toBe("IDMC 2027: Go and Make Disciples");
+    });
+
+    it("falls back to the short name and the edition's year", () => {
+      expect(getConferenceName({year: 2027})).toBe(`${CONFERENCE_SHORT_NAME} 2027`);
+      expect(getConferenceName(undefined)).toBe(CONFERENCE_SHORT_NAME);
+    });
+  });
+});
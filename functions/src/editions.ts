@@ -0,0 +1,85 @@
+/**
+ * Editions Module
+ *
+ * Edition IDs, names and the settings and stats documents of each conference
+ * edition. The default edition predates editions: its settings and stats
+ * live in the unscoped documents, and its older registrations had no
+ * conferenceId until backfillRegistrationEditions stamped them.
+ *
+ * @module functions/editions
+ */
+
+/**
+ * Conference name for editions whose settings have no title
+ */
+export const CONFERENCE_SHORT_NAME = "IDMC GCFSM";
+
+/**
+ * Stats document ID (singleton for conference stats)
+ */
+export const STATS_DOC_ID = "conference-stats";
+
+/**
+ * Settings document ID for the default edition
+ */
+export const SETTINGS_DOC_ID = "conference-settings";
+
+/**
+ * Edition whose data predates editions. Its settings and stats live in the
+ * unscoped documents; later editions are scoped by their ID.
+ */
+export const DEFAULT_EDITION_ID = "idmc-2026";
+
+/**
+ * Gets the edition a registration belongs to
+ *
+ * @param {Object} data - Registration data
+ * @return {string} Edition ID
+ */
+export function getRegistrationEditionId(
+  data: {conferenceId?: string} | undefined
+): string {
+  return data?.conferenceId || DEFAULT_EDITION_ID;
+}
+
+/**
+ * Checks whether a registration still needs its conferenceId stamped
+ *
+ * @param {Object} data - Registration data
+ * @return {boolean} True when the registration has no conferenceId
+ */
+export function needsEditionBackfill(data: {conferenceId?: unknown} | undefined): boolean {
+  return typeof data?.conferenceId !== "string" || !data.conferenceId;
+}
+
+/**
+ * Gets the stats document ID for an edition
+ *
+ * @param {string} editionId - Edition ID
+ * @return {string} Stats document ID
+ */
+export function getEditionStatsDocId(editionId: string): string {
+  return editionId === DEFAULT_EDITION_ID ? STATS_DOC_ID : editionId;
+}
+
+/**
+ * Gets the settings document ID for an edition
+ *
+ * @param {string} editionId - Edition ID
+ * @return {string} Settings document ID
+ */
+export function getEditionSettingsDocId(editionId: string): string {
+  return editionId === DEFAULT_EDITION_ID ? SETTINGS_DOC_ID : editionId;
+}
+
+/**
+ * Gets the conference name from an edition's settings: its title, or the
+ * short name with the edition's year when no title is set
+ *
+ * @param {Object|undefined} settings - Edition settings
+ * @return {string} Conference name
+ */
+export function getConferenceName(settings: {title?: string; year?: number} | undefined): string {
+  if (settings?.title) return settings.title;
+  return settings?.year ? `${CONFERENCE_SHORT_NAME} ${settings.year}` : CONFERENCE_SHORT_NAME;
+}
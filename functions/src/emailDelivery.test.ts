@@ -0,0 +1,194 @@
+/**
+ * Email Delivery Module Tests
+ * Tests for SendGrid webhook verification, delivery events and email resends
+ */
+
+import {createSign, generateKeyPairSync} from "crypto";
+import {
+  EMAIL_DELIVERY_STATUS,
+  EMAIL_DELIVERY_TYPE,
+  EmailDeliveryEvent,
+  SENDGRID_WEBHOOK_MAX_AGE_SECONDS,
+  clearsEmailBounce,
+  getResendClearedFields,
+  readSendGridEvent,
+  shouldStoreDeliveryEvent,
+  verifySendGridSignature,
+} from "./emailDelivery";
+
+describe("emailDelivery", () => {
+  const at = (millis: number) => ({toMillis: () => millis});
+
+  describe("verifySendGridSignature", () => {
+    const {privateKey, publicKey} = generateKeyPairSync("ec", {namedCurve: "prime256v1"});
+    const verificationKey = publicKey.export({format: "der", type: "spki"}).toString("base64");
+    const payload = Buffer.from("[{\"event\":\"delivered\"}]");
+    const now = 1770000000 * 1000;
+    const timestamp = String(now / 1000);
+
+    const sign = (signedTimestamp: string, body: Buffer) =>
+      createSign("sha256")
+        .update(Buffer.concat([Buffer.from(signedTimestamp), body]))
+        .sign(privateKey)
+        .toString("base64");
+
+    it("accepts a recently signed request", () => {
+      expect(verifySendGridSignature(verificationKey, payload, sign(timestamp, payload), timestamp, now))
+        .toBe(true);
+    });
+
+    it("rejects a tampered body or timestamp", () => {
+      const signature = sign(timestamp, payload);
+      expect(verifySendGridSignature(verificationKey, Buffer.from("[]"), signature, timestamp, now)).toBe(false);
+      expect(verifySendGridSignature(verificationKey, payload, signature, String(now / 1000 + 1), now))
+        .toBe(false);
+    });
+
+    it("rejects requests signed too long ago or in the future", () => {
+      const old = String(now / 1000 - SENDGRID_WEBHOOK_MAX_AGE_SECONDS - 1);
+      const future = String(now / 1000 + SENDGRID_WEBHOOK_MAX_AGE_SECONDS + 1);
+      expect(verifySendGridSignature(verificationKey, payload, sign(old, payload), old, now)).toBe(false);
+      expect(verifySendGridSignature(verificationKey, payload, sign(future, payload), future, now)).toBe(false);
+    });
+
+    it("rejects missing headers and invalid keys", () => {
+      expect(verifySendGridSignature(verificationKey, payload, "", timestamp, now)).toBe(false);
+      expect(verifySendGridSignature(verificationKey, payload, sign(timestamp, payload), "", now)).toBe(false);
+      expect(verifySendGridSignature(verificationKey, payload, sign(timestamp, payload), "soon", now)).toBe(false);
+      expect(verifySendGridSignature("not-a-key", payload, sign(timestamp, payload), timestamp, now)).toBe(false);
+    });
+  });
+
+  describe("readSendGridEvent", () => {
+    it("reads tracked events", () => {
+      expect(readSendGridEvent({
+        event: "bounce",
+        email: " Juan@Example.com ",
+        timestamp: 1770000000,
+        reason: "550 mailbox unavailable",
+        registrationId: "reg-1",
+        emailType: EMAIL_DELIVERY_TYPE.TICKET,
+      })).toEqual({
+        registrationId: "reg-1",
+        emailType: EMAIL_DELIVERY_TYPE.TICKET,
+        status: EMAIL_DELIVERY_STATUS.BOUNCED,
+        email: "juan@example.com",
+        reason: "550 mailbox unavailable",
+        eventAtMillis: 1770000000000,
+        isFailure: true,
+      });
+    });
+
+    it("keeps reasons for failures only and defaults the time to now", () => {
+      const event = readSendGridEvent(
+        {event: "open", email: "juan@example.com", reason: "n/a", registrationId: "reg-1", emailType: "ticket"},
+        1234
+      );
+      expect(event).toMatchObject({status: EMAIL_DELIVERY_STATUS.OPENED, reason: null, eventAtMillis: 1234});
+    });
+
+    it("ignores untracked events, email types and events without a registration", () => {
+      expect(readSendGridEvent({event: "click", registrationId: "reg-1", emailType: "ticket"})).toBeNull();
+      expect(readSendGridEvent({event: "delivered", registrationId: "reg-1", emailType: "newsletter"})).toBeNull();
+      expect(readSendGridEvent({event: "delivered", emailType: "ticket"})).toBeNull();
+    });
+  });
+
+  describe("shouldStoreDeliveryEvent", () => {
+    const event: EmailDeliveryEvent = {
+      registrationId: "reg-1",
+      emailType: EMAIL_DELIVERY_TYPE.TICKET,
+      status: EMAIL_DELIVERY_STATUS.DELIVERED,
+      email: "juan@example.com",
+      reason: null,
+      eventAtMillis: 2000,
+      isFailure: false,
+    };
+    const registration = {primaryAttendee: {email: "Juan@example.com"}};
+
+    it("stores events for the primary attendee's current address", () => {
+      expect(shouldStoreDeliveryEvent(registration, event)).toBe(true);
+    });
+
+    it("ignores events for other addresses", () => {
+      expect(shouldStoreDeliveryEvent(registration, {...event, email: "maria@example.com"})).toBe(false);
+      expect(shouldStoreDeliveryEvent({}, {...event, email: ""})).toBe(false);
+    });
+
+    it("ignores events older than the stored one", () => {
+      const stored = {
+        ...registration,
+        emailDelivery: {ticket: {status: EMAIL_DELIVERY_STATUS.DELIVERED, email: "juan@example.com", eventAt: at(3000)}},
+      };
+      expect(shouldStoreDeliveryEvent(stored, event)).toBe(false);
+      expect(shouldStoreDeliveryEvent(stored, {...event, eventAtMillis: 3000})).toBe(true);
+    });
+
+    it("keeps opened over a late delivered for the same address", () => {
+      const opened = {
+        ...registration,
+        emailDelivery: {ticket: {status: EMAIL_DELIVERY_STATUS.OPENED, email: "juan@example.com", eventAt: at(1000)}},
+      };
+      expect(shouldStoreDeliveryEvent(opened, event)).toBe(false);
+      expect(shouldStoreDeliveryEvent(opened, {...event, status: EMAIL_DELIVERY_STATUS.BOUNCED})).toBe(true);
+    });
+
+    it("replaces events stored for a previous address", () => {
+      const previous = {
+        ...registration,
+        emailDelivery: {ticket: {status: EMAIL_DELIVERY_STATUS.OPENED, email: "old@example.com", eventAt: at(5000)}},
+      };
+      expect(shouldStoreDeliveryEvent(previous, event)).toBe(true);
+    });
+  });
+
+  describe("clearsEmailBounce", () => {
+    const delivered = readSendGridEvent({
+      event: "delivered",
+      email: "juan@example.com",
+      timestamp: 2,
+      registrationId: "reg-1",
+      emailType: "ticket",
+    }) as EmailDeliveryEvent;
+
+    it("clears the bounce flag when a later email is delivered", () => {
+      expect(clearsEmailBounce({emailBounced: true, emailBouncedAt: at(1000)}, delivered)).toBe(true);
+    });
+
+    it("keeps the flag for earlier deliveries and new failures", () => {
+      expect(clearsEmailBounce({emailBounced: true, emailBouncedAt: at(3000)}, delivered)).toBe(false);
+      expect(clearsEmailBounce({emailBounced: true, emailBouncedAt: at(1000)}, {...delivered, isFailure: true}))
+        .toBe(false);
+      expect(clearsEmailBounce({emailBounced: false}, delivered)).toBe(false);
+    });
+  });
+
+  describe("getResendClearedFields", () => {
+    const sentAt = 10500;
+
+    it("clears the delivery and bounce of the previous send", () => {
+      const registration = {
+        emailBounced: true,
+        emailBouncedAt: at(5000),
+        emailDelivery: {ticket: {status: "bounced", email: "old@example.com", eventAt: at(5000)}},
+      };
+      expect(getResendClearedFields(registration, "ticket", "new@example.com", sentAt))
+        .toEqual({delivery: true, bounce: true});
+    });
+
+    it("keeps events stored for the resend while it was being sent", () => {
+      const registration = {
+        emailBounced: true,
+        emailBouncedAt: at(10000),
+        emailDelivery: {ticket: {status: "bounced", email: "juan@example.com", eventAt: at(10000)}},
+      };
+      expect(getResendClearedFields(registration, "ticket", "juan@example.com", sentAt))
+        .toEqual({delivery: false, bounce: false});
+    });
+
+    it("leaves registrations without delivery events alone", () => {
+      expect(getResendClearedFields({}, "ticket", "juan@example.com", sentAt))
+        .toEqual({delivery: false, bounce: false});
+    });
+  });
+});
@@ -0,0 +1,239 @@
+/**
+ * Email Delivery Module
+ *
+ * Delivery tracking for registration emails. sendgridEvents stores SendGrid
+ * events under emailDelivery.{emailType} on each registration, and
+ * resendRegistrationEmail replaces them when an email is sent again.
+ *
+ * @module functions/emailDelivery
+ */
+
+import * as logger from "firebase-functions/logger";
+import {createPublicKey, verify as verifySignature} from "crypto";
+
+/**
+ * Registration email types tracked through SendGrid event notifications.
+ * The first three match the markEmailSent types used by the web app.
+ */
+export const EMAIL_DELIVERY_TYPE = {
+  CONFIRMATION: "confirmation",
+  REMINDER: "reminder",
+  TICKET: "ticket",
+  WAITLIST_OFFER: "waitlist_offer",
+  INVOICE: "invoice",
+} as const;
+
+export type EmailDeliveryType = typeof EMAIL_DELIVERY_TYPE[keyof typeof EMAIL_DELIVERY_TYPE];
+
+/**
+ * Delivery status stored per registration email type
+ */
+export const EMAIL_DELIVERY_STATUS = {
+  DELIVERED: "delivered",
+  OPENED: "opened",
+  BOUNCED: "bounced",
+  DROPPED: "dropped",
+} as const;
+
+export type EmailDeliveryStatus = typeof EMAIL_DELIVERY_STATUS[keyof typeof EMAIL_DELIVERY_STATUS];
+
+/**
+ * SendGrid event names that are stored, mapped to delivery status. Other
+ * events (processed, deferred, click, ...) are ignored.
+ */
+const SENDGRID_EVENT_STATUS: Record<string, EmailDeliveryStatus> = {
+  delivered: EMAIL_DELIVERY_STATUS.DELIVERED,
+  open: EMAIL_DELIVERY_STATUS.OPENED,
+  bounce: EMAIL_DELIVERY_STATUS.BOUNCED,
+  dropped: EMAIL_DELIVERY_STATUS.DROPPED,
+};
+
+/**
+ * SendGrid event notification (only the fields used here). Custom args
+ * set with getEmailTrackingArgs arrive as top-level fields.
+ */
+export interface SendGridEvent {
+  email?: string;
+  event?: string;
+  timestamp?: number;
+  reason?: string;
+  response?: string;
+  registrationId?: string;
+  emailType?: string;
+}
+
+/**
+ * SendGrid event that can be stored on a registration
+ */
+export interface EmailDeliveryEvent {
+  registrationId: string;
+  emailType: EmailDeliveryType;
+  status: EmailDeliveryStatus;
+  email: string;
+  reason: string | null;
+  eventAtMillis: number;
+  isFailure: boolean;
+}
+
+/**
+ * Firestore timestamp as read from a registration
+ */
+interface StoredTimestamp {
+  toMillis?: () => number;
+}
+
+/**
+ * Delivery fields of a registration (only the fields used here)
+ */
+export interface EmailDeliveryRecord {
+  primaryAttendee?: {email?: string};
+  emailBounced?: boolean;
+  emailBouncedAt?: StoredTimestamp | null;
+  emailDelivery?: Record<string, {status?: string; email?: string; eventAt?: StoredTimestamp} | undefined>;
+}
+
+/**
+ * How far the signed timestamp of a SendGrid webhook request may be from
+ * the current time, so captured requests cannot be replayed later
+ */
+export const SENDGRID_WEBHOOK_MAX_AGE_SECONDS = 5 * 60;
+
+/**
+ * Verifies the signature of a SendGrid signed event webhook request.
+ * Requests signed more than SENDGRID_WEBHOOK_MAX_AGE_SECONDS ago (or in the
+ * future) are rejected.
+ *
+ * @param {string} publicKey - Base64 DER verification key from SendGrid
+ * @param {Buffer} payload - Raw request body
+ * @param {string} signature - X-Twilio-Email-Event-Webhook-Signature header
+ * @param {string} timestamp - X-Twilio-Email-Event-Webhook-Timestamp header (Unix seconds)
+ * @param {number} [nowMillis] - Current time
+ * @return {boolean} True if the request was recently signed by SendGrid
+ */
+export function verifySendGridSignature(
+  publicKey: string,
+  payload: Buffer,
+  signature: string,
+  timestamp: string,
+  nowMillis: number = Date.now()
+): boolean {
+  if (!signature || !timestamp) return false;
+
+  const signedAt = Number(timestamp);
+  if (
+    !Number.isFinite(signedAt) ||
+    Math.abs(nowMillis / 1000 - signedAt) > SENDGRID_WEBHOOK_MAX_AGE_SECONDS
+  ) {
+    return false;
+  }
+
+  try {
+    const key = createPublicKey({key: Buffer.from(publicKey, "base64"), format: "der", type: "spki"});
+    return verifySignature(
+      "sha256",
+      Buffer.concat([Buffer.from(timestamp), payload]),
+      key,
+      Buffer.from(signature, "base64")
+    );
+  } catch (error) {
+    logger.warn("Could not verify SendGrid webhook signature", error);
+    return false;
+  }
+}
+
+/**
+ * Reads a SendGrid event, keeping only the events stored on registrations:
+ * tracked statuses of tracked email types sent with getEmailTrackingArgs
+ *
+ * @param {SendGridEvent} event - SendGrid event
+ * @param {number} [nowMillis] - Current time, used when the event has no timestamp
+ * @return {EmailDeliveryEvent|null} Event to store, or null when it is ignored
+ */
+export function readSendGridEvent(event: SendGridEvent, nowMillis: number = Date.now()): EmailDeliveryEvent | null {
+  const status = SENDGRID_EVENT_STATUS[event.event || ""];
+  const emailTypes: string[] = Object.values(EMAIL_DELIVERY_TYPE);
+  if (!status || !event.registrationId || !event.emailType || !emailTypes.includes(event.emailType)) {
+    return null;
+  }
+
+  const isFailure = status === EMAIL_DELIVERY_STATUS.BOUNCED || status === EMAIL_DELIVERY_STATUS.DROPPED;
+  return {
+    registrationId: event.registrationId,
+    emailType: event.emailType as EmailDeliveryType,
+    status,
+    email: (event.email || "").trim().toLowerCase(),
+    reason: isFailure ? (event.reason || event.response || null) : null,
+    eventAtMillis: event.timestamp ? event.timestamp * 1000 : nowMillis,
+    isFailure,
+  };
+}
+
+/**
+ * Checks whether an event should be stored on its registration. Only events
+ * for the primary attendee's current address are stored, so copies sent to
+ * additional attendees and events for an address replaced by "fix email and
+ * resend" are ignored. Events can arrive out of order: older ones are
+ * ignored, and a late "delivered" does not replace "opened" for the same send.
+ *
+ * @param {EmailDeliveryRecord} registration - Registration the event is for
+ * @param {EmailDeliveryEvent} event - Event read with readSendGridEvent
+ * @return {boolean} True if the event should be stored
+ */
+export function shouldStoreDeliveryEvent(registration: EmailDeliveryRecord, event: EmailDeliveryEvent): boolean {
+  const primaryEmail = String(registration.primaryAttendee?.email || "").trim().toLowerCase();
+  if (!event.email || event.email !== primaryEmail) return false;
+
+  const current = registration.emailDelivery?.[event.emailType];
+  if (current?.email === event.email) {
+    if (event.eventAtMillis < (current.eventAt?.toMillis?.() || 0)) return false;
+    if (event.status === EMAIL_DELIVERY_STATUS.DELIVERED && current.status === EMAIL_DELIVERY_STATUS.OPENED) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Checks whether a stored event clears the registration's bounce flag: a
+ * delivery or open after the bounce shows the address works again
+ *
+ * @param {EmailDeliveryRecord} registration - Registration the event is for
+ * @param {EmailDeliveryEvent} event - Event being stored
+ * @return {boolean} True if emailBounced should be cleared
+ */
+export function clearsEmailBounce(registration: EmailDeliveryRecord, event: EmailDeliveryEvent): boolean {
+  return !event.isFailure &&
+    Boolean(registration.emailBounced) &&
+    event.eventAtMillis > (registration.emailBouncedAt?.toMillis?.() || 0);
+}
+
+/**
+ * Works out which delivery fields a resend replaces once the email has gone
+ * out. Events for the new send may already have been stored by
+ * sendgridEvents while the email was being sent; those are kept so the
+ * resend does not hide a bounce of the new email. SendGrid timestamps are
+ * whole seconds, so the send time is rounded down before comparing.
+ *
+ * @param {EmailDeliveryRecord} registration - Registration read after sending
+ * @param {string} emailType - Email delivery type that was resent
+ * @param {string} email - Address the email was sent to
+ * @param {number} sentAtMillis - When the send started
+ * @return {Object} Whether to clear the stored delivery and the bounce flag
+ */
+export function getResendClearedFields(
+  registration: EmailDeliveryRecord,
+  emailType: string,
+  email: string,
+  sentAtMillis: number
+): {delivery: boolean; bounce: boolean} {
+  const sentAt = Math.floor(sentAtMillis / 1000) * 1000;
+  const delivery = registration.emailDelivery?.[emailType];
+  const isNewDelivery = delivery?.email === email && (delivery.eventAt?.toMillis?.() || 0) >= sentAt;
+  const isNewBounce = (registration.emailBouncedAt?.toMillis?.() || 0) >= sentAt;
+
+  return {
+    delivery: Boolean(delivery) && !isNewDelivery,
+    bounce: Boolean(registration.emailBounced) && !isNewBounce,
+  };
+}
@@ -0,0 +1,62 @@
+/**
+ * Email Templates Module Tests
+ * Tests for filling template placeholders and formatting their dates
+ */
+
+import {escapeHtml, formatEmailTemplateDate, renderEmailTemplate} from "./emailTemplates";
+
+describe("emailTemplates", () => {
+  describe("renderEmailTemplate", () => {
+    const values = {
+      firstName: "Juan <b>",
+      conferenceTitle: "IDMC 2027: Go & Make Disciples",
+      qrCode: "<img src=\"cid:qr-1\">",
+    };
+
+    it("fills placeholders, allowing spaces inside the braces", () => {
+      expect(renderEmailTemplate("Hi {{ firstName }}, see you at {{conferenceTitle}}", values, false))
+        .toBe("Hi Juan <b>, see you at IDMC 2027: Go & Make Disciples");
+    });
+
+    it("escapes values in HTML bodies", () => {
+      expect(renderEmailTemplate("<p>{{conferenceTitle}}</p>", values, true))
+        .toBe("<p>IDMC 2027: Go &amp; Make Disciples</p>");
+    });
+
+    it("inserts QR codes into HTML bodies only", () => {
+      expect(renderEmailTemplate("{{qrCode}}", values, true)).toBe("<img src=\"cid:qr-1\">");
+      expect(renderEmailTemplate("Ticket {{qrCode}}", values, false)).toBe("Ticket ");
+    });
+
+    it("leaves unknown placeholders as typed", () => {
+      expect(renderEmailTemplate("{{venue}}", values, true)).toBe("{{venue}}");
+    });
+  });
+
+  describe("escapeHtml", () => {
+    it("escapes markup and quotes", () => {
+      expect(escapeHtml("<a href=\"x\">Tom's</a>")).toBe("&lt;a href=&quot;x&quot;&gt;Tom&#39;s&lt;/a&gt;");
+    });
+  });
+
+  describe("formatEmailTemplateDate", () => {
+    it("formats dates in the conference timezone", () => {
+      expect(formatEmailTemplateDate("2026-03-27T18:00:00Z", "Asia/Manila"))
+        .toBe("Saturday, March 28, 2026");
+    });
+
+    it("reads Firestore timestamps", () => {
+      const timestamp = {toDate: () => new Date("2026-03-27T18:00:00Z")};
+      expect(formatEmailTemplateDate(timestamp, "Asia/Manila")).toBe("Saturday, March 28, 2026");
+    });
+
+    it("includes the time when asked", () => {
+      expect(formatEmailTemplateDate("2026-03-27T18:00:00Z", "Asia/Manila", true)).toContain("2:00");
+    });
+
+    it("returns an empty string for missing or invalid dates", () => {
+      expect(formatEmailTemplateDate(null, "Asia/Manila")).toBe("");
+      expect(formatEmailTemplateDate("not a date", "Asia/Manila")).toBe("");
+    });
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Email Templates Module
+ *
+ * Template keys and placeholder rendering for the emails admins can reword
+ * from the Settings page (mirrors src/services/emailTemplates.js, which
+ * renders the preview).
+ *
+ * @module functions/emailTemplates
+ */
+
+/**
+ * Emails whose wording admins can replace with a template from the
+ * Settings page (mirrors EMAIL_TEMPLATE_KEY on the frontend)
+ */
+export const EMAIL_TEMPLATE_KEY = {
+  REGISTRATION_RECEIVED: "registrationReceived",
+  TICKET: "ticket",
+  WAITLIST_OFFER: "waitlistOffer",
+  INVOICE: "invoice",
+  TRANSFER_NOTIFICATION: "transferNotification",
+  TRANSFER_CONFIRMATION: "transferConfirmation",
+} as const;
+
+export type EmailTemplateKey = typeof EMAIL_TEMPLATE_KEY[keyof typeof EMAIL_TEMPLATE_KEY];
+
+/**
+ * Placeholders whose values are HTML and are inserted without escaping
+ */
+const EMAIL_TEMPLATE_HTML_PLACEHOLDERS = ["qrCode"];
+
+/**
+ * Escapes text for safe inclusion in HTML email content
+ *
+ * @param {string} text - Untrusted text
+ * @return {string} HTML-escaped text
+ */
+export function escapeHtml(text: string): string {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Formats a date for a template placeholder
+ *
+ * @param {unknown} value - ISO string, Date or Firestore Timestamp
+ * @param {string} timeZone - Conference timezone
+ * @param {boolean} withTime - Include the time of day
+ * @return {string} Formatted date, or an empty string when unset
+ */
+export function formatEmailTemplateDate(value: unknown, timeZone: string, withTime = false): string {
+  if (!value) return "";
+  const date = typeof (value as {toDate?: unknown}).toDate === "function" ?
+    (value as {toDate: () => Date}).toDate() :
+    new Date(value as string);
+  if (Number.isNaN(date.getTime())) return "";
+
+  return withTime ?
+    date.toLocaleString("en-PH", {dateStyle: "full", timeStyle: "short", timeZone}) :
+    date.toLocaleDateString("en-PH", {
+      weekday: "long",
+      year: "numeric",
+      month: "long",
+      day: "numeric",
+      timeZone,
+    });
+}
+
+
+/**
+ * Fills a template's {{placeholders}}. Values are HTML-escaped in the body;
+ * unknown placeholders are left as typed so they stand out in the preview.
+ *
+ * @param {string} template - Template subject or body
+ * @param {Record<string, string>} values - Placeholder values
+ * @param {boolean} isHtml - Whether the template is an HTML body
+ * @return {string} Rendered text
+ */
+export function renderEmailTemplate(
+  template: string,
+  values: Record<string, string>,
+  isHtml: boolean
+): string {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name: string) => {
+    if (!(name in values)) return match;
+    if (EMAIL_TEMPLATE_HTML_PLACEHOLDERS.includes(name)) return isHtml ? values[name] : "";
+    return isHtml ? escapeHtml(values[name]) : values[name];
+  });
+}
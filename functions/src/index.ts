@@ -14,10 +14,11 @@ import * as logger from "firebase-functions/logger";
 import {ImageAnnotatorClient} from "@google-cloud/vision";
 import {initializeApp} from "firebase-admin/app";
 import {getAuth} from "firebase-admin/auth";
-import {getFirestore, FieldValue} from "firebase-admin/firestore";
+import {getFirestore, FieldPath, FieldValue, Timestamp} from "firebase-admin/firestore";
+import {createHash, randomBytes} from "crypto";
 import sgMail from "@sendgrid/mail";
 import * as QRCode from "qrcode";
-import {verifyFinanceAdmin} from "./auth";
+import {verifyAdminRole, verifyFinanceAdmin, ADMIN_ROLES} from "./auth";
 import {
   checkRateLimit,
   cleanupExpiredRateLimits,
@@ -30,6 +31,118 @@ import {
   AUDIT_ACTIONS,
   AUDIT_SEVERITY,
 } from "./auditLog";
+import {
+  SMS_PROVIDERS,
+  SmsProvider,
+  SmsProviderName,
+  createConsoleSmsProvider,
+  createOneWaySmsProvider,
+  createSemaphoreSmsProvider,
+  createTwilioSmsProvider,
+  formatPhoneNumber,
+  getAttendeePhone,
+  hasSmsConsent,
+  isValidPhilippinePhone,
+  maskPhoneNumber,
+} from "./sms";
+import {
+  GroupDiscountRule,
+  PricingTier,
+  PromoCode,
+  PROMO_CODE_ERRORS,
+  calculateRegistrationPricing,
+  getPromoCodeError,
+  getTicketPrice,
+  shouldReleasePromoCode,
+} from "./pricing";
+import {
+  Attendee,
+  applyAttendeeEdits,
+  getAttendeeEditError,
+  getWorkshopSeatChanges,
+  isDetailsEditOpen,
+} from "./registrationEdits";
+import {
+  CONFERENCE_SHORT_NAME,
+  DEFAULT_EDITION_ID,
+  getEditionSettingsDocId,
+  getConferenceName,
+  getEditionStatsDocId,
+  getRegistrationEditionId,
+  needsEditionBackfill,
+} from "./editions";
+import {
+  EMAIL_TEMPLATE_KEY,
+  EmailTemplateKey,
+  escapeHtml,
+  formatEmailTemplateDate,
+  renderEmailTemplate,
+} from "./emailTemplates";
+import {
+  getFirstStatementPageBatch,
+  getRemainingStatementPageBatches,
+} from "./bankStatement";
+import {
+  CAMPAIGN_DELIVERY_STATUS,
+  CAMPAIGN_SEND_STALE_MINUTES,
+  CAMPAIGN_STATUS,
+  CampaignRecipient,
+  CampaignSegment,
+  canClaimCampaign,
+  getCampaignChurchName,
+  getCampaignDeliveryId,
+  getCampaignQueryStatuses,
+  planCampaignDeliveries,
+  resolveCampaignRecipients,
+} from "./campaigns";
+import {
+  CERTIFICATE_EMAIL_BATCH_LIMIT,
+  groupCertificateRecipients,
+  getStorageFilePath,
+} from "./certificates";
+import {
+  SESSION_RATING_BATCH_LIMIT,
+  SESSION_RATING_COMMENT_MAX_LENGTH,
+  SESSION_RATING_SOURCES,
+  SessionRatingInput,
+  SpeakerSessionSummary,
+  findAttendeeIndexByEmail,
+  getSessionEndTime,
+  isAttendeeCheckedIn,
+  isRatableSession,
+  isValidSessionRating,
+  summarizeSessionRatings,
+} from "./sessionRatings";
+import {
+  REMINDER_TYPE,
+  REMINDER_LOG_STATUS,
+  ReminderLogStatus,
+  ReminderSettings,
+  ReminderType,
+  formatReminderOffset,
+  getDueReminderOffset,
+  getReminderKey,
+  getReminderSettings,
+} from "./reminders";
+import {
+  REGISTRATION_DRAFT_MAX_BYTES,
+  getDraftExpiry,
+  getDraftStep,
+  isDraftExpired,
+  isValidDraftId,
+  normalizeDraftEmail,
+  pickLatestDraft,
+} from "./registrationDrafts";
+import {
+  EMAIL_DELIVERY_TYPE,
+  EmailDeliveryType,
+  SendGridEvent,
+  clearsEmailBounce,
+  getResendClearedFields,
+  readSendGridEvent,
+  shouldStoreDeliveryEvent,
+  verifySendGridSignature,
+} from "./emailDelivery";
 
 // Initialize Firebase Admin SDK
 initializeApp();
@@ -186,9 +299,12 @@ const storageBucketName = defineString("STORAGE_BUCKET", {default: "idmc-2026"})
 // SendGrid API key (stored in Secret Manager, accessed via defineSecret)
 const sendgridApiKey = defineSecret("SENDGRID_API_KEY");
 
-// Conference configuration constants
-const CONFERENCE_YEAR = 2026;
-const CONFERENCE_NAME = `IDMC GCFSM ${CONFERENCE_YEAR}`;
+// SMS provider API key (Semaphore API key or Twilio auth token)
+const smsApiKey = defineSecret("SMS_API_KEY");
+
+// Verification key of the SendGrid signed event webhook (base64 DER public key)
+const sendgridWebhookPublicKey = defineString("SENDGRID_WEBHOOK_PUBLIC_KEY", {default: ""});
+
 const INVOICE_CONTACT_EMAIL = "info@idmc-gcfsm.org";
 
 /**
@@ -249,20 +365,92 @@ const COLLECTIONS = {
   STATS: "stats",
   WHAT_TO_BRING: "whatToBring",
   VERIFICATION_CODES: "verificationCodes",
+  PROMO_CODES: "promoCodes",
+  SPEAKERS: "speakers",
+  SESSION_RATINGS: "sessionRatings",
+  SPEAKER_CONTACTS: "speakerContacts",
+  REGISTRATION_DRAFTS: "registrationDrafts",
+  EMAIL_CAMPAIGNS: "emailCampaigns",
+  EMAIL_TEMPLATES: "emailTemplates",
+  REMINDER_LOGS: "reminderLogs",
+  SMS_LOGS: "smsLogs",
+  EDITIONS: "editions",
+  ACTIVITY_LOGS: "activityLogs",
 };
 
 /**
- * Stats document ID (singleton for conference stats)
+ * Document in the conferences collection that points to the active edition
+ */
+const ACTIVE_EDITION_DOC_ID = "active-edition";
+
+/**
+ * Document in the conferences collection that records one-off data
+ * migrations that have finished
+ */
+const MIGRATIONS_DOC_ID = "migrations";
+
+/**
+ * Gets the ID of the active conference edition
+ *
+ * @return {Promise<string>} Active edition ID
+ */
+async function getActiveEditionId(): Promise<string> {
+  try {
+    const db = getFirestore(DATABASE_ID);
+    const pointerDoc = await db
+      .collection(COLLECTIONS.CONFERENCES)
+      .doc(ACTIVE_EDITION_DOC_ID)
+      .get();
+    return pointerDoc.data()?.editionId || DEFAULT_EDITION_ID;
+  } catch (error) {
+    logger.warn("Failed to read active edition, using default", error);
+    return DEFAULT_EDITION_ID;
+  }
+}
+
+/**
+ * Gets the settings document ID of the active edition
+ *
+ * @return {Promise<string>} Settings document ID
+ */
+async function getActiveSettingsDocId(): Promise<string> {
+  return getEditionSettingsDocId(await getActiveEditionId());
+}
+
+/**
+ * Reads the conference name of an edition
+ *
+ * @param {string} [editionId] - Edition ID (defaults to the active edition)
+ * @return {Promise<string>} Conference name
  */
-const STATS_DOC_ID = "conference-stats";
+async function getEditionConferenceName(editionId?: string): Promise<string> {
+  try {
+    const db = getFirestore(DATABASE_ID);
+    const settingsDoc = await db
+      .collection(COLLECTIONS.CONFERENCES)
+      .doc(getEditionSettingsDocId(editionId || await getActiveEditionId()))
+      .get();
+    return getConferenceName(settingsDoc.data());
+  } catch (error) {
+    logger.warn("Failed to read conference name", error);
+    return CONFERENCE_SHORT_NAME;
+  }
+}
 
 /**
  * SMS settings interface
  */
 interface SmsSettings {
   enabled: boolean;
+  /** SMS provider (console, onewaysms, semaphore or twilio) */
+  provider: SmsProviderName;
   gatewayDomain: string;
   gatewayEmail: string;
+  /** Semaphore sender name */
+  senderName: string;
+  twilioAccountSid: string;
+  /** Twilio sender number or messaging service SID */
+  twilioFromNumber: string;
 }
 
 /**
@@ -270,8 +458,12 @@ interface SmsSettings {
  */
 const DEFAULT_SMS_SETTINGS: SmsSettings = {
   enabled: false,
+  provider: SMS_PROVIDERS.ONEWAYSMS,
   gatewayDomain: "1.onewaysms.asia",
   gatewayEmail: "",
+  senderName: "",
+  twilioAccountSid: "",
+  twilioFromNumber: "",
 };
 
 /**
@@ -322,7 +514,7 @@ async function getEmailSettings(): Promise<EmailSettings> {
     const db = getFirestore(DATABASE_ID);
     const settingsDoc = await db
       .collection(COLLECTIONS.CONFERENCES)
-      .doc("conference-settings")
+      .doc(await getActiveSettingsDocId())
       .get();
 
     if (settingsDoc.exists) {
@@ -403,6 +595,19 @@ function shouldSkipEmail(
   return false;
 }
 
+/**
+ * Builds the SendGrid custom args that tie delivery events back to a
+ * registration. SendGrid echoes them on every event it posts to the
+ * sendgridEvents webhook.
+ *
+ * @param {string} registrationId - Registration ID
+ * @param {EmailDeliveryType} emailType - Email type
+ * @return {Record<string, string>} Custom args for sgMail.send
+ */
+function getEmailTrackingArgs(registrationId: string, emailType: EmailDeliveryType): Record<string, string> {
+  return {registrationId: String(registrationId || ""), emailType};
+}
+
 /**
  * Retrieves SMS settings from Firestore conference settings
  * Falls back to defaults if Firestore settings not found
@@ -414,7 +619,7 @@ async function getSmsSettings(): Promise<SmsSettings> {
     const db = getFirestore(DATABASE_ID);
     const settingsDoc = await db
       .collection(COLLECTIONS.CONFERENCES)
-      .doc("conference-settings")
+      .doc(await getActiveSettingsDocId())
       .get();
 
     if (settingsDoc.exists) {
@@ -422,10 +627,17 @@ async function getSmsSettings(): Promise<SmsSettings> {
       if (data?.sms) {
         return {
           enabled: data.sms.enabled ?? DEFAULT_SMS_SETTINGS.enabled,
+          provider: Object.values(SMS_PROVIDERS).includes(data.sms.provider) ?
+            data.sms.provider : DEFAULT_SMS_SETTINGS.provider,
           gatewayDomain: data.sms.gatewayDomain ||
             DEFAULT_SMS_SETTINGS.gatewayDomain,
           gatewayEmail: data.sms.gatewayEmail ||
             DEFAULT_SMS_SETTINGS.gatewayEmail,
+          senderName: data.sms.senderName || DEFAULT_SMS_SETTINGS.senderName,
+          twilioAccountSid: data.sms.twilioAccountSid ||
+            DEFAULT_SMS_SETTINGS.twilioAccountSid,
+          twilioFromNumber: data.sms.twilioFromNumber ||
+            DEFAULT_SMS_SETTINGS.twilioFromNumber,
         };
       }
     }
@@ -738,124 +950,170 @@ function isSendGridEnabled(): boolean {
 }
 
 /**
- * Formats a Philippine phone number to international format
- * Handles various input formats: 09XX, 9XX, +639XX, 639XX
- *
- * @param {string} phone - The phone number to format
- * @return {string} Phone number in format 639XXXXXXXXX (no + prefix)
+ * SMS message types recorded in the SMS log
  */
-function formatPhoneNumber(phone: string): string {
-  // Remove all non-digit characters
-  const digits = phone.replace(/\D/g, "");
+const SMS_MESSAGE_TYPE = {
+  REGISTRATION_RECEIVED: "registration_received",
+  PAYMENT_CONFIRMED: "payment_confirmed",
+  WAITLIST_OFFER: "waitlist_offer",
+  PAYMENT_REMINDER: "payment_reminder",
+  EVENT_REMINDER: "event_reminder",
+  VERIFICATION_CODE: "verification_code",
+  TEST: "test",
+} as const;
 
-  // Handle different formats
-  if (digits.startsWith("63") && digits.length === 12) {
-    // Already in 639XXXXXXXXX format
-    return digits;
-  } else if (digits.startsWith("09") && digits.length === 11) {
-    // Philippine format 09XXXXXXXXX
-    return "63" + digits.slice(1);
-  } else if (digits.startsWith("9") && digits.length === 10) {
-    // Without leading zero: 9XXXXXXXXX
-    return "63" + digits;
-  }
+type SmsMessageType = typeof SMS_MESSAGE_TYPE[keyof typeof SMS_MESSAGE_TYPE];
 
-  // Return as-is if format is unrecognized
-  logger.warn(`Unrecognized phone format: ${phone}, returning as-is`);
-  return digits;
-}
+/**
+ * SMS log entry status values
+ */
+const SMS_LOG_STATUS = {
+  SENT: "sent",
+  FAILED: "failed",
+} as const;
 
 /**
- * Validates a Philippine mobile phone number
+ * Retrieves the SMS_API_KEY secret
+ * Returns an empty string if the secret doesn't exist or is empty
  *
- * @param {string} phone - The phone number to validate
- * @return {boolean} True if valid Philippine mobile number
+ * @return {string} The SMS provider API key
  */
-function isValidPhilippinePhone(phone: string): boolean {
-  const formatted = formatPhoneNumber(phone);
-  // Valid Philippine mobile numbers start with 639 and are 12 digits
-  return /^639\d{9}$/.test(formatted);
+function getSmsApiKey(): string {
+  try {
+    return smsApiKey.value() || "";
+  } catch (error) {
+    logger.warn("Could not access SMS_API_KEY:", error);
+    return "";
+  }
 }
 
 /**
- * Sends SMS via OneWaySMS email-to-SMS gateway using SendGrid
+ * Creates the SMS provider configured in the SMS settings. The emulator
+ * always uses the console provider so development never sends real SMS.
  *
- * OneWaySMS works by sending an email to a specific gateway address.
- * The email is then converted to an SMS and sent to the recipient.
- * Settings are read from Firestore conference settings.
+ * @param {SmsSettings} smsSettings - SMS settings
+ * @return {SmsProvider} SMS provider
+ */
+function getSmsProvider(smsSettings: SmsSettings): SmsProvider {
+  if (process.env.FUNCTIONS_EMULATOR === "true") {
+    return createConsoleSmsProvider();
+  }
+
+  if (smsSettings.provider === SMS_PROVIDERS.CONSOLE) {
+    return createConsoleSmsProvider();
+  }
+  if (smsSettings.provider === SMS_PROVIDERS.SEMAPHORE) {
+    return createSemaphoreSmsProvider({
+      apiKey: getSmsApiKey(),
+      senderName: smsSettings.senderName,
+    });
+  }
+  if (smsSettings.provider === SMS_PROVIDERS.TWILIO) {
+    return createTwilioSmsProvider({
+      accountSid: smsSettings.twilioAccountSid,
+      authToken: getSmsApiKey(),
+      fromNumber: smsSettings.twilioFromNumber,
+    });
+  }
+
+  return createOneWaySmsProvider({
+    gatewayDomain: smsSettings.gatewayDomain,
+    gatewayEmail: smsSettings.gatewayEmail,
+    sendGatewayEmail: async (to, subject) => {
+      const apiKey = getSendGridApiKey();
+      const fromEmail = senderEmail.value();
+      if (!apiKey || !fromEmail) {
+        throw new Error("SendGrid API key or SENDER_EMAIL not configured");
+      }
+      sgMail.setApiKey(apiKey);
+      await sgMail.send({
+        to,
+        from: {
+          email: fromEmail,
+          name: senderName.value() || "IDMC",
+        },
+        subject, // SMS content goes in subject for OneWaySMS
+        text: " ", // Body can be empty but SendGrid requires non-empty
+      });
+    },
+  });
+}
+
+/**
+ * Sends an SMS through the configured provider and records it in the SMS
+ * log. Does nothing when SMS is turned off, or when the message needs
+ * consent and the registrant did not opt in.
  *
- * @param {string} phoneNumber - Recipient phone number (any Philippine format)
- * @param {string} message - SMS message content (max 160 chars for single SMS)
+ * @param {Object} options - SMS options
+ * @param {string} options.to - Recipient phone number (any Philippine format)
+ * @param {string} options.message - SMS message content (max 160 chars for single SMS)
+ * @param {SmsMessageType} options.messageType - Message type for the log
+ * @param {string} options.registrationId - Related registration ID (optional)
+ * @param {Object} options.registration - Related registration data (optional)
+ * @param {boolean} options.requireConsent - Whether smsConsent is required (default: true)
+ * @param {boolean} options.logMessage - Whether the message text is logged (default: true)
+ * @param {string} options.sentBy - Admin who sent the message (optional)
  * @return {Promise<boolean>} True if SMS was sent successfully
  */
-async function sendSmsViaOneWaySms(
-  phoneNumber: string,
-  message: string
-): Promise<boolean> {
+async function sendSms(options: {
+  to: string;
+  message: string;
+  messageType: SmsMessageType;
+  registrationId?: string;
+  registration?: FirebaseFirestore.DocumentData;
+  requireConsent?: boolean;
+  logMessage?: boolean;
+  sentBy?: string;
+}): Promise<boolean> {
+  const {to, message, messageType, registration, requireConsent = true, logMessage = true} = options;
+
   // Get SMS settings from Firestore
   const smsSettings = await getSmsSettings();
-
   if (!smsSettings.enabled) {
-    logger.info("OneWaySMS not enabled, skipping SMS");
+    logger.info("SMS not enabled, skipping SMS");
     return false;
   }
 
-  // Validate phone number
-  if (!isValidPhilippinePhone(phoneNumber)) {
-    logger.warn(`Invalid phone number for SMS: ${phoneNumber}`);
+  if (requireConsent && !hasSmsConsent(registration)) {
+    logger.info("Registrant did not opt in to SMS, skipping SMS", {messageType});
     return false;
   }
 
-  const formattedPhone = formatPhoneNumber(phoneNumber);
-
-  // Get SendGrid API key (reuse existing infrastructure)
-  const apiKey = getSendGridApiKey();
-  if (!apiKey) {
-    logger.warn("SendGrid API key not configured, cannot send SMS");
-    return false;
-  }
-
-  sgMail.setApiKey(apiKey);
-
-  const fromEmail = senderEmail.value();
-  if (!fromEmail) {
-    logger.warn("SENDER_EMAIL not configured, cannot send SMS");
-    return false;
-  }
+  const provider = getSmsProvider(smsSettings);
+  const formattedPhone = formatPhoneNumber(to);
+  const result = isValidPhilippinePhone(to) ?
+    await provider.send(formattedPhone, message) :
+    {success: false, error: "Invalid Philippine mobile number"};
 
-  // Get gateway email address from Firestore settings
-  // Format: either direct gateway email or phone@gateway.domain
-  let toEmail: string;
-  if (smsSettings.gatewayEmail) {
-    // Direct gateway email provided (OneWaySMS may use this format)
-    toEmail = smsSettings.gatewayEmail;
-  } else if (smsSettings.gatewayDomain) {
-    // Standard email-to-SMS format: phone@gateway.domain
-    toEmail = `${formattedPhone}@${smsSettings.gatewayDomain}`;
+  if (result.success) {
+    logger.info(`SMS sent via ${provider.name} to ${maskPhoneNumber(formattedPhone)}`, {messageType});
   } else {
-    logger.error("No SMS gateway configured");
-    return false;
+    logger.error(`Failed to send SMS via ${provider.name} to ${maskPhoneNumber(formattedPhone)}`, {
+      messageType,
+      error: result.error,
+    });
   }
 
   try {
-    // OneWaySMS: The SUBJECT line contains the SMS message content
-    const msg = {
-      to: toEmail,
-      from: {
-        email: fromEmail,
-        name: senderName.value() || "IDMC",
-      },
-      subject: message, // SMS content goes in subject for OneWaySMS
-      text: " ", // Body can be empty but SendGrid requires non-empty
-    };
-
-    await sgMail.send(msg);
-    logger.info(`SMS sent successfully to ${formattedPhone}`);
-    return true;
+    const db = getFirestore(DATABASE_ID);
+    await db.collection(COLLECTIONS.SMS_LOGS).add({
+      to: formattedPhone,
+      messageType,
+      provider: provider.name,
+      status: result.success ? SMS_LOG_STATUS.SENT : SMS_LOG_STATUS.FAILED,
+      providerMessageId: result.providerMessageId || null,
+      error: result.error || null,
+      message: logMessage ? message : null,
+      registrationId: options.registrationId || registration?.registrationId || null,
+      conferenceId: registration ? getRegistrationEditionId(registration) : await getActiveEditionId(),
+      sentBy: options.sentBy || null,
+      createdAt: FieldValue.serverTimestamp(),
+    });
   } catch (error) {
-    logger.error(`Failed to send SMS to ${formattedPhone}:`, error);
-    return false;
+    logger.warn("Failed to write SMS log", error);
   }
+
+  return result.success;
 }
 
 /**
@@ -925,6 +1183,51 @@ const SMS_TEMPLATES = {
       `(${shortCode}) is due on ${formattedDeadline}. ` +
       "Please pay to confirm your slot.";
   },
+
+  /**
+   * Waitlist offer SMS
+   *
+   * @param {string} firstName - Attendee's first name
+   * @param {string} registrationId - Full registration ID
+   * @param {string} expiresAt - Offer expiry ISO string
+   * @return {string} SMS message text
+   */
+  waitlistOffer: (
+    firstName: string,
+    registrationId: string,
+    expiresAt: string
+  ): string => {
+    const formattedExpiry = new Date(expiresAt).toLocaleString("en-PH", {
+      month: "short",
+      day: "numeric",
+      hour: "numeric",
+      minute: "2-digit",
+      timeZone: DEFAULT_CONFERENCE_TIMEZONE,
+    });
+    const statusUrl = `${appUrl.value()}/registration/status?id=${registrationId}`;
+    return `Hi ${firstName}! A slot opened up for you at IDMC 2026. ` +
+      `Pay by ${formattedExpiry} to claim it: ${statusUrl}`;
+  },
+
+  /**
+   * Event-day reminder SMS
+   *
+   * @param {string} firstName - Attendee's first name
+   * @param {string} shortCode - Short registration code
+   * @param {string} eventDate - Formatted event date
+   * @param {string} venueName - Venue name
+   * @return {string} SMS message text
+   */
+  eventReminder: (
+    firstName: string,
+    shortCode: string,
+    eventDate: string,
+    venueName: string
+  ): string => {
+    return `Hi ${firstName}! See you at IDMC 2026 on ${eventDate}` +
+      `${venueName ? ` at ${venueName}` : ""}. ` +
+      `Show your QR code or code ${shortCode} at check-in.`;
+  },
 };
 
 /**
@@ -1134,6 +1437,7 @@ function generateRegistrationConfirmationHtml(
       name: string;
     };
     status: string;
+    conferenceId?: string;
   }
 ): string {
   const {
@@ -1458,6 +1762,11 @@ function generateTicketEmailHtml(
                     <p style="margin: 0; color: #166534; font-size: 14px;">
                       <strong>Address:</strong> ${settings.venue.address}
                     </p>
+                    <p style="margin: 8px 0 0; color: #166534; font-size: 14px;">
+                      <strong>Schedule:</strong>
+                      <a href="${getCalendarFeedUrl().replace(/^https?:/, "webcal:")}" style="color: #166534; text-decoration: underline;">Subscribe in your calendar</a>
+                      to keep the programme on your phone. It updates automatically when sessions change.
+                    </p>
                   </td>
                 </tr>
               </table>
@@ -1628,6 +1937,11 @@ function generateIndividualTicketEmailHtml(
                     <p style="margin: 0; color: #166534; font-size: 14px;">
                       <strong>Address:</strong> ${settings.venue.address}
                     </p>
+                    <p style="margin: 8px 0 0; color: #166534; font-size: 14px;">
+                      <strong>Schedule:</strong>
+                      <a href="${getCalendarFeedUrl().replace(/^https?:/, "webcal:")}" style="color: #166534; text-decoration: underline;">Subscribe in your calendar</a>
+                      to keep the programme on your phone. It updates automatically when sessions change.
+                    </p>
                   </td>
                 </tr>
               </table>
@@ -1697,14 +2011,27 @@ async function sendRegistrationConfirmationEmail(
     return;
   }
 
+  const content = await applyEmailTemplate(
+    EMAIL_TEMPLATE_KEY.REGISTRATION_RECEIVED,
+    getEmailTemplateValues(
+      EMAIL_TEMPLATE_KEY.REGISTRATION_RECEIVED,
+      registration,
+      await getEditionConferenceName(getRegistrationEditionId(registration))
+    ),
+    {
+      subject: `Registration Received - ${registration.registrationId}`,
+      html: generateRegistrationConfirmationHtml(registration),
+    }
+  );
+
   const msg = {
     to,
     from: {
       email: fromEmail,
       name: senderName.value() || "IDMC Registration",
     },
-    subject: `Registration Received - ${registration.registrationId}`,
-    html: generateRegistrationConfirmationHtml(registration),
+    ...content,
+    customArgs: getEmailTrackingArgs(registration.registrationId, EMAIL_DELIVERY_TYPE.CONFIRMATION),
   };
 
   await sgMail.send(msg);
@@ -1814,20 +2141,31 @@ async function sendTicketEmail(
     content_id: attendee.contentId,
   }));
 
+  const content = await applyEmailTemplate(
+    EMAIL_TEMPLATE_KEY.TICKET,
+    getEmailTemplateValues(EMAIL_TEMPLATE_KEY.TICKET, registration, settings.title, {
+      qrCode: getEmailTemplateQrCodeHtml(attendeesWithQR),
+    }),
+    {
+      subject: `Your IDMC 2026 Ticket${attendeesWithQR.length > 1 ? "s" : ""} - ${registration.registrationId}`,
+      html: generateTicketEmailHtml(
+        registration,
+        settings,
+        attendeesWithQR,
+        whatToBringItems
+      ),
+    }
+  );
+
   const msg = {
     to,
     from: {
       email: fromEmail,
       name: senderName.value() || "IDMC Registration",
     },
-    subject: `Your IDMC 2026 Ticket${attendeesWithQR.length > 1 ? "s" : ""} - ${registration.registrationId}`,
-    html: generateTicketEmailHtml(
-      registration,
-      settings,
-      attendeesWithQR,
-      whatToBringItems
-    ),
+    ...content,
     attachments,
+    customArgs: getEmailTrackingArgs(registration.registrationId, EMAIL_DELIVERY_TYPE.TICKET),
   };
 
   await sgMail.send(msg);
@@ -1879,26 +2217,233 @@ async function sendIndividualTicketEmail(
     content_id: attendee.contentId,
   }];
 
+  const content = await applyEmailTemplate(
+    EMAIL_TEMPLATE_KEY.TICKET,
+    getEmailTemplateValues(EMAIL_TEMPLATE_KEY.TICKET, registration, settings.title, {
+      firstName: attendee.firstName,
+      lastName: attendee.lastName,
+      qrCode: getEmailTemplateQrCodeHtml([attendee]),
+    }),
+    {
+      subject: `Your IDMC 2026 Ticket - ${registration.registrationId}`,
+      html: generateIndividualTicketEmailHtml(
+        registration,
+        settings,
+        attendee,
+        whatToBringItems
+      ),
+    }
+  );
+
   const msg = {
     to,
     from: {
       email: fromEmail,
       name: senderName.value() || "IDMC Registration",
     },
-    subject: `Your IDMC 2026 Ticket - ${registration.registrationId}`,
-    html: generateIndividualTicketEmailHtml(
-      registration,
-      settings,
-      attendee,
-      whatToBringItems
-    ),
+    ...content,
     attachments,
+    customArgs: getEmailTrackingArgs(registration.registrationId, EMAIL_DELIVERY_TYPE.TICKET),
   };
 
   await sgMail.send(msg);
   logger.info(`Individual ticket email sent to ${to} for ${attendee.firstName} ${attendee.lastName}`);
 }
 
+/**
+ * Pricing tiers and group discount rules of an edition
+ */
+interface EditionPricing {
+  tiers: Record<string, PricingTier>;
+  groupDiscountRules: GroupDiscountRule[];
+}
+
+/**
+ * Loads an edition's pricing tiers and group discount rules
+ *
+ * @param {string} editionId - Edition ID
+ * @return {Promise<EditionPricing>} Pricing tiers by ID and group discount rules
+ */
+async function getEditionPricing(editionId: string): Promise<EditionPricing> {
+  const db = getFirestore(DATABASE_ID);
+  const settingsRef = db.collection(COLLECTIONS.CONFERENCES)
+    .doc(getEditionSettingsDocId(editionId));
+  const [tiersSnapshot, rulesSnapshot] = await Promise.all([
+    settingsRef.collection("pricingTiers").get(),
+    settingsRef.collection("groupDiscountRules").get(),
+  ]);
+
+  const tiers: Record<string, PricingTier> = {};
+  tiersSnapshot.docs.forEach((doc) => {
+    tiers[doc.id] = doc.data() as PricingTier;
+  });
+  return {
+    tiers,
+    groupDiscountRules: rulesSnapshot.docs.map((doc) => ({
+      id: doc.id,
+      ...doc.data(),
+    } as GroupDiscountRule)),
+  };
+}
+
+/**
+ * Recomputes a new registration's amounts from the edition's pricing,
+ * replacing the subtotal, discounts and total submitted by the browser.
+ * Every new registration goes through here, with or without a promo code.
+ * A promo code is checked and its redemption recorded in the same
+ * transaction so simultaneous registrations cannot go over the code's usage
+ * cap. A code that can no longer be used is removed from the registration
+ * and recorded in promoRejected.
+ *
+ * @param {FirebaseFirestore.DocumentReference} registrationRef - Registration document
+ * @param {FirebaseFirestore.DocumentData} registrationData - Registration data
+ * @param {Object} log - Logger context
+ * @return {Promise<Object>} Corrected registration fields and whether a promo code was redeemed
+ */
+async function priceNewRegistration(
+  registrationRef: FirebaseFirestore.DocumentReference,
+  registrationData: FirebaseFirestore.DocumentData,
+  log: ReturnType<typeof cfLogger.createContext>
+): Promise<{updates: Record<string, unknown>; promoRedeemed: boolean}> {
+  const code = registrationData.promo?.code ?
+    String(registrationData.promo.code).trim().toUpperCase() :
+    "";
+  const attendees = [
+    registrationData.primaryAttendee,
+    ...(registrationData.additionalAttendees || []),
+  ].filter(Boolean);
+  const categories: string[] = attendees.map((attendee) => attendee.category);
+  const {tiers, groupDiscountRules} = await getEditionPricing(
+    getRegistrationEditionId(registrationData)
+  );
+  const canPrice = categories.length > 0 && categories.every((category) => tiers[category]);
+
+  const db = getFirestore(DATABASE_ID);
+  const promoRef = code ? db.collection(COLLECTIONS.PROMO_CODES).doc(code) : null;
+
+  return db.runTransaction(async (transaction) => {
+    const promoDoc = promoRef ? await transaction.get(promoRef) : null;
+    const promoCode = promoDoc?.data() as PromoCode | undefined;
+    let promoError: string | null = null;
+    if (code) {
+      promoError = canPrice ?
+        getPromoCodeError(promoCode, categories) :
+        PROMO_CODE_ERRORS.NOT_APPLICABLE;
+    }
+
+    let updates: Record<string, unknown>;
+    if (canPrice) {
+      const pricing = calculateRegistrationPricing(
+        attendees.map((attendee) => ({
+          category: attendee.category,
+          price: getTicketPrice(tiers[attendee.category], Boolean(attendee.isStudent)),
+        })),
+        code && !promoError ? promoCode || null : null,
+        groupDiscountRules
+      );
+      const {rule, amount} = pricing.groupDiscount;
+      updates = {
+        subtotalAmount: pricing.subtotal,
+        discountAmount: pricing.promoDiscount,
+        groupDiscountAmount: amount,
+        groupDiscount: rule && amount > 0 ? {
+          ruleId: rule.id,
+          name: rule.name,
+          type: rule.type,
+          value: rule.value,
+          minAttendees: rule.minAttendees,
+          amount,
+        } : null,
+        totalAmount: pricing.total,
+      };
+    } else {
+      // Tickets cannot be priced without their tiers; no discount is given
+      // and the registration is flagged for the finance team to check
+      const subtotal = Number(registrationData.subtotalAmount) || 0;
+      updates = {
+        subtotalAmount: subtotal,
+        discountAmount: 0,
+        groupDiscountAmount: 0,
+        groupDiscount: null,
+        totalAmount: subtotal,
+        pricingUnverified: true,
+      };
+      log.error("Could not price registration: unknown pricing tier", {categories});
+    }
+
+    const promoRedeemed = Boolean(code) && !promoError && Number(updates.discountAmount) > 0;
+    if (promoRedeemed && promoRef && promoCode) {
+      updates.promo = {
+        code,
+        discountType: promoCode.discountType,
+        discountValue: promoCode.discountValue,
+      };
+      updates.promoRedemption = {
+        code,
+        discount: updates.discountAmount,
+        releasedAt: null,
+      };
+      transaction.update(promoRef, {
+        redemptionCount: FieldValue.increment(1),
+        totalDiscount: FieldValue.increment(Number(updates.discountAmount)),
+        lastRedeemedAt: FieldValue.serverTimestamp(),
+      });
+    } else {
+      updates.promo = null;
+      updates.promoRedemption = null;
+      updates.discountAmount = 0;
+      updates.totalAmount = Number(updates.subtotalAmount) - Number(updates.groupDiscountAmount);
+      if (code) {
+        updates.promoRejected = {
+          code,
+          reason: promoError || PROMO_CODE_ERRORS.NOT_APPLICABLE,
+        };
+        log.warn("Removed promo code from registration", {code, reason: promoError});
+      }
+    }
+
+    transaction.update(registrationRef, updates);
+    return {updates, promoRedeemed};
+  });
+}
+
+/**
+ * Gives a cancelled, refunded or expired registration's promo code
+ * redemption back, so the registration no longer counts toward the code's
+ * usage cap or total discount. The registration's promoRedemption.releasedAt
+ * is set in the same transaction so a redemption is only released once.
+ *
+ * @param {FirebaseFirestore.DocumentReference} registrationRef - Registration document
+ * @return {Promise<string|null>} The released promo code, or null if nothing was released
+ */
+async function releaseRegistrationPromoCode(
+  registrationRef: FirebaseFirestore.DocumentReference
+): Promise<string | null> {
+  const db = getFirestore(DATABASE_ID);
+
+  return db.runTransaction(async (transaction) => {
+    const registrationDoc = await transaction.get(registrationRef);
+    const registration = registrationDoc.data();
+    if (!registration || !shouldReleasePromoCode(registration)) {
+      return null;
+    }
+
+    const {code, discount} = registration.promoRedemption;
+    const promoRef = db.collection(COLLECTIONS.PROMO_CODES).doc(code);
+    const promoDoc = await transaction.get(promoRef);
+    if (promoDoc.exists) {
+      transaction.update(promoRef, {
+        redemptionCount: FieldValue.increment(-1),
+        totalDiscount: FieldValue.increment(-(Number(discount) || 0)),
+      });
+    }
+    transaction.update(registrationRef, {
+      "promoRedemption.releasedAt": FieldValue.serverTimestamp(),
+    });
+    return code as string;
+  });
+}
+
 /**
  * Firestore trigger that sends confirmation email and SMS when a new
  * registration is created
@@ -1907,7 +2452,7 @@ export const onRegistrationCreated = onDocumentCreated(
   {
     document: `${COLLECTIONS.REGISTRATIONS}/{registrationId}`,
     database: DATABASE_ID,
-    secrets: [sendgridApiKey],
+    secrets: [sendgridApiKey, smsApiKey],
   },
   async (event) => {
     const registrationId = event.params.registrationId;
@@ -1922,7 +2467,7 @@ export const onRegistrationCreated = onDocumentCreated(
 
     const registrationData = snapshot.data();
     const email = registrationData.primaryAttendee?.email;
-    const phone = registrationData.primaryAttendee?.phone;
+    const phone = getAttendeePhone(registrationData.primaryAttendee);
     const additionalCount = registrationData.additionalAttendees?.length || 0;
 
     log.start({
@@ -1931,10 +2476,35 @@ export const onRegistrationCreated = onDocumentCreated(
       status: registrationData.status,
       email,
       hasPhone: !!phone,
+      smsOptIn: hasSmsConsent(registrationData),
       attendeeCount: 1 + additionalCount,
       totalAmount: registrationData.totalAmount,
     });
 
+    // Recompute the amounts (and redeem the promo code, which counts toward
+    // the code's usage cap) before any amounts are sent out
+    let promoRedeemed = false;
+    try {
+      const submittedTotal = registrationData.totalAmount;
+      const pricing = await priceNewRegistration(snapshot.ref, registrationData, log);
+      Object.assign(registrationData, pricing.updates);
+      promoRedeemed = pricing.promoRedeemed;
+      if (registrationData.totalAmount !== submittedTotal) {
+        log.warn("Corrected submitted registration total", {
+          submittedTotal,
+          totalAmount: registrationData.totalAmount,
+        });
+      }
+      if (promoRedeemed) {
+        log.info("Recorded promo code redemption", {promoCode: registrationData.promo.code});
+      }
+    } catch (pricingError) {
+      log.error("Error pricing registration", pricingError, {
+        promoCode: registrationData.promo?.code,
+      });
+    }
+    const promoCode = registrationData.promo?.code;
+
     const updateData: Record<string, unknown> = {};
     let emailSent = false;
     let smsSent = false;
@@ -1959,6 +2529,7 @@ export const onRegistrationCreated = onDocumentCreated(
             paymentDeadline: registrationData.paymentDeadline,
             church: registrationData.church,
             status: registrationData.status,
+            conferenceId: registrationData.conferenceId,
           });
           updateData.confirmationEmailSent = true;
           updateData.confirmationEmailSentAt = FieldValue.serverTimestamp();
@@ -1982,7 +2553,12 @@ export const onRegistrationCreated = onDocumentCreated(
           registrationData.totalAmount,
           registrationData.paymentDeadline
         );
-        smsSent = await sendSmsViaOneWaySms(phone, smsMessage);
+        smsSent = await sendSms({
+          to: phone,
+          message: smsMessage,
+          messageType: SMS_MESSAGE_TYPE.REGISTRATION_RECEIVED,
+          registration: registrationData,
+        });
         if (smsSent) {
           updateData.confirmationSmsSent = true;
           updateData.confirmationSmsSentAt = FieldValue.serverTimestamp();
@@ -2054,6 +2630,16 @@ export const onRegistrationCreated = onDocumentCreated(
           }
         }
 
+        // Track promo code discounts
+        if (promoCode && registrationData.discountAmount > 0) {
+          const discount = registrationData.discountAmount;
+          statsUpdate.totalDiscounts = FieldValue.increment(discount);
+          statsUpdate[`promoCodeStats.${promoCode}.count`] =
+            FieldValue.increment(1);
+          statsUpdate[`promoCodeStats.${promoCode}.discount`] =
+            FieldValue.increment(discount);
+        }
+
         // Track church stats
         const churchName = registrationData.church?.name || "Unknown Church";
         const churchCity = registrationData.church?.city || "";
@@ -2094,7 +2680,8 @@ export const onRegistrationCreated = onDocumentCreated(
         }
 
         // Update stats document
-        const statsRef = db.collection(COLLECTIONS.STATS).doc(STATS_DOC_ID);
+        const statsRef = db.collection(COLLECTIONS.STATS)
+          .doc(getEditionStatsDocId(getRegistrationEditionId(registrationData)));
         await statsRef.set(statsUpdate, {merge: true});
         statsUpdated = true;
 
@@ -2146,15 +2733,87 @@ export const onRegistrationCreated = onDocumentCreated(
       }
     }
 
+    // The registration is submitted, so drafts saved under its email are no
+    // longer needed
+    if (email) {
+      try {
+        const db = getFirestore(DATABASE_ID);
+        const drafts = await db.collection(COLLECTIONS.REGISTRATION_DRAFTS)
+          .where("email", "==", email.trim().toLowerCase())
+          .get();
+        await Promise.all(drafts.docs.map((draftDoc) => draftDoc.ref.delete()));
+      } catch (draftError) {
+        log.error("Error deleting registration drafts", draftError);
+      }
+    }
+
     log.end(true, {
       emailSent,
       smsSent,
+      promoRedeemed,
       statsUpdated,
       workshopsUpdated,
     });
   }
 );
 
+/**
+ * Loads the conference details shown in ticket emails. The fallback values
+ * should match frontend DEFAULT_SETTINGS and only be used if Firestore data
+ * is missing - the actual values should come from Firestore
+ *
+ * @return {Promise<Object>} Title, start date and time, and venue
+ */
+async function getTicketEmailSettings(): Promise<{
+  title: string;
+  startDate: string;
+  startTime: string;
+  venue: {name: string; address: string};
+}> {
+  const defaultSettings = {
+    title: "IDMC 2026",
+    startDate: "2026-03-28",
+    startTime: "07:00",
+    venue: {
+      name: "GCF South Metro",
+      address: "Daang Hari Road, Versailles, Almanza Dos, Las Piñas City 1750 Philippines",
+    },
+  };
+  try {
+    const db = getFirestore(DATABASE_ID);
+    const settingsDoc = await db.collection(COLLECTIONS.CONFERENCES).doc(await getActiveSettingsDocId()).get();
+    const data = settingsDoc.data();
+    if (!data) {
+      logger.warn("Conference settings document not found in Firestore, using fallbacks");
+      return defaultSettings;
+    }
+
+    // Log warnings when using fallback values - indicates Firestore
+    // data may be incomplete
+    if (!data.startDate) {
+      logger.warn("Conference startDate not found in Firestore, using fallback");
+    }
+    if (!data.venue?.name) {
+      logger.warn("Conference venue name not found in Firestore, using fallback");
+    }
+    if (!data.venue?.address) {
+      logger.warn("Conference venue address not found in Firestore, using fallback");
+    }
+    return {
+      title: data.title || defaultSettings.title,
+      startDate: data.startDate || defaultSettings.startDate,
+      startTime: data.startTime || defaultSettings.startTime,
+      venue: {
+        name: data.venue?.name || defaultSettings.venue.name,
+        address: data.venue?.address || defaultSettings.venue.address,
+      },
+    };
+  } catch (error) {
+    logger.warn("Could not fetch settings, using defaults", {error});
+    return defaultSettings;
+  }
+}
+
 /**
  * Firestore trigger that sends ticket email and SMS when payment is confirmed
  */
@@ -2162,7 +2821,7 @@ export const onPaymentConfirmed = onDocumentUpdated(
   {
     document: `${COLLECTIONS.REGISTRATIONS}/{registrationId}`,
     database: DATABASE_ID,
-    secrets: [sendgridApiKey],
+    secrets: [sendgridApiKey, smsApiKey],
   },
   async (event) => {
     const registrationId = event.params.registrationId;
@@ -2194,57 +2853,15 @@ export const onPaymentConfirmed = onDocumentUpdated(
     });
 
     const primaryEmail = after.primaryAttendee?.email;
-    const primaryPhone = after.primaryAttendee?.phone;
+    const primaryPhone = getAttendeePhone(after.primaryAttendee);
     const updateData: Record<string, unknown> = {};
 
     // Get conference settings for event details (needed for email)
-    // These fallback values should match frontend DEFAULT_SETTINGS and only
-    // be used if Firestore data is missing - the actual values should come
-    // from Firestore
     const db = getFirestore(DATABASE_ID);
-    const defaultSettings = {
-      title: "IDMC 2026",
-      startDate: "2026-03-28",
-      startTime: "07:00",
-      venue: {
-        name: "GCF South Metro",
-        address: "Daang Hari Road, Versailles, Almanza Dos, Las Piñas City 1750 Philippines",
-      },
-    };
-    let settings: typeof defaultSettings = defaultSettings;
-    try {
-      const settingsDoc = await db.collection(COLLECTIONS.CONFERENCES).doc("conference-settings").get();
-      const data = settingsDoc.data();
-      if (data) {
-        // Log warnings when using fallback values - indicates Firestore
-        // data may be incomplete
-        if (!data.startDate) {
-          logger.warn("Conference startDate not found in Firestore, using fallback");
-        }
-        if (!data.venue?.name) {
-          logger.warn("Conference venue name not found in Firestore, using fallback");
-        }
-        if (!data.venue?.address) {
-          logger.warn("Conference venue address not found in Firestore, using fallback");
-        }
-        settings = {
-          title: data.title || defaultSettings.title,
-          startDate: data.startDate || defaultSettings.startDate,
-          startTime: data.startTime || defaultSettings.startTime,
-          venue: {
-            name: data.venue?.name || defaultSettings.venue.name,
-            address: data.venue?.address || defaultSettings.venue.address,
-          },
-        };
-      } else {
-        logger.warn("Conference settings document not found in Firestore, using fallbacks");
-      }
-    } catch (error) {
-      log.warn("Could not fetch settings, using defaults", {error});
-    }
-
-    // Fetch "What to Bring" items
-    let whatToBringItems: WhatToBringItem[] = DEFAULT_WHAT_TO_BRING_ITEMS;
+    const settings = await getTicketEmailSettings();
+
+    // Fetch "What to Bring" items
+    let whatToBringItems: WhatToBringItem[] = DEFAULT_WHAT_TO_BRING_ITEMS;
     try {
       whatToBringItems = await getPublishedWhatToBringItems();
       log.info("Fetched What to Bring items", {count: whatToBringItems.length});
@@ -2363,7 +2980,12 @@ export const onPaymentConfirmed = onDocumentUpdated(
           after.primaryAttendee.firstName,
           after.shortCode
         );
-        smsSent = await sendSmsViaOneWaySms(primaryPhone, smsMessage);
+        smsSent = await sendSms({
+          to: primaryPhone,
+          message: smsMessage,
+          messageType: SMS_MESSAGE_TYPE.PAYMENT_CONFIRMED,
+          registration: after,
+        });
         if (smsSent) {
           updateData.ticketSmsSent = true;
           updateData.ticketSmsSentAt = FieldValue.serverTimestamp();
@@ -2429,6 +3051,20 @@ export const onPaymentConfirmed = onDocumentUpdated(
         }
       }
 
+      // Track promo code discounts (only if not already counted in pending verification)
+      if (
+        before.status !== REGISTRATION_STATUS.PENDING_VERIFICATION &&
+        after.promo?.code &&
+        after.discountAmount > 0
+      ) {
+        const promoCode = after.promo.code;
+        statsUpdate.totalDiscounts = FieldValue.increment(after.discountAmount);
+        statsUpdate[`promoCodeStats.${promoCode}.count`] =
+          FieldValue.increment(1);
+        statsUpdate[`promoCodeStats.${promoCode}.discount`] =
+          FieldValue.increment(after.discountAmount);
+      }
+
       // Track church stats (only if not already counted in pending verification)
       if (before.status !== REGISTRATION_STATUS.PENDING_VERIFICATION) {
         const churchName = after.church?.name || "Unknown Church";
@@ -2472,7 +3108,8 @@ export const onPaymentConfirmed = onDocumentUpdated(
       }
 
       // Update stats document
-      const statsRef = db.collection(COLLECTIONS.STATS).doc(STATS_DOC_ID);
+      const statsRef = db.collection(COLLECTIONS.STATS)
+        .doc(getEditionStatsDocId(getRegistrationEditionId(after)));
       await statsRef.set(statsUpdate, {merge: true});
       statsUpdated = true;
 
@@ -2544,7 +3181,7 @@ export const onWaitlistOfferSent = onDocumentUpdated(
   {
     document: `${COLLECTIONS.REGISTRATIONS}/{registrationId}`,
     database: DATABASE_ID,
-    secrets: [sendgridApiKey],
+    secrets: [sendgridApiKey, smsApiKey],
   },
   async (event) => {
     const registrationId = event.params.registrationId;
@@ -2591,7 +3228,7 @@ export const onWaitlistOfferSent = onDocumentUpdated(
     };
 
     try {
-      const settingsDoc = await db.collection(COLLECTIONS.CONFERENCES).doc("conference-settings").get();
+      const settingsDoc = await db.collection(COLLECTIONS.CONFERENCES).doc(getEditionSettingsDocId(getRegistrationEditionId(after))).get();
       const data = settingsDoc.data();
       if (data) {
         settings = {
@@ -2705,7 +3342,17 @@ export const onWaitlistOfferSent = onDocumentUpdated(
           `,
         };
 
-          await sgMail.send(emailContent);
+          const templatedContent = await applyEmailTemplate(
+            EMAIL_TEMPLATE_KEY.WAITLIST_OFFER,
+            getEmailTemplateValues(EMAIL_TEMPLATE_KEY.WAITLIST_OFFER, after, settings.title),
+            {subject: emailContent.subject, html: emailContent.html}
+          );
+
+          await sgMail.send({
+            ...emailContent,
+            ...templatedContent,
+            customArgs: getEmailTrackingArgs(after.registrationId || registrationId, EMAIL_DELIVERY_TYPE.WAITLIST_OFFER),
+          });
           updateData.waitlistOfferEmailSent = true;
           updateData.waitlistOfferEmailSentAt = FieldValue.serverTimestamp();
           log.info("Waitlist offer email sent", {
@@ -2718,6 +3365,30 @@ export const onWaitlistOfferSent = onDocumentUpdated(
       }
     }
 
+    // Send waitlist offer SMS if phone is available
+    const primaryPhone = getAttendeePhone(after.primaryAttendee);
+    if (primaryPhone && after.waitlistOfferExpiresAt) {
+      try {
+        const smsSent = await sendSms({
+          to: primaryPhone,
+          message: SMS_TEMPLATES.waitlistOffer(
+            after.primaryAttendee?.firstName || "",
+            after.registrationId || registrationId,
+            after.waitlistOfferExpiresAt
+          ),
+          messageType: SMS_MESSAGE_TYPE.WAITLIST_OFFER,
+          registration: after,
+        });
+        if (smsSent) {
+          updateData.waitlistOfferSmsSent = true;
+          updateData.waitlistOfferSmsSentAt = FieldValue.serverTimestamp();
+          log.info("Waitlist offer SMS sent", {phone: primaryPhone.slice(-4)});
+        }
+      } catch (error) {
+        log.error("Error sending waitlist offer SMS", error);
+      }
+    }
+
     // Update document with notification status
     if (Object.keys(updateData).length > 0) {
       await event.data?.after?.ref.update(updateData);
@@ -2725,14 +3396,17 @@ export const onWaitlistOfferSent = onDocumentUpdated(
 
     log.end(true, {
       waitlistOfferEmailSent: updateData.waitlistOfferEmailSent || false,
+      waitlistOfferSmsSent: updateData.waitlistOfferSmsSent || false,
     });
   }
 );
 
 /**
- * Firestore trigger that auto-promotes the next waitlisted person when a
- * confirmed registration is cancelled. This ensures the waitlist queue
- * moves forward automatically.
+ * Firestore trigger that gives back the promo code redemption of a
+ * registration that was cancelled (including by cancelExpiredRegistrations),
+ * refunded or whose waitlist offer expired (expireWaitlistOffers), and
+ * auto-promotes the next waitlisted person when a confirmed registration is
+ * cancelled. This ensures the waitlist queue moves forward automatically.
  */
 export const onRegistrationCancelled = onDocumentUpdated(
   {
@@ -2752,6 +3426,20 @@ export const onRegistrationCancelled = onDocumentUpdated(
       return;
     }
 
+    const afterRef = event.data?.after?.ref;
+    if (afterRef && shouldReleasePromoCode(after)) {
+      try {
+        const releasedCode = await releaseRegistrationPromoCode(afterRef);
+        if (releasedCode) {
+          log.info("Released promo code redemption", {promoCode: releasedCode, status: after.status});
+        }
+      } catch (promoError) {
+        log.error("Error releasing promo code redemption", promoError, {
+          promoCode: after.promoRedemption?.code,
+        });
+      }
+    }
+
     // Only process when a CONFIRMED registration is cancelled
     if (before.status !== REGISTRATION_STATUS.CONFIRMED ||
         after.status !== REGISTRATION_STATUS.CANCELLED) {
@@ -2768,7 +3456,7 @@ export const onRegistrationCancelled = onDocumentUpdated(
 
     try {
       // Check if waitlist is enabled
-      const settingsDoc = await db.collection(COLLECTIONS.CONFERENCES).doc("conference-settings").get();
+      const settingsDoc = await db.collection(COLLECTIONS.CONFERENCES).doc(await getActiveSettingsDocId()).get();
       const settings = settingsDoc.data();
 
       if (!settings?.waitlist?.enabled) {
@@ -2945,7 +3633,7 @@ export const expireWaitlistOffers = onSchedule(
       const expiredIds: string[] = [];
 
       // Get conference settings for deadline calculation
-      const settingsDoc = await db.collection(COLLECTIONS.CONFERENCES).doc("conference-settings").get();
+      const settingsDoc = await db.collection(COLLECTIONS.CONFERENCES).doc(await getActiveSettingsDocId()).get();
       const settings = settingsDoc.data();
 
       // Process each expired offer
@@ -3026,6 +3714,76 @@ export const expireWaitlistOffers = onSchedule(
   }
 );
 
+/**
+ * Registrations read and stamped per batch when backfilling conferenceId
+ */
+const EDITION_BACKFILL_BATCH_SIZE = 400;
+
+/**
+ * Scheduled function that stamps conferenceId on the registrations of the
+ * default edition that predate editions, so every registration can be
+ * queried by edition. Runs hourly until the backfill has finished once;
+ * after that each run only reads the migrations document.
+ */
+export const backfillRegistrationEditions = onSchedule(
+  {
+    schedule: "15 * * * *", // Every hour
+    timeZone: "Asia/Manila",
+    region: "asia-southeast1",
+    timeoutSeconds: 540,
+  },
+  async () => {
+    const db = getFirestore(DATABASE_ID);
+    const migrationsRef = db.collection(COLLECTIONS.CONFERENCES).doc(MIGRATIONS_DOC_ID);
+    const migrationsDoc = await migrationsRef.get();
+    if (migrationsDoc.data()?.registrationEditionsBackfilledAt) {
+      return;
+    }
+
+    const log = cfLogger.createContext("backfillRegistrationEditions");
+    log.start({schedule: "15 * * * *", timezone: "Asia/Manila"});
+
+    try {
+      let stampedCount = 0;
+      let lastDoc: FirebaseFirestore.QueryDocumentSnapshot | undefined;
+
+      for (;;) {
+        let pageQuery = db.collection(COLLECTIONS.REGISTRATIONS)
+          .orderBy(FieldPath.documentId())
+          .limit(EDITION_BACKFILL_BATCH_SIZE);
+        if (lastDoc) {
+          pageQuery = pageQuery.startAfter(lastDoc);
+        }
+
+        const snapshot = await pageQuery.get();
+        if (snapshot.empty) break;
+
+        const legacyDocs = snapshot.docs.filter((registrationDoc) => needsEditionBackfill(registrationDoc.data()));
+        if (legacyDocs.length > 0) {
+          const batch = db.batch();
+          legacyDocs.forEach((registrationDoc) => {
+            batch.update(registrationDoc.ref, {conferenceId: DEFAULT_EDITION_ID});
+          });
+          await batch.commit();
+          stampedCount += legacyDocs.length;
+        }
+
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+      }
+
+      await migrationsRef.set({
+        registrationEditionsBackfilledAt: FieldValue.serverTimestamp(),
+      }, {merge: true});
+
+      log.end(true, {stampedCount});
+    } catch (error) {
+      log.error("Error backfilling registration editions", error);
+      log.end(false, {error: (error as Error).message});
+      throw error;
+    }
+  }
+);
+
 // Lazy-initialized Vision client
 let visionClient: ImageAnnotatorClient | null = null;
 
@@ -3155,14 +3913,123 @@ export const ocrReceipt = onCall(
   }
 );
 
+/**
+ * Callable Cloud Function to extract text from a PDF bank statement
+ *
+ * Used by the Finance Dashboard reconciliation import. Text is returned
+ * line by line so the client can parse dated transaction rows. Pages are
+ * read five at a time, up to STATEMENT_MAX_PAGES; truncated is set when the
+ * statement has more pages than were read.
+ * Restricted to finance admins and superadmins.
+ *
+ * @param request - Contains content (base64 PDF) and optional fileName
+ * @return {Promise<Object>} Extracted text, pages read, total pages and truncated flag
+ */
+export const extractBankStatementText = onCall(
+  {
+    region: "asia-southeast1",
+    maxInstances: 5,
+    memory: "1GiB",
+    timeoutSeconds: 300,
+  },
+  async (request) => {
+    const log = cfLogger.createContext("extractBankStatementText");
+
+    const {admin} = await verifyFinanceAdmin(request.auth?.uid);
+
+    const {content, fileName} = request.data as {
+      content?: string;
+      fileName?: string;
+    };
+
+    if (!content) {
+      log.error("Missing required parameter: content");
+      log.end(false, {reason: "missing_content"});
+      throw new HttpsError(
+        "invalid-argument",
+        "Missing required parameter: content (base64 encoded PDF)"
+      );
+    }
+
+    log.start({
+      fileName: fileName || null,
+      contentSize: content.length,
+      requestedBy: admin.email,
+    });
+
+    try {
+      const client = getVisionClient();
+      const pdfBuffer = Buffer.from(content, "base64");
+
+      /**
+       * Annotates some pages of the statement
+       *
+       * @param {number[]} pageNumbers - 1-based page numbers
+       * @return {Promise<Object>} Vision file response
+       */
+      const annotatePages = async (pageNumbers: number[]) => {
+        const [result] = await client.batchAnnotateFiles({
+          requests: [
+            {
+              inputConfig: {content: pdfBuffer, mimeType: "application/pdf"},
+              features: [{type: "DOCUMENT_TEXT_DETECTION"}],
+              pages: pageNumbers,
+            },
+          ],
+        });
+        return result.responses?.[0];
+      };
+
+      const firstResponse = await annotatePages(getFirstStatementPageBatch());
+      const pages = [...(firstResponse?.responses || [])];
+      const totalPages = firstResponse?.totalPages || pages.length;
+
+      // Batches run one after another to keep memory and Vision quota low
+      for (const pageNumbers of getRemainingStatementPageBatches(totalPages)) {
+        const response = await annotatePages(pageNumbers);
+        pages.push(...(response?.responses || []));
+      }
+
+      const text = pages
+        .map((page) => page.fullTextAnnotation?.text || "")
+        .join("\n");
+      const truncated = totalPages > pages.length;
+
+      log.end(true, {
+        pageCount: pages.length,
+        totalPages,
+        truncated,
+        charCount: text.length,
+      });
+
+      return {
+        text,
+        pageCount: pages.length,
+        totalPages,
+        truncated,
+      };
+    } catch (error) {
+      log.error("Vision API error", error);
+      log.end(false, {error: (error as Error).message});
+      throw new HttpsError(
+        "internal",
+        "Failed to extract text from the bank statement"
+      );
+    }
+  }
+);
+
 /**
  * Generates the plain text version of invoice email
  *
  * @param {object} data - Invoice data for email generation
+ * @param {string} data.conferenceName - Conference name
  * @param {string} data.invoiceName - Name to use in the invoice
  * @param {string} data.registrationId - Registration ID
  * @param {string} data.invoiceNumber - Invoice number
  * @param {number} data.amountPaid - Amount paid
+ * @param {number} data.subtotalAmount - Amount before discounts
+ * @param {Array} data.discounts - Applied discounts (label and amount)
  * @param {object} data.primaryAttendee - Primary attendee information
  * @param {string} data.primaryAttendee.firstName - Attendee first name
  * @param {string} data.primaryAttendee.lastName - Attendee last name
@@ -3170,22 +4037,34 @@ export const ocrReceipt = onCall(
  */
 function generateInvoiceEmailText(
   data: {
+    conferenceName: string;
     invoiceName: string;
     registrationId: string;
     invoiceNumber: string;
     amountPaid: number;
+    subtotalAmount?: number;
+    discounts?: Array<{label: string; amount: number}>;
     primaryAttendee: {firstName: string; lastName: string};
   }
 ): string {
+  const discounts = data.discounts || [];
+  const discountLines = discounts.length > 0 ?
+    `- Subtotal: ₱${(data.subtotalAmount || 0).toLocaleString()}\n` +
+      discounts
+        .map((discount) =>
+          `- ${discount.label}: -₱${discount.amount.toLocaleString()}\n`)
+        .join("") :
+    "";
+
   return `
 Dear ${data.invoiceName},
 
-Thank you for your registration to ${CONFERENCE_NAME}.
+Thank you for your registration to ${data.conferenceName}.
 
 Please find attached your invoice for:
 - Registration ID: ${data.registrationId}
 - Invoice Number: ${data.invoiceNumber}
-- Amount Paid: ₱${data.amountPaid.toLocaleString()}
+${discountLines}- Amount Paid: ₱${data.amountPaid.toLocaleString()}
 - Attendee: ${data.primaryAttendee.firstName} ${data.primaryAttendee.lastName}
 
 If you have any questions regarding your invoice, please contact us at ${INVOICE_CONTACT_EMAIL}.
@@ -3199,10 +4078,13 @@ IDMC GCFSM Finance Team
  * Generates the HTML version of invoice email
  *
  * @param {object} data - Invoice data for email generation
+ * @param {string} data.conferenceName - Conference name
  * @param {string} data.invoiceName - Name to use in the invoice
  * @param {string} data.registrationId - Registration ID
  * @param {string} data.invoiceNumber - Invoice number
  * @param {number} data.amountPaid - Amount paid
+ * @param {number} data.subtotalAmount - Amount before discounts
+ * @param {Array} data.discounts - Applied discounts (label and amount)
  * @param {object} data.primaryAttendee - Primary attendee information
  * @param {string} data.primaryAttendee.firstName - Attendee first name
  * @param {string} data.primaryAttendee.lastName - Attendee last name
@@ -3210,13 +4092,30 @@ IDMC GCFSM Finance Team
  */
 function generateInvoiceEmailHtml(
   data: {
+    conferenceName: string;
     invoiceName: string;
     registrationId: string;
     invoiceNumber: string;
     amountPaid: number;
+    subtotalAmount?: number;
+    discounts?: Array<{label: string; amount: number}>;
     primaryAttendee: {firstName: string; lastName: string};
   }
 ): string {
+  const discounts = data.discounts || [];
+  const discountRows = discounts.length > 0 ?
+    `
+      <div class="info-row">
+        <span class="info-label">Subtotal:</span>
+        <span class="info-value">₱${(data.subtotalAmount || 0).toLocaleString()}</span>
+      </div>` +
+      discounts.map((discount) => `
+      <div class="info-row">
+        <span class="info-label">${escapeHtml(discount.label)}:</span>
+        <span class="info-value">-₱${discount.amount.toLocaleString()}</span>
+      </div>`).join("") :
+    "";
+
   return `
 <!DOCTYPE html>
 <html>
@@ -3295,9 +4194,9 @@ function generateInvoiceEmailHtml(
   </div>
 
   <div class="content">
-    <p>Dear ${data.invoiceName},</p>
+    <p>Dear ${escapeHtml(data.invoiceName)},</p>
 
-    <p>Thank you for your registration to <strong>${CONFERENCE_NAME}</strong>.</p>
+    <p>Thank you for your registration to <strong>${escapeHtml(data.conferenceName)}</strong>.</p>
 
     <div class="attachment-notice">
       <strong>📎 Invoice Attached</strong><br>
@@ -3312,14 +4211,14 @@ function generateInvoiceEmailHtml(
       <div class="info-row">
         <span class="info-label">Invoice Number:</span>
         <span class="info-value">${data.invoiceNumber}</span>
-      </div>
+      </div>${discountRows}
       <div class="info-row">
         <span class="info-label">Amount Paid:</span>
         <span class="info-value">₱${data.amountPaid.toLocaleString()}</span>
       </div>
       <div class="info-row">
         <span class="info-label">Attendee:</span>
-        <span class="info-value">${data.primaryAttendee.firstName} ${data.primaryAttendee.lastName}</span>
+        <span class="info-value">${escapeHtml(data.primaryAttendee.firstName)} ${escapeHtml(data.primaryAttendee.lastName)}</span>
       </div>
     </div>
 
@@ -3476,6 +4375,54 @@ export const sendInvoiceEmail = onCall(
         contentType = "image/png";
       }
 
+      // Itemize promo code and group discounts on the invoice
+      const discounts: Array<{label: string; amount: number}> = [];
+      if (registration.discountAmount > 0) {
+        discounts.push({
+          label: registration.promo?.code ?
+            `Promo Discount (${registration.promo.code})` :
+            "Promo Discount",
+          amount: registration.discountAmount,
+        });
+      }
+      if (registration.groupDiscountAmount > 0) {
+        discounts.push({
+          label: registration.groupDiscount?.name ?
+            `Group Discount (${registration.groupDiscount.name})` :
+            "Group Discount",
+          amount: registration.groupDiscountAmount,
+        });
+      }
+
+      const conferenceName = await getEditionConferenceName(getRegistrationEditionId(registration));
+      const content = await applyEmailTemplate(
+        EMAIL_TEMPLATE_KEY.INVOICE,
+        getEmailTemplateValues(EMAIL_TEMPLATE_KEY.INVOICE, registration, conferenceName),
+        {
+          subject: `Invoice ${registration.invoice.invoiceNumber} - ${conferenceName}`,
+          text: generateInvoiceEmailText({
+            conferenceName,
+            invoiceName: registration.invoice.name,
+            registrationId: registration.registrationId,
+            invoiceNumber: registration.invoice.invoiceNumber,
+            amountPaid: registration.payment?.amountPaid || 0,
+            subtotalAmount: registration.subtotalAmount,
+            discounts,
+            primaryAttendee: registration.primaryAttendee,
+          }),
+          html: generateInvoiceEmailHtml({
+            conferenceName,
+            invoiceName: registration.invoice.name,
+            registrationId: registration.registrationId,
+            invoiceNumber: registration.invoice.invoiceNumber,
+            amountPaid: registration.payment?.amountPaid || 0,
+            subtotalAmount: registration.subtotalAmount,
+            discounts,
+            primaryAttendee: registration.primaryAttendee,
+          }),
+        }
+      );
+
       // Prepare email with attachment
       const msg = {
         to: primaryEmail,
@@ -3483,21 +4430,7 @@ export const sendInvoiceEmail = onCall(
           email: fromEmail,
           name: senderName.value() || "IDMC Finance Team",
         },
-        subject: `Invoice ${registration.invoice.invoiceNumber} - ${CONFERENCE_NAME}`,
-        text: generateInvoiceEmailText({
-          invoiceName: registration.invoice.name,
-          registrationId: registration.registrationId,
-          invoiceNumber: registration.invoice.invoiceNumber,
-          amountPaid: registration.payment?.amountPaid || 0,
-          primaryAttendee: registration.primaryAttendee,
-        }),
-        html: generateInvoiceEmailHtml({
-          invoiceName: registration.invoice.name,
-          registrationId: registration.registrationId,
-          invoiceNumber: registration.invoice.invoiceNumber,
-          amountPaid: registration.payment?.amountPaid || 0,
-          primaryAttendee: registration.primaryAttendee,
-        }),
+        ...content,
         attachments: [
           {
             content: base64Content,
@@ -3506,6 +4439,7 @@ export const sendInvoiceEmail = onCall(
             disposition: "attachment",
           },
         ],
+        customArgs: getEmailTrackingArgs(registrationId, EMAIL_DELIVERY_TYPE.INVOICE),
       };
 
       // Send email
@@ -4431,6 +5365,319 @@ export const cspReport = onRequest(
   }
 );
 
+// ============================================
+// Calendar Feeds
+// ============================================
+
+/**
+ * Public path of the calendar feeds (routed to calendarFeed by Hosting)
+ */
+const CALENDAR_FEED_PATH = "/calendar";
+
+/**
+ * Session types that have their own feed, with their display labels
+ * (mirrors SESSION_TYPE_LABELS on the frontend)
+ */
+const CALENDAR_SESSION_TYPE_LABELS: Record<string, string> = {
+  plenary: "Plenary",
+  workshop: "Workshop",
+  break: "Break",
+  registration: "Registration",
+  worship: "Worship",
+  lunch: "Lunch",
+  other: "Other",
+};
+
+/**
+ * Timezone used when the conference settings don't set one
+ */
+const DEFAULT_CONFERENCE_TIMEZONE = "Asia/Manila";
+
+/**
+ * How long calendar apps and the CDN may cache a feed, in seconds. Kept short
+ * so session changes reach subscribed calendars on their next refresh.
+ */
+const CALENDAR_FEED_CACHE_SECONDS = 300;
+
+/**
+ * Converts a venue room name to the slug used in its feed URL
+ *
+ * @param {string} name - Room name (e.g., "Main Hall")
+ * @return {string} Slug (e.g., "main-hall")
+ */
+function slugifyRoom(name: string): string {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Builds the public URL of a calendar feed
+ *
+ * @param {string} [feed] - Feed path below /calendar, e.g. "type/workshop"
+ * @return {string} Feed URL
+ */
+function getCalendarFeedUrl(feed = "idmc"): string {
+  return `${appUrl.value()}${CALENDAR_FEED_PATH}/${feed}.ics`;
+}
+
+/**
+ * Escapes text for an iCalendar property value
+ *
+ * @param {string} text - Raw text
+ * @return {string} Escaped text
+ */
+function escapeIcsText(text: string): string {
+  return text
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Folds an iCalendar content line longer than 75 characters
+ *
+ * @param {string} line - Content line
+ * @return {string} Folded line
+ */
+function foldIcsLine(line: string): string {
+  if (line.length <= 75) {
+    return line;
+  }
+  const parts = [line.slice(0, 75)];
+  for (let index = 75; index < line.length; index += 74) {
+    parts.push(` ${line.slice(index, index + 74)}`);
+  }
+  return parts.join("\r\n");
+}
+
+/**
+ * Formats a Date as a UTC iCalendar timestamp (e.g., 20260328T010000Z)
+ *
+ * @param {Date} date - Date to format
+ * @return {string} iCalendar timestamp
+ */
+function formatIcsUtc(date: Date): string {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * Gets the conference timezone from settings, falling back to the default
+ * when it is unset or not a valid IANA timezone
+ *
+ * @param {FirebaseFirestore.DocumentData|undefined} settings - Conference settings
+ * @return {string} IANA timezone
+ */
+function getConferenceTimeZone(settings: FirebaseFirestore.DocumentData | undefined): string {
+  const timeZone = settings?.timezone || DEFAULT_CONFERENCE_TIMEZONE;
+  try {
+    new Intl.DateTimeFormat("en-US", {timeZone});
+    return timeZone;
+  } catch {
+    logger.warn(`Invalid conference timezone "${timeZone}", using ${DEFAULT_CONFERENCE_TIMEZONE}`);
+    return DEFAULT_CONFERENCE_TIMEZONE;
+  }
+}
+
+/**
+ * Gets a timezone's UTC offset on a date in iCalendar form (e.g., +0800)
+ *
+ * @param {string} timeZone - IANA timezone
+ * @param {Date} date - Date the offset applies to
+ * @return {string} UTC offset
+ */
+function getIcsUtcOffset(timeZone: string, date: Date): string {
+  const name = new Intl.DateTimeFormat("en-US", {timeZone, timeZoneName: "longOffset"})
+    .formatToParts(date)
+    .find((part) => part.type === "timeZoneName")?.value || "GMT";
+  const match = name.match(/([+-])(\d{2}):(\d{2})/);
+  return match ? `${match[1]}${match[2]}${match[3]}` : "+0000";
+}
+
+/**
+ * Gets a session's local start or end time as an iCalendar date-time
+ * (e.g., 20260328T090000), from the conference start date, the session's
+ * day number and its HH:MM time
+ *
+ * @param {string} startDate - Conference start date (YYYY-MM-DD)
+ * @param {number} day - Conference day (1-based)
+ * @param {string} time - Time in HH:MM format
+ * @return {string|null} Local date-time, or null when the time is invalid
+ */
+function formatIcsLocal(startDate: string, day: number, time: string): string | null {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate) || !/^\d{2}:\d{2}$/.test(time || "")) {
+    return null;
+  }
+  const [year, month, date] = startDate.split("-").map(Number);
+  const sessionDate = new Date(Date.UTC(year, month - 1, date + Math.max(day, 1) - 1));
+  return `${sessionDate.toISOString().slice(0, 10).replace(/-/g, "")}T${time.replace(":", "")}00`;
+}
+
+/**
+ * Converts a Firestore timestamp to a Date
+ *
+ * @param {unknown} value - Firestore timestamp
+ * @return {Date|null} Date, or null when unset
+ */
+function timestampToDate(value: unknown): Date | null {
+  if (value && typeof (value as {toDate?: unknown}).toDate === "function") {
+    return (value as FirebaseFirestore.Timestamp).toDate();
+  }
+  return null;
+}
+
+/**
+ * Public iCalendar feeds of the published conference schedule
+ *
+ * Calendar apps subscribe to these URLs and refresh them periodically, so
+ * session changes made in the admin schedule appear on attendees' phones.
+ * Feeds are built from Firestore on every request:
+ * - /calendar/idmc.ics - the full programme
+ * - /calendar/type/{sessionType}.ics - one session type (e.g., workshop)
+ * - /calendar/room/{room}.ics - one venue room (slug of the session venue)
+ *
+ * Times are written in the conference timezone (settings.timezone) with a
+ * VTIMEZONE definition, so they show correctly in any device timezone. The
+ * VTIMEZONE uses the zone's offset on the conference start date, which holds
+ * for the whole conference.
+ */
+export const calendarFeed = onRequest(
+  {
+    region: "asia-southeast1",
+    maxInstances: 10,
+    cors: true,
+  },
+  async (req, res) => {
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      res.status(405).send("Method Not Allowed");
+      return;
+    }
+
+    // Feeds are addressed by path through Hosting, or by query on the function URL
+    const pathMatch = req.path.match(/\/(type|room)\/([a-z0-9-]+)\.ics$/);
+    const filterBy = pathMatch?.[1] ||
+      (req.query.type ? "type" : req.query.room ? "room" : null);
+    const filterValue = pathMatch?.[2] ||
+      String(req.query.type || req.query.room || "").toLowerCase();
+
+    if (filterBy === "type" && !CALENDAR_SESSION_TYPE_LABELS[filterValue]) {
+      res.status(404).send("Calendar not found");
+      return;
+    }
+
+    try {
+      const db = getFirestore(DATABASE_ID);
+      const [settingsDoc, sessionsSnapshot] = await Promise.all([
+        db.collection(COLLECTIONS.CONFERENCES).doc(await getActiveSettingsDocId()).get(),
+        db.collection(COLLECTIONS.SESSIONS)
+          .where("status", "==", "published")
+          .orderBy("order", "asc")
+          .get(),
+      ]);
+
+      const settings = settingsDoc.data() || {};
+      const title = getConferenceName(settings);
+      const startDate = settings.startDate || "2026-03-28";
+      const venueName = settings.venue?.name || "GCF South Metro";
+      const timeZone = getConferenceTimeZone(settings);
+
+      const sessions = sessionsSnapshot.docs.filter((sessionDoc) => {
+        const session = sessionDoc.data();
+        if (filterBy === "type") {
+          return session.sessionType === filterValue;
+        }
+        if (filterBy === "room") {
+          return slugifyRoom(session.venue || "") === filterValue;
+        }
+        return true;
+      });
+
+      let calendarName = title;
+      if (filterBy === "type") {
+        calendarName = `${title} - ${CALENDAR_SESSION_TYPE_LABELS[filterValue]} Sessions`;
+      } else if (filterBy === "room") {
+        if (sessions.length === 0) {
+          res.status(404).send("Calendar not found");
+          return;
+        }
+        calendarName = `${title} - ${sessions[0].data().venue}`;
+      }
+
+      const utcOffset = getIcsUtcOffset(timeZone, new Date(`${startDate}T12:00:00Z`));
+      const stamp = formatIcsUtc(new Date());
+      const lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        "PRODID:-//GCF South Metro//IDMC Event Site//EN",
+        "CALSCALE:GREGORIAN",
+        "METHOD:PUBLISH",
+        `X-WR-CALNAME:${escapeIcsText(calendarName)}`,
+        `X-WR-TIMEZONE:${timeZone}`,
+        "REFRESH-INTERVAL;VALUE=DURATION:PT1H",
+        "X-PUBLISHED-TTL:PT1H",
+        "BEGIN:VTIMEZONE",
+        `TZID:${timeZone}`,
+        "BEGIN:STANDARD",
+        "DTSTART:19700101T000000",
+        `TZOFFSETFROM:${utcOffset}`,
+        `TZOFFSETTO:${utcOffset}`,
+        "END:STANDARD",
+        "END:VTIMEZONE",
+      ];
+
+      sessions.forEach((sessionDoc) => {
+        const session = sessionDoc.data();
+        const day = Number(session.day) || 1;
+        const start = formatIcsLocal(startDate, day, session.startTime);
+        if (!start) {
+          return;
+        }
+        const end = formatIcsLocal(startDate, day, session.endTime) || start;
+        const speakerNames: string[] = session.speakerNames || [];
+        const description = [
+          session.description,
+          speakerNames.length ? `Speakers: ${speakerNames.join(", ")}` : "",
+          session.venue ? `Room: ${session.venue}` : "",
+        ].filter(Boolean).join("\n\n");
+        const updatedAt = timestampToDate(session.updatedAt);
+
+        lines.push(
+          "BEGIN:VEVENT",
+          `UID:${sessionDoc.id}@idmc-gcfsm`,
+          `DTSTAMP:${stamp}`,
+          `DTSTART;TZID=${timeZone}:${start}`,
+          `DTEND;TZID=${timeZone}:${end > start ? end : start}`,
+          `SEQUENCE:${Number(session.calendarSequence) || 0}`,
+          `SUMMARY:${escapeIcsText(session.title || "Session")}`,
+          `LOCATION:${escapeIcsText([session.venue, venueName].filter(Boolean).join(", "))}`
+        );
+        if (description) {
+          lines.push(`DESCRIPTION:${escapeIcsText(description)}`);
+        }
+        if (CALENDAR_SESSION_TYPE_LABELS[session.sessionType]) {
+          lines.push(`CATEGORIES:${CALENDAR_SESSION_TYPE_LABELS[session.sessionType]}`);
+        }
+        if (updatedAt) {
+          lines.push(`LAST-MODIFIED:${formatIcsUtc(updatedAt)}`);
+        }
+        if (appUrl.value()) {
+          lines.push(`URL:${appUrl.value()}/schedule`);
+        }
+        lines.push("END:VEVENT");
+      });
+
+      lines.push("END:VCALENDAR");
+
+      res.set("Content-Type", "text/calendar; charset=utf-8");
+      res.set("Content-Disposition", `inline; filename="${pathMatch?.[2] || filterValue || "idmc"}.ics"`);
+      res.set("Cache-Control", `public, max-age=${CALENDAR_FEED_CACHE_SECONDS}`);
+      res.status(200).send(`${lines.map(foldIcsLine).join("\r\n")}\r\n`);
+    } catch (error) {
+      logger.error("Error generating calendar feed:", error);
+      res.status(500).send("Failed to generate calendar");
+    }
+  }
+);
+
 /**
  * Helper function to count checked-in attendees in a registration
  *
@@ -4477,6 +5724,9 @@ export const syncConferenceStats = onSchedule(
     const db = getFirestore(DATABASE_ID);
 
     try {
+      // Stats are kept per edition; only the active edition is re-synced
+      const editionId = await getActiveEditionId();
+
       // Query all confirmed and pending_verification registrations
       const confirmedQuery = await db.collection(COLLECTIONS.REGISTRATIONS)
         .where("status", "in", [
@@ -4506,6 +5756,11 @@ export const syncConferenceStats = onSchedule(
         pending: number;
         count: number;
       }> = {};
+      let totalDiscounts = 0;
+      const promoCodeStats: Record<string, {
+        count: number;
+        discount: number;
+      }> = {};
 
       // Church stats
       const churchStats: Record<string, {
@@ -4522,6 +5777,9 @@ export const syncConferenceStats = onSchedule(
 
       confirmedQuery.forEach((docSnapshot) => {
         const data = docSnapshot.data();
+        if (getRegistrationEditionId(data) !== editionId) {
+          return;
+        }
         const isConfirmed = data.status === REGISTRATION_STATUS.CONFIRMED;
         const isPendingVerification =
           data.status === REGISTRATION_STATUS.PENDING_VERIFICATION;
@@ -4577,6 +5835,18 @@ export const syncConferenceStats = onSchedule(
           }
         }
 
+        // Per-promo-code discount stats
+        const promoCode = data.promo?.code;
+        const discountAmount = data.discountAmount || 0;
+        if (promoCode && discountAmount > 0) {
+          if (!promoCodeStats[promoCode]) {
+            promoCodeStats[promoCode] = {count: 0, discount: 0};
+          }
+          promoCodeStats[promoCode].count++;
+          promoCodeStats[promoCode].discount += discountAmount;
+          totalDiscounts += discountAmount;
+        }
+
         // Count workshop selections for primary attendee
         // Support both old field name (workshopSelection) and new (workshopSelections)
         const primaryWorkshops = data.primaryAttendee?.workshopSelections ||
@@ -4683,7 +5953,7 @@ export const syncConferenceStats = onSchedule(
       // Update stats document with all counts
       const statsRef = db
         .collection(COLLECTIONS.STATS)
-        .doc(STATS_DOC_ID);
+        .doc(getEditionStatsDocId(editionId));
 
       await statsRef.set({
         // Registration stats
@@ -4699,6 +5969,8 @@ export const syncConferenceStats = onSchedule(
         totalConfirmedPayments,
         totalPendingPayments,
         bankAccountStats,
+        totalDiscounts,
+        promoCodeStats,
         // Church stats
         churchStats,
         totalChurches: Object.keys(churchStats).length,
@@ -4845,7 +6117,7 @@ export const onRegistrationStatsUpdate = onDocumentUpdated(
       // Update stats document with attendee count
       const statsRef = db
         .collection(COLLECTIONS.STATS)
-        .doc(STATS_DOC_ID);
+        .doc(getEditionStatsDocId(getRegistrationEditionId(after)));
 
       await statsRef.set({
         registeredAttendeeCount: FieldValue.increment(delta),
@@ -4967,6 +6239,9 @@ export const triggerStatsSync = onCall(
     });
 
     try {
+      // Stats are kept per edition; only the active edition is re-synced
+      const editionId = await getActiveEditionId();
+
       // Query all confirmed and pending_verification registrations
       const confirmedQuery = await db.collection(COLLECTIONS.REGISTRATIONS)
         .where("status", "in", [
@@ -4994,6 +6269,11 @@ export const triggerStatsSync = onCall(
         pending: number;
         count: number;
       }> = {};
+      let totalDiscounts = 0;
+      const promoCodeStats: Record<string, {
+        count: number;
+        discount: number;
+      }> = {};
 
       // Church stats
       const churchStats: Record<string, {
@@ -5010,6 +6290,9 @@ export const triggerStatsSync = onCall(
 
       confirmedQuery.forEach((docSnapshot) => {
         const data = docSnapshot.data();
+        if (getRegistrationEditionId(data) !== editionId) {
+          return;
+        }
         const isConfirmed = data.status === REGISTRATION_STATUS.CONFIRMED;
         const isPendingVerification =
           data.status === REGISTRATION_STATUS.PENDING_VERIFICATION;
@@ -5062,6 +6345,18 @@ export const triggerStatsSync = onCall(
           }
         }
 
+        // Per-promo-code discount stats
+        const promoCode = data.promo?.code;
+        const discountAmount = data.discountAmount || 0;
+        if (promoCode && discountAmount > 0) {
+          if (!promoCodeStats[promoCode]) {
+            promoCodeStats[promoCode] = {count: 0, discount: 0};
+          }
+          promoCodeStats[promoCode].count++;
+          promoCodeStats[promoCode].discount += discountAmount;
+          totalDiscounts += discountAmount;
+        }
+
         // Count workshop selections
         // Support both old field name (workshopSelection) and new (workshopSelections)
         const primaryWorkshops = data.primaryAttendee?.workshopSelections ||
@@ -5152,7 +6447,8 @@ export const triggerStatsSync = onCall(
       });
 
       // Update stats document
-      const statsRef = db.collection(COLLECTIONS.STATS).doc(STATS_DOC_ID);
+      const statsRef = db.collection(COLLECTIONS.STATS)
+        .doc(getEditionStatsDocId(editionId));
       await statsRef.set({
         // Registration stats
         registeredAttendeeCount: totalAttendees,
@@ -5167,6 +6463,8 @@ export const triggerStatsSync = onCall(
         totalConfirmedPayments,
         totalPendingPayments,
         bankAccountStats,
+        totalDiscounts,
+        promoCodeStats,
         // Church stats
         churchStats,
         totalChurches: Object.keys(churchStats).length,
@@ -5321,7 +6619,8 @@ export const onCheckInStatsUpdate = onDocumentUpdated(
     });
 
     const db = getFirestore(DATABASE_ID);
-    const statsRef = db.collection(COLLECTIONS.STATS).doc(STATS_DOC_ID);
+    const statsRef = db.collection(COLLECTIONS.STATS)
+      .doc(getEditionStatsDocId(getRegistrationEditionId(after)));
 
     // Determine registration-level check-in status changes
     const wasFullyCheckedIn = beforeCheckedIn === attendeeCount;
@@ -5391,17 +6690,46 @@ const VERIFICATION_CODE_CONFIG = {
 };
 
 /**
- * Verification code types for cancel/transfer actions
+ * Verification code types for cancel/transfer/edit/certificate actions and
+ * for resuming a saved registration draft
  */
 const VERIFICATION_ACTION = {
   CANCEL: "cancel",
   TRANSFER: "transfer",
+  EDIT: "edit",
+  CERTIFICATE: "certificate",
+  AGENDA: "agenda",
+  RESUME_DRAFT: "resume_draft",
 } as const;
 
 type VerificationAction = typeof VERIFICATION_ACTION[keyof typeof VERIFICATION_ACTION];
 
 /**
- * Generates a random numeric verification code
+ * Phrases describing each verification action in emails
+ */
+const VERIFICATION_ACTION_TEXT: Record<VerificationAction, string> = {
+  [VERIFICATION_ACTION.CANCEL]: "cancel your registration",
+  [VERIFICATION_ACTION.TRANSFER]: "transfer your registration",
+  [VERIFICATION_ACTION.EDIT]: "edit your registration details",
+  [VERIFICATION_ACTION.CERTIFICATE]: "download your certificates of attendance",
+  [VERIFICATION_ACTION.AGENDA]: "sync your personal agenda",
+  [VERIFICATION_ACTION.RESUME_DRAFT]: "resume your saved registration",
+};
+
+/**
+ * Email subject labels for each verification action
+ */
+const VERIFICATION_ACTION_LABEL: Record<VerificationAction, string> = {
+  [VERIFICATION_ACTION.CANCEL]: "Cancellation",
+  [VERIFICATION_ACTION.TRANSFER]: "Transfer",
+  [VERIFICATION_ACTION.EDIT]: "Edit Details",
+  [VERIFICATION_ACTION.CERTIFICATE]: "Certificate Download",
+  [VERIFICATION_ACTION.AGENDA]: "My Agenda",
+  [VERIFICATION_ACTION.RESUME_DRAFT]: "Resume Registration",
+};
+
+/**
+ * Generates a random numeric verification code
  *
  * @param {number} length - Length of the code
  * @return {string} The generated code
@@ -5418,10 +6746,11 @@ function generateVerificationCode(length = 6): string {
  * Generates HTML email content for verification code
  *
  * @param {string} code - The verification code
- * @param {string} action - The action (cancel or transfer)
+ * @param {string} action - The action (cancel, transfer, or certificate)
  * @param {string} attendeeName - Name of the attendee
  * @param {string} conferenceTitle - Conference title
  * @param {number} expiryMinutes - Minutes until code expires
+ * @param {string} [actionUrl] - Page where the code is entered, linked from the email
  * @return {string} HTML email content
  */
 function generateVerificationCodeEmailHtml(
@@ -5429,11 +6758,20 @@ function generateVerificationCodeEmailHtml(
   action: VerificationAction,
   attendeeName: string,
   conferenceTitle: string,
-  expiryMinutes: number
+  expiryMinutes: number,
+  actionUrl?: string
 ): string {
-  const actionText = action === VERIFICATION_ACTION.CANCEL ?
-    "cancel your registration" :
-    "transfer your registration";
+  const actionText = VERIFICATION_ACTION_TEXT[action];
+  const actionLink = actionUrl ? `
+        <div style="text-align: center; margin: 0 0 30px;">
+          <a href="${actionUrl}" style="display: inline-block; background: #1e40af; color: white; text-decoration: none; padding: 12px 28px; border-radius: 8px; font-weight: 600; font-size: 14px;">
+            Continue where you left off
+          </a>
+          <p style="font-size: 12px; color: #6b7280; margin: 10px 0 0;">
+            If the code has expired, open the link and request a new one.
+          </p>
+        </div>
+  ` : "";
 
   return `
     <!DOCTYPE html>
@@ -5471,6 +6809,7 @@ function generateVerificationCodeEmailHtml(
             This code expires in ${expiryMinutes} minutes
           </p>
         </div>
+${actionLink}
 
         <div style="background: #fef3c7; border-left: 4px solid #f59e0b; padding: 15px; margin: 0 0 30px; border-radius: 0 8px 8px 0;">
           <p style="margin: 0; font-size: 13px; color: #92400e;">
@@ -5486,7 +6825,7 @@ function generateVerificationCodeEmailHtml(
 
       <div style="text-align: center; padding: 20px; color: #9ca3af; font-size: 12px;">
         <p style="margin: 0;">
-          © ${new Date().getFullYear()} ${CONFERENCE_NAME}. All rights reserved.
+          © ${new Date().getFullYear()} ${conferenceTitle}. All rights reserved.
         </p>
       </div>
     </body>
@@ -5498,20 +6837,25 @@ function generateVerificationCodeEmailHtml(
  * Generates plain text email content for verification code
  *
  * @param {string} code - The verification code
- * @param {string} action - The action (cancel or transfer)
+ * @param {string} action - The action (cancel, transfer, or certificate)
  * @param {string} attendeeName - Name of the attendee
+ * @param {string} conferenceTitle - Conference title
  * @param {number} expiryMinutes - Minutes until code expires
+ * @param {string} [actionUrl] - Page where the code is entered, linked from the email
  * @return {string} Plain text email content
  */
 function generateVerificationCodeEmailText(
   code: string,
   action: VerificationAction,
   attendeeName: string,
-  expiryMinutes: number
+  conferenceTitle: string,
+  expiryMinutes: number,
+  actionUrl?: string
 ): string {
-  const actionText = action === VERIFICATION_ACTION.CANCEL ?
-    "cancel your registration" :
-    "transfer your registration";
+  const actionText = VERIFICATION_ACTION_TEXT[action];
+  const actionLink = actionUrl ?
+    `\nContinue where you left off: ${actionUrl}\n(If the code has expired, open the link and request a new one.)\n` :
+    "";
 
   return `
 Hi ${attendeeName},
@@ -5521,12 +6865,12 @@ You have requested to ${actionText}. Please use the verification code below to p
 Verification Code: ${code}
 
 This code expires in ${expiryMinutes} minutes.
-
+${actionLink}
 IMPORTANT: If you did not request this verification code, please ignore this email. Your registration will remain unchanged.
 
 If you need assistance, please contact us through our website.
 
-- ${CONFERENCE_NAME} Team
+- ${conferenceTitle} Team
   `.trim();
 }
 
@@ -5549,10 +6893,10 @@ export const sendVerificationCode = onCall(
   {
     region: "asia-southeast1",
     maxInstances: 10,
-    secrets: [sendgridApiKey],
+    secrets: [sendgridApiKey, smsApiKey],
   },
   async (request) => {
-    const {registrationId, action, sendSms} = request.data as {
+    const {registrationId, action, sendSms: includeSms} = request.data as {
       registrationId?: string;
       action?: string;
       sendSms?: boolean;
@@ -5568,14 +6912,16 @@ export const sendVerificationCode = onCall(
       throw new HttpsError("invalid-argument", "Registration ID is required");
     }
 
-    if (!action || !Object.values(VERIFICATION_ACTION).includes(
-      action as VerificationAction
-    )) {
+    // Draft resume codes are keyed by email and sent by sendDraftResumeCode
+    if (!action || action === VERIFICATION_ACTION.RESUME_DRAFT ||
+        !Object.values(VERIFICATION_ACTION).includes(
+          action as VerificationAction
+        )) {
       log.error("Invalid action", undefined, {action});
       log.end(false, {reason: "invalid_action"});
       throw new HttpsError(
         "invalid-argument",
-        "Action must be 'cancel' or 'transfer'"
+        "Action must be 'cancel', 'transfer', 'edit', 'certificate', or 'agenda'"
       );
     }
 
@@ -5615,12 +6961,15 @@ export const sendVerificationCode = onCall(
       throw new HttpsError("not-found", "Registration data is empty");
     }
 
-    // Validate status allows cancellation/transfer
-    const validStatuses = [
-      REGISTRATION_STATUS.PENDING_PAYMENT,
-      REGISTRATION_STATUS.PENDING_VERIFICATION,
-      REGISTRATION_STATUS.CONFIRMED,
-    ];
+    // Validate status allows cancellation/transfer/edits. Certificates are only
+    // issued to confirmed registrations.
+    const validStatuses: string[] = action === VERIFICATION_ACTION.CERTIFICATE ?
+      [REGISTRATION_STATUS.CONFIRMED] :
+      [
+        REGISTRATION_STATUS.PENDING_PAYMENT,
+        REGISTRATION_STATUS.PENDING_VERIFICATION,
+        REGISTRATION_STATUS.CONFIRMED,
+      ];
 
     if (!validStatuses.includes(registration.status)) {
       log.error("Invalid registration status", undefined, {
@@ -5661,14 +7010,14 @@ export const sendVerificationCode = onCall(
     }
 
     // Get conference settings for title
-    let conferenceTitle = CONFERENCE_NAME;
+    let conferenceTitle = CONFERENCE_SHORT_NAME;
     try {
       const settingsDoc = await db
         .collection(COLLECTIONS.CONFERENCES)
-        .doc("conference-settings")
+        .doc(await getActiveSettingsDocId())
         .get();
       if (settingsDoc.exists) {
-        conferenceTitle = settingsDoc.data()?.title || CONFERENCE_NAME;
+        conferenceTitle = getConferenceName(settingsDoc.data());
       }
     } catch (err) {
       log.warn("Could not fetch conference title", {error: err});
@@ -5732,9 +7081,7 @@ export const sendVerificationCode = onCall(
         throw new Error("SENDER_EMAIL not configured");
       }
 
-      const actionLabel = action === VERIFICATION_ACTION.CANCEL ?
-        "Cancellation" :
-        "Transfer";
+      const actionLabel = VERIFICATION_ACTION_LABEL[action as VerificationAction];
 
       const msg = {
         to: primaryEmail,
@@ -5747,6 +7094,7 @@ export const sendVerificationCode = onCall(
           code,
           action as VerificationAction,
           attendeeName,
+          conferenceTitle,
           VERIFICATION_CODE_CONFIG.EXPIRY_MINUTES
         ),
         html: generateVerificationCodeEmailHtml(
@@ -5762,20 +7110,24 @@ export const sendVerificationCode = onCall(
       log.info("Verification code email sent", {to: primaryEmail});
 
       // Optionally send SMS
+      // The registrant asked for the code by SMS, so no opt-in is needed;
+      // the code itself is never written to the SMS log
       let smsSent = false;
-      if (sendSms && registration.primaryAttendee?.cellphone) {
-        const smsSettings = await getSmsSettings();
-        if (smsSettings.enabled) {
-          const smsMessage = `Your ${conferenceTitle} verification code is: ${code}. This code expires in ${VERIFICATION_CODE_CONFIG.EXPIRY_MINUTES} minutes.`;
-
-          smsSent = await sendSmsViaOneWaySms(
-            registration.primaryAttendee.cellphone,
-            smsMessage
-          );
+      const primaryPhone = getAttendeePhone(registration.primaryAttendee);
+      if (includeSms && primaryPhone) {
+        const smsMessage = `Your ${conferenceTitle} verification code is: ${code}. This code expires in ${VERIFICATION_CODE_CONFIG.EXPIRY_MINUTES} minutes.`;
+
+        smsSent = await sendSms({
+          to: primaryPhone,
+          message: smsMessage,
+          messageType: SMS_MESSAGE_TYPE.VERIFICATION_CODE,
+          registration,
+          requireConsent: false,
+          logMessage: false,
+        });
 
-          if (smsSent) {
-            log.info("Verification code SMS sent");
-          }
+        if (smsSent) {
+          log.info("Verification code SMS sent");
         }
       }
 
@@ -5809,6 +7161,120 @@ export const sendVerificationCode = onCall(
   }
 );
 
+/**
+ * Checks a submitted code against a stored verification code without using
+ * it up. Wrong codes count towards the attempt limit; expired codes and codes
+ * past their attempt limit are deleted so a new one has to be requested.
+ *
+ * @param {FirebaseFirestore.DocumentReference} codeRef - Verification code document
+ * @param {string} code - The code submitted by the user
+ * @param {Object} log - Logger context from cfLogger.createContext
+ * @return {Promise<void>} Resolves when the code is valid
+ */
+async function checkVerificationCode(
+  codeRef: FirebaseFirestore.DocumentReference,
+  code: string,
+  log: ReturnType<typeof cfLogger.createContext>
+): Promise<void> {
+  const codeDoc = await codeRef.get();
+
+  if (!codeDoc.exists) {
+    log.error("Verification code not found");
+    log.end(false, {reason: "code_not_found"});
+    throw new HttpsError(
+      "not-found",
+      "No verification code found. Please request a new code."
+    );
+  }
+
+  const codeData = codeDoc.data();
+  if (!codeData) {
+    throw new HttpsError("not-found", "Verification data is empty");
+  }
+
+  // Check if code is already used
+  if (codeData.used) {
+    log.error("Code already used");
+    log.end(false, {reason: "code_already_used"});
+    throw new HttpsError(
+      "failed-precondition",
+      "This code has already been used. Please request a new code."
+    );
+  }
+
+  // Check if code has expired
+  const expiresAt = new Date(codeData.expiresAt);
+  if (expiresAt < new Date()) {
+    log.error("Code expired", undefined, {expiresAt: codeData.expiresAt});
+    log.end(false, {reason: "code_expired"});
+
+    // Delete expired code
+    await codeRef.delete();
+
+    throw new HttpsError(
+      "failed-precondition",
+      "This code has expired. Please request a new code."
+    );
+  }
+
+  // Check attempt count
+  if (codeData.attempts >= codeData.maxAttempts) {
+    log.error("Max attempts exceeded", undefined, {
+      attempts: codeData.attempts,
+    });
+    log.end(false, {reason: "max_attempts_exceeded"});
+
+    // Delete the code to force new request
+    await codeRef.delete();
+
+    throw new HttpsError(
+      "resource-exhausted",
+      "Too many incorrect attempts. Please request a new code."
+    );
+  }
+
+  // Verify the code
+  if (codeData.code !== code) {
+    // Increment attempt counter
+    await codeRef.update({
+      attempts: FieldValue.increment(1),
+      lastAttemptAt: FieldValue.serverTimestamp(),
+    });
+
+    const remainingAttempts = codeData.maxAttempts - codeData.attempts - 1;
+    log.warn("Invalid code attempt", {remainingAttempts});
+    log.end(false, {reason: "invalid_code"});
+
+    throw new HttpsError(
+      "permission-denied",
+      `Invalid code. ${remainingAttempts} attempt${remainingAttempts === 1 ? "" : "s"} remaining.`
+    );
+  }
+}
+
+/**
+ * Checks a submitted code against a stored verification code and marks it
+ * used on success
+ *
+ * @param {FirebaseFirestore.DocumentReference} codeRef - Verification code document
+ * @param {string} code - The code submitted by the user
+ * @param {Object} log - Logger context from cfLogger.createContext
+ * @return {Promise<void>} Resolves when the code is valid
+ */
+async function consumeVerificationCode(
+  codeRef: FirebaseFirestore.DocumentReference,
+  code: string,
+  log: ReturnType<typeof cfLogger.createContext>
+): Promise<void> {
+  await checkVerificationCode(codeRef, code, log);
+
+  // Code is valid - mark as used
+  await codeRef.update({
+    used: true,
+    usedAt: FieldValue.serverTimestamp(),
+  });
+}
+
 /**
  * Verifies a verification code for cancel/transfer actions
  *
@@ -5869,86 +7335,7 @@ export const verifyCode = onCall(
     const codeDocId = `${registrationId.toUpperCase()}_${action}`;
     const codeRef = db.collection(COLLECTIONS.VERIFICATION_CODES).doc(codeDocId);
 
-    const codeDoc = await codeRef.get();
-
-    if (!codeDoc.exists) {
-      log.error("Verification code not found");
-      log.end(false, {reason: "code_not_found"});
-      throw new HttpsError(
-        "not-found",
-        "No verification code found. Please request a new code."
-      );
-    }
-
-    const codeData = codeDoc.data();
-    if (!codeData) {
-      throw new HttpsError("not-found", "Verification data is empty");
-    }
-
-    // Check if code is already used
-    if (codeData.used) {
-      log.error("Code already used");
-      log.end(false, {reason: "code_already_used"});
-      throw new HttpsError(
-        "failed-precondition",
-        "This code has already been used. Please request a new code."
-      );
-    }
-
-    // Check if code has expired
-    const expiresAt = new Date(codeData.expiresAt);
-    if (expiresAt < new Date()) {
-      log.error("Code expired", undefined, {expiresAt: codeData.expiresAt});
-      log.end(false, {reason: "code_expired"});
-
-      // Delete expired code
-      await codeRef.delete();
-
-      throw new HttpsError(
-        "failed-precondition",
-        "This code has expired. Please request a new code."
-      );
-    }
-
-    // Check attempt count
-    if (codeData.attempts >= codeData.maxAttempts) {
-      log.error("Max attempts exceeded", undefined, {
-        attempts: codeData.attempts,
-      });
-      log.end(false, {reason: "max_attempts_exceeded"});
-
-      // Delete the code to force new request
-      await codeRef.delete();
-
-      throw new HttpsError(
-        "resource-exhausted",
-        "Too many incorrect attempts. Please request a new code."
-      );
-    }
-
-    // Verify the code
-    if (codeData.code !== code) {
-      // Increment attempt counter
-      await codeRef.update({
-        attempts: FieldValue.increment(1),
-        lastAttemptAt: FieldValue.serverTimestamp(),
-      });
-
-      const remainingAttempts = codeData.maxAttempts - codeData.attempts - 1;
-      log.warn("Invalid code attempt", {remainingAttempts});
-      log.end(false, {reason: "invalid_code"});
-
-      throw new HttpsError(
-        "permission-denied",
-        `Invalid code. ${remainingAttempts} attempt${remainingAttempts === 1 ? "" : "s"} remaining.`
-      );
-    }
-
-    // Code is valid - mark as used
-    await codeRef.update({
-      used: true,
-      usedAt: FieldValue.serverTimestamp(),
-    });
+    await consumeVerificationCode(codeRef, code, log);
 
     // Log successful verification
     await logAuditEvent({
@@ -5969,560 +7356,3939 @@ export const verifyCode = onCall(
   }
 );
 
+// ============================================================================
+// My Agenda Sync
+// ============================================================================
+
 /**
- * Generates HTML email content for transfer notification to new attendee
- *
- * @param {string} newAttendeeName - Name of the new attendee
- * @param {string} originalAttendeeName - Name of the original attendee
- * @param {string} registrationId - Registration ID
- * @param {string} conferenceTitle - Conference title
- * @param {Object} conferenceDetails - Conference details (date, venue)
- * @return {string} HTML email content
+ * Most sessions an attendee can star on their agenda
  */
-function generateTransferNotificationHtml(
-  newAttendeeName: string,
-  originalAttendeeName: string,
-  registrationId: string,
-  conferenceTitle: string,
-  conferenceDetails: {date?: string; venue?: string}
-): string {
-  return `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <meta charset="utf-8">
-      <meta name="viewport" content="width=device-width, initial-scale=1">
-      <title>Registration Transfer Notification</title>
-    </head>
-    <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #1f2937; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f3f4f6;">
-      <div style="background: linear-gradient(135deg, #10b981 0%, #047857 100%); padding: 40px 20px; text-align: center; border-radius: 12px 12px 0 0;">
-        <h1 style="color: white; margin: 0; font-size: 24px; font-weight: 600;">
-          🎉 Registration Transferred to You!
-        </h1>
-        <p style="color: rgba(255,255,255,0.9); margin: 10px 0 0; font-size: 14px;">
-          ${conferenceTitle}
-        </p>
-      </div>
-
-      <div style="background: white; padding: 40px 30px; border-radius: 0 0 12px 12px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
-        <p style="font-size: 16px; margin: 0 0 20px;">
-          Hi ${newAttendeeName},
-        </p>
-
-        <p style="font-size: 14px; margin: 0 0 20px; color: #4b5563;">
-          Great news! <strong>${originalAttendeeName}</strong> has transferred their
-          conference registration to you. You are now registered to attend the
-          <strong>${conferenceTitle}</strong>!
-        </p>
-
-        <div style="background: #f0fdf4; border: 2px solid #10b981; border-radius: 12px; padding: 20px; margin: 0 0 30px;">
-          <h3 style="color: #166534; margin: 0 0 15px; font-size: 16px;">Your Registration Details:</h3>
-          <p style="margin: 0 0 8px; font-size: 14px;">
-            <strong>Registration ID:</strong> ${registrationId}
-          </p>
-          ${conferenceDetails.date ? `
-          <p style="margin: 0 0 8px; font-size: 14px;">
-            <strong>Date:</strong> ${conferenceDetails.date}
-          </p>
-          ` : ""}
-          ${conferenceDetails.venue ? `
-          <p style="margin: 0; font-size: 14px;">
-            <strong>Venue:</strong> ${conferenceDetails.venue}
-          </p>
-          ` : ""}
-        </div>
-
-        <div style="background: #dbeafe; border-left: 4px solid #3b82f6; padding: 15px; margin: 0 0 30px; border-radius: 0 8px 8px 0;">
-          <p style="margin: 0; font-size: 13px; color: #1e40af;">
-            <strong>What's next?</strong> You can check your registration status
-            and download your ticket on our website using your email address or
-            registration ID.
-          </p>
-        </div>
-
-        <p style="font-size: 14px; margin: 0; color: #6b7280;">
-          We look forward to seeing you at the conference! If you have any questions,
-          please contact us through our website.
-        </p>
-      </div>
+const AGENDA_MAX_SESSIONS = 100;
 
-      <div style="text-align: center; padding: 20px; color: #9ca3af; font-size: 12px;">
-        <p style="margin: 0;">
-          © ${new Date().getFullYear()} ${CONFERENCE_NAME}. All rights reserved.
-        </p>
-      </div>
-    </body>
-    </html>
-  `;
-}
+/**
+ * Most devices that can sync one registration's agenda. Linking another
+ * device drops the oldest.
+ */
+const AGENDA_MAX_DEVICES = 10;
 
 /**
- * Generates plain text email content for transfer notification
+ * Validates the starred session IDs sent by the schedule page
  *
- * @param {string} newAttendeeName - Name of the new attendee
- * @param {string} originalAttendeeName - Name of the original attendee
- * @param {string} registrationId - Registration ID
- * @param {string} conferenceTitle - Conference title
- * @param {Object} conferenceDetails - Conference details (date, venue)
- * @return {string} Plain text email content
+ * @param {unknown} sessionIds - Session IDs from the request
+ * @return {string[]} Unique session IDs
  */
-function generateTransferNotificationText(
-  newAttendeeName: string,
-  originalAttendeeName: string,
-  registrationId: string,
-  conferenceTitle: string,
-  conferenceDetails: {date?: string; venue?: string}
-): string {
-  let details = `Registration ID: ${registrationId}`;
-  if (conferenceDetails.date) {
-    details += `\nDate: ${conferenceDetails.date}`;
+function normalizeAgendaSessionIds(sessionIds: unknown): string[] {
+  if (!Array.isArray(sessionIds) ||
+      sessionIds.some((id) => typeof id !== "string" || !id || id.length > 200)) {
+    throw new HttpsError("invalid-argument", "Session IDs must be a list of IDs");
   }
-  if (conferenceDetails.venue) {
-    details += `\nVenue: ${conferenceDetails.venue}`;
+  const uniqueIds = [...new Set(sessionIds as string[])];
+  if (uniqueIds.length > AGENDA_MAX_SESSIONS) {
+    throw new HttpsError(
+      "invalid-argument",
+      `An agenda can have at most ${AGENDA_MAX_SESSIONS} sessions`
+    );
   }
+  return uniqueIds;
+}
 
-  return `
-Hi ${newAttendeeName},
-
-Great news! ${originalAttendeeName} has transferred their conference registration to you. You are now registered to attend the ${conferenceTitle}!
-
-Your Registration Details:
-${details}
-
-What's next?
-You can check your registration status and download your ticket on our website using your email address or registration ID.
-
-We look forward to seeing you at the conference! If you have any questions, please contact us through our website.
+/**
+ * Gets the workshop session IDs chosen by every attendee on a registration
+ *
+ * @param {FirebaseFirestore.DocumentData} registration - Registration data
+ * @return {string[]} Workshop session IDs
+ */
+function getRegisteredWorkshopIds(registration: FirebaseFirestore.DocumentData): string[] {
+  const attendees = [registration.primaryAttendee, ...(registration.additionalAttendees || [])];
+  return attendees
+    .flatMap((attendee) => attendee?.workshopSelections || [])
+    .map((selection: {sessionId?: string}) => selection?.sessionId)
+    .filter((sessionId): sessionId is string => Boolean(sessionId));
+}
 
-- ${CONFERENCE_NAME} Team
-  `.trim();
+/**
+ * Checks whether an edition is archived. Registrations of archived editions
+ * are read-only, as in the Firestore rules.
+ *
+ * @param {string} editionId - Edition ID
+ * @return {Promise<boolean>} True if the edition is archived
+ */
+async function isArchivedEdition(editionId: string): Promise<boolean> {
+  const editionDoc = await getFirestore(DATABASE_ID)
+    .collection(COLLECTIONS.EDITIONS)
+    .doc(editionId)
+    .get();
+  return editionDoc.data()?.status === "archived";
 }
 
 /**
- * Sends a notification email to the new attendee after a transfer
+ * Converts a stored agenda timestamp to an ISO string for the client
  *
- * This function should be called after a successful transfer operation.
- * It notifies the new attendee about the transferred registration.
+ * @param {unknown} value - Firestore timestamp
+ * @return {string|null} ISO timestamp, or null when unset
+ */
+function toAgendaUpdatedAt(value: unknown): string | null {
+  return value instanceof Timestamp ? value.toDate().toISOString() : null;
+}
+
+/**
+ * Links a device's "My Agenda" to a registration after the attendee confirms
+ * an agenda verification code. The device's starred sessions, the agenda
+ * already saved on the registration and the registered workshops are merged
+ * and saved, and the device gets a sync token for syncAgenda.
  *
  * @param {Object} data - Request data
  * @param {string} data.registrationId - Registration ID
- * @param {string} data.newAttendeeEmail - New attendee's email
- * @param {string} data.newAttendeeName - New attendee's name
- * @param {string} data.originalAttendeeName - Original attendee's name
- * @returns {Object} Success status
+ * @param {string} data.code - Agenda verification code
+ * @param {string[]} data.sessionIds - Sessions starred on this device
+ * @returns {Object} Merged session IDs, update time and sync token
  */
-export const sendTransferNotification = onCall(
+export const linkAgenda = onCall(
   {
     region: "asia-southeast1",
     maxInstances: 10,
-    secrets: [sendgridApiKey],
   },
   async (request) => {
-    const {
-      registrationId,
-      newAttendeeEmail,
-      newAttendeeName,
-      originalAttendeeName,
-    } = request.data as {
+    const {registrationId, code, sessionIds} = request.data as {
       registrationId?: string;
-      newAttendeeEmail?: string;
-      newAttendeeName?: string;
-      originalAttendeeName?: string;
+      code?: string;
+      sessionIds?: unknown;
     };
 
-    const log = cfLogger.createContext(
-      "sendTransferNotification",
-      registrationId
-    );
-    log.start({registrationId, newAttendeeEmail});
+    const log = cfLogger.createContext("linkAgenda", registrationId);
 
-    // Validate inputs
+    if (!registrationId || !code) {
+      throw new HttpsError("invalid-argument", "Registration ID and code are required");
+    }
+    const localIds = normalizeAgendaSessionIds(sessionIds ?? []);
+
+    log.start({sessionCount: localIds.length});
+
+    const clientId = request.auth?.uid ||
+                     request.rawRequest?.ip ||
+                     registrationId;
+
+    try {
+      await checkRateLimit(
+        "otp_verify",
+        `${clientId}:${registrationId}`,
+        RATE_LIMIT_CONFIGS.OTP_VERIFY
+      );
+    } catch (error) {
+      await logRateLimitExceeded("otp_verify", clientId, registrationId);
+      throw error;
+    }
+
+    const db = getFirestore(DATABASE_ID);
+    const normalizedId = registrationId.toUpperCase();
+    const codeRef = db.collection(COLLECTIONS.VERIFICATION_CODES)
+      .doc(`${normalizedId}_${VERIFICATION_ACTION.AGENDA}`);
+
+    await consumeVerificationCode(codeRef, code.trim(), log);
+
+    const registrationRef = db.collection(COLLECTIONS.REGISTRATIONS).doc(normalizedId);
+    const registrationDoc = await registrationRef.get();
+    const registration = registrationDoc.data();
+    if (!registrationDoc.exists || !registration) {
+      log.end(false, {reason: "registration_not_found"});
+      throw new HttpsError("not-found", "Registration not found");
+    }
+    if (await isArchivedEdition(getRegistrationEditionId(registration))) {
+      log.end(false, {reason: "archived_edition"});
+      throw new HttpsError(
+        "failed-precondition",
+        "This registration belongs to a past conference and can no longer be changed"
+      );
+    }
+
+    const mergedIds = [...new Set([
+      ...localIds,
+      ...(registration.agenda?.sessionIds || []),
+      ...getRegisteredWorkshopIds(registration),
+    ])].slice(0, AGENDA_MAX_SESSIONS);
+
+    const syncToken = generateAccessToken();
+    const updatedAt = Timestamp.now();
+    const tokenHashes: string[] = registration.agendaSyncTokenHashes || [];
+    await registrationRef.update({
+      agenda: {sessionIds: mergedIds, updatedAt},
+      agendaSyncTokenHashes: [...tokenHashes, hashAccessToken(syncToken)].slice(-AGENDA_MAX_DEVICES),
+    });
+
+    await logAuditEvent({
+      action: "registration.verification_confirmed",
+      severity: AUDIT_SEVERITY.INFO,
+      actorId: request.auth?.uid || null,
+      entityType: "registration",
+      entityId: normalizedId,
+      description: "Verification code confirmed for agenda",
+      ipAddress: clientId,
+    });
+
+    log.end(true, {sessionCount: mergedIds.length});
+    return {
+      success: true,
+      sessionIds: mergedIds,
+      updatedAt: updatedAt.toDate().toISOString(),
+      syncToken,
+    };
+  }
+);
+
+/**
+ * Loads or saves the agenda of a registration from a device linked with
+ * linkAgenda. Without sessionIds the saved agenda is returned; with them
+ * they replace it.
+ *
+ * @param {Object} data - Request data
+ * @param {string} data.registrationId - Registration ID
+ * @param {string} data.syncToken - Sync token from linkAgenda
+ * @param {string[]} [data.sessionIds] - Starred session IDs to save
+ * @returns {Object} Saved session IDs and update time
+ */
+export const syncAgenda = onCall(
+  {
+    region: "asia-southeast1",
+    maxInstances: 10,
+  },
+  async (request) => {
+    const {registrationId, syncToken, sessionIds} = request.data as {
+      registrationId?: string;
+      syncToken?: string;
+      sessionIds?: unknown;
+    };
+
+    if (!registrationId || !syncToken) {
+      throw new HttpsError("invalid-argument", "Registration ID and sync token are required");
+    }
+
+    const db = getFirestore(DATABASE_ID);
+    const registrationRef = db.collection(COLLECTIONS.REGISTRATIONS).doc(registrationId.toUpperCase());
+    const registrationDoc = await registrationRef.get();
+    const registration = registrationDoc.data();
+    const tokenHashes: string[] = registration?.agendaSyncTokenHashes || [];
+    if (!registrationDoc.exists || !registration || !tokenHashes.includes(hashAccessToken(syncToken))) {
+      throw new HttpsError(
+        "permission-denied",
+        "This device is no longer linked to the registration. Please verify again."
+      );
+    }
+
+    if (sessionIds === undefined) {
+      return {
+        success: true,
+        sessionIds: registration.agenda?.sessionIds || [],
+        updatedAt: toAgendaUpdatedAt(registration.agenda?.updatedAt),
+      };
+    }
+
+    const savedIds = normalizeAgendaSessionIds(sessionIds);
+    if (await isArchivedEdition(getRegistrationEditionId(registration))) {
+      throw new HttpsError(
+        "failed-precondition",
+        "This registration belongs to a past conference and can no longer be changed"
+      );
+    }
+
+    const updatedAt = Timestamp.now();
+    await registrationRef.update({
+      agenda: {sessionIds: savedIds, updatedAt},
+    });
+
+    return {
+      success: true,
+      sessionIds: savedIds,
+      updatedAt: updatedAt.toDate().toISOString(),
+    };
+  }
+);
+
+// ============================================================================
+// Self-Service Registration Edits
+// ============================================================================
+
+/**
+ * Registration statuses whose attendee details the registrant may edit
+ */
+const EDITABLE_REGISTRATION_STATUSES = [
+  REGISTRATION_STATUS.PENDING_PAYMENT,
+  REGISTRATION_STATUS.PENDING_VERIFICATION,
+  REGISTRATION_STATUS.CONFIRMED,
+];
+
+/**
+ * Saves a registrant's own changes to attendee names, ministry roles,
+ * workshop selections and food choices, made from the status page after
+ * confirming an edit verification code.
+ *
+ * Without attendees the code is only checked, so the edit form can be shown
+ * before anything is saved. With them, the code is used up, capacity is
+ * re-checked for newly selected workshops, workshop counts are moved from the
+ * old selections to the new ones and the registration is updated in one
+ * transaction, then the change is logged.
+ *
+ * @param {Object} data - Request data
+ * @param {string} data.registrationId - Registration ID
+ * @param {string} data.code - Edit verification code
+ * @param {Object[]} [data.attendees] - Edited attendees, primary first
+ * @returns {Object} Updated attendees and the changed fields
+ */
+export const updateRegistrationDetails = onCall(
+  {
+    region: "asia-southeast1",
+    maxInstances: 10,
+  },
+  async (request) => {
+    const {registrationId, code, attendees} = request.data as {
+      registrationId?: string;
+      code?: string;
+      attendees?: unknown;
+    };
+
+    const log = cfLogger.createContext("updateRegistrationDetails", registrationId);
+
+    if (!registrationId || !code) {
+      throw new HttpsError("invalid-argument", "Registration ID and code are required");
+    }
+
+    log.start({checkOnly: attendees === undefined});
+
+    const clientId = request.auth?.uid ||
+                     request.rawRequest?.ip ||
+                     registrationId;
+
+    try {
+      await checkRateLimit(
+        "otp_verify",
+        `${clientId}:${registrationId}`,
+        RATE_LIMIT_CONFIGS.OTP_VERIFY
+      );
+    } catch (error) {
+      await logRateLimitExceeded("otp_verify", clientId, registrationId);
+      throw error;
+    }
+
+    const db = getFirestore(DATABASE_ID);
+    const normalizedId = registrationId.toUpperCase();
+    const submittedCode = code.trim();
+    const codeRef = db.collection(COLLECTIONS.VERIFICATION_CODES)
+      .doc(`${normalizedId}_${VERIFICATION_ACTION.EDIT}`);
+
+    await checkVerificationCode(codeRef, submittedCode, log);
+
+    if (attendees === undefined) {
+      log.end(true, {verified: true});
+      return {success: true, verified: true};
+    }
+
+    const registrationRef = db.collection(COLLECTIONS.REGISTRATIONS).doc(normalizedId);
+    const registrationDoc = await registrationRef.get();
+    const registration = registrationDoc.data();
+    if (!registrationDoc.exists || !registration) {
+      log.end(false, {reason: "registration_not_found"});
+      throw new HttpsError("not-found", "Registration not found");
+    }
+
+    const editionId = getRegistrationEditionId(registration);
+    if (await isArchivedEdition(editionId)) {
+      log.end(false, {reason: "archived_edition"});
+      throw new HttpsError(
+        "failed-precondition",
+        "This registration belongs to a past conference and can no longer be changed"
+      );
+    }
+
+    const settingsDoc = await db.collection(COLLECTIONS.CONFERENCES)
+      .doc(getEditionSettingsDocId(editionId))
+      .get();
+    const settings = settingsDoc.data();
+    if (!isDetailsEditOpen(settings?.refundPolicy, settings?.startDate)) {
+      log.end(false, {reason: "edit_closed"});
+      throw new HttpsError(
+        "failed-precondition",
+        "The deadline for editing registration details has passed. Please contact support."
+      );
+    }
+
+    const result = await db.runTransaction(async (transaction) => {
+      const [codeDoc, currentDoc] = await Promise.all([
+        transaction.get(codeRef),
+        transaction.get(registrationRef),
+      ]);
+
+      // The code may have been used by another request since it was checked
+      const codeData = codeDoc.data();
+      if (!codeData || codeData.used || codeData.code !== submittedCode) {
+        throw new HttpsError(
+          "failed-precondition",
+          "This code has already been used. Please request a new code."
+        );
+      }
+
+      const current = currentDoc.data();
+      if (!current) {
+        throw new HttpsError("not-found", "Registration not found");
+      }
+      if (!EDITABLE_REGISTRATION_STATUSES.includes(current.status)) {
+        throw new HttpsError(
+          "failed-precondition",
+          "This registration cannot be edited. Please contact support."
+        );
+      }
+
+      const originals: Attendee[] = [current.primaryAttendee, ...(current.additionalAttendees || [])];
+      const editError = getAttendeeEditError(originals, attendees);
+      if (editError) {
+        throw new HttpsError("invalid-argument", editError);
+      }
+
+      const edit = applyAttendeeEdits(originals, attendees as Record<string, unknown>[]);
+      const {added, removed} = getWorkshopSeatChanges(originals, edit.attendees);
+
+      const sessionsRef = db.collection(COLLECTIONS.SESSIONS);
+      const addedIds = Object.keys(added);
+      const removedIds = Object.keys(removed);
+      const sessionDocs = await Promise.all(
+        [...addedIds, ...removedIds].map((sessionId) => transaction.get(sessionsRef.doc(sessionId)))
+      );
+      const addedDocs = sessionDocs.slice(0, addedIds.length);
+      const removedDocs = sessionDocs.slice(addedIds.length);
+
+      // Re-check capacity for newly selected workshops
+      addedDocs.forEach((sessionDoc) => {
+        const session = sessionDoc.data();
+        if (!session) {
+          throw new HttpsError(
+            "failed-precondition",
+            "One of the selected workshops is no longer available."
+          );
+        }
+        if (session.capacity !== null && session.capacity !== undefined &&
+            (session.registeredCount || 0) + added[sessionDoc.id] > session.capacity) {
+          throw new HttpsError(
+            "failed-precondition",
+            `${session.title || "A selected workshop"} is full. Please choose another workshop.`
+          );
+        }
+      });
+
+      transaction.update(codeRef, {
+        used: true,
+        usedAt: FieldValue.serverTimestamp(),
+      });
+
+      if (edit.changes.length === 0) {
+        return {email: current.primaryAttendee?.email, attendees: originals, changes: edit.changes};
+      }
+
+      addedDocs.forEach((sessionDoc) => {
+        transaction.update(sessionDoc.ref, {
+          registeredCount: (sessionDoc.data()?.registeredCount || 0) + added[sessionDoc.id],
+          updatedAt: FieldValue.serverTimestamp(),
+        });
+      });
+      removedDocs.filter((sessionDoc) => sessionDoc.exists).forEach((sessionDoc) => {
+        transaction.update(sessionDoc.ref, {
+          registeredCount: Math.max(0, (sessionDoc.data()?.registeredCount || 0) - removed[sessionDoc.id]),
+          updatedAt: FieldValue.serverTimestamp(),
+        });
+      });
+
+      const [primaryAttendee, ...additionalAttendees] = edit.attendees;
+      transaction.update(registrationRef, {
+        primaryAttendee,
+        additionalAttendees,
+        detailsEditedAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+
+      const changedFields = [...new Set(edit.changes.map((change) => change.field))];
+      transaction.create(db.collection(COLLECTIONS.ACTIVITY_LOGS).doc(), {
+        type: "update",
+        entityType: "registration",
+        entityId: normalizedId,
+        description: `Registrant edited ${changedFields.join(", ")}: ` +
+          `${primaryAttendee.firstName} ${primaryAttendee.lastName}`,
+        adminId: null,
+        adminEmail: current.primaryAttendee?.email || "Unknown",
+        metadata: {
+          source: "self-service",
+          changes: edit.changes,
+        },
+        createdAt: FieldValue.serverTimestamp(),
+      });
+
+      return {email: current.primaryAttendee?.email, ...edit};
+    });
+
+    const [primaryAttendee, ...additionalAttendees] = result.attendees;
+
+    if (result.changes.length > 0) {
+      await logAuditEvent({
+        action: AUDIT_ACTIONS.REGISTRATION_UPDATED,
+        severity: AUDIT_SEVERITY.INFO,
+        actorId: request.auth?.uid || null,
+        actorEmail: result.email,
+        entityType: "registration",
+        entityId: normalizedId,
+        description: "Registrant edited their registration details",
+        metadata: {source: "self-service", changes: result.changes},
+        ipAddress: clientId,
+      });
+    }
+
+    log.end(true, {changeCount: result.changes.length});
+    return {
+      success: true,
+      primaryAttendee,
+      additionalAttendees,
+      changes: result.changes,
+    };
+  }
+);
+
+/**
+ * Generates HTML email content for transfer notification to new attendee
+ *
+ * @param {string} newAttendeeName - Name of the new attendee
+ * @param {string} originalAttendeeName - Name of the original attendee
+ * @param {string} registrationId - Registration ID
+ * @param {string} conferenceTitle - Conference title
+ * @param {Object} conferenceDetails - Conference details (date, venue)
+ * @return {string} HTML email content
+ */
+function generateTransferNotificationHtml(
+  newAttendeeName: string,
+  originalAttendeeName: string,
+  registrationId: string,
+  conferenceTitle: string,
+  conferenceDetails: {date?: string; venue?: string}
+): string {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1">
+      <title>Registration Transfer Notification</title>
+    </head>
+    <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #1f2937; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f3f4f6;">
+      <div style="background: linear-gradient(135deg, #10b981 0%, #047857 100%); padding: 40px 20px; text-align: center; border-radius: 12px 12px 0 0;">
+        <h1 style="color: white; margin: 0; font-size: 24px; font-weight: 600;">
+          🎉 Registration Transferred to You!
+        </h1>
+        <p style="color: rgba(255,255,255,0.9); margin: 10px 0 0; font-size: 14px;">
+          ${conferenceTitle}
+        </p>
+      </div>
+
+      <div style="background: white; padding: 40px 30px; border-radius: 0 0 12px 12px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
+        <p style="font-size: 16px; margin: 0 0 20px;">
+          Hi ${newAttendeeName},
+        </p>
+
+        <p style="font-size: 14px; margin: 0 0 20px; color: #4b5563;">
+          Great news! <strong>${originalAttendeeName}</strong> has transferred their
+          conference registration to you. You are now registered to attend the
+          <strong>${conferenceTitle}</strong>!
+        </p>
+
+        <div style="background: #f0fdf4; border: 2px solid #10b981; border-radius: 12px; padding: 20px; margin: 0 0 30px;">
+          <h3 style="color: #166534; margin: 0 0 15px; font-size: 16px;">Your Registration Details:</h3>
+          <p style="margin: 0 0 8px; font-size: 14px;">
+            <strong>Registration ID:</strong> ${registrationId}
+          </p>
+          ${conferenceDetails.date ? `
+          <p style="margin: 0 0 8px; font-size: 14px;">
+            <strong>Date:</strong> ${conferenceDetails.date}
+          </p>
+          ` : ""}
+          ${conferenceDetails.venue ? `
+          <p style="margin: 0; font-size: 14px;">
+            <strong>Venue:</strong> ${conferenceDetails.venue}
+          </p>
+          ` : ""}
+        </div>
+
+        <div style="background: #dbeafe; border-left: 4px solid #3b82f6; padding: 15px; margin: 0 0 30px; border-radius: 0 8px 8px 0;">
+          <p style="margin: 0; font-size: 13px; color: #1e40af;">
+            <strong>What's next?</strong> You can check your registration status
+            and download your ticket on our website using your email address or
+            registration ID.
+          </p>
+        </div>
+
+        <p style="font-size: 14px; margin: 0; color: #6b7280;">
+          We look forward to seeing you at the conference! If you have any questions,
+          please contact us through our website.
+        </p>
+      </div>
+
+      <div style="text-align: center; padding: 20px; color: #9ca3af; font-size: 12px;">
+        <p style="margin: 0;">
+          © ${new Date().getFullYear()} ${conferenceTitle}. All rights reserved.
+        </p>
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+/**
+ * Generates plain text email content for transfer notification
+ *
+ * @param {string} newAttendeeName - Name of the new attendee
+ * @param {string} originalAttendeeName - Name of the original attendee
+ * @param {string} registrationId - Registration ID
+ * @param {string} conferenceTitle - Conference title
+ * @param {Object} conferenceDetails - Conference details (date, venue)
+ * @return {string} Plain text email content
+ */
+function generateTransferNotificationText(
+  newAttendeeName: string,
+  originalAttendeeName: string,
+  registrationId: string,
+  conferenceTitle: string,
+  conferenceDetails: {date?: string; venue?: string}
+): string {
+  let details = `Registration ID: ${registrationId}`;
+  if (conferenceDetails.date) {
+    details += `\nDate: ${conferenceDetails.date}`;
+  }
+  if (conferenceDetails.venue) {
+    details += `\nVenue: ${conferenceDetails.venue}`;
+  }
+
+  return `
+Hi ${newAttendeeName},
+
+Great news! ${originalAttendeeName} has transferred their conference registration to you. You are now registered to attend the ${conferenceTitle}!
+
+Your Registration Details:
+${details}
+
+What's next?
+You can check your registration status and download your ticket on our website using your email address or registration ID.
+
+We look forward to seeing you at the conference! If you have any questions, please contact us through our website.
+
+- ${conferenceTitle} Team
+  `.trim();
+}
+
+/**
+ * Sends a notification email to the new attendee after a transfer
+ *
+ * This function should be called after a successful transfer operation.
+ * It notifies the new attendee about the transferred registration.
+ *
+ * @param {Object} data - Request data
+ * @param {string} data.registrationId - Registration ID
+ * @param {string} data.newAttendeeEmail - New attendee's email
+ * @param {string} data.newAttendeeName - New attendee's name
+ * @param {string} data.originalAttendeeName - Original attendee's name
+ * @returns {Object} Success status
+ */
+export const sendTransferNotification = onCall(
+  {
+    region: "asia-southeast1",
+    maxInstances: 10,
+    secrets: [sendgridApiKey],
+  },
+  async (request) => {
+    const {
+      registrationId,
+      newAttendeeEmail,
+      newAttendeeName,
+      originalAttendeeName,
+    } = request.data as {
+      registrationId?: string;
+      newAttendeeEmail?: string;
+      newAttendeeName?: string;
+      originalAttendeeName?: string;
+    };
+
+    const log = cfLogger.createContext(
+      "sendTransferNotification",
+      registrationId
+    );
+    log.start({registrationId, newAttendeeEmail});
+
+    // Validate inputs
     if (!registrationId || !newAttendeeEmail || !newAttendeeName) {
       log.error("Missing required parameters");
       log.end(false, {reason: "missing_parameters"});
       throw new HttpsError(
-        "invalid-argument",
-        "Registration ID, new attendee email, and name are required"
+        "invalid-argument",
+        "Registration ID, new attendee email, and name are required"
+      );
+    }
+
+    // Get email settings
+    const emailSettings = await getEmailSettings();
+    if (!emailSettings.triggerEmailsEnabled) {
+      log.warn("Email sending is disabled");
+      log.end(true, {emailSent: false, reason: "emails_disabled"});
+      return {success: true, emailSent: false};
+    }
+
+    // Check if we should skip this email (test domain)
+    if (isTestEmailDomain(newAttendeeEmail)) {
+      log.info("Skipping email to test domain");
+      log.end(true, {emailSent: false, reason: "test_domain"});
+      return {success: true, emailSent: false};
+    }
+
+    // Check if SendGrid is enabled
+    if (!isSendGridEnabled()) {
+      log.warn("SendGrid not enabled");
+      log.end(true, {emailSent: false, reason: "sendgrid_disabled"});
+      return {success: true, emailSent: false};
+    }
+
+    const apiKey = getSendGridApiKey();
+    if (!apiKey) {
+      log.warn("SendGrid API key not available");
+      log.end(true, {emailSent: false, reason: "no_api_key"});
+      return {success: true, emailSent: false};
+    }
+
+    const db = getFirestore(DATABASE_ID);
+
+    // Get conference settings
+    let conferenceTitle = CONFERENCE_SHORT_NAME;
+    let conferenceDate = "";
+    let conferenceVenue = "";
+
+    try {
+      const settingsDoc = await db
+        .collection(COLLECTIONS.CONFERENCES)
+        .doc(await getActiveSettingsDocId())
+        .get();
+      if (settingsDoc.exists) {
+        const data = settingsDoc.data();
+        conferenceTitle = getConferenceName(data);
+        if (data?.startDate) {
+          const date = new Date(data.startDate);
+          conferenceDate = date.toLocaleDateString("en-PH", {
+            weekday: "long",
+            year: "numeric",
+            month: "long",
+            day: "numeric",
+          });
+        }
+        conferenceVenue = data?.venue?.name || "";
+      }
+    } catch (err) {
+      log.warn("Could not fetch conference settings", {error: err});
+    }
+
+    try {
+      sgMail.setApiKey(apiKey);
+
+      const fromEmail = senderEmail.value();
+      if (!fromEmail) {
+        log.error("SENDER_EMAIL not configured");
+        throw new Error("SENDER_EMAIL not configured");
+      }
+
+      const registration = await getTransferEmailRegistration(registrationId);
+      const content = await applyEmailTemplate(
+        EMAIL_TEMPLATE_KEY.TRANSFER_NOTIFICATION,
+        getEmailTemplateValues(EMAIL_TEMPLATE_KEY.TRANSFER_NOTIFICATION, registration, conferenceTitle, {
+          newAttendeeName,
+          originalAttendeeName: originalAttendeeName || "Another attendee",
+        }),
+        {
+          subject: `Registration Transferred to You - ${conferenceTitle}`,
+          text: generateTransferNotificationText(
+            newAttendeeName,
+            originalAttendeeName || "Another attendee",
+            registrationId.toUpperCase(),
+            conferenceTitle,
+            {date: conferenceDate, venue: conferenceVenue}
+          ),
+          html: generateTransferNotificationHtml(
+            newAttendeeName,
+            originalAttendeeName || "Another attendee",
+            registrationId.toUpperCase(),
+            conferenceTitle,
+            {date: conferenceDate, venue: conferenceVenue}
+          ),
+        }
+      );
+
+      const msg = {
+        to: newAttendeeEmail,
+        from: {
+          email: fromEmail,
+          name: senderName.value() || "IDMC Conference",
+        },
+        ...content,
+      };
+
+      await sgMail.send(msg);
+      log.info("Transfer notification email sent", {to: newAttendeeEmail});
+
+      // Log the notification
+      await logAuditEvent({
+        action: "registration.transfer_notification_sent",
+        severity: AUDIT_SEVERITY.INFO,
+        actorId: request.auth?.uid || null,
+        entityType: "registration",
+        entityId: registrationId.toUpperCase(),
+        description: `Transfer notification sent to ${newAttendeeEmail}`,
+        metadata: {
+          newAttendeeEmail,
+          newAttendeeName,
+          originalAttendeeName,
+        },
+      });
+
+      log.end(true, {emailSent: true});
+      return {success: true, emailSent: true};
+    } catch (error) {
+      log.error("Failed to send transfer notification", error);
+      log.end(false, {reason: "email_send_failed"});
+      // Don't throw - transfer notification is not critical
+      return {success: false, emailSent: false, error: "Failed to send email"};
+    }
+  }
+);
+
+/**
+ * Generates HTML email content for transfer confirmation to original attendee
+ *
+ * @param {string} originalAttendeeName - Name of the original attendee
+ * @param {string} newAttendeeName - Name of the new attendee
+ * @param {string} registrationId - Registration ID
+ * @param {string} conferenceTitle - Conference title
+ * @return {string} HTML email content
+ */
+function generateTransferConfirmationHtml(
+  originalAttendeeName: string,
+  newAttendeeName: string,
+  registrationId: string,
+  conferenceTitle: string
+): string {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1">
+      <title>Registration Transfer Confirmation</title>
+    </head>
+    <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #1f2937; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f3f4f6;">
+      <div style="background: linear-gradient(135deg, #3b82f6 0%, #1e40af 100%); padding: 40px 20px; text-align: center; border-radius: 12px 12px 0 0;">
+        <h1 style="color: white; margin: 0; font-size: 24px; font-weight: 600;">
+          Registration Transfer Confirmed
+        </h1>
+        <p style="color: rgba(255,255,255,0.9); margin: 10px 0 0; font-size: 14px;">
+          ${conferenceTitle}
+        </p>
+      </div>
+
+      <div style="background: white; padding: 40px 30px; border-radius: 0 0 12px 12px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
+        <p style="font-size: 16px; margin: 0 0 20px;">
+          Hi ${originalAttendeeName},
+        </p>
+
+        <p style="font-size: 14px; margin: 0 0 20px; color: #4b5563;">
+          This email confirms that your registration for <strong>${conferenceTitle}</strong>
+          has been successfully transferred.
+        </p>
+
+        <div style="background: #eff6ff; border: 2px solid #3b82f6; border-radius: 12px; padding: 20px; margin: 0 0 30px;">
+          <h3 style="color: #1e40af; margin: 0 0 15px; font-size: 16px;">Transfer Details:</h3>
+          <p style="margin: 0 0 8px; font-size: 14px;">
+            <strong>Registration ID:</strong> ${registrationId}
+          </p>
+          <p style="margin: 0; font-size: 14px;">
+            <strong>Transferred to:</strong> ${newAttendeeName}
+          </p>
+        </div>
+
+        <div style="background: #fef3c7; border-left: 4px solid #f59e0b; padding: 15px; margin: 0 0 30px; border-radius: 0 8px 8px 0;">
+          <p style="margin: 0; font-size: 13px; color: #92400e;">
+            <strong>Please note:</strong> This registration is no longer associated with
+            your account. If you did not authorize this transfer, please contact us immediately.
+          </p>
+        </div>
+
+        <p style="font-size: 14px; margin: 0; color: #6b7280;">
+          If you have any questions or concerns, please reach out to us through our website.
+        </p>
+      </div>
+
+      <div style="text-align: center; padding: 20px; color: #9ca3af; font-size: 12px;">
+        <p style="margin: 0;">
+          © ${new Date().getFullYear()} ${conferenceTitle}. All rights reserved.
+        </p>
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+/**
+ * Generates plain text email content for transfer confirmation
+ *
+ * @param {string} originalAttendeeName - Name of the original attendee
+ * @param {string} newAttendeeName - Name of the new attendee
+ * @param {string} registrationId - Registration ID
+ * @param {string} conferenceTitle - Conference title
+ * @return {string} Plain text email content
+ */
+function generateTransferConfirmationText(
+  originalAttendeeName: string,
+  newAttendeeName: string,
+  registrationId: string,
+  conferenceTitle: string
+): string {
+  return `
+Hi ${originalAttendeeName},
+
+This email confirms that your registration for ${conferenceTitle} has been successfully transferred.
+
+Transfer Details:
+Registration ID: ${registrationId}
+Transferred to: ${newAttendeeName}
+
+Please note: This registration is no longer associated with your account. If you did not authorize this transfer, please contact us immediately.
+
+If you have any questions or concerns, please reach out to us through our website.
+
+- ${conferenceTitle} Team
+  `.trim();
+}
+
+/**
+ * Sends a confirmation email to the original attendee after a transfer
+ *
+ * This function should be called after a successful transfer operation.
+ * It notifies the original attendee that their registration has been transferred.
+ *
+ * @param {Object} data - Request data
+ * @param {string} data.registrationId - Registration ID
+ * @param {string} data.originalAttendeeEmail - Original attendee's email
+ * @param {string} data.originalAttendeeName - Original attendee's name
+ * @param {string} data.newAttendeeName - New attendee's name
+ * @returns {Object} Success status
+ */
+export const sendTransferConfirmation = onCall(
+  {
+    region: "asia-southeast1",
+    maxInstances: 10,
+    secrets: [sendgridApiKey],
+  },
+  async (request) => {
+    const {
+      registrationId,
+      originalAttendeeEmail,
+      originalAttendeeName,
+      newAttendeeName,
+    } = request.data as {
+      registrationId?: string;
+      originalAttendeeEmail?: string;
+      originalAttendeeName?: string;
+      newAttendeeName?: string;
+    };
+
+    const log = cfLogger.createContext(
+      "sendTransferConfirmation",
+      registrationId
+    );
+    log.start({registrationId, originalAttendeeEmail});
+
+    // Validate inputs
+    if (!registrationId || !originalAttendeeEmail || !originalAttendeeName) {
+      log.error("Missing required parameters");
+      log.end(false, {reason: "missing_parameters"});
+      throw new HttpsError(
+        "invalid-argument",
+        "Registration ID, original attendee email, and name are required"
+      );
+    }
+
+    // Get email settings
+    const emailSettings = await getEmailSettings();
+    if (!emailSettings.triggerEmailsEnabled) {
+      log.warn("Email sending is disabled");
+      log.end(true, {emailSent: false, reason: "emails_disabled"});
+      return {success: true, emailSent: false};
+    }
+
+    // Check if we should skip this email (test domain)
+    if (isTestEmailDomain(originalAttendeeEmail)) {
+      log.info("Skipping email to test domain");
+      log.end(true, {emailSent: false, reason: "test_domain"});
+      return {success: true, emailSent: false};
+    }
+
+    // Check if SendGrid is enabled
+    if (!isSendGridEnabled()) {
+      log.warn("SendGrid not enabled");
+      log.end(true, {emailSent: false, reason: "sendgrid_disabled"});
+      return {success: true, emailSent: false};
+    }
+
+    const apiKey = getSendGridApiKey();
+    if (!apiKey) {
+      log.warn("SendGrid API key not available");
+      log.end(true, {emailSent: false, reason: "no_api_key"});
+      return {success: true, emailSent: false};
+    }
+
+    const db = getFirestore(DATABASE_ID);
+
+    // Get conference settings
+    let conferenceTitle = CONFERENCE_SHORT_NAME;
+
+    try {
+      const settingsDoc = await db
+        .collection(COLLECTIONS.CONFERENCES)
+        .doc(await getActiveSettingsDocId())
+        .get();
+      if (settingsDoc.exists) {
+        const data = settingsDoc.data();
+        conferenceTitle = getConferenceName(data);
+      }
+    } catch (err) {
+      log.warn("Could not fetch conference settings", {error: err});
+    }
+
+    try {
+      sgMail.setApiKey(apiKey);
+
+      const fromEmail = senderEmail.value();
+      if (!fromEmail) {
+        log.error("SENDER_EMAIL not configured");
+        throw new Error("SENDER_EMAIL not configured");
+      }
+
+      const registration = await getTransferEmailRegistration(registrationId);
+      const content = await applyEmailTemplate(
+        EMAIL_TEMPLATE_KEY.TRANSFER_CONFIRMATION,
+        getEmailTemplateValues(EMAIL_TEMPLATE_KEY.TRANSFER_CONFIRMATION, registration, conferenceTitle, {
+          newAttendeeName: newAttendeeName || "Another attendee",
+          originalAttendeeName,
+        }),
+        {
+          subject: `Registration Transfer Confirmed - ${conferenceTitle}`,
+          text: generateTransferConfirmationText(
+            originalAttendeeName,
+            newAttendeeName || "Another attendee",
+            registrationId.toUpperCase(),
+            conferenceTitle
+          ),
+          html: generateTransferConfirmationHtml(
+            originalAttendeeName,
+            newAttendeeName || "Another attendee",
+            registrationId.toUpperCase(),
+            conferenceTitle
+          ),
+        }
+      );
+
+      const msg = {
+        to: originalAttendeeEmail,
+        from: {
+          email: fromEmail,
+          name: senderName.value() || "IDMC Conference",
+        },
+        ...content,
+      };
+
+      await sgMail.send(msg);
+      log.info("Transfer confirmation email sent", {to: originalAttendeeEmail});
+
+      // Log the confirmation
+      await logAuditEvent({
+        action: "registration.transfer_confirmation_sent",
+        severity: AUDIT_SEVERITY.INFO,
+        actorId: request.auth?.uid || null,
+        entityType: "registration",
+        entityId: registrationId.toUpperCase(),
+        description: `Transfer confirmation sent to ${originalAttendeeEmail}`,
+        metadata: {
+          originalAttendeeEmail,
+          originalAttendeeName,
+          newAttendeeName,
+        },
+      });
+
+      log.end(true, {emailSent: true});
+      return {success: true, emailSent: true};
+    } catch (error) {
+      log.error("Failed to send transfer confirmation", error);
+      log.end(false, {reason: "email_send_failed"});
+      // Don't throw - transfer confirmation is not critical
+      return {success: false, emailSent: false, error: "Failed to send email"};
+    }
+  }
+);
+
+// ============================================
+// Promo Codes
+// ============================================
+
+/**
+ * Checks a promo code entered at registration. Returns only the fields
+ * needed to show the discount at checkout; usage counts and totals stay
+ * private. The code is validated again and redeemed by
+ * onRegistrationCreated when the registration is submitted.
+ */
+export const checkPromoCode = onCall(
+  {
+    region: "asia-southeast1",
+    maxInstances: 10,
+  },
+  async (request) => {
+    const {code, categories} = request.data as {
+      code?: string;
+      categories?: unknown;
+    };
+
+    const normalizedCode = typeof code === "string" ? code.trim().toUpperCase() : "";
+    if (!normalizedCode || !/^[A-Z0-9_-]+$/.test(normalizedCode)) {
+      throw new HttpsError("invalid-argument", "A valid promo code is required");
+    }
+    const categoryIds = Array.isArray(categories) ?
+      categories.filter((category): category is string => typeof category === "string") :
+      [];
+
+    const clientId = request.auth?.uid ||
+                     request.rawRequest?.ip ||
+                     "unknown";
+
+    try {
+      await checkRateLimit(
+        "promo_code_check",
+        clientId,
+        RATE_LIMIT_CONFIGS.REGISTRATION_LOOKUP
+      );
+    } catch (error) {
+      await logRateLimitExceeded("promo_code_check", clientId, clientId);
+      throw error;
+    }
+
+    const db = getFirestore(DATABASE_ID);
+    const promoDoc = await db.collection(COLLECTIONS.PROMO_CODES).doc(normalizedCode).get();
+    const promoCode = promoDoc.data() as PromoCode | undefined;
+
+    const promoError = getPromoCodeError(promoCode, categoryIds);
+    if (promoError || !promoCode) {
+      throw new HttpsError(
+        promoError === PROMO_CODE_ERRORS.NOT_FOUND ? "not-found" : "failed-precondition",
+        "This promo code cannot be used",
+        {code: promoError}
+      );
+    }
+
+    return {
+      code: normalizedCode,
+      discountType: promoCode.discountType,
+      discountValue: promoCode.discountValue,
+      allowedCategories: promoCode.allowedCategories || [],
+    };
+  }
+);
+
+// ============================================
+// Certificates of Attendance
+// ============================================
+
+/**
+ * Generates HTML email content for certificate delivery
+ *
+ * @param {string} recipientName - First name of the recipient
+ * @param {string[]} attendeeNames - Attendees whose certificates are attached
+ * @param {string} conferenceTitle - Conference title
+ * @return {string} HTML email content
+ */
+function generateCertificateEmailHtml(
+  recipientName: string,
+  attendeeNames: string[],
+  conferenceTitle: string
+): string {
+  const attendeeList = attendeeNames
+    .map((name) => `<li style="margin: 0 0 6px;">${name}</li>`)
+    .join("");
+
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1">
+      <title>Certificate of Attendance</title>
+    </head>
+    <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #1f2937; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f3f4f6;">
+      <div style="background: linear-gradient(135deg, #3b82f6 0%, #1e40af 100%); padding: 40px 20px; text-align: center; border-radius: 12px 12px 0 0;">
+        <h1 style="color: white; margin: 0; font-size: 24px; font-weight: 600;">
+          Certificate of Attendance
+        </h1>
+        <p style="color: rgba(255,255,255,0.9); margin: 10px 0 0; font-size: 14px;">
+          ${conferenceTitle}
+        </p>
+      </div>
+
+      <div style="background: white; padding: 40px 30px; border-radius: 0 0 12px 12px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
+        <p style="font-size: 16px; margin: 0 0 20px;">
+          Hi ${recipientName},
+        </p>
+
+        <p style="font-size: 14px; margin: 0 0 20px; color: #4b5563;">
+          Thank you for joining us at ${conferenceTitle}.
+          Attached are the certificates of attendance for:
+        </p>
+
+        <ul style="font-size: 14px; margin: 0 0 30px; padding-left: 20px; color: #1f2937;">
+          ${attendeeList}
+        </ul>
+
+        <p style="font-size: 14px; margin: 0; color: #6b7280;">
+          You can also download your certificates anytime from the registration status page.
+        </p>
+      </div>
+
+      <div style="text-align: center; padding: 20px; color: #9ca3af; font-size: 12px;">
+        <p style="margin: 0;">
+          © ${new Date().getFullYear()} ${conferenceTitle}. All rights reserved.
+        </p>
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+/**
+ * Generates plain text email content for certificate delivery
+ *
+ * @param {string} recipientName - First name of the recipient
+ * @param {string[]} attendeeNames - Attendees whose certificates are attached
+ * @param {string} conferenceTitle - Conference title
+ * @return {string} Plain text email content
+ */
+function generateCertificateEmailText(
+  recipientName: string,
+  attendeeNames: string[],
+  conferenceTitle: string
+): string {
+  return `
+Hi ${recipientName},
+
+Thank you for joining us at ${conferenceTitle}. Attached are the certificates of attendance for:
+
+${attendeeNames.map((name) => `- ${name}`).join("\n")}
+
+You can also download your certificates anytime from the registration status page.
+
+- ${conferenceTitle} Team
+  `.trim();
+}
+
+/**
+ * Emails issued certificates of attendance via SendGrid
+ *
+ * Certificates are generated and uploaded by admins beforehand and stored on
+ * the registration under certificates.{attendeeIndex}. Each attendee's
+ * certificate goes to their own email, falling back to the primary
+ * attendee's email, with one message per recipient.
+ *
+ * @param {Object} data - Request data
+ * @param {string[]} data.registrationIds - Registration IDs (max 20)
+ * @returns {Object} Number of emails sent and per-registration failures
+ */
+export const sendCertificateEmails = onCall(
+  {cors: true, secrets: [sendgridApiKey]},
+  async (request) => {
+    const {registrationIds} = request.data as {registrationIds?: string[]};
+    const log = cfLogger.createContext("sendCertificateEmails");
+
+    const {admin} = await verifyAdminRole(request.auth?.uid, [
+      ADMIN_ROLES.SUPERADMIN,
+      ADMIN_ROLES.ADMIN,
+    ]);
+
+    if (!Array.isArray(registrationIds) || registrationIds.length === 0) {
+      log.error("Missing registration IDs");
+      throw new HttpsError("invalid-argument", "Registration IDs are required");
+    }
+
+    if (registrationIds.length > CERTIFICATE_EMAIL_BATCH_LIMIT) {
+      log.error("Too many registrations", undefined, {
+        count: registrationIds.length,
+      });
+      throw new HttpsError(
+        "invalid-argument",
+        `At most ${CERTIFICATE_EMAIL_BATCH_LIMIT} registrations can be sent at once`
+      );
+    }
+
+    log.start({count: registrationIds.length, requestedBy: admin.email});
+
+    if (!isSendGridEnabled()) {
+      log.error("SendGrid not enabled");
+      log.end(false, {reason: "sendgrid_not_enabled"});
+      throw new HttpsError(
+        "failed-precondition",
+        "Email service is not configured. Please contact support."
+      );
+    }
+
+    const apiKey = getSendGridApiKey();
+    const fromEmail = senderEmail.value();
+    if (!apiKey || !fromEmail) {
+      log.error("SendGrid API key or sender email not configured");
+      log.end(false, {reason: "not_configured"});
+      throw new HttpsError(
+        "failed-precondition",
+        "SendGrid API key or SENDER_EMAIL is not configured"
+      );
+    }
+    sgMail.setApiKey(apiKey);
+
+    const db = getFirestore(DATABASE_ID);
+    const {getStorage} = await import("firebase-admin/storage");
+    const bucket = getStorage().bucket(storageBucketName.value());
+
+    const settingsDoc = await db
+      .collection(COLLECTIONS.CONFERENCES)
+      .doc(await getActiveSettingsDocId())
+      .get();
+    const conferenceTitle = getConferenceName(settingsDoc.data());
+
+    let sent = 0;
+    const failed: Array<{registrationId: string; error: string}> = [];
+
+    for (const registrationId of registrationIds) {
+      try {
+        const registrationRef = db
+          .collection(COLLECTIONS.REGISTRATIONS)
+          .doc(registrationId);
+        const registrationDoc = await registrationRef.get();
+        const registration = registrationDoc.data();
+
+        if (!registration) {
+          throw new Error("Registration not found");
+        }
+
+        const recipients = groupCertificateRecipients(registration);
+
+        if (recipients.size === 0) {
+          throw new Error("No issued certificates with an email address");
+        }
+
+        const updates: Record<string, unknown> = {
+          updatedAt: FieldValue.serverTimestamp(),
+        };
+
+        for (const [email, recipient] of recipients) {
+          const attachments = await Promise.all(
+            recipient.attendees.map(async (attendee) => {
+              const [fileBuffer] = await bucket.file(getStorageFilePath(attendee.url)).download();
+              return {
+                content: fileBuffer.toString("base64"),
+                filename: `Certificate - ${attendee.name || registrationId}.pdf`,
+                type: "application/pdf",
+                disposition: "attachment",
+              };
+            })
+          );
+          const attendeeNames = recipient.attendees.map((attendee) => attendee.name);
+
+          await sgMail.send({
+            to: email,
+            from: {
+              email: fromEmail,
+              name: senderName.value() || "IDMC Conference",
+            },
+            subject: `Your Certificate of Attendance - ${conferenceTitle}`,
+            text: generateCertificateEmailText(
+              recipient.firstName || "Attendee",
+              attendeeNames,
+              conferenceTitle
+            ),
+            html: generateCertificateEmailHtml(
+              recipient.firstName || "Attendee",
+              attendeeNames,
+              conferenceTitle
+            ),
+            attachments,
+          });
+
+          recipient.attendees.forEach((attendee) => {
+            updates[`certificates.${attendee.index}.emailedAt`] =
+              FieldValue.serverTimestamp();
+          });
+          sent += 1;
+        }
+
+        await registrationRef.update(updates);
+      } catch (error) {
+        const message = error instanceof Error ? error.message : "Unknown error";
+        log.warn("Failed to send certificates", {registrationId, error: message});
+        failed.push({registrationId, error: message});
+      }
+    }
+
+    await logAuditEvent({
+      action: AUDIT_ACTIONS.CERTIFICATE_SENT,
+      severity: AUDIT_SEVERITY.INFO,
+      actorId: request.auth?.uid || null,
+      actorEmail: admin.email,
+      actorRole: admin.role,
+      entityType: "registration",
+      entityId: registrationIds.join(","),
+      description: `Certificates emailed for ${registrationIds.length - failed.length} registration(s)`,
+      metadata: {sent, failedCount: failed.length},
+    });
+
+    log.end(true, {sent, failed: failed.length});
+    return {success: true, sent, failed};
+  }
+);
+
+// ============================================
+// Session Ratings
+// ============================================
+
+/**
+ * Submits session ratings for a checked-in attendee
+ *
+ * The attendee identifies themselves with their registration ID or short
+ * code and their email. Only attendees who were checked in at the event can
+ * rate, and only published plenaries and workshops that have already ended
+ * can be rated. Rating a session again replaces the earlier rating.
+ *
+ * @param {Object} data - Request data
+ * @param {string} data.identifier - Registration ID or 6-character short code
+ * @param {string} data.email - Attendee email
+ * @param {Array} data.ratings - Array of { sessionId, rating (1-5), comment }
+ * @param {string} data.source - "schedule" or "survey"
+ * @returns {Object} Number of ratings saved
+ */
+export const submitSessionRating = onCall(
+  {cors: true},
+  async (request) => {
+    const {identifier, email, ratings, source} = request.data as {
+      identifier?: string;
+      email?: string;
+      ratings?: SessionRatingInput[];
+      source?: string;
+    };
+    const log = cfLogger.createContext("submitSessionRating");
+
+    const clientId = request.auth?.uid ||
+                     request.rawRequest?.ip ||
+                     "unknown";
+
+    try {
+      await checkRateLimit(
+        "session_rating",
+        clientId,
+        RATE_LIMIT_CONFIGS.SESSION_RATING
+      );
+    } catch (error) {
+      await logRateLimitExceeded("session_rating", clientId, clientId);
+      throw error;
+    }
+
+    if (!identifier || !email || !email.includes("@")) {
+      throw new HttpsError(
+        "invalid-argument",
+        "Please provide your registration ID and email"
+      );
+    }
+
+    if (!Array.isArray(ratings) || ratings.length === 0) {
+      throw new HttpsError("invalid-argument", "At least one rating is required");
+    }
+
+    if (ratings.length > SESSION_RATING_BATCH_LIMIT) {
+      throw new HttpsError(
+        "invalid-argument",
+        `At most ${SESSION_RATING_BATCH_LIMIT} sessions can be rated at once`
+      );
+    }
+
+    if (!ratings.every(isValidSessionRating)) {
+      throw new HttpsError(
+        "invalid-argument",
+        "Each rating needs a session and a score from 1 to 5"
+      );
+    }
+
+    log.start({sessionCount: ratings.length, source});
+
+    const db = getFirestore(DATABASE_ID);
+
+    const settingsDoc = await db
+      .collection(COLLECTIONS.CONFERENCES)
+      .doc(await getActiveSettingsDocId())
+      .get();
+    const settings = settingsDoc.data() || {};
+
+    if (!settings.feedback?.sessionRatingsEnabled) {
+      log.end(false, {reason: "disabled"});
+      throw new HttpsError(
+        "failed-precondition",
+        "Session ratings are not open"
+      );
+    }
+
+    // Find the registration by full ID or short code
+    const trimmed = identifier.trim().toUpperCase();
+    const registrationsRef = db.collection(COLLECTIONS.REGISTRATIONS);
+    let registrationDoc: FirebaseFirestore.DocumentSnapshot | null = null;
+
+    if (trimmed.startsWith("REG-")) {
+      const docSnap = await registrationsRef.doc(trimmed).get();
+      if (docSnap.exists) {
+        registrationDoc = docSnap;
+      }
+    } else if (/^[A-Z0-9]{6}$/.test(trimmed)) {
+      const query = await registrationsRef
+        .where("shortCode", "==", trimmed)
+        .limit(1)
+        .get();
+      if (!query.empty) {
+        registrationDoc = query.docs[0];
+      }
+    }
+
+    const registration = registrationDoc?.data();
+    const attendeeIndex = registration ? findAttendeeIndexByEmail(registration, email) : -1;
+
+    // Same message for an unknown registration or email so neither can be probed
+    if (!registrationDoc || !registration || attendeeIndex === -1) {
+      log.end(false, {reason: "not_found"});
+      throw new HttpsError(
+        "not-found",
+        "We could not find an attendee with that registration and email."
+      );
+    }
+
+    if (!isAttendeeCheckedIn(registration, attendeeIndex)) {
+      log.end(false, {reason: "not_checked_in"});
+      throw new HttpsError(
+        "permission-denied",
+        "Only attendees who checked in at the event can rate sessions."
+      );
+    }
+
+    const sessionIds = [...new Set(ratings.map((item) => item.sessionId as string))];
+    const sessionDocs = await db.getAll(
+      ...sessionIds.map((sessionId) =>
+        db.collection(COLLECTIONS.SESSIONS).doc(sessionId)
+      )
+    );
+    const sessionsById = new Map(
+      sessionDocs
+        .filter((sessionDoc) => sessionDoc.exists)
+        .map((sessionDoc) => [sessionDoc.id, sessionDoc.data() || {}])
+    );
+
+    const startDate = settings.startDate || "2026-03-28";
+    const utcOffset = getIcsUtcOffset(
+      getConferenceTimeZone(settings),
+      new Date(`${startDate}T12:00:00Z`)
+    );
+    const now = new Date();
+
+    for (const sessionId of sessionIds) {
+      const session = sessionsById.get(sessionId);
+      if (!session || !isRatableSession(session)) {
+        throw new HttpsError(
+          "invalid-argument",
+          "One of the sessions cannot be rated"
+        );
+      }
+
+      const endTime = getSessionEndTime(session, startDate, utcOffset);
+      if (!endTime || endTime > now) {
+        throw new HttpsError(
+          "failed-precondition",
+          `"${session.title}" can be rated once it has ended`
+        );
+      }
+    }
+
+    const batch = db.batch();
+    ratings.forEach((item) => {
+      const session = sessionsById.get(item.sessionId as string) || {};
+      const comment = (item.comment || "")
+        .trim()
+        .slice(0, SESSION_RATING_COMMENT_MAX_LENGTH);
+      const ratingRef = db
+        .collection(COLLECTIONS.SESSION_RATINGS)
+        .doc(`${item.sessionId}_${registrationDoc?.id}_${attendeeIndex}`);
+
+      batch.set(ratingRef, {
+        sessionId: item.sessionId,
+        sessionTitle: session.title || "",
+        sessionType: session.sessionType || "",
+        speakerIds: session.speakerIds || [],
+        registrationId: registrationDoc?.id,
+        attendeeIndex,
+        rating: item.rating,
+        comment: comment || null,
+        source: SESSION_RATING_SOURCES.includes(source || "") ? source : "schedule",
+        submittedAt: FieldValue.serverTimestamp(),
+      }, {merge: true});
+    });
+    await batch.commit();
+
+    log.end(true, {saved: ratings.length});
+    return {success: true, saved: ratings.length};
+  }
+);
+
+/**
+ * Generates HTML email content for a speaker rating summary
+ *
+ * @param {string} speakerName - Speaker name
+ * @param {SpeakerSessionSummary[]} sessions - Per-session summaries
+ * @param {string} conferenceTitle - Conference title
+ * @return {string} HTML email content
+ */
+function generateSpeakerSummaryEmailHtml(
+  speakerName: string,
+  sessions: SpeakerSessionSummary[],
+  conferenceTitle: string
+): string {
+  const sessionBlocks = sessions.map((session) => {
+    const distribution = session.distribution
+      .map((count, index) => `${index + 1}&#9733; ${count}`)
+      .join(" &nbsp;&middot;&nbsp; ");
+    const comments = session.comments.length > 0 ?
+      `<ul style="font-size: 14px; margin: 12px 0 0; padding-left: 20px; color: #4b5563;">
+        ${session.comments
+    .map((comment) => `<li style="margin: 0 0 6px;">${escapeHtml(comment)}</li>`)
+    .join("")}
+      </ul>` :
+      "";
+
+    return `
+      <div style="border: 1px solid #e5e7eb; border-radius: 8px; padding: 16px 20px; margin: 0 0 16px;">
+        <p style="font-size: 16px; font-weight: 600; margin: 0 0 8px; color: #1f2937;">
+          ${escapeHtml(session.title)}
+        </p>
+        <p style="font-size: 14px; margin: 0; color: #4b5563;">
+          Average <strong>${session.average ?? "-"} / 5</strong>
+          from ${session.count} rating${session.count === 1 ? "" : "s"}
+        </p>
+        <p style="font-size: 12px; margin: 6px 0 0; color: #6b7280;">
+          ${distribution}
+        </p>
+        ${comments}
+      </div>
+    `;
+  }).join("");
+
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1">
+      <title>Your Session Ratings</title>
+    </head>
+    <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #1f2937; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f3f4f6;">
+      <div style="background: linear-gradient(135deg, #3b82f6 0%, #1e40af 100%); padding: 40px 20px; text-align: center; border-radius: 12px 12px 0 0;">
+        <h1 style="color: white; margin: 0; font-size: 24px; font-weight: 600;">
+          Your Session Ratings
+        </h1>
+        <p style="color: rgba(255,255,255,0.9); margin: 10px 0 0; font-size: 14px;">
+          ${conferenceTitle}
+        </p>
+      </div>
+
+      <div style="background: white; padding: 40px 30px; border-radius: 0 0 12px 12px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
+        <p style="font-size: 16px; margin: 0 0 20px;">
+          Hi ${escapeHtml(speakerName)},
+        </p>
+
+        <p style="font-size: 14px; margin: 0 0 20px; color: #4b5563;">
+          Thank you for speaking at ${conferenceTitle}. Here is what attendees
+          said about your sessions. Ratings are anonymous and only shared with you.
+        </p>
+
+        ${sessionBlocks}
+      </div>
+
+      <div style="text-align: center; padding: 20px; color: #9ca3af; font-size: 12px;">
+        <p style="margin: 0;">
+          © ${new Date().getFullYear()} ${conferenceTitle}. All rights reserved.
+        </p>
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+/**
+ * Generates plain text email content for a speaker rating summary
+ *
+ * @param {string} speakerName - Speaker name
+ * @param {SpeakerSessionSummary[]} sessions - Per-session summaries
+ * @param {string} conferenceTitle - Conference title
+ * @return {string} Plain text email content
+ */
+function generateSpeakerSummaryEmailText(
+  speakerName: string,
+  sessions: SpeakerSessionSummary[],
+  conferenceTitle: string
+): string {
+  const sessionBlocks = sessions.map((session) => {
+    const comments = session.comments.map((comment) => `  - ${comment}`).join("\n");
+    return [
+      session.title,
+      `Average ${session.average ?? "-"} / 5 from ${session.count} rating(s)`,
+      session.distribution.map((count, index) => `${index + 1} star: ${count}`).join(", "),
+      comments ? `Comments:\n${comments}` : "",
+    ].filter(Boolean).join("\n");
+  }).join("\n\n");
+
+  return `
+Hi ${speakerName},
+
+Thank you for speaking at ${conferenceTitle}. Here is what attendees said about your sessions. Ratings are anonymous and only shared with you.
+
+${sessionBlocks}
+
+- ${conferenceTitle} Team
+  `.trim();
+}
+
+/**
+ * Emails a speaker a private summary of the ratings for their sessions
+ *
+ * Speaker documents are publicly readable, so the email address is kept in
+ * the admin-only speakerContacts collection and remembered for next time.
+ *
+ * @param {Object} data - Request data
+ * @param {string} data.speakerId - Speaker document ID
+ * @param {string} data.email - Speaker email address
+ * @returns {Object} Number of sessions and ratings summarized, and the overall average
+ */
+export const sendSpeakerRatingSummary = onCall(
+  {cors: true, secrets: [sendgridApiKey]},
+  async (request) => {
+    const {speakerId, email} = request.data as {
+      speakerId?: string;
+      email?: string;
+    };
+    const log = cfLogger.createContext("sendSpeakerRatingSummary");
+
+    const {admin} = await verifyAdminRole(request.auth?.uid, [
+      ADMIN_ROLES.SUPERADMIN,
+      ADMIN_ROLES.ADMIN,
+    ]);
+
+    if (!speakerId) {
+      throw new HttpsError("invalid-argument", "Speaker ID is required");
+    }
+
+    if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+      throw new HttpsError("invalid-argument", "A valid email address is required");
+    }
+
+    log.start({speakerId, requestedBy: admin.email});
+
+    if (!isSendGridEnabled()) {
+      log.error("SendGrid not enabled");
+      log.end(false, {reason: "sendgrid_not_enabled"});
+      throw new HttpsError(
+        "failed-precondition",
+        "Email service is not configured. Please contact support."
+      );
+    }
+
+    const apiKey = getSendGridApiKey();
+    const fromEmail = senderEmail.value();
+    if (!apiKey || !fromEmail) {
+      log.error("SendGrid API key or sender email not configured");
+      log.end(false, {reason: "not_configured"});
+      throw new HttpsError(
+        "failed-precondition",
+        "SendGrid API key or SENDER_EMAIL is not configured"
+      );
+    }
+    sgMail.setApiKey(apiKey);
+
+    const db = getFirestore(DATABASE_ID);
+
+    const speakerDoc = await db.collection(COLLECTIONS.SPEAKERS).doc(speakerId).get();
+    const speaker = speakerDoc.data();
+    if (!speaker) {
+      throw new HttpsError("not-found", "Speaker not found");
+    }
+
+    const sessionsSnapshot = await db
+      .collection(COLLECTIONS.SESSIONS)
+      .where("speakerIds", "array-contains", speakerId)
+      .get();
+
+    const summaries: SpeakerSessionSummary[] = [];
+    let ratingCount = 0;
+    let ratingTotal = 0;
+
+    for (const sessionDoc of sessionsSnapshot.docs) {
+      const ratingsSnapshot = await db
+        .collection(COLLECTIONS.SESSION_RATINGS)
+        .where("sessionId", "==", sessionDoc.id)
+        .get();
+      if (ratingsSnapshot.empty) continue;
+
+      const ratings = ratingsSnapshot.docs.map((ratingDoc) => ratingDoc.data() as {
+        rating: number;
+        comment?: string | null;
+      });
+      summaries.push(summarizeSessionRatings(sessionDoc.data().title, ratings));
+      ratingCount += ratings.length;
+      ratingTotal += ratings.reduce((total, {rating}) => total + rating, 0);
+    }
+
+    if (summaries.length === 0) {
+      log.end(false, {reason: "no_ratings"});
+      throw new HttpsError(
+        "failed-precondition",
+        "This speaker's sessions have no ratings yet"
+      );
+    }
+
+    const settingsDoc = await db
+      .collection(COLLECTIONS.CONFERENCES)
+      .doc(await getActiveSettingsDocId())
+      .get();
+    const conferenceTitle = getConferenceName(settingsDoc.data());
+
+    const speakerName = speaker.name || "Speaker";
+    const recipient = email.trim().toLowerCase();
+
+    await sgMail.send({
+      to: recipient,
+      from: {
+        email: fromEmail,
+        name: senderName.value() || "IDMC Conference",
+      },
+      subject: `Your Session Ratings - ${conferenceTitle}`,
+      text: generateSpeakerSummaryEmailText(speakerName, summaries, conferenceTitle),
+      html: generateSpeakerSummaryEmailHtml(speakerName, summaries, conferenceTitle),
+    });
+
+    await db.collection(COLLECTIONS.SPEAKER_CONTACTS).doc(speakerId).set({
+      email: recipient,
+      lastSummarySentAt: FieldValue.serverTimestamp(),
+      lastSummarySentBy: admin.email,
+      updatedAt: FieldValue.serverTimestamp(),
+    }, {merge: true});
+
+    const average = Math.round((ratingTotal / ratingCount) * 10) / 10;
+
+    await logAuditEvent({
+      action: AUDIT_ACTIONS.SPEAKER_SUMMARY_SENT,
+      severity: AUDIT_SEVERITY.INFO,
+      actorId: request.auth?.uid || null,
+      actorEmail: admin.email,
+      actorRole: admin.role,
+      entityType: "speaker",
+      entityId: speakerId,
+      description: `Rating summary emailed to speaker ${speakerName}`,
+      metadata: {sessionCount: summaries.length, ratingCount, average},
+    });
+
+    log.end(true, {sessionCount: summaries.length, ratingCount});
+    return {success: true, sessionCount: summaries.length, ratingCount, average};
+  }
+);
+
+// ============================================
+// Registration Drafts
+// ============================================
+
+/**
+ * Hashes an access token (registration draft or agenda sync) for storage.
+ * Only the hash is kept so admins reading the documents cannot take over a
+ * registrant's autosave or agenda.
+ *
+ * @param {string} token - Token held by the registrant's browser
+ * @return {string} SHA-256 hex digest
+ */
+function hashAccessToken(token: string): string {
+  return createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Generates a new access token
+ *
+ * @return {string} Random hex token
+ */
+function generateAccessToken(): string {
+  return randomBytes(24).toString("hex");
+}
+
+/**
+ * Finds the most recently saved live draft for an email. Each device saves
+ * its own draft, so one email can have several.
+ *
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} email - Normalized email
+ * @return {Promise<FirebaseFirestore.QueryDocumentSnapshot|null>} Latest draft, or null
+ */
+async function getLatestDraftForEmail(
+  db: FirebaseFirestore.Firestore,
+  email: string
+): Promise<FirebaseFirestore.QueryDocumentSnapshot | null> {
+  const snapshot = await db.collection(COLLECTIONS.REGISTRATION_DRAFTS)
+    .where("email", "==", email)
+    .get();
+  return pickLatestDraft(snapshot.docs, (draftDoc) => draftDoc.data());
+}
+
+/**
+ * Saves an in-progress registration so it can be resumed later
+ *
+ * Drafts are keyed by a random ID, not by the unverified email. The first
+ * save returns the draft ID and a draft token that the registrant's browser
+ * sends with every later save. A save whose draft is missing, expired or
+ * held by a different token starts a new draft instead, so nobody can
+ * overwrite another person's draft by typing their email. On another
+ * device, the draft is found by email and its token obtained by resuming it
+ * with an emailed verification code.
+ *
+ * @param {Object} data - Request data
+ * @param {string} data.email - Primary attendee email, for resuming and admin follow-up
+ * @param {string} data.draftId - Draft ID from an earlier save or resume (optional)
+ * @param {string} data.draftToken - Token from an earlier save or resume (optional)
+ * @param {Object} data.formData - Registration form state, without payment files
+ * @param {number} data.step - Registration step the registrant is on
+ * @returns {Object} Draft ID, token and expiry
+ */
+export const saveRegistrationDraft = onCall(
+  {cors: true},
+  async (request) => {
+    const {email, draftId, draftToken, formData, step} = request.data as {
+      email?: string;
+      draftId?: string;
+      draftToken?: string;
+      formData?: Record<string, unknown>;
+      step?: number;
+    };
+
+    const draftEmail = normalizeDraftEmail(email);
+    if (!draftEmail) {
+      throw new HttpsError("invalid-argument", "A valid email is required");
+    }
+
+    if (!formData || typeof formData !== "object" || Array.isArray(formData)) {
+      throw new HttpsError("invalid-argument", "Registration details are required");
+    }
+
+    if (Buffer.byteLength(JSON.stringify(formData)) > REGISTRATION_DRAFT_MAX_BYTES) {
+      throw new HttpsError("invalid-argument", "This draft is too large to save");
+    }
+
+    const clientId = request.auth?.uid ||
+                     request.rawRequest?.ip ||
+                     draftEmail;
+
+    try {
+      await checkRateLimit(
+        "registration_draft",
+        clientId,
+        RATE_LIMIT_CONFIGS.REGISTRATION_DRAFT
+      );
+    } catch (error) {
+      await logRateLimitExceeded("registration_draft", clientId, draftEmail);
+      throw error;
+    }
+
+    const log = cfLogger.createContext("saveRegistrationDraft");
+    const db = getFirestore(DATABASE_ID);
+    const draftsRef = db.collection(COLLECTIONS.REGISTRATION_DRAFTS);
+
+    let hasLiveDraft = false;
+    if (isValidDraftId(draftId) && typeof draftToken === "string") {
+      const existing = (await draftsRef.doc(draftId).get()).data();
+      hasLiveDraft = !isDraftExpired(existing) && hashAccessToken(draftToken) === existing?.tokenHash;
+    }
+
+    const draftRef = hasLiveDraft && isValidDraftId(draftId) ? draftsRef.doc(draftId) : draftsRef.doc();
+    const token = hasLiveDraft ? draftToken as string : generateAccessToken();
+    const primaryAttendee = (formData.primaryAttendee || {}) as Record<string, unknown>;
+    const additionalAttendees = Array.isArray(formData.additionalAttendees) ?
+      formData.additionalAttendees :
+      [];
+    const expiresAt = getDraftExpiry();
+    const savedStep = getDraftStep(step);
+
+    await draftRef.set({
+      email: draftEmail,
+      formData,
+      step: savedStep,
+      primaryName: [primaryAttendee.firstName, primaryAttendee.lastName]
+        .filter((part) => typeof part === "string" && part.trim())
+        .join(" "),
+      cellphone: typeof primaryAttendee.cellphone === "string" ?
+        primaryAttendee.cellphone :
+        "",
+      churchName: typeof formData.churchName === "string" ? formData.churchName : "",
+      attendeeCount: 1 + additionalAttendees.length,
+      tokenHash: hashAccessToken(token),
+      updatedAt: FieldValue.serverTimestamp(),
+      expiresAt,
+      ...(hasLiveDraft ? {} : {createdAt: FieldValue.serverTimestamp()}),
+    }, {merge: hasLiveDraft});
+
+    log.info("Registration draft saved", {
+      created: !hasLiveDraft,
+      step: savedStep,
+      attendeeCount: 1 + additionalAttendees.length,
+    });
+    return {success: true, draftId: draftRef.id, draftToken: token, expiresAt};
+  }
+);
+
+/**
+ * Emails a verification code and a resume link for a saved registration
+ * draft, so the registrant can continue on another device
+ *
+ * @param {Object} data - Request data
+ * @param {string} data.email - Email the draft was saved under
+ * @returns {Object} Success status and code expiry
+ */
+export const sendDraftResumeCode = onCall(
+  {
+    region: "asia-southeast1",
+    maxInstances: 10,
+    secrets: [sendgridApiKey],
+  },
+  async (request) => {
+    const {email} = request.data as {email?: string};
+
+    const draftEmail = normalizeDraftEmail(email);
+    if (!draftEmail) {
+      throw new HttpsError("invalid-argument", "A valid email is required");
+    }
+
+    const log = cfLogger.createContext("sendDraftResumeCode");
+    log.start({});
+
+    const clientId = request.auth?.uid ||
+                     request.rawRequest?.ip ||
+                     draftEmail;
+
+    try {
+      await checkRateLimit(
+        "otp_request",
+        `${clientId}:${draftEmail}`,
+        RATE_LIMIT_CONFIGS.OTP_REQUEST
+      );
+    } catch (error) {
+      await logRateLimitExceeded("otp_request", clientId, draftEmail);
+      throw error;
+    }
+
+    const db = getFirestore(DATABASE_ID);
+    const draftDoc = await getLatestDraftForEmail(db, draftEmail);
+    const draft = draftDoc?.data();
+
+    if (!draftDoc) {
+      log.end(false, {reason: "draft_not_found"});
+      throw new HttpsError(
+        "not-found",
+        "No saved registration was found for this email"
+      );
+    }
+
+    const code = generateVerificationCode(VERIFICATION_CODE_CONFIG.CODE_LENGTH);
+    const expiresAt = new Date(
+      Date.now() + VERIFICATION_CODE_CONFIG.EXPIRY_MINUTES * 60 * 1000
+    );
+
+    await db.collection(COLLECTIONS.VERIFICATION_CODES)
+      .doc(`${draftEmail}_${VERIFICATION_ACTION.RESUME_DRAFT}`)
+      .set({
+        email: draftEmail,
+        action: VERIFICATION_ACTION.RESUME_DRAFT,
+        code,
+        attempts: 0,
+        maxAttempts: VERIFICATION_CODE_CONFIG.MAX_ATTEMPTS,
+        createdAt: FieldValue.serverTimestamp(),
+        expiresAt: expiresAt.toISOString(),
+        used: false,
+      });
+
+    const result = {
+      success: true,
+      expiresAt: expiresAt.toISOString(),
+      expiryMinutes: VERIFICATION_CODE_CONFIG.EXPIRY_MINUTES,
+      emailSent: false,
+    };
+
+    const emailSettings = await getEmailSettings();
+    if (shouldSkipEmail(draftEmail, {}, emailSettings)) {
+      log.end(true, {emailSent: false, reason: "test_data"});
+      return result;
+    }
+
+    const apiKey = getSendGridApiKey();
+    if (!isSendGridEnabled() || !apiKey) {
+      log.warn("SendGrid not enabled, cannot send draft resume email");
+      log.end(true, {emailSent: false, reason: "sendgrid_disabled"});
+      return result;
+    }
+
+    let conferenceTitle = CONFERENCE_SHORT_NAME;
+    try {
+      const settingsDoc = await db
+        .collection(COLLECTIONS.CONFERENCES)
+        .doc(await getActiveSettingsDocId())
+        .get();
+      conferenceTitle = getConferenceName(settingsDoc.data());
+    } catch (err) {
+      log.warn("Could not fetch conference title", {error: err});
+    }
+
+    const attendeeName = escapeHtml(
+      draft?.formData?.primaryAttendee?.firstName || "there"
+    );
+    const resumeUrl = `${appUrl.value()}/register?resume=${encodeURIComponent(draftEmail)}`;
+
+    try {
+      sgMail.setApiKey(apiKey);
+
+      const fromEmail = senderEmail.value();
+      if (!fromEmail) {
+        throw new Error("SENDER_EMAIL not configured");
+      }
+
+      await sgMail.send({
+        to: draftEmail,
+        from: {
+          email: fromEmail,
+          name: senderName.value() || "IDMC Conference",
+        },
+        subject: `Your ${VERIFICATION_ACTION_LABEL[VERIFICATION_ACTION.RESUME_DRAFT]} ` +
+          `Verification Code - ${conferenceTitle}`,
+        text: generateVerificationCodeEmailText(
+          code,
+          VERIFICATION_ACTION.RESUME_DRAFT,
+          attendeeName,
+          conferenceTitle,
+          VERIFICATION_CODE_CONFIG.EXPIRY_MINUTES,
+          resumeUrl
+        ),
+        html: generateVerificationCodeEmailHtml(
+          code,
+          VERIFICATION_ACTION.RESUME_DRAFT,
+          attendeeName,
+          conferenceTitle,
+          VERIFICATION_CODE_CONFIG.EXPIRY_MINUTES,
+          resumeUrl
+        ),
+      });
+
+      await draftDoc.ref.update({resumeEmailSentAt: FieldValue.serverTimestamp()});
+
+      log.end(true, {emailSent: true});
+      return {...result, emailSent: true};
+    } catch (error) {
+      log.error("Failed to send draft resume email", error);
+      log.end(false, {reason: "email_send_failed"});
+      throw new HttpsError(
+        "internal",
+        "Failed to send verification code. Please try again."
+      );
+    }
+  }
+);
+
+/**
+ * Resumes a saved registration draft with an emailed verification code
+ *
+ * Returns the most recently saved draft for the email with its ID and a new
+ * draft token, so further autosaves from this device are accepted and any
+ * other device's saves start a new draft.
+ *
+ * @param {Object} data - Request data
+ * @param {string} data.email - Email the draft was saved under
+ * @param {string} data.code - Verification code from the resume email
+ * @returns {Object} Saved form data, step, draft token and expiry
+ */
+export const resumeRegistrationDraft = onCall(
+  {
+    region: "asia-southeast1",
+    maxInstances: 10,
+  },
+  async (request) => {
+    const {email, code} = request.data as {email?: string; code?: string};
+
+    const draftEmail = normalizeDraftEmail(email);
+    if (!draftEmail || !code) {
+      throw new HttpsError("invalid-argument", "Email and code are required");
+    }
+
+    const log = cfLogger.createContext("resumeRegistrationDraft");
+    log.start({});
+
+    const clientId = request.auth?.uid ||
+                     request.rawRequest?.ip ||
+                     draftEmail;
+
+    try {
+      await checkRateLimit(
+        "otp_verify",
+        `${clientId}:${draftEmail}`,
+        RATE_LIMIT_CONFIGS.OTP_VERIFY
+      );
+    } catch (error) {
+      await logRateLimitExceeded("otp_verify", clientId, draftEmail);
+      throw error;
+    }
+
+    const db = getFirestore(DATABASE_ID);
+    const codeRef = db.collection(COLLECTIONS.VERIFICATION_CODES)
+      .doc(`${draftEmail}_${VERIFICATION_ACTION.RESUME_DRAFT}`);
+
+    await consumeVerificationCode(codeRef, code.trim(), log);
+
+    const draftDoc = await getLatestDraftForEmail(db, draftEmail);
+    const draft = draftDoc?.data();
+
+    if (!draftDoc || !draft) {
+      log.end(false, {reason: "draft_not_found"});
+      throw new HttpsError(
+        "not-found",
+        "This saved registration has expired. Please start a new registration."
+      );
+    }
+
+    const token = generateAccessToken();
+    const expiresAt = getDraftExpiry();
+    await draftDoc.ref.update({
+      tokenHash: hashAccessToken(token),
+      resumedAt: FieldValue.serverTimestamp(),
+      expiresAt,
+    });
+
+    await logAuditEvent({
+      action: AUDIT_ACTIONS.REGISTRATION_DRAFT_RESUMED,
+      severity: AUDIT_SEVERITY.INFO,
+      actorId: request.auth?.uid || null,
+      entityType: "registration_draft",
+      entityId: draftDoc.id,
+      description: `Registration draft for ${draftEmail} resumed with a verification code`,
+      ipAddress: clientId,
+    });
+
+    log.end(true, {step: draft.step});
+    return {
+      success: true,
+      formData: draft.formData,
+      step: draft.step || 1,
+      draftId: draftDoc.id,
+      draftToken: token,
+      expiresAt,
+    };
+  }
+);
+
+/**
+ * Deletes a saved registration draft when the registrant starts over
+ *
+ * @param {Object} data - Request data
+ * @param {string} data.draftId - Draft ID from an earlier save or resume
+ * @param {string} data.draftToken - Token from an earlier save or resume
+ * @returns {Object} Success status
+ */
+export const discardRegistrationDraft = onCall(
+  {cors: true},
+  async (request) => {
+    const {draftId, draftToken} = request.data as {
+      draftId?: string;
+      draftToken?: string;
+    };
+
+    if (!isValidDraftId(draftId) || typeof draftToken !== "string") {
+      throw new HttpsError("invalid-argument", "Draft ID and token are required");
+    }
+
+    const db = getFirestore(DATABASE_ID);
+    const draftRef = db.collection(COLLECTIONS.REGISTRATION_DRAFTS).doc(draftId);
+    const draftDoc = await draftRef.get();
+
+    if (!draftDoc.exists) {
+      return {success: true};
+    }
+
+    if (hashAccessToken(draftToken) !== draftDoc.data()?.tokenHash) {
+      throw new HttpsError(
+        "permission-denied",
+        "This draft was saved from another device"
       );
     }
 
-    // Get email settings
-    const emailSettings = await getEmailSettings();
-    if (!emailSettings.triggerEmailsEnabled) {
-      log.warn("Email sending is disabled");
-      log.end(true, {emailSent: false, reason: "emails_disabled"});
-      return {success: true, emailSent: false};
+    await draftRef.delete();
+    return {success: true};
+  }
+);
+
+/**
+ * Scheduled function that deletes registration drafts past their expiry
+ * Runs daily at 3:30 AM Asia/Manila time
+ */
+export const cleanupExpiredRegistrationDrafts = onSchedule(
+  {
+    schedule: "30 3 * * *",
+    timeZone: "Asia/Manila",
+    region: "asia-southeast1",
+  },
+  async () => {
+    const log = cfLogger.createContext("cleanupExpiredRegistrationDrafts");
+    log.start({schedule: "30 3 * * *", timezone: "Asia/Manila"});
+
+    const db = getFirestore(DATABASE_ID);
+
+    try {
+      const expiredQuery = await db.collection(COLLECTIONS.REGISTRATION_DRAFTS)
+        .where("expiresAt", "<", new Date().toISOString())
+        .get();
+
+      if (expiredQuery.empty) {
+        log.end(true, {deletedCount: 0});
+        return;
+      }
+
+      // Firestore batches are limited to 500 writes
+      const docs = expiredQuery.docs;
+      for (let i = 0; i < docs.length; i += 500) {
+        const batch = db.batch();
+        docs.slice(i, i + 500).forEach((doc) => batch.delete(doc.ref));
+        await batch.commit();
+      }
+
+      log.info("Deleted expired registration drafts", {count: docs.length});
+      log.end(true, {deletedCount: docs.length});
+    } catch (error) {
+      log.error("Error deleting expired registration drafts", error);
+      log.end(false, {error: (error as Error).message});
+      throw error;
     }
+  }
+);
 
-    // Check if we should skip this email (test domain)
-    if (isTestEmailDomain(newAttendeeEmail)) {
-      log.info("Skipping email to test domain");
-      log.end(true, {emailSent: false, reason: "test_domain"});
-      return {success: true, emailSent: false};
+// ============================================
+// Email Campaigns
+// ============================================
+
+/**
+ * Emails sent in parallel while delivering a campaign
+ */
+const CAMPAIGN_SEND_CONCURRENCY = 10;
+
+/**
+ * Fills a campaign's {{firstName}}, {{registrationId}} and {{feedbackUrl}}
+ * placeholders. The feedback link carries the registration ID so responses
+ * can be grouped by category and church.
+ *
+ * @param {string} text - Campaign subject or body
+ * @param {CampaignRecipient} recipient - Recipient
+ * @return {string} Personalized text
+ */
+function personalizeCampaignText(text: string, recipient: CampaignRecipient): string {
+  const feedbackUrl = `${appUrl.value()}/feedback?ref=${encodeURIComponent(recipient.registrationId)}`;
+  return text
+    .replace(/\{\{\s*firstName\s*\}\}/g, recipient.firstName || "Attendee")
+    .replace(/\{\{\s*registrationId\s*\}\}/g, recipient.registrationId)
+    .replace(/\{\{\s*feedbackUrl\s*\}\}/g, feedbackUrl);
+}
+
+/**
+ * Generates HTML email content for a campaign message. The body is plain
+ * text; blank lines separate paragraphs.
+ *
+ * @param {string} subject - Personalized subject
+ * @param {string} body - Personalized plain text body
+ * @param {string} conferenceTitle - Conference title
+ * @return {string} HTML email content
+ */
+function generateCampaignEmailHtml(
+  subject: string,
+  body: string,
+  conferenceTitle: string
+): string {
+  const paragraphs = body
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean)
+    .map((paragraph) => `
+        <p style="font-size: 14px; margin: 0 0 16px; color: #1f2937;">
+          ${escapeHtml(paragraph).replace(/\n/g, "<br>")}
+        </p>`)
+    .join("");
+
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1">
+      <title>${escapeHtml(subject)}</title>
+    </head>
+    <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #1f2937; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f3f4f6;">
+      <div style="background: linear-gradient(135deg, #3b82f6 0%, #1e40af 100%); padding: 32px 20px; text-align: center; border-radius: 12px 12px 0 0;">
+        <h1 style="color: white; margin: 0; font-size: 22px; font-weight: 600;">
+          ${escapeHtml(subject)}
+        </h1>
+        <p style="color: rgba(255,255,255,0.9); margin: 10px 0 0; font-size: 14px;">
+          ${escapeHtml(conferenceTitle)}
+        </p>
+      </div>
+
+      <div style="background: white; padding: 32px 30px; border-radius: 0 0 12px 12px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
+        ${paragraphs}
+      </div>
+
+      <div style="text-align: center; padding: 20px; color: #9ca3af; font-size: 12px;">
+        <p style="margin: 0;">
+          You are receiving this because you registered for ${escapeHtml(conferenceTitle)}.
+        </p>
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+/**
+ * Claims a campaign for sending, so the scheduler and an admin cannot
+ * send it at the same time. A campaign stuck sending (its function timed
+ * out or crashed) can be claimed again once its send is stale.
+ *
+ * @param {FirebaseFirestore.DocumentReference} campaignRef - Campaign reference
+ * @param {string[]} allowedStatuses - Statuses the campaign may be sent from
+ * @return {Promise<FirebaseFirestore.DocumentData|null>} Campaign, or null when not claimable
+ */
+async function claimEmailCampaign(
+  campaignRef: FirebaseFirestore.DocumentReference,
+  allowedStatuses: string[]
+): Promise<FirebaseFirestore.DocumentData | null> {
+  const db = getFirestore(DATABASE_ID);
+  return db.runTransaction(async (transaction) => {
+    const campaignDoc = await transaction.get(campaignRef);
+    const campaign = campaignDoc.data();
+    const claimable = canClaimCampaign({
+      status: campaign?.status,
+      sendStartedAt: campaign?.sendStartedAt?.toDate?.() || null,
+    }, allowedStatuses);
+    if (!campaign || !claimable) {
+      return null;
+    }
+    transaction.update(campaignRef, {
+      status: CAMPAIGN_STATUS.SENDING,
+      sendStartedAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    return campaign;
+  });
+}
+
+/**
+ * Sends a claimed campaign to its segment through SendGrid and records a
+ * delivery document per recipient under emailCampaigns/{id}/deliveries.
+ * Each delivery is marked sending before its email goes out, so a retry
+ * never emails a recipient who was sent to, or may have been sent to, by
+ * an earlier attempt.
+ *
+ * @param {FirebaseFirestore.DocumentReference} campaignRef - Campaign reference
+ * @param {FirebaseFirestore.DocumentData} campaign - Campaign data
+ * @return {Promise<Object>} Delivery counts (sent, failed, skipped, unconfirmed)
+ */
+async function deliverEmailCampaign(
+  campaignRef: FirebaseFirestore.DocumentReference,
+  campaign: FirebaseFirestore.DocumentData
+): Promise<{sent: number; failed: number; skipped: number; unconfirmed: number}> {
+  const log = cfLogger.createContext("deliverEmailCampaign");
+  const db = getFirestore(DATABASE_ID);
+
+  try {
+    const apiKey = getSendGridApiKey();
+    const fromEmail = senderEmail.value();
+    if (!isSendGridEnabled() || !apiKey || !fromEmail) {
+      throw new Error("SendGrid API key or SENDER_EMAIL is not configured");
+    }
+    sgMail.setApiKey(apiKey);
+
+    const editionId = getRegistrationEditionId(campaign);
+    const segment: CampaignSegment = campaign.segment || {};
+    const queryStatuses = getCampaignQueryStatuses(segment);
+    let registrationsQuery = db.collection(COLLECTIONS.REGISTRATIONS)
+      .where("conferenceId", "==", editionId);
+    if (queryStatuses) {
+      registrationsQuery = registrationsQuery.where("status", "in", queryStatuses);
+    }
+
+    const [settingsDoc, registrationsSnapshot, deliveriesSnapshot, emailSettings] = await Promise.all([
+      db.collection(COLLECTIONS.CONFERENCES).doc(getEditionSettingsDocId(editionId)).get(),
+      registrationsQuery.get(),
+      campaignRef.collection("deliveries").get(),
+      getEmailSettings(),
+    ]);
+    const conferenceTitle = getConferenceName(settingsDoc.data());
+    const deliveryStatuses = new Map(
+      deliveriesSnapshot.docs.map((deliveryDoc) => [deliveryDoc.id, deliveryDoc.get("status") as string])
+    );
+
+    const registrations = registrationsSnapshot.docs.map((registrationDoc): FirebaseFirestore.DocumentData => ({
+      id: registrationDoc.id,
+      ...registrationDoc.data(),
+    }));
+    const recipients = resolveCampaignRecipients(registrations, segment);
+    const {pending, sentCount, unconfirmed} = planCampaignDeliveries(recipients, deliveryStatuses);
+
+    log.start({campaignId: campaignRef.id, recipientCount: recipients.length, pendingCount: pending.length});
+
+    const counts = {sent: sentCount, failed: 0, skipped: 0, unconfirmed: unconfirmed.length};
+
+    if (unconfirmed.length > 0) {
+      log.warn("Not resending campaign emails whose delivery is unconfirmed", {
+        campaignId: campaignRef.id,
+        unconfirmedCount: unconfirmed.length,
+      });
+      const batch = db.batch();
+      unconfirmed.forEach((recipient) => {
+        batch.set(campaignRef.collection("deliveries").doc(getCampaignDeliveryId(recipient.email)), {
+          status: CAMPAIGN_DELIVERY_STATUS.UNCONFIRMED,
+          error: "The send stopped before this email was confirmed; it was not sent again",
+          updatedAt: FieldValue.serverTimestamp(),
+        }, {merge: true});
+      });
+      await batch.commit();
+    }
+
+    for (let i = 0; i < pending.length; i += CAMPAIGN_SEND_CONCURRENCY) {
+      await Promise.all(pending.slice(i, i + CAMPAIGN_SEND_CONCURRENCY).map(async (recipient) => {
+        const deliveryRef = campaignRef.collection("deliveries").doc(getCampaignDeliveryId(recipient.email));
+        const delivery = {
+          email: recipient.email,
+          firstName: recipient.firstName,
+          registrationId: recipient.registrationId,
+          updatedAt: FieldValue.serverTimestamp(),
+        };
+
+        if (shouldSkipEmail(recipient.email, recipient.registration, emailSettings)) {
+          counts.skipped += 1;
+          await deliveryRef.set({...delivery, status: CAMPAIGN_DELIVERY_STATUS.SKIPPED, error: "Test or seeded data"});
+          return;
+        }
+
+        const subject = personalizeCampaignText(campaign.subject || "", recipient);
+        const body = personalizeCampaignText(campaign.body || "", recipient);
+        await deliveryRef.set({...delivery, status: CAMPAIGN_DELIVERY_STATUS.SENDING, error: null});
+        try {
+          await sgMail.send({
+            to: recipient.email,
+            from: {
+              email: fromEmail,
+              name: senderName.value() || "IDMC Conference",
+            },
+            subject,
+            text: body,
+            html: generateCampaignEmailHtml(subject, body, conferenceTitle),
+            customArgs: {campaignId: campaignRef.id},
+          });
+          counts.sent += 1;
+          await deliveryRef.set({
+            ...delivery,
+            status: CAMPAIGN_DELIVERY_STATUS.SENT,
+            error: null,
+            sentAt: FieldValue.serverTimestamp(),
+          });
+        } catch (error) {
+          counts.failed += 1;
+          const message = error instanceof Error ? error.message : "Unknown error";
+          log.warn("Failed to send campaign email", {campaignId: campaignRef.id, error: message});
+          await deliveryRef.set({...delivery, status: CAMPAIGN_DELIVERY_STATUS.FAILED, error: message});
+        }
+      }));
+    }
+
+    await campaignRef.update({
+      status: counts.failed > 0 && counts.sent === 0 ? CAMPAIGN_STATUS.FAILED : CAMPAIGN_STATUS.SENT,
+      recipientCount: recipients.length,
+      sentCount: counts.sent,
+      failedCount: counts.failed,
+      skippedCount: counts.skipped,
+      unconfirmedCount: counts.unconfirmed,
+      lastError: null,
+      sentAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+
+    await logAuditEvent({
+      action: AUDIT_ACTIONS.CAMPAIGN_SENT,
+      severity: AUDIT_SEVERITY.INFO,
+      actorId: null,
+      actorEmail: campaign.sentByEmail || campaign.createdByEmail || undefined,
+      entityType: "emailCampaign",
+      entityId: campaignRef.id,
+      description: `Campaign "${campaign.name}" sent to ${counts.sent} of ${recipients.length} recipient(s)`,
+      metadata: counts,
+    });
+
+    log.end(true, counts);
+    return counts;
+  } catch (error) {
+    const message = error instanceof Error ? error.message : "Unknown error";
+    log.error("Failed to deliver campaign", error);
+    await campaignRef.update({
+      status: CAMPAIGN_STATUS.FAILED,
+      lastError: message,
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    log.end(false, {error: message});
+    throw error;
+  }
+}
+
+/**
+ * Sends an email campaign now
+ *
+ * Drafts, scheduled campaigns, failed campaigns and campaigns stuck sending
+ * (to retry the recipients that were not reached) can be sent.
+ *
+ * @param {Object} data - Request data
+ * @param {string} data.campaignId - Campaign document ID
+ * @returns {Object} Number of emails sent, failed and skipped
+ */
+export const sendEmailCampaign = onCall(
+  {cors: true, secrets: [sendgridApiKey], timeoutSeconds: 540},
+  async (request) => {
+    const {campaignId} = request.data as {campaignId?: string};
+
+    const {admin} = await verifyAdminRole(request.auth?.uid, [
+      ADMIN_ROLES.SUPERADMIN,
+      ADMIN_ROLES.ADMIN,
+    ]);
+
+    if (!campaignId || typeof campaignId !== "string") {
+      throw new HttpsError("invalid-argument", "Campaign ID is required");
+    }
+
+    const db = getFirestore(DATABASE_ID);
+    const campaignRef = db.collection(COLLECTIONS.EMAIL_CAMPAIGNS).doc(campaignId);
+    const campaign = await claimEmailCampaign(campaignRef, [
+      CAMPAIGN_STATUS.DRAFT,
+      CAMPAIGN_STATUS.SCHEDULED,
+      CAMPAIGN_STATUS.FAILED,
+    ]);
+
+    if (!campaign) {
+      throw new HttpsError(
+        "failed-precondition",
+        "This campaign was already sent or is being sent"
+      );
+    }
+
+    try {
+      const counts = await deliverEmailCampaign(campaignRef, {...campaign, sentByEmail: admin.email});
+      return {success: true, ...counts};
+    } catch (error) {
+      throw new HttpsError(
+        "internal",
+        error instanceof Error ? error.message : "Failed to send campaign"
+      );
+    }
+  }
+);
+
+/**
+ * Scheduled function that sends campaigns whose scheduled time has passed
+ * and resumes campaigns stuck sending
+ * Runs every 5 minutes
+ */
+export const sendScheduledEmailCampaigns = onSchedule(
+  {
+    schedule: "every 5 minutes",
+    timeZone: "Asia/Manila",
+    region: "asia-southeast1",
+    secrets: [sendgridApiKey],
+    timeoutSeconds: 540,
+  },
+  async () => {
+    const log = cfLogger.createContext("sendScheduledEmailCampaigns");
+    log.start({schedule: "every 5 minutes"});
+
+    const db = getFirestore(DATABASE_ID);
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - CAMPAIGN_SEND_STALE_MINUTES * 60 * 1000);
+    const [dueSnapshot, stuckSnapshot] = await Promise.all([
+      db.collection(COLLECTIONS.EMAIL_CAMPAIGNS)
+        .where("status", "==", CAMPAIGN_STATUS.SCHEDULED)
+        .where("scheduledAt", "<=", now)
+        .get(),
+      db.collection(COLLECTIONS.EMAIL_CAMPAIGNS)
+        .where("status", "==", CAMPAIGN_STATUS.SENDING)
+        .where("sendStartedAt", "<=", staleBefore)
+        .get(),
+    ]);
+
+    let sentCampaigns = 0;
+    for (const campaignDoc of [...dueSnapshot.docs, ...stuckSnapshot.docs]) {
+      const campaign = await claimEmailCampaign(campaignDoc.ref, [CAMPAIGN_STATUS.SCHEDULED]);
+      if (!campaign) continue;
+      try {
+        await deliverEmailCampaign(campaignDoc.ref, campaign);
+        sentCampaigns += 1;
+      } catch {
+        // Failure is recorded on the campaign; continue with the others
+      }
+    }
+
+    log.end(true, {dueCount: dueSnapshot.size, stuckCount: stuckSnapshot.size, sentCampaigns});
+  }
+);
+
+// ============================================
+// Email Templates
+// ============================================
+
+/**
+ * Subject and body of an outgoing email
+ */
+interface EmailContent {
+  subject: string;
+  html: string;
+  text?: string;
+}
+
+/**
+ * Builds the placeholder values of a template from a registration
+ * (mirrors getEmailTemplateValues on the frontend, which renders the preview)
+ *
+ * @param {EmailTemplateKey} templateKey - Template being rendered
+ * @param {FirebaseFirestore.DocumentData} registration - Registration data
+ * @param {string} conferenceTitle - Name of the registration's edition
+ *   (see getConferenceName)
+ * @param {Record<string, string>} overrides - Values known only at send time
+ * @return {Record<string, string>} Placeholder values by name
+ */
+function getEmailTemplateValues(
+  templateKey: EmailTemplateKey,
+  registration: FirebaseFirestore.DocumentData,
+  conferenceTitle: string,
+  overrides: Record<string, string> = {}
+): Record<string, string> {
+  const primary = registration.primaryAttendee || {};
+  const original = registration.transfer?.originalAttendee || {};
+  const recipient = templateKey === EMAIL_TEMPLATE_KEY.TRANSFER_CONFIRMATION ? original : primary;
+  const registrationId = registration.registrationId || "";
+  const amount = templateKey === EMAIL_TEMPLATE_KEY.INVOICE ?
+    registration.payment?.amountPaid :
+    registration.totalAmount;
+  const paymentDeadline = templateKey === EMAIL_TEMPLATE_KEY.WAITLIST_OFFER ?
+    formatEmailTemplateDate(registration.waitlistOfferExpiresAt, DEFAULT_CONFERENCE_TIMEZONE, true) :
+    formatEmailTemplateDate(registration.paymentDeadline, DEFAULT_CONFERENCE_TIMEZONE);
+
+  return {
+    firstName: recipient.firstName || "",
+    lastName: recipient.lastName || "",
+    registrationId,
+    shortCode: registration.shortCode || "",
+    amount: (Number(amount) || 0).toLocaleString("en-PH"),
+    paymentDeadline,
+    churchName: getCampaignChurchName(registration),
+    conferenceTitle,
+    statusUrl: `${appUrl.value()}/registration/status?id=${registrationId}`,
+    invoiceNumber: registration.invoice?.invoiceNumber || "",
+    newAttendeeName: [primary.firstName, primary.lastName].filter(Boolean).join(" "),
+    originalAttendeeName: [original.firstName, original.lastName].filter(Boolean).join(" "),
+    qrCode: "",
+    ...overrides,
+  };
+}
+
+/**
+ * Builds the {{qrCode}} value of a ticket: each attendee's QR code,
+ * referencing the inline attachments by Content-ID
+ *
+ * @param {AttendeeWithQR[]} attendeesWithQR - Attendees with QR codes
+ * @return {string} QR code HTML
+ */
+function getEmailTemplateQrCodeHtml(attendeesWithQR: AttendeeWithQR[]): string {
+  return attendeesWithQR.map((attendee) => {
+    const name = escapeHtml(`${attendee.firstName} ${attendee.lastName}`.trim());
+    return "<div style=\"display: inline-block; margin: 8px; text-align: center;\">" +
+      `<img src="cid:${attendee.contentId}" alt="QR code for ${name}" width="180" height="180" style="display: block;">` +
+      `<p style="margin: 4px 0 0; color: #4b5563; font-size: 13px;">${name}</p></div>`;
+  }).join("");
+}
+
+/**
+ * Gets the active custom template for an email
+ *
+ * @param {EmailTemplateKey} templateKey - Template key
+ * @return {Promise<Object | null>} Subject, body and version, or null to use the built-in email
+ */
+async function getActiveEmailTemplate(
+  templateKey: EmailTemplateKey
+): Promise<{subject: string; html: string; version: number} | null> {
+  try {
+    const db = getFirestore(DATABASE_ID);
+    const templateDoc = await db.collection(COLLECTIONS.EMAIL_TEMPLATES).doc(templateKey).get();
+    const data = templateDoc.data();
+    if (!data?.isActive || !data.subject || !data.html) {
+      return null;
     }
+    return {subject: data.subject, html: data.html, version: data.version || 1};
+  } catch (error) {
+    logger.warn(`Could not fetch email template ${templateKey}, using built-in email`, error);
+    return null;
+  }
+}
+
+/**
+ * Replaces an email's built-in subject and body with the active custom
+ * template, when there is one. The plain-text part is dropped with it so
+ * recipients never see outdated wording.
+ *
+ * @param {EmailTemplateKey} templateKey - Template key
+ * @param {Record<string, string>} values - Placeholder values
+ * @param {EmailContent} builtIn - Built-in subject, body and text
+ * @return {Promise<EmailContent>} Content to send
+ */
+async function applyEmailTemplate(
+  templateKey: EmailTemplateKey,
+  values: Record<string, string>,
+  builtIn: EmailContent
+): Promise<EmailContent> {
+  const template = await getActiveEmailTemplate(templateKey);
+  if (!template) {
+    return builtIn;
+  }
+
+  logger.info(`Using email template ${templateKey} v${template.version}`);
+  return {
+    subject: renderEmailTemplate(template.subject, values, false),
+    html: renderEmailTemplate(template.html, values, true),
+  };
+}
+
+/**
+ * Gets the registration a transfer email is about, for its template values.
+ * Transfer emails are still sent when it cannot be read.
+ *
+ * @param {string} registrationId - Registration ID
+ * @return {Promise<FirebaseFirestore.DocumentData>} Registration data, or an empty object
+ */
+async function getTransferEmailRegistration(
+  registrationId: string
+): Promise<FirebaseFirestore.DocumentData> {
+  try {
+    const db = getFirestore(DATABASE_ID);
+    const registrationDoc = await db.collection(COLLECTIONS.REGISTRATIONS)
+      .doc(registrationId.toUpperCase())
+      .get();
+    return registrationDoc.data() || {};
+  } catch (error) {
+    logger.warn("Could not fetch registration for transfer email", error);
+    return {};
+  }
+}
+
+/**
+ * Callable function that sends a template to the requesting admin, rendered
+ * with a real registration's details, so wording can be checked in an inbox
+ * before it is turned on
+ *
+ * @param {Object} data - Request data
+ * @param {string} data.templateKey - Template key
+ * @param {string} data.subject - Subject to test (may be unsaved)
+ * @param {string} data.html - Body to test (may be unsaved)
+ * @param {string} [data.registrationId] - Registration to fill placeholders from
+ * @returns {Object} Address the test was sent to
+ */
+export const sendEmailTemplateTest = onCall(
+  {cors: true, secrets: [sendgridApiKey]},
+  async (request) => {
+    const {templateKey, subject, html, registrationId} = request.data as {
+      templateKey?: string;
+      subject?: string;
+      html?: string;
+      registrationId?: string;
+    };
+    const log = cfLogger.createContext("sendEmailTemplateTest", templateKey);
 
-    // Check if SendGrid is enabled
-    if (!isSendGridEnabled()) {
-      log.warn("SendGrid not enabled");
-      log.end(true, {emailSent: false, reason: "sendgrid_disabled"});
-      return {success: true, emailSent: false};
+    const {admin} = await verifyAdminRole(request.auth?.uid, [
+      ADMIN_ROLES.SUPERADMIN,
+      ADMIN_ROLES.ADMIN,
+    ]);
+
+    const templateKeys: string[] = Object.values(EMAIL_TEMPLATE_KEY);
+    if (!templateKey || !templateKeys.includes(templateKey)) {
+      throw new HttpsError("invalid-argument", "Unknown email template");
+    }
+    if (!subject?.trim() || !html?.trim()) {
+      throw new HttpsError("invalid-argument", "Subject and body are required");
     }
 
     const apiKey = getSendGridApiKey();
-    if (!apiKey) {
-      log.warn("SendGrid API key not available");
-      log.end(true, {emailSent: false, reason: "no_api_key"});
-      return {success: true, emailSent: false};
+    const fromEmail = senderEmail.value();
+    if (!isSendGridEnabled() || !apiKey || !fromEmail) {
+      throw new HttpsError("failed-precondition", "Email service is not configured");
     }
 
-    const db = getFirestore(DATABASE_ID);
-
-    // Get conference settings
-    let conferenceTitle = CONFERENCE_NAME;
-    let conferenceDate = "";
-    let conferenceVenue = "";
+    log.start({registrationId, requestedBy: admin.email});
 
-    try {
-      const settingsDoc = await db
-        .collection(COLLECTIONS.CONFERENCES)
-        .doc("conference-settings")
-        .get();
-      if (settingsDoc.exists) {
-        const data = settingsDoc.data();
-        conferenceTitle = data?.title || CONFERENCE_NAME;
-        if (data?.startDate) {
-          const date = new Date(data.startDate);
-          conferenceDate = date.toLocaleDateString("en-PH", {
-            weekday: "long",
-            year: "numeric",
-            month: "long",
-            day: "numeric",
-          });
-        }
-        conferenceVenue = data?.venue?.name || "";
+    let registration: FirebaseFirestore.DocumentData = {};
+    if (registrationId) {
+      const db = getFirestore(DATABASE_ID);
+      const registrationDoc = await db.collection(COLLECTIONS.REGISTRATIONS).doc(registrationId).get();
+      if (!registrationDoc.exists) {
+        log.end(false, {reason: "registration_not_found"});
+        throw new HttpsError("not-found", "Registration not found");
       }
-    } catch (err) {
-      log.warn("Could not fetch conference settings", {error: err});
+      registration = registrationDoc.data() || {};
     }
 
-    try {
-      sgMail.setApiKey(apiKey);
+    const key = templateKey as EmailTemplateKey;
+    const conferenceTitle = await getEditionConferenceName(
+      registrationId ? getRegistrationEditionId(registration) : undefined
+    );
+    const overrides: Record<string, string> = {};
+    let attachments: Array<{
+      content: string;
+      filename: string;
+      type: string;
+      disposition: "inline";
+      content_id: string;
+    }> = [];
+    if (key === EMAIL_TEMPLATE_KEY.TICKET && registration.registrationId && registration.primaryAttendee) {
+      const attendeesWithQR = await generateAllAttendeeQRCodes(
+        registration.registrationId,
+        registration.primaryAttendee,
+        registration.additionalAttendees
+      );
+      overrides.qrCode = getEmailTemplateQrCodeHtml(attendeesWithQR);
+      attachments = attendeesWithQR.map((attendee) => ({
+        content: attendee.qrCodeBase64,
+        filename: `qr-${attendee.contentId}.png`,
+        type: "image/png",
+        disposition: "inline" as const,
+        content_id: attendee.contentId,
+      }));
+    }
 
-      const fromEmail = senderEmail.value();
-      if (!fromEmail) {
-        log.error("SENDER_EMAIL not configured");
-        throw new Error("SENDER_EMAIL not configured");
-      }
+    const values = getEmailTemplateValues(key, registration, conferenceTitle, overrides);
 
-      const msg = {
-        to: newAttendeeEmail,
+    try {
+      sgMail.setApiKey(apiKey);
+      await sgMail.send({
+        to: admin.email,
         from: {
           email: fromEmail,
           name: senderName.value() || "IDMC Conference",
         },
-        subject: `Registration Transferred to You - ${conferenceTitle}`,
-        text: generateTransferNotificationText(
-          newAttendeeName,
-          originalAttendeeName || "Another attendee",
-          registrationId.toUpperCase(),
-          conferenceTitle,
-          {date: conferenceDate, venue: conferenceVenue}
-        ),
-        html: generateTransferNotificationHtml(
-          newAttendeeName,
-          originalAttendeeName || "Another attendee",
-          registrationId.toUpperCase(),
-          conferenceTitle,
-          {date: conferenceDate, venue: conferenceVenue}
-        ),
-      };
-
-      await sgMail.send(msg);
-      log.info("Transfer notification email sent", {to: newAttendeeEmail});
-
-      // Log the notification
-      await logAuditEvent({
-        action: "registration.transfer_notification_sent",
-        severity: AUDIT_SEVERITY.INFO,
-        actorId: request.auth?.uid || null,
-        entityType: "registration",
-        entityId: registrationId.toUpperCase(),
-        description: `Transfer notification sent to ${newAttendeeEmail}`,
-        metadata: {
-          newAttendeeEmail,
-          newAttendeeName,
-          originalAttendeeName,
-        },
+        subject: `[Test] ${renderEmailTemplate(subject, values, false)}`,
+        html: renderEmailTemplate(html, values, true),
+        ...(attachments.length > 0 ? {attachments} : {}),
       });
-
-      log.end(true, {emailSent: true});
-      return {success: true, emailSent: true};
     } catch (error) {
-      log.error("Failed to send transfer notification", error);
+      log.error("Failed to send test email", error);
       log.end(false, {reason: "email_send_failed"});
-      // Don't throw - transfer notification is not critical
-      return {success: false, emailSent: false, error: "Failed to send email"};
+      throw new HttpsError("internal", "Failed to send the test email");
     }
+
+    log.end(true, {sentTo: admin.email});
+    return {success: true, sentTo: admin.email};
   }
 );
 
+// ============================================
+// Reminders
+// ============================================
+
 /**
- * Generates HTML email content for transfer confirmation to original attendee
+ * How often the reminder scheduler runs
+ */
+const REMINDER_SCHEDULE = "every 30 minutes";
+
+/**
+ * Gets the conference start as a Date, from the settings start date and
+ * time in the conference timezone
  *
- * @param {string} originalAttendeeName - Name of the original attendee
- * @param {string} newAttendeeName - Name of the new attendee
- * @param {string} registrationId - Registration ID
- * @param {string} conferenceTitle - Conference title
+ * @param {FirebaseFirestore.DocumentData | undefined} settings - Conference settings
+ * @return {Date | null} Conference start, or null when the start date is invalid
+ */
+function getConferenceStart(settings: FirebaseFirestore.DocumentData | undefined): Date | null {
+  const startDate = settings?.startDate || "";
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate)) {
+    return null;
+  }
+  const startTime = /^\d{2}:\d{2}$/.test(settings?.startTime || "") ? settings?.startTime : "00:00";
+  const timeZone = settings?.timezone || DEFAULT_CONFERENCE_TIMEZONE;
+  const offset = getIcsUtcOffset(timeZone, new Date(`${startDate}T12:00:00Z`));
+  const start = new Date(`${startDate}T${startTime}:00${offset.slice(0, 3)}:${offset.slice(3)}`);
+  return Number.isNaN(start.getTime()) ? null : start;
+}
+
+/**
+ * Claims a reminder on a registration, so concurrent or repeated runs never
+ * send it twice. The registration must still have the expected status.
+ *
+ * @param {FirebaseFirestore.DocumentReference} registrationRef - Registration reference
+ * @param {string} reminderKey - Reminder key
+ * @param {string} expectedStatus - Status the registration must still have
+ * @return {Promise<FirebaseFirestore.DocumentData | null>} Registration, or null when not claimable
+ */
+async function claimReminder(
+  registrationRef: FirebaseFirestore.DocumentReference,
+  reminderKey: string,
+  expectedStatus: string
+): Promise<FirebaseFirestore.DocumentData | null> {
+  const db = getFirestore(DATABASE_ID);
+  return db.runTransaction(async (transaction) => {
+    const registrationDoc = await transaction.get(registrationRef);
+    const registration = registrationDoc.data();
+    if (!registration || registration.status !== expectedStatus || registration.reminders?.sent?.[reminderKey]) {
+      return null;
+    }
+    transaction.update(registrationRef, {
+      [`reminders.sent.${reminderKey}`]: FieldValue.serverTimestamp(),
+      "reminders.lastSentAt": FieldValue.serverTimestamp(),
+    });
+    return registration;
+  });
+}
+
+/**
+ * Releases a claimed reminder when it reached nobody because a send
+ * failed, so the next run tries again
+ *
+ * @param {FirebaseFirestore.DocumentReference} registrationRef - Registration reference
+ * @param {string} reminderKey - Reminder key
+ * @return {Promise<void>}
+ */
+async function releaseReminder(
+  registrationRef: FirebaseFirestore.DocumentReference,
+  reminderKey: string
+): Promise<void> {
+  await registrationRef.update({
+    [`reminders.sent.${reminderKey}`]: FieldValue.delete(),
+  });
+}
+
+/**
+ * Records a reminder attempt in the reminder log shown to admins
+ *
+ * @param {Object} entry - Log entry
+ * @return {Promise<void>}
+ */
+async function logReminder(entry: {
+  registrationId: string;
+  registration: FirebaseFirestore.DocumentData;
+  reminderType: ReminderType;
+  reminderKey: string;
+  channel: "email" | "sms";
+  recipient: string;
+  status: ReminderLogStatus;
+  error?: string | null;
+}): Promise<void> {
+  const {registration, ...rest} = entry;
+  try {
+    const db = getFirestore(DATABASE_ID);
+    await db.collection(COLLECTIONS.REMINDER_LOGS).add({
+      ...rest,
+      error: rest.error || null,
+      conferenceId: getRegistrationEditionId(registration),
+      attendeeName: [registration.primaryAttendee?.firstName, registration.primaryAttendee?.lastName]
+        .filter(Boolean)
+        .join(" "),
+      sentAt: FieldValue.serverTimestamp(),
+    });
+  } catch (error) {
+    logger.warn("Failed to write reminder log", error);
+  }
+}
+
+/**
+ * Generates the HTML of a reminder email
+ *
+ * @param {Object} content - Email content
+ * @param {string} content.heading - Header title
+ * @param {string} content.conferenceTitle - Conference title
+ * @param {string} content.firstName - Recipient's first name
+ * @param {string} content.bodyHtml - Message paragraphs (HTML)
+ * @param {string} content.buttonLabel - Call-to-action label
+ * @param {string} content.buttonUrl - Call-to-action link
  * @return {string} HTML email content
  */
-function generateTransferConfirmationHtml(
-  originalAttendeeName: string,
-  newAttendeeName: string,
-  registrationId: string,
-  conferenceTitle: string
-): string {
+function generateReminderEmailHtml(content: {
+  heading: string;
+  conferenceTitle: string;
+  firstName: string;
+  bodyHtml: string;
+  buttonLabel: string;
+  buttonUrl: string;
+}): string {
   return `
     <!DOCTYPE html>
     <html>
     <head>
       <meta charset="utf-8">
       <meta name="viewport" content="width=device-width, initial-scale=1">
-      <title>Registration Transfer Confirmation</title>
+      <title>${escapeHtml(content.heading)}</title>
     </head>
     <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #1f2937; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f3f4f6;">
-      <div style="background: linear-gradient(135deg, #3b82f6 0%, #1e40af 100%); padding: 40px 20px; text-align: center; border-radius: 12px 12px 0 0;">
-        <h1 style="color: white; margin: 0; font-size: 24px; font-weight: 600;">
-          Registration Transfer Confirmed
+      <div style="background: linear-gradient(135deg, #3b82f6 0%, #1e40af 100%); padding: 32px 20px; text-align: center; border-radius: 12px 12px 0 0;">
+        <h1 style="color: white; margin: 0; font-size: 22px; font-weight: 600;">
+          ${escapeHtml(content.heading)}
         </h1>
         <p style="color: rgba(255,255,255,0.9); margin: 10px 0 0; font-size: 14px;">
-          ${conferenceTitle}
+          ${escapeHtml(content.conferenceTitle)}
         </p>
       </div>
 
-      <div style="background: white; padding: 40px 30px; border-radius: 0 0 12px 12px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
-        <p style="font-size: 16px; margin: 0 0 20px;">
-          Hi ${originalAttendeeName},
+      <div style="background: white; padding: 32px 30px; border-radius: 0 0 12px 12px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
+        <p style="font-size: 14px; margin: 0 0 16px;">Hi ${escapeHtml(content.firstName || "there")},</p>
+        ${content.bodyHtml}
+        <div style="text-align: center; margin: 24px 0 0;">
+          <a href="${content.buttonUrl}" style="display: inline-block; padding: 14px 28px; background: linear-gradient(135deg, #1e40af 0%, #3b82f6 100%); color: #ffffff; text-decoration: none; font-size: 14px; font-weight: 600; border-radius: 8px;">
+            ${escapeHtml(content.buttonLabel)}
+          </a>
+        </div>
+      </div>
+
+      <div style="text-align: center; padding: 20px; color: #9ca3af; font-size: 12px;">
+        <p style="margin: 0;">
+          You are receiving this reminder because you registered for ${escapeHtml(content.conferenceTitle)}.
+        </p>
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+/**
+ * Sends a reminder email and logs the attempt
+ *
+ * @param {Object} options - Send options
+ * @return {Promise<ReminderLogStatus>} Outcome of the attempt
+ */
+async function sendReminderEmail(options: {
+  to: string;
+  subject: string;
+  html: string;
+  attachments?: Array<{
+    content: string;
+    filename: string;
+    type: string;
+    disposition: "inline";
+    content_id: string;
+  }>;
+  registrationId: string;
+  registration: FirebaseFirestore.DocumentData;
+  reminderType: ReminderType;
+  reminderKey: string;
+  emailSettings: EmailSettings;
+}): Promise<ReminderLogStatus> {
+  const {to, subject, html, attachments = [], emailSettings, ...logEntry} = options;
+
+  if (shouldSkipEmail(to, options.registration, emailSettings)) {
+    await logReminder({...logEntry, channel: "email", recipient: to, status: REMINDER_LOG_STATUS.SKIPPED,
+      error: "Test or seeded data"});
+    return REMINDER_LOG_STATUS.SKIPPED;
+  }
+
+  try {
+    await sgMail.send({
+      to,
+      from: {
+        email: senderEmail.value(),
+        name: senderName.value() || "IDMC Registration",
+      },
+      subject,
+      html,
+      ...(attachments.length > 0 ? {attachments} : {}),
+      customArgs: getEmailTrackingArgs(logEntry.registrationId, EMAIL_DELIVERY_TYPE.REMINDER),
+    });
+    await logReminder({...logEntry, channel: "email", recipient: to, status: REMINDER_LOG_STATUS.SENT});
+    return REMINDER_LOG_STATUS.SENT;
+  } catch (error) {
+    const message = error instanceof Error ? error.message : "Unknown error";
+    logger.warn(`Failed to send ${logEntry.reminderKey} reminder to ${to}`, error);
+    await logReminder({...logEntry, channel: "email", recipient: to, status: REMINDER_LOG_STATUS.FAILED,
+      error: message});
+    return REMINDER_LOG_STATUS.FAILED;
+  }
+}
+
+/**
+ * Logs a reminder that could not be sent because the attendee has no
+ * email address
+ *
+ * @param {Object} entry - Registration and reminder details
+ * @return {Promise<ReminderLogStatus>} Skipped outcome
+ */
+async function skipReminderWithoutEmail(entry: {
+  registrationId: string;
+  registration: FirebaseFirestore.DocumentData;
+  reminderType: ReminderType;
+  reminderKey: string;
+}): Promise<ReminderLogStatus> {
+  await logReminder({...entry, channel: "email", recipient: "", status: REMINDER_LOG_STATUS.SKIPPED,
+    error: "No email address"});
+  return REMINDER_LOG_STATUS.SKIPPED;
+}
+
+/**
+ * Sends a payment reminder by email and, when SMS is on, by text
+ *
+ * @param {FirebaseFirestore.DocumentReference} registrationRef - Registration reference
+ * @param {FirebaseFirestore.DocumentData} registration - Claimed registration
+ * @param {string} reminderKey - Reminder key
+ * @param {number} offsetHours - Offset in hours before the deadline
+ * @param {Object} context - Shared run context
+ * @return {Promise<ReminderLogStatus[]>} Outcome per channel
+ */
+async function sendPaymentReminder(
+  registrationRef: FirebaseFirestore.DocumentReference,
+  registration: FirebaseFirestore.DocumentData,
+  reminderKey: string,
+  offsetHours: number,
+  context: {
+    reminderSettings: ReminderSettings;
+    emailSettings: EmailSettings;
+    conferenceTitle: string;
+  }
+): Promise<ReminderLogStatus[]> {
+  const primary = registration.primaryAttendee || {};
+  const registrationId = registration.registrationId || registrationRef.id;
+  const statusUrl = `${appUrl.value()}/registration/status?id=${registrationId}`;
+  const deadline = formatEmailTemplateDate(registration.paymentDeadline, DEFAULT_CONFERENCE_TIMEZONE, true);
+  const amount = (Number(registration.totalAmount) || 0).toLocaleString("en-PH");
+  const logEntry = {registrationId, registration, reminderType: REMINDER_TYPE.PAYMENT, reminderKey};
+  const outcomes: ReminderLogStatus[] = [];
+
+  if (!primary.email) {
+    outcomes.push(await skipReminderWithoutEmail(logEntry));
+  } else {
+    outcomes.push(await sendReminderEmail({
+      ...logEntry,
+      to: primary.email,
+      subject: `Payment reminder: ${formatReminderOffset(offsetHours)} left - ${registrationId}`,
+      html: generateReminderEmailHtml({
+        heading: "Your payment is due soon",
+        conferenceTitle: context.conferenceTitle,
+        firstName: primary.firstName,
+        bodyHtml: `
+        <p style="font-size: 14px; margin: 0 0 16px;">
+          We haven't received the payment for registration <strong>${escapeHtml(registrationId)}</strong> yet.
+          Please pay <strong>PHP ${escapeHtml(amount)}</strong> by <strong>${escapeHtml(deadline)}</strong>
+          to keep your slot. Unpaid registrations are cancelled after the deadline.
+        </p>
+        <p style="font-size: 14px; margin: 0;">
+          If you have already paid, upload your proof of payment on your registration page.
+        </p>`,
+        buttonLabel: "Pay or Upload Proof of Payment",
+        buttonUrl: statusUrl,
+      }),
+      emailSettings: context.emailSettings,
+    }));
+  }
+
+  // SMS is best-effort: sendSms returns false when SMS is turned off, the
+  // registrant did not opt in or sending failed (failures are in the SMS
+  // log), so only sent messages are logged here
+  const phone = getAttendeePhone(primary);
+  if (context.reminderSettings.paymentSmsEnabled && phone) {
+    const sent = await sendSms({
+      to: phone,
+      message: SMS_TEMPLATES.paymentReminder(primary.firstName || "", registration.shortCode || registrationId,
+        registration.paymentDeadline),
+      messageType: SMS_MESSAGE_TYPE.PAYMENT_REMINDER,
+      registration,
+    });
+    if (sent) {
+      outcomes.push(REMINDER_LOG_STATUS.SENT);
+      await logReminder({...logEntry, channel: "sms", recipient: phone, status: REMINDER_LOG_STATUS.SENT});
+    }
+  }
+
+  return outcomes;
+}
+
+/**
+ * Sends a waitlist offer reminder before the offer expires
+ *
+ * @param {FirebaseFirestore.DocumentReference} registrationRef - Registration reference
+ * @param {FirebaseFirestore.DocumentData} registration - Claimed registration
+ * @param {string} reminderKey - Reminder key
+ * @param {number} offsetHours - Offset in hours before the offer expires
+ * @param {Object} context - Shared run context
+ * @return {Promise<ReminderLogStatus[]>} Outcome of the email
+ */
+async function sendWaitlistReminder(
+  registrationRef: FirebaseFirestore.DocumentReference,
+  registration: FirebaseFirestore.DocumentData,
+  reminderKey: string,
+  offsetHours: number,
+  context: {
+    emailSettings: EmailSettings;
+    conferenceTitle: string;
+  }
+): Promise<ReminderLogStatus[]> {
+  const primary = registration.primaryAttendee || {};
+  const registrationId = registration.registrationId || registrationRef.id;
+  const logEntry = {registrationId, registration, reminderType: REMINDER_TYPE.WAITLIST, reminderKey};
+  if (!primary.email) {
+    return [await skipReminderWithoutEmail(logEntry)];
+  }
+
+  return [await sendReminderEmail({
+    ...logEntry,
+    to: primary.email,
+    subject: `Your waitlist spot expires in ${formatReminderOffset(offsetHours)} - ${registrationId}`,
+    html: generateReminderEmailHtml({
+      heading: "Your spot is still waiting for you",
+      conferenceTitle: context.conferenceTitle,
+      firstName: primary.firstName,
+      bodyHtml: `
+        <p style="font-size: 14px; margin: 0 0 16px;">
+          A spot opened up for you and we are holding it until
+          <strong>${escapeHtml(formatEmailTemplateDate(registration.waitlistOfferExpiresAt, DEFAULT_CONFERENCE_TIMEZONE, true))}</strong>.
+          Complete your payment of
+          <strong>PHP ${escapeHtml((Number(registration.totalAmount) || 0).toLocaleString("en-PH"))}</strong>
+          before then to claim it.
+        </p>
+        <p style="font-size: 14px; margin: 0;">
+          After that, the spot is offered to the next person on the waitlist.
+        </p>`,
+      buttonLabel: "Claim My Spot",
+      buttonUrl: `${appUrl.value()}/registration/status?id=${registrationId}`,
+    }),
+    emailSettings: context.emailSettings,
+  })];
+}
+
+/**
+ * Sends the pre-event reminder with check-in QR codes and the what-to-bring
+ * list. The primary attendee receives every QR code of the group; additional
+ * attendees with their own email address receive their own. The primary
+ * attendee also gets an event-day SMS when they opted in.
+ *
+ * @param {FirebaseFirestore.DocumentReference} registrationRef - Registration reference
+ * @param {FirebaseFirestore.DocumentData} registration - Claimed registration
+ * @param {string} reminderKey - Reminder key
+ * @param {Object} context - Shared run context
+ * @return {Promise<ReminderLogStatus[]>} Outcome per email
+ */
+async function sendEventReminder(
+  registrationRef: FirebaseFirestore.DocumentReference,
+  registration: FirebaseFirestore.DocumentData,
+  reminderKey: string,
+  context: {
+    emailSettings: EmailSettings;
+    conferenceTitle: string;
+    settings: FirebaseFirestore.DocumentData | undefined;
+    whatToBringItems: WhatToBringItem[];
+  }
+): Promise<ReminderLogStatus[]> {
+  const primary = registration.primaryAttendee || {};
+  const registrationId = registration.registrationId || registrationRef.id;
+  const logEntry = {registrationId, registration, reminderType: REMINDER_TYPE.EVENT, reminderKey};
+  if (!primary.email) {
+    return [await skipReminderWithoutEmail(logEntry)];
+  }
+
+  const attendeesWithQR = await generateAllAttendeeQRCodes(
+    registrationId,
+    primary,
+    registration.additionalAttendees
+  );
+  const eventDate = formatEmailTemplateDate(context.settings?.startDate, DEFAULT_CONFERENCE_TIMEZONE);
+  const eventTime = formatEventTime(context.settings?.startTime || "");
+  const venue = context.settings?.venue || {};
+
+  const buildEmail = (firstName: string, attendees: AttendeeWithQR[]) => ({
+    subject: `See you soon at ${context.conferenceTitle}!`,
+    html: generateReminderEmailHtml({
+      heading: "See you soon!",
+      conferenceTitle: context.conferenceTitle,
+      firstName,
+      bodyHtml: `
+        <p style="font-size: 14px; margin: 0 0 16px;">
+          ${escapeHtml(context.conferenceTitle)} is almost here. We look forward to seeing you on
+          <strong>${escapeHtml(eventDate)}${eventTime ? ` at ${escapeHtml(eventTime)}` : ""}</strong>
+          ${venue.name ? `at <strong>${escapeHtml(venue.name)}</strong>` : ""}${venue.address ? `, ${escapeHtml(venue.address)}` : ""}.
         </p>
+        <p style="font-size: 14px; margin: 0 0 8px; font-weight: 600;">
+          ${attendees.length > 1 ? "Check-in QR codes (one per attendee):" : "Your check-in QR code:"}
+        </p>
+        <div style="text-align: center; margin: 0 0 16px;">
+          ${getEmailTemplateQrCodeHtml(attendees)}
+        </div>
+        <p style="font-size: 14px; margin: 0 0 8px; font-weight: 600;">What to bring:</p>
+        <ul style="margin: 0 0 16px; padding-left: 20px; font-size: 14px; line-height: 1.8;">
+          ${generateWhatToBringListHtml(context.whatToBringItems)}
+        </ul>`,
+      buttonLabel: attendees.length > 1 ? "View All Tickets Online" : "View My Ticket Online",
+      buttonUrl: `${appUrl.value()}/registration/status?id=${registrationId}`,
+    }),
+    attachments: attendees.map((attendee) => ({
+      content: attendee.qrCodeBase64,
+      filename: `qr-${attendee.contentId}.png`,
+      type: "image/png",
+      disposition: "inline" as const,
+      content_id: attendee.contentId,
+    })),
+  });
+
+  const outcomes = [await sendReminderEmail({
+    ...logEntry,
+    to: primary.email,
+    ...buildEmail(primary.firstName, attendeesWithQR),
+    emailSettings: context.emailSettings,
+  })];
+
+  const primaryEmail = String(primary.email).toLowerCase();
+  for (const attendee of attendeesWithQR.slice(1)) {
+    if (!attendee.email || attendee.email.toLowerCase() === primaryEmail) continue;
+    outcomes.push(await sendReminderEmail({
+      ...logEntry,
+      to: attendee.email,
+      ...buildEmail(attendee.firstName, [attendee]),
+      emailSettings: context.emailSettings,
+    }));
+  }
+
+  const phone = getAttendeePhone(primary);
+  if (phone) {
+    const sent = await sendSms({
+      to: phone,
+      message: SMS_TEMPLATES.eventReminder(primary.firstName || "", registration.shortCode || registrationId,
+        eventDate, venue.name || ""),
+      messageType: SMS_MESSAGE_TYPE.EVENT_REMINDER,
+      registration,
+    });
+    if (sent) {
+      outcomes.push(REMINDER_LOG_STATUS.SENT);
+      await logReminder({...logEntry, channel: "sms", recipient: phone, status: REMINDER_LOG_STATUS.SENT});
+    }
+  }
+
+  return outcomes;
+}
+
+/**
+ * Converts a Firestore timestamp or ISO string to a Date
+ *
+ * @param {unknown} value - Timestamp value
+ * @return {Date | null} Date, or null when unset or invalid
+ */
+function toReminderDate(value: unknown): Date | null {
+  const timestamp = timestampToDate(value);
+  if (timestamp) return timestamp;
+  if (typeof value !== "string") return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Scheduled function that sends payment, waitlist offer and pre-event
+ * reminders, as configured under settings.reminders
+ *
+ * - Payment reminders go to pending_payment registrations at each offset
+ *   before their paymentDeadline, by email and (when enabled) SMS
+ * - Waitlist reminders go to waitlist_offered registrations before
+ *   expireWaitlistOffers releases their spot
+ * - The pre-event reminder goes to confirmed registrations of the active
+ *   edition with their check-in QR codes and the what-to-bring list
+ *
+ * Each reminder is recorded under reminders.sent on the registration, so
+ * it is sent once, and every attempt is written to reminderLogs.
+ * Runs every 30 minutes
+ */
+export const sendReminders = onSchedule(
+  {
+    schedule: REMINDER_SCHEDULE,
+    timeZone: "Asia/Manila",
+    region: "asia-southeast1",
+    secrets: [sendgridApiKey, smsApiKey],
+    timeoutSeconds: 540,
+  },
+  async () => {
+    const log = cfLogger.createContext("sendReminders");
+    log.start({schedule: REMINDER_SCHEDULE});
+
+    const db = getFirestore(DATABASE_ID);
+    const now = new Date();
+    const msPerHour = 60 * 60 * 1000;
+
+    try {
+      const [editionId, settingsDoc] = await Promise.all([
+        getActiveEditionId(),
+        getActiveSettingsDocId().then((docId) => db.collection(COLLECTIONS.CONFERENCES).doc(docId).get()),
+      ]);
+      const settings = settingsDoc.data();
+      const reminderSettings = getReminderSettings(settings);
+
+      if (!reminderSettings.enabled) {
+        log.info("Reminders are turned off");
+        log.end(true, {sent: 0});
+        return;
+      }
+
+      const apiKey = getSendGridApiKey();
+      if (!isSendGridEnabled() || !apiKey || !senderEmail.value()) {
+        log.warn("SendGrid API key or SENDER_EMAIL not configured, skipping reminders");
+        log.end(true, {sent: 0});
+        return;
+      }
+      sgMail.setApiKey(apiKey);
+
+      const emailSettings = await getEmailSettings();
+      const conferenceTitle = getConferenceName(settings);
+      const counts = {payment: 0, waitlist: 0, event: 0, skipped: 0, failed: 0};
+
+      /**
+       * Claims and sends one reminder. The claim is released when the
+       * reminder reached nobody because a send failed; skipped reminders
+       * (test data, no email address) stay claimed.
+       *
+       * @param {FirebaseFirestore.QueryDocumentSnapshot} registrationDoc - Registration
+       * @param {ReminderType} type - Reminder type
+       * @param {number} offsetHours - Due offset
+       * @param {string} expectedStatus - Status the registration must still have
+       * @param {Function} send - Sends the reminder for the claimed registration
+       */
+      const processReminder = async (
+        registrationDoc: FirebaseFirestore.QueryDocumentSnapshot,
+        type: ReminderType,
+        offsetHours: number,
+        expectedStatus: string,
+        send: (registration: FirebaseFirestore.DocumentData, reminderKey: string) => Promise<ReminderLogStatus[]>
+      ) => {
+        const reminderKey = getReminderKey(type, offsetHours);
+        const registration = await claimReminder(registrationDoc.ref, reminderKey, expectedStatus);
+        if (!registration) return;
+
+        let outcomes: ReminderLogStatus[] = [REMINDER_LOG_STATUS.FAILED];
+        try {
+          outcomes = await send(registration, reminderKey);
+        } catch (error) {
+          log.error("Failed to send reminder", error, {registrationId: registrationDoc.id, reminderKey});
+        }
 
-        <p style="font-size: 14px; margin: 0 0 20px; color: #4b5563;">
-          This email confirms that your registration for <strong>${conferenceTitle}</strong>
-          has been successfully transferred.
-        </p>
+        if (outcomes.includes(REMINDER_LOG_STATUS.SENT)) {
+          counts[type] += 1;
+        } else if (outcomes.includes(REMINDER_LOG_STATUS.FAILED)) {
+          counts.failed += 1;
+          await releaseReminder(registrationDoc.ref, reminderKey);
+        } else {
+          counts.skipped += 1;
+        }
+      };
 
-        <div style="background: #eff6ff; border: 2px solid #3b82f6; border-radius: 12px; padding: 20px; margin: 0 0 30px;">
-          <h3 style="color: #1e40af; margin: 0 0 15px; font-size: 16px;">Transfer Details:</h3>
-          <p style="margin: 0 0 8px; font-size: 14px;">
-            <strong>Registration ID:</strong> ${registrationId}
-          </p>
-          <p style="margin: 0; font-size: 14px;">
-            <strong>Transferred to:</strong> ${newAttendeeName}
-          </p>
-        </div>
+      // Payment reminders
+      const paymentOffsets = reminderSettings.paymentOffsetsHours;
+      if (paymentOffsets.length > 0) {
+        const horizon = new Date(now.getTime() + Math.max(...paymentOffsets) * msPerHour);
+        const pendingSnapshot = await db.collection(COLLECTIONS.REGISTRATIONS)
+          .where("status", "==", REGISTRATION_STATUS.PENDING_PAYMENT)
+          .where("paymentDeadline", ">", now.toISOString())
+          .where("paymentDeadline", "<=", horizon.toISOString())
+          .get();
+
+        for (const registrationDoc of pendingSnapshot.docs) {
+          const data = registrationDoc.data();
+          const deadline = toReminderDate(data.paymentDeadline);
+          if (!deadline) continue;
+          const offset = getDueReminderOffset(deadline, paymentOffsets, now, toReminderDate(data.createdAt));
+          if (offset === null || data.reminders?.sent?.[getReminderKey(REMINDER_TYPE.PAYMENT, offset)]) continue;
+          await processReminder(registrationDoc, REMINDER_TYPE.PAYMENT, offset, REGISTRATION_STATUS.PENDING_PAYMENT,
+            (registration, reminderKey) => sendPaymentReminder(registrationDoc.ref, registration, reminderKey, offset,
+              {reminderSettings, emailSettings, conferenceTitle}));
+        }
+      }
 
-        <div style="background: #fef3c7; border-left: 4px solid #f59e0b; padding: 15px; margin: 0 0 30px; border-radius: 0 8px 8px 0;">
-          <p style="margin: 0; font-size: 13px; color: #92400e;">
-            <strong>Please note:</strong> This registration is no longer associated with
-            your account. If you did not authorize this transfer, please contact us immediately.
-          </p>
-        </div>
+      // Waitlist offer reminders
+      const waitlistOffset = reminderSettings.waitlistOffsetHours;
+      if (waitlistOffset > 0) {
+        const horizon = new Date(now.getTime() + waitlistOffset * msPerHour);
+        const offeredSnapshot = await db.collection(COLLECTIONS.REGISTRATIONS)
+          .where("status", "==", REGISTRATION_STATUS.WAITLIST_OFFERED)
+          .where("waitlistOfferExpiresAt", ">", now.toISOString())
+          .where("waitlistOfferExpiresAt", "<=", horizon.toISOString())
+          .get();
+
+        for (const registrationDoc of offeredSnapshot.docs) {
+          const data = registrationDoc.data();
+          const expiresAt = toReminderDate(data.waitlistOfferExpiresAt);
+          if (!expiresAt) continue;
+          const offset = getDueReminderOffset(expiresAt, [waitlistOffset], now,
+            toReminderDate(data.waitlistOfferSentAt));
+          if (offset === null || data.reminders?.sent?.[getReminderKey(REMINDER_TYPE.WAITLIST, offset)]) continue;
+          await processReminder(registrationDoc, REMINDER_TYPE.WAITLIST, offset, REGISTRATION_STATUS.WAITLIST_OFFERED,
+            (registration, reminderKey) => sendWaitlistReminder(registrationDoc.ref, registration, reminderKey, offset,
+              {emailSettings, conferenceTitle}));
+        }
+      }
 
-        <p style="font-size: 14px; margin: 0; color: #6b7280;">
-          If you have any questions or concerns, please reach out to us through our website.
-        </p>
-      </div>
+      // Pre-event reminders
+      const eventOffset = reminderSettings.eventOffsetHours;
+      const conferenceStart = getConferenceStart(settings);
+      if (eventOffset > 0 && conferenceStart &&
+        getDueReminderOffset(conferenceStart, [eventOffset], now, null) !== null) {
+        const [confirmedSnapshot, whatToBringItems] = await Promise.all([
+          db.collection(COLLECTIONS.REGISTRATIONS)
+            .where("status", "==", REGISTRATION_STATUS.CONFIRMED)
+            .get(),
+          getPublishedWhatToBringItems(),
+        ]);
+        const reminderKey = getReminderKey(REMINDER_TYPE.EVENT, eventOffset);
+
+        for (const registrationDoc of confirmedSnapshot.docs) {
+          const data = registrationDoc.data();
+          if (getRegistrationEditionId(data) !== editionId || data.reminders?.sent?.[reminderKey]) continue;
+          await processReminder(registrationDoc, REMINDER_TYPE.EVENT, eventOffset, REGISTRATION_STATUS.CONFIRMED,
+            (registration, key) => sendEventReminder(registrationDoc.ref, registration, key,
+              {emailSettings, conferenceTitle, settings, whatToBringItems}));
+        }
+      }
 
-      <div style="text-align: center; padding: 20px; color: #9ca3af; font-size: 12px;">
-        <p style="margin: 0;">
-          © ${new Date().getFullYear()} ${CONFERENCE_NAME}. All rights reserved.
-        </p>
-      </div>
-    </body>
-    </html>
-  `;
-}
+      log.end(true, counts);
+    } catch (error) {
+      log.error("Error sending reminders", error);
+      log.end(false, {error: (error as Error).message});
+      throw error;
+    }
+  }
+);
+
+// ============================================================================
+// SMS
+// ============================================================================
 
 /**
- * Generates plain text email content for transfer confirmation
+ * Callable function that sends a test SMS through the configured provider
+ * to a number entered by an admin, so the provider setup can be checked
+ * before attendees rely on it. The attempt is recorded in the SMS log.
  *
- * @param {string} originalAttendeeName - Name of the original attendee
- * @param {string} newAttendeeName - Name of the new attendee
- * @param {string} registrationId - Registration ID
- * @param {string} conferenceTitle - Conference title
- * @return {string} Plain text email content
+ * @param {Object} data - Request data
+ * @param {string} data.phone - Philippine mobile number to send to
+ * @returns {Object} Provider the test was sent through
  */
-function generateTransferConfirmationText(
-  originalAttendeeName: string,
-  newAttendeeName: string,
-  registrationId: string,
-  conferenceTitle: string
-): string {
-  return `
-Hi ${originalAttendeeName},
+export const sendTestSms = onCall(
+  {cors: true, secrets: [sendgridApiKey, smsApiKey]},
+  async (request) => {
+    const {phone} = request.data as {phone?: string};
+    const log = cfLogger.createContext("sendTestSms");
 
-This email confirms that your registration for ${conferenceTitle} has been successfully transferred.
+    const {admin} = await verifyAdminRole(request.auth?.uid, [
+      ADMIN_ROLES.SUPERADMIN,
+      ADMIN_ROLES.ADMIN,
+    ]);
 
-Transfer Details:
-Registration ID: ${registrationId}
-Transferred to: ${newAttendeeName}
+    if (!phone || !isValidPhilippinePhone(phone)) {
+      throw new HttpsError("invalid-argument", "Enter a valid Philippine mobile number");
+    }
 
-Please note: This registration is no longer associated with your account. If you did not authorize this transfer, please contact us immediately.
+    const smsSettings = await getSmsSettings();
+    if (!smsSettings.enabled) {
+      throw new HttpsError("failed-precondition", "SMS notifications are turned off");
+    }
+    const provider = getSmsProvider(smsSettings).name;
 
-If you have any questions or concerns, please reach out to us through our website.
+    log.start({phone: maskPhoneNumber(formatPhoneNumber(phone)), provider, requestedBy: admin.email});
 
-- ${CONFERENCE_NAME} Team
-  `.trim();
-}
+    const sent = await sendSms({
+      to: phone,
+      message: `This is a test SMS from ${await getEditionConferenceName()}. Your SMS notifications are working.`,
+      messageType: SMS_MESSAGE_TYPE.TEST,
+      requireConsent: false,
+      sentBy: admin.email,
+    });
+    if (!sent) {
+      log.end(false, {reason: "sms_send_failed"});
+      throw new HttpsError("internal", "Failed to send the test SMS. See the SMS log for the provider's error.");
+    }
+
+    log.end(true, {provider});
+    return {success: true, provider};
+  }
+);
+
+// ============================================================================
+// Email Delivery Events
+// ============================================================================
 
 /**
- * Sends a confirmation email to the original attendee after a transfer
+ * Stores one SendGrid event on its registration, under
+ * emailDelivery.{emailType}, when shouldStoreDeliveryEvent accepts it. A
+ * bounce or drop flags the registration with emailBounced until a later
+ * email to the same address is delivered or the address is fixed.
  *
- * This function should be called after a successful transfer operation.
- * It notifies the original attendee that their registration has been transferred.
+ * @param {SendGridEvent} sendGridEvent - SendGrid event
+ * @return {Promise<boolean>} True if the event was stored
+ */
+async function applyEmailDeliveryEvent(sendGridEvent: SendGridEvent): Promise<boolean> {
+  const event = readSendGridEvent(sendGridEvent);
+  if (!event) return false;
+
+  const eventAt = Timestamp.fromMillis(event.eventAtMillis);
+  const db = getFirestore(DATABASE_ID);
+  const registrationRef = db.collection(COLLECTIONS.REGISTRATIONS).doc(event.registrationId);
+
+  return db.runTransaction(async (transaction) => {
+    const registrationDoc = await transaction.get(registrationRef);
+    if (!registrationDoc.exists) return false;
+    const registration = registrationDoc.data() || {};
+    if (!shouldStoreDeliveryEvent(registration, event)) return false;
+
+    const updateData: Record<string, unknown> = {
+      [`emailDelivery.${event.emailType}`]: {
+        status: event.status,
+        email: event.email,
+        reason: event.reason,
+        eventAt,
+        updatedAt: FieldValue.serverTimestamp(),
+      },
+    };
+    if (event.isFailure) {
+      updateData.emailBounced = true;
+      updateData.emailBouncedAt = eventAt;
+      updateData.emailBounceReason = event.reason;
+      updateData.emailBounceType = event.emailType;
+    } else if (clearsEmailBounce(registration, event)) {
+      updateData.emailBounced = false;
+    }
+
+    transaction.update(registrationRef, updateData);
+    return true;
+  });
+}
+
+/**
+ * HTTP endpoint for SendGrid event notifications. Configure it in SendGrid
+ * under Mail Settings > Event Webhook with the delivered, bounced, dropped
+ * and opened events, turn on signature verification and set
+ * SENDGRID_WEBHOOK_PUBLIC_KEY to the verification key.
  *
- * @param {Object} data - Request data
- * @param {string} data.registrationId - Registration ID
- * @param {string} data.originalAttendeeEmail - Original attendee's email
- * @param {string} data.originalAttendeeName - Original attendee's name
- * @param {string} data.newAttendeeName - New attendee's name
- * @returns {Object} Success status
+ * Events are matched to registrations through the registrationId and
+ * emailType custom args and stored by applyEmailDeliveryEvent.
  */
-export const sendTransferConfirmation = onCall(
+export const sendgridEvents = onRequest(
   {
     region: "asia-southeast1",
-    maxInstances: 10,
-    secrets: [sendgridApiKey],
+    maxInstances: 5,
+    cors: false, // Called by SendGrid, not browsers
   },
-  async (request) => {
-    const {
-      registrationId,
-      originalAttendeeEmail,
-      originalAttendeeName,
-      newAttendeeName,
-    } = request.data as {
-      registrationId?: string;
-      originalAttendeeEmail?: string;
-      originalAttendeeName?: string;
-      newAttendeeName?: string;
-    };
+  async (req, res) => {
+    if (req.method !== "POST") {
+      res.status(405).send("Method Not Allowed");
+      return;
+    }
 
-    const log = cfLogger.createContext(
-      "sendTransferConfirmation",
-      registrationId
-    );
-    log.start({registrationId, originalAttendeeEmail});
+    const log = cfLogger.createContext("sendgridEvents");
 
-    // Validate inputs
-    if (!registrationId || !originalAttendeeEmail || !originalAttendeeName) {
-      log.error("Missing required parameters");
-      log.end(false, {reason: "missing_parameters"});
-      throw new HttpsError(
-        "invalid-argument",
-        "Registration ID, original attendee email, and name are required"
+    const publicKey = sendgridWebhookPublicKey.value();
+    if (publicKey) {
+      const verified = verifySendGridSignature(
+        publicKey,
+        req.rawBody,
+        String(req.headers["x-twilio-email-event-webhook-signature"] || ""),
+        String(req.headers["x-twilio-email-event-webhook-timestamp"] || "")
       );
+      if (!verified) {
+        log.warn("Rejected SendGrid event webhook request with an invalid or expired signature", {ip: req.ip});
+        res.status(403).send("Invalid signature");
+        return;
+      }
+    } else if (process.env.FUNCTIONS_EMULATOR !== "true") {
+      log.error("SENDGRID_WEBHOOK_PUBLIC_KEY not configured, rejecting event webhook request");
+      res.status(403).send("Signature verification is not configured");
+      return;
     }
 
-    // Get email settings
-    const emailSettings = await getEmailSettings();
-    if (!emailSettings.triggerEmailsEnabled) {
-      log.warn("Email sending is disabled");
-      log.end(true, {emailSent: false, reason: "emails_disabled"});
-      return {success: true, emailSent: false};
-    }
+    const events: SendGridEvent[] = Array.isArray(req.body) ? req.body : [];
+    log.start({eventCount: events.length});
 
-    // Check if we should skip this email (test domain)
-    if (isTestEmailDomain(originalAttendeeEmail)) {
-      log.info("Skipping email to test domain");
-      log.end(true, {emailSent: false, reason: "test_domain"});
-      return {success: true, emailSent: false};
+    const counts = {stored: 0, ignored: 0, failed: 0};
+    for (const event of events) {
+      try {
+        if (await applyEmailDeliveryEvent(event)) {
+          counts.stored += 1;
+        } else {
+          counts.ignored += 1;
+        }
+      } catch (error) {
+        counts.failed += 1;
+        log.error("Failed to store SendGrid event", error, {
+          registrationId: event.registrationId,
+          event: event.event,
+        });
+      }
     }
 
-    // Check if SendGrid is enabled
-    if (!isSendGridEnabled()) {
-      log.warn("SendGrid not enabled");
-      log.end(true, {emailSent: false, reason: "sendgrid_disabled"});
-      return {success: true, emailSent: false};
-    }
+    log.end(true, counts);
+    // A failed write is retried by SendGrid, which re-sends the whole batch;
+    // stored events are idempotent so the retry is safe
+    res.status(counts.failed > 0 ? 500 : 200).send();
+  }
+);
 
-    const apiKey = getSendGridApiKey();
-    if (!apiKey) {
-      log.warn("SendGrid API key not available");
-      log.end(true, {emailSent: false, reason: "no_api_key"});
-      return {success: true, emailSent: false};
+/**
+ * Callable function that corrects a registration's email address and
+ * resends its latest registration email: the ticket for confirmed
+ * registrations, otherwise the registration confirmation. The new address
+ * must not be used by another registration in the same edition. The address
+ * is saved and the bounce flag set by sendgridEvents is cleared only after
+ * the email was sent.
+ *
+ * @param {Object} data - Request data
+ * @param {string} data.registrationId - Registration ID
+ * @param {string} [data.email] - Corrected email address (defaults to the current one)
+ * @returns {Object} Email type resent and the address it was sent to
+ */
+export const resendRegistrationEmail = onCall(
+  {cors: true, secrets: [sendgridApiKey]},
+  async (request) => {
+    const {registrationId, email} = request.data as {
+      registrationId?: string;
+      email?: string;
+    };
+    const log = cfLogger.createContext("resendRegistrationEmail", registrationId);
+
+    const {admin} = await verifyAdminRole(request.auth?.uid, [
+      ADMIN_ROLES.SUPERADMIN,
+      ADMIN_ROLES.ADMIN,
+    ]);
+
+    if (!registrationId) {
+      throw new HttpsError("invalid-argument", "Registration ID is required");
+    }
+    if (email !== undefined && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+      throw new HttpsError("invalid-argument", "Enter a valid email address");
+    }
+    if (!isSendGridEnabled() || !getSendGridApiKey() || !senderEmail.value()) {
+      throw new HttpsError("failed-precondition", "Email service is not configured");
     }
 
     const db = getFirestore(DATABASE_ID);
+    const registrationRef = db.collection(COLLECTIONS.REGISTRATIONS).doc(registrationId);
+    const registrationDoc = await registrationRef.get();
+    if (!registrationDoc.exists) {
+      throw new HttpsError("not-found", "Registration not found");
+    }
+    const registration = registrationDoc.data() || {};
+    if (registration.status === REGISTRATION_STATUS.CANCELLED ||
+        registration.status === REGISTRATION_STATUS.REFUNDED) {
+      throw new HttpsError("failed-precondition", "Cannot resend emails for a cancelled or refunded registration");
+    }
 
-    // Get conference settings
-    let conferenceTitle = CONFERENCE_NAME;
-
-    try {
-      const settingsDoc = await db
-        .collection(COLLECTIONS.CONFERENCES)
-        .doc("conference-settings")
+    const previousEmail = registration.primaryAttendee?.email || "";
+    const newEmail = (email ?? previousEmail).trim().toLowerCase();
+    if (!newEmail) {
+      throw new HttpsError("failed-precondition", "Registration has no email address");
+    }
+    const primaryAttendee = {...registration.primaryAttendee, email: newEmail};
+    const emailType = registration.status === REGISTRATION_STATUS.CONFIRMED ?
+      EMAIL_DELIVERY_TYPE.TICKET :
+      EMAIL_DELIVERY_TYPE.CONFIRMATION;
+
+    const emailChanged = newEmail !== previousEmail.trim().toLowerCase();
+    if (emailChanged) {
+      const editionId = getRegistrationEditionId(registration);
+      const sameEmail = await db.collection(COLLECTIONS.REGISTRATIONS)
+        .where("primaryAttendee.email", "==", newEmail)
         .get();
-      if (settingsDoc.exists) {
-        const data = settingsDoc.data();
-        conferenceTitle = data?.title || CONFERENCE_NAME;
+      const isTaken = sameEmail.docs.some((registrationDoc) =>
+        registrationDoc.id !== registrationId &&
+        getRegistrationEditionId(registrationDoc.data()) === editionId
+      );
+      if (isTaken) {
+        throw new HttpsError("already-exists", "Another registration already uses this email address");
       }
-    } catch (err) {
-      log.warn("Could not fetch conference settings", {error: err});
     }
 
-    try {
-      sgMail.setApiKey(apiKey);
+    log.start({emailType, emailChanged, requestedBy: admin.email});
 
-      const fromEmail = senderEmail.value();
-      if (!fromEmail) {
-        log.error("SENDER_EMAIL not configured");
-        throw new Error("SENDER_EMAIL not configured");
+    const sentAt = Date.now();
+    try {
+      if (emailType === EMAIL_DELIVERY_TYPE.TICKET) {
+        const [settings, attendeesWithQR, whatToBringItems] = await Promise.all([
+          getTicketEmailSettings(),
+          generateAllAttendeeQRCodes(registrationId, primaryAttendee, registration.additionalAttendees),
+          getPublishedWhatToBringItems().catch(() => DEFAULT_WHAT_TO_BRING_ITEMS),
+        ]);
+        await sendTicketEmail(newEmail, {
+          registrationId,
+          shortCode: registration.shortCode,
+          qrCodeData: registration.qrCodeData,
+          primaryAttendee,
+          totalAmount: registration.totalAmount,
+          church: registration.church,
+          additionalAttendees: registration.additionalAttendees,
+        }, settings, attendeesWithQR, whatToBringItems);
+      } else {
+        await sendRegistrationConfirmationEmail(newEmail, {
+          registrationId,
+          shortCode: registration.shortCode,
+          primaryAttendee,
+          totalAmount: registration.totalAmount,
+          paymentDeadline: registration.paymentDeadline,
+          church: registration.church,
+          status: registration.status,
+          conferenceId: registration.conferenceId,
+        });
       }
+    } catch (error) {
+      log.error("Failed to resend registration email", error);
+      log.end(false, {reason: "email_send_failed"});
+      throw new HttpsError("internal", "Failed to resend the email");
+    }
 
-      const msg = {
-        to: originalAttendeeEmail,
-        from: {
-          email: fromEmail,
-          name: senderName.value() || "IDMC Conference",
-        },
-        subject: `Registration Transfer Confirmed - ${conferenceTitle}`,
-        text: generateTransferConfirmationText(
-          originalAttendeeName,
-          newAttendeeName || "Another attendee",
-          registrationId.toUpperCase(),
-          conferenceTitle
-        ),
-        html: generateTransferConfirmationHtml(
-          originalAttendeeName,
-          newAttendeeName || "Another attendee",
-          registrationId.toUpperCase(),
-          conferenceTitle
-        ),
+    // The address and bounce flag are only replaced once the email has gone
+    // out, so a failed send leaves the registration as it was
+    const sentField = emailType === EMAIL_DELIVERY_TYPE.TICKET ? "ticketEmailSent" : "confirmationEmailSent";
+    await db.runTransaction(async (transaction) => {
+      const latestDoc = await transaction.get(registrationRef);
+      const cleared = getResendClearedFields(latestDoc.data() || {}, emailType, newEmail, sentAt);
+
+      const updateData: Record<string, unknown> = {
+        "primaryAttendee.email": newEmail,
+        [sentField]: true,
+        [`${sentField}At`]: FieldValue.serverTimestamp(),
+        "updatedAt": FieldValue.serverTimestamp(),
       };
+      if (cleared.delivery) {
+        updateData[`emailDelivery.${emailType}`] = FieldValue.delete();
+      }
+      if (cleared.bounce) {
+        updateData.emailBounced = false;
+        updateData.emailBounceReason = null;
+      }
+      transaction.update(registrationRef, updateData);
+    });
 
-      await sgMail.send(msg);
-      log.info("Transfer confirmation email sent", {to: originalAttendeeEmail});
-
-      // Log the confirmation
-      await logAuditEvent({
-        action: "registration.transfer_confirmation_sent",
-        severity: AUDIT_SEVERITY.INFO,
-        actorId: request.auth?.uid || null,
-        entityType: "registration",
-        entityId: registrationId.toUpperCase(),
-        description: `Transfer confirmation sent to ${originalAttendeeEmail}`,
-        metadata: {
-          originalAttendeeEmail,
-          originalAttendeeName,
-          newAttendeeName,
-        },
-      });
+    await logAuditEvent({
+      action: AUDIT_ACTIONS.REGISTRATION_EMAIL_RESENT,
+      severity: AUDIT_SEVERITY.INFO,
+      actorId: request.auth?.uid || null,
+      actorEmail: admin.email,
+      actorRole: admin.role,
+      entityType: "registration",
+      entityId: registrationId,
+      description: `Resent ${emailType} email for ${registrationId} to ${newEmail}`,
+      metadata: {emailType, previousEmail, newEmail},
+    });
 
-      log.end(true, {emailSent: true});
-      return {success: true, emailSent: true};
-    } catch (error) {
-      log.error("Failed to send transfer confirmation", error);
-      log.end(false, {reason: "email_send_failed"});
-      // Don't throw - transfer confirmation is not critical
-      return {success: false, emailSent: false, error: "Failed to send email"};
-    }
+    log.end(true, {emailType});
+    return {success: true, emailType, sentTo: newEmail};
   }
 );
@@ -0,0 +1,176 @@
+/**
+ * Pricing Module Tests
+ * Tests for server-side registration pricing and promo code validation
+ */
+
+import {
+  GROUP_DISCOUNT_TYPES,
+  PROMO_CODE_ERRORS,
+  PROMO_DISCOUNT_TYPES,
+  PromoCode,
+  calculateRegistrationPricing,
+  getPromoCodeError,
+  getTicketPrice,
+  isPromoCodeApplicable,
+  shouldReleasePromoCode,
+} from "./pricing";
+
+describe("pricing", () => {
+  const tickets = [
+    {category: "early", price: 1000},
+    {category: "student", price: 500},
+    {category: "regular", price: 1500},
+  ];
+
+  describe("getTicketPrice", () => {
+    it("uses the regular price, or the student price for students", () => {
+      const tier = {regularPrice: 1500, studentPrice: 900};
+      expect(getTicketPrice(tier, false)).toBe(1500);
+      expect(getTicketPrice(tier, true)).toBe(900);
+    });
+
+    it("falls back to the regular price for tiers without a student price", () => {
+      expect(getTicketPrice({regularPrice: 1500}, true)).toBe(1500);
+    });
+
+    it("prices unknown tiers at 0", () => {
+      expect(getTicketPrice(undefined, false)).toBe(0);
+    });
+  });
+
+  describe("isPromoCodeApplicable", () => {
+    it("applies codes without allowed categories to every tier", () => {
+      expect(isPromoCodeApplicable({}, "regular")).toBe(true);
+      expect(isPromoCodeApplicable({allowedCategories: []}, "regular")).toBe(true);
+    });
+
+    it("limits codes to their allowed categories", () => {
+      const promoCode = {allowedCategories: ["student"]};
+      expect(isPromoCodeApplicable(promoCode, "student")).toBe(true);
+      expect(isPromoCodeApplicable(promoCode, "regular")).toBe(false);
+    });
+  });
+
+  describe("getPromoCodeError", () => {
+    const promoCode: PromoCode = {
+      isActive: true,
+      expiresAt: "2026-03-01",
+      maxRedemptions: 10,
+      redemptionCount: 9,
+      allowedCategories: ["early", "student"],
+    };
+
+    it("accepts a usable code", () => {
+      expect(getPromoCodeError(promoCode, ["regular", "student"], "2026-03-01")).toBeNull();
+    });
+
+    it("rejects missing and inactive codes", () => {
+      expect(getPromoCodeError(undefined, ["regular"], "2026-02-01")).toBe(PROMO_CODE_ERRORS.NOT_FOUND);
+      expect(getPromoCodeError({...promoCode, isActive: false}, ["early"], "2026-02-01"))
+        .toBe(PROMO_CODE_ERRORS.INACTIVE);
+    });
+
+    it("rejects codes after their expiry date", () => {
+      expect(getPromoCodeError(promoCode, ["early"], "2026-03-02")).toBe(PROMO_CODE_ERRORS.EXPIRED);
+    });
+
+    it("rejects codes that reached their redemption cap", () => {
+      expect(getPromoCodeError({...promoCode, redemptionCount: 10}, ["early"], "2026-02-01"))
+        .toBe(PROMO_CODE_ERRORS.MAX_REDEMPTIONS_REACHED);
+      expect(getPromoCodeError({...promoCode, maxRedemptions: null, redemptionCount: 500}, ["early"], "2026-02-01"))
+        .toBeNull();
+    });
+
+    it("rejects codes that apply to none of the tickets", () => {
+      expect(getPromoCodeError(promoCode, ["regular"], "2026-02-01")).toBe(PROMO_CODE_ERRORS.NOT_APPLICABLE);
+    });
+  });
+
+  describe("calculateRegistrationPricing", () => {
+    it("returns the subtotal as the total without discounts", () => {
+      expect(calculateRegistrationPricing(tickets, null, [])).toEqual({
+        subtotal: 3000,
+        promoDiscount: 0,
+        groupDiscount: {rule: null, amount: 0},
+        total: 3000,
+      });
+    });
+
+    it("applies percentage and fixed promo discounts to eligible tickets", () => {
+      const percentage = {discountType: PROMO_DISCOUNT_TYPES.PERCENTAGE, discountValue: 10};
+      expect(calculateRegistrationPricing(tickets, percentage, []).promoDiscount).toBe(300);
+
+      const fixed = {
+        discountType: PROMO_DISCOUNT_TYPES.FIXED,
+        discountValue: 800,
+        allowedCategories: ["student", "regular"],
+      };
+      expect(calculateRegistrationPricing(tickets, fixed, [])).toMatchObject({
+        promoDiscount: 1300,
+        total: 1700,
+      });
+    });
+
+    it("caps promo discounts at the ticket price", () => {
+      const promoCode = {discountType: PROMO_DISCOUNT_TYPES.PERCENTAGE, discountValue: 250};
+      expect(calculateRegistrationPricing(tickets, promoCode, []).total).toBe(0);
+    });
+
+    it("applies only the best active group discount rule", () => {
+      const rules = [
+        {id: "pct", type: GROUP_DISCOUNT_TYPES.PERCENTAGE, value: 10, minAttendees: 3, isActive: true},
+        {id: "nth", type: GROUP_DISCOUNT_TYPES.FREE_EVERY_NTH, minAttendees: 3, isActive: true},
+        {id: "off", type: GROUP_DISCOUNT_TYPES.PERCENTAGE, value: 90, minAttendees: 1, isActive: false},
+      ];
+
+      expect(calculateRegistrationPricing(tickets, null, rules).groupDiscount)
+        .toEqual({rule: rules[1], amount: 500});
+    });
+
+    it("caps fixed per-attendee discounts at each ticket price", () => {
+      const rule = {id: "fixed", type: GROUP_DISCOUNT_TYPES.FIXED_PER_ATTENDEE, value: 600, minAttendees: 2, isActive: true};
+      expect(calculateRegistrationPricing(tickets, null, [rule]).groupDiscount.amount).toBe(1700);
+    });
+
+    it("skips rules the group is too small for", () => {
+      const rule = {id: "pct", type: GROUP_DISCOUNT_TYPES.PERCENTAGE, value: 10, minAttendees: 4, isActive: true};
+      expect(calculateRegistrationPricing(tickets, null, [rule]).groupDiscount).toEqual({rule: null, amount: 0});
+    });
+
+    it("applies group discounts to ticket prices after promo discounts", () => {
+      const promoCode = {discountType: PROMO_DISCOUNT_TYPES.FIXED, discountValue: 500};
+      const rule = {id: "pct", type: GROUP_DISCOUNT_TYPES.PERCENTAGE, value: 10, minAttendees: 3, isActive: true};
+
+      expect(calculateRegistrationPricing(tickets, promoCode, [rule])).toEqual({
+        subtotal: 3000,
+        promoDiscount: 1500,
+        groupDiscount: {rule, amount: 150},
+        total: 1350,
+      });
+    });
+  });
+
+  describe("shouldReleasePromoCode", () => {
+    const promoRedemption = {code: "PASTORS", discount: 200, releasedAt: null};
+
+    it("releases redemptions of cancelled, refunded and expired registrations", () => {
+      expect(shouldReleasePromoCode({status: "cancelled", promoRedemption})).toBe(true);
+      expect(shouldReleasePromoCode({status: "refunded", promoRedemption})).toBe(true);
+      expect(shouldReleasePromoCode({status: "waitlist_expired", promoRedemption})).toBe(true);
+    });
+
+    it("keeps redemptions of registrations that still hold a place", () => {
+      expect(shouldReleasePromoCode({status: "confirmed", promoRedemption})).toBe(false);
+      expect(shouldReleasePromoCode({status: "pending_payment", promoRedemption})).toBe(false);
+    });
+
+    it("releases a redemption only once", () => {
+      expect(shouldReleasePromoCode({
+        status: "cancelled",
+        promoRedemption: {...promoRedemption, releasedAt: "2026-03-01T00:00:00Z"},
+      })).toBe(false);
+      expect(shouldReleasePromoCode({status: "cancelled", promoRedemption: null})).toBe(false);
+      expect(shouldReleasePromoCode({status: "cancelled"})).toBe(false);
+    });
+  });
+});
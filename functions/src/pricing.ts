@@ -0,0 +1,274 @@
+/**
+ * Pricing Module
+ *
+ * Server-side copy of the registration pricing rules in
+ * src/utils/registration.js, used to recompute the amounts of every new
+ * registration: ticket prices come from the edition's pricing tiers, a
+ * promo code discounts each eligible ticket, and the best active group
+ * discount rule is applied to the tickets after promo discounts.
+ *
+ * @module functions/pricing
+ */
+
+/**
+ * Promo code discount types
+ */
+export const PROMO_DISCOUNT_TYPES = {
+  PERCENTAGE: "percentage",
+  FIXED: "fixed",
+} as const;
+
+/**
+ * Group discount rule types
+ */
+export const GROUP_DISCOUNT_TYPES = {
+  PERCENTAGE: "percentage",
+  FIXED_PER_ATTENDEE: "fixed_per_attendee",
+  FREE_EVERY_NTH: "free_every_nth",
+} as const;
+
+/**
+ * Promo code validation errors, matching PROMO_CODE_ERROR_CODES in
+ * src/services/promoCodes.js
+ */
+export const PROMO_CODE_ERRORS = {
+  NOT_FOUND: "PROMO_CODE_NOT_FOUND",
+  INACTIVE: "PROMO_CODE_INACTIVE",
+  EXPIRED: "PROMO_CODE_EXPIRED",
+  MAX_REDEMPTIONS_REACHED: "PROMO_CODE_MAX_REDEMPTIONS_REACHED",
+  NOT_APPLICABLE: "PROMO_CODE_NOT_APPLICABLE",
+} as const;
+
+export type PromoCodeError = typeof PROMO_CODE_ERRORS[keyof typeof PROMO_CODE_ERRORS];
+
+/**
+ * Registration statuses that give a redeemed promo code back: the
+ * registration was cancelled (by the attendee, an admin or the payment
+ * deadline), refunded, or its waitlist offer expired
+ */
+export const PROMO_RELEASE_STATUSES: readonly string[] = [
+  "cancelled",
+  "refunded",
+  "waitlist_expired",
+];
+
+/**
+ * Promo code document fields used for pricing
+ */
+export interface PromoCode {
+  code?: string;
+  discountType?: string;
+  discountValue?: number;
+  allowedCategories?: string[];
+  isActive?: boolean;
+  expiresAt?: string | null;
+  maxRedemptions?: number | null;
+  redemptionCount?: number;
+}
+
+/**
+ * Group discount rule document fields
+ */
+export interface GroupDiscountRule {
+  id?: string;
+  name?: string;
+  type?: string;
+  value?: number;
+  minAttendees?: number;
+  isActive?: boolean;
+}
+
+/**
+ * Promo code redemption recorded on a registration, so the redemption can
+ * be given back exactly once
+ */
+export interface PromoRedemption {
+  code: string;
+  /** Discount counted in the promo code's totalDiscount */
+  discount: number;
+  /** Set once the redemption has been given back */
+  releasedAt?: unknown;
+}
+
+/**
+ * Pricing tier document fields
+ */
+export interface PricingTier {
+  regularPrice?: number;
+  studentPrice?: number;
+}
+
+/**
+ * One attendee's ticket
+ */
+export interface Ticket {
+  /** Pricing tier ID */
+  category: string;
+  /** Undiscounted ticket price */
+  price: number;
+}
+
+/**
+ * Amounts for a registration
+ */
+export interface RegistrationPricing {
+  subtotal: number;
+  promoDiscount: number;
+  groupDiscount: {rule: GroupDiscountRule | null; amount: number};
+  total: number;
+}
+
+/**
+ * Gets an attendee's ticket price from their pricing tier
+ *
+ * @param {PricingTier|undefined} tier - Pricing tier
+ * @param {boolean} isStudent - Whether student pricing applies
+ * @return {number} Ticket price (0 for unknown tiers)
+ */
+export function getTicketPrice(tier: PricingTier | undefined, isStudent: boolean): number {
+  if (!tier) return 0;
+  const price = isStudent ? (tier.studentPrice ?? tier.regularPrice) : tier.regularPrice;
+  return Number(price) || 0;
+}
+
+/**
+ * Checks whether a promo code applies to a pricing tier. A code with no
+ * allowed categories applies to every tier.
+ *
+ * @param {PromoCode} promoCode - Promo code
+ * @param {string} category - Pricing tier ID
+ * @return {boolean} True if the code can be used for the tier
+ */
+export function isPromoCodeApplicable(promoCode: PromoCode, category: string): boolean {
+  const allowedCategories = promoCode.allowedCategories || [];
+  return allowedCategories.length === 0 || allowedCategories.includes(category);
+}
+
+/**
+ * Checks that a promo code can be redeemed now for a set of tickets
+ *
+ * @param {PromoCode|undefined} promoCode - Promo code document data
+ * @param {string[]} categories - Pricing tier IDs of all attendees
+ * @param {string} today - Today's date (YYYY-MM-DD)
+ * @return {PromoCodeError|null} Why the code cannot be used, or null if it can
+ */
+export function getPromoCodeError(
+  promoCode: PromoCode | undefined,
+  categories: string[],
+  today: string = new Date().toISOString().split("T")[0]
+): PromoCodeError | null {
+  if (!promoCode) return PROMO_CODE_ERRORS.NOT_FOUND;
+  if (!promoCode.isActive) return PROMO_CODE_ERRORS.INACTIVE;
+  if (promoCode.expiresAt && today > promoCode.expiresAt) return PROMO_CODE_ERRORS.EXPIRED;
+  if (promoCode.maxRedemptions && (promoCode.redemptionCount || 0) >= promoCode.maxRedemptions) {
+    return PROMO_CODE_ERRORS.MAX_REDEMPTIONS_REACHED;
+  }
+  if (!categories.some((category) => isPromoCodeApplicable(promoCode, category))) {
+    return PROMO_CODE_ERRORS.NOT_APPLICABLE;
+  }
+  return null;
+}
+
+/**
+ * Calculates the discount a promo code gives on one ticket. Fixed discounts
+ * are capped at the ticket price.
+ *
+ * @param {Ticket} ticket - Ticket
+ * @param {PromoCode|null} promoCode - Promo code
+ * @return {number} Discount amount
+ */
+function calculatePromoDiscount(ticket: Ticket, promoCode: PromoCode | null): number {
+  if (!promoCode || !ticket.price || !isPromoCodeApplicable(promoCode, ticket.category)) {
+    return 0;
+  }
+  const discountValue = Number(promoCode.discountValue) || 0;
+  if (promoCode.discountType === PROMO_DISCOUNT_TYPES.PERCENTAGE) {
+    const percentage = Math.min(Math.max(discountValue, 0), 100);
+    return Math.round(ticket.price * percentage) / 100;
+  }
+  return Math.min(Math.max(discountValue, 0), ticket.price);
+}
+
+/**
+ * Calculates the discount one group discount rule gives
+ *
+ * @param {number[]} ticketPrices - Ticket prices after promo discounts
+ * @param {GroupDiscountRule} rule - Group discount rule
+ * @return {number} Discount amount (0 when the group is too small)
+ */
+function calculateGroupRuleDiscount(ticketPrices: number[], rule: GroupDiscountRule): number {
+  const minAttendees = Number(rule.minAttendees) || 0;
+  if (minAttendees < 1 || ticketPrices.length < minAttendees) {
+    return 0;
+  }
+
+  const value = Math.max(Number(rule.value) || 0, 0);
+  const subtotal = ticketPrices.reduce((total, price) => total + price, 0);
+
+  if (rule.type === GROUP_DISCOUNT_TYPES.PERCENTAGE) {
+    return Math.round(subtotal * Math.min(value, 100)) / 100;
+  }
+  if (rule.type === GROUP_DISCOUNT_TYPES.FIXED_PER_ATTENDEE) {
+    return ticketPrices.reduce((total, price) => total + Math.min(value, price), 0);
+  }
+  if (rule.type === GROUP_DISCOUNT_TYPES.FREE_EVERY_NTH) {
+    // Every Nth delegate is free; waive the lowest-priced tickets
+    const freeCount = Math.floor(ticketPrices.length / minAttendees);
+    return [...ticketPrices]
+      .sort((a, b) => a - b)
+      .slice(0, freeCount)
+      .reduce((total, price) => total + price, 0);
+  }
+  return 0;
+}
+
+/**
+ * Calculates a registration's subtotal, discounts and total. Group
+ * discounts do not stack; only the best active rule is applied.
+ *
+ * @param {Ticket[]} tickets - Every attendee's ticket
+ * @param {PromoCode|null} promoCode - Validated promo code, or null
+ * @param {GroupDiscountRule[]} groupDiscountRules - Group discount rules
+ * @return {RegistrationPricing} Registration amounts
+ */
+export function calculateRegistrationPricing(
+  tickets: Ticket[],
+  promoCode: PromoCode | null,
+  groupDiscountRules: GroupDiscountRule[]
+): RegistrationPricing {
+  const subtotal = tickets.reduce((total, ticket) => total + ticket.price, 0);
+  const promoDiscounts = tickets.map((ticket) => calculatePromoDiscount(ticket, promoCode));
+  const promoDiscount = promoDiscounts.reduce((total, discount) => total + discount, 0);
+  const ticketPrices = tickets.map((ticket, index) => ticket.price - promoDiscounts[index]);
+
+  const groupDiscount = groupDiscountRules
+    .filter((rule) => rule.isActive)
+    .reduce<{rule: GroupDiscountRule | null; amount: number}>((best, rule) => {
+      const amount = calculateGroupRuleDiscount(ticketPrices, rule);
+      return amount > best.amount ? {rule, amount} : best;
+    }, {rule: null, amount: 0});
+
+  return {
+    subtotal,
+    promoDiscount,
+    groupDiscount,
+    total: subtotal - promoDiscount - groupDiscount.amount,
+  };
+}
+
+/**
+ * Checks whether a registration's promo code redemption should be given
+ * back to the code's usage cap: the registration no longer holds a place
+ * and its redemption has not been released yet.
+ *
+ * @param {Object} registration - Registration data
+ * @return {boolean} True if the redemption should be released
+ */
+export function shouldReleasePromoCode(
+  registration: {status?: string; promoRedemption?: PromoRedemption | null}
+): boolean {
+  const redemption = registration.promoRedemption;
+  return Boolean(redemption?.code) &&
+    !redemption?.releasedAt &&
+    PROMO_RELEASE_STATUSES.includes(registration.status || "");
+}
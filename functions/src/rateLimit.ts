@@ -79,6 +79,18 @@ export const RATE_LIMIT_CONFIGS = {
     maxRequests: 5,
     message: "Too many verification attempts. Please try again in 15 minutes.",
   },
+  /** Session rating submissions - allow rating a full schedule */
+  SESSION_RATING: {
+    windowMs: 10 * 60 * 1000, // 10 minutes
+    maxRequests: 30,
+    message: "Too many rating submissions. Please try again in a few minutes.",
+  },
+  /** Registration draft autosaves - debounced saves while filling the form */
+  REGISTRATION_DRAFT: {
+    windowMs: 10 * 60 * 1000, // 10 minutes
+    maxRequests: 60,
+    message: "Too many draft saves. Please try again in a few minutes.",
+  },
 } as const;
 
 /**
@@ -0,0 +1,91 @@
+/**
+ * Registration Drafts Module Tests
+ * Tests for saving, expiring and resuming registration drafts
+ */
+
+import {
+  REGISTRATION_DRAFT_MAX_STEP,
+  getDraftExpiry,
+  getDraftStep,
+  isDraftExpired,
+  isValidDraftId,
+  normalizeDraftEmail,
+  pickLatestDraft,
+} from "./registrationDrafts";
+
+describe("registrationDrafts", () => {
+  const now = new Date("2026-03-01T00:00:00Z");
+
+  describe("normalizeDraftEmail", () => {
+    it("trims and lower-cases valid emails", () => {
+      expect(normalizeDraftEmail("  Juan@Example.COM ")).toBe("juan@example.com");
+    });
+
+    it("rejects invalid emails and emails that cannot be stored safely", () => {
+      expect(normalizeDraftEmail("juan")).toBeNull();
+      expect(normalizeDraftEmail("juan@example")).toBeNull();
+      expect(normalizeDraftEmail("juan/x@example.com")).toBeNull();
+      expect(normalizeDraftEmail(undefined)).toBeNull();
+    });
+  });
+
+  describe("isValidDraftId", () => {
+    it("accepts document IDs only", () => {
+      expect(isValidDraftId("a1B2c3")).toBe(true);
+      expect(isValidDraftId("")).toBe(false);
+      expect(isValidDraftId("drafts/other")).toBe(false);
+      expect(isValidDraftId(42)).toBe(false);
+    });
+  });
+
+  describe("getDraftExpiry and isDraftExpired", () => {
+    it("keeps drafts for 30 days after a save", () => {
+      const expiresAt = getDraftExpiry(now);
+      expect(expiresAt).toBe("2026-03-31T00:00:00.000Z");
+      expect(isDraftExpired({expiresAt}, new Date("2026-03-30T23:59:59Z"))).toBe(false);
+      expect(isDraftExpired({expiresAt}, new Date("2026-03-31T00:00:01Z"))).toBe(true);
+    });
+
+    it("treats missing drafts and drafts without an expiry as expired", () => {
+      expect(isDraftExpired(undefined, now)).toBe(true);
+      expect(isDraftExpired({}, now)).toBe(true);
+    });
+  });
+
+  describe("getDraftStep", () => {
+    it("keeps drafts on the steps before payment", () => {
+      expect(getDraftStep(2)).toBe(2);
+      expect(getDraftStep(4)).toBe(REGISTRATION_DRAFT_MAX_STEP);
+      expect(getDraftStep(0)).toBe(1);
+    });
+
+    it("starts at the first step when the step is not a whole number", () => {
+      expect(getDraftStep(2.5)).toBe(1);
+      expect(getDraftStep("3")).toBe(1);
+    });
+  });
+
+  describe("pickLatestDraft", () => {
+    const savedAt = (millis: number) => ({toMillis: () => millis});
+    const live = "2026-03-15T00:00:00Z";
+    const drafts = [
+      {id: "phone", expiresAt: live, updatedAt: savedAt(1000)},
+      {id: "laptop", expiresAt: live, updatedAt: savedAt(3000)},
+      {id: "old", expiresAt: "2026-02-01T00:00:00Z", updatedAt: savedAt(5000)},
+    ];
+
+    it("picks the most recently saved live draft", () => {
+      expect(pickLatestDraft(drafts, (draft) => draft, now)?.id).toBe("laptop");
+    });
+
+    it("skips expired drafts", () => {
+      expect(pickLatestDraft([drafts[2]], (draft) => draft, now)).toBeNull();
+      expect(pickLatestDraft([], (draft) => draft, now)).toBeNull();
+    });
+
+    it("sorts drafts without a save time last", () => {
+      const pending = {id: "pending", expiresAt: live, updatedAt: null};
+      expect(pickLatestDraft([pending, drafts[0]], (draft) => draft, now)?.id).toBe("phone");
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Registration Drafts Module
+ *
+ * Rules for in-progress registrations saved by saveRegistrationDraft and
+ * resumed with resumeRegistrationDraft. Drafts are stored under a random ID
+ * and carry the primary attendee's email only for resuming and follow-up.
+ *
+ * @module functions/registrationDrafts
+ */
+
+/**
+ * Days a registration draft is kept after its last save
+ */
+export const REGISTRATION_DRAFT_EXPIRY_DAYS = 30;
+
+/**
+ * Maximum size of a serialized draft, well under the Firestore document limit
+ */
+export const REGISTRATION_DRAFT_MAX_BYTES = 200 * 1024;
+
+/**
+ * Registration form steps a draft can be saved on (payment is never saved)
+ */
+export const REGISTRATION_DRAFT_MAX_STEP = 3;
+
+/**
+ * Basic email format check for draft emails
+ */
+const DRAFT_EMAIL_PATTERN = /^[^\s@/]+@[^\s@/]+\.[^\s@/]+$/;
+
+/**
+ * Draft fields read when expiring and picking drafts
+ */
+export interface StoredDraft {
+  expiresAt?: string;
+  updatedAt?: {toMillis?: () => number} | null;
+}
+
+/**
+ * Normalizes the email a draft is saved under
+ *
+ * @param {unknown} email - Email as submitted
+ * @return {string|null} Lower-cased email, or null when it is not valid
+ */
+export function normalizeDraftEmail(email: unknown): string | null {
+  if (typeof email !== "string") {
+    return null;
+  }
+  const normalized = email.trim().toLowerCase();
+  return DRAFT_EMAIL_PATTERN.test(normalized) ? normalized : null;
+}
+
+/**
+ * Checks that a draft ID from the client can be used as a document ID
+ *
+ * @param {unknown} draftId - Draft ID as submitted
+ * @return {boolean} True when the ID is a non-empty document ID
+ */
+export function isValidDraftId(draftId: unknown): draftId is string {
+  return typeof draftId === "string" && draftId.length > 0 && !draftId.includes("/");
+}
+
+/**
+ * Gets when a draft saved now should expire
+ *
+ * @param {Date} [now] - Current time
+ * @return {string} ISO expiry timestamp
+ */
+export function getDraftExpiry(now: Date = new Date()): string {
+  return new Date(
+    now.getTime() + REGISTRATION_DRAFT_EXPIRY_DAYS * 24 * 60 * 60 * 1000
+  ).toISOString();
+}
+
+/**
+ * Checks whether a stored draft has expired
+ *
+ * @param {StoredDraft|undefined} draft - Draft document data
+ * @param {Date} [now] - Current time
+ * @return {boolean} True when the draft is missing or past its expiry
+ */
+export function isDraftExpired(draft: StoredDraft | undefined, now: Date = new Date()): boolean {
+  return !draft || !draft.expiresAt || new Date(draft.expiresAt) < now;
+}
+
+/**
+ * Clamps the step sent with a save to the steps a draft can be saved on
+ *
+ * @param {unknown} step - Step as submitted
+ * @return {number} Step to store
+ */
+export function getDraftStep(step: unknown): number {
+  return Number.isInteger(step) ?
+    Math.min(Math.max(step as number, 1), REGISTRATION_DRAFT_MAX_STEP) :
+    1;
+}
+
+/**
+ * Picks the most recently saved live draft. Each device saves its own
+ * draft, so one email can have several.
+ *
+ * @param {T[]} drafts - Drafts saved under one email
+ * @param {Function} getData - Reads a draft's stored fields
+ * @param {Date} [now] - Current time
+ * @return {T|null} Latest live draft, or null
+ */
+export function pickLatestDraft<T>(
+  drafts: T[],
+  getData: (draft: T) => StoredDraft,
+  now: Date = new Date()
+): T | null {
+  const live = drafts
+    .filter((draft) => !isDraftExpired(getData(draft), now))
+    .sort((a, b) =>
+      (getData(b).updatedAt?.toMillis?.() || 0) - (getData(a).updatedAt?.toMillis?.() || 0)
+    );
+  return live[0] || null;
+}
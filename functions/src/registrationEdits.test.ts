@@ -0,0 +1,132 @@
+/**
+ * Registration Edits Module Tests
+ * Tests for self-service attendee edits and the workshop seats they move
+ */
+
+import {
+  Attendee,
+  applyAttendeeEdits,
+  getAttendeeEditError,
+  getWorkshopSeatChanges,
+  isDetailsEditOpen,
+} from "./registrationEdits";
+
+describe("registrationEdits", () => {
+  const workshopA = {sessionId: "ws-a", sessionTitle: "Workshop A", timeSlot: "am"};
+  const workshopB = {sessionId: "ws-b", sessionTitle: "Workshop B", timeSlot: "am"};
+  const originals: Attendee[] = [
+    {
+      firstName: "Juan",
+      lastName: "Dela Cruz",
+      email: "juan@example.com",
+      category: "regular",
+      ministryRole: "pastor",
+      workshopSelections: [workshopA],
+      foodChoice: "chicken",
+    },
+    {firstName: "Maria", lastName: "Santos", category: "student", workshopSelections: [workshopA]},
+  ];
+
+  describe("isDetailsEditOpen", () => {
+    const now = new Date("2026-03-20T00:00:00Z");
+
+    it("closes edits 3 days before the conference by default", () => {
+      expect(isDetailsEditOpen(undefined, "2026-03-23", now)).toBe(true);
+      expect(isDetailsEditOpen(undefined, "2026-03-22", now)).toBe(false);
+    });
+
+    it("uses the refund policy's deadline", () => {
+      expect(isDetailsEditOpen({detailsEditDeadlineDays: 1}, "2026-03-22", now)).toBe(true);
+      expect(isDetailsEditOpen({detailsEditDeadlineDays: 0}, "2026-03-19", now)).toBe(true);
+    });
+
+    it("stays closed when edits are disabled", () => {
+      expect(isDetailsEditOpen({detailsEditEnabled: false}, "2026-06-01", now)).toBe(false);
+    });
+
+    it("stays open without a start date", () => {
+      expect(isDetailsEditOpen(undefined, undefined, now)).toBe(true);
+    });
+  });
+
+  describe("getAttendeeEditError", () => {
+    it("accepts one edited attendee per stored attendee", () => {
+      expect(getAttendeeEditError(originals, [{firstName: "Juan"}, {}])).toBeNull();
+    });
+
+    it("rejects a different number of attendees", () => {
+      expect(getAttendeeEditError(originals, [{}])).toMatch(/do not match/);
+      expect(getAttendeeEditError(originals, "everyone")).toMatch(/do not match/);
+    });
+
+    it("requires first and last names", () => {
+      expect(getAttendeeEditError(originals, [{}, {lastName: "  "}])).toMatch(/required/);
+      expect(getAttendeeEditError(originals, [{firstName: 42}, {}])).toMatch(/required/);
+    });
+  });
+
+  describe("applyAttendeeEdits", () => {
+    it("applies editable fields and lists what changed", () => {
+      const {attendees, changes} = applyAttendeeEdits(originals, [
+        {firstName: " Juan Carlos ", workshopSelections: [workshopB]},
+        {foodChoice: "fish"},
+      ]);
+
+      expect(attendees[0]).toMatchObject({
+        firstName: "Juan Carlos",
+        lastName: "Dela Cruz",
+        email: "juan@example.com",
+        workshopSelections: [workshopB],
+      });
+      expect(attendees[1].foodChoice).toBe("fish");
+      expect(changes).toEqual([
+        {attendeeIndex: 0, field: "firstName", from: "Juan", to: "Juan Carlos"},
+        {attendeeIndex: 0, field: "workshopSelections", from: "ws-a", to: "ws-b"},
+        {attendeeIndex: 1, field: "foodChoice", from: "", to: "fish"},
+      ]);
+    });
+
+    it("keeps fields that cannot be edited", () => {
+      const {attendees, changes} = applyAttendeeEdits(originals, [
+        {email: "attacker@example.com", category: "early"},
+        {},
+      ]);
+
+      expect(attendees[0]).toMatchObject({email: "juan@example.com", category: "regular"});
+      expect(changes).toEqual([]);
+    });
+
+    it("drops malformed workshop selections", () => {
+      const {attendees} = applyAttendeeEdits(originals, [
+        {workshopSelections: [workshopB, {sessionTitle: "No ID"}, null, {sessionId: 7}]},
+        {workshopSelections: "ws-b"},
+      ]);
+
+      expect(attendees[0].workshopSelections).toEqual([workshopB]);
+      expect(attendees[1].workshopSelections).toEqual([]);
+    });
+  });
+
+  describe("getWorkshopSeatChanges", () => {
+    it("takes seats in new workshops and releases the old ones", () => {
+      const updated = [
+        {...originals[0], workshopSelections: [workshopB]},
+        {...originals[1], workshopSelections: [workshopB]},
+      ];
+
+      expect(getWorkshopSeatChanges(originals, updated)).toEqual({
+        added: {"ws-b": 2},
+        removed: {"ws-a": 2},
+      });
+    });
+
+    it("moves nothing when the workshops are kept", () => {
+      const kept = [
+        {...originals[0], workshopSelections: [workshopA]},
+        {...originals[1], workshopSelections: [workshopA]},
+      ];
+
+      expect(getWorkshopSeatChanges(originals, kept)).toEqual({added: {}, removed: {}});
+    });
+  });
+});
@@ -0,0 +1,253 @@
+/**
+ * Registration Edits Module
+ *
+ * Rules for the attendee details a registrant may change from the
+ * registration status page, shared with updateRegistrationDetails. The edit
+ * form in src/components/registration/RegistrationEditModal.js sends the
+ * fields listed here; everything else on an attendee is kept as stored.
+ *
+ * @module functions/registrationEdits
+ */
+
+/**
+ * Attendee fields a registrant may change from the status page
+ */
+export const EDITABLE_ATTENDEE_FIELDS = [
+  "firstName",
+  "lastName",
+  "middleName",
+  "ministryRole",
+  "workshopSelections",
+  "foodChoice",
+] as const;
+
+/**
+ * Days before the conference that self-service edits close when the refund
+ * policy does not set a deadline
+ */
+export const DEFAULT_DETAILS_EDIT_DEADLINE_DAYS = 3;
+
+/**
+ * Workshop chosen by an attendee for one time slot
+ */
+export interface WorkshopSelection {
+  sessionId: string;
+  sessionTitle?: string;
+  timeSlot?: string;
+}
+
+/**
+ * Attendee as stored on a registration
+ */
+export interface Attendee {
+  firstName?: string;
+  lastName?: string;
+  middleName?: string;
+  ministryRole?: string;
+  workshopSelections?: WorkshopSelection[];
+  foodChoice?: string;
+  [field: string]: unknown;
+}
+
+/**
+ * One changed field of one attendee, as recorded in the activity log
+ */
+export interface AttendeeChange {
+  attendeeIndex: number;
+  field: string;
+  from: string;
+  to: string;
+}
+
+/**
+ * Self-service edit settings from an edition's refund policy
+ */
+export interface DetailsEditPolicy {
+  detailsEditEnabled?: boolean;
+  detailsEditDeadlineDays?: number;
+}
+
+/**
+ * Checks whether registrants may still edit their details.
+ * Defaults to allowed until 3 days before the event when the policy is not set.
+ *
+ * @param {DetailsEditPolicy|undefined} refundPolicy - Refund policy settings
+ * @param {string|undefined} startDate - Conference start date
+ * @param {Date} [now] - Current time
+ * @return {boolean} True when self-service edits are open
+ */
+export function isDetailsEditOpen(
+  refundPolicy: DetailsEditPolicy | undefined,
+  startDate: string | undefined,
+  now: Date = new Date()
+): boolean {
+  if (refundPolicy?.detailsEditEnabled === false) {
+    return false;
+  }
+
+  const deadlineDays = refundPolicy?.detailsEditDeadlineDays ?? DEFAULT_DETAILS_EDIT_DEADLINE_DAYS;
+  if (deadlineDays > 0 && startDate) {
+    const daysUntilEvent = Math.ceil(
+      (new Date(startDate).getTime() - now.getTime()) / (1000 * 60 * 60 * 24)
+    );
+    if (daysUntilEvent < deadlineDays) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Gets the session IDs from an attendee's workshop selections
+ *
+ * @param {Attendee|undefined} attendee - Attendee data
+ * @return {string[]} Selected session IDs
+ */
+export function getSelectedSessionIds(attendee: Attendee | undefined): string[] {
+  return (attendee?.workshopSelections || [])
+    .map((selection) => selection?.sessionId)
+    .filter((sessionId): sessionId is string => Boolean(sessionId));
+}
+
+/**
+ * Reads a text field from the edit form, keeping the stored value when the
+ * field was not sent
+ *
+ * @param {unknown} value - Submitted value
+ * @param {unknown} fallback - Stored value
+ * @return {string} Trimmed text
+ */
+function readText(value: unknown, fallback: unknown): string {
+  const text = value ?? fallback ?? "";
+  return typeof text === "string" ? text.trim() : "";
+}
+
+/**
+ * Keeps only well-formed workshop selections from the edit form
+ *
+ * @param {unknown} selections - Submitted workshop selections
+ * @return {WorkshopSelection[]} Workshop selections
+ */
+function readWorkshopSelections(selections: unknown): WorkshopSelection[] {
+  if (!Array.isArray(selections)) return [];
+  return selections
+    .filter((selection) => typeof selection?.sessionId === "string" && selection.sessionId)
+    .map((selection) => ({
+      sessionId: selection.sessionId,
+      sessionTitle: typeof selection.sessionTitle === "string" ? selection.sessionTitle : "",
+      timeSlot: typeof selection.timeSlot === "string" ? selection.timeSlot : "",
+    }));
+}
+
+/**
+ * Checks the edited attendees sent for a registration
+ *
+ * @param {Attendee[]} originals - Stored attendees, primary first
+ * @param {unknown} edited - Edited attendees from the request
+ * @return {string|null} Error message, or null when the edit can be applied
+ */
+export function getAttendeeEditError(originals: Attendee[], edited: unknown): string | null {
+  if (!Array.isArray(edited) || edited.length !== originals.length) {
+    return "Attendee details do not match this registration. Please reload and try again.";
+  }
+
+  const hasMissingName = originals.some((original, index) =>
+    !readText(edited[index]?.firstName, original.firstName) ||
+    !readText(edited[index]?.lastName, original.lastName)
+  );
+  if (hasMissingName) {
+    return "First and last name are required for every attendee.";
+  }
+
+  return null;
+}
+
+/**
+ * Applies the edited fields to the stored attendees and lists what changed.
+ * Fields that cannot be edited are kept as stored. Check the edit with
+ * getAttendeeEditError first.
+ *
+ * @param {Attendee[]} originals - Stored attendees, primary first
+ * @param {Object[]} edited - Edited attendees from the request
+ * @return {Object} Updated attendees and the changed fields
+ */
+export function applyAttendeeEdits(
+  originals: Attendee[],
+  edited: Partial<Record<string, unknown>>[]
+): {attendees: Attendee[]; changes: AttendeeChange[]} {
+  const changes: AttendeeChange[] = [];
+
+  const attendees = originals.map((original, attendeeIndex) => {
+    const fields = edited[attendeeIndex] || {};
+    const updated: Attendee = {
+      ...original,
+      firstName: readText(fields.firstName, original.firstName),
+      lastName: readText(fields.lastName, original.lastName),
+      middleName: readText(fields.middleName, original.middleName),
+      ministryRole: readText(fields.ministryRole, original.ministryRole),
+      workshopSelections: fields.workshopSelections === undefined ?
+        original.workshopSelections || [] :
+        readWorkshopSelections(fields.workshopSelections),
+      foodChoice: readText(fields.foodChoice, original.foodChoice),
+    };
+
+    EDITABLE_ATTENDEE_FIELDS.forEach((field) => {
+      const from = field === "workshopSelections" ?
+        getSelectedSessionIds(original).sort().join(",") :
+        String(original[field] || "");
+      const to = field === "workshopSelections" ?
+        getSelectedSessionIds(updated).sort().join(",") :
+        String(updated[field] || "");
+
+      if (from !== to) {
+        changes.push({attendeeIndex, field, from, to});
+      }
+    });
+
+    return updated;
+  });
+
+  return {attendees, changes};
+}
+
+/**
+ * Counts how many times each session ID appears
+ *
+ * @param {string[]} sessionIds - Session IDs
+ * @return {Record<string, number>} Map of session ID to count
+ */
+function countSessionIds(sessionIds: string[]): Record<string, number> {
+  return sessionIds.reduce((counts, sessionId) => {
+    counts[sessionId] = (counts[sessionId] || 0) + 1;
+    return counts;
+  }, {} as Record<string, number>);
+}
+
+/**
+ * Works out which workshop seats an edit takes up and which it releases
+ *
+ * @param {Attendee[]} originals - Stored attendees
+ * @param {Attendee[]} updated - Edited attendees
+ * @return {Object} Seats taken and released per session ID
+ */
+export function getWorkshopSeatChanges(
+  originals: Attendee[],
+  updated: Attendee[]
+): {added: Record<string, number>; removed: Record<string, number>} {
+  const previousCounts = countSessionIds(originals.flatMap(getSelectedSessionIds));
+  const nextCounts = countSessionIds(updated.flatMap(getSelectedSessionIds));
+  const added: Record<string, number> = {};
+  const removed: Record<string, number> = {};
+
+  Object.keys(nextCounts).forEach((sessionId) => {
+    const seats = nextCounts[sessionId] - (previousCounts[sessionId] || 0);
+    if (seats > 0) added[sessionId] = seats;
+  });
+  Object.keys(previousCounts).forEach((sessionId) => {
+    const seats = previousCounts[sessionId] - (nextCounts[sessionId] || 0);
+    if (seats > 0) removed[sessionId] = seats;
+  });
+
+  return {added, removed};
+}
@@ -0,0 +1,94 @@
+/**
+ * Reminders Module Tests
+ * Tests for reminder settings and picking which reminder is due
+ */
+
+import {
+  DEFAULT_REMINDER_SETTINGS,
+  REMINDER_TYPE,
+  formatReminderOffset,
+  getDueReminderOffset,
+  getReminderKey,
+  getReminderSettings,
+} from "./reminders";
+
+describe("reminders", () => {
+  const hour = 60 * 60 * 1000;
+  const deadline = new Date("2026-03-20T16:00:00Z");
+  const hoursBefore = (hours: number) => new Date(deadline.getTime() - hours * hour);
+
+  describe("getReminderSettings", () => {
+    it("uses the defaults when nothing is saved", () => {
+      expect(getReminderSettings(undefined)).toEqual(DEFAULT_REMINDER_SETTINGS);
+      expect(getReminderSettings({})).toEqual(DEFAULT_REMINDER_SETTINGS);
+    });
+
+    it("reads saved settings", () => {
+      expect(getReminderSettings({
+        reminders: {
+          enabled: true,
+          paymentOffsetsHours: [48, "6"],
+          paymentSmsEnabled: false,
+          eventOffsetHours: 0,
+          waitlistOffsetHours: 2,
+        },
+      })).toEqual({
+        enabled: true,
+        paymentOffsetsHours: [48, 6],
+        paymentSmsEnabled: false,
+        eventOffsetHours: 0,
+        waitlistOffsetHours: 2,
+      });
+    });
+
+    it("drops invalid offsets", () => {
+      const settings = getReminderSettings({
+        reminders: {paymentOffsetsHours: [24, 0, -1, "soon"], eventOffsetHours: -5, waitlistOffsetHours: "x"},
+      });
+      expect(settings.paymentOffsetsHours).toEqual([24]);
+      expect(settings.eventOffsetHours).toBe(DEFAULT_REMINDER_SETTINGS.eventOffsetHours);
+      expect(settings.waitlistOffsetHours).toBe(DEFAULT_REMINDER_SETTINGS.waitlistOffsetHours);
+    });
+  });
+
+  describe("getDueReminderOffset", () => {
+    const createdAt = hoursBefore(24 * 7);
+
+    it("is not due before the first offset", () => {
+      expect(getDueReminderOffset(deadline, [72, 24], hoursBefore(73), createdAt)).toBeNull();
+    });
+
+    it("picks the offset whose time has come", () => {
+      expect(getDueReminderOffset(deadline, [72, 24], hoursBefore(72), createdAt)).toBe(72);
+      expect(getDueReminderOffset(deadline, [72, 24], hoursBefore(30), createdAt)).toBe(72);
+      expect(getDueReminderOffset(deadline, [72, 24], hoursBefore(23), createdAt)).toBe(24);
+    });
+
+    it("is not due once the deadline has passed", () => {
+      expect(getDueReminderOffset(deadline, [72, 24], deadline, createdAt)).toBeNull();
+    });
+
+    it("skips offsets that passed before the registration was created", () => {
+      expect(getDueReminderOffset(deadline, [72, 24], hoursBefore(30), hoursBefore(48))).toBeNull();
+      expect(getDueReminderOffset(deadline, [72, 24], hoursBefore(12), hoursBefore(48))).toBe(24);
+    });
+
+    it("ignores offsets that are turned off", () => {
+      expect(getDueReminderOffset(deadline, [0], hoursBefore(1), null)).toBeNull();
+    });
+  });
+
+  describe("getReminderKey and formatReminderOffset", () => {
+    it("keys reminders by type and offset", () => {
+      expect(getReminderKey(REMINDER_TYPE.PAYMENT, 72)).toBe("payment_72h");
+      expect(getReminderKey(REMINDER_TYPE.EVENT, 24)).toBe("event_24h");
+    });
+
+    it("describes offsets in days or hours", () => {
+      expect(formatReminderOffset(72)).toBe("3 days");
+      expect(formatReminderOffset(24)).toBe("1 day");
+      expect(formatReminderOffset(36)).toBe("36 hours");
+      expect(formatReminderOffset(1)).toBe("1 hour");
+    });
+  });
+});
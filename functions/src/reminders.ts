@@ -0,0 +1,141 @@
+/**
+ * Reminders Module
+ *
+ * Reminder settings and scheduling rules for sendReminders: payment
+ * reminders before the payment deadline, waitlist offer reminders before the
+ * offer expires, and a pre-event reminder. Sent reminders are recorded under
+ * reminders.sent.{key} on each registration so none is sent twice.
+ *
+ * @module functions/reminders
+ */
+
+/**
+ * Reminder types (mirrors REMINDER_TYPE on the frontend)
+ */
+export const REMINDER_TYPE = {
+  PAYMENT: "payment",
+  EVENT: "event",
+  WAITLIST: "waitlist",
+} as const;
+
+export type ReminderType = typeof REMINDER_TYPE[keyof typeof REMINDER_TYPE];
+
+/**
+ * Reminder log status values (mirrors REMINDER_LOG_STATUS on the frontend)
+ */
+export const REMINDER_LOG_STATUS = {
+  SENT: "sent",
+  FAILED: "failed",
+  SKIPPED: "skipped",
+} as const;
+
+export type ReminderLogStatus = typeof REMINDER_LOG_STATUS[keyof typeof REMINDER_LOG_STATUS];
+
+/**
+ * Reminder settings, stored as settings.reminders on the conference
+ * settings document. Offsets are in hours before the deadline or event
+ * start; an event or waitlist offset of 0 turns that reminder off.
+ */
+export interface ReminderSettings {
+  enabled: boolean;
+  paymentOffsetsHours: number[];
+  paymentSmsEnabled: boolean;
+  eventOffsetHours: number;
+  waitlistOffsetHours: number;
+}
+
+/**
+ * Default reminder settings (mirrors DEFAULT_SETTINGS.reminders on the frontend)
+ */
+export const DEFAULT_REMINDER_SETTINGS: ReminderSettings = {
+  enabled: false,
+  paymentOffsetsHours: [72, 24],
+  paymentSmsEnabled: true,
+  eventOffsetHours: 24,
+  waitlistOffsetHours: 6,
+};
+
+/**
+ * Reads the reminder settings from conference settings data
+ *
+ * @param {Object | undefined} settings - Conference settings
+ * @return {ReminderSettings} Reminder settings with defaults applied
+ */
+export function getReminderSettings(
+  settings: {reminders?: Record<string, unknown>} | undefined
+): ReminderSettings {
+  const reminders = settings?.reminders || {};
+  const toHours = (value: unknown, fallback: number) =>
+    Number.isFinite(Number(value)) && Number(value) >= 0 ? Number(value) : fallback;
+  const paymentOffsetsHours = Array.isArray(reminders.paymentOffsetsHours) ?
+    reminders.paymentOffsetsHours.map(Number).filter((hours: number) => Number.isFinite(hours) && hours > 0) :
+    DEFAULT_REMINDER_SETTINGS.paymentOffsetsHours;
+
+  return {
+    enabled: (reminders.enabled as boolean | undefined) ?? DEFAULT_REMINDER_SETTINGS.enabled,
+    paymentOffsetsHours,
+    paymentSmsEnabled: (reminders.paymentSmsEnabled as boolean | undefined) ?? DEFAULT_REMINDER_SETTINGS.paymentSmsEnabled,
+    eventOffsetHours: toHours(reminders.eventOffsetHours, DEFAULT_REMINDER_SETTINGS.eventOffsetHours),
+    waitlistOffsetHours: toHours(reminders.waitlistOffsetHours, DEFAULT_REMINDER_SETTINGS.waitlistOffsetHours),
+  };
+}
+
+/**
+ * Picks the reminder that is due for a deadline: the smallest offset whose
+ * time has come. When the scheduler missed an earlier offset, only the
+ * latest one is sent. Nothing is due when the registration (or offer)
+ * started after the offset's time, since the original email already
+ * carried the deadline.
+ *
+ * @param {Date} target - Deadline or event start
+ * @param {number[]} offsetsHours - Offsets in hours before the target
+ * @param {Date} now - Current time
+ * @param {Date | null} startedAt - When the registration or offer was created
+ * @return {number | null} Due offset in hours, or null when none is due
+ */
+export function getDueReminderOffset(
+  target: Date,
+  offsetsHours: number[],
+  now: Date,
+  startedAt: Date | null
+): number | null {
+  if (now >= target) {
+    return null;
+  }
+  const msPerHour = 60 * 60 * 1000;
+  const due = offsetsHours
+    .filter((hours) => hours > 0 && target.getTime() - hours * msPerHour <= now.getTime())
+    .sort((a, b) => a - b)[0];
+  if (due === undefined) {
+    return null;
+  }
+  if (startedAt && startedAt.getTime() > target.getTime() - due * msPerHour) {
+    return null;
+  }
+  return due;
+}
+
+/**
+ * Key under reminders.sent on a registration (e.g., payment_72h)
+ *
+ * @param {ReminderType} type - Reminder type
+ * @param {number} offsetHours - Offset in hours
+ * @return {string} Reminder key
+ */
+export function getReminderKey(type: ReminderType, offsetHours: number): string {
+  return `${type}_${offsetHours}h`;
+}
+
+/**
+ * Describes how long remains until a deadline, for reminder wording
+ *
+ * @param {number} offsetHours - Offset in hours
+ * @return {string} Text such as "3 days" or "6 hours"
+ */
+export function formatReminderOffset(offsetHours: number): string {
+  if (offsetHours >= 24 && offsetHours % 24 === 0) {
+    const days = offsetHours / 24;
+    return `${days} day${days === 1 ? "" : "s"}`;
+  }
+  return `${offsetHours} hour${offsetHours === 1 ? "" : "s"}`;
+}
@@ -0,0 +1,104 @@
+/**
+ * Session Ratings Module Tests
+ * Tests for validating session ratings, checked-in raters and speaker summaries
+ */
+
+import {
+  findAttendeeIndexByEmail,
+  getSessionEndTime,
+  isAttendeeCheckedIn,
+  isRatableSession,
+  isValidSessionRating,
+  summarizeSessionRatings,
+} from "./sessionRatings";
+
+describe("sessionRatings", () => {
+  describe("isValidSessionRating", () => {
+    it("accepts whole scores from 1 to 5 with an optional comment", () => {
+      expect(isValidSessionRating({sessionId: "s1", rating: 1})).toBe(true);
+      expect(isValidSessionRating({sessionId: "s1", rating: 5, comment: "Great"})).toBe(true);
+      expect(isValidSessionRating({sessionId: "s1", rating: 4, comment: null})).toBe(true);
+    });
+
+    it("rejects missing sessions, out-of-range scores and non-text comments", () => {
+      expect(isValidSessionRating({rating: 3})).toBe(false);
+      expect(isValidSessionRating({sessionId: "s1", rating: 0})).toBe(false);
+      expect(isValidSessionRating({sessionId: "s1", rating: 6})).toBe(false);
+      expect(isValidSessionRating({sessionId: "s1", rating: 3.5})).toBe(false);
+      expect(isValidSessionRating({sessionId: "s1", rating: 3, comment: 42 as unknown as string})).toBe(false);
+    });
+  });
+
+  describe("findAttendeeIndexByEmail and isAttendeeCheckedIn", () => {
+    const registration = {
+      primaryAttendee: {email: "juan@example.com"},
+      additionalAttendees: [{email: "Maria@Example.com"}, {}],
+      attendeeCheckIns: [{checkedIn: true}, {checkedIn: false}],
+    };
+
+    it("finds attendees by email regardless of case", () => {
+      expect(findAttendeeIndexByEmail(registration, "JUAN@example.com ")).toBe(0);
+      expect(findAttendeeIndexByEmail(registration, "maria@example.com")).toBe(1);
+      expect(findAttendeeIndexByEmail(registration, "pedro@example.com")).toBe(-1);
+    });
+
+    it("reads each attendee's check-in", () => {
+      expect(isAttendeeCheckedIn(registration, 0)).toBe(true);
+      expect(isAttendeeCheckedIn(registration, 1)).toBe(false);
+      expect(isAttendeeCheckedIn(registration, 2)).toBe(false);
+    });
+
+    it("falls back to the registration-wide check-in", () => {
+      expect(isAttendeeCheckedIn({checkedIn: true}, 0)).toBe(true);
+      expect(isAttendeeCheckedIn({}, 0)).toBe(false);
+    });
+  });
+
+  describe("isRatableSession", () => {
+    it("allows published program sessions only", () => {
+      expect(isRatableSession({status: "published", sessionType: "plenary"})).toBe(true);
+      expect(isRatableSession({status: "published", sessionType: "workshop"})).toBe(true);
+      expect(isRatableSession({status: "draft", sessionType: "plenary"})).toBe(false);
+      expect(isRatableSession({status: "published", sessionType: "lunch"})).toBe(false);
+      expect(isRatableSession(undefined)).toBe(false);
+    });
+  });
+
+  describe("getSessionEndTime", () => {
+    it("combines the conference day and end time in the conference offset", () => {
+      expect(getSessionEndTime({day: 2, startTime: "09:00", endTime: "10:30"}, "2026-03-28", "+0800")
+        ?.toISOString()).toBe("2026-03-29T02:30:00.000Z");
+    });
+
+    it("uses the start time when there is no end time and day 1 by default", () => {
+      expect(getSessionEndTime({startTime: "09:00"}, "2026-03-28", "-0500")?.toISOString())
+        .toBe("2026-03-28T14:00:00.000Z");
+    });
+
+    it("returns null without a valid time or date", () => {
+      expect(getSessionEndTime({}, "2026-03-28", "+0800")).toBeNull();
+      expect(getSessionEndTime({startTime: "9am"}, "2026-03-28", "+0800")).toBeNull();
+      expect(getSessionEndTime({startTime: "09:00"}, "someday", "+0800")).toBeNull();
+    });
+  });
+
+  describe("summarizeSessionRatings", () => {
+    it("counts, averages and collects comments", () => {
+      expect(summarizeSessionRatings("Plenary 1", [
+        {rating: 5, comment: "Inspiring"},
+        {rating: 4, comment: null},
+        {rating: 4},
+      ])).toEqual({
+        title: "Plenary 1",
+        count: 3,
+        average: 4.3,
+        distribution: [0, 0, 0, 2, 1],
+        comments: ["Inspiring"],
+      });
+    });
+
+    it("names untitled sessions and has no average without ratings", () => {
+      expect(summarizeSessionRatings("", [])).toMatchObject({title: "Untitled session", count: 0, average: null});
+    });
+  });
+});
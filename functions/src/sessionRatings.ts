@@ -0,0 +1,189 @@
+/**
+ * Session Ratings Module
+ *
+ * Rules for per-session ratings submitted by checked-in attendees through
+ * submitSessionRating, and the per-session summaries emailed to speakers by
+ * sendSpeakerRatingSummary.
+ *
+ * @module functions/sessionRatings
+ */
+
+/**
+ * Maximum session ratings accepted per submitSessionRating call
+ */
+export const SESSION_RATING_BATCH_LIMIT = 30;
+
+/**
+ * Maximum length of a session rating comment
+ */
+export const SESSION_RATING_COMMENT_MAX_LENGTH = 1000;
+
+/**
+ * Session types that cannot be rated
+ */
+const UNRATED_SESSION_TYPES = ["break", "lunch", "registration"];
+
+/**
+ * Where a session rating was submitted from
+ */
+export const SESSION_RATING_SOURCES = ["schedule", "survey"];
+
+/**
+ * Session rating as submitted by an attendee
+ */
+export interface SessionRatingInput {
+  sessionId?: string;
+  rating?: number;
+  comment?: string | null;
+}
+
+/**
+ * Attendee fields used to identify the rater
+ */
+interface RatingAttendee {
+  email?: string;
+}
+
+/**
+ * Registration fields used to identify the rater and their check-in
+ */
+export interface RatingRegistration {
+  primaryAttendee?: RatingAttendee;
+  additionalAttendees?: RatingAttendee[];
+  attendeeCheckIns?: Array<{checkedIn?: boolean} | null>;
+  checkedIn?: boolean;
+}
+
+/**
+ * Session fields used to decide whether it can be rated
+ */
+export interface RatedSession {
+  status?: string;
+  sessionType?: string;
+  day?: number | string;
+  startTime?: string;
+  endTime?: string;
+}
+
+/**
+ * Rating summary for one session, as sent to a speaker
+ */
+export interface SpeakerSessionSummary {
+  title: string;
+  count: number;
+  average: number | null;
+  distribution: number[];
+  comments: string[];
+}
+
+/**
+ * Checks that a submitted rating has a session and a whole score from 1 to 5
+ *
+ * @param {SessionRatingInput} item - Rating as submitted
+ * @return {boolean} True if the rating can be saved
+ */
+export function isValidSessionRating(item: SessionRatingInput): boolean {
+  return Boolean(item?.sessionId) &&
+    typeof item.sessionId === "string" &&
+    Number.isInteger(item.rating) &&
+    (item.rating as number) >= 1 &&
+    (item.rating as number) <= 5 &&
+    (item.comment === undefined || item.comment === null || typeof item.comment === "string");
+}
+
+/**
+ * Finds the attendee on a registration with the given email
+ *
+ * @param {RatingRegistration} registration - Registration data
+ * @param {string} email - Email entered by the attendee
+ * @return {number} Attendee index (0 for primary), or -1 when not found
+ */
+export function findAttendeeIndexByEmail(registration: RatingRegistration, email: string): number {
+  const normalizedEmail = email.trim().toLowerCase();
+  const attendees = [
+    registration.primaryAttendee,
+    ...(registration.additionalAttendees || []),
+  ];
+  return attendees.findIndex((attendee) =>
+    Boolean(attendee?.email) && attendee?.email?.trim().toLowerCase() === normalizedEmail
+  );
+}
+
+/**
+ * Checks whether an attendee was checked in at the event. Registrations from
+ * before per-attendee check-in only have the registration-wide flag.
+ *
+ * @param {RatingRegistration} registration - Registration data
+ * @param {number} attendeeIndex - Attendee index (0 for primary)
+ * @return {boolean} True if the attendee was checked in
+ */
+export function isAttendeeCheckedIn(registration: RatingRegistration, attendeeIndex: number): boolean {
+  const checkIn = Array.isArray(registration.attendeeCheckIns) ?
+    registration.attendeeCheckIns[attendeeIndex] :
+    {checkedIn: registration.checkedIn === true};
+  return checkIn?.checkedIn === true;
+}
+
+/**
+ * Checks whether a session is a published plenary, workshop or other
+ * program session that can be rated
+ *
+ * @param {RatedSession|undefined} session - Session document data
+ * @return {boolean} True if the session can be rated once it has ended
+ */
+export function isRatableSession(session: RatedSession | undefined): boolean {
+  return Boolean(session) &&
+    session?.status === "published" &&
+    !UNRATED_SESSION_TYPES.includes(session.sessionType || "");
+}
+
+/**
+ * Gets when a session ends, from the conference start date, the session's
+ * day number and its end time in the conference timezone
+ *
+ * @param {RatedSession} session - Session document data
+ * @param {string} startDate - Conference start date (YYYY-MM-DD)
+ * @param {string} utcOffset - Conference UTC offset (e.g., +0800)
+ * @return {Date|null} Session end, or null when the session has no end time
+ */
+export function getSessionEndTime(session: RatedSession, startDate: string, utcOffset: string): Date | null {
+  const time = session.endTime || session.startTime;
+  if (!time || !/^\d{2}:\d{2}$/.test(time)) {
+    return null;
+  }
+  const end = new Date(`${startDate}T${time}:00${utcOffset.slice(0, 3)}:${utcOffset.slice(3)}`);
+  if (Number.isNaN(end.getTime())) {
+    return null;
+  }
+  end.setUTCDate(end.getUTCDate() + Math.max(Number(session.day) || 1, 1) - 1);
+  return end;
+}
+
+/**
+ * Summarises the ratings of one session for a speaker
+ *
+ * @param {string} title - Session title
+ * @param {Array<Object>} ratings - Rating documents ({rating, comment})
+ * @return {SpeakerSessionSummary} Count, average, 1-5 distribution and comments
+ */
+export function summarizeSessionRatings(
+  title: string,
+  ratings: Array<{rating: number; comment?: string | null}>
+): SpeakerSessionSummary {
+  const distribution = [0, 0, 0, 0, 0];
+  const comments: string[] = [];
+  let total = 0;
+  ratings.forEach(({rating, comment}) => {
+    distribution[rating - 1] += 1;
+    total += rating;
+    if (comment) comments.push(comment);
+  });
+
+  return {
+    title: title || "Untitled session",
+    count: ratings.length,
+    average: ratings.length > 0 ? Math.round((total / ratings.length) * 10) / 10 : null,
+    distribution,
+    comments,
+  };
+}
@@ -0,0 +1,120 @@
+/**
+ * SMS Module Tests
+ * Tests for phone number handling, SMS consent and the SMS providers
+ */
+
+import {
+  SMS_PROVIDERS,
+  createConsoleSmsProvider,
+  createOneWaySmsProvider,
+  createSemaphoreSmsProvider,
+  createTwilioSmsProvider,
+  formatPhoneNumber,
+  getAttendeePhone,
+  hasSmsConsent,
+  isValidPhilippinePhone,
+  maskPhoneNumber,
+} from "./sms";
+
+describe("sms", () => {
+  describe("formatPhoneNumber and isValidPhilippinePhone", () => {
+    it("formats Philippine mobile numbers to 639XXXXXXXXX", () => {
+      expect(formatPhoneNumber("0917 123 4567")).toBe("639171234567");
+      expect(formatPhoneNumber("9171234567")).toBe("639171234567");
+      expect(formatPhoneNumber("+63 917-123-4567")).toBe("639171234567");
+      expect(formatPhoneNumber("639171234567")).toBe("639171234567");
+    });
+
+    it("accepts mobile numbers only", () => {
+      expect(isValidPhilippinePhone("09171234567")).toBe(true);
+      expect(isValidPhilippinePhone("(02) 8123 4567")).toBe(false);
+      expect(isValidPhilippinePhone("+1 415 555 0100")).toBe(false);
+    });
+  });
+
+  describe("maskPhoneNumber", () => {
+    it("keeps the last 4 digits", () => {
+      expect(maskPhoneNumber("639171234567")).toBe("********4567");
+      expect(maskPhoneNumber("4567")).toBe("4567");
+    });
+  });
+
+  describe("getAttendeePhone and hasSmsConsent", () => {
+    it("reads the cellphone, falling back to the older phone field", () => {
+      expect(getAttendeePhone({cellphone: "09171234567", phone: "09180000000"})).toBe("09171234567");
+      expect(getAttendeePhone({phone: "09180000000"})).toBe("09180000000");
+      expect(getAttendeePhone(null)).toBe("");
+    });
+
+    it("requires an explicit opt-in", () => {
+      expect(hasSmsConsent({smsConsent: {optedIn: true}})).toBe(true);
+      expect(hasSmsConsent({smsConsent: {optedIn: false}})).toBe(false);
+      expect(hasSmsConsent({})).toBe(false);
+      expect(hasSmsConsent(undefined)).toBe(false);
+    });
+  });
+
+  describe("createConsoleSmsProvider", () => {
+    it("logs messages instead of sending them", async () => {
+      const provider = createConsoleSmsProvider();
+      const result = await provider.send("639171234567", "Hello");
+      expect(provider.name).toBe(SMS_PROVIDERS.CONSOLE);
+      expect(result.success).toBe(true);
+      expect(result.providerMessageId).toMatch(/^console_/);
+    });
+  });
+
+  describe("createOneWaySmsProvider", () => {
+    const sendTo = (options: {gatewayDomain: string; gatewayEmail: string}) => {
+      const sent: Array<{to: string; subject: string}> = [];
+      const provider = createOneWaySmsProvider({
+        ...options,
+        sendGatewayEmail: async (to, subject) => {
+          sent.push({to, subject});
+        },
+      });
+      return {provider, sent};
+    };
+
+    it("emails the message to the number at the gateway domain", async () => {
+      const {provider, sent} = sendTo({gatewayDomain: "sms.example.com", gatewayEmail: ""});
+      expect(await provider.send("639171234567", "Hello")).toEqual({success: true});
+      expect(sent).toEqual([{to: "639171234567@sms.example.com", subject: "Hello"}]);
+    });
+
+    it("prefers a direct gateway email", async () => {
+      const {provider, sent} = sendTo({gatewayDomain: "sms.example.com", gatewayEmail: "gateway@example.com"});
+      await provider.send("639171234567", "Hello");
+      expect(sent[0].to).toBe("gateway@example.com");
+    });
+
+    it("fails without a gateway or when the email fails", async () => {
+      const {provider} = sendTo({gatewayDomain: "", gatewayEmail: ""});
+      expect(await provider.send("639171234567", "Hello"))
+        .toEqual({success: false, error: "No SMS gateway configured"});
+
+      const failing = createOneWaySmsProvider({
+        gatewayDomain: "sms.example.com",
+        gatewayEmail: "",
+        sendGatewayEmail: async () => {
+          throw new Error("Mailbox unavailable");
+        },
+      });
+      expect(await failing.send("639171234567", "Hello"))
+        .toEqual({success: false, error: "Mailbox unavailable"});
+    });
+  });
+
+  describe("API providers", () => {
+    it("fail without credentials instead of calling the API", async () => {
+      const semaphore = createSemaphoreSmsProvider({apiKey: ""});
+      const twilio = createTwilioSmsProvider({accountSid: "AC123", authToken: "", fromNumber: "+15005550006"});
+
+      expect(semaphore.name).toBe(SMS_PROVIDERS.SEMAPHORE);
+      expect(await semaphore.send("639171234567", "Hello"))
+        .toEqual({success: false, error: "SMS_API_KEY not configured"});
+      expect(twilio.name).toBe(SMS_PROVIDERS.TWILIO);
+      expect((await twilio.send("639171234567", "Hello")).success).toBe(false);
+    });
+  });
+});
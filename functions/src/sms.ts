@@ -0,0 +1,296 @@
+/**
+ * SMS Module
+ *
+ * Provides the SMS channel used for attendee notifications. Messages are
+ * sent through a provider chosen in the conference settings:
+ * - console: logs messages instead of sending them (development/emulator)
+ * - onewaysms: OneWaySMS email-to-SMS gateway, sent through SendGrid
+ * - semaphore: Semaphore SMS API (Philippine networks)
+ * - twilio: Twilio Programmable Messaging API
+ *
+ * Providers share one interface, so adding a provider only needs a new
+ * factory here and an entry in SMS_PROVIDERS.
+ *
+ * @module functions/sms
+ */
+
+import * as logger from "firebase-functions/logger";
+
+/**
+ * Supported SMS providers
+ */
+export const SMS_PROVIDERS = {
+  CONSOLE: "console",
+  ONEWAYSMS: "onewaysms",
+  SEMAPHORE: "semaphore",
+  TWILIO: "twilio",
+} as const;
+
+export type SmsProviderName = typeof SMS_PROVIDERS[keyof typeof SMS_PROVIDERS];
+
+/**
+ * Result of sending one SMS
+ */
+export interface SmsSendResult {
+  /** Whether the provider accepted the message */
+  success: boolean;
+  /** Provider's message ID, when it returns one */
+  providerMessageId?: string | null;
+  /** Error description when sending failed */
+  error?: string | null;
+}
+
+/**
+ * SMS provider adapter
+ */
+export interface SmsProvider {
+  /** Provider name, recorded in the SMS log */
+  name: SmsProviderName;
+  /**
+   * Sends one SMS
+   *
+   * @param {string} to - Recipient in 639XXXXXXXXX format
+   * @param {string} message - Message text
+   * @return {Promise<SmsSendResult>} Send result
+   */
+  send: (to: string, message: string) => Promise<SmsSendResult>;
+}
+
+/**
+ * Semaphore messages API endpoint
+ */
+const SEMAPHORE_API_URL = "https://api.semaphore.co/api/v4/messages";
+
+/**
+ * Twilio API base URL
+ */
+const TWILIO_API_URL = "https://api.twilio.com/2010-04-01";
+
+/**
+ * Formats a Philippine phone number to international format
+ * Handles various input formats: 09XX, 9XX, +639XX, 639XX
+ *
+ * @param {string} phone - The phone number to format
+ * @return {string} Phone number in format 639XXXXXXXXX (no + prefix)
+ */
+export function formatPhoneNumber(phone: string): string {
+  // Remove all non-digit characters
+  const digits = phone.replace(/\D/g, "");
+
+  // Handle different formats
+  if (digits.startsWith("63") && digits.length === 12) {
+    // Already in 639XXXXXXXXX format
+    return digits;
+  } else if (digits.startsWith("09") && digits.length === 11) {
+    // Philippine format 09XXXXXXXXX
+    return "63" + digits.slice(1);
+  } else if (digits.startsWith("9") && digits.length === 10) {
+    // Without leading zero: 9XXXXXXXXX
+    return "63" + digits;
+  }
+
+  // Return as-is if format is unrecognized
+  logger.warn(`Unrecognized phone format: ${phone}, returning as-is`);
+  return digits;
+}
+
+/**
+ * Validates a Philippine mobile phone number
+ *
+ * @param {string} phone - The phone number to validate
+ * @return {boolean} True if valid Philippine mobile number
+ */
+export function isValidPhilippinePhone(phone: string): boolean {
+  const formatted = formatPhoneNumber(phone);
+  // Valid Philippine mobile numbers start with 639 and are 12 digits
+  return /^639\d{9}$/.test(formatted);
+}
+
+/**
+ * Masks a phone number for logs, keeping the last 4 digits
+ *
+ * @param {string} phone - Phone number
+ * @return {string} Masked phone number (e.g., ********4567)
+ */
+export function maskPhoneNumber(phone: string): string {
+  return phone.length > 4 ? `${"*".repeat(phone.length - 4)}${phone.slice(-4)}` : phone;
+}
+
+/**
+ * Returns an attendee's mobile number. Registrations store it as
+ * cellphone; phone is read for older records.
+ *
+ * @param {Object} attendee - Attendee data
+ * @return {string} Mobile number, or an empty string
+ */
+export function getAttendeePhone(attendee: {cellphone?: string; phone?: string} | null | undefined): string {
+  return attendee?.cellphone || attendee?.phone || "";
+}
+
+/**
+ * Checks whether a registration opted in to SMS notifications at
+ * registration (smsConsent.optedIn)
+ *
+ * @param {Object | undefined} registration - Registration data
+ * @return {boolean} True if the registrant consented to SMS
+ */
+export function hasSmsConsent(registration: {smsConsent?: {optedIn?: boolean}} | undefined): boolean {
+  return registration?.smsConsent?.optedIn === true;
+}
+
+/**
+ * Reads an error message from a provider's JSON response
+ *
+ * @param {Response} response - Fetch response
+ * @return {Promise<string>} Error message
+ */
+async function readProviderError(response: Response): Promise<string> {
+  const text = await response.text().catch(() => "");
+  try {
+    const body = JSON.parse(text);
+    const message = body?.message || body?.error ||
+      (Array.isArray(body) ? body[0]?.message : null);
+    if (message) return `${response.status}: ${typeof message === "string" ? message : JSON.stringify(message)}`;
+  } catch {
+    // Not JSON, fall through to the raw text
+  }
+  return `${response.status}: ${text.slice(0, 200) || response.statusText}`;
+}
+
+/**
+ * Creates the console provider, which logs messages instead of sending them.
+ * Used in the emulator and for trying out templates without an SMS account.
+ *
+ * @return {SmsProvider} Console provider
+ */
+export function createConsoleSmsProvider(): SmsProvider {
+  return {
+    name: SMS_PROVIDERS.CONSOLE,
+    send: async (to, message) => {
+      logger.info("[SMS console]", {to: maskPhoneNumber(to), length: message.length, message});
+      return {success: true, providerMessageId: `console_${Date.now()}`};
+    },
+  };
+}
+
+/**
+ * Creates the OneWaySMS provider. OneWaySMS converts an email sent to its
+ * gateway address into an SMS; the SUBJECT line carries the message.
+ *
+ * @param {Object} options - Provider options
+ * @param {string} options.gatewayDomain - Gateway domain (phone@domain)
+ * @param {string} options.gatewayEmail - Direct gateway email (overrides the domain)
+ * @param {Function} options.sendGatewayEmail - Sends the gateway email
+ * @return {SmsProvider} OneWaySMS provider
+ */
+export function createOneWaySmsProvider(options: {
+  gatewayDomain: string;
+  gatewayEmail: string;
+  sendGatewayEmail: (to: string, subject: string) => Promise<void>;
+}): SmsProvider {
+  return {
+    name: SMS_PROVIDERS.ONEWAYSMS,
+    send: async (to, message) => {
+      const toEmail = options.gatewayEmail ||
+        (options.gatewayDomain ? `${to}@${options.gatewayDomain}` : "");
+      if (!toEmail) {
+        return {success: false, error: "No SMS gateway configured"};
+      }
+      try {
+        await options.sendGatewayEmail(toEmail, message);
+        return {success: true};
+      } catch (error) {
+        return {success: false, error: (error as Error).message || "Gateway email failed"};
+      }
+    },
+  };
+}
+
+/**
+ * Creates the Semaphore provider
+ *
+ * @param {Object} options - Provider options
+ * @param {string} options.apiKey - Semaphore API key
+ * @param {string} options.senderName - Registered sender name (optional)
+ * @return {SmsProvider} Semaphore provider
+ */
+export function createSemaphoreSmsProvider(options: {
+  apiKey: string;
+  senderName?: string;
+}): SmsProvider {
+  return {
+    name: SMS_PROVIDERS.SEMAPHORE,
+    send: async (to, message) => {
+      if (!options.apiKey) {
+        return {success: false, error: "SMS_API_KEY not configured"};
+      }
+      const body = new URLSearchParams({apikey: options.apiKey, number: to, message});
+      if (options.senderName) body.set("sendername", options.senderName);
+
+      try {
+        const response = await fetch(SEMAPHORE_API_URL, {
+          method: "POST",
+          headers: {"Content-Type": "application/x-www-form-urlencoded"},
+          body,
+        });
+        if (!response.ok) {
+          return {success: false, error: await readProviderError(response)};
+        }
+        const result = await response.json();
+        const sent = Array.isArray(result) ? result[0] : result;
+        return {success: true, providerMessageId: sent?.message_id ? String(sent.message_id) : null};
+      } catch (error) {
+        return {success: false, error: (error as Error).message || "Semaphore request failed"};
+      }
+    },
+  };
+}
+
+/**
+ * Creates the Twilio provider
+ *
+ * @param {Object} options - Provider options
+ * @param {string} options.accountSid - Twilio account SID
+ * @param {string} options.authToken - Twilio auth token
+ * @param {string} options.fromNumber - Twilio sender number or messaging service SID
+ * @return {SmsProvider} Twilio provider
+ */
+export function createTwilioSmsProvider(options: {
+  accountSid: string;
+  authToken: string;
+  fromNumber: string;
+}): SmsProvider {
+  return {
+    name: SMS_PROVIDERS.TWILIO,
+    send: async (to, message) => {
+      if (!options.accountSid || !options.authToken || !options.fromNumber) {
+        return {success: false, error: "Twilio account SID, SMS_API_KEY or sender number not configured"};
+      }
+      const body = new URLSearchParams({To: `+${to}`, Body: message});
+      // Messaging service SIDs start with MG; anything else is a phone number
+      body.set(options.fromNumber.startsWith("MG") ? "MessagingServiceSid" : "From", options.fromNumber);
+      const credentials = Buffer.from(`${options.accountSid}:${options.authToken}`).toString("base64");
+
+      try {
+        const response = await fetch(
+          `${TWILIO_API_URL}/Accounts/${encodeURIComponent(options.accountSid)}/Messages.json`,
+          {
+            method: "POST",
+            headers: {
+              "Authorization": `Basic ${credentials}`,
+              "Content-Type": "application/x-www-form-urlencoded",
+            },
+            body,
+          }
+        );
+        if (!response.ok) {
+          return {success: false, error: await readProviderError(response)};
+        }
+        const result = await response.json();
+        return {success: true, providerMessageId: result?.sid || null};
+      } catch (error) {
+        return {success: false, error: (error as Error).message || "Twilio request failed"};
+      }
+    },
+  };
+}
@@ -1,6 +1,6 @@
 /**
  * Seed About Pages Script
- * Populates Firestore with About IDMC, About GCF, and Previous IDMC content.
+ * Populates Firestore with About IDMC and About GCF content.
  * This script can update an existing settings document without clearing other fields.
  *
  * Usage:
@@ -68,18 +68,6 @@ const ABOUT_GCF_DATA = {
   ],
 };
 
-/**
- * Previous IDMC (IDMC 2025) seed data
- * Content displayed on the "Previous IDMC" tab
- */
-const IDMC_2025_DATA = {
-  title: 'IDMC 2025',
-  subtitle: 'Watch the highlights from our previous conference',
-  youtubeVideoId: 'emGTZDXOaZY',
-  description:
-    'IDMC 2025 brought together church leaders and believers from across the nation to celebrate, learn, and be equipped for disciple-making. Watch the highlights and testimonials from this transformative event.',
-};
-
 /**
  * Initialize Firebase Admin SDK
  * Will use emulator if FIRESTORE_EMULATOR_HOST is set
@@ -122,7 +110,6 @@ async function seedAboutPages(db) {
     await settingsRef.set({
       aboutIdmc: ABOUT_IDMC_DATA,
       aboutGcf: ABOUT_GCF_DATA,
-      idmc2025: IDMC_2025_DATA,
       createdAt: now,
       updatedAt: now,
       createdBy: 'seed-about-script',
@@ -133,7 +120,6 @@ async function seedAboutPages(db) {
     await settingsRef.update({
       aboutIdmc: ABOUT_IDMC_DATA,
       aboutGcf: ABOUT_GCF_DATA,
-      idmc2025: IDMC_2025_DATA,
       updatedAt: now,
     });
   }
@@ -147,10 +133,6 @@ async function seedAboutPages(db) {
   console.log(`    - Name: ${ABOUT_GCF_DATA.name}`);
   console.log(`    - Mission: ${ABOUT_GCF_DATA.mission}`);
   console.log(`    - Core Values: ${ABOUT_GCF_DATA.coreValues.length} items`);
-
-  console.log('\n  Previous IDMC (IDMC 2025):');
-  console.log(`    - Title: ${IDMC_2025_DATA.title}`);
-  console.log(`    - YouTube Video ID: ${IDMC_2025_DATA.youtubeVideoId}`);
 }
 
 /**
@@ -172,6 +154,7 @@ async function clearAboutPages(db) {
   await settingsRef.update({
     aboutIdmc: FieldValue.delete(),
     aboutGcf: FieldValue.delete(),
+    // Legacy field from the old "Previous IDMC" page, now in the archives collection
     idmc2025: FieldValue.delete(),
     updatedAt: admin.firestore.Timestamp.now(),
   });
@@ -197,7 +180,6 @@ async function checkAboutPagesExist(db) {
 
   if (data.aboutIdmc) existingFields.push('aboutIdmc');
   if (data.aboutGcf) existingFields.push('aboutGcf');
-  if (data.idmc2025) existingFields.push('idmc2025');
 
   return {
     exists: existingFields.length > 0,
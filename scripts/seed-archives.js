@@ -0,0 +1,208 @@
+/**
+ * Seed Archives Script
+ * Populates Firestore with the past conference page for IDMC 2025, moved from
+ * the old single "Previous IDMC" page into the past conferences archive.
+ *
+ * Usage:
+ *   node scripts/seed-archives.js
+ *   node scripts/seed-archives.js --clear  # Clear existing archives and re-seed
+ *   node scripts/seed-archives.js --force  # Seed even if archives exist
+ *
+ * Prerequisites:
+ *   - Firebase CLI installed and logged in
+ *   - GOOGLE_APPLICATION_CREDENTIALS env var set to service account key path
+ *     OR run with: firebase emulators:exec "node scripts/seed-archives.js"
+ *
+ * For local emulator:
+ *   export FIRESTORE_EMULATOR_HOST="localhost:8080"
+ *   node scripts/seed-archives.js
+ */
+
+const admin = require('firebase-admin');
+const { getFirestore } = require('firebase-admin/firestore');
+
+// Collection name constants
+const COLLECTIONS = {
+  ARCHIVES: 'archives',
+};
+
+// Firestore database ID (named database)
+const DATABASE_ID = 'idmc-2026';
+
+// Archive status values
+const ARCHIVE_STATUS = {
+  DRAFT: 'draft',
+  PUBLISHED: 'published',
+};
+
+/**
+ * Past conference seed data
+ * Document IDs match the edition IDs (idmc-{year})
+ */
+const ARCHIVES_DATA = [
+  {
+    archiveId: 'idmc-2025',
+    year: 2025,
+    title: 'IDMC 2025',
+    theme: '',
+    startDate: '',
+    endDate: '',
+    venueName: '',
+    summary:
+      'IDMC 2025 brought together church leaders and believers from across the nation to celebrate, learn, and be equipped for disciple-making. Watch the highlights and testimonials from this transformative event.',
+    highlightVideoId: 'emGTZDXOaZY',
+    speakers: [],
+    sessions: [],
+    galleries: [],
+    materials: [],
+    stats: {
+      attendeeCount: null,
+      churchCount: null,
+      checkedInCount: null,
+    },
+    status: ARCHIVE_STATUS.PUBLISHED,
+  },
+];
+
+/**
+ * Initialize Firebase Admin SDK
+ * Will use emulator if FIRESTORE_EMULATOR_HOST is set
+ *
+ * @returns {admin.app.App} Firebase Admin app instance
+ */
+function initializeFirebase() {
+  if (admin.apps.length > 0) {
+    return admin.app();
+  }
+
+  admin.initializeApp({
+    projectId: process.env.GCLOUD_PROJECT || 'idmc-gcfsm-dev',
+  });
+
+  return admin.app();
+}
+
+/**
+ * Seed past conference pages to Firestore
+ *
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @returns {Promise<void>}
+ */
+async function seedArchives(db) {
+  const batch = db.batch();
+  const archivesRef = db.collection(COLLECTIONS.ARCHIVES);
+  const now = admin.firestore.Timestamp.now();
+
+  console.log(`\nSeeding ${ARCHIVES_DATA.length} past conference pages...`);
+
+  for (const archive of ARCHIVES_DATA) {
+    const { archiveId, ...archiveData } = archive;
+    const docRef = archivesRef.doc(archiveId);
+
+    batch.set(docRef, {
+      ...archiveData,
+      createdAt: now,
+      updatedAt: now,
+    });
+
+    console.log(`  - [${archive.status}] ${archive.title}`);
+  }
+
+  await batch.commit();
+  console.log(`\nSuccessfully seeded ${ARCHIVES_DATA.length} past conference pages!`);
+}
+
+/**
+ * Clear all past conference pages from Firestore
+ *
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @returns {Promise<void>}
+ */
+async function clearArchives(db) {
+  const archivesRef = db.collection(COLLECTIONS.ARCHIVES);
+  const snapshot = await archivesRef.get();
+
+  if (snapshot.empty) {
+    console.log('No existing past conference pages to clear.');
+    return;
+  }
+
+  const batch = db.batch();
+  snapshot.docs.forEach((doc) => {
+    batch.delete(doc.ref);
+  });
+
+  await batch.commit();
+  console.log(`Cleared ${snapshot.size} existing past conference pages.`);
+}
+
+/**
+ * Count existing past conference pages in Firestore
+ *
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @returns {Promise<number>} Number of existing pages
+ */
+async function countExistingArchives(db) {
+  const archivesRef = db.collection(COLLECTIONS.ARCHIVES);
+  const snapshot = await archivesRef.get();
+  return snapshot.size;
+}
+
+/**
+ * Main function to run the seed script
+ */
+async function main() {
+  console.log('='.repeat(50));
+  console.log('IDMC Archives Seed Script');
+  console.log('='.repeat(50));
+
+  const isEmulator = !!process.env.FIRESTORE_EMULATOR_HOST;
+  const isCI = !!process.env.CI || !!process.env.GITHUB_ACTIONS;
+  console.log(`\nMode: ${isEmulator ? 'EMULATOR' : 'PRODUCTION'}`);
+  console.log(`Environment: ${isCI ? 'CI/CD' : 'Local'}`);
+
+  if (isEmulator) {
+    console.log(`Emulator host: ${process.env.FIRESTORE_EMULATOR_HOST}`);
+  } else if (!isCI) {
+    console.log('\n WARNING: Running against PRODUCTION database!');
+    console.log('Press Ctrl+C within 5 seconds to cancel...\n');
+    await new Promise((resolve) => setTimeout(resolve, 5000));
+  }
+
+  try {
+    const app = initializeFirebase();
+    const db = getFirestore(app, DATABASE_ID);
+    console.log(`Database: ${DATABASE_ID}`);
+
+    const shouldClear = process.argv.includes('--clear');
+    const forceReseed = process.argv.includes('--force');
+
+    const existingCount = await countExistingArchives(db);
+
+    if (existingCount > 0 && !shouldClear && !forceReseed) {
+      console.log(`\n Found ${existingCount} existing past conference pages in database.`);
+      console.log('Skipping seed to preserve existing data.');
+      console.log('Use --clear to replace or --force to add anyway.');
+      console.log('\n No changes made.');
+      console.log('='.repeat(50));
+      process.exit(0);
+    }
+
+    if (shouldClear) {
+      await clearArchives(db);
+    }
+
+    await seedArchives(db);
+
+    console.log('\n Seed completed successfully!');
+    console.log('='.repeat(50));
+
+    process.exit(0);
+  } catch (error) {
+    console.error('\n Seed failed:', error.message);
+    console.error(error);
+    process.exit(1);
+  }
+}
+
+main();
@@ -92,12 +92,6 @@ const SETTINGS_DATA = {
       'Excellence through dedicated effort',
     ],
   },
-  // Previous IDMC (IDMC 2025) content
-  idmc2025: {
-    title: 'IDMC 2025',
-    subtitle: 'Watch the highlights from our previous conference',
-    youtubeVideoId: 'emGTZDXOaZY',
-  },
   // SMS Gateway Configuration (OneWaySMS via SendGrid email-to-SMS)
   // These settings can be updated in Firestore without redeploying
   sms: {
@@ -325,7 +319,6 @@ async function seedSettings(db) {
   console.log('\n  - About content seeded:');
   console.log(`    About IDMC: ${SETTINGS_DATA.aboutIdmc.milestones.length} milestones`);
   console.log(`    About GCF: ${SETTINGS_DATA.aboutGcf.coreValues.length} core values`);
-  console.log(`    Previous IDMC: ${SETTINGS_DATA.idmc2025.title}`);
   console.log('\n  - SMS Gateway Configuration:');
   console.log(`    Enabled: ${SETTINGS_DATA.sms.enabled}`);
   console.log(`    Gateway Domain: ${SETTINGS_DATA.sms.gatewayDomain}`);
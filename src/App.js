@@ -18,7 +18,8 @@ import {
   DownloadsPage,
   PrivacyPolicyPage,
   TermsOfServicePage,
-  IDMC2025Page,
+  ArchivePage,
+  ArchiveEditionPage,
   MaintenancePage,
   FeedbackPage,
 } from './pages';
@@ -48,14 +49,24 @@ const AdminCheckInPage = lazy(() => import('./pages/admin/AdminCheckInPage'));
 const AdminCheckInMonitorPage = lazy(() => import('./pages/admin/AdminCheckInMonitorPage'));
 const AdminInquiriesPage = lazy(() => import('./pages/admin/AdminInquiriesPage'));
 const AdminBankAccountsPage = lazy(() => import('./pages/admin/AdminBankAccountsPage'));
+const AdminPromoCodesPage = lazy(() => import('./pages/admin/AdminPromoCodesPage'));
 const AdminInvoicesPage = lazy(() => import('./pages/admin/AdminInvoicesPage'));
 const AdminFinanceDashboardPage = lazy(() => import('./pages/admin/AdminFinanceDashboardPage'));
+const AdminRefundsPage = lazy(() => import('./pages/admin/AdminRefundsPage'));
 const AdminWorkshopsPage = lazy(() => import('./pages/admin/AdminWorkshopsPage'));
 const AdminFoodMenuPage = lazy(() => import('./pages/admin/AdminFoodMenuPage'));
 const AdminWhatToBringPage = lazy(() => import('./pages/admin/AdminWhatToBringPage'));
 const AdminChurchesPage = lazy(() => import('./pages/admin/AdminChurchesPage'));
 const AdminFeedbackPage = lazy(() => import('./pages/admin/AdminFeedbackPage'));
 const AdminFeedbackResponsesPage = lazy(() => import('./pages/admin/AdminFeedbackResponsesPage'));
+const AdminCertificatesPage = lazy(() => import('./pages/admin/AdminCertificatesPage'));
+const AdminSessionRatingsPage = lazy(() => import('./pages/admin/AdminSessionRatingsPage'));
+const AdminRegistrationDraftsPage = lazy(() => import('./pages/admin/AdminRegistrationDraftsPage'));
+const AdminEditionsPage = lazy(() => import('./pages/admin/AdminEditionsPage'));
+const AdminArchivesPage = lazy(() => import('./pages/admin/AdminArchivesPage'));
+const AdminCampaignsPage = lazy(() => import('./pages/admin/AdminCampaignsPage'));
+const AdminRemindersPage = lazy(() => import('./pages/admin/AdminRemindersPage'));
+const AdminSmsLogPage = lazy(() => import('./pages/admin/AdminSmsLogPage'));
 
 /**
  * App Component
@@ -264,6 +275,16 @@ function App() {
                 </AdminProtectedRoute>
               }
             />
+            <Route
+              path={ADMIN_ROUTES.PROMO_CODES}
+              element={
+                <AdminProtectedRoute>
+                  <Suspense fallback={<AdminLoadingFallback />}>
+                    <AdminPromoCodesPage />
+                  </Suspense>
+                </AdminProtectedRoute>
+              }
+            />
             <Route
               path={ADMIN_ROUTES.INVOICES}
               element={
@@ -284,6 +305,16 @@ function App() {
                 </AdminProtectedRoute>
               }
             />
+            <Route
+              path={ADMIN_ROUTES.REFUNDS}
+              element={
+                <AdminProtectedRoute requiredPermission="manageFinance">
+                  <Suspense fallback={<AdminLoadingFallback />}>
+                    <AdminRefundsPage />
+                  </Suspense>
+                </AdminProtectedRoute>
+              }
+            />
             <Route
               path={ADMIN_ROUTES.FOOD_MENU}
               element={
@@ -334,6 +365,86 @@ function App() {
                 </AdminProtectedRoute>
               }
             />
+            <Route
+              path={ADMIN_ROUTES.REGISTRATION_DRAFTS}
+              element={
+                <AdminProtectedRoute requiredPermission="manageRegistrations">
+                  <Suspense fallback={<AdminLoadingFallback />}>
+                    <AdminRegistrationDraftsPage />
+                  </Suspense>
+                </AdminProtectedRoute>
+              }
+            />
+            <Route
+              path={ADMIN_ROUTES.EDITIONS}
+              element={
+                <AdminProtectedRoute requiredPermission="manageConference">
+                  <Suspense fallback={<AdminLoadingFallback />}>
+                    <AdminEditionsPage />
+                  </Suspense>
+                </AdminProtectedRoute>
+              }
+            />
+            <Route
+              path={ADMIN_ROUTES.ARCHIVES}
+              element={
+                <AdminProtectedRoute requiredPermission="manageContent">
+                  <Suspense fallback={<AdminLoadingFallback />}>
+                    <AdminArchivesPage />
+                  </Suspense>
+                </AdminProtectedRoute>
+              }
+            />
+            <Route
+              path={ADMIN_ROUTES.CAMPAIGNS}
+              element={
+                <AdminProtectedRoute requiredPermission="manageRegistrations">
+                  <Suspense fallback={<AdminLoadingFallback />}>
+                    <AdminCampaignsPage />
+                  </Suspense>
+                </AdminProtectedRoute>
+              }
+            />
+            <Route
+              path={ADMIN_ROUTES.REMINDERS}
+              element={
+                <AdminProtectedRoute requiredPermission="manageRegistrations">
+                  <Suspense fallback={<AdminLoadingFallback />}>
+                    <AdminRemindersPage />
+                  </Suspense>
+                </AdminProtectedRoute>
+              }
+            />
+            <Route
+              path={ADMIN_ROUTES.SMS_LOG}
+              element={
+                <AdminProtectedRoute requiredPermission="manageRegistrations">
+                  <Suspense fallback={<AdminLoadingFallback />}>
+                    <AdminSmsLogPage />
+                  </Suspense>
+                </AdminProtectedRoute>
+              }
+            />
+            <Route
+              path={ADMIN_ROUTES.SESSION_RATINGS}
+              element={
+                <AdminProtectedRoute requiredPermission="manageInquiries">
+                  <Suspense fallback={<AdminLoadingFallback />}>
+                    <AdminSessionRatingsPage />
+                  </Suspense>
+                </AdminProtectedRoute>
+              }
+            />
+            <Route
+              path={ADMIN_ROUTES.CERTIFICATES}
+              element={
+                <AdminProtectedRoute requiredPermission="manageRegistrations">
+                  <Suspense fallback={<AdminLoadingFallback />}>
+                    <AdminCertificatesPage />
+                  </Suspense>
+                </AdminProtectedRoute>
+              }
+            />
             {/* Fallback admin route */}
             <Route
               path={`${ADMIN_ROUTES.ROOT}/*`}
@@ -364,7 +475,12 @@ function App() {
                     <Route path={ROUTES.DOWNLOADS} element={<DownloadsPage />} />
                     <Route path={ROUTES.PRIVACY} element={<PrivacyPolicyPage />} />
                     <Route path={ROUTES.TERMS} element={<TermsOfServicePage />} />
-                    <Route path={ROUTES.IDMC_2025} element={<IDMC2025Page />} />
+                    <Route path={ROUTES.ARCHIVE} element={<ArchivePage />} />
+                    <Route path={ROUTES.ARCHIVE_EDITION} element={<ArchiveEditionPage />} />
+                    <Route
+                      path={ROUTES.IDMC_2025}
+                      element={<Navigate to={ROUTES.ARCHIVE_EDITION.replace(':year', '2025')} replace />}
+                    />
                     <Route path={ROUTES.FEEDBACK} element={<FeedbackPage />} />
                     <Route
                       path={ROUTES.MAINTENANCE}
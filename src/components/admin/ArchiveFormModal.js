@@ -0,0 +1,847 @@
+/**
+ * ArchiveFormModal Component
+ * Modal for creating and editing a past conference page: basics, headline
+ * stats, speakers, sessions with recordings, photo galleries and materials.
+ *
+ * @module components/admin/ArchiveFormModal
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { ARCHIVE_STATUS_LABELS } from '../../constants';
+import { EMPTY_ARCHIVE, buildEditionId, getEditionArchiveData } from '../../services';
+import MediaUpload from './MediaUpload';
+import { uploadArchivePhoto, deleteFile } from '../../services/storage';
+import styles from './ArchiveFormModal.module.css';
+
+/**
+ * Empty rows for each repeatable list
+ */
+const EMPTY_ROWS = {
+  speakers: { name: '', title: '', organization: '', photoUrl: '' },
+  sessions: { title: '', speakerNames: [], day: 1, startTime: '', recordingVideoId: '' },
+  galleries: { title: '', photos: [] },
+  materials: { title: '', url: '', description: '' },
+};
+
+/**
+ * Builds form state from an archive (or a blank page for the previous year)
+ *
+ * @param {Object|null} archive - Archive to edit
+ * @returns {Object} Form state
+ */
+function getInitialForm(archive) {
+  if (!archive) {
+    return { ...EMPTY_ARCHIVE, year: new Date().getFullYear() - 1 };
+  }
+
+  return {
+    ...EMPTY_ARCHIVE,
+    ...archive,
+    stats: { ...EMPTY_ARCHIVE.stats, ...archive.stats },
+  };
+}
+
+/**
+ * Converts a stat input value to a number or null
+ *
+ * @param {string} value - Input value
+ * @returns {number|null} Parsed count
+ */
+function parseCount(value) {
+  if (value === '') return null;
+  const count = Number(value);
+  return Number.isFinite(count) && count >= 0 ? count : null;
+}
+
+/**
+ * ArchiveFormModal Component
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether modal is open
+ * @param {Function} props.onClose - Callback to close modal
+ * @param {Function} props.onSave - Callback when the archive is saved (receives form data)
+ * @param {Object|null} props.archive - Archive to edit (null for new)
+ * @returns {JSX.Element|null} The modal or null if not open
+ */
+function ArchiveFormModal({ isOpen, onClose, onSave, archive }) {
+  const [formData, setFormData] = useState(() => getInitialForm(null));
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [isPulling, setIsPulling] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const modalRef = useRef(null);
+  const yearInputRef = useRef(null);
+
+  // Gallery photo upload states
+  const [uploadingGallery, setUploadingGallery] = useState(null);
+  const [uploadProgress, setUploadProgress] = useState(0);
+  const [uploadError, setUploadError] = useState(null);
+
+  const isEditing = !!archive;
+
+  /**
+   * Initialize form when modal opens or archive changes
+   */
+  useEffect(() => {
+    if (isOpen) {
+      setFormData(getInitialForm(archive));
+      setError(null);
+      setNotice(null);
+      setUploadError(null);
+      setUploadingGallery(null);
+      setUploadProgress(0);
+      setTimeout(() => {
+        yearInputRef.current?.focus();
+      }, 100);
+    }
+  }, [isOpen, archive]);
+
+  /**
+   * Handle click outside modal
+   */
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (modalRef.current && !modalRef.current.contains(event.target)) {
+        onClose();
+      }
+    };
+
+    if (isOpen) {
+      document.addEventListener('mousedown', handleClickOutside);
+      document.body.style.overflow = 'hidden';
+    }
+
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+      document.body.style.overflow = '';
+    };
+  }, [isOpen, onClose]);
+
+  /**
+   * Handle escape key
+   */
+  useEffect(() => {
+    const handleEscape = (event) => {
+      if (event.key === 'Escape') {
+        onClose();
+      }
+    };
+
+    if (isOpen) {
+      document.addEventListener('keydown', handleEscape);
+    }
+
+    return () => {
+      document.removeEventListener('keydown', handleEscape);
+    };
+  }, [isOpen, onClose]);
+
+  /**
+   * Handles input changes for top-level fields
+   *
+   * @param {Event} event - Change event
+   */
+  const handleChange = (event) => {
+    const { name, value, type } = event.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: type === 'number' ? Number(value) : value,
+    }));
+  };
+
+  /**
+   * Handles headline stat changes
+   *
+   * @param {Event} event - Change event
+   */
+  const handleStatChange = (event) => {
+    const { name, value } = event.target;
+    setFormData((prev) => ({
+      ...prev,
+      stats: { ...prev.stats, [name]: parseCount(value) },
+    }));
+  };
+
+  /**
+   * Updates one field of a row in a repeatable list
+   *
+   * @param {string} listName - List key (speakers, sessions, galleries, materials)
+   * @param {number} index - Row index
+   * @param {string} field - Field name
+   * @param {*} value - New value
+   */
+  const updateRow = (listName, index, field, value) => {
+    setFormData((prev) => ({
+      ...prev,
+      [listName]: prev[listName].map((row, rowIndex) => (
+        rowIndex === index ? { ...row, [field]: value } : row
+      )),
+    }));
+  };
+
+  /**
+   * Appends an empty row to a repeatable list
+   *
+   * @param {string} listName - List key
+   */
+  const addRow = (listName) => {
+    setFormData((prev) => ({
+      ...prev,
+      [listName]: [...prev[listName], { ...EMPTY_ROWS[listName] }],
+    }));
+  };
+
+  /**
+   * Removes a row from a repeatable list
+   *
+   * @param {string} listName - List key
+   * @param {number} index - Row index
+   */
+  const removeRow = (listName, index) => {
+    setFormData((prev) => ({
+      ...prev,
+      [listName]: prev[listName].filter((_, rowIndex) => rowIndex !== index),
+    }));
+  };
+
+  /**
+   * Fills stats, and optionally the program, from the edition's own data
+   */
+  const handlePullEditionData = async () => {
+    const year = Number(formData.year);
+    if (!Number.isInteger(year)) {
+      setError('Please enter the conference year first');
+      return;
+    }
+
+    setIsPulling(true);
+    setError(null);
+    setNotice(null);
+
+    try {
+      const editionData = await getEditionArchiveData(buildEditionId(year));
+      const hasProgram = formData.sessions.length > 0 || formData.speakers.length > 0;
+      const replaceProgram = editionData.sessions.length > 0 && (
+        !hasProgram
+        || window.confirm('Replace the current speakers and sessions with the ones from the edition data?')
+      );
+
+      setFormData((prev) => ({
+        ...prev,
+        stats: editionData.stats,
+        ...(replaceProgram ? {
+          sessions: editionData.sessions,
+          speakers: editionData.speakers,
+        } : {}),
+      }));
+      setNotice(replaceProgram
+        ? `Pulled stats, ${editionData.sessions.length} sessions and ${editionData.speakers.length} speakers.`
+        : 'Pulled headline stats.');
+    } catch (pullError) {
+      console.error('Failed to pull edition data:', pullError);
+      setError('Failed to load data for that year. Please try again.');
+    } finally {
+      setIsPulling(false);
+    }
+  };
+
+  /**
+   * Uploads a photo into a gallery
+   *
+   * @param {number} galleryIndex - Gallery index
+   * @param {File} file - Image file to upload
+   */
+  const handlePhotoUpload = async (galleryIndex, file) => {
+    setUploadingGallery(galleryIndex);
+    setUploadProgress(0);
+    setUploadError(null);
+
+    try {
+      const archiveId = buildEditionId(formData.year);
+      const downloadUrl = await uploadArchivePhoto(file, archiveId, setUploadProgress);
+      setFormData((prev) => ({
+        ...prev,
+        galleries: prev.galleries.map((gallery, index) => (
+          index === galleryIndex
+            ? { ...gallery, photos: [...gallery.photos, { url: downloadUrl, caption: '' }] }
+            : gallery
+        )),
+      }));
+    } catch (photoError) {
+      setUploadError(photoError.message);
+    } finally {
+      setUploadingGallery(null);
+    }
+  };
+
+  /**
+   * Updates or removes a gallery photo
+   *
+   * @param {number} galleryIndex - Gallery index
+   * @param {number} photoIndex - Photo index
+   * @param {Object|null} photo - Updated photo, or null to remove it
+   */
+  const updatePhoto = (galleryIndex, photoIndex, photo) => {
+    setFormData((prev) => ({
+      ...prev,
+      galleries: prev.galleries.map((gallery, index) => {
+        if (index !== galleryIndex) return gallery;
+        const photos = photo
+          ? gallery.photos.map((item, itemIndex) => (itemIndex === photoIndex ? photo : item))
+          : gallery.photos.filter((_, itemIndex) => itemIndex !== photoIndex);
+        return { ...gallery, photos };
+      }),
+    }));
+  };
+
+  /**
+   * Removes a gallery photo and its file
+   *
+   * @param {number} galleryIndex - Gallery index
+   * @param {number} photoIndex - Photo index
+   */
+  const handlePhotoRemove = async (galleryIndex, photoIndex) => {
+    const photo = formData.galleries[galleryIndex]?.photos[photoIndex];
+    if (photo?.url) {
+      try {
+        await deleteFile(photo.url);
+      } catch {
+        // Ignore delete errors
+      }
+    }
+    updatePhoto(galleryIndex, photoIndex, null);
+  };
+
+  /**
+   * Handles form submission
+   *
+   * @param {Event} event - Submit event
+   */
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+
+    try {
+      await onSave({
+        ...formData,
+        speakers: formData.speakers.filter((speaker) => speaker.name.trim()),
+        sessions: formData.sessions
+          .filter((session) => session.title.trim())
+          .map((session) => ({
+            ...session,
+            speakerNames: session.speakerNames.map((name) => name.trim()).filter(Boolean),
+          })),
+        galleries: formData.galleries.filter((gallery) => gallery.title.trim() || gallery.photos.length > 0),
+        materials: formData.materials.filter((material) => material.title.trim() && material.url.trim()),
+      });
+      onClose();
+    } catch (err) {
+      setError(err.message || 'Failed to save the page. Please try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!isOpen) {
+    return null;
+  }
+
+  return (
+    <div className={styles.overlay}>
+      <div
+        ref={modalRef}
+        className={styles.modal}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="archive-modal-title"
+      >
+        <div className={styles.header}>
+          <h2 id="archive-modal-title" className={styles.title}>
+            {isEditing ? `Edit ${archive.title || 'Past Conference'}` : 'Add Past Conference'}
+          </h2>
+          <button
+            className={styles.closeButton}
+            onClick={onClose}
+            aria-label="Close modal"
+          >
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <line x1="18" y1="6" x2="6" y2="18" />
+              <line x1="6" y1="6" x2="18" y2="18" />
+            </svg>
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className={styles.content}>
+            {error && (
+              <div className={styles.errorMessage} role="alert">
+                {error}
+              </div>
+            )}
+            {notice && (
+              <div className={styles.noticeMessage} role="status">
+                {notice}
+              </div>
+            )}
+
+            {/* Basics */}
+            <h3 className={styles.sectionTitle}>Conference</h3>
+            <div className={styles.formGrid}>
+              <div className={styles.field}>
+                <label htmlFor="archive-year" className={styles.label}>
+                  Year <span className={styles.required}>*</span>
+                </label>
+                <input
+                  ref={yearInputRef}
+                  type="number"
+                  id="archive-year"
+                  name="year"
+                  min="2000"
+                  value={formData.year ?? ''}
+                  onChange={handleChange}
+                  className={styles.input}
+                  required
+                />
+                <span className={styles.hint}>The page is published at /archive/{formData.year}</span>
+              </div>
+
+              <div className={styles.field}>
+                <label htmlFor="archive-status" className={styles.label}>
+                  Status
+                </label>
+                <select
+                  id="archive-status"
+                  name="status"
+                  value={formData.status}
+                  onChange={handleChange}
+                  className={styles.select}
+                >
+                  {Object.entries(ARCHIVE_STATUS_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className={styles.field}>
+                <label htmlFor="archive-title" className={styles.label}>
+                  Title <span className={styles.required}>*</span>
+                </label>
+                <input
+                  type="text"
+                  id="archive-title"
+                  name="title"
+                  value={formData.title}
+                  onChange={handleChange}
+                  className={styles.input}
+                  placeholder="e.g., IDMC 2025"
+                  required
+                />
+              </div>
+
+              <div className={styles.field}>
+                <label htmlFor="archive-theme" className={styles.label}>
+                  Theme
+                </label>
+                <input
+                  type="text"
+                  id="archive-theme"
+                  name="theme"
+                  value={formData.theme}
+                  onChange={handleChange}
+                  className={styles.input}
+                />
+              </div>
+
+              <div className={styles.field}>
+                <label htmlFor="archive-start" className={styles.label}>
+                  Start Date
+                </label>
+                <input
+                  type="date"
+                  id="archive-start"
+                  name="startDate"
+                  value={formData.startDate}
+                  onChange={handleChange}
+                  className={styles.input}
+                />
+              </div>
+
+              <div className={styles.field}>
+                <label htmlFor="archive-end" className={styles.label}>
+                  End Date
+                </label>
+                <input
+                  type="date"
+                  id="archive-end"
+                  name="endDate"
+                  value={formData.endDate}
+                  onChange={handleChange}
+                  className={styles.input}
+                />
+              </div>
+
+              <div className={styles.field}>
+                <label htmlFor="archive-venue" className={styles.label}>
+                  Venue
+                </label>
+                <input
+                  type="text"
+                  id="archive-venue"
+                  name="venueName"
+                  value={formData.venueName}
+                  onChange={handleChange}
+                  className={styles.input}
+                />
+              </div>
+
+              <div className={styles.field}>
+                <label htmlFor="archive-video" className={styles.label}>
+                  Highlight Video
+                </label>
+                <input
+                  type="text"
+                  id="archive-video"
+                  name="highlightVideoId"
+                  value={formData.highlightVideoId}
+                  onChange={handleChange}
+                  className={styles.input}
+                  placeholder="YouTube video ID"
+                />
+              </div>
+
+              <div className={styles.fieldSpan2}>
+                <label htmlFor="archive-summary" className={styles.label}>
+                  Summary
+                </label>
+                <textarea
+                  id="archive-summary"
+                  name="summary"
+                  value={formData.summary}
+                  onChange={handleChange}
+                  className={styles.textarea}
+                  rows={4}
+                />
+              </div>
+            </div>
+
+            {/* Stats */}
+            <div className={styles.sectionHeader}>
+              <h3 className={styles.sectionTitle}>Headline Stats</h3>
+              <button
+                type="button"
+                className={styles.linkButton}
+                onClick={handlePullEditionData}
+                disabled={isPulling}
+              >
+                {isPulling ? 'Loading...' : 'Pull from edition data'}
+              </button>
+            </div>
+            <div className={styles.statsGrid}>
+              <div className={styles.field}>
+                <label htmlFor="archive-attendees" className={styles.label}>Attendees</label>
+                <input
+                  type="number"
+                  id="archive-attendees"
+                  name="attendeeCount"
+                  min="0"
+                  value={formData.stats.attendeeCount ?? ''}
+                  onChange={handleStatChange}
+                  className={styles.input}
+                />
+              </div>
+              <div className={styles.field}>
+                <label htmlFor="archive-churches" className={styles.label}>Churches</label>
+                <input
+                  type="number"
+                  id="archive-churches"
+                  name="churchCount"
+                  min="0"
+                  value={formData.stats.churchCount ?? ''}
+                  onChange={handleStatChange}
+                  className={styles.input}
+                />
+              </div>
+              <div className={styles.field}>
+                <label htmlFor="archive-checked-in" className={styles.label}>Checked In</label>
+                <input
+                  type="number"
+                  id="archive-checked-in"
+                  name="checkedInCount"
+                  min="0"
+                  value={formData.stats.checkedInCount ?? ''}
+                  onChange={handleStatChange}
+                  className={styles.input}
+                />
+              </div>
+            </div>
+
+            {/* Speakers */}
+            <div className={styles.sectionHeader}>
+              <h3 className={styles.sectionTitle}>Speakers</h3>
+              <button type="button" className={styles.linkButton} onClick={() => addRow('speakers')}>
+                + Add speaker
+              </button>
+            </div>
+            {formData.speakers.map((speaker, index) => (
+              <div key={index} className={styles.row}>
+                <input
+                  type="text"
+                  value={speaker.name}
+                  onChange={(e) => updateRow('speakers', index, 'name', e.target.value)}
+                  className={styles.input}
+                  placeholder="Name"
+                  aria-label={`Speaker ${index + 1} name`}
+                />
+                <input
+                  type="text"
+                  value={speaker.title}
+                  onChange={(e) => updateRow('speakers', index, 'title', e.target.value)}
+                  className={styles.input}
+                  placeholder="Title"
+                  aria-label={`Speaker ${index + 1} title`}
+                />
+                <input
+                  type="text"
+                  value={speaker.organization}
+                  onChange={(e) => updateRow('speakers', index, 'organization', e.target.value)}
+                  className={styles.input}
+                  placeholder="Organization"
+                  aria-label={`Speaker ${index + 1} organization`}
+                />
+                <button
+                  type="button"
+                  className={styles.removeButton}
+                  onClick={() => removeRow('speakers', index)}
+                  aria-label={`Remove speaker ${index + 1}`}
+                >
+                  &times;
+                </button>
+              </div>
+            ))}
+
+            {/* Sessions */}
+            <div className={styles.sectionHeader}>
+              <h3 className={styles.sectionTitle}>Sessions</h3>
+              <button type="button" className={styles.linkButton} onClick={() => addRow('sessions')}>
+                + Add session
+              </button>
+            </div>
+            {formData.sessions.map((session, index) => (
+              <div key={index} className={styles.row}>
+                <input
+                  type="text"
+                  value={session.title}
+                  onChange={(e) => updateRow('sessions', index, 'title', e.target.value)}
+                  className={styles.input}
+                  placeholder="Session title"
+                  aria-label={`Session ${index + 1} title`}
+                />
+                <input
+                  type="text"
+                  value={session.speakerNames.join(', ')}
+                  onChange={(e) => updateRow(
+                    'sessions',
+                    index,
+                    'speakerNames',
+                    e.target.value.split(',').map((name) => name.trimStart())
+                  )}
+                  className={styles.input}
+                  placeholder="Speakers (comma-separated)"
+                  aria-label={`Session ${index + 1} speakers`}
+                />
+                <input
+                  type="text"
+                  value={session.recordingVideoId}
+                  onChange={(e) => updateRow('sessions', index, 'recordingVideoId', e.target.value)}
+                  className={styles.input}
+                  placeholder="Recording (YouTube ID)"
+                  aria-label={`Session ${index + 1} recording`}
+                />
+                <button
+                  type="button"
+                  className={styles.removeButton}
+                  onClick={() => removeRow('sessions', index)}
+                  aria-label={`Remove session ${index + 1}`}
+                >
+                  &times;
+                </button>
+              </div>
+            ))}
+
+            {/* Galleries */}
+            <div className={styles.sectionHeader}>
+              <h3 className={styles.sectionTitle}>Photo Galleries</h3>
+              <button type="button" className={styles.linkButton} onClick={() => addRow('galleries')}>
+                + Add gallery
+              </button>
+            </div>
+            {formData.galleries.map((gallery, galleryIndex) => (
+              <div key={galleryIndex} className={styles.gallery}>
+                <div className={styles.row}>
+                  <input
+                    type="text"
+                    value={gallery.title}
+                    onChange={(e) => updateRow('galleries', galleryIndex, 'title', e.target.value)}
+                    className={styles.input}
+                    placeholder="Gallery title (e.g., Day 1)"
+                    aria-label={`Gallery ${galleryIndex + 1} title`}
+                  />
+                  <button
+                    type="button"
+                    className={styles.removeButton}
+                    onClick={() => removeRow('galleries', galleryIndex)}
+                    aria-label={`Remove gallery ${galleryIndex + 1}`}
+                  >
+                    &times;
+                  </button>
+                </div>
+                {gallery.photos.length > 0 && (
+                  <div className={styles.photoGrid}>
+                    {gallery.photos.map((photo, photoIndex) => (
+                      <div key={photo.url} className={styles.photo}>
+                        <img src={photo.url} alt={photo.caption || ''} />
+                        <input
+                          type="text"
+                          value={photo.caption}
+                          onChange={(e) => updatePhoto(galleryIndex, photoIndex, { ...photo, caption: e.target.value })}
+                          className={styles.input}
+                          placeholder="Caption"
+                          aria-label={`Photo ${photoIndex + 1} caption`}
+                        />
+                        <button
+                          type="button"
+                          className={styles.linkButton}
+                          onClick={() => handlePhotoRemove(galleryIndex, photoIndex)}
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+                <MediaUpload
+                  type="image"
+                  label="Add Photo"
+                  currentUrl=""
+                  onUpload={(file) => handlePhotoUpload(galleryIndex, file)}
+                  onRemove={() => {}}
+                  isUploading={uploadingGallery === galleryIndex}
+                  uploadProgress={uploadProgress}
+                  error={uploadingGallery === null || uploadingGallery === galleryIndex ? uploadError : null}
+                  disabled={isSubmitting || (uploadingGallery !== null && uploadingGallery !== galleryIndex)}
+                />
+              </div>
+            ))}
+
+            {/* Materials */}
+            <div className={styles.sectionHeader}>
+              <h3 className={styles.sectionTitle}>Materials</h3>
+              <button type="button" className={styles.linkButton} onClick={() => addRow('materials')}>
+                + Add material
+              </button>
+            </div>
+            {formData.materials.map((material, index) => (
+              <div key={index} className={styles.row}>
+                <input
+                  type="text"
+                  value={material.title}
+                  onChange={(e) => updateRow('materials', index, 'title', e.target.value)}
+                  className={styles.input}
+                  placeholder="Title"
+                  aria-label={`Material ${index + 1} title`}
+                />
+                <input
+                  type="url"
+                  value={material.url}
+                  onChange={(e) => updateRow('materials', index, 'url', e.target.value)}
+                  className={styles.input}
+                  placeholder="Download link"
+                  aria-label={`Material ${index + 1} link`}
+                />
+                <input
+                  type="text"
+                  value={material.description}
+                  onChange={(e) => updateRow('materials', index, 'description', e.target.value)}
+                  className={styles.input}
+                  placeholder="Description"
+                  aria-label={`Material ${index + 1} description`}
+                />
+                <button
+                  type="button"
+                  className={styles.removeButton}
+                  onClick={() => removeRow('materials', index)}
+                  aria-label={`Remove material ${index + 1}`}
+                >
+                  &times;
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <div className={styles.footer}>
+            <button
+              type="button"
+              className={styles.cancelButton}
+              onClick={onClose}
+              disabled={isSubmitting}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className={styles.submitButton}
+              disabled={isSubmitting || uploadingGallery !== null}
+            >
+              {isSubmitting ? (
+                <>
+                  <span className={styles.spinner} />
+                  Saving...
+                </>
+              ) : (
+                <>
+                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <path d="M19 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11l5 5v11a2 2 0 0 1-2 2z" />
+                    <polyline points="17 21 17 13 7 13 7 21" />
+                    <polyline points="7 3 7 8 15 8" />
+                  </svg>
+                  {isEditing ? 'Update Page' : 'Create Page'}
+                </>
+              )}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+ArchiveFormModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onSave: PropTypes.func.isRequired,
+  archive: PropTypes.shape({
+    id: PropTypes.string,
+    year: PropTypes.number,
+    title: PropTypes.string,
+    theme: PropTypes.string,
+    startDate: PropTypes.string,
+    endDate: PropTypes.string,
+    venueName: PropTypes.string,
+    summary: PropTypes.string,
+    highlightVideoId: PropTypes.string,
+    speakers: PropTypes.arrayOf(PropTypes.object),
+    sessions: PropTypes.arrayOf(PropTypes.object),
+    galleries: PropTypes.arrayOf(PropTypes.object),
+    materials: PropTypes.arrayOf(PropTypes.object),
+    stats: PropTypes.object,
+    status: PropTypes.string,
+  }),
+};
+
+ArchiveFormModal.defaultProps = {
+  archive: null,
+};
+
+export default ArchiveFormModal;
@@ -0,0 +1,267 @@
+/**
+ * BadgePrintModal Component
+ * Modal for generating print-ready attendee name badge PDFs.
+ *
+ * @module components/admin/BadgePrintModal
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { getAllRegistrations } from '../../services/maintenance';
+import {
+  BADGE_CHECK_IN_FILTERS,
+  getBadgeEntries,
+  getRegistrationChurchName,
+  markBadgesPrinted,
+} from '../../services/badges';
+import { downloadBadgesPdf } from '../../utils';
+import { useAdminAuth, useSettings } from '../../context';
+import {
+  REGISTRATION_STATUS,
+  REGISTRATION_STATUS_LABELS,
+  BADGE_LAYOUTS,
+  BADGE_LAYOUT_LABELS,
+} from '../../constants';
+import styles from './BadgePrintModal.module.css';
+
+/**
+ * BadgePrintModal Component
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether modal is open
+ * @param {Function} props.onClose - Callback to close modal
+ * @returns {JSX.Element|null} The modal or null if not open
+ */
+function BadgePrintModal({ isOpen, onClose }) {
+  const { admin } = useAdminAuth();
+  const { settings, pricingTiers } = useSettings();
+  const [registrations, setRegistrations] = useState([]);
+  const [status, setStatus] = useState(REGISTRATION_STATUS.CONFIRMED);
+  const [church, setChurch] = useState('');
+  const [checkIn, setCheckIn] = useState(BADGE_CHECK_IN_FILTERS.ALL);
+  const [unprintedOnly, setUnprintedOnly] = useState(true);
+  const [layout, setLayout] = useState(BADGE_LAYOUTS.SHEET);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+
+  /**
+   * Loads registrations when the modal opens
+   */
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const fetchRegistrations = async () => {
+      setIsLoading(true);
+      setError(null);
+      setSuccessMessage(null);
+      try {
+        setRegistrations(await getAllRegistrations());
+      } catch (fetchError) {
+        console.error('Failed to load registrations for badges:', fetchError);
+        setError('Failed to load registrations. Please try again.');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchRegistrations();
+  }, [isOpen]);
+
+  const categoryLabels = useMemo(() => {
+    return (pricingTiers || []).reduce((labels, tier) => {
+      labels[tier.id] = tier.name;
+      return labels;
+    }, {});
+  }, [pricingTiers]);
+
+  const churchOptions = useMemo(() => {
+    const names = registrations.map(getRegistrationChurchName).filter(Boolean);
+    return [...new Set(names)].sort((a, b) => a.localeCompare(b));
+  }, [registrations]);
+
+  const badges = useMemo(() => {
+    return getBadgeEntries(registrations, {
+      status,
+      church,
+      checkIn,
+      unprintedOnly,
+      categoryLabels,
+    });
+  }, [registrations, status, church, checkIn, unprintedOnly, categoryLabels]);
+
+  /**
+   * Generates the badge PDF and records the badges as printed
+   */
+  const handleGenerate = async () => {
+    if (badges.length === 0) return;
+
+    setIsGenerating(true);
+    setError(null);
+    setSuccessMessage(null);
+
+    try {
+      const date = new Date().toISOString().split('T')[0];
+      downloadBadgesPdf(badges, {
+        layout,
+        title: settings?.title || 'IDMC 2026',
+        filename: `badges-${layout}-${date}`,
+      });
+
+      await markBadgesPrinted(badges, admin?.id, admin?.email);
+      setSuccessMessage(`Generated ${badges.length} badge(s).`);
+      setRegistrations(await getAllRegistrations());
+    } catch (generateError) {
+      console.error('Failed to generate badges:', generateError);
+      setError('Failed to generate badges. Please try again.');
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  if (!isOpen) {
+    return null;
+  }
+
+  return (
+    <div className={styles.overlay} onClick={onClose}>
+      <div className={styles.modal} onClick={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className={styles.header}>
+          <div>
+            <h2 className={styles.title}>Print Badges</h2>
+            <p className={styles.subtitle}>
+              Name badges with each attendee&apos;s check-in QR code
+            </p>
+          </div>
+          <button
+            className={styles.closeButton}
+            onClick={onClose}
+            aria-label="Close modal"
+          >
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <line x1="18" y1="6" x2="6" y2="18" />
+              <line x1="6" y1="6" x2="18" y2="18" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className={styles.content}>
+          {error && (
+            <div className={styles.errorBanner}>
+              <span>{error}</span>
+              <button onClick={() => setError(null)} aria-label="Dismiss error">&times;</button>
+            </div>
+          )}
+
+          {successMessage && (
+            <div className={styles.successBanner}>{successMessage}</div>
+          )}
+
+          <div className={styles.filterGrid}>
+            <div className={styles.formGroup}>
+              <label htmlFor="badgeStatus" className={styles.label}>Status</label>
+              <select
+                id="badgeStatus"
+                className={styles.select}
+                value={status}
+                onChange={(e) => setStatus(e.target.value)}
+              >
+                <option value="all">All Statuses</option>
+                {Object.entries(REGISTRATION_STATUS_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className={styles.formGroup}>
+              <label htmlFor="badgeChurch" className={styles.label}>Church</label>
+              <select
+                id="badgeChurch"
+                className={styles.select}
+                value={church}
+                onChange={(e) => setChurch(e.target.value)}
+              >
+                <option value="">All Churches</option>
+                {churchOptions.map((name) => (
+                  <option key={name} value={name}>{name}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className={styles.formGroup}>
+              <label htmlFor="badgeCheckIn" className={styles.label}>Check-in</label>
+              <select
+                id="badgeCheckIn"
+                className={styles.select}
+                value={checkIn}
+                onChange={(e) => setCheckIn(e.target.value)}
+              >
+                <option value={BADGE_CHECK_IN_FILTERS.ALL}>All Attendees</option>
+                <option value={BADGE_CHECK_IN_FILTERS.CHECKED_IN}>Checked In</option>
+                <option value={BADGE_CHECK_IN_FILTERS.NOT_CHECKED_IN}>Not Checked In</option>
+              </select>
+            </div>
+
+            <div className={styles.formGroup}>
+              <label htmlFor="badgeLayout" className={styles.label}>Layout</label>
+              <select
+                id="badgeLayout"
+                className={styles.select}
+                value={layout}
+                onChange={(e) => setLayout(e.target.value)}
+              >
+                {Object.entries(BADGE_LAYOUT_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <label className={styles.checkboxLabel}>
+            <input
+              type="checkbox"
+              checked={unprintedOnly}
+              onChange={(e) => setUnprintedOnly(e.target.checked)}
+            />
+            <span>Only badges that have not been printed yet</span>
+          </label>
+
+          {isLoading ? (
+            <div className={styles.loading}>
+              <div className={styles.spinner} />
+              <p>Loading registrations...</p>
+            </div>
+          ) : (
+            <p className={styles.summary}>
+              <strong>{badges.length}</strong> badge{badges.length === 1 ? '' : 's'} match the selected filters.
+            </p>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className={styles.footer}>
+          <button className={styles.secondaryButton} onClick={onClose}>
+            Close
+          </button>
+          <button
+            className={styles.primaryButton}
+            onClick={handleGenerate}
+            disabled={isLoading || isGenerating || badges.length === 0}
+          >
+            {isGenerating ? 'Generating...' : 'Generate PDF'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+BadgePrintModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default BadgePrintModal;
@@ -0,0 +1,465 @@
+/**
+ * BankStatementReconciliationModal Component
+ * Modal for importing a bank statement and matching its credits to
+ * registrations pending payment verification.
+ *
+ * @module components/admin/BankStatementReconciliationModal
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import {
+  importBankStatement,
+  getPendingVerificationRegistrations,
+  confirmReconciledMatches,
+} from '../../services/reconciliation';
+import { reconcileStatement, MATCH_CONFIDENCE } from '../../utils/bankStatement';
+import { formatPrice } from '../../utils';
+import { useAdminAuth } from '../../context';
+import { BANK_LABELS } from '../../constants';
+import styles from './BankStatementReconciliationModal.module.css';
+
+/**
+ * Formats a registration's primary attendee name
+ *
+ * @param {Object} registration - Registration object
+ * @returns {string} Full name
+ */
+function getRegistrantName(registration) {
+  const { firstName = '', lastName = '' } = registration.primaryAttendee || {};
+  return `${firstName} ${lastName}`.trim() || '—';
+}
+
+/**
+ * BankStatementReconciliationModal Component
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether modal is open
+ * @param {Function} props.onClose - Callback to close modal
+ * @param {Array} props.bankAccounts - Active bank accounts
+ * @param {string} props.defaultBankAccountId - Bank account preselected for the statement
+ * @param {Function} props.onConfirmed - Callback after payments are confirmed
+ * @returns {JSX.Element|null} The modal or null if not open
+ */
+function BankStatementReconciliationModal({
+  isOpen,
+  onClose,
+  bankAccounts,
+  defaultBankAccountId,
+  onConfirmed,
+}) {
+  const { admin } = useAdminAuth();
+  const [bankAccountId, setBankAccountId] = useState('');
+  const [statementFile, setStatementFile] = useState(null);
+  const [result, setResult] = useState(null);
+  const [selectedIds, setSelectedIds] = useState(new Set());
+  const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [isConfirming, setIsConfirming] = useState(false);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+
+  /**
+   * Reset state whenever the modal opens
+   */
+  useEffect(() => {
+    if (isOpen) {
+      setBankAccountId(defaultBankAccountId && defaultBankAccountId !== 'all' ? defaultBankAccountId : '');
+      setStatementFile(null);
+      setResult(null);
+      setSelectedIds(new Set());
+      setError(null);
+      setSuccessMessage(null);
+    }
+  }, [isOpen, defaultBankAccountId]);
+
+  const selectedMatches = useMemo(
+    () => (result?.matches || []).filter((match) => selectedIds.has(match.credit.id)),
+    [result, selectedIds]
+  );
+
+  if (!isOpen) {
+    return null;
+  }
+
+  /**
+   * Parses the statement and reconciles it against pending registrations
+   */
+  const handleAnalyze = async () => {
+    if (!statementFile) {
+      setError('Please choose a statement file.');
+      return;
+    }
+
+    setIsAnalyzing(true);
+    setError(null);
+    setSuccessMessage(null);
+
+    try {
+      const [statement, registrations] = await Promise.all([
+        importBankStatement(statementFile),
+        getPendingVerificationRegistrations(),
+      ]);
+      const { credits } = statement;
+
+      const reconciliation = reconcileStatement(credits, registrations, {
+        bankAccountId: bankAccountId || null,
+      });
+
+      setResult({
+        ...reconciliation,
+        creditCount: credits.length,
+        truncationWarning: statement.truncated
+          ? `Only the first ${statement.pageCount} of ${statement.totalPages} pages were read. ` +
+            'Split the statement into smaller PDFs or import the CSV export to match the remaining credits.'
+          : null,
+      });
+      setSelectedIds(new Set(
+        reconciliation.matches
+          .filter((match) => match.confidence === MATCH_CONFIDENCE.HIGH)
+          .map((match) => match.credit.id)
+      ));
+    } catch (analyzeError) {
+      console.error('Failed to reconcile bank statement:', analyzeError);
+      setError(analyzeError.message || 'Failed to read the bank statement.');
+    } finally {
+      setIsAnalyzing(false);
+    }
+  };
+
+  /**
+   * Toggles a match in the bulk confirmation selection
+   *
+   * @param {string} creditId - Statement credit line ID
+   */
+  const handleToggleMatch = (creditId) => {
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(creditId)) {
+        next.delete(creditId);
+      } else {
+        next.add(creditId);
+      }
+      return next;
+    });
+  };
+
+  /**
+   * Confirms all selected matches
+   */
+  const handleConfirm = async () => {
+    if (selectedMatches.length === 0) return;
+
+    setIsConfirming(true);
+    setError(null);
+
+    try {
+      const { confirmed, failed } = await confirmReconciledMatches(
+        selectedMatches,
+        statementFile.name,
+        admin?.id,
+        admin?.email
+      );
+
+      const confirmedSet = new Set(confirmed);
+      setResult((prev) => ({
+        ...prev,
+        matches: prev.matches.filter((match) => !confirmedSet.has(match.registration.id)),
+      }));
+      setSelectedIds(new Set());
+
+      setSuccessMessage(`Confirmed ${confirmed.length} payment(s).`);
+      if (failed.length > 0) {
+        setError(`Failed to confirm ${failed.length} registration(s): ${failed.map((item) => item.registrationId).join(', ')}`);
+      }
+
+      if (confirmed.length > 0 && onConfirmed) {
+        onConfirmed();
+      }
+    } catch (confirmError) {
+      console.error('Failed to confirm reconciled payments:', confirmError);
+      setError('Failed to confirm payments. Please try again.');
+    } finally {
+      setIsConfirming(false);
+    }
+  };
+
+  return (
+    <div className={styles.overlay} onClick={onClose}>
+      <div className={styles.modal} onClick={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className={styles.header}>
+          <div>
+            <h2 className={styles.title}>Reconcile Bank Statement</h2>
+            <p className={styles.subtitle}>
+              Match statement credits to registrations pending verification
+            </p>
+          </div>
+          <button
+            className={styles.closeButton}
+            onClick={onClose}
+            aria-label="Close modal"
+          >
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <line x1="18" y1="6" x2="6" y2="18" />
+              <line x1="6" y1="6" x2="18" y2="18" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className={styles.content}>
+          <div className={styles.importForm}>
+            <div className={styles.formGroup}>
+              <label htmlFor="statementBankAccount" className={styles.label}>
+                Statement Bank Account
+              </label>
+              <select
+                id="statementBankAccount"
+                className={styles.select}
+                value={bankAccountId}
+                onChange={(e) => setBankAccountId(e.target.value)}
+              >
+                <option value="">Any bank account</option>
+                {bankAccounts.map((account) => (
+                  <option key={account.id} value={account.id}>
+                    {BANK_LABELS[account.bankName] || account.bankName} - {account.accountNumber}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className={styles.formGroup}>
+              <label htmlFor="statementFile" className={styles.label}>
+                Statement File (CSV or PDF)
+              </label>
+              <input
+                id="statementFile"
+                type="file"
+                accept=".csv,text/csv,.pdf,application/pdf"
+                className={styles.fileInput}
+                onChange={(e) => setStatementFile(e.target.files?.[0] || null)}
+              />
+            </div>
+            <button
+              type="button"
+              className={styles.primaryButton}
+              onClick={handleAnalyze}
+              disabled={isAnalyzing || !statementFile}
+            >
+              {isAnalyzing ? 'Analyzing...' : 'Analyze Statement'}
+            </button>
+          </div>
+
+          {error && (
+            <div className={styles.errorBanner}>
+              {error}
+              <button onClick={() => setError(null)} aria-label="Dismiss error">
+                ×
+              </button>
+            </div>
+          )}
+
+          {successMessage && (
+            <div className={styles.successBanner}>{successMessage}</div>
+          )}
+
+          {isAnalyzing && (
+            <div className={styles.loading}>
+              <div className={styles.spinner} />
+              <p>Reading statement and matching payments...</p>
+            </div>
+          )}
+
+          {!isAnalyzing && result && (
+            <>
+              {result.truncationWarning && (
+                <div className={styles.warningBanner} role="alert">{result.truncationWarning}</div>
+              )}
+
+              <div className={styles.summary}>
+                <div className={styles.summaryItem}>
+                  <span className={styles.summaryValue}>{result.creditCount}</span>
+                  <span className={styles.summaryLabel}>Credits</span>
+                </div>
+                <div className={styles.summaryItem}>
+                  <span className={styles.summaryValue}>{result.matches.length}</span>
+                  <span className={styles.summaryLabel}>Proposed Matches</span>
+                </div>
+                <div className={styles.summaryItem}>
+                  <span className={styles.summaryValue}>{result.unmatchedCredits.length}</span>
+                  <span className={styles.summaryLabel}>Unmatched Credits</span>
+                </div>
+                <div className={styles.summaryItem}>
+                  <span className={styles.summaryValue}>{result.unmatchedRegistrations.length}</span>
+                  <span className={styles.summaryLabel}>Unmatched Registrations</span>
+                </div>
+              </div>
+
+              {/* Proposed Matches */}
+              <section className={styles.section}>
+                <h3 className={styles.sectionTitle}>Proposed Matches</h3>
+                {result.matches.length === 0 ? (
+                  <p className={styles.emptyMessage}>No matches to confirm.</p>
+                ) : (
+                  <div className={styles.tableContainer}>
+                    <table className={styles.table}>
+                      <thead>
+                        <tr>
+                          <th aria-label="Select" />
+                          <th>Statement Credit</th>
+                          <th>Registration</th>
+                          <th>Match</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {result.matches.map((match) => (
+                          <tr key={match.credit.id}>
+                            <td>
+                              <input
+                                type="checkbox"
+                                checked={selectedIds.has(match.credit.id)}
+                                onChange={() => handleToggleMatch(match.credit.id)}
+                                aria-label={`Select match for ${match.registration.shortCode || match.registration.id}`}
+                              />
+                            </td>
+                            <td>
+                              <div className={styles.primaryText}>{formatPrice(match.credit.amount)}</div>
+                              <div className={styles.secondaryText}>
+                                {match.credit.date} · {match.credit.reference || match.credit.description || '—'}
+                              </div>
+                            </td>
+                            <td>
+                              <div className={styles.primaryText}>
+                                {match.registration.shortCode || match.registration.id} · {getRegistrantName(match.registration)}
+                              </div>
+                              <div className={styles.secondaryText}>
+                                Declared {formatPrice(match.registration.payment?.amountPaid || 0)}
+                                {match.registration.payment?.referenceNumber
+                                  ? ` · Ref ${match.registration.payment.referenceNumber}`
+                                  : ''}
+                              </div>
+                            </td>
+                            <td>
+                              <span
+                                className={`${styles.confidenceBadge} ${
+                                  match.confidence === MATCH_CONFIDENCE.HIGH ? styles.confidenceHigh : styles.confidenceMedium
+                                }`}
+                              >
+                                {match.confidence === MATCH_CONFIDENCE.HIGH ? 'Confident' : 'Review'}
+                              </span>
+                              <div className={styles.secondaryText}>{match.reasons.join(', ')}</div>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </section>
+
+              {/* Unmatched Credits */}
+              <section className={styles.section}>
+                <h3 className={styles.sectionTitle}>Unmatched Credits</h3>
+                {result.unmatchedCredits.length === 0 ? (
+                  <p className={styles.emptyMessage}>Every credit was matched.</p>
+                ) : (
+                  <div className={styles.tableContainer}>
+                    <table className={styles.table}>
+                      <thead>
+                        <tr>
+                          <th>Date</th>
+                          <th>Description</th>
+                          <th>Reference</th>
+                          <th>Amount</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {result.unmatchedCredits.map((credit) => (
+                          <tr key={credit.id}>
+                            <td>{credit.date}</td>
+                            <td>{credit.description || '—'}</td>
+                            <td>{credit.reference || '—'}</td>
+                            <td>{formatPrice(credit.amount)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </section>
+
+              {/* Unmatched Registrations */}
+              <section className={styles.section}>
+                <h3 className={styles.sectionTitle}>Unmatched Registrations</h3>
+                {result.unmatchedRegistrations.length === 0 ? (
+                  <p className={styles.emptyMessage}>Every pending registration was matched.</p>
+                ) : (
+                  <div className={styles.tableContainer}>
+                    <table className={styles.table}>
+                      <thead>
+                        <tr>
+                          <th>Code</th>
+                          <th>Name</th>
+                          <th>Declared Amount</th>
+                          <th>Reference</th>
+                          <th>Payment Date</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {result.unmatchedRegistrations.map((registration) => (
+                          <tr key={registration.id}>
+                            <td>{registration.shortCode || registration.id}</td>
+                            <td>{getRegistrantName(registration)}</td>
+                            <td>{formatPrice(registration.payment?.amountPaid || 0)}</td>
+                            <td>{registration.payment?.referenceNumber || '—'}</td>
+                            <td>{registration.payment?.paymentDate || '—'}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </section>
+            </>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className={styles.footer}>
+          <button className={styles.secondaryButton} onClick={onClose}>
+            Close
+          </button>
+          {result && (
+            <button
+              type="button"
+              className={styles.primaryButton}
+              onClick={handleConfirm}
+              disabled={isConfirming || selectedMatches.length === 0}
+            >
+              {isConfirming ? 'Confirming...' : `Confirm Selected (${selectedMatches.length})`}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+BankStatementReconciliationModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  bankAccounts: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    bankName: PropTypes.string,
+    accountNumber: PropTypes.string,
+  })),
+  defaultBankAccountId: PropTypes.string,
+  onConfirmed: PropTypes.func,
+};
+
+BankStatementReconciliationModal.defaultProps = {
+  bankAccounts: [],
+  defaultBankAccountId: '',
+  onConfirmed: null,
+};
+
+export default BankStatementReconciliationModal;
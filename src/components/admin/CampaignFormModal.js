@@ -0,0 +1,497 @@
+/**
+ * CampaignFormModal Component
+ * Modal for composing an email campaign: message, recipient segment (status,
+ * category, church, workshop, food choice, check-in), a live recipient
+ * preview and an optional scheduled send time.
+ *
+ * @module components/admin/CampaignFormModal
+ */
+
+import { useState, useEffect, useRef, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import {
+  REGISTRATION_STATUS,
+  REGISTRATION_STATUS_LABELS,
+  REGISTRATION_CATEGORY_LABELS,
+  CAMPAIGN_CHECK_IN_FILTER_LABELS,
+} from '../../constants';
+import {
+  EMPTY_CAMPAIGN_SEGMENT,
+  CAMPAIGN_PLACEHOLDERS,
+  getCampaignRecipients,
+  getRegistrationChurchName,
+} from '../../services';
+import styles from './CampaignFormModal.module.css';
+
+/**
+ * Recipients listed in the preview before it is truncated
+ */
+const PREVIEW_LIMIT = 50;
+
+/**
+ * Formats a Date for a datetime-local input (local time, minutes precision)
+ *
+ * @param {Date|null} date - Date to format
+ * @returns {string} Input value, or an empty string
+ */
+function toDateTimeInputValue(date) {
+  if (!date) return '';
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+}
+
+/**
+ * Builds form state from a campaign (or a blank campaign to confirmed attendees)
+ *
+ * @param {Object|null} campaign - Campaign to edit
+ * @returns {Object} Form state
+ */
+function getInitialForm(campaign) {
+  if (!campaign) {
+    return {
+      name: '',
+      subject: '',
+      body: '',
+      segment: { ...EMPTY_CAMPAIGN_SEGMENT, statuses: [REGISTRATION_STATUS.CONFIRMED] },
+      scheduledAt: '',
+    };
+  }
+
+  return {
+    name: campaign.name || '',
+    subject: campaign.subject || '',
+    body: campaign.body || '',
+    segment: { ...EMPTY_CAMPAIGN_SEGMENT, ...campaign.segment },
+    scheduledAt: toDateTimeInputValue(campaign.scheduledAt),
+  };
+}
+
+/**
+ * CampaignFormModal Component
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether modal is open
+ * @param {Function} props.onClose - Callback to close modal
+ * @param {Function} props.onSave - Callback when the campaign is saved (receives campaign data)
+ * @param {Object|null} props.campaign - Campaign to edit (null for new)
+ * @param {Array} props.registrations - Registrations used for options and the recipient preview
+ * @param {Array} props.workshops - Workshop sessions ({ id, title })
+ * @param {Array} props.foodMenuItems - Food menu items ({ id, name })
+ * @returns {JSX.Element|null} The modal or null if not open
+ */
+function CampaignFormModal({ isOpen, onClose, onSave, campaign, registrations, workshops, foodMenuItems }) {
+  const [formData, setFormData] = useState(() => getInitialForm(null));
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const modalRef = useRef(null);
+  const nameInputRef = useRef(null);
+
+  const isEditing = !!campaign;
+
+  /**
+   * Initialize form when modal opens or campaign changes
+   */
+  useEffect(() => {
+    if (isOpen) {
+      setFormData(getInitialForm(campaign));
+      setError(null);
+      setTimeout(() => {
+        nameInputRef.current?.focus();
+      }, 100);
+    }
+  }, [isOpen, campaign]);
+
+  /**
+   * Handle click outside modal
+   */
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (modalRef.current && !modalRef.current.contains(event.target)) {
+        onClose();
+      }
+    };
+
+    if (isOpen) {
+      document.addEventListener('mousedown', handleClickOutside);
+      document.body.style.overflow = 'hidden';
+    }
+
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+      document.body.style.overflow = '';
+    };
+  }, [isOpen, onClose]);
+
+  /**
+   * Handle escape key
+   */
+  useEffect(() => {
+    const handleEscape = (event) => {
+      if (event.key === 'Escape') {
+        onClose();
+      }
+    };
+
+    if (isOpen) {
+      document.addEventListener('keydown', handleEscape);
+    }
+
+    return () => {
+      document.removeEventListener('keydown', handleEscape);
+    };
+  }, [isOpen, onClose]);
+
+  /**
+   * Segment options, built from the current registrations and lookups
+   */
+  const segmentOptions = useMemo(() => {
+    const churches = [...new Set(registrations.map(getRegistrationChurchName).filter(Boolean))]
+      .sort((a, b) => a.localeCompare(b));
+
+    return [
+      {
+        key: 'statuses',
+        label: 'Registration Status',
+        options: Object.entries(REGISTRATION_STATUS_LABELS).map(([value, label]) => ({ value, label })),
+      },
+      {
+        key: 'categories',
+        label: 'Category',
+        options: Object.entries(REGISTRATION_CATEGORY_LABELS).map(([value, label]) => ({ value, label })),
+      },
+      {
+        key: 'workshopIds',
+        label: 'Workshop',
+        options: workshops.map((workshop) => ({ value: workshop.id, label: workshop.title })),
+      },
+      {
+        key: 'foodChoices',
+        label: 'Food Choice',
+        options: foodMenuItems.map((item) => ({ value: item.id, label: item.name })),
+      },
+      {
+        key: 'churches',
+        label: 'Church',
+        options: churches.map((church) => ({ value: church, label: church })),
+      },
+    ];
+  }, [registrations, workshops, foodMenuItems]);
+
+  const recipients = useMemo(
+    () => getCampaignRecipients(registrations, formData.segment),
+    [registrations, formData.segment]
+  );
+
+  /**
+   * Handles input changes for top-level fields
+   *
+   * @param {Event} event - Change event
+   */
+  const handleChange = (event) => {
+    const { name, value } = event.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  /**
+   * Toggles one value of a multi-select segment filter
+   *
+   * @param {string} key - Segment filter key
+   * @param {string} value - Option value
+   */
+  const toggleSegmentValue = (key, value) => {
+    setFormData((prev) => {
+      const values = prev.segment[key];
+      return {
+        ...prev,
+        segment: {
+          ...prev.segment,
+          [key]: values.includes(value)
+            ? values.filter((item) => item !== value)
+            : [...values, value],
+        },
+      };
+    });
+  };
+
+  /**
+   * Handles form submission
+   *
+   * @param {Event} event - Submit event
+   */
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setError(null);
+
+    if (recipients.length === 0) {
+      setError('No attendees match this segment.');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      await onSave({
+        name: formData.name,
+        subject: formData.subject,
+        body: formData.body,
+        segment: formData.segment,
+        scheduledAt: formData.scheduledAt ? new Date(formData.scheduledAt) : null,
+      });
+      onClose();
+    } catch (err) {
+      setError(err.message || 'Failed to save the campaign. Please try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!isOpen) {
+    return null;
+  }
+
+  return (
+    <div className={styles.overlay}>
+      <div
+        ref={modalRef}
+        className={styles.modal}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="campaign-modal-title"
+      >
+        <div className={styles.header}>
+          <h2 id="campaign-modal-title" className={styles.title}>
+            {isEditing ? `Edit ${campaign.name || 'Campaign'}` : 'New Email Campaign'}
+          </h2>
+          <button
+            className={styles.closeButton}
+            onClick={onClose}
+            aria-label="Close modal"
+          >
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <line x1="18" y1="6" x2="6" y2="18" />
+              <line x1="6" y1="6" x2="18" y2="18" />
+            </svg>
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className={styles.content}>
+            {error && (
+              <div className={styles.errorMessage} role="alert">
+                {error}
+              </div>
+            )}
+
+            {/* Message */}
+            <h3 className={styles.sectionTitle}>Message</h3>
+            <div className={styles.formGrid}>
+              <div className={styles.field}>
+                <label htmlFor="campaign-name" className={styles.label}>
+                  Campaign Name <span className={styles.required}>*</span>
+                </label>
+                <input
+                  ref={nameInputRef}
+                  type="text"
+                  id="campaign-name"
+                  name="name"
+                  value={formData.name}
+                  onChange={handleChange}
+                  className={styles.input}
+                  placeholder="e.g., Gate change notice"
+                  required
+                />
+                <span className={styles.hint}>Only shown to admins</span>
+              </div>
+
+              <div className={styles.field}>
+                <label htmlFor="campaign-scheduled-at" className={styles.label}>
+                  Send At
+                </label>
+                <input
+                  type="datetime-local"
+                  id="campaign-scheduled-at"
+                  name="scheduledAt"
+                  value={formData.scheduledAt}
+                  onChange={handleChange}
+                  className={styles.input}
+                />
+                <span className={styles.hint}>Leave empty to keep as a draft and send it manually</span>
+              </div>
+
+              <div className={`${styles.field} ${styles.fieldSpan2}`}>
+                <label htmlFor="campaign-subject" className={styles.label}>
+                  Subject <span className={styles.required}>*</span>
+                </label>
+                <input
+                  type="text"
+                  id="campaign-subject"
+                  name="subject"
+                  value={formData.subject}
+                  onChange={handleChange}
+                  className={styles.input}
+                  required
+                />
+              </div>
+
+              <div className={`${styles.field} ${styles.fieldSpan2}`}>
+                <label htmlFor="campaign-body" className={styles.label}>
+                  Message <span className={styles.required}>*</span>
+                </label>
+                <textarea
+                  id="campaign-body"
+                  name="body"
+                  value={formData.body}
+                  onChange={handleChange}
+                  className={styles.textarea}
+                  rows={8}
+                  required
+                />
+                <span className={styles.hint}>
+                  Separate paragraphs with a blank line. Placeholders:{' '}
+                  {CAMPAIGN_PLACEHOLDERS.map((placeholder) => (
+                    `${placeholder.token} (${placeholder.description})`
+                  )).join(', ')}
+                </span>
+              </div>
+            </div>
+
+            {/* Segment */}
+            <h3 className={styles.sectionTitle}>Recipients</h3>
+            <p className={styles.hint}>
+              Leave a filter empty to include everyone. Attendees are emailed at their own
+              address, or the primary attendee&apos;s when they have none.
+            </p>
+            <div className={styles.segmentGrid}>
+              {segmentOptions.map(({ key, label, options }) => (
+                <fieldset key={key} className={styles.field}>
+                  <legend className={styles.label}>{label}</legend>
+                  <div className={styles.optionList}>
+                    {options.length === 0 && (
+                      <span className={styles.emptyOptions}>No options available</span>
+                    )}
+                    {options.map((option) => (
+                      <label key={option.value} className={styles.option}>
+                        <input
+                          type="checkbox"
+                          checked={formData.segment[key].includes(option.value)}
+                          onChange={() => toggleSegmentValue(key, option.value)}
+                        />
+                        {option.label}
+                      </label>
+                    ))}
+                  </div>
+                </fieldset>
+              ))}
+
+              <div className={styles.field}>
+                <label htmlFor="campaign-check-in" className={styles.label}>
+                  Check-In
+                </label>
+                <select
+                  id="campaign-check-in"
+                  value={formData.segment.checkIn}
+                  onChange={(e) => setFormData((prev) => ({
+                    ...prev,
+                    segment: { ...prev.segment, checkIn: e.target.value },
+                  }))}
+                  className={styles.select}
+                >
+                  {Object.entries(CAMPAIGN_CHECK_IN_FILTER_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            {/* Recipient Preview */}
+            <div className={styles.preview} aria-live="polite">
+              <p className={styles.previewCount}>
+                {recipients.length} recipient{recipients.length === 1 ? '' : 's'}
+              </p>
+              {recipients.length > 0 && (
+                <ul className={styles.previewList}>
+                  {recipients.slice(0, PREVIEW_LIMIT).map((recipient) => (
+                    <li key={recipient.email}>
+                      <span>{recipient.name || recipient.registrationId}</span>
+                      <span className={styles.previewEmail}>{recipient.email}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              {recipients.length > PREVIEW_LIMIT && (
+                <p className={styles.hint}>and {recipients.length - PREVIEW_LIMIT} more</p>
+              )}
+            </div>
+          </div>
+
+          <div className={styles.footer}>
+            <button
+              type="button"
+              className={styles.cancelButton}
+              onClick={onClose}
+              disabled={isSubmitting}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className={styles.submitButton}
+              disabled={isSubmitting}
+            >
+              {isSubmitting ? (
+                <>
+                  <span className={styles.spinner} />
+                  Saving...
+                </>
+              ) : (
+                <>
+                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <path d="M19 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11l5 5v11a2 2 0 0 1-2 2z" />
+                    <polyline points="17 21 17 13 7 13 7 21" />
+                    <polyline points="7 3 7 8 15 8" />
+                  </svg>
+                  {formData.scheduledAt ? 'Schedule Campaign' : 'Save Draft'}
+                </>
+              )}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+CampaignFormModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onSave: PropTypes.func.isRequired,
+  campaign: PropTypes.shape({
+    id: PropTypes.string,
+    name: PropTypes.string,
+    subject: PropTypes.string,
+    body: PropTypes.string,
+    segment: PropTypes.object,
+    scheduledAt: PropTypes.instanceOf(Date),
+  }),
+  registrations: PropTypes.arrayOf(PropTypes.object),
+  workshops: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      title: PropTypes.string,
+    })
+  ),
+  foodMenuItems: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string,
+    })
+  ),
+};
+
+CampaignFormModal.defaultProps = {
+  campaign: null,
+  registrations: [],
+  workshops: [],
+  foodMenuItems: [],
+};
+
+export default CampaignFormModal;
@@ -0,0 +1,418 @@
+/**
+ * CertificateTemplateEditor Component
+ * Edits the certificate of attendance template: text with placeholders,
+ * background image, and signatories. Saved to conference settings.
+ *
+ * @module components/admin/CertificateTemplateEditor
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { getConferenceSettings, updateConferenceSettings } from '../../services/settings';
+import { uploadCertificateAsset } from '../../services/storage';
+import {
+  CERTIFICATE_PLACEHOLDERS,
+  getCertificateTemplate,
+  getCertificateOptions,
+} from '../../services';
+import { generateCertificatesPdf } from '../../utils';
+import { useAdminAuth } from '../../context';
+import styles from './CertificateTemplateEditor.module.css';
+
+/**
+ * Sample attendee used for template previews
+ */
+const PREVIEW_CERTIFICATE = {
+  name: 'Juan Dela Cruz',
+  firstName: 'Juan',
+  church: 'GCF South Metro',
+  ministryRole: 'Pastor',
+  sessions: ['Opening Plenary', 'Discipleship Workshop', 'Closing Plenary'],
+};
+
+/**
+ * Maximum number of signatories that fit on a certificate
+ */
+const MAX_SIGNATORIES = 3;
+
+/**
+ * CertificateTemplateEditor Component
+ *
+ * @param {Object} props - Component props
+ * @param {Function} [props.onSaved] - Called with the saved template
+ * @returns {JSX.Element} The certificate template editor
+ */
+function CertificateTemplateEditor({ onSaved }) {
+  const { admin } = useAdminAuth();
+  const [settings, setSettings] = useState(null);
+  const [template, setTemplate] = useState(getCertificateTemplate(null));
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const [uploadingField, setUploadingField] = useState(null);
+  const [error, setError] = useState(null);
+  const [saveSuccess, setSaveSuccess] = useState(false);
+
+  /**
+   * Fetches the saved template
+   */
+  const fetchTemplate = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const settingsData = await getConferenceSettings();
+      setSettings(settingsData);
+      setTemplate(getCertificateTemplate(settingsData));
+    } catch (fetchError) {
+      console.error('Failed to fetch certificate template:', fetchError);
+      setError('Failed to load the certificate template. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTemplate();
+  }, [fetchTemplate]);
+
+  /**
+   * Handles changing text inputs
+   */
+  const handleInputChange = (event) => {
+    const { name, value } = event.target;
+    setTemplate((prev) => ({ ...prev, [name]: value }));
+  };
+
+  /**
+   * Updates a signatory field
+   */
+  const handleSignatoryChange = (index, field, value) => {
+    setTemplate((prev) => ({
+      ...prev,
+      signatories: prev.signatories.map((signatory, i) => (
+        i === index ? { ...signatory, [field]: value } : signatory
+      )),
+    }));
+  };
+
+  /**
+   * Adds an empty signatory
+   */
+  const handleAddSignatory = () => {
+    setTemplate((prev) => ({
+      ...prev,
+      signatories: [...prev.signatories, { name: '', title: '', signatureImageUrl: null }],
+    }));
+  };
+
+  /**
+   * Removes a signatory
+   */
+  const handleRemoveSignatory = (index) => {
+    setTemplate((prev) => ({
+      ...prev,
+      signatories: prev.signatories.filter((_, i) => i !== index),
+    }));
+  };
+
+  /**
+   * Uploads a background or signature image
+   *
+   * @param {File} file - Selected image
+   * @param {string} field - 'background' or the signatory index
+   */
+  const handleImageUpload = async (file, field) => {
+    if (!file) return;
+
+    setUploadingField(field);
+    setError(null);
+
+    try {
+      const url = await uploadCertificateAsset(file);
+      if (field === 'background') {
+        setTemplate((prev) => ({ ...prev, backgroundImageUrl: url }));
+      } else {
+        handleSignatoryChange(field, 'signatureImageUrl', url);
+      }
+    } catch (uploadError) {
+      console.error('Failed to upload certificate image:', uploadError);
+      setError(uploadError.message || 'Failed to upload image. Please try again.');
+    } finally {
+      setUploadingField(null);
+    }
+  };
+
+  /**
+   * Opens a sample certificate in a new tab
+   */
+  const handlePreview = async () => {
+    setIsPreviewing(true);
+    setError(null);
+
+    try {
+      const pdf = await generateCertificatesPdf(
+        [PREVIEW_CERTIFICATE],
+        template,
+        getCertificateOptions(settings)
+      );
+      window.open(pdf.output('bloburl'), '_blank', 'noopener');
+    } catch (previewError) {
+      console.error('Failed to preview certificate:', previewError);
+      setError('Failed to generate the preview. Please try again.');
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
+
+  /**
+   * Saves the template to conference settings
+   */
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError(null);
+    setSaveSuccess(false);
+
+    try {
+      await updateConferenceSettings(
+        { certificate: template },
+        admin?.id,
+        admin?.email
+      );
+      setSaveSuccess(true);
+      setTimeout(() => setSaveSuccess(false), 3000);
+      if (onSaved) {
+        onSaved(template);
+      }
+    } catch (saveError) {
+      console.error('Failed to save certificate template:', saveError);
+      setError('Failed to save the template. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (isLoading) {
+    return <div className={styles.loading}>Loading template...</div>;
+  }
+
+  const isBusy = isSaving || uploadingField !== null;
+
+  return (
+    <div className={styles.container}>
+      {error && (
+        <div className={styles.errorBanner} role="alert">
+          {error}
+          <button onClick={() => setError(null)} aria-label="Dismiss error">
+            &times;
+          </button>
+        </div>
+      )}
+
+      {saveSuccess && (
+        <div className={styles.successBanner} role="status">
+          Template saved successfully!
+        </div>
+      )}
+
+      {/* Enable/Disable Toggle */}
+      <div className={styles.toggleRow}>
+        <div className={styles.toggleLabel}>
+          <span className={styles.label}>Certificate Downloads</span>
+          <span className={styles.hint}>
+            When enabled, attendees can download issued certificates from the registration status page.
+          </span>
+        </div>
+        <button
+          type="button"
+          className={`${styles.toggle} ${template.enabled ? styles.toggleOn : styles.toggleOff}`}
+          onClick={() => setTemplate((prev) => ({ ...prev, enabled: !prev.enabled }))}
+          disabled={isBusy}
+          aria-pressed={template.enabled}
+        >
+          <span className={styles.toggleKnob} />
+          {template.enabled ? 'Enabled' : 'Disabled'}
+        </button>
+      </div>
+
+      {/* Text */}
+      <div className={styles.fieldGroup}>
+        <label htmlFor="certificate-title" className={styles.label}>Title</label>
+        <input
+          type="text"
+          id="certificate-title"
+          name="title"
+          value={template.title}
+          onChange={handleInputChange}
+          className={styles.input}
+          disabled={isBusy}
+        />
+      </div>
+
+      <div className={styles.fieldGroup}>
+        <label htmlFor="certificate-body" className={styles.label}>Body Text</label>
+        <textarea
+          id="certificate-body"
+          name="bodyText"
+          value={template.bodyText}
+          onChange={handleInputChange}
+          className={styles.textarea}
+          rows={4}
+          disabled={isBusy}
+        />
+        <div className={styles.placeholders}>
+          {CERTIFICATE_PLACEHOLDERS.map((placeholder) => (
+            <code key={placeholder.key} title={placeholder.description}>
+              {`{${placeholder.key}}`}
+            </code>
+          ))}
+        </div>
+      </div>
+
+      <div className={styles.fieldGroup}>
+        <label className={styles.checkboxLabel}>
+          <input
+            type="checkbox"
+            checked={template.includeSessions}
+            onChange={(e) => setTemplate((prev) => ({ ...prev, includeSessions: e.target.checked }))}
+            disabled={isBusy}
+          />
+          List sessions attended (from session attendance scanning)
+        </label>
+        {template.includeSessions && (
+          <input
+            type="text"
+            name="sessionsText"
+            value={template.sessionsText}
+            onChange={handleInputChange}
+            className={styles.input}
+            disabled={isBusy}
+            aria-label="Sessions text"
+          />
+        )}
+      </div>
+
+      {/* Background */}
+      <div className={styles.fieldGroup}>
+        <span className={styles.label}>Background Image</span>
+        <span className={styles.hint}>
+          Landscape US Letter (11 x 8.5 in), JPEG or PNG. Leave empty for the default border.
+        </span>
+        <div className={styles.imageRow}>
+          {template.backgroundImageUrl && (
+            <img src={template.backgroundImageUrl} alt="Certificate background" className={styles.backgroundThumb} />
+          )}
+          <label className={styles.uploadButton}>
+            {uploadingField === 'background' ? 'Uploading...' : 'Upload'}
+            <input
+              type="file"
+              accept="image/jpeg,image/png"
+              onChange={(e) => handleImageUpload(e.target.files[0], 'background')}
+              disabled={isBusy}
+              hidden
+            />
+          </label>
+          {template.backgroundImageUrl && (
+            <button
+              type="button"
+              className={styles.linkButton}
+              onClick={() => setTemplate((prev) => ({ ...prev, backgroundImageUrl: null }))}
+              disabled={isBusy}
+            >
+              Remove
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Signatories */}
+      <div className={styles.fieldGroup}>
+        <span className={styles.label}>Signatories</span>
+        {template.signatories.map((signatory, index) => (
+          <div key={index} className={styles.signatory}>
+            <input
+              type="text"
+              value={signatory.name}
+              onChange={(e) => handleSignatoryChange(index, 'name', e.target.value)}
+              className={styles.input}
+              placeholder="Name"
+              aria-label={`Signatory ${index + 1} name`}
+              disabled={isBusy}
+            />
+            <input
+              type="text"
+              value={signatory.title}
+              onChange={(e) => handleSignatoryChange(index, 'title', e.target.value)}
+              className={styles.input}
+              placeholder="Title (e.g., Senior Pastor)"
+              aria-label={`Signatory ${index + 1} title`}
+              disabled={isBusy}
+            />
+            <div className={styles.imageRow}>
+              {signatory.signatureImageUrl && (
+                <img src={signatory.signatureImageUrl} alt="Signature" className={styles.signatureThumb} />
+              )}
+              <label className={styles.uploadButton}>
+                {uploadingField === index ? 'Uploading...' : 'Signature'}
+                <input
+                  type="file"
+                  accept="image/jpeg,image/png"
+                  onChange={(e) => handleImageUpload(e.target.files[0], index)}
+                  disabled={isBusy}
+                  hidden
+                />
+              </label>
+              <button
+                type="button"
+                className={styles.linkButton}
+                onClick={() => handleRemoveSignatory(index)}
+                disabled={isBusy}
+              >
+                Remove
+              </button>
+            </div>
+          </div>
+        ))}
+        {template.signatories.length < MAX_SIGNATORIES && (
+          <button
+            type="button"
+            className={styles.secondaryButton}
+            onClick={handleAddSignatory}
+            disabled={isBusy}
+          >
+            + Add Signatory
+          </button>
+        )}
+      </div>
+
+      <div className={styles.actions}>
+        <button
+          type="button"
+          className={styles.secondaryButton}
+          onClick={handlePreview}
+          disabled={isBusy || isPreviewing}
+        >
+          {isPreviewing ? 'Generating...' : 'Preview PDF'}
+        </button>
+        <button
+          type="button"
+          className={styles.primaryButton}
+          onClick={handleSave}
+          disabled={isBusy}
+        >
+          {isSaving ? 'Saving...' : 'Save Template'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+CertificateTemplateEditor.propTypes = {
+  onSaved: PropTypes.func,
+};
+
+CertificateTemplateEditor.defaultProps = {
+  onSaved: null,
+};
+
+export default CertificateTemplateEditor;
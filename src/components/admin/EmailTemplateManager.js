@@ -0,0 +1,481 @@
+/**
+ * EmailTemplateManager Component
+ * Edits the wording of transactional emails: subject and HTML body with
+ * placeholders, a live preview filled in from a real registration, a test
+ * send to the signed-in admin, and version history.
+ * Used as tab content in the AdminSettingsPage.
+ *
+ * @module components/admin/EmailTemplateManager
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import {
+  getEmailTemplates,
+  getEmailTemplateVersions,
+  saveEmailTemplate,
+  setEmailTemplateActive,
+  sendEmailTemplateTest,
+  renderEmailTemplatePreview,
+  findUnknownPlaceholders,
+  lookupRegistration,
+} from '../../services';
+import { useAdminAuth } from '../../context';
+import { EMAIL_TEMPLATE_PLACEHOLDERS, EMAIL_TEMPLATE_PLACEHOLDER_LABELS } from '../../constants';
+import styles from './EmailTemplateManager.module.css';
+
+/**
+ * Formats a saved-at date
+ *
+ * @param {Date|null} value - Date value
+ * @returns {string} Formatted date or a dash
+ */
+function formatDate(value) {
+  if (!value) return '—';
+  return value.toLocaleString('en-PH', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+/**
+ * EmailTemplateManager Component
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.isLoading - Loading state from parent
+ * @param {string} [props.conferenceTitle] - Conference title used in the preview
+ * @returns {JSX.Element} The email template manager
+ */
+function EmailTemplateManager({ isLoading: parentLoading, conferenceTitle }) {
+  const { admin } = useAdminAuth();
+  const [templates, setTemplates] = useState([]);
+  const [selectedKey, setSelectedKey] = useState(null);
+  const [draft, setDraft] = useState({ subject: '', html: '' });
+  const [versions, setVersions] = useState([]);
+  const [registration, setRegistration] = useState(null);
+  const [lookupValue, setLookupValue] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isSendingTest, setIsSendingTest] = useState(false);
+  const [isLookingUp, setIsLookingUp] = useState(false);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+
+  const selected = templates.find((template) => template.key === selectedKey) || null;
+  const isDirty = Boolean(selected) &&
+    (draft.subject !== selected.subject || draft.html !== selected.html);
+  const unknownPlaceholders = selected
+    ? findUnknownPlaceholders(selected.key, `${draft.subject} ${draft.html}`)
+    : [];
+
+  /**
+   * Fetches all templates
+   */
+  const fetchTemplates = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const data = await getEmailTemplates();
+      setTemplates(data);
+      return data;
+    } catch (fetchError) {
+      console.error('Failed to fetch email templates:', fetchError);
+      setError('Failed to load email templates. Please try again.');
+      return [];
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  /**
+   * Opens a template in the editor and loads its history
+   *
+   * @param {Object} template - Template to edit
+   */
+  const openTemplate = useCallback(async (template) => {
+    setSelectedKey(template.key);
+    setDraft({ subject: template.subject, html: template.html });
+    setVersions([]);
+
+    if (template.version > 0) {
+      try {
+        setVersions(await getEmailTemplateVersions(template.key));
+      } catch (fetchError) {
+        console.error('Failed to fetch template versions:', fetchError);
+        setError('Failed to load version history.');
+      }
+    }
+  }, []);
+
+  /**
+   * Fetch templates on mount and open the first one
+   */
+  useEffect(() => {
+    fetchTemplates().then((data) => {
+      if (data.length > 0) {
+        openTemplate(data[0]);
+      }
+    });
+  }, [fetchTemplates, openTemplate]);
+
+  /**
+   * Re-renders the preview whenever the draft or sample registration changes
+   */
+  useEffect(() => {
+    if (!selectedKey) return undefined;
+
+    let isCurrent = true;
+    const overrides = conferenceTitle ? { conferenceTitle } : {};
+    renderEmailTemplatePreview(selectedKey, draft, registration, overrides)
+      .then((rendered) => {
+        if (isCurrent) setPreview(rendered);
+      })
+      .catch((previewError) => {
+        console.error('Failed to render email preview:', previewError);
+      });
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [selectedKey, draft, registration, conferenceTitle]);
+
+  /**
+   * Switches templates, confirming before unsaved changes are dropped
+   *
+   * @param {Object} template - Template to open
+   */
+  const handleSelect = (template) => {
+    if (template.key === selectedKey) return;
+    if (isDirty && !window.confirm('Discard your unsaved changes to this template?')) {
+      return;
+    }
+    setSuccessMessage(null);
+    openTemplate(template);
+  };
+
+  /**
+   * Loads the registration used to fill in the preview and test email
+   *
+   * @param {Event} event - Form submit event
+   */
+  const handleLookup = async (event) => {
+    event.preventDefault();
+    if (!lookupValue.trim()) {
+      setRegistration(null);
+      return;
+    }
+
+    setIsLookingUp(true);
+    setError(null);
+
+    try {
+      const found = await lookupRegistration(lookupValue);
+      if (!found) {
+        setError(`No registration found for "${lookupValue.trim()}".`);
+        return;
+      }
+      setRegistration(found);
+    } catch (lookupError) {
+      console.error('Failed to look up registration:', lookupError);
+      setError('Failed to look up the registration. Please try again.');
+    } finally {
+      setIsLookingUp(false);
+    }
+  };
+
+  /**
+   * Saves the draft as a new version
+   */
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError(null);
+    setSuccessMessage(null);
+
+    try {
+      const version = await saveEmailTemplate(
+        selected.key,
+        { ...draft, isActive: selected.isActive },
+        admin?.id,
+        admin?.email
+      );
+      const data = await fetchTemplates();
+      await openTemplate(data.find((template) => template.key === selected.key));
+      setSuccessMessage(`Saved as version ${version}.`);
+    } catch (saveError) {
+      console.error('Failed to save email template:', saveError);
+      setError(saveError.message || 'Failed to save the template. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Turns the saved template on or off
+   */
+  const handleToggleActive = async () => {
+    setError(null);
+    setSuccessMessage(null);
+
+    try {
+      await setEmailTemplateActive(selected.key, !selected.isActive, admin?.id, admin?.email);
+      setTemplates((prev) => prev.map((template) => (
+        template.key === selected.key ? { ...template, isActive: !template.isActive } : template
+      )));
+    } catch (toggleError) {
+      console.error('Failed to update email template:', toggleError);
+      setError('Failed to update the template. Please try again.');
+    }
+  };
+
+  /**
+   * Sends the current draft to the signed-in admin
+   */
+  const handleSendTest = async () => {
+    setIsSendingTest(true);
+    setError(null);
+    setSuccessMessage(null);
+
+    try {
+      const sentTo = await sendEmailTemplateTest(selected.key, draft, registration?.id || null);
+      setSuccessMessage(`Test email sent to ${sentTo}.`);
+    } catch (sendError) {
+      console.error('Failed to send test email:', sendError);
+      setError(sendError.message || 'Failed to send the test email. Please try again.');
+    } finally {
+      setIsSendingTest(false);
+    }
+  };
+
+  /**
+   * Loads a previous version into the editor
+   *
+   * @param {Object} version - Saved version
+   */
+  const handleRestore = (version) => {
+    setDraft({ subject: version.subject, html: version.html });
+    setSuccessMessage(`Version ${version.version} loaded. Save to make it the current version.`);
+  };
+
+  if (isLoading && templates.length === 0) {
+    return <div className={styles.loading}>Loading email templates...</div>;
+  }
+
+  const isBusy = parentLoading || isSaving;
+
+  return (
+    <div className={styles.container}>
+      {error && (
+        <div className={styles.errorBanner} role="alert">
+          {error}
+          <button onClick={() => setError(null)} aria-label="Dismiss error">
+            &times;
+          </button>
+        </div>
+      )}
+      {successMessage && (
+        <div className={styles.successBanner} role="status">
+          {successMessage}
+        </div>
+      )}
+
+      <div className={styles.layout}>
+        {/* Template List */}
+        <ul className={styles.templateList}>
+          {templates.map((template) => (
+            <li key={template.key}>
+              <button
+                type="button"
+                className={`${styles.templateItem} ${template.key === selectedKey ? styles.templateItemActive : ''}`}
+                onClick={() => handleSelect(template)}
+              >
+                <span className={styles.templateName}>{template.label}</span>
+                <span className={styles.templateMeta}>
+                  {template.version > 0
+                    ? `Custom · v${template.version}${template.isActive ? '' : ' · Off'}`
+                    : 'Built-in email'}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+
+        {selected && (
+          <div className={styles.editor}>
+            {/* Active Toggle */}
+            <div className={styles.toggleRow}>
+              <div className={styles.toggleLabel}>
+                <span className={styles.label}>Use This Template</span>
+                <span className={styles.hint}>
+                  {selected.version > 0
+                    ? 'When off, the built-in email is sent instead.'
+                    : 'The built-in email is sent until this template is saved and turned on.'}
+                </span>
+              </div>
+              <button
+                type="button"
+                className={`${styles.toggle} ${selected.isActive ? styles.toggleOn : styles.toggleOff}`}
+                onClick={handleToggleActive}
+                disabled={isBusy || selected.version === 0}
+                aria-pressed={selected.isActive}
+              >
+                <span className={styles.toggleKnob} />
+                {selected.isActive ? 'On' : 'Off'}
+              </button>
+            </div>
+
+            {/* Subject and Body */}
+            <div className={styles.fieldGroup}>
+              <label htmlFor="email-template-subject" className={styles.label}>Subject</label>
+              <input
+                type="text"
+                id="email-template-subject"
+                value={draft.subject}
+                onChange={(e) => setDraft((prev) => ({ ...prev, subject: e.target.value }))}
+                className={styles.input}
+                disabled={isBusy}
+              />
+            </div>
+
+            <div className={styles.fieldGroup}>
+              <label htmlFor="email-template-html" className={styles.label}>HTML Body</label>
+              <textarea
+                id="email-template-html"
+                value={draft.html}
+                onChange={(e) => setDraft((prev) => ({ ...prev, html: e.target.value }))}
+                className={styles.codeInput}
+                rows={16}
+                spellCheck={false}
+                disabled={isBusy}
+              />
+              <div className={styles.placeholders}>
+                {EMAIL_TEMPLATE_PLACEHOLDERS[selected.key].map((name) => (
+                  <code key={name} title={EMAIL_TEMPLATE_PLACEHOLDER_LABELS[name]}>
+                    {`{{${name}}}`}
+                  </code>
+                ))}
+              </div>
+              {unknownPlaceholders.length > 0 && (
+                <span className={styles.warning}>
+                  This email cannot use {unknownPlaceholders.map((name) => `{{${name}}}`).join(', ')}.
+                </span>
+              )}
+            </div>
+
+            {/* Preview */}
+            <div className={styles.fieldGroup}>
+              <span className={styles.label}>Preview</span>
+              <form className={styles.lookupRow} onSubmit={handleLookup}>
+                <input
+                  type="text"
+                  value={lookupValue}
+                  onChange={(e) => setLookupValue(e.target.value)}
+                  className={styles.input}
+                  placeholder="Registration ID, quick code or email"
+                  aria-label="Registration to preview with"
+                />
+                <button type="submit" className={styles.secondaryButton} disabled={isLookingUp}>
+                  {isLookingUp ? 'Loading...' : 'Use Registration'}
+                </button>
+              </form>
+              <span className={styles.hint}>
+                {registration
+                  ? `Filled in from ${registration.registrationId} (${registration.primaryAttendee?.firstName || ''} ${registration.primaryAttendee?.lastName || ''}).`
+                  : 'Load a registration to fill in the placeholders.'}
+              </span>
+              {preview && (
+                <div className={styles.preview}>
+                  <div className={styles.previewSubject}>
+                    <span className={styles.hint}>Subject:</span> {preview.subject}
+                  </div>
+                  <iframe
+                    title="Email preview"
+                    srcDoc={preview.html}
+                    sandbox=""
+                    className={styles.previewFrame}
+                  />
+                </div>
+              )}
+            </div>
+
+            <div className={styles.actions}>
+              <button
+                type="button"
+                className={styles.secondaryButton}
+                onClick={handleSendTest}
+                disabled={isBusy || isSendingTest || unknownPlaceholders.length > 0}
+              >
+                {isSendingTest ? 'Sending...' : 'Send Test to Me'}
+              </button>
+              <button
+                type="button"
+                className={styles.primaryButton}
+                onClick={handleSave}
+                disabled={isBusy || (!isDirty && selected.version > 0)}
+              >
+                {isSaving ? 'Saving...' : 'Save Template'}
+              </button>
+            </div>
+
+            {/* Version History */}
+            {versions.length > 0 && (
+              <div className={styles.fieldGroup}>
+                <span className={styles.label}>Version History</span>
+                <table className={styles.versionTable}>
+                  <thead>
+                    <tr>
+                      <th scope="col">Version</th>
+                      <th scope="col">Saved</th>
+                      <th scope="col">By</th>
+                      <th scope="col" aria-label="Actions" />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {versions.map((version) => (
+                      <tr key={version.id}>
+                        <td>
+                          v{version.version}
+                          {version.version === selected.version && (
+                            <span className={styles.currentBadge}>Current</span>
+                          )}
+                        </td>
+                        <td>{formatDate(version.savedAt)}</td>
+                        <td>{version.savedByEmail || '—'}</td>
+                        <td>
+                          <button
+                            type="button"
+                            className={styles.linkButton}
+                            onClick={() => handleRestore(version)}
+                            disabled={isBusy}
+                          >
+                            Restore
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+EmailTemplateManager.propTypes = {
+  isLoading: PropTypes.bool,
+  conferenceTitle: PropTypes.string,
+};
+
+EmailTemplateManager.defaultProps = {
+  isLoading: false,
+  conferenceTitle: null,
+};
+
+export default EmailTemplateManager;
@@ -0,0 +1,365 @@
+/**
+ * FeedbackAnalytics Component
+ * Displays aggregated feedback per field: distribution charts for choice
+ * fields, averages for ratings, Net Promoter Score, number statistics,
+ * matrix breakdowns and keyword frequency for free text.
+ *
+ * @module components/admin/FeedbackAnalytics
+ */
+
+import PropTypes from 'prop-types';
+import {
+  BarChart,
+  Bar,
+  Cell,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+} from 'recharts';
+import {
+  FEEDBACK_SUMMARY_KINDS,
+  NPS_PROMOTER_MIN,
+  NPS_DETRACTOR_MAX,
+} from '../../utils';
+import styles from './FeedbackAnalytics.module.css';
+
+/**
+ * Chart colors
+ */
+const BAR_COLOR = '#06b84b';
+const NPS_COLORS = {
+  promoter: '#10b981',
+  passive: '#f59e0b',
+  detractor: '#ef4444',
+};
+
+/**
+ * Height of one bar row in horizontal distribution charts (px)
+ */
+const BAR_ROW_HEIGHT = 36;
+
+/**
+ * Custom tooltip showing count and percentage
+ *
+ * @param {Object} props - Tooltip props
+ * @returns {JSX.Element|null} Tooltip element
+ */
+function DistributionTooltip({ active, payload }) {
+  if (active && payload && payload.length) {
+    const { label, count, percent } = payload[0].payload;
+    return (
+      <div className={styles.tooltip}>
+        <p className={styles.tooltipLabel}>{label}</p>
+        <p className={styles.tooltipValue}>
+          {count} ({percent}%)
+        </p>
+      </div>
+    );
+  }
+  return null;
+}
+
+DistributionTooltip.propTypes = {
+  active: PropTypes.bool,
+  payload: PropTypes.array,
+};
+
+/**
+ * Gets the NPS band color for a score
+ *
+ * @param {number} score - Score from 0 to 10
+ * @returns {string} Bar color
+ */
+function getNpsColor(score) {
+  if (score >= NPS_PROMOTER_MIN) return NPS_COLORS.promoter;
+  if (score <= NPS_DETRACTOR_MAX) return NPS_COLORS.detractor;
+  return NPS_COLORS.passive;
+}
+
+/**
+ * Horizontal bar chart of a distribution, one bar per option
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.options - Distribution buckets
+ * @returns {JSX.Element} The chart
+ */
+function HorizontalDistribution({ options }) {
+  return (
+    <div className={styles.chartWrapper}>
+      <ResponsiveContainer width="100%" height={Math.max(options.length * BAR_ROW_HEIGHT, 60)}>
+        <BarChart
+          data={options}
+          layout="vertical"
+          margin={{ top: 0, right: 48, left: 0, bottom: 0 }}
+        >
+          <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" horizontal={false} />
+          <XAxis type="number" allowDecimals={false} hide />
+          <YAxis
+            type="category"
+            dataKey="label"
+            width={160}
+            axisLine={false}
+            tickLine={false}
+            tick={{ fontSize: 12, fill: '#374151' }}
+          />
+          <Tooltip content={<DistributionTooltip />} cursor={{ fill: '#f3f4f6' }} />
+          <Bar
+            dataKey="count"
+            fill={BAR_COLOR}
+            radius={[0, 4, 4, 0]}
+            label={{ position: 'right', fontSize: 12, fill: '#6b7280' }}
+          />
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+HorizontalDistribution.propTypes = {
+  options: PropTypes.array.isRequired,
+};
+
+/**
+ * Column chart of a numeric scale (rating stars or NPS scores)
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.options - Distribution buckets
+ * @param {Function} [props.getColor] - Returns a bar color for a bucket ID
+ * @returns {JSX.Element} The chart
+ */
+function ScaleDistribution({ options, getColor }) {
+  return (
+    <div className={styles.chartWrapper}>
+      <ResponsiveContainer width="100%" height={180}>
+        <BarChart data={options} margin={{ top: 16, right: 8, left: 0, bottom: 0 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" vertical={false} />
+          <XAxis
+            dataKey="label"
+            axisLine={false}
+            tickLine={false}
+            tick={{ fontSize: 12, fill: '#6b7280' }}
+          />
+          <YAxis
+            allowDecimals={false}
+            axisLine={false}
+            tickLine={false}
+            tick={{ fontSize: 12, fill: '#6b7280' }}
+            width={32}
+          />
+          <Tooltip content={<DistributionTooltip />} cursor={{ fill: '#f3f4f6' }} />
+          <Bar dataKey="count" fill={BAR_COLOR} radius={[4, 4, 0, 0]}>
+            {getColor && options.map((option) => (
+              <Cell key={option.id} fill={getColor(option.id)} />
+            ))}
+          </Bar>
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+ScaleDistribution.propTypes = {
+  options: PropTypes.array.isRequired,
+  getColor: PropTypes.func,
+};
+
+/**
+ * Renders the body of a field summary card
+ *
+ * @param {Object} summary - Field summary
+ * @returns {JSX.Element} Summary body
+ */
+function renderSummaryBody(summary) {
+  switch (summary.kind) {
+    case FEEDBACK_SUMMARY_KINDS.RATING:
+      return (
+        <>
+          <div className={styles.headlineStats}>
+            <div className={styles.headlineStat}>
+              <span className={styles.headlineValue}>
+                {summary.average ?? '-'}
+                <span className={styles.headlineUnit}> / {summary.scale}</span>
+              </span>
+              <span className={styles.headlineLabel}>Average rating</span>
+            </div>
+          </div>
+          <ScaleDistribution options={summary.options} />
+        </>
+      );
+
+    case FEEDBACK_SUMMARY_KINDS.NPS:
+      return (
+        <>
+          <div className={styles.headlineStats}>
+            <div className={styles.headlineStat}>
+              <span className={styles.headlineValue}>{summary.score ?? '-'}</span>
+              <span className={styles.headlineLabel}>Net Promoter Score</span>
+            </div>
+            <div className={styles.headlineStat}>
+              <span className={styles.headlineValue} style={{ color: NPS_COLORS.promoter }}>
+                {summary.promoters}
+              </span>
+              <span className={styles.headlineLabel}>Promoters (9-10)</span>
+            </div>
+            <div className={styles.headlineStat}>
+              <span className={styles.headlineValue} style={{ color: NPS_COLORS.passive }}>
+                {summary.passives}
+              </span>
+              <span className={styles.headlineLabel}>Passives (7-8)</span>
+            </div>
+            <div className={styles.headlineStat}>
+              <span className={styles.headlineValue} style={{ color: NPS_COLORS.detractor }}>
+                {summary.detractors}
+              </span>
+              <span className={styles.headlineLabel}>Detractors (0-6)</span>
+            </div>
+          </div>
+          <ScaleDistribution options={summary.options} getColor={getNpsColor} />
+        </>
+      );
+
+    case FEEDBACK_SUMMARY_KINDS.NUMBER:
+      return (
+        <div className={styles.headlineStats}>
+          <div className={styles.headlineStat}>
+            <span className={styles.headlineValue}>{summary.average ?? '-'}</span>
+            <span className={styles.headlineLabel}>Average</span>
+          </div>
+          <div className={styles.headlineStat}>
+            <span className={styles.headlineValue}>{summary.min ?? '-'}</span>
+            <span className={styles.headlineLabel}>Minimum</span>
+          </div>
+          <div className={styles.headlineStat}>
+            <span className={styles.headlineValue}>{summary.max ?? '-'}</span>
+            <span className={styles.headlineLabel}>Maximum</span>
+          </div>
+        </div>
+      );
+
+    case FEEDBACK_SUMMARY_KINDS.MATRIX:
+      return (
+        <div className={styles.matrixWrapper}>
+          <table className={styles.matrixTable}>
+            <thead>
+              <tr>
+                <th scope="col" />
+                {summary.field.options?.map((option) => (
+                  <th key={option.id} scope="col">{option.label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {summary.rows.map((row) => (
+                <tr key={row.id}>
+                  <th scope="row">{row.label}</th>
+                  {row.options.map((option) => (
+                    <td
+                      key={option.id}
+                      style={{ backgroundColor: `rgba(6, 184, 75, ${option.percent / 100 * 0.6})` }}
+                    >
+                      <span className={styles.matrixCount}>{option.count}</span>
+                      <span className={styles.matrixPercent}>{option.percent}%</span>
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      );
+
+    case FEEDBACK_SUMMARY_KINDS.TEXT:
+      return summary.keywords.length === 0 ? (
+        <p className={styles.noData}>No keywords yet.</p>
+      ) : (
+        <ul className={styles.keywordList}>
+          {summary.keywords.map(({ word, count }) => (
+            <li key={word} className={styles.keyword}>
+              {word}
+              <span className={styles.keywordCount}>{count}</span>
+            </li>
+          ))}
+        </ul>
+      );
+
+    case FEEDBACK_SUMMARY_KINDS.CHOICE:
+    default:
+      return summary.options?.length > 0 ? (
+        <HorizontalDistribution options={summary.options} />
+      ) : (
+        <p className={styles.noData}>No answers yet.</p>
+      );
+  }
+}
+
+/**
+ * FeedbackAnalytics Component
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.summaries - Field summaries from summarizeFeedbackResponses
+ * @param {boolean} props.isLoading - Loading state
+ * @returns {JSX.Element} The feedback analytics view
+ */
+function FeedbackAnalytics({ summaries, isLoading }) {
+  if (isLoading) {
+    return (
+      <div className={styles.grid}>
+        <div className={styles.skeleton} />
+        <div className={styles.skeleton} />
+      </div>
+    );
+  }
+
+  if (summaries.length === 0) {
+    return (
+      <div className={styles.emptyState}>
+        <p>No feedback fields are configured.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className={styles.grid}>
+      {summaries.map((summary) => (
+        <section
+          key={summary.field.id}
+          className={`${styles.card} ${summary.kind === FEEDBACK_SUMMARY_KINDS.MATRIX ? styles.cardWide : ''}`}
+        >
+          <div className={styles.cardHeader}>
+            <h3 className={styles.cardTitle}>{summary.field.label}</h3>
+            <span className={styles.responseCount}>
+              {summary.responseCount} answered
+              {summary.multiple && ' · multiple choice'}
+            </span>
+          </div>
+          {renderSummaryBody(summary)}
+        </section>
+      ))}
+    </div>
+  );
+}
+
+FeedbackAnalytics.propTypes = {
+  summaries: PropTypes.arrayOf(
+    PropTypes.shape({
+      field: PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        label: PropTypes.string,
+        options: PropTypes.array,
+      }).isRequired,
+      kind: PropTypes.string.isRequired,
+      responseCount: PropTypes.number.isRequired,
+      multiple: PropTypes.bool,
+    })
+  ),
+  isLoading: PropTypes.bool,
+};
+
+FeedbackAnalytics.defaultProps = {
+  summaries: [],
+  isLoading: false,
+};
+
+export default FeedbackAnalytics;
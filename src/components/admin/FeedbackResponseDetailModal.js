@@ -57,9 +57,10 @@ function renderValue(value) {
   }
 
   if (typeof value === 'object' && !Array.isArray(value)) {
+    // Checkbox groups store { optionId: true }; matrices store { rowId: optionId }
     const selectedOptions = Object.entries(value)
-      .filter(([, v]) => v === true)
-      .map(([k]) => formatFieldLabel(k));
+      .filter(([, v]) => v === true || (typeof v === 'string' && v))
+      .map(([k, v]) => (v === true ? formatFieldLabel(k) : `${formatFieldLabel(k)}: ${formatFieldLabel(v)}`));
 
     if (selectedOptions.length === 0) {
       return <span className={styles.emptyValue}>None selected</span>;
@@ -126,7 +127,7 @@ function FeedbackResponseDetailModal({ isOpen, onClose, response, onDelete }) {
 
   if (!isOpen || !response) return null;
 
-  const excludeKeys = ['id', 'createdAt'];
+  const excludeKeys = ['id', 'createdAt', 'registrationId'];
   const responseFields = Object.entries(response).filter(
     ([key]) => !excludeKeys.includes(key)
   );
@@ -173,6 +174,12 @@ function FeedbackResponseDetailModal({ isOpen, onClose, response, onDelete }) {
             <span className={styles.metaLabel}>Submitted</span>
             <span className={styles.metaValue}>{formatDate(response.createdAt)}</span>
           </div>
+          {response.registrationId && (
+            <div className={styles.metaSection}>
+              <span className={styles.metaLabel}>Registration</span>
+              <span className={styles.metaValue}>{response.registrationId}</span>
+            </div>
+          )}
 
           <div className={styles.fieldsSection}>
             {responseFields.length === 0 ? (
@@ -215,6 +222,7 @@ FeedbackResponseDetailModal.propTypes = {
   response: PropTypes.shape({
     id: PropTypes.string.isRequired,
     createdAt: PropTypes.object,
+    registrationId: PropTypes.string,
   }),
   onDelete: PropTypes.func.isRequired,
 };
@@ -33,7 +33,7 @@ function formatDate(timestamp) {
  * @returns {string} Preview string of the response
  */
 function getResponsePreview(response) {
-  const excludeKeys = ['id', 'createdAt'];
+  const excludeKeys = ['id', 'createdAt', 'registrationId'];
   const entries = Object.entries(response)
     .filter(([key]) => !excludeKeys.includes(key))
     .slice(0, 3);
@@ -11,7 +11,9 @@ import PropTypes from 'prop-types';
 import { getConferenceSettings, updateConferenceSettings } from '../../services/settings';
 import { useAdminAuth } from '../../context';
 import { ROUTES } from '../../constants';
+import { upsertFormField } from '../../utils';
 import FormFieldEditor from './FormFieldEditor';
+import FormFieldList from './FormFieldList';
 import styles from './FeedbackSettingsManager.module.css';
 
 /**
@@ -20,22 +22,12 @@ import styles from './FeedbackSettingsManager.module.css';
 const DEFAULT_FEEDBACK_SETTINGS = {
   enabled: false,
   closingDate: null,
+  sessionRatingsEnabled: false,
   formTitle: 'Event Feedback',
   formSubtitle: 'We value your feedback. Please share your experience with us.',
   fields: [],
 };
 
-/**
- * Field type labels for display
- */
-const FIELD_TYPE_LABELS = {
-  text: 'Text',
-  textarea: 'Text Area',
-  checkbox: 'Checkbox',
-  checkboxGroup: 'Checkbox Group',
-  radio: 'Radio',
-};
-
 /**
  * FeedbackSettingsManager Component
  *
@@ -117,6 +109,16 @@ function FeedbackSettingsManager({ isLoading: parentLoading }) {
     }));
   };
 
+  /**
+   * Handles toggling session ratings on/off
+   */
+  const handleToggleSessionRatings = () => {
+    setFeedbackSettings((prev) => ({
+      ...prev,
+      sessionRatingsEnabled: !prev.sessionRatingsEnabled,
+    }));
+  };
+
   /**
    * Handles changing text inputs
    */
@@ -148,69 +150,13 @@ function FeedbackSettingsManager({ isLoading: parentLoading }) {
    * Saves a field (add or update)
    */
   const handleSaveField = (fieldData) => {
-    setFeedbackSettings((prev) => {
-      const fields = [...prev.fields];
-      const existingIndex = fields.findIndex((f) => f.id === fieldData.id);
-
-      if (existingIndex >= 0) {
-        // Update existing field
-        fields[existingIndex] = { ...fields[existingIndex], ...fieldData };
-      } else {
-        // Add new field with order
-        const maxOrder = fields.reduce((max, f) => Math.max(max, f.order || 0), 0);
-        fields.push({ ...fieldData, order: maxOrder + 1 });
-      }
-
-      return { ...prev, fields };
-    });
+    setFeedbackSettings((prev) => ({ ...prev, fields: upsertFormField(prev.fields, fieldData) }));
     setIsFieldEditorOpen(false);
     setEditingField(null);
   };
 
-  /**
-   * Deletes a field
-   */
-  const handleDeleteField = (fieldId) => {
-    if (!window.confirm('Are you sure you want to delete this field?')) {
-      return;
-    }
-    setFeedbackSettings((prev) => ({
-      ...prev,
-      fields: prev.fields.filter((f) => f.id !== fieldId),
-    }));
-  };
-
-  /**
-   * Moves a field up in order
-   */
-  const handleMoveFieldUp = (index) => {
-    if (index === 0) return;
-    setFeedbackSettings((prev) => {
-      const fields = [...prev.fields];
-      const temp = fields[index].order;
-      fields[index].order = fields[index - 1].order;
-      fields[index - 1].order = temp;
-      return { ...prev, fields };
-    });
-  };
-
-  /**
-   * Moves a field down in order
-   */
-  const handleMoveFieldDown = (index) => {
-    setFeedbackSettings((prev) => {
-      if (index >= prev.fields.length - 1) return prev;
-      const fields = [...prev.fields];
-      const temp = fields[index].order;
-      fields[index].order = fields[index + 1].order;
-      fields[index + 1].order = temp;
-      return { ...prev, fields };
-    });
-  };
-
   const loading = isLoading || parentLoading;
   const feedbackUrl = `${window.location.origin}${ROUTES.FEEDBACK}`;
-  const sortedFields = [...(feedbackSettings.fields || [])].sort((a, b) => (a.order || 0) - (b.order || 0));
 
   return (
     <div className={styles.container}>
@@ -243,7 +189,7 @@ function FeedbackSettingsManager({ isLoading: parentLoading }) {
           className={`${styles.tabButton} ${activeTab === 'fields' ? styles.tabActive : ''}`}
           onClick={() => setActiveTab('fields')}
         >
-          Form Fields ({sortedFields.length})
+          Form Fields ({feedbackSettings.fields?.length || 0})
         </button>
       </div>
 
@@ -278,6 +224,31 @@ function FeedbackSettingsManager({ isLoading: parentLoading }) {
                 </div>
               </div>
 
+              {/* Session Ratings Toggle */}
+              <div className={styles.fieldGroup}>
+                <div className={styles.toggleRow}>
+                  <div className={styles.toggleLabel}>
+                    <span className={styles.label}>Session Ratings</span>
+                    <span className={styles.hint}>
+                      When enabled, checked-in attendees can rate plenaries and workshops from the
+                      schedule once each session ends, and on the feedback form.
+                    </span>
+                  </div>
+                  <button
+                    type="button"
+                    className={`${styles.toggle} ${feedbackSettings.sessionRatingsEnabled ? styles.toggleOn : styles.toggleOff}`}
+                    onClick={handleToggleSessionRatings}
+                    disabled={isSaving}
+                    aria-pressed={feedbackSettings.sessionRatingsEnabled}
+                  >
+                    <span className={styles.toggleKnob} />
+                    <span className={styles.toggleText}>
+                      {feedbackSettings.sessionRatingsEnabled ? 'Enabled' : 'Disabled'}
+                    </span>
+                  </button>
+                </div>
+              </div>
+
               {/* Form Title */}
               <div className={styles.fieldGroup}>
                 <label htmlFor="form-title" className={styles.label}>
@@ -395,85 +366,14 @@ function FeedbackSettingsManager({ isLoading: parentLoading }) {
           )}
 
           {activeTab === 'fields' && (
-            <>
-              {/* Add Field Button */}
-              <div className={styles.fieldsHeader}>
-                <p className={styles.fieldsDescription}>
-                  Configure the fields that appear on the feedback form. Drag to reorder.
-                </p>
-                <button
-                  type="button"
-                  onClick={handleAddField}
-                  className={styles.addFieldButton}
-                  disabled={isSaving}
-                >
-                  + Add Field
-                </button>
-              </div>
-
-              {/* Fields List */}
-              {sortedFields.length === 0 ? (
-                <div className={styles.emptyFields}>
-                  <p>No fields configured yet.</p>
-                  <p>Click &quot;Add Field&quot; to create your first form field.</p>
-                </div>
-              ) : (
-                <div className={styles.fieldsList}>
-                  {sortedFields.map((field, index) => (
-                    <div key={field.id} className={styles.fieldItem}>
-                      <div className={styles.fieldOrder}>
-                        <button
-                          type="button"
-                          onClick={() => handleMoveFieldUp(index)}
-                          disabled={index === 0 || isSaving}
-                          className={styles.orderButton}
-                          aria-label="Move up"
-                        >
-                          &#9650;
-                        </button>
-                        <button
-                          type="button"
-                          onClick={() => handleMoveFieldDown(index)}
-                          disabled={index === sortedFields.length - 1 || isSaving}
-                          className={styles.orderButton}
-                          aria-label="Move down"
-                        >
-                          &#9660;
-                        </button>
-                      </div>
-                      <div className={styles.fieldInfo}>
-                        <span className={styles.fieldLabel}>{field.label}</span>
-                        <div className={styles.fieldMeta}>
-                          <span className={styles.fieldType}>{FIELD_TYPE_LABELS[field.type] || field.type}</span>
-                          {field.required && <span className={styles.fieldRequired}>Required</span>}
-                          {field.conditionalOn && (
-                            <span className={styles.fieldConditional}>Conditional</span>
-                          )}
-                        </div>
-                      </div>
-                      <div className={styles.fieldActions}>
-                        <button
-                          type="button"
-                          onClick={() => handleEditField(field)}
-                          className={styles.editButton}
-                          disabled={isSaving}
-                        >
-                          Edit
-                        </button>
-                        <button
-                          type="button"
-                          onClick={() => handleDeleteField(field.id)}
-                          className={styles.deleteButton}
-                          disabled={isSaving}
-                        >
-                          Delete
-                        </button>
-                      </div>
-                    </div>
-                  ))}
-                </div>
-              )}
-            </>
+            <FormFieldList
+              fields={feedbackSettings.fields}
+              onChange={(fields) => setFeedbackSettings((prev) => ({ ...prev, fields }))}
+              onAdd={handleAddField}
+              onEdit={handleEditField}
+              description="Configure the fields that appear on the feedback form. Use the arrows to reorder."
+              disabled={isSaving}
+            />
           )}
 
           {/* Save Button */}
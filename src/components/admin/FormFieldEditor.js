@@ -1,12 +1,13 @@
 /**
  * FormFieldEditor Component
- * Modal for creating/editing feedback form fields.
+ * Modal for creating/editing feedback form fields and registration questions.
  *
  * @module components/admin/FormFieldEditor
  */
 
 import { useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
+import { DEFAULT_RATING_SCALE, PAGE_BREAK_FIELD_TYPE } from '../../utils';
 import styles from './FormFieldEditor.module.css';
 
 /**
@@ -18,8 +19,38 @@ const FIELD_TYPES = [
   { value: 'checkbox', label: 'Checkbox (Single)' },
   { value: 'checkboxGroup', label: 'Checkbox Group (Multiple Options)' },
   { value: 'radio', label: 'Radio (Single Selection)' },
+  { value: 'select', label: 'Dropdown (Single Selection)' },
+  { value: 'number', label: 'Number' },
+  { value: 'date', label: 'Date' },
+  { value: 'rating', label: 'Star Rating' },
+  { value: 'nps', label: 'Net Promoter Score (0-10)' },
+  { value: 'matrix', label: 'Matrix / Likert Grid' },
+  { value: PAGE_BREAK_FIELD_TYPE, label: 'Page Break (starts a new page)' },
 ];
 
+/**
+ * Field types whose answers are chosen from a list of options
+ */
+const OPTION_FIELD_TYPES = ['checkboxGroup', 'radio', 'select', 'matrix'];
+
+/**
+ * Field types that can drive conditional display of other fields
+ */
+const CONDITIONAL_SOURCE_TYPES = ['checkbox', 'checkboxGroup', 'radio', 'select'];
+
+/**
+ * Rating scale sizes offered for star ratings
+ */
+const RATING_SCALES = [3, 4, 5, 7, 10];
+
+/**
+ * Empty state for the add-option / add-row inputs
+ */
+const EMPTY_NEW_ITEMS = {
+  options: { id: '', label: '' },
+  rows: { id: '', label: '' },
+};
+
 /**
  * Initial field state
  */
@@ -30,6 +61,11 @@ const INITIAL_FIELD = {
   placeholder: '',
   required: false,
   options: [],
+  rows: [],
+  description: '',
+  scale: DEFAULT_RATING_SCALE,
+  min: '',
+  max: '',
 };
 
 /**
@@ -41,12 +77,13 @@ const INITIAL_FIELD = {
  * @param {Function} props.onSave - Save handler
  * @param {Object} props.field - Field to edit (null for new)
  * @param {Array} props.existingFields - Existing fields for conditional logic
+ * @param {Array} props.fieldTypes - Field type values to offer (defaults to all)
  * @returns {JSX.Element|null} The form field editor modal
  */
-function FormFieldEditor({ isOpen, onClose, onSave, field, existingFields }) {
+function FormFieldEditor({ isOpen, onClose, onSave, field, existingFields, fieldTypes }) {
   const [formData, setFormData] = useState(INITIAL_FIELD);
   const [errors, setErrors] = useState({});
-  const [newOption, setNewOption] = useState({ id: '', label: '' });
+  const [newItems, setNewItems] = useState(EMPTY_NEW_ITEMS);
 
   const isEditing = Boolean(field);
 
@@ -60,12 +97,15 @@ function FormFieldEditor({ isOpen, onClose, onSave, field, existingFields }) {
           ...INITIAL_FIELD,
           ...field,
           options: field.options || [],
+          rows: field.rows || [],
+          min: field.min ?? '',
+          max: field.max ?? '',
         });
       } else {
         setFormData(INITIAL_FIELD);
       }
       setErrors({});
-      setNewOption({ id: '', label: '' });
+      setNewItems(EMPTY_NEW_ITEMS);
     }
   }, [isOpen, field]);
 
@@ -102,7 +142,7 @@ function FormFieldEditor({ isOpen, onClose, onSave, field, existingFields }) {
           if (selectedField.type === 'checkbox') {
             // Default to "is not checked" as it's the more common use case
             defaultValue = false;
-          } else if ((selectedField.type === 'checkboxGroup' || selectedField.type === 'radio') && selectedField.options?.length > 0) {
+          } else if (selectedField.type !== 'checkbox' && selectedField.options?.length > 0) {
             // For fields with options, default to first option
             defaultValue = selectedField.options[0].id;
           }
@@ -138,28 +178,39 @@ function FormFieldEditor({ isOpen, onClose, onSave, field, existingFields }) {
   };
 
   /**
-   * Adds a new option to checkbox/radio group
+   * Adds a new option (or matrix row) to the field
+   *
+   * @param {string} key - 'options' or 'rows'
    */
-  const handleAddOption = () => {
-    if (!newOption.id.trim() || !newOption.label.trim()) {
+  const handleAddItem = (key) => {
+    const { id, label } = newItems[key];
+    if (!label.trim()) {
       return;
     }
     // Generate ID from label if not provided
-    const optionId = newOption.id.trim() || newOption.label.trim().toLowerCase().replace(/\s+/g, '_');
+    const itemId = id.trim() || label.trim().toLowerCase().replace(/\s+/g, '_');
+    if (formData[key].some((item) => item.id === itemId)) {
+      setErrors((prev) => ({ ...prev, [key]: `"${itemId}" is already in the list` }));
+      return;
+    }
     setFormData((prev) => ({
       ...prev,
-      options: [...prev.options, { id: optionId, label: newOption.label.trim() }],
+      [key]: [...prev[key], { id: itemId, label: label.trim() }],
     }));
-    setNewOption({ id: '', label: '' });
+    setNewItems((prev) => ({ ...prev, [key]: EMPTY_NEW_ITEMS[key] }));
+    setErrors((prev) => ({ ...prev, [key]: '' }));
   };
 
   /**
-   * Removes an option from checkbox/radio group
+   * Removes an option (or matrix row) from the field
+   *
+   * @param {string} key - 'options' or 'rows'
+   * @param {number} index - Index to remove
    */
-  const handleRemoveOption = (index) => {
+  const handleRemoveItem = (key, index) => {
     setFormData((prev) => ({
       ...prev,
-      options: prev.options.filter((_, i) => i !== index),
+      [key]: prev[key].filter((_, i) => i !== index),
     }));
   };
 
@@ -181,10 +232,19 @@ function FormFieldEditor({ isOpen, onClose, onSave, field, existingFields }) {
       newErrors.label = 'Label is required';
     }
 
-    if ((formData.type === 'checkboxGroup' || formData.type === 'radio') && formData.options.length === 0) {
+    if (OPTION_FIELD_TYPES.includes(formData.type) && formData.options.length === 0) {
       newErrors.options = 'At least one option is required';
     }
 
+    if (formData.type === 'matrix' && formData.rows.length === 0) {
+      newErrors.rows = 'At least one row is required';
+    }
+
+    if (formData.type === 'number' && formData.min !== '' && formData.max !== ''
+      && Number(formData.min) > Number(formData.max)) {
+      newErrors.max = 'Maximum must be greater than or equal to minimum';
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -199,18 +259,36 @@ function FormFieldEditor({ isOpen, onClose, onSave, field, existingFields }) {
       return;
     }
 
+    const isPageBreak = formData.type === PAGE_BREAK_FIELD_TYPE;
     const fieldData = {
       id: formData.id.trim(),
       type: formData.type,
       label: formData.label.trim(),
       placeholder: formData.placeholder?.trim() || '',
-      required: formData.required,
+      required: isPageBreak ? false : formData.required,
     };
 
-    if (formData.type === 'checkboxGroup' || formData.type === 'radio') {
+    if (OPTION_FIELD_TYPES.includes(formData.type)) {
       fieldData.options = formData.options;
     }
 
+    if (formData.type === 'matrix') {
+      fieldData.rows = formData.rows;
+    }
+
+    if (formData.type === 'rating') {
+      fieldData.scale = Number(formData.scale) || DEFAULT_RATING_SCALE;
+    }
+
+    if (formData.type === 'number') {
+      fieldData.min = formData.min === '' ? null : Number(formData.min);
+      fieldData.max = formData.max === '' ? null : Number(formData.max);
+    }
+
+    if (isPageBreak) {
+      fieldData.description = formData.description?.trim() || '';
+    }
+
     if (formData.conditionalOn?.field) {
       fieldData.conditionalOn = formData.conditionalOn;
     }
@@ -225,7 +303,7 @@ function FormFieldEditor({ isOpen, onClose, onSave, field, existingFields }) {
   const getConditionalFields = () => {
     return existingFields
       .filter((f) => f.id !== formData.id)
-      .filter((f) => f.type === 'checkbox' || f.type === 'checkboxGroup' || f.type === 'radio')
+      .filter((f) => CONDITIONAL_SOURCE_TYPES.includes(f.type))
       .map((f) => ({
         id: f.id,
         label: f.label,
@@ -260,8 +338,8 @@ function FormFieldEditor({ isOpen, onClose, onSave, field, existingFields }) {
       ];
     }
 
-    // For checkboxGroup and radio, return the actual field options
-    if ((selectedField.type === 'checkboxGroup' || selectedField.type === 'radio') && selectedField.options) {
+    // For checkboxGroup, radio and select, return the actual field options
+    if (selectedField.options) {
       return selectedField.options.map((opt) => ({
         id: opt.id,
         label: opt.label,
@@ -273,8 +351,71 @@ function FormFieldEditor({ isOpen, onClose, onSave, field, existingFields }) {
 
   if (!isOpen) return null;
 
-  const showOptions = formData.type === 'checkboxGroup' || formData.type === 'radio';
+  const isPageBreak = formData.type === PAGE_BREAK_FIELD_TYPE;
+  const showOptions = OPTION_FIELD_TYPES.includes(formData.type);
   const conditionalFields = getConditionalFields();
+  const availableFieldTypes = fieldTypes
+    ? FIELD_TYPES.filter((type) => fieldTypes.includes(type.value))
+    : FIELD_TYPES;
+
+  /**
+   * Renders the editable list of options or matrix rows
+   *
+   * @param {string} key - 'options' or 'rows'
+   * @param {string} title - Section label
+   * @param {string} placeholder - Placeholder for the new item label
+   * @returns {JSX.Element} List editor
+   */
+  const renderItemEditor = (key, title, placeholder) => (
+    <div className={styles.fieldGroup}>
+      <label className={styles.label}>
+        {title} <span className={styles.required}>*</span>
+      </label>
+      {errors[key] && <span className={styles.error}>{errors[key]}</span>}
+
+      <div className={styles.optionsList}>
+        {formData[key].map((item, index) => (
+          <div key={item.id} className={styles.optionItem}>
+            <span className={styles.optionLabel}>{item.label}</span>
+            <span className={styles.optionId}>({item.id})</span>
+            <button
+              type="button"
+              onClick={() => handleRemoveItem(key, index)}
+              className={styles.removeOptionButton}
+              aria-label={`Remove ${item.label}`}
+            >
+              &times;
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div className={styles.addOptionRow}>
+        <input
+          type="text"
+          value={newItems[key].label}
+          onChange={(e) => setNewItems((prev) => ({ ...prev, [key]: { ...prev[key], label: e.target.value } }))}
+          className={styles.optionInput}
+          placeholder={placeholder}
+        />
+        <input
+          type="text"
+          value={newItems[key].id}
+          onChange={(e) => setNewItems((prev) => ({ ...prev, [key]: { ...prev[key], id: e.target.value } }))}
+          className={styles.optionInput}
+          placeholder="ID (optional)"
+        />
+        <button
+          type="button"
+          onClick={() => handleAddItem(key)}
+          className={styles.addOptionButton}
+          disabled={!newItems[key].label.trim()}
+        >
+          Add
+        </button>
+      </div>
+    </div>
+  );
 
   return (
     <div className={styles.overlay} onClick={onClose}>
@@ -318,7 +459,7 @@ function FormFieldEditor({ isOpen, onClose, onSave, field, existingFields }) {
               onChange={handleChange}
               className={styles.select}
             >
-              {FIELD_TYPES.map((type) => (
+              {availableFieldTypes.map((type) => (
                 <option key={type.value} value={type.value}>
                   {type.label}
                 </option>
@@ -329,7 +470,7 @@ function FormFieldEditor({ isOpen, onClose, onSave, field, existingFields }) {
           {/* Label */}
           <div className={styles.fieldGroup}>
             <label htmlFor="field-label" className={styles.label}>
-              Label <span className={styles.required}>*</span>
+              {isPageBreak ? 'Page Title' : 'Label'} <span className={styles.required}>*</span>
             </label>
             <input
               type="text"
@@ -343,8 +484,27 @@ function FormFieldEditor({ isOpen, onClose, onSave, field, existingFields }) {
             {errors.label && <span className={styles.error}>{errors.label}</span>}
           </div>
 
-          {/* Placeholder (for text/textarea) */}
-          {(formData.type === 'text' || formData.type === 'textarea') && (
+          {/* Page description (for page breaks) */}
+          {isPageBreak && (
+            <div className={styles.fieldGroup}>
+              <label htmlFor="field-description" className={styles.label}>
+                Page Description
+              </label>
+              <input
+                type="text"
+                id="field-description"
+                name="description"
+                value={formData.description}
+                onChange={handleChange}
+                className={styles.input}
+                placeholder="e.g., Tell us about the workshops you attended"
+              />
+              <span className={styles.hint}>Fields after this one appear on a new page</span>
+            </div>
+          )}
+
+          {/* Placeholder (for text inputs and dropdowns) */}
+          {['text', 'textarea', 'number', 'select'].includes(formData.type) && (
             <div className={styles.fieldGroup}>
               <label htmlFor="field-placeholder" className={styles.label}>
                 Placeholder
@@ -361,74 +521,91 @@ function FormFieldEditor({ isOpen, onClose, onSave, field, existingFields }) {
             </div>
           )}
 
-          {/* Required */}
-          <div className={styles.fieldGroup}>
-            <label className={styles.checkboxLabel}>
-              <input
-                type="checkbox"
-                name="required"
-                checked={formData.required}
-                onChange={handleChange}
-                className={styles.checkbox}
-              />
-              <span>Required field</span>
-            </label>
-          </div>
-
-          {/* Options (for checkboxGroup/radio) */}
-          {showOptions && (
+          {/* Rating scale */}
+          {formData.type === 'rating' && (
             <div className={styles.fieldGroup}>
-              <label className={styles.label}>
-                Options <span className={styles.required}>*</span>
+              <label htmlFor="field-scale" className={styles.label}>
+                Number of Stars
               </label>
-              {errors.options && <span className={styles.error}>{errors.options}</span>}
-
-              <div className={styles.optionsList}>
-                {formData.options.map((option, index) => (
-                  <div key={option.id} className={styles.optionItem}>
-                    <span className={styles.optionLabel}>{option.label}</span>
-                    <span className={styles.optionId}>({option.id})</span>
-                    <button
-                      type="button"
-                      onClick={() => handleRemoveOption(index)}
-                      className={styles.removeOptionButton}
-                      aria-label="Remove option"
-                    >
-                      &times;
-                    </button>
-                  </div>
+              <select
+                id="field-scale"
+                name="scale"
+                value={formData.scale}
+                onChange={handleChange}
+                className={styles.select}
+              >
+                {RATING_SCALES.map((scale) => (
+                  <option key={scale} value={scale}>
+                    {scale}
+                  </option>
                 ))}
-              </div>
+              </select>
+            </div>
+          )}
 
-              <div className={styles.addOptionRow}>
+          {/* Number limits */}
+          {formData.type === 'number' && (
+            <div className={styles.limitsRow}>
+              <div className={styles.fieldGroup}>
+                <label htmlFor="field-min" className={styles.label}>
+                  Minimum
+                </label>
                 <input
-                  type="text"
-                  value={newOption.label}
-                  onChange={(e) => setNewOption((prev) => ({ ...prev, label: e.target.value }))}
-                  className={styles.optionInput}
-                  placeholder="Option label"
+                  type="number"
+                  id="field-min"
+                  name="min"
+                  value={formData.min}
+                  onChange={handleChange}
+                  className={styles.input}
+                  placeholder="No limit"
                 />
+              </div>
+              <div className={styles.fieldGroup}>
+                <label htmlFor="field-max" className={styles.label}>
+                  Maximum
+                </label>
                 <input
-                  type="text"
-                  value={newOption.id}
-                  onChange={(e) => setNewOption((prev) => ({ ...prev, id: e.target.value }))}
-                  className={styles.optionInput}
-                  placeholder="Option ID (optional)"
+                  type="number"
+                  id="field-max"
+                  name="max"
+                  value={formData.max}
+                  onChange={handleChange}
+                  className={`${styles.input} ${errors.max ? styles.inputError : ''}`}
+                  placeholder="No limit"
                 />
-                <button
-                  type="button"
-                  onClick={handleAddOption}
-                  className={styles.addOptionButton}
-                  disabled={!newOption.label.trim()}
-                >
-                  Add
-                </button>
+                {errors.max && <span className={styles.error}>{errors.max}</span>}
               </div>
             </div>
           )}
 
+          {/* Required */}
+          {!isPageBreak && (
+            <div className={styles.fieldGroup}>
+              <label className={styles.checkboxLabel}>
+                <input
+                  type="checkbox"
+                  name="required"
+                  checked={formData.required}
+                  onChange={handleChange}
+                  className={styles.checkbox}
+                />
+                <span>Required field</span>
+              </label>
+            </div>
+          )}
+
+          {/* Matrix rows */}
+          {formData.type === 'matrix' && renderItemEditor('rows', 'Rows (statements)', 'Row label, e.g., The venue was comfortable')}
+
+          {/* Options (for checkboxGroup/radio/select, or matrix columns) */}
+          {showOptions && renderItemEditor(
+            'options',
+            formData.type === 'matrix' ? 'Columns (scale)' : 'Options',
+            formData.type === 'matrix' ? 'Column label, e.g., Agree' : 'Option label'
+          )}
+
           {/* Conditional Logic */}
-          {conditionalFields.length > 0 && (
+          {conditionalFields.length > 0 && !isPageBreak && (
             <div className={styles.fieldGroup}>
               <label className={styles.label}>Conditional Display</label>
               <span className={styles.hint}>Show this field only when another field has a specific value</span>
@@ -485,11 +662,13 @@ FormFieldEditor.propTypes = {
   onSave: PropTypes.func.isRequired,
   field: PropTypes.object,
   existingFields: PropTypes.array,
+  fieldTypes: PropTypes.arrayOf(PropTypes.string),
 };
 
 FormFieldEditor.defaultProps = {
   field: null,
   existingFields: [],
+  fieldTypes: null,
 };
 
 export default FormFieldEditor;
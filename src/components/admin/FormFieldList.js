@@ -0,0 +1,174 @@
+/**
+ * FormFieldList Component
+ * Ordered list of configurable form fields with add, edit, reorder and
+ * delete controls. Shared by the feedback form builder and the custom
+ * registration questions manager.
+ *
+ * @module components/admin/FormFieldList
+ */
+
+import PropTypes from 'prop-types';
+import { sortFormFields } from '../../utils';
+import styles from './FormFieldList.module.css';
+
+/**
+ * Field type labels for display
+ */
+const FIELD_TYPE_LABELS = {
+  text: 'Text',
+  textarea: 'Text Area',
+  checkbox: 'Checkbox',
+  checkboxGroup: 'Checkbox Group',
+  radio: 'Radio',
+  select: 'Dropdown',
+  number: 'Number',
+  date: 'Date',
+  rating: 'Star Rating',
+  nps: 'NPS',
+  matrix: 'Matrix',
+  page: 'Page Break',
+};
+
+/**
+ * FormFieldList Component
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.fields - Field definitions
+ * @param {Function} props.onChange - Called with the updated field array after reorder or delete
+ * @param {Function} props.onAdd - Called when "Add Field" is clicked
+ * @param {Function} props.onEdit - Called with the field to edit
+ * @param {string} props.description - Text shown beside the add button
+ * @param {boolean} props.disabled - Whether controls are disabled
+ * @returns {JSX.Element} The form field list
+ */
+function FormFieldList({ fields, onChange, onAdd, onEdit, description, disabled }) {
+  const sortedFields = sortFormFields(fields);
+
+  /**
+   * Deletes a field
+   */
+  const handleDelete = (fieldId) => {
+    if (!window.confirm('Are you sure you want to delete this field?')) {
+      return;
+    }
+    onChange(fields.filter((f) => f.id !== fieldId));
+  };
+
+  /**
+   * Swaps the order of the field at a sorted index with its neighbour
+   */
+  const handleMove = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= sortedFields.length) return;
+
+    const reordered = [...sortedFields];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    onChange(reordered.map((field, order) => ({ ...field, order: order + 1 })));
+  };
+
+  return (
+    <>
+      {/* Add Field Button */}
+      <div className={styles.fieldsHeader}>
+        <p className={styles.fieldsDescription}>{description}</p>
+        <button
+          type="button"
+          onClick={onAdd}
+          className={styles.addFieldButton}
+          disabled={disabled}
+        >
+          + Add Field
+        </button>
+      </div>
+
+      {/* Fields List */}
+      {sortedFields.length === 0 ? (
+        <div className={styles.emptyFields}>
+          <p>No fields configured yet.</p>
+          <p>Click &quot;Add Field&quot; to create your first form field.</p>
+        </div>
+      ) : (
+        <div className={styles.fieldsList}>
+          {sortedFields.map((field, index) => (
+            <div key={field.id} className={styles.fieldItem}>
+              <div className={styles.fieldOrder}>
+                <button
+                  type="button"
+                  onClick={() => handleMove(index, -1)}
+                  disabled={index === 0 || disabled}
+                  className={styles.orderButton}
+                  aria-label="Move up"
+                >
+                  &#9650;
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleMove(index, 1)}
+                  disabled={index === sortedFields.length - 1 || disabled}
+                  className={styles.orderButton}
+                  aria-label="Move down"
+                >
+                  &#9660;
+                </button>
+              </div>
+              <div className={styles.fieldInfo}>
+                <span className={styles.fieldLabel}>{field.label}</span>
+                <div className={styles.fieldMeta}>
+                  <span className={styles.fieldType}>{FIELD_TYPE_LABELS[field.type] || field.type}</span>
+                  {field.required && <span className={styles.fieldRequired}>Required</span>}
+                  {field.conditionalOn && (
+                    <span className={styles.fieldConditional}>Conditional</span>
+                  )}
+                </div>
+              </div>
+              <div className={styles.fieldActions}>
+                <button
+                  type="button"
+                  onClick={() => onEdit(field)}
+                  className={styles.editButton}
+                  disabled={disabled}
+                >
+                  Edit
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleDelete(field.id)}
+                  className={styles.deleteButton}
+                  disabled={disabled}
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </>
+  );
+}
+
+FormFieldList.propTypes = {
+  fields: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      label: PropTypes.string,
+      type: PropTypes.string,
+      required: PropTypes.bool,
+      order: PropTypes.number,
+      conditionalOn: PropTypes.object,
+    })
+  ),
+  onChange: PropTypes.func.isRequired,
+  onAdd: PropTypes.func.isRequired,
+  onEdit: PropTypes.func.isRequired,
+  description: PropTypes.string,
+  disabled: PropTypes.bool,
+};
+
+FormFieldList.defaultProps = {
+  fields: [],
+  description: '',
+  disabled: false,
+};
+
+export default FormFieldList;
@@ -0,0 +1,421 @@
+/**
+ * GroupDiscountRuleManager Component
+ * Manages automatic group pricing rules for church delegations.
+ *
+ * @module components/admin/GroupDiscountRuleManager
+ */
+
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { GROUP_DISCOUNT_TYPES, GROUP_DISCOUNT_TYPE_LABELS } from '../../constants';
+import { describeGroupDiscountRule } from '../../utils';
+import styles from './GroupDiscountRuleManager.module.css';
+
+/**
+ * GroupDiscountRuleManager Component
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.rules - Array of group discount rules
+ * @param {Function} props.onCreate - Callback to create a rule
+ * @param {Function} props.onUpdate - Callback to update a rule
+ * @param {Function} props.onDelete - Callback to delete a rule
+ * @param {boolean} props.isLoading - Loading state
+ * @returns {JSX.Element} The group discount rule manager
+ */
+function GroupDiscountRuleManager({ rules, onCreate, onUpdate, onDelete, isLoading }) {
+  const [editingRule, setEditingRule] = useState(null);
+  const [isCreating, setIsCreating] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const emptyRule = {
+    name: '',
+    type: GROUP_DISCOUNT_TYPES.PERCENTAGE,
+    value: '',
+    minAttendees: '',
+    isActive: true,
+  };
+
+  /**
+   * Handles creating a new rule
+   *
+   * @param {Object} ruleData - Rule data to create
+   */
+  const handleCreate = async (ruleData) => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      await onCreate(ruleData);
+      setIsCreating(false);
+    } catch (err) {
+      setError(err.message || 'Failed to create group discount rule');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Handles updating an existing rule
+   *
+   * @param {string} ruleId - Rule ID
+   * @param {Object} ruleData - Updated rule data
+   */
+  const handleUpdate = async (ruleId, ruleData) => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      await onUpdate(ruleId, ruleData);
+      setEditingRule(null);
+    } catch (err) {
+      setError(err.message || 'Failed to update group discount rule');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Handles deleting a rule
+   *
+   * @param {string} ruleId - Rule ID to delete
+   */
+  const handleDelete = async (ruleId) => {
+    if (!window.confirm('Are you sure you want to delete this group discount rule?')) {
+      return;
+    }
+
+    setError(null);
+    try {
+      await onDelete(ruleId);
+    } catch (err) {
+      setError(err.message || 'Failed to delete group discount rule');
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className={styles.container}>
+        <div className={styles.header}>
+          <h3 className={styles.title}>Group Discounts</h3>
+        </div>
+        <div className={styles.skeleton} />
+      </div>
+    );
+  }
+
+  return (
+    <div className={styles.container}>
+      <div className={styles.header}>
+        <h3 className={styles.title}>Group Discounts</h3>
+        {!isCreating && (
+          <button
+            className={styles.addButton}
+            onClick={() => setIsCreating(true)}
+          >
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <line x1="12" y1="5" x2="12" y2="19" />
+              <line x1="5" y1="12" x2="19" y2="12" />
+            </svg>
+            Add Rule
+          </button>
+        )}
+      </div>
+      <p className={styles.description}>
+        Applied automatically when one registration includes enough attendees.
+        If several rules qualify, only the one with the largest discount is applied.
+      </p>
+
+      {error && (
+        <div className={styles.errorMessage} role="alert">
+          {error}
+          <button type="button" onClick={() => setError(null)} aria-label="Dismiss">
+            &times;
+          </button>
+        </div>
+      )}
+
+      {/* Create New Rule Form */}
+      {isCreating && (
+        <RuleForm
+          rule={emptyRule}
+          onSave={handleCreate}
+          onCancel={() => setIsCreating(false)}
+          isSaving={isSaving}
+          isNew
+        />
+      )}
+
+      {/* Existing Rules */}
+      <div className={styles.ruleList}>
+        {(!rules || rules.length === 0) && !isCreating ? (
+          <div className={styles.emptyState}>
+            <p>No group discount rules configured.</p>
+            <p>Click &quot;Add Rule&quot; to create one.</p>
+          </div>
+        ) : (
+          (rules || []).map((rule) => (
+            <div key={rule.id} className={styles.ruleCard}>
+              {editingRule === rule.id ? (
+                <RuleForm
+                  rule={rule}
+                  onSave={(data) => handleUpdate(rule.id, data)}
+                  onCancel={() => setEditingRule(null)}
+                  isSaving={isSaving}
+                />
+              ) : (
+                <>
+                  <div className={styles.ruleHeader}>
+                    <div className={styles.ruleName}>
+                      {rule.name}
+                      {rule.isActive ? (
+                        <span className={styles.activeBadge}>Active</span>
+                      ) : (
+                        <span className={styles.inactiveBadge}>Disabled</span>
+                      )}
+                    </div>
+                    <div className={styles.ruleActions}>
+                      <button
+                        className={styles.editButton}
+                        onClick={() => setEditingRule(rule.id)}
+                        aria-label="Edit rule"
+                      >
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                          <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7" />
+                          <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z" />
+                        </svg>
+                      </button>
+                      <button
+                        className={styles.deleteButton}
+                        onClick={() => handleDelete(rule.id)}
+                        aria-label="Delete rule"
+                      >
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                          <polyline points="3 6 5 6 21 6" />
+                          <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2" />
+                        </svg>
+                      </button>
+                    </div>
+                  </div>
+                  <div className={styles.ruleDetails}>
+                    <div className={styles.detailRow}>
+                      <span className={styles.detailLabel}>Type:</span>
+                      <span className={styles.detailValue}>
+                        {GROUP_DISCOUNT_TYPE_LABELS[rule.type] || rule.type}
+                      </span>
+                    </div>
+                    <div className={styles.detailRow}>
+                      <span className={styles.detailLabel}>Rule:</span>
+                      <span className={styles.detailValue}>
+                        {describeGroupDiscountRule(rule)}
+                      </span>
+                    </div>
+                  </div>
+                </>
+              )}
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * RuleForm Component
+ * Form for creating/editing a group discount rule.
+ *
+ * @param {Object} props - Component props
+ */
+function RuleForm({ rule, onSave, onCancel, isSaving, isNew }) {
+  const [formData, setFormData] = useState({
+    name: rule.name || '',
+    type: rule.type || GROUP_DISCOUNT_TYPES.PERCENTAGE,
+    value: rule.value ?? '',
+    minAttendees: rule.minAttendees || '',
+    isActive: rule.isActive ?? true,
+  });
+
+  const isFreeEveryNth = formData.type === GROUP_DISCOUNT_TYPES.FREE_EVERY_NTH;
+
+  /**
+   * Handles input changes
+   *
+   * @param {Event} event - Change event
+   */
+  const handleChange = (event) => {
+    const { name, value, type, checked } = event.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value,
+    }));
+  };
+
+  /**
+   * Handles form submission
+   *
+   * @param {Event} event - Submit event
+   */
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    onSave({
+      ...formData,
+      value: isFreeEveryNth ? 0 : formData.value,
+    });
+  };
+
+  return (
+    <form className={styles.ruleForm} onSubmit={handleSubmit}>
+      <div className={styles.formGrid}>
+        <div className={styles.formField}>
+          <label htmlFor="ruleName" className={styles.formLabel}>
+            Rule Name
+          </label>
+          <input
+            type="text"
+            id="ruleName"
+            name="name"
+            value={formData.name}
+            onChange={handleChange}
+            className={styles.formInput}
+            placeholder="e.g., Church Delegation"
+            required
+          />
+        </div>
+        <div className={styles.formField}>
+          <label className={styles.checkboxLabelInline}>
+            <input
+              type="checkbox"
+              name="isActive"
+              checked={formData.isActive}
+              onChange={handleChange}
+              className={styles.checkbox}
+            />
+            <span>Enabled</span>
+          </label>
+        </div>
+        <div className={styles.formField}>
+          <label htmlFor="ruleType" className={styles.formLabel}>
+            Discount Type
+          </label>
+          <select
+            id="ruleType"
+            name="type"
+            value={formData.type}
+            onChange={handleChange}
+            className={styles.formInput}
+            required
+          >
+            {Object.entries(GROUP_DISCOUNT_TYPE_LABELS).map(([key, label]) => (
+              <option key={key} value={key}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className={styles.formField}>
+          <label htmlFor="minAttendees" className={styles.formLabel}>
+            {isFreeEveryNth ? 'Every Nth Delegate (N)' : 'Minimum Attendees'}
+          </label>
+          <input
+            type="number"
+            id="minAttendees"
+            name="minAttendees"
+            value={formData.minAttendees}
+            onChange={handleChange}
+            className={styles.formInput}
+            placeholder={isFreeEveryNth ? '10' : '5'}
+            min={isFreeEveryNth ? '2' : '1'}
+            step="1"
+            required
+          />
+          {isFreeEveryNth && (
+            <span className={styles.formHint}>
+              The lowest-priced tickets are waived first.
+            </span>
+          )}
+        </div>
+        {!isFreeEveryNth && (
+          <div className={styles.formField}>
+            <label htmlFor="ruleValue" className={styles.formLabel}>
+              {formData.type === GROUP_DISCOUNT_TYPES.PERCENTAGE
+                ? 'Percent Off'
+                : 'Amount Off per Attendee (PHP)'}
+            </label>
+            <input
+              type="number"
+              id="ruleValue"
+              name="value"
+              value={formData.value}
+              onChange={handleChange}
+              className={styles.formInput}
+              placeholder={formData.type === GROUP_DISCOUNT_TYPES.PERCENTAGE ? '10' : '100'}
+              min="0.01"
+              max={formData.type === GROUP_DISCOUNT_TYPES.PERCENTAGE ? '100' : undefined}
+              step="0.01"
+              required
+            />
+          </div>
+        )}
+      </div>
+      <div className={styles.formActions}>
+        <button
+          type="button"
+          className={styles.cancelButton}
+          onClick={onCancel}
+          disabled={isSaving}
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          className={styles.saveButton}
+          disabled={isSaving}
+        >
+          {isSaving ? 'Saving...' : isNew ? 'Create Rule' : 'Save Changes'}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+RuleForm.propTypes = {
+  rule: PropTypes.shape({
+    name: PropTypes.string,
+    type: PropTypes.string,
+    value: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    minAttendees: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    isActive: PropTypes.bool,
+  }).isRequired,
+  onSave: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+  isSaving: PropTypes.bool,
+  isNew: PropTypes.bool,
+};
+
+RuleForm.defaultProps = {
+  isSaving: false,
+  isNew: false,
+};
+
+GroupDiscountRuleManager.propTypes = {
+  rules: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      type: PropTypes.string.isRequired,
+      value: PropTypes.number,
+      minAttendees: PropTypes.number.isRequired,
+      isActive: PropTypes.bool,
+    })
+  ),
+  onCreate: PropTypes.func.isRequired,
+  onUpdate: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired,
+  isLoading: PropTypes.bool,
+};
+
+GroupDiscountRuleManager.defaultProps = {
+  rules: [],
+  isLoading: false,
+};
+
+export default GroupDiscountRuleManager;
@@ -1,21 +1,40 @@
 /**
  * InvoiceDetailModal Component
- * Modal for viewing invoice request details and managing invoice upload/delivery.
+ * Modal for viewing invoice request details and generating, voiding, and
+ * delivering the invoice/official receipt.
  *
  * @module components/admin/InvoiceDetailModal
  */
 
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
 import { httpsCallable } from 'firebase/functions';
 import { functions } from '../../lib/firebase';
-import { INVOICE_STATUS, INVOICE_STATUS_LABELS, STORAGE_PATHS } from '../../constants';
-import { updateInvoiceUpload, generateAndReserveInvoiceNumber } from '../../services';
-import { uploadInvoiceFile } from '../../services/storage';
-import { isValidInvoiceFile, formatInvoiceFileName, getFileExtension } from '../../utils';
+import {
+  INVOICE_STATUS,
+  INVOICE_STATUS_LABELS,
+  INVOICE_NUMBER_STATUS_LABELS,
+} from '../../constants';
+import {
+  INVOICE_ERROR_CODES,
+  previewInvoice,
+  generateInvoice,
+  voidAndReissueInvoice,
+  getInvoiceNumberHistory,
+} from '../../services';
 import { useAdminAuth, useToast } from '../../context';
 import styles from './InvoiceDetailModal.module.css';
 
+/**
+ * Messages for invoice service error codes
+ */
+const INVOICE_ERROR_MESSAGES = {
+  [INVOICE_ERROR_CODES.REGISTRATION_NOT_CONFIRMED]: 'Invoices can only be generated for confirmed registrations.',
+  [INVOICE_ERROR_CODES.INVALID_STATUS]: 'This invoice was already sent. Void and reissue it instead.',
+  [INVOICE_ERROR_CODES.GENERATION_FAILED]: 'Failed to generate the invoice PDF. Please try again.',
+  [INVOICE_ERROR_CODES.VOID_REASON_REQUIRED]: 'Please enter a reason for voiding this invoice.',
+};
+
 /**
  * Formats a date for display
  *
@@ -88,12 +107,31 @@ function getStatusBadgeClass(status) {
 function InvoiceDetailModal({ isOpen, onClose, registration, onInvoiceUpdated }) {
   const { admin } = useAdminAuth();
   const { showToast } = useToast();
-  const [isUploading, setIsUploading] = useState(false);
+  const [busyAction, setBusyAction] = useState(null);
   const [isSending, setIsSending] = useState(false);
-  const [uploadError, setUploadError] = useState(null);
-  const [selectedFile, setSelectedFile] = useState(null);
-  const [uploadProgress, setUploadProgress] = useState(0);
+  const [actionError, setActionError] = useState(null);
   const [showSendConfirmation, setShowSendConfirmation] = useState(false);
+  const [showVoidForm, setShowVoidForm] = useState(false);
+  const [voidReason, setVoidReason] = useState('');
+  const [numberHistory, setNumberHistory] = useState([]);
+
+  const registrationId = registration?.id;
+
+  useEffect(() => {
+    if (!isOpen || !registrationId) {
+      return;
+    }
+
+    setActionError(null);
+    setShowVoidForm(false);
+    setVoidReason('');
+    getInvoiceNumberHistory(registrationId)
+      .then(setNumberHistory)
+      .catch((error) => {
+        console.error('Failed to load invoice number history:', error);
+        setNumberHistory([]);
+      });
+  }, [isOpen, registrationId]);
 
   if (!isOpen || !registration) {
     return null;
@@ -102,90 +140,90 @@ function InvoiceDetailModal({ isOpen, onClose, registration, onInvoiceUpdated })
   const invoice = registration.invoice || {};
   const invoiceStatus = invoice.status || INVOICE_STATUS.PENDING;
   const hasInvoiceUploaded = Boolean(invoice.invoiceUrl);
+  const isBusy = busyAction !== null || isSending;
 
   /**
-   * Handles file selection
+   * Gets a display message for a failed invoice action
+   *
+   * @param {Error} error - Error thrown by the invoice service
+   * @param {string} fallback - Message when the error has no known code
+   * @returns {string} Error message
    */
-  const handleFileSelect = (e) => {
-    const file = e.target.files[0];
-    if (!file) {
-      setSelectedFile(null);
-      setUploadError(null);
-      return;
-    }
+  const getErrorMessage = (error, fallback) => (
+    INVOICE_ERROR_MESSAGES[error.message] || error.message || fallback
+  );
 
-    if (!isValidInvoiceFile(file)) {
-      setUploadError('Invalid file type. Please upload a PDF, JPEG, or PNG file.');
-      setSelectedFile(null);
-      return;
-    }
+  /**
+   * Opens a preview of the invoice without reserving a number
+   */
+  const handlePreview = async () => {
+    setBusyAction('preview');
+    setActionError(null);
 
-    if (file.size > 10 * 1024 * 1024) {
-      setUploadError('File size exceeds 10MB limit.');
-      setSelectedFile(null);
-      return;
+    try {
+      const pdf = await previewInvoice(registration);
+      window.open(pdf.output('bloburl'), '_blank', 'noopener');
+    } catch (error) {
+      console.error('Failed to preview invoice:', error);
+      setActionError(getErrorMessage(error, 'Failed to preview invoice. Please try again.'));
+    } finally {
+      setBusyAction(null);
     }
-
-    setSelectedFile(file);
-    setUploadError(null);
   };
 
   /**
-   * Handles invoice upload
+   * Generates or regenerates the invoice PDF
    */
-  const handleUploadInvoice = async () => {
-    if (!selectedFile) {
-      setUploadError('Please select a file to upload.');
-      return;
-    }
-
-    setIsUploading(true);
-    setUploadError(null);
-    setUploadProgress(0);
+  const handleGenerate = async () => {
+    setBusyAction('generate');
+    setActionError(null);
 
     try {
-      // Generate invoice number if not already exists
-      let invoiceNumber = invoice.invoiceNumber;
-      if (!invoiceNumber) {
-        invoiceNumber = await generateAndReserveInvoiceNumber(registration.id);
+      const { invoiceNumber } = await generateInvoice(registration.id, admin?.id, admin?.email);
+
+      if (onInvoiceUpdated) {
+        onInvoiceUpdated();
       }
 
-      // Upload file to storage
-      const extension = getFileExtension(selectedFile.name);
-      const fileName = formatInvoiceFileName(registration.registrationId, invoiceNumber, extension);
-      const storagePath = `${STORAGE_PATHS.INVOICES}/${fileName}`;
+      showToast(
+        `Invoice ${hasInvoiceUploaded ? 'regenerated' : 'generated'} successfully! Invoice Number: ${invoiceNumber}`,
+        'success'
+      );
+      onClose();
+    } catch (error) {
+      console.error('Failed to generate invoice:', error);
+      setActionError(getErrorMessage(error, 'Failed to generate invoice. Please try again.'));
+    } finally {
+      setBusyAction(null);
+    }
+  };
 
-      const invoiceUrl = await uploadInvoiceFile(selectedFile, storagePath, (progress) => {
-        setUploadProgress(progress);
-      });
+  /**
+   * Voids the current invoice and issues a replacement number
+   */
+  const handleVoidAndReissue = async () => {
+    setBusyAction('void');
+    setActionError(null);
 
-      // Update Firestore with invoice details
-      await updateInvoiceUpload(
+    try {
+      const { invoiceNumber } = await voidAndReissueInvoice(
         registration.id,
-        {
-          invoiceUrl,
-          invoiceNumber,
-        },
-        admin.email
+        voidReason,
+        admin?.id,
+        admin?.email
       );
 
-      // Notify parent component
       if (onInvoiceUpdated) {
         onInvoiceUpdated();
       }
 
-      // Reset form
-      setSelectedFile(null);
-      setUploadProgress(0);
-
-      // Show success toast
-      showToast(`Invoice uploaded successfully! Invoice Number: ${invoiceNumber}`, 'success');
+      showToast(`Invoice ${invoice.invoiceNumber} voided and reissued as ${invoiceNumber}.`, 'success');
       onClose();
     } catch (error) {
-      console.error('Failed to upload invoice:', error);
-      setUploadError(error.message || 'Failed to upload invoice. Please try again.');
+      console.error('Failed to void and reissue invoice:', error);
+      setActionError(getErrorMessage(error, 'Failed to void and reissue invoice. Please try again.'));
     } finally {
-      setIsUploading(false);
+      setBusyAction(null);
     }
   };
 
@@ -194,7 +232,7 @@ function InvoiceDetailModal({ isOpen, onClose, registration, onInvoiceUpdated })
    */
   const handleSendInvoice = () => {
     if (!hasInvoiceUploaded) {
-      setUploadError('Please upload an invoice first.');
+      setActionError('Please generate the invoice first.');
       return;
     }
     setShowSendConfirmation(true);
@@ -213,7 +251,7 @@ function InvoiceDetailModal({ isOpen, onClose, registration, onInvoiceUpdated })
   const handleConfirmSendInvoice = async () => {
     setShowSendConfirmation(false);
     setIsSending(true);
-    setUploadError(null);
+    setActionError(null);
 
     try {
       // Call Cloud Function to send invoice email
@@ -245,7 +283,7 @@ function InvoiceDetailModal({ isOpen, onClose, registration, onInvoiceUpdated })
         errorMessage = error.message;
       }
 
-      setUploadError(errorMessage);
+      setActionError(errorMessage);
     } finally {
       setIsSending(false);
     }
@@ -295,6 +333,28 @@ function InvoiceDetailModal({ isOpen, onClose, registration, onInvoiceUpdated })
                 <span className={styles.label}>Email:</span>
                 <span className={styles.value}>{registration.primaryAttendee.email}</span>
               </div>
+              {(registration.discountAmount > 0 || registration.groupDiscountAmount > 0) && (
+                <div className={styles.infoItem}>
+                  <span className={styles.label}>Subtotal:</span>
+                  <span className={styles.value}>{formatCurrency(registration.subtotalAmount)}</span>
+                </div>
+              )}
+              {registration.discountAmount > 0 && (
+                <div className={styles.infoItem}>
+                  <span className={styles.label}>
+                    Promo Discount{registration.promo?.code ? ` (${registration.promo.code})` : ''}:
+                  </span>
+                  <span className={styles.value}>-{formatCurrency(registration.discountAmount)}</span>
+                </div>
+              )}
+              {registration.groupDiscountAmount > 0 && (
+                <div className={styles.infoItem}>
+                  <span className={styles.label}>
+                    Group Discount{registration.groupDiscount?.name ? ` (${registration.groupDiscount.name})` : ''}:
+                  </span>
+                  <span className={styles.value}>-{formatCurrency(registration.groupDiscountAmount)}</span>
+                </div>
+              )}
               <div className={styles.infoItem}>
                 <span className={styles.label}>Amount Paid:</span>
                 <span className={styles.value}>{formatCurrency(registration.payment?.amountPaid)}</span>
@@ -341,29 +401,86 @@ function InvoiceDetailModal({ isOpen, onClose, registration, onInvoiceUpdated })
             </div>
           </section>
 
-          {/* Invoice Upload/Management */}
+          {/* Invoice Generation/Management */}
           <section className={styles.section}>
             <h3>Invoice Management</h3>
 
             {hasInvoiceUploaded ? (
               <div className={styles.uploadedInvoice}>
                 <p className={styles.successMessage}>
-                  ✓ Invoice uploaded: {invoice.invoiceNumber}
+                  ✓ Invoice generated: {invoice.invoiceNumber}
                 </p>
-                <a
-                  href={invoice.invoiceUrl}
-                  target="_blank"
-                  rel="noopener noreferrer"
-                  className={styles.viewInvoiceLink}
-                >
-                  View Invoice
-                </a>
-
-                {invoiceStatus !== INVOICE_STATUS.SENT && !showSendConfirmation && (
+                <div className={styles.actionRow}>
+                  <a
+                    href={invoice.invoiceUrl}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className={styles.viewInvoiceLink}
+                  >
+                    View Invoice
+                  </a>
+                  {invoiceStatus !== INVOICE_STATUS.SENT && (
+                    <button
+                      type="button"
+                      onClick={handleGenerate}
+                      disabled={isBusy}
+                      className={styles.secondaryButton}
+                    >
+                      {busyAction === 'generate' ? 'Regenerating...' : 'Regenerate'}
+                    </button>
+                  )}
+                  {!showVoidForm && (
+                    <button
+                      type="button"
+                      onClick={() => setShowVoidForm(true)}
+                      disabled={isBusy}
+                      className={styles.voidButton}
+                    >
+                      Void &amp; Reissue
+                    </button>
+                  )}
+                </div>
+
+                {showVoidForm && (
+                  <div className={styles.confirmationPrompt}>
+                    <label htmlFor="invoice-void-reason" className={styles.confirmationMessage}>
+                      Void {invoice.invoiceNumber} and issue a new number?
+                    </label>
+                    <textarea
+                      id="invoice-void-reason"
+                      value={voidReason}
+                      onChange={(e) => setVoidReason(e.target.value)}
+                      className={styles.reasonInput}
+                      placeholder="Reason (e.g., wrong TIN on the invoice)"
+                      rows={2}
+                      disabled={isBusy}
+                    />
+                    <div className={styles.confirmationActions}>
+                      <button
+                        type="button"
+                        onClick={() => setShowVoidForm(false)}
+                        className={styles.cancelButton}
+                        disabled={isBusy}
+                      >
+                        Cancel
+                      </button>
+                      <button
+                        type="button"
+                        onClick={handleVoidAndReissue}
+                        className={styles.confirmButton}
+                        disabled={isBusy || !voidReason.trim()}
+                      >
+                        {busyAction === 'void' ? 'Reissuing...' : 'Void & Reissue'}
+                      </button>
+                    </div>
+                  </div>
+                )}
+
+                {invoiceStatus !== INVOICE_STATUS.SENT && !showSendConfirmation && !showVoidForm && (
                   <button
                     type="button"
                     onClick={handleSendInvoice}
-                    disabled={isSending}
+                    disabled={isBusy}
                     className={styles.sendButton}
                   >
                     {isSending ? 'Sending...' : 'Send Invoice via Email'}
@@ -405,49 +522,81 @@ function InvoiceDetailModal({ isOpen, onClose, registration, onInvoiceUpdated })
             ) : (
               <div className={styles.uploadSection}>
                 <p className={styles.uploadInstructions}>
-                  Upload the invoice file (PDF, JPEG, or PNG). Max size: 10MB.
+                  The invoice is generated from this registration&apos;s pricing and the
+                  invoice details above. Preview it first, then generate to reserve an
+                  invoice number.
                 </p>
 
-                <input
-                  type="file"
-                  accept="application/pdf,image/jpeg,image/png"
-                  onChange={handleFileSelect}
-                  disabled={isUploading}
-                  className={styles.fileInput}
-                  id="invoice-file-input"
-                />
-
-                {selectedFile && (
-                  <p className={styles.selectedFile}>
-                    Selected: {selectedFile.name} ({(selectedFile.size / 1024).toFixed(2)} KB)
-                  </p>
-                )}
-
-                {uploadProgress > 0 && uploadProgress < 100 && (
-                  <div className={styles.progressBar}>
-                    <div
-                      className={styles.progressFill}
-                      style={{ width: `${uploadProgress}%` }}
-                    />
-                    <span className={styles.progressText}>{uploadProgress}%</span>
-                  </div>
-                )}
-
-                <button
-                  type="button"
-                  onClick={handleUploadInvoice}
-                  disabled={!selectedFile || isUploading}
-                  className={styles.uploadButton}
-                >
-                  {isUploading ? `Uploading... ${uploadProgress}%` : 'Upload Invoice'}
-                </button>
+                <div className={styles.actionRow}>
+                  <button
+                    type="button"
+                    onClick={handlePreview}
+                    disabled={isBusy}
+                    className={styles.secondaryButton}
+                  >
+                    {busyAction === 'preview' ? 'Generating...' : 'Preview'}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={handleGenerate}
+                    disabled={isBusy}
+                    className={styles.uploadButton}
+                  >
+                    {busyAction === 'generate' ? 'Generating...' : 'Generate Invoice'}
+                  </button>
+                </div>
               </div>
             )}
 
-            {uploadError && (
-              <p className={styles.errorMessage}>{uploadError}</p>
+            {actionError && (
+              <p className={styles.errorMessage}>{actionError}</p>
             )}
           </section>
+
+          {/* Invoice Number Audit */}
+          {numberHistory.length > 0 && (
+            <section className={styles.section}>
+              <h3>Invoice Number History</h3>
+              <table className={styles.historyTable}>
+                <thead>
+                  <tr>
+                    <th>Number</th>
+                    <th>Status</th>
+                    <th>Date</th>
+                    <th>Details</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {numberHistory.map((entry) => {
+                    const voidedCopy = (invoice.voidedInvoices || []).find(
+                      (voided) => voided.invoiceNumber === entry.invoiceNumber
+                    );
+                    return (
+                      <tr key={entry.id}>
+                        <td>
+                          {voidedCopy?.invoiceUrl ? (
+                            <a href={voidedCopy.invoiceUrl} target="_blank" rel="noopener noreferrer">
+                              {entry.invoiceNumber}
+                            </a>
+                          ) : entry.invoiceNumber}
+                        </td>
+                        <td>{INVOICE_NUMBER_STATUS_LABELS[entry.status] || entry.status}</td>
+                        <td>{formatDate(entry.voidedAt || entry.issuedAt || entry.reservedAt)}</td>
+                        <td>
+                          <div className={styles.historyDetails}>
+                            {entry.voidReason && <span>{entry.voidReason}</span>}
+                            {entry.replacedBy && <span>Replaced by {entry.replacedBy}</span>}
+                            {entry.replaces && <span>Replaces {entry.replaces}</span>}
+                            <span>{entry.voidedBy || entry.issuedBy || entry.reservedBy || ''}</span>
+                          </div>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </section>
+          )}
         </div>
 
         <div className={styles.footer}>
@@ -476,6 +625,15 @@ InvoiceDetailModal.propTypes = {
       lastName: PropTypes.string.isRequired,
       email: PropTypes.string.isRequired,
     }).isRequired,
+    subtotalAmount: PropTypes.number,
+    discountAmount: PropTypes.number,
+    promo: PropTypes.shape({
+      code: PropTypes.string,
+    }),
+    groupDiscountAmount: PropTypes.number,
+    groupDiscount: PropTypes.shape({
+      name: PropTypes.string,
+    }),
     payment: PropTypes.shape({
       amountPaid: PropTypes.number,
       verifiedAt: PropTypes.object,
@@ -488,6 +646,10 @@ InvoiceDetailModal.propTypes = {
       invoiceUrl: PropTypes.string,
       status: PropTypes.string,
       sentAt: PropTypes.object,
+      voidedInvoices: PropTypes.arrayOf(PropTypes.shape({
+        invoiceNumber: PropTypes.string,
+        invoiceUrl: PropTypes.string,
+      })),
     }),
   }),
   onInvoiceUpdated: PropTypes.func,
@@ -0,0 +1,599 @@
+/**
+ * RefundDetailModal Component
+ * Modal for reviewing a refund request, approving or rejecting it, and
+ * recording the payout once it has been sent.
+ *
+ * @module components/admin/RefundDetailModal
+ */
+
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import {
+  REFUND_STATUS,
+  REFUND_STATUS_LABELS,
+  REFUND_PAYOUT_METHODS,
+  REFUND_PAYOUT_METHOD_LABELS,
+  REGISTRATION_STATUS_LABELS,
+} from '../../constants';
+import {
+  REFUND_ERROR_CODES,
+  approveRefund,
+  rejectRefund,
+  completeRefund,
+} from '../../services';
+import { uploadRefundProof } from '../../services/storage';
+import { useAdminAuth, useToast } from '../../context';
+import styles from './RefundDetailModal.module.css';
+
+/**
+ * Messages for refund service error codes
+ */
+const REFUND_ERROR_MESSAGES = {
+  [REFUND_ERROR_CODES.INVALID_STATUS]: 'This refund has already been updated. Refresh the list and try again.',
+  [REFUND_ERROR_CODES.SAME_ADMIN]: 'A refund must be approved by a different admin than the one who requested it.',
+  [REFUND_ERROR_CODES.REASON_REQUIRED]: 'Please enter a reason.',
+  [REFUND_ERROR_CODES.PAYOUT_DETAILS_REQUIRED]: 'Please enter the account number and payout reference.',
+};
+
+/**
+ * Initial payout form values
+ */
+const INITIAL_PAYOUT = {
+  method: REFUND_PAYOUT_METHODS.GCASH,
+  accountName: '',
+  accountNumber: '',
+  bankName: '',
+  referenceNumber: '',
+};
+
+/**
+ * Formats a date for display
+ *
+ * @param {Object|string|Date} date - Date to format
+ * @returns {string} Formatted date string
+ */
+function formatDate(date) {
+  if (!date) {
+    return '—';
+  }
+
+  const d = date?.toDate?.() || (date instanceof Date ? date : new Date(date));
+  if (Number.isNaN(d.getTime())) {
+    return '—';
+  }
+
+  return d.toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+/**
+ * Formats currency for display
+ *
+ * @param {number} amount - Amount to format
+ * @returns {string} Formatted currency string
+ */
+function formatCurrency(amount) {
+  if (typeof amount !== 'number') {
+    return '—';
+  }
+  return `₱${amount.toLocaleString()}`;
+}
+
+/**
+ * Gets status badge class
+ *
+ * @param {string} status - Refund status
+ * @returns {string} CSS class name
+ */
+function getStatusBadgeClass(status) {
+  switch (status) {
+    case REFUND_STATUS.APPROVED:
+      return styles.statusApproved;
+    case REFUND_STATUS.COMPLETED:
+      return styles.statusCompleted;
+    case REFUND_STATUS.REJECTED:
+      return styles.statusRejected;
+    default:
+      return styles.statusRequested;
+  }
+}
+
+/**
+ * Refund Detail Modal Component
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether modal is open
+ * @param {Function} props.onClose - Close handler
+ * @param {Object} props.registration - Registration object with a refund record
+ * @param {Function} props.onRefundUpdated - Callback after refund update
+ * @returns {JSX.Element|null} The modal component
+ */
+function RefundDetailModal({ isOpen, onClose, registration, onRefundUpdated }) {
+  const { admin } = useAdminAuth();
+  const { showToast } = useToast();
+  const [busyAction, setBusyAction] = useState(null);
+  const [actionError, setActionError] = useState(null);
+  const [showRejectForm, setShowRejectForm] = useState(false);
+  const [rejectReason, setRejectReason] = useState('');
+  const [payout, setPayout] = useState(INITIAL_PAYOUT);
+  const [proofFile, setProofFile] = useState(null);
+  const [uploadProgress, setUploadProgress] = useState(0);
+
+  const registrationId = registration?.id;
+
+  useEffect(() => {
+    if (!isOpen || !registrationId) {
+      return;
+    }
+
+    setActionError(null);
+    setShowRejectForm(false);
+    setRejectReason('');
+    setPayout(INITIAL_PAYOUT);
+    setProofFile(null);
+    setUploadProgress(0);
+  }, [isOpen, registrationId]);
+
+  if (!isOpen || !registration) {
+    return null;
+  }
+
+  const refund = registration.refund || {};
+  const isBusy = busyAction !== null;
+  const isRequester = Boolean(admin?.id) && refund.requestedBy === admin.id;
+
+  /**
+   * Gets a display message for a failed refund action
+   *
+   * @param {Error} error - Error thrown by the refunds service
+   * @param {string} fallback - Message when the error has no known code
+   * @returns {string} Error message
+   */
+  const getErrorMessage = (error, fallback) => (
+    REFUND_ERROR_MESSAGES[error.message] || error.message || fallback
+  );
+
+  /**
+   * Runs a refund action, then refreshes the list and closes the modal
+   *
+   * @param {string} action - Busy action key
+   * @param {Function} run - Async action to perform
+   * @param {string} successMessage - Toast message on success
+   * @param {string} fallbackError - Message when the action fails without a known code
+   */
+  const runAction = async (action, run, successMessage, fallbackError) => {
+    setBusyAction(action);
+    setActionError(null);
+
+    try {
+      await run();
+
+      if (onRefundUpdated) {
+        onRefundUpdated();
+      }
+
+      showToast(successMessage, 'success');
+      onClose();
+    } catch (error) {
+      console.error(`Failed to ${action} refund:`, error);
+      setActionError(getErrorMessage(error, fallbackError));
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  /**
+   * Approves the refund request
+   */
+  const handleApprove = () => runAction(
+    'approve',
+    () => approveRefund(registration.id, admin?.id, admin?.email),
+    'Refund approved. Record the payout once it has been sent.',
+    'Failed to approve refund. Please try again.'
+  );
+
+  /**
+   * Rejects the refund request
+   */
+  const handleReject = () => runAction(
+    'reject',
+    () => rejectRefund(registration.id, rejectReason, admin?.id, admin?.email),
+    'Refund request rejected.',
+    'Failed to reject refund. Please try again.'
+  );
+
+  /**
+   * Uploads the payout proof and marks the refund completed
+   */
+  const handleComplete = () => runAction(
+    'complete',
+    async () => {
+      const proofUrl = proofFile
+        ? await uploadRefundProof(proofFile, registration.id, setUploadProgress)
+        : null;
+      await completeRefund(registration.id, { ...payout, proofUrl }, admin?.id, admin?.email);
+    },
+    'Refund payout recorded. Registration marked as refunded.',
+    'Failed to record refund payout. Please try again.'
+  );
+
+  /**
+   * Handles payout form input changes
+   */
+  const handlePayoutChange = (event) => {
+    const { name, value } = event.target;
+    setPayout((prev) => ({ ...prev, [name]: value }));
+  };
+
+  return (
+    <div className={styles.overlay} onClick={onClose} role="presentation">
+      <div
+        className={styles.modal}
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="refund-modal-title"
+      >
+        <div className={styles.header}>
+          <h2 id="refund-modal-title">Refund Details</h2>
+          <button
+            className={styles.closeButton}
+            onClick={onClose}
+            aria-label="Close modal"
+            type="button"
+          >
+            ×
+          </button>
+        </div>
+
+        <div className={styles.content}>
+          {/* Registration Information */}
+          <section className={styles.section}>
+            <h3>Registration Information</h3>
+            <div className={styles.infoGrid}>
+              <div className={styles.infoItem}>
+                <span className={styles.label}>Registration ID:</span>
+                <span className={styles.value}>{registration.registrationId}</span>
+              </div>
+              <div className={styles.infoItem}>
+                <span className={styles.label}>Registration Status:</span>
+                <span className={styles.value}>
+                  {REGISTRATION_STATUS_LABELS[registration.status] || registration.status}
+                </span>
+              </div>
+              <div className={styles.infoItem}>
+                <span className={styles.label}>Attendee:</span>
+                <span className={styles.value}>
+                  {registration.primaryAttendee?.firstName} {registration.primaryAttendee?.lastName}
+                </span>
+              </div>
+              <div className={styles.infoItem}>
+                <span className={styles.label}>Email:</span>
+                <span className={styles.value}>{registration.primaryAttendee?.email}</span>
+              </div>
+              <div className={styles.infoItem}>
+                <span className={styles.label}>Amount Paid:</span>
+                <span className={styles.value}>{formatCurrency(registration.payment?.amountPaid)}</span>
+              </div>
+              <div className={styles.infoItem}>
+                <span className={styles.label}>Cancelled:</span>
+                <span className={styles.value}>{formatDate(registration.cancellation?.cancelledAt)}</span>
+              </div>
+            </div>
+          </section>
+
+          {/* Refund Request */}
+          <section className={styles.section}>
+            <h3>Refund Request</h3>
+            <div className={styles.infoGrid}>
+              <div className={styles.infoItem}>
+                <span className={styles.label}>Status:</span>
+                <span className={`${styles.statusBadge} ${getStatusBadgeClass(refund.status)}`}>
+                  {REFUND_STATUS_LABELS[refund.status] || refund.status}
+                </span>
+              </div>
+              <div className={styles.infoItem}>
+                <span className={styles.label}>Refund Amount:</span>
+                <span className={styles.value}>{formatCurrency(refund.amount)}</span>
+              </div>
+              <div className={styles.infoItem}>
+                <span className={styles.label}>Policy Suggestion:</span>
+                <span className={styles.value}>
+                  {formatCurrency(refund.suggestedAmount)}
+                  {typeof refund.percent === 'number' ? ` (${refund.percent}%)` : ''}
+                </span>
+              </div>
+              <div className={styles.infoItem}>
+                <span className={styles.label}>Requested:</span>
+                <span className={styles.value}>
+                  {formatDate(refund.requestedAt)} by {refund.requestedByEmail || 'Unknown'}
+                </span>
+              </div>
+              <div className={styles.infoItem}>
+                <span className={styles.label}>Reason:</span>
+                <span className={styles.value}>{refund.reason || '—'}</span>
+              </div>
+              {refund.overrideReason && (
+                <div className={styles.infoItem}>
+                  <span className={styles.label}>Override Reason:</span>
+                  <span className={styles.value}>{refund.overrideReason}</span>
+                </div>
+              )}
+              {refund.approvedAt && (
+                <div className={styles.infoItem}>
+                  <span className={styles.label}>Approved:</span>
+                  <span className={styles.value}>
+                    {formatDate(refund.approvedAt)} by {refund.approvedByEmail || 'Unknown'}
+                  </span>
+                </div>
+              )}
+              {refund.rejectedAt && (
+                <div className={styles.infoItem}>
+                  <span className={styles.label}>Rejected:</span>
+                  <span className={styles.value}>
+                    {formatDate(refund.rejectedAt)} by {refund.rejectedByEmail || 'Unknown'}
+                    {refund.rejectionReason ? ` — ${refund.rejectionReason}` : ''}
+                  </span>
+                </div>
+              )}
+            </div>
+          </section>
+
+          {/* Approval */}
+          {refund.status === REFUND_STATUS.REQUESTED && (
+            <section className={styles.section}>
+              <h3>Approval</h3>
+              {isRequester && (
+                <p className={styles.hint}>
+                  You requested this refund. Another finance admin needs to approve it.
+                </p>
+              )}
+
+              {!showRejectForm ? (
+                <div className={styles.actionRow}>
+                  <button
+                    type="button"
+                    onClick={handleApprove}
+                    disabled={isBusy || isRequester}
+                    className={styles.primaryButton}
+                  >
+                    {busyAction === 'approve' ? 'Approving...' : 'Approve Refund'}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setShowRejectForm(true)}
+                    disabled={isBusy}
+                    className={styles.rejectButton}
+                  >
+                    Reject
+                  </button>
+                </div>
+              ) : (
+                <div className={styles.confirmationPrompt}>
+                  <label htmlFor="refund-reject-reason" className={styles.confirmationMessage}>
+                    Reject this refund request?
+                  </label>
+                  <textarea
+                    id="refund-reject-reason"
+                    value={rejectReason}
+                    onChange={(e) => setRejectReason(e.target.value)}
+                    className={styles.textarea}
+                    placeholder="Reason (e.g., outside the refund window)"
+                    rows={2}
+                    disabled={isBusy}
+                  />
+                  <div className={styles.confirmationActions}>
+                    <button
+                      type="button"
+                      onClick={() => setShowRejectForm(false)}
+                      className={styles.cancelButton}
+                      disabled={isBusy}
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      type="button"
+                      onClick={handleReject}
+                      className={styles.rejectButton}
+                      disabled={isBusy || !rejectReason.trim()}
+                    >
+                      {busyAction === 'reject' ? 'Rejecting...' : 'Reject Refund'}
+                    </button>
+                  </div>
+                </div>
+              )}
+            </section>
+          )}
+
+          {/* Payout Form */}
+          {refund.status === REFUND_STATUS.APPROVED && (
+            <section className={styles.section}>
+              <h3>Record Payout</h3>
+              <div className={styles.formGrid}>
+                <div className={styles.formGroup}>
+                  <label htmlFor="refund-method" className={styles.label}>Payout Method *</label>
+                  <select
+                    id="refund-method"
+                    name="method"
+                    value={payout.method}
+                    onChange={handlePayoutChange}
+                    className={styles.input}
+                    disabled={isBusy}
+                  >
+                    {Object.values(REFUND_PAYOUT_METHODS).map((method) => (
+                      <option key={method} value={method}>{REFUND_PAYOUT_METHOD_LABELS[method]}</option>
+                    ))}
+                  </select>
+                </div>
+                {payout.method === REFUND_PAYOUT_METHODS.BANK_TRANSFER && (
+                  <div className={styles.formGroup}>
+                    <label htmlFor="refund-bank" className={styles.label}>Bank</label>
+                    <input
+                      id="refund-bank"
+                      type="text"
+                      name="bankName"
+                      value={payout.bankName}
+                      onChange={handlePayoutChange}
+                      className={styles.input}
+                      placeholder="e.g., BDO"
+                      disabled={isBusy}
+                    />
+                  </div>
+                )}
+                <div className={styles.formGroup}>
+                  <label htmlFor="refund-account-name" className={styles.label}>Account Name</label>
+                  <input
+                    id="refund-account-name"
+                    type="text"
+                    name="accountName"
+                    value={payout.accountName}
+                    onChange={handlePayoutChange}
+                    className={styles.input}
+                    disabled={isBusy}
+                  />
+                </div>
+                <div className={styles.formGroup}>
+                  <label htmlFor="refund-account-number" className={styles.label}>
+                    {payout.method === REFUND_PAYOUT_METHODS.GCASH ? 'GCash Number *' : 'Account Number *'}
+                  </label>
+                  <input
+                    id="refund-account-number"
+                    type="text"
+                    name="accountNumber"
+                    value={payout.accountNumber}
+                    onChange={handlePayoutChange}
+                    className={styles.input}
+                    disabled={isBusy}
+                  />
+                </div>
+                <div className={styles.formGroup}>
+                  <label htmlFor="refund-reference" className={styles.label}>Payout Reference *</label>
+                  <input
+                    id="refund-reference"
+                    type="text"
+                    name="referenceNumber"
+                    value={payout.referenceNumber}
+                    onChange={handlePayoutChange}
+                    className={styles.input}
+                    placeholder="Transaction reference number"
+                    disabled={isBusy}
+                  />
+                </div>
+                <div className={styles.formGroup}>
+                  <label htmlFor="refund-proof" className={styles.label}>Proof of Payout</label>
+                  <input
+                    id="refund-proof"
+                    type="file"
+                    accept="application/pdf,image/jpeg,image/png"
+                    onChange={(e) => setProofFile(e.target.files[0] || null)}
+                    className={styles.fileInput}
+                    disabled={isBusy}
+                  />
+                  {busyAction === 'complete' && proofFile && (
+                    <span className={styles.hint}>Uploading... {Math.round(uploadProgress)}%</span>
+                  )}
+                </div>
+              </div>
+              <div className={styles.actionRow}>
+                <button
+                  type="button"
+                  onClick={handleComplete}
+                  disabled={isBusy || !payout.accountNumber.trim() || !payout.referenceNumber.trim()}
+                  className={styles.primaryButton}
+                >
+                  {busyAction === 'complete' ? 'Saving...' : `Mark ${formatCurrency(refund.amount)} as Paid Out`}
+                </button>
+              </div>
+            </section>
+          )}
+
+          {/* Completed Payout */}
+          {refund.status === REFUND_STATUS.COMPLETED && (
+            <section className={styles.section}>
+              <h3>Payout</h3>
+              <div className={styles.infoGrid}>
+                <div className={styles.infoItem}>
+                  <span className={styles.label}>Method:</span>
+                  <span className={styles.value}>
+                    {REFUND_PAYOUT_METHOD_LABELS[refund.method] || refund.method}
+                    {refund.bankName ? ` (${refund.bankName})` : ''}
+                  </span>
+                </div>
+                <div className={styles.infoItem}>
+                  <span className={styles.label}>Account:</span>
+                  <span className={styles.value}>
+                    {[refund.accountName, refund.accountNumber].filter(Boolean).join(' — ') || '—'}
+                  </span>
+                </div>
+                <div className={styles.infoItem}>
+                  <span className={styles.label}>Reference:</span>
+                  <span className={styles.value}>{refund.referenceNumber || '—'}</span>
+                </div>
+                <div className={styles.infoItem}>
+                  <span className={styles.label}>Paid Out:</span>
+                  <span className={styles.value}>
+                    {formatDate(refund.processedAt)} by {refund.processedBy || 'Unknown'}
+                  </span>
+                </div>
+                {refund.proofUrl && (
+                  <div className={styles.infoItem}>
+                    <span className={styles.label}>Proof:</span>
+                    <a
+                      href={refund.proofUrl}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className={styles.link}
+                    >
+                      View Proof of Payout
+                    </a>
+                  </div>
+                )}
+              </div>
+            </section>
+          )}
+
+          {actionError && (
+            <p className={styles.errorMessage}>{actionError}</p>
+          )}
+        </div>
+
+        <div className={styles.footer}>
+          <button
+            type="button"
+            onClick={onClose}
+            className={styles.closeButtonFooter}
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+RefundDetailModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  registration: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    registrationId: PropTypes.string,
+    status: PropTypes.string,
+    primaryAttendee: PropTypes.object,
+    payment: PropTypes.object,
+    cancellation: PropTypes.object,
+    refund: PropTypes.object,
+  }),
+  onRefundUpdated: PropTypes.func,
+};
+
+RefundDetailModal.defaultProps = {
+  registration: null,
+  onRefundUpdated: null,
+};
+
+export default RefundDetailModal;
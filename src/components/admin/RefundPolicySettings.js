@@ -26,6 +26,9 @@ const DEFAULT_REFUND_POLICY = {
   // Transfer policy
   transferEnabled: true,
   transferDeadlineDays: 3,
+  // Registration details edit policy
+  detailsEditEnabled: true,
+  detailsEditDeadlineDays: 3,
 };
 
 /**
@@ -51,6 +54,8 @@ function RefundPolicySettings({ settings, onSave, isLoading }) {
       userCancellationEnabled: settings?.refundPolicy?.userCancellationEnabled ?? DEFAULT_REFUND_POLICY.userCancellationEnabled,
       transferEnabled: settings?.refundPolicy?.transferEnabled ?? DEFAULT_REFUND_POLICY.transferEnabled,
       transferDeadlineDays: settings?.refundPolicy?.transferDeadlineDays ?? DEFAULT_REFUND_POLICY.transferDeadlineDays,
+      detailsEditEnabled: settings?.refundPolicy?.detailsEditEnabled ?? DEFAULT_REFUND_POLICY.detailsEditEnabled,
+      detailsEditDeadlineDays: settings?.refundPolicy?.detailsEditDeadlineDays ?? DEFAULT_REFUND_POLICY.detailsEditDeadlineDays,
     },
   });
   const [isSaving, setIsSaving] = useState(false);
@@ -75,6 +80,8 @@ function RefundPolicySettings({ settings, onSave, isLoading }) {
           userCancellationEnabled: settings.refundPolicy?.userCancellationEnabled ?? DEFAULT_REFUND_POLICY.userCancellationEnabled,
           transferEnabled: settings.refundPolicy?.transferEnabled ?? DEFAULT_REFUND_POLICY.transferEnabled,
           transferDeadlineDays: settings.refundPolicy?.transferDeadlineDays ?? DEFAULT_REFUND_POLICY.transferDeadlineDays,
+          detailsEditEnabled: settings.refundPolicy?.detailsEditEnabled ?? DEFAULT_REFUND_POLICY.detailsEditEnabled,
+          detailsEditDeadlineDays: settings.refundPolicy?.detailsEditDeadlineDays ?? DEFAULT_REFUND_POLICY.detailsEditDeadlineDays,
         },
       });
     }
@@ -340,6 +347,54 @@ function RefundPolicySettings({ settings, onSave, isLoading }) {
             </div>
           )}
 
+          <div className={styles.fieldFull}>
+            <label className={styles.checkboxLabel}>
+              <input
+                type="checkbox"
+                checked={formData.refundPolicy.detailsEditEnabled}
+                onChange={(e) => {
+                  setFormData((prev) => ({
+                    ...prev,
+                    refundPolicy: { ...prev.refundPolicy, detailsEditEnabled: e.target.checked },
+                  }));
+                }}
+                className={styles.checkbox}
+              />
+              <span>Allow Editing Registration Details</span>
+            </label>
+            <p className={styles.fieldHint}>
+              When enabled, attendees can correct names, ministry roles, workshop selections and food choices
+              from the registration status page after confirming a code sent to their email.
+            </p>
+          </div>
+
+          {formData.refundPolicy.detailsEditEnabled && (
+            <div className={styles.field}>
+              <label htmlFor="refundPolicy.detailsEditDeadlineDays" className={styles.label}>
+                Edit Deadline (Days Before Event)
+              </label>
+              <input
+                type="number"
+                id="refundPolicy.detailsEditDeadlineDays"
+                name="refundPolicy.detailsEditDeadlineDays"
+                value={formData.refundPolicy.detailsEditDeadlineDays ?? ''}
+                onChange={(e) => {
+                  const value = e.target.value === '' ? null : parseInt(e.target.value, 10);
+                  setFormData((prev) => ({
+                    ...prev,
+                    refundPolicy: { ...prev.refundPolicy, detailsEditDeadlineDays: value },
+                  }));
+                }}
+                className={styles.input}
+                placeholder="3"
+                min="0"
+              />
+              <p className={styles.fieldHint}>
+                Minimum days before the event that details can be edited. Set to 0 to allow edits anytime.
+              </p>
+            </div>
+          )}
+
           {/* Summary Box */}
           <div className={styles.fieldFull} style={{ marginTop: '1rem' }}>
             <div style={{
@@ -362,6 +417,13 @@ function RefundPolicySettings({ settings, onSave, isLoading }) {
                       : 'Enabled (anytime)')
                     : 'Disabled'}
                 </li>
+                <li>
+                  Editing details: {formData.refundPolicy.detailsEditEnabled
+                    ? (formData.refundPolicy.detailsEditDeadlineDays > 0
+                      ? `Enabled (until ${formData.refundPolicy.detailsEditDeadlineDays} days before event)`
+                      : 'Enabled (anytime)')
+                    : 'Disabled'}
+                </li>
               </ul>
             </div>
           </div>
@@ -410,6 +472,8 @@ RefundPolicySettings.propTypes = {
       userCancellationEnabled: PropTypes.bool,
       transferEnabled: PropTypes.bool,
       transferDeadlineDays: PropTypes.number,
+      detailsEditEnabled: PropTypes.bool,
+      detailsEditDeadlineDays: PropTypes.number,
     }),
   }),
   onSave: PropTypes.func.isRequired,
@@ -11,6 +11,11 @@ import {
   REGISTRATION_STATUS,
   WORKSHOP_CATEGORY_LABELS,
   PAYMENT_METHODS,
+  REFUND_STATUS,
+  REFUND_STATUS_LABELS,
+  ADMIN_ROLES,
+  EMAIL_DELIVERY_TYPE_LABELS,
+  EMAIL_DELIVERY_STATUS_LABELS,
 } from '../../constants';
 import {
   verifyPayment,
@@ -20,12 +25,15 @@ import {
   ACTIVITY_TYPE_LABELS,
   offerSlotToWaitlistedRegistration,
   cancelRegistration,
-  refundRegistration,
+  requestRefund,
+  REFUND_ERROR_CODES,
   promoteFromWaitlist,
   getAllFoodMenuItems,
+  resendRegistrationEmail,
 } from '../../services';
 import { useAdminAuth, useSettings } from '../../context';
-import { calculateRefundEligibility } from '../../utils/registration';
+import { calculateRefundEligibility, getSuggestedRefund } from '../../utils/registration';
+import { sortFormFields, formatFieldValue } from '../../utils/formFields';
 import styles from './RegistrationDetailModal.module.css';
 
 /**
@@ -205,8 +213,9 @@ function RegistrationDetailModal({
   onRefresh,
   isUpdating,
 }) {
-  const { admin } = useAdminAuth();
+  const { admin, hasRole } = useAdminAuth();
   const { settings, pricingTiers } = useSettings();
+  const canResendEmail = hasRole([ADMIN_ROLES.SUPERADMIN, ADMIN_ROLES.ADMIN]);
 
   /**
    * Gets the display name for a category/pricing tier ID
@@ -224,6 +233,7 @@ function RegistrationDetailModal({
   const refundEligibility = settings?.startDate
     ? calculateRefundEligibility(settings.refundPolicy, settings.startDate)
     : { eligible: true, type: 'full', percent: 100, message: '', daysUntilEvent: 0 };
+  const suggestedRefund = getSuggestedRefund(registration, refundEligibility);
 
   const [selectedStatus, setSelectedStatus] = useState(
     registration?.status || REGISTRATION_STATUS.PENDING_PAYMENT
@@ -260,8 +270,7 @@ function RegistrationDetailModal({
   const [showRefundForm, setShowRefundForm] = useState(false);
   const [refundAmount, setRefundAmount] = useState(0);
   const [refundReason, setRefundReason] = useState('');
-  const [refundMethod, setRefundMethod] = useState('');
-  const [refundReference, setRefundReference] = useState('');
+  const [refundOverrideReason, setRefundOverrideReason] = useState('');
   const [isRefunding, setIsRefunding] = useState(false);
   const [refundError, setRefundError] = useState(null);
 
@@ -273,6 +282,12 @@ function RegistrationDetailModal({
   // Food menu items state
   const [foodMenuItems, setFoodMenuItems] = useState([]);
 
+  // Bounced email fix-and-resend states
+  const [resendEmail, setResendEmail] = useState('');
+  const [isResendingEmail, setIsResendingEmail] = useState(false);
+  const [resendError, setResendError] = useState(null);
+  const [resendSuccess, setResendSuccess] = useState(null);
+
   /**
    * Sync state when registration changes
    */
@@ -297,14 +312,17 @@ function RegistrationDetailModal({
       setCancelError(null);
       // Reset refund states
       setShowRefundForm(false);
-      setRefundAmount(registration?.payment?.amountPaid || registration?.totalAmount || 0);
+      setRefundAmount(0);
       setRefundReason('');
-      setRefundMethod('');
-      setRefundReference('');
+      setRefundOverrideReason('');
       setRefundError(null);
       // Reset promote states
       setPromoteError(null);
       setPromoteSuccess(false);
+      // Reset resend states
+      setResendEmail(registration.primaryAttendee?.email || '');
+      setResendError(null);
+      setResendSuccess(null);
     }
   }, [registration]);
 
@@ -429,6 +447,37 @@ function RegistrationDetailModal({
     }
   };
 
+  /**
+   * Handles correcting a bounced email address and resending the latest
+   * registration email to it
+   */
+  const handleResendEmail = async () => {
+    if (!resendEmail.trim()) {
+      setResendError('Please enter an email address');
+      return;
+    }
+
+    setIsResendingEmail(true);
+    setResendError(null);
+
+    try {
+      const result = await resendRegistrationEmail(registration.id, resendEmail.trim());
+      setResendSuccess(
+        `${EMAIL_DELIVERY_TYPE_LABELS[result.emailType] || 'Registration'} email sent to ${result.sentTo}.`
+      );
+
+      // Refresh the registration data
+      if (onRefresh) {
+        await onRefresh();
+      }
+    } catch (error) {
+      console.error('Failed to resend registration email:', error);
+      setResendError(error.message || 'Failed to resend the email. Please try again.');
+    } finally {
+      setIsResendingEmail(false);
+    }
+  };
+
   /**
    * Handles cancelling a registration
    */
@@ -465,16 +514,30 @@ function RegistrationDetailModal({
     }
   };
 
+  const isRefundOverride = refundAmount !== suggestedRefund.amount;
+  const hasPendingRefund = [REFUND_STATUS.REQUESTED, REFUND_STATUS.APPROVED]
+    .includes(registration?.refund?.status);
+
   /**
-   * Handles processing a refund
+   * Opens the refund request form prefilled with the policy refund
+   */
+  const handleShowRefundForm = () => {
+    setRefundAmount(suggestedRefund.amount);
+    setRefundOverrideReason('');
+    setRefundError(null);
+    setShowRefundForm(true);
+  };
+
+  /**
+   * Handles requesting a refund for approval by a second admin
    */
   const handleRefund = async () => {
     if (!refundReason.trim()) {
       setRefundError('Please provide a refund reason');
       return;
     }
-    if (!refundMethod) {
-      setRefundError('Please select a refund method');
+    if (isRefundOverride && !refundOverrideReason.trim()) {
+      setRefundError('Please explain why the amount differs from the refund policy');
       return;
     }
 
@@ -482,16 +545,16 @@ function RegistrationDetailModal({
     setRefundError(null);
 
     try {
-      await refundRegistration(
+      await requestRefund(
         registration.id,
         {
-          refundAmount,
-          reason: refundReason.trim(),
-          refundMethod,
-          referenceNumber: refundReference.trim() || null,
-          notes: null,
+          amount: refundAmount,
+          suggestedAmount: suggestedRefund.amount,
+          percent: suggestedRefund.percent,
+          reason: refundReason,
+          overrideReason: refundOverrideReason,
         },
-        admin?.uid,
+        admin?.id,
         admin?.email
       );
 
@@ -502,8 +565,12 @@ function RegistrationDetailModal({
 
       setShowRefundForm(false);
     } catch (error) {
-      console.error('Failed to process refund:', error);
-      setRefundError(error.message || 'Failed to process refund. Please try again.');
+      console.error('Failed to request refund:', error);
+      setRefundError(
+        error.message === REFUND_ERROR_CODES.INVALID_AMOUNT
+          ? 'Refund amount must be more than zero and no more than the amount paid.'
+          : error.message || 'Failed to request refund. Please try again.'
+      );
     } finally {
       setIsRefunding(false);
     }
@@ -691,6 +758,36 @@ function RegistrationDetailModal({
     return item?.name || foodChoiceId;
   };
 
+  /**
+   * Lists answered custom registration questions, labelled from the current settings
+   *
+   * @param {Array} fields - Question field definitions
+   * @param {Object} answers - Stored answers keyed by field ID
+   * @returns {Array} Array of { id, label, value } for answered questions
+   */
+  const getAnsweredQuestions = (fields, answers) => sortFormFields(fields)
+    .map((field) => ({
+      id: field.id,
+      label: field.label,
+      value: formatFieldValue(field, answers?.[field.id]),
+    }))
+    .filter((answer) => answer.value);
+
+  const registrationAnswers = getAnsweredQuestions(
+    settings?.registrationQuestions?.registrationFields,
+    registration.customAnswers
+  );
+  const attendeeAnswers = [registration.primaryAttendee, ...(registration.additionalAttendees || [])]
+    .filter(Boolean)
+    .flatMap((attendee, index) => getAnsweredQuestions(
+      settings?.registrationQuestions?.attendeeFields,
+      attendee.customAnswers
+    ).map((answer) => ({
+      ...answer,
+      key: `${index}-${answer.id}`,
+      attendeeName: `${attendee.firstName} ${attendee.lastName}`,
+    })));
+
   /**
    * Formats activity log date
    *
@@ -791,6 +888,12 @@ function RegistrationDetailModal({
                 <span className={styles.label}>Phone</span>
                 <span className={styles.value}>{getAttendeePhone(registration)}</span>
               </div>
+              <div className={styles.infoItem}>
+                <span className={styles.label}>SMS Updates</span>
+                <span className={styles.value}>
+                  {registration.smsConsent?.optedIn ? 'Opted in' : 'Not opted in'}
+                </span>
+              </div>
               <div className={styles.infoItem}>
                 <span className={styles.label}>Church</span>
                 <span className={styles.value}>
@@ -808,6 +911,85 @@ function RegistrationDetailModal({
             </div>
           </div>
 
+          {/* Email Delivery - SendGrid delivery events per registration email */}
+          {(registration.emailBounced || Object.keys(registration.emailDelivery || {}).length > 0) && (
+            <div className={styles.section}>
+              <h3 className={styles.sectionTitle}>
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <path d="M4 4h16c1.1 0 2 .9 2 2v12c0 1.1-.9 2-2 2H4c-1.1 0-2-.9-2-2V6c0-1.1.9-2 2-2z" />
+                  <polyline points="22,6 12,13 2,6" />
+                </svg>
+                Email Delivery
+              </h3>
+              <div className={styles.infoGrid}>
+                {Object.entries(registration.emailDelivery || {}).map(([emailType, delivery]) => (
+                  <div key={emailType} className={styles.infoItem}>
+                    <span className={styles.label}>
+                      {EMAIL_DELIVERY_TYPE_LABELS[emailType] || emailType}
+                    </span>
+                    <span className={styles.value}>
+                      <span
+                        className={`${styles.deliveryBadge} ${styles[`delivery_${delivery.status}`] || ''}`}
+                      >
+                        {EMAIL_DELIVERY_STATUS_LABELS[delivery.status] || delivery.status}
+                      </span>
+                      {' '}
+                      {formatDate(delivery.eventAt)}
+                    </span>
+                  </div>
+                ))}
+              </div>
+
+              {registration.emailBounced && !resendSuccess && (
+                <div className={styles.bounceNotice}>
+                  <p className={styles.bounceText}>
+                    The {EMAIL_DELIVERY_TYPE_LABELS[registration.emailBounceType] || 'last'} email
+                    to {getAttendeeEmail(registration)} could not be delivered
+                    {registration.emailBounceReason ? `: ${registration.emailBounceReason}` : '.'}
+                  </p>
+                  {canResendEmail && (
+                    <div className={styles.verificationForm}>
+                      <div className={styles.formGroup}>
+                        <label htmlFor="resendEmail" className={styles.formLabel}>
+                          Correct Email Address
+                        </label>
+                        <input
+                          type="email"
+                          id="resendEmail"
+                          value={resendEmail}
+                          onChange={(e) => setResendEmail(e.target.value)}
+                          className={styles.input}
+                          disabled={isResendingEmail}
+                        />
+                        <span className={styles.hint}>
+                          Resends the ticket for confirmed registrations, otherwise the
+                          registration confirmation.
+                        </span>
+                      </div>
+                      {resendError && (
+                        <p className={styles.warningText} role="alert">{resendError}</p>
+                      )}
+                      <div className={styles.verificationActions}>
+                        <button
+                          type="button"
+                          className={styles.verifyButton}
+                          onClick={handleResendEmail}
+                          disabled={isResendingEmail || !resendEmail.trim()}
+                        >
+                          {isResendingEmail ? 'Sending...' : 'Update Email & Resend'}
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {resendSuccess && (
+                <p className={styles.resendSuccess} role="status">{resendSuccess}</p>
+              )}
+            </div>
+          )}
+
           {/* Registration Details */}
           <div className={styles.section}>
             <h3 className={styles.sectionTitle}>
@@ -882,6 +1064,36 @@ function RegistrationDetailModal({
             </div>
           )}
 
+          {/* Custom Registration Questions */}
+          {(registrationAnswers.length > 0 || attendeeAnswers.length > 0) && (
+            <div className={styles.section}>
+              <h3 className={styles.sectionTitle}>
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <circle cx="12" cy="12" r="10" />
+                  <path d="M9.09 9a3 3 0 0 1 5.83 1c0 2-3 3-3 3" />
+                  <line x1="12" y1="17" x2="12.01" y2="17" />
+                </svg>
+                Registration Questions
+              </h3>
+              <div className={styles.infoGrid}>
+                {registrationAnswers.map((answer) => (
+                  <div key={answer.id} className={styles.infoItem}>
+                    <span className={styles.label}>{answer.label}</span>
+                    <span className={styles.value}>{answer.value}</span>
+                  </div>
+                ))}
+                {attendeeAnswers.map((answer) => (
+                  <div key={answer.key} className={styles.infoItem}>
+                    <span className={styles.label}>
+                      {answer.label} ({answer.attendeeName})
+                    </span>
+                    <span className={styles.value}>{answer.value}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* Payment Information */}
           <div className={styles.section}>
             <h3 className={styles.sectionTitle}>
@@ -892,6 +1104,34 @@ function RegistrationDetailModal({
               Payment Information
             </h3>
             <div className={styles.infoGrid}>
+              {(registration.discountAmount > 0 || registration.groupDiscountAmount > 0) && (
+                <div className={styles.infoItem}>
+                  <span className={styles.label}>Subtotal</span>
+                  <span className={styles.value}>
+                    {formatCurrency(registration.subtotalAmount)}
+                  </span>
+                </div>
+              )}
+              {registration.discountAmount > 0 && (
+                <div className={styles.infoItem}>
+                  <span className={styles.label}>
+                    Promo Discount{registration.promo?.code ? ` (${registration.promo.code})` : ''}
+                  </span>
+                  <span className={`${styles.value} ${styles.discountValue}`}>
+                    -{formatCurrency(registration.discountAmount)}
+                  </span>
+                </div>
+              )}
+              {registration.groupDiscountAmount > 0 && (
+                <div className={styles.infoItem}>
+                  <span className={styles.label}>
+                    Group Discount{registration.groupDiscount?.name ? ` (${registration.groupDiscount.name})` : ''}
+                  </span>
+                  <span className={`${styles.value} ${styles.discountValue}`}>
+                    -{formatCurrency(registration.groupDiscountAmount)}
+                  </span>
+                </div>
+              )}
               <div className={styles.infoItem}>
                 <span className={styles.label}>Amount</span>
                 <span className={`${styles.value} ${styles.amount}`}>
@@ -1436,7 +1676,7 @@ function RegistrationDetailModal({
                 <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                   <path d="M3 10h18M7 15h1m4 0h1m-7 4h12a3 3 0 003-3V8a3 3 0 00-3-3H6a3 3 0 00-3 3v8a3 3 0 003 3z" />
                 </svg>
-                Process Refund
+                Refund
               </h3>
 
               {registration.cancellation && (
@@ -1491,9 +1731,33 @@ function RegistrationDetailModal({
                 </p>
               </div>
 
-              {!showRefundForm ? (
+              {registration.refund?.status && (
+                <div style={{
+                  backgroundColor: '#f9fafb',
+                  borderRadius: '8px',
+                  padding: '1rem',
+                  marginBottom: '1rem',
+                  border: '1px solid #e5e7eb',
+                }}>
+                  <p style={{ margin: '0 0 0.5rem 0', color: '#374151', fontWeight: '500' }}>
+                    Refund of {formatCurrency(registration.refund.amount || 0)}:{' '}
+                    {REFUND_STATUS_LABELS[registration.refund.status] || registration.refund.status}
+                  </p>
+                  {registration.refund.status === REFUND_STATUS.REJECTED ? (
+                    <p style={{ margin: 0, color: '#6b7280', fontSize: '0.875rem' }}>
+                      <strong>Rejection reason:</strong> {registration.refund.rejectionReason}
+                    </p>
+                  ) : (
+                    <p style={{ margin: 0, color: '#6b7280', fontSize: '0.875rem' }}>
+                      Approval and payout are handled on the Refunds page.
+                    </p>
+                  )}
+                </div>
+              )}
+
+              {!hasPendingRefund && (!showRefundForm ? (
                 <button
-                  onClick={() => setShowRefundForm(true)}
+                  onClick={handleShowRefundForm}
                   style={{
                     backgroundColor: '#6b7280',
                     color: 'white',
@@ -1510,7 +1774,7 @@ function RegistrationDetailModal({
                   <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" style={{ width: '18px', height: '18px' }}>
                     <path d="M3 10h18M7 15h1m4 0h1m-7 4h12a3 3 0 003-3V8a3 3 0 00-3-3H6a3 3 0 00-3 3v8a3 3 0 003 3z" />
                   </svg>
-                  Process Refund
+                  Request Refund
                 </button>
               ) : (
                 <div style={{ display: 'flex', flexDirection: 'column', gap: '1rem' }}>
@@ -1540,6 +1804,9 @@ function RegistrationDetailModal({
                     <label className={styles.formLabel}>
                       Refund Amount <span className={styles.required}>*</span>
                     </label>
+                    <span style={{ color: '#6b7280', fontSize: '0.8rem' }}>
+                      Policy: {suggestedRefund.percent}% of amount paid ({formatCurrency(suggestedRefund.amount)})
+                    </span>
                     <input
                       type="number"
                       value={refundAmount}
@@ -1553,34 +1820,21 @@ function RegistrationDetailModal({
                     />
                   </div>
 
-                  <div className={styles.formGroup}>
-                    <label className={styles.formLabel}>
-                      Refund Method <span className={styles.required}>*</span>
-                    </label>
-                    <select
-                      value={refundMethod}
-                      onChange={(e) => setRefundMethod(e.target.value)}
-                      className={styles.input}
-                      disabled={isRefunding}
-                    >
-                      <option value="">Select method</option>
-                      <option value="gcash">GCash</option>
-                      <option value="bank_transfer">Bank Transfer</option>
-                      <option value="cash">Cash</option>
-                    </select>
-                  </div>
-
-                  <div className={styles.formGroup}>
-                    <label className={styles.formLabel}>Reference Number</label>
-                    <input
-                      type="text"
-                      value={refundReference}
-                      onChange={(e) => setRefundReference(e.target.value)}
-                      placeholder="Transaction reference (optional)"
-                      className={styles.input}
-                      disabled={isRefunding}
-                    />
-                  </div>
+                  {isRefundOverride && (
+                    <div className={styles.formGroup}>
+                      <label className={styles.formLabel}>
+                        Override Reason <span className={styles.required}>*</span>
+                      </label>
+                      <textarea
+                        value={refundOverrideReason}
+                        onChange={(e) => setRefundOverrideReason(e.target.value)}
+                        placeholder={`Why refund differs from the policy amount of ${formatCurrency(suggestedRefund.amount)}...`}
+                        rows={2}
+                        className={styles.textarea}
+                        disabled={isRefunding}
+                      />
+                    </div>
+                  )}
 
                   <div className={styles.formGroup}>
                     <label className={styles.formLabel}>
@@ -1614,22 +1868,22 @@ function RegistrationDetailModal({
                     </button>
                     <button
                       onClick={handleRefund}
-                      disabled={isRefunding || !refundReason.trim() || !refundMethod}
+                      disabled={isRefunding || !refundReason.trim() || (isRefundOverride && !refundOverrideReason.trim())}
                       style={{
-                        backgroundColor: isRefunding || !refundReason.trim() || !refundMethod ? '#9ca3af' : '#059669',
+                        backgroundColor: isRefunding || !refundReason.trim() || (isRefundOverride && !refundOverrideReason.trim()) ? '#9ca3af' : '#059669',
                         color: 'white',
                         padding: '0.75rem 1.5rem',
                         borderRadius: '6px',
                         border: 'none',
-                        cursor: isRefunding || !refundReason.trim() || !refundMethod ? 'not-allowed' : 'pointer',
+                        cursor: isRefunding || !refundReason.trim() || (isRefundOverride && !refundOverrideReason.trim()) ? 'not-allowed' : 'pointer',
                         fontWeight: '500',
                       }}
                     >
-                      {isRefunding ? 'Processing...' : 'Confirm Refund'}
+                      {isRefunding ? 'Submitting...' : 'Submit for Approval'}
                     </button>
                   </div>
                 </div>
-              )}
+              ))}
             </div>
           )}
 
@@ -1974,6 +2228,7 @@ RegistrationDetailModal.propTypes = {
         })
       ),
       foodChoice: PropTypes.string,
+      customAnswers: PropTypes.object,
     }),
     firstName: PropTypes.string,
     lastName: PropTypes.string,
@@ -1995,6 +2250,17 @@ RegistrationDetailModal.propTypes = {
     paymentMethod: PropTypes.string,
     paymentReference: PropTypes.string,
     paymentProofUrl: PropTypes.string,
+    emailDelivery: PropTypes.objectOf(
+      PropTypes.shape({
+        status: PropTypes.string,
+        email: PropTypes.string,
+        reason: PropTypes.string,
+        eventAt: PropTypes.object,
+      })
+    ),
+    emailBounced: PropTypes.bool,
+    emailBounceReason: PropTypes.string,
+    emailBounceType: PropTypes.string,
     createdAt: PropTypes.oneOfType([PropTypes.string, PropTypes.object]),
     updatedAt: PropTypes.oneOfType([PropTypes.string, PropTypes.object]),
     additionalAttendees: PropTypes.arrayOf(
@@ -2004,8 +2270,10 @@ RegistrationDetailModal.propTypes = {
         email: PropTypes.string,
         category: PropTypes.string,
         foodChoice: PropTypes.string,
+        customAnswers: PropTypes.object,
       })
     ),
+    customAnswers: PropTypes.object,
     notes: PropTypes.string,
   }),
   onUpdateStatus: PropTypes.func.isRequired,
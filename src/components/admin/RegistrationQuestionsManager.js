@@ -0,0 +1,241 @@
+/**
+ * RegistrationQuestionsManager Component
+ * Builder for custom questions on the registration form, asked once per
+ * registration or once per attendee. Reuses the feedback form field engine.
+ *
+ * @module components/admin/RegistrationQuestionsManager
+ */
+
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { upsertFormField } from '../../utils';
+import FormFieldEditor from './FormFieldEditor';
+import FormFieldList from './FormFieldList';
+import styles from './SettingsForm.module.css';
+
+/**
+ * Question scopes and the settings key each is stored under
+ */
+const QUESTION_SCOPES = {
+  REGISTRATION: 'registrationFields',
+  ATTENDEE: 'attendeeFields',
+};
+
+/**
+ * Field types the registration form can render
+ */
+const REGISTRATION_QUESTION_TYPES = [
+  'text',
+  'textarea',
+  'checkbox',
+  'checkboxGroup',
+  'radio',
+  'select',
+  'number',
+  'date',
+];
+
+/**
+ * Builds form state from conference settings
+ *
+ * @param {Object|null} settings - Conference settings
+ * @returns {Object} Registration questions form state
+ */
+function getQuestionsFromSettings(settings) {
+  return {
+    registrationFields: settings?.registrationQuestions?.registrationFields || [],
+    attendeeFields: settings?.registrationQuestions?.attendeeFields || [],
+  };
+}
+
+/**
+ * RegistrationQuestionsManager Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.settings - Current settings values
+ * @param {Function} props.onSave - Callback when settings are saved
+ * @param {boolean} props.isLoading - Loading state
+ * @returns {JSX.Element} The registration questions manager
+ */
+function RegistrationQuestionsManager({ settings, onSave, isLoading }) {
+  const [questions, setQuestions] = useState(() => getQuestionsFromSettings(settings));
+  const [editorScope, setEditorScope] = useState(null);
+  const [editingField, setEditingField] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+  const [saveSuccess, setSaveSuccess] = useState(false);
+
+  /**
+   * Syncs form data when settings prop changes (e.g., after initial load from DB)
+   */
+  useEffect(() => {
+    if (settings) {
+      setQuestions(getQuestionsFromSettings(settings));
+    }
+  }, [settings]);
+
+  /**
+   * Opens the field editor for a scope
+   *
+   * @param {string} scope - Key from QUESTION_SCOPES
+   * @param {Object|null} field - Field to edit, or null to add
+   */
+  const openEditor = (scope, field = null) => {
+    setEditorScope(scope);
+    setEditingField(field);
+  };
+
+  const closeEditor = () => {
+    setEditorScope(null);
+    setEditingField(null);
+  };
+
+  /**
+   * Saves a field (add or update) into the scope being edited
+   */
+  const handleSaveField = (fieldData) => {
+    setQuestions((prev) => ({
+      ...prev,
+      [editorScope]: upsertFormField(prev[editorScope], fieldData),
+    }));
+    closeEditor();
+  };
+
+  /**
+   * Handles form submission
+   *
+   * @param {Event} event - Submit event
+   */
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsSaving(true);
+    setSaveError(null);
+    setSaveSuccess(false);
+
+    try {
+      await onSave({ registrationQuestions: questions });
+      setSaveSuccess(true);
+      setTimeout(() => setSaveSuccess(false), 3000);
+    } catch (error) {
+      setSaveError(error.message || 'Failed to save settings');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className={styles.container}>
+        <div className={styles.skeleton} />
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <form className={styles.container} onSubmit={handleSubmit}>
+        {/* Status Messages */}
+        {saveError && (
+          <div className={styles.errorMessage} role="alert">
+            {saveError}
+            <button type="button" onClick={() => setSaveError(null)} aria-label="Dismiss">
+              &times;
+            </button>
+          </div>
+        )}
+        {saveSuccess && (
+          <div className={styles.successMessage} role="status">
+            Settings saved successfully!
+          </div>
+        )}
+
+        {/* Registration-level Questions */}
+        <section className={styles.section}>
+          <h3 className={styles.sectionTitle}>Registration Questions</h3>
+          <p className={styles.sectionDescription}>
+            Asked once per registration, after the primary attendee&apos;s details. Answers are
+            shown in the registration details and included in the CSV export.
+          </p>
+          <FormFieldList
+            fields={questions.registrationFields}
+            onChange={(fields) => setQuestions((prev) => ({ ...prev, registrationFields: fields }))}
+            onAdd={() => openEditor(QUESTION_SCOPES.REGISTRATION)}
+            onEdit={(field) => openEditor(QUESTION_SCOPES.REGISTRATION, field)}
+            description="Use the arrows to reorder. Conditions can refer to other registration questions."
+            disabled={isSaving}
+          />
+        </section>
+
+        {/* Per-attendee Questions */}
+        <section className={styles.section} style={{ marginTop: '2rem' }}>
+          <h3 className={styles.sectionTitle}>Attendee Questions</h3>
+          <p className={styles.sectionDescription}>
+            Asked for every attendee on the registration, including additional attendees in a
+            group registration.
+          </p>
+          <FormFieldList
+            fields={questions.attendeeFields}
+            onChange={(fields) => setQuestions((prev) => ({ ...prev, attendeeFields: fields }))}
+            onAdd={() => openEditor(QUESTION_SCOPES.ATTENDEE)}
+            onEdit={(field) => openEditor(QUESTION_SCOPES.ATTENDEE, field)}
+            description="Use the arrows to reorder. Conditions can refer to other attendee questions."
+            disabled={isSaving}
+          />
+        </section>
+
+        {/* Submit Button */}
+        <div className={styles.actions}>
+          <button
+            type="submit"
+            className={styles.saveButton}
+            disabled={isSaving}
+          >
+            {isSaving ? (
+              <>
+                <span className={styles.spinner} />
+                Saving...
+              </>
+            ) : (
+              <>
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <path d="M19 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11l5 5v11a2 2 0 0 1-2 2z" />
+                  <polyline points="17 21 17 13 7 13 7 21" />
+                  <polyline points="7 3 7 8 15 8" />
+                </svg>
+                Save Settings
+              </>
+            )}
+          </button>
+        </div>
+      </form>
+
+      {/* Field Editor Modal */}
+      <FormFieldEditor
+        isOpen={Boolean(editorScope)}
+        onClose={closeEditor}
+        onSave={handleSaveField}
+        field={editingField}
+        existingFields={editorScope ? questions[editorScope] : []}
+        fieldTypes={REGISTRATION_QUESTION_TYPES}
+      />
+    </>
+  );
+}
+
+RegistrationQuestionsManager.propTypes = {
+  settings: PropTypes.shape({
+    registrationQuestions: PropTypes.shape({
+      registrationFields: PropTypes.arrayOf(PropTypes.object),
+      attendeeFields: PropTypes.arrayOf(PropTypes.object),
+    }),
+  }),
+  onSave: PropTypes.func.isRequired,
+  isLoading: PropTypes.bool,
+};
+
+RegistrationQuestionsManager.defaultProps = {
+  settings: null,
+  isLoading: false,
+};
+
+export default RegistrationQuestionsManager;
@@ -196,7 +196,17 @@ function RegistrationsTable({
                   <td className={styles.nameCell}>
                     <div className={styles.primaryInfo}>
                       <span className={styles.primaryName}>{getAttendeeName(registration)}</span>
-                      <span className={styles.primaryEmail}>{getAttendeeEmail(registration)}</span>
+                      <span className={styles.primaryEmail}>
+                        {getAttendeeEmail(registration)}
+                        {registration.emailBounced && (
+                          <span
+                            className={styles.bouncedBadge}
+                            title={registration.emailBounceReason || 'Email could not be delivered'}
+                          >
+                            Bounced
+                          </span>
+                        )}
+                      </span>
                     </div>
                   </td>
                   <td className={styles.attendeeCountCell}>
@@ -311,6 +321,8 @@ RegistrationsTable.propTypes = {
       workshopSelection: PropTypes.string,
       totalAmount: PropTypes.number,
       status: PropTypes.string,
+      emailBounced: PropTypes.bool,
+      emailBounceReason: PropTypes.string,
       createdAt: PropTypes.oneOfType([PropTypes.string, PropTypes.object]),
     })
   ),
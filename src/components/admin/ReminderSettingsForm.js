@@ -0,0 +1,364 @@
+/**
+ * ReminderSettingsForm Component
+ * Form for configuring automated reminders: payment reminders before the
+ * payment deadline, the pre-event reminder and the waitlist offer reminder.
+ *
+ * @module components/admin/ReminderSettingsForm
+ */
+
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { splitReminderOffset, formatReminderOffset } from '../../services/reminders';
+import styles from './SettingsForm.module.css';
+import reminderStyles from './ReminderSettingsForm.module.css';
+
+/**
+ * Default reminder settings values
+ */
+const DEFAULT_REMINDER_SETTINGS = {
+  enabled: false,
+  paymentOffsetsHours: [72, 24],
+  paymentSmsEnabled: true,
+  eventOffsetHours: 24,
+  waitlistOffsetHours: 6,
+};
+
+/**
+ * Most payment reminders per registration
+ */
+const MAX_PAYMENT_REMINDERS = 5;
+
+/**
+ * Builds the form state from settings
+ *
+ * @param {Object} settings - Conference settings
+ * @returns {Object} Form data
+ */
+function toFormData(settings) {
+  const reminders = { ...DEFAULT_REMINDER_SETTINGS, ...settings?.reminders };
+  return {
+    enabled: reminders.enabled,
+    paymentOffsets: reminders.paymentOffsetsHours.map(splitReminderOffset),
+    paymentSmsEnabled: reminders.paymentSmsEnabled,
+    eventOffset: splitReminderOffset(reminders.eventOffsetHours),
+    waitlistOffsetHours: reminders.waitlistOffsetHours,
+  };
+}
+
+/**
+ * Converts days and hours to hours
+ *
+ * @param {Object} offset - { days, hours }
+ * @returns {number} Hours
+ */
+function toHours({ days, hours }) {
+  return (Number(days) || 0) * 24 + (Number(hours) || 0);
+}
+
+/**
+ * ReminderSettingsForm Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.settings - Current settings values
+ * @param {Function} props.onSave - Callback when settings are saved
+ * @param {boolean} props.isLoading - Loading state
+ * @returns {JSX.Element} The reminder settings form
+ */
+function ReminderSettingsForm({ settings, onSave, isLoading }) {
+  const [formData, setFormData] = useState(() => toFormData(settings));
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+  const [saveSuccess, setSaveSuccess] = useState(false);
+
+  /**
+   * Syncs form data when settings prop changes (e.g., after initial load from DB)
+   */
+  useEffect(() => {
+    if (settings) {
+      setFormData(toFormData(settings));
+    }
+  }, [settings]);
+
+  /**
+   * Updates one payment reminder offset
+   *
+   * @param {number} index - Offset index
+   * @param {string} field - 'days' or 'hours'
+   * @param {string} value - Input value
+   */
+  const handleOffsetChange = (index, field, value) => {
+    setFormData((prev) => ({
+      ...prev,
+      paymentOffsets: prev.paymentOffsets.map((offset, offsetIndex) => (
+        offsetIndex === index ? { ...offset, [field]: value === '' ? '' : parseInt(value, 10) } : offset
+      )),
+    }));
+  };
+
+  /**
+   * Handles form submission
+   *
+   * @param {Event} event - Submit event
+   */
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSaveError(null);
+    setSaveSuccess(false);
+
+    const paymentOffsetsHours = formData.paymentOffsets.map(toHours);
+    if (paymentOffsetsHours.some((hours) => hours <= 0)) {
+      setSaveError('Each payment reminder must be at least 1 hour before the deadline.');
+      return;
+    }
+    if (new Set(paymentOffsetsHours).size !== paymentOffsetsHours.length) {
+      setSaveError('Payment reminders must be at different times.');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      await onSave({
+        reminders: {
+          enabled: formData.enabled,
+          paymentOffsetsHours: paymentOffsetsHours.sort((a, b) => b - a),
+          paymentSmsEnabled: formData.paymentSmsEnabled,
+          eventOffsetHours: toHours(formData.eventOffset),
+          waitlistOffsetHours: Number(formData.waitlistOffsetHours) || 0,
+        },
+      });
+      setSaveSuccess(true);
+      setTimeout(() => setSaveSuccess(false), 3000);
+    } catch (error) {
+      setSaveError(error.message || 'Failed to save settings');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className={styles.container}>
+        <div className={styles.skeleton} />
+      </div>
+    );
+  }
+
+  const eventOffsetHours = toHours(formData.eventOffset);
+
+  return (
+    <form className={styles.container} onSubmit={handleSubmit}>
+      {/* Status Messages */}
+      {saveError && (
+        <div className={styles.errorMessage} role="alert">
+          {saveError}
+          <button type="button" onClick={() => setSaveError(null)} aria-label="Dismiss">
+            &times;
+          </button>
+        </div>
+      )}
+      {saveSuccess && (
+        <div className={styles.successMessage} role="status">
+          Settings saved successfully!
+        </div>
+      )}
+
+      {/* General */}
+      <section className={styles.section}>
+        <h3 className={styles.sectionTitle}>Automated Reminders</h3>
+        <p className={styles.sectionDescription}>
+          Reminders are checked every 30 minutes. Each attendee receives each reminder once, and
+          registrations made after a reminder&apos;s time skip it.
+        </p>
+        <label className={styles.checkboxLabel}>
+          <input
+            type="checkbox"
+            checked={formData.enabled}
+            onChange={(e) => setFormData((prev) => ({ ...prev, enabled: e.target.checked }))}
+            className={styles.checkbox}
+          />
+          <span>Send automated reminders</span>
+        </label>
+      </section>
+
+      {/* Payment Reminders */}
+      <section className={styles.section}>
+        <h3 className={styles.sectionTitle}>Payment Reminders</h3>
+        <p className={styles.sectionDescription}>
+          Sent to registrations still pending payment, before their payment deadline. Unpaid
+          registrations are cancelled once the deadline passes.
+        </p>
+        <div className={reminderStyles.offsetList}>
+          {formData.paymentOffsets.map((offset, index) => (
+            <div key={index} className={reminderStyles.offsetRow}>
+              <input
+                type="number"
+                value={offset.days}
+                onChange={(e) => handleOffsetChange(index, 'days', e.target.value)}
+                className={`${styles.input} ${reminderStyles.offsetInput}`}
+                min="0"
+                aria-label={`Payment reminder ${index + 1} days`}
+              />
+              <span>days</span>
+              <input
+                type="number"
+                value={offset.hours}
+                onChange={(e) => handleOffsetChange(index, 'hours', e.target.value)}
+                className={`${styles.input} ${reminderStyles.offsetInput}`}
+                min="0"
+                max="23"
+                aria-label={`Payment reminder ${index + 1} hours`}
+              />
+              <span>hours before the deadline</span>
+              <button
+                type="button"
+                className={reminderStyles.removeButton}
+                onClick={() => setFormData((prev) => ({
+                  ...prev,
+                  paymentOffsets: prev.paymentOffsets.filter((_, offsetIndex) => offsetIndex !== index),
+                }))}
+                aria-label={`Remove payment reminder ${index + 1}`}
+              >
+                &times;
+              </button>
+            </div>
+          ))}
+          {formData.paymentOffsets.length === 0 && (
+            <p className={styles.fieldHint}>No payment reminders are sent.</p>
+          )}
+        </div>
+        {formData.paymentOffsets.length < MAX_PAYMENT_REMINDERS && (
+          <button
+            type="button"
+            className={reminderStyles.addButton}
+            onClick={() => setFormData((prev) => ({
+              ...prev,
+              paymentOffsets: [...prev.paymentOffsets, { days: 1, hours: 0 }],
+            }))}
+          >
+            + Add Payment Reminder
+          </button>
+        )}
+        <label className={styles.checkboxLabel}>
+          <input
+            type="checkbox"
+            checked={formData.paymentSmsEnabled}
+            onChange={(e) => setFormData((prev) => ({ ...prev, paymentSmsEnabled: e.target.checked }))}
+            className={styles.checkbox}
+          />
+          <span>Also send payment reminders by SMS</span>
+        </label>
+        <p className={styles.fieldHint}>
+          SMS is only sent when SMS notifications are turned on for the conference.
+        </p>
+      </section>
+
+      {/* Event and Waitlist Reminders */}
+      <section className={styles.section}>
+        <h3 className={styles.sectionTitle}>Event and Waitlist Reminders</h3>
+        <div className={styles.grid}>
+          <div className={styles.field}>
+            <span className={styles.label}>Pre-Event Reminder</span>
+            <div className={reminderStyles.offsetRow}>
+              <input
+                type="number"
+                value={formData.eventOffset.days}
+                onChange={(e) => setFormData((prev) => ({
+                  ...prev,
+                  eventOffset: { ...prev.eventOffset, days: e.target.value === '' ? '' : parseInt(e.target.value, 10) },
+                }))}
+                className={`${styles.input} ${reminderStyles.offsetInput}`}
+                min="0"
+                aria-label="Pre-event reminder days"
+              />
+              <span>days</span>
+              <input
+                type="number"
+                value={formData.eventOffset.hours}
+                onChange={(e) => setFormData((prev) => ({
+                  ...prev,
+                  eventOffset: { ...prev.eventOffset, hours: e.target.value === '' ? '' : parseInt(e.target.value, 10) },
+                }))}
+                className={`${styles.input} ${reminderStyles.offsetInput}`}
+                min="0"
+                max="23"
+                aria-label="Pre-event reminder hours"
+              />
+              <span>hours before</span>
+            </div>
+            <p className={styles.fieldHint}>
+              {eventOffsetHours > 0
+                ? `Confirmed attendees get their check-in QR code and the what-to-bring list ${formatReminderOffset(eventOffsetHours)} before the conference starts.`
+                : 'Set to 0 to turn off the pre-event reminder.'}
+            </p>
+          </div>
+          <div className={styles.field}>
+            <label htmlFor="waitlistOffsetHours" className={styles.label}>
+              Waitlist Offer Reminder (hours before expiry)
+            </label>
+            <input
+              type="number"
+              id="waitlistOffsetHours"
+              value={formData.waitlistOffsetHours}
+              onChange={(e) => setFormData((prev) => ({
+                ...prev,
+                waitlistOffsetHours: e.target.value === '' ? '' : parseInt(e.target.value, 10),
+              }))}
+              className={styles.input}
+              min="0"
+            />
+            <p className={styles.fieldHint}>
+              Reminds attendees offered a waitlist spot to pay before the offer expires and the
+              spot goes to the next person. Set to 0 to turn off.
+            </p>
+          </div>
+        </div>
+      </section>
+
+      {/* Submit Button */}
+      <div className={styles.actions}>
+        <button
+          type="submit"
+          className={styles.saveButton}
+          disabled={isSaving}
+        >
+          {isSaving ? (
+            <>
+              <span className={styles.spinner} />
+              Saving...
+            </>
+          ) : (
+            <>
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <path d="M19 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11l5 5v11a2 2 0 0 1-2 2z" />
+                <polyline points="17 21 17 13 7 13 7 21" />
+                <polyline points="7 3 7 8 15 8" />
+              </svg>
+              Save Settings
+            </>
+          )}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+ReminderSettingsForm.propTypes = {
+  settings: PropTypes.shape({
+    reminders: PropTypes.shape({
+      enabled: PropTypes.bool,
+      paymentOffsetsHours: PropTypes.arrayOf(PropTypes.number),
+      paymentSmsEnabled: PropTypes.bool,
+      eventOffsetHours: PropTypes.number,
+      waitlistOffsetHours: PropTypes.number,
+    }),
+  }),
+  onSave: PropTypes.func.isRequired,
+  isLoading: PropTypes.bool,
+};
+
+ReminderSettingsForm.defaultProps = {
+  settings: null,
+  isLoading: false,
+};
+
+export default ReminderSettingsForm;
@@ -10,7 +10,7 @@ import PropTypes from 'prop-types';
 import MediaUpload from './MediaUpload';
 import { uploadHeroImage, uploadHeroVideo, deleteFile } from '../../services/storage';
 import { useAdminAuth } from '../../context';
-import { ADMIN_ROLES } from '../../constants';
+import { ADMIN_ROLES, SMS_PROVIDER, SMS_PROVIDER_LABELS } from '../../constants';
 import styles from './SettingsForm.module.css';
 
 /**
@@ -56,10 +56,21 @@ const DEFAULT_SETTINGS = {
     instagram: 'https://instagram.com/gcfsouthmetro',
     youtube: 'https://youtube.com/channel/UCJ36YX23P_yCjMzetI1s6Ag',
   },
+  invoiceIssuer: {
+    documentTitle: 'Official Receipt',
+    name: 'GCF South Metro',
+    tin: '',
+    address: 'Daang Hari Road, Versailles, Almanza Dos, Las Piñas City 1750 Philippines',
+    footerNote: '',
+  },
   sms: {
     enabled: false,
+    provider: SMS_PROVIDER.ONEWAYSMS,
     gatewayDomain: '1.onewaysms.asia',
     gatewayEmail: '',
+    senderName: '',
+    twilioAccountSid: '',
+    twilioFromNumber: '',
   },
   email: {
     triggerEmailsEnabled: true,
@@ -101,10 +112,21 @@ function SettingsForm({ settings, onSave, isLoading }) {
       instagram: settings?.social?.instagram || DEFAULT_SETTINGS.social.instagram,
       youtube: settings?.social?.youtube || DEFAULT_SETTINGS.social.youtube,
     },
+    invoiceIssuer: {
+      documentTitle: settings?.invoiceIssuer?.documentTitle || DEFAULT_SETTINGS.invoiceIssuer.documentTitle,
+      name: settings?.invoiceIssuer?.name || DEFAULT_SETTINGS.invoiceIssuer.name,
+      tin: settings?.invoiceIssuer?.tin ?? DEFAULT_SETTINGS.invoiceIssuer.tin,
+      address: settings?.invoiceIssuer?.address || DEFAULT_SETTINGS.invoiceIssuer.address,
+      footerNote: settings?.invoiceIssuer?.footerNote ?? DEFAULT_SETTINGS.invoiceIssuer.footerNote,
+    },
     sms: {
       enabled: settings?.sms?.enabled ?? DEFAULT_SETTINGS.sms.enabled,
+      provider: settings?.sms?.provider || DEFAULT_SETTINGS.sms.provider,
       gatewayDomain: settings?.sms?.gatewayDomain || DEFAULT_SETTINGS.sms.gatewayDomain,
       gatewayEmail: settings?.sms?.gatewayEmail || DEFAULT_SETTINGS.sms.gatewayEmail,
+      senderName: settings?.sms?.senderName || DEFAULT_SETTINGS.sms.senderName,
+      twilioAccountSid: settings?.sms?.twilioAccountSid || DEFAULT_SETTINGS.sms.twilioAccountSid,
+      twilioFromNumber: settings?.sms?.twilioFromNumber || DEFAULT_SETTINGS.sms.twilioFromNumber,
     },
     email: {
       triggerEmailsEnabled: settings?.email?.triggerEmailsEnabled ?? DEFAULT_SETTINGS.email.triggerEmailsEnabled,
@@ -150,10 +172,21 @@ function SettingsForm({ settings, onSave, isLoading }) {
           instagram: settings.social?.instagram || DEFAULT_SETTINGS.social.instagram,
           youtube: settings.social?.youtube || DEFAULT_SETTINGS.social.youtube,
         },
+        invoiceIssuer: {
+          documentTitle: settings.invoiceIssuer?.documentTitle || DEFAULT_SETTINGS.invoiceIssuer.documentTitle,
+          name: settings.invoiceIssuer?.name || DEFAULT_SETTINGS.invoiceIssuer.name,
+          tin: settings.invoiceIssuer?.tin ?? DEFAULT_SETTINGS.invoiceIssuer.tin,
+          address: settings.invoiceIssuer?.address || DEFAULT_SETTINGS.invoiceIssuer.address,
+          footerNote: settings.invoiceIssuer?.footerNote ?? DEFAULT_SETTINGS.invoiceIssuer.footerNote,
+        },
         sms: {
           enabled: settings.sms?.enabled ?? DEFAULT_SETTINGS.sms.enabled,
+          provider: settings.sms?.provider || DEFAULT_SETTINGS.sms.provider,
           gatewayDomain: settings.sms?.gatewayDomain || DEFAULT_SETTINGS.sms.gatewayDomain,
           gatewayEmail: settings.sms?.gatewayEmail || DEFAULT_SETTINGS.sms.gatewayEmail,
+          senderName: settings.sms?.senderName || DEFAULT_SETTINGS.sms.senderName,
+          twilioAccountSid: settings.sms?.twilioAccountSid || DEFAULT_SETTINGS.sms.twilioAccountSid,
+          twilioFromNumber: settings.sms?.twilioFromNumber || DEFAULT_SETTINGS.sms.twilioFromNumber,
         },
         email: {
           triggerEmailsEnabled: settings.email?.triggerEmailsEnabled ?? DEFAULT_SETTINGS.email.triggerEmailsEnabled,
@@ -649,6 +682,82 @@ function SettingsForm({ settings, onSave, isLoading }) {
         </div>
       </section>
 
+      {/* Invoice Issuer Section */}
+      <section className={styles.section}>
+        <h3 className={styles.sectionTitle}>Invoice Issuer</h3>
+        <div className={styles.grid}>
+          <div className={styles.field}>
+            <label htmlFor="invoiceIssuer.documentTitle" className={styles.label}>
+              Document Title
+            </label>
+            <input
+              type="text"
+              id="invoiceIssuer.documentTitle"
+              name="invoiceIssuer.documentTitle"
+              value={formData.invoiceIssuer.documentTitle}
+              onChange={handleChange}
+              className={styles.input}
+              placeholder="Official Receipt"
+            />
+          </div>
+          <div className={styles.field}>
+            <label htmlFor="invoiceIssuer.name" className={styles.label}>
+              Registered Name
+            </label>
+            <input
+              type="text"
+              id="invoiceIssuer.name"
+              name="invoiceIssuer.name"
+              value={formData.invoiceIssuer.name}
+              onChange={handleChange}
+              className={styles.input}
+              placeholder="GCF South Metro"
+            />
+          </div>
+          <div className={styles.field}>
+            <label htmlFor="invoiceIssuer.tin" className={styles.label}>
+              TIN
+            </label>
+            <input
+              type="text"
+              id="invoiceIssuer.tin"
+              name="invoiceIssuer.tin"
+              value={formData.invoiceIssuer.tin}
+              onChange={handleChange}
+              className={styles.input}
+              placeholder="000-000-000-000"
+            />
+          </div>
+          <div className={styles.field}>
+            <label htmlFor="invoiceIssuer.address" className={styles.label}>
+              Registered Address
+            </label>
+            <input
+              type="text"
+              id="invoiceIssuer.address"
+              name="invoiceIssuer.address"
+              value={formData.invoiceIssuer.address}
+              onChange={handleChange}
+              className={styles.input}
+            />
+          </div>
+          <div className={styles.fieldFull}>
+            <label htmlFor="invoiceIssuer.footerNote" className={styles.label}>
+              Footer Note
+            </label>
+            <input
+              type="text"
+              id="invoiceIssuer.footerNote"
+              name="invoiceIssuer.footerNote"
+              value={formData.invoiceIssuer.footerNote}
+              onChange={handleChange}
+              className={styles.input}
+              placeholder="BIR permit or tax exemption details printed on generated invoices"
+            />
+          </div>
+        </div>
+      </section>
+
       {/* Social Media Section */}
       <section className={styles.section}>
         <h3 className={styles.sectionTitle}>Social Media</h3>
@@ -749,7 +858,8 @@ function SettingsForm({ settings, onSave, isLoading }) {
         <section className={styles.section}>
           <h3 className={styles.sectionTitle}>SMS Notifications</h3>
           <p className={styles.sectionDescription}>
-            Configure OneWaySMS email-to-SMS gateway for sending text message notifications.
+            Configure the SMS provider used for text message notifications. Only attendees who
+            opted in to SMS at registration receive them.
           </p>
           <div className={styles.grid}>
             <div className={styles.fieldFull}>
@@ -764,46 +874,130 @@ function SettingsForm({ settings, onSave, isLoading }) {
                 <span>Enable SMS Notifications</span>
               </label>
               <p className={styles.fieldHint}>
-                When enabled, SMS notifications will be sent for registration confirmations and
-                payment confirmations.
-              </p>
-            </div>
-            <div className={styles.field}>
-              <label htmlFor="sms.gatewayDomain" className={styles.label}>
-                Gateway Domain
-              </label>
-              <input
-                type="text"
-                id="sms.gatewayDomain"
-                name="sms.gatewayDomain"
-                value={formData.sms.gatewayDomain}
-                onChange={handleChange}
-                className={styles.input}
-                placeholder="1.onewaysms.asia"
-                disabled={!formData.sms.enabled}
-              />
-              <p className={styles.fieldHint}>
-                SMS gateway domain (e.g., 1.onewaysms.asia)
+                When enabled, SMS notifications will be sent for registration confirmations, payment
+                confirmations, waitlist offers and reminders.
               </p>
             </div>
             <div className={styles.field}>
-              <label htmlFor="sms.gatewayEmail" className={styles.label}>
-                Gateway Email (Optional)
+              <label htmlFor="sms.provider" className={styles.label}>
+                Provider
               </label>
-              <input
-                type="email"
-                id="sms.gatewayEmail"
-                name="sms.gatewayEmail"
-                value={formData.sms.gatewayEmail}
+              <select
+                id="sms.provider"
+                name="sms.provider"
+                value={formData.sms.provider}
                 onChange={handleChange}
-                className={styles.input}
-                placeholder="Leave empty to use phone@domain format"
+                className={styles.select}
                 disabled={!formData.sms.enabled}
-              />
+              >
+                {Object.entries(SMS_PROVIDER_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
               <p className={styles.fieldHint}>
-                Direct gateway email if required by your SMS provider
+                {formData.sms.provider === SMS_PROVIDER.SEMAPHORE || formData.sms.provider === SMS_PROVIDER.TWILIO
+                  ? 'The API key (Twilio auth token) is stored in the SMS_API_KEY secret, not here.'
+                  : 'The Functions emulator always logs messages instead of sending them.'}
               </p>
             </div>
+            {formData.sms.provider === SMS_PROVIDER.ONEWAYSMS && (
+              <>
+                <div className={styles.field}>
+                  <label htmlFor="sms.gatewayDomain" className={styles.label}>
+                    Gateway Domain
+                  </label>
+                  <input
+                    type="text"
+                    id="sms.gatewayDomain"
+                    name="sms.gatewayDomain"
+                    value={formData.sms.gatewayDomain}
+                    onChange={handleChange}
+                    className={styles.input}
+                    placeholder="1.onewaysms.asia"
+                    disabled={!formData.sms.enabled}
+                  />
+                  <p className={styles.fieldHint}>
+                    SMS gateway domain (e.g., 1.onewaysms.asia)
+                  </p>
+                </div>
+                <div className={styles.field}>
+                  <label htmlFor="sms.gatewayEmail" className={styles.label}>
+                    Gateway Email (Optional)
+                  </label>
+                  <input
+                    type="email"
+                    id="sms.gatewayEmail"
+                    name="sms.gatewayEmail"
+                    value={formData.sms.gatewayEmail}
+                    onChange={handleChange}
+                    className={styles.input}
+                    placeholder="Leave empty to use phone@domain format"
+                    disabled={!formData.sms.enabled}
+                  />
+                  <p className={styles.fieldHint}>
+                    Direct gateway email if required by your SMS provider
+                  </p>
+                </div>
+              </>
+            )}
+            {formData.sms.provider === SMS_PROVIDER.SEMAPHORE && (
+              <div className={styles.field}>
+                <label htmlFor="sms.senderName" className={styles.label}>
+                  Sender Name (Optional)
+                </label>
+                <input
+                  type="text"
+                  id="sms.senderName"
+                  name="sms.senderName"
+                  value={formData.sms.senderName}
+                  onChange={handleChange}
+                  className={styles.input}
+                  placeholder="IDMC"
+                  maxLength={11}
+                  disabled={!formData.sms.enabled}
+                />
+                <p className={styles.fieldHint}>
+                  Sender name registered with Semaphore. Leave empty to use the default.
+                </p>
+              </div>
+            )}
+            {formData.sms.provider === SMS_PROVIDER.TWILIO && (
+              <>
+                <div className={styles.field}>
+                  <label htmlFor="sms.twilioAccountSid" className={styles.label}>
+                    Account SID
+                  </label>
+                  <input
+                    type="text"
+                    id="sms.twilioAccountSid"
+                    name="sms.twilioAccountSid"
+                    value={formData.sms.twilioAccountSid}
+                    onChange={handleChange}
+                    className={styles.input}
+                    placeholder="ACxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx"
+                    disabled={!formData.sms.enabled}
+                  />
+                </div>
+                <div className={styles.field}>
+                  <label htmlFor="sms.twilioFromNumber" className={styles.label}>
+                    Sender Number
+                  </label>
+                  <input
+                    type="text"
+                    id="sms.twilioFromNumber"
+                    name="sms.twilioFromNumber"
+                    value={formData.sms.twilioFromNumber}
+                    onChange={handleChange}
+                    className={styles.input}
+                    placeholder="+15551234567 or MGxxxxxxxx"
+                    disabled={!formData.sms.enabled}
+                  />
+                  <p className={styles.fieldHint}>
+                    Twilio phone number or messaging service SID
+                  </p>
+                </div>
+              </>
+            )}
           </div>
         </section>
       )}
@@ -869,8 +1063,12 @@ SettingsForm.propTypes = {
     }),
     sms: PropTypes.shape({
       enabled: PropTypes.bool,
+      provider: PropTypes.string,
       gatewayDomain: PropTypes.string,
       gatewayEmail: PropTypes.string,
+      senderName: PropTypes.string,
+      twilioAccountSid: PropTypes.string,
+      twilioFromNumber: PropTypes.string,
     }),
   }),
   onSave: PropTypes.func.isRequired,
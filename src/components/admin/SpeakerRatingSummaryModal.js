@@ -0,0 +1,219 @@
+/**
+ * SpeakerRatingSummaryModal Component
+ * Previews a speaker's session ratings and emails them a private summary.
+ * The speaker's email is kept in the admin-only speaker contacts, since
+ * speaker profiles are public.
+ *
+ * @module components/admin/SpeakerRatingSummaryModal
+ */
+
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { sendSpeakerRatingSummary } from '../../services';
+import { useAdminAuth, useToast } from '../../context';
+import styles from './SpeakerRatingSummaryModal.module.css';
+
+/**
+ * Formats a date for display
+ *
+ * @param {Date|string} date - Date to format
+ * @returns {string} Formatted date string
+ */
+function formatDate(date) {
+  const d = date instanceof Date ? date : new Date(date);
+  if (Number.isNaN(d.getTime())) {
+    return '—';
+  }
+
+  return d.toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+/**
+ * SpeakerRatingSummaryModal Component
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether modal is open
+ * @param {Function} props.onClose - Close handler
+ * @param {Object} props.summary - Speaker summary from summarizeSpeakerRatings
+ * @param {Object} [props.contact] - Stored speaker contact ({ email, lastSummarySentAt })
+ * @param {Function} [props.onSent] - Called with the speaker ID and email after sending
+ * @returns {JSX.Element|null} The modal component
+ */
+function SpeakerRatingSummaryModal({ isOpen, onClose, summary, contact, onSent }) {
+  const { admin } = useAdminAuth();
+  const { showToast } = useToast();
+  const [email, setEmail] = useState('');
+  const [isSending, setIsSending] = useState(false);
+  const [sendError, setSendError] = useState(null);
+
+  /**
+   * Prefill the stored email whenever a different speaker is opened
+   */
+  useEffect(() => {
+    if (isOpen) {
+      setEmail(contact?.email || '');
+      setSendError(null);
+    }
+  }, [isOpen, contact, summary?.speakerId]);
+
+  if (!isOpen || !summary) {
+    return null;
+  }
+
+  const ratedSessions = summary.sessions.filter((session) => session.count > 0);
+
+  /**
+   * Sends the summary email
+   */
+  const handleSend = async () => {
+    setIsSending(true);
+    setSendError(null);
+
+    try {
+      const result = await sendSpeakerRatingSummary(
+        summary.speakerId,
+        email,
+        admin?.id,
+        admin?.email
+      );
+      showToast(
+        `Summary of ${result.ratingCount} rating(s) sent to ${email.trim()}`,
+        'success'
+      );
+      if (onSent) {
+        onSent(summary.speakerId, email.trim().toLowerCase());
+      }
+      onClose();
+    } catch (error) {
+      console.error('Failed to send speaker rating summary:', error);
+      let errorMessage = 'Failed to send the summary. Please try again.';
+      if (error.code === 'functions/permission-denied') {
+        errorMessage = 'You do not have permission to send speaker summaries.';
+      } else if (error.code === 'functions/not-found') {
+        errorMessage = 'Speaker not found.';
+      } else if (error.message) {
+        errorMessage = error.message;
+      }
+      setSendError(errorMessage);
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <div className={styles.overlay} onClick={onClose} role="presentation">
+      <div
+        className={styles.modal}
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="speaker-summary-modal-title"
+      >
+        <div className={styles.header}>
+          <h2 id="speaker-summary-modal-title">Send Rating Summary</h2>
+          <button
+            className={styles.closeButton}
+            onClick={onClose}
+            aria-label="Close modal"
+            type="button"
+          >
+            ×
+          </button>
+        </div>
+
+        <div className={styles.content}>
+          <section className={styles.section}>
+            <h3>{summary.name}</h3>
+            <p className={styles.overview}>
+              Average <strong>{summary.average ?? '-'} / 5</strong> from {summary.count} rating(s)
+              across {ratedSessions.length} session(s).
+            </p>
+            <ul className={styles.sessionList}>
+              {ratedSessions.map((session) => (
+                <li key={session.sessionId} className={styles.sessionRow}>
+                  <span className={styles.sessionTitle}>{session.title}</span>
+                  <span className={styles.sessionScore}>
+                    {session.average} / 5 · {session.count} rating(s) · {session.comments.length} comment(s)
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </section>
+
+          <section className={styles.section}>
+            <label htmlFor="speaker-summary-email" className={styles.label}>
+              Speaker Email
+            </label>
+            <input
+              id="speaker-summary-email"
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              className={styles.input}
+              placeholder="speaker@example.com"
+              disabled={isSending}
+            />
+            <p className={styles.hint}>
+              Kept privately for next time; it is not shown on the speaker&apos;s public profile.
+              {contact?.lastSummarySentAt && (
+                <> Last sent {formatDate(contact.lastSummarySentAt)}.</>
+              )}
+            </p>
+          </section>
+
+          {sendError && <p className={styles.errorMessage} role="alert">{sendError}</p>}
+        </div>
+
+        <div className={styles.footer}>
+          <button
+            type="button"
+            onClick={onClose}
+            className={styles.cancelButton}
+            disabled={isSending}
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleSend}
+            className={styles.primaryButton}
+            disabled={isSending || !email.trim() || ratedSessions.length === 0}
+          >
+            {isSending ? 'Sending...' : 'Send Summary'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+SpeakerRatingSummaryModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  summary: PropTypes.shape({
+    speakerId: PropTypes.string.isRequired,
+    name: PropTypes.string,
+    count: PropTypes.number,
+    average: PropTypes.number,
+    sessions: PropTypes.arrayOf(PropTypes.object),
+  }),
+  contact: PropTypes.shape({
+    email: PropTypes.string,
+    lastSummarySentAt: PropTypes.oneOfType([PropTypes.instanceOf(Date), PropTypes.string]),
+  }),
+  onSent: PropTypes.func,
+};
+
+SpeakerRatingSummaryModal.defaultProps = {
+  summary: null,
+  contact: null,
+  onSent: null,
+};
+
+export default SpeakerRatingSummaryModal;
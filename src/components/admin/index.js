@@ -15,8 +15,10 @@ export { default as RecentRegistrations } from './RecentRegistrations';
 export { default as QuickActions } from './QuickActions';
 export { default as SettingsForm } from './SettingsForm';
 export { default as CapacitySettingsForm } from './CapacitySettingsForm';
+export { default as ReminderSettingsForm } from './ReminderSettingsForm';
 export { default as RefundPolicySettings } from './RefundPolicySettings';
 export { default as PricingTierManager } from './PricingTierManager';
+export { default as GroupDiscountRuleManager } from './GroupDiscountRuleManager';
 export { default as UserTable } from './UserTable';
 export { default as InviteUserModal } from './InviteUserModal';
 export { default as ActivityLogTable } from './ActivityLogTable';
@@ -35,6 +37,7 @@ export { default as InquiryDetailModal } from './InquiryDetailModal';
 export { default as ReplyInquiryModal } from './ReplyInquiryModal';
 export { default as InvoicesTable } from './InvoicesTable';
 export { default as InvoiceDetailModal } from './InvoiceDetailModal';
+export { default as RefundDetailModal } from './RefundDetailModal';
 export { default as AdminLoadingFallback } from './AdminLoadingFallback';
 export { default as FoodMenuTable } from './FoodMenuTable';
 export { default as FoodItemFormModal } from './FoodItemFormModal';
@@ -42,11 +45,21 @@ export { default as FoodMenuManager } from './FoodMenuManager';
 export { default as WhatToBringTable } from './WhatToBringTable';
 export { default as WhatToBringItemFormModal } from './WhatToBringItemFormModal';
 export { default as WhatToBringManager } from './WhatToBringManager';
+export { default as EmailTemplateManager } from './EmailTemplateManager';
 export { default as TopChurchesCard } from './TopChurchesCard';
 export { default as DownloadStatsCard } from './DownloadStatsCard';
 export { default as FoodStatsCard } from './FoodStatsCard';
 export { default as FeedbackSettingsManager } from './FeedbackSettingsManager';
 export { default as FormFieldEditor } from './FormFieldEditor';
+export { default as FormFieldList } from './FormFieldList';
+export { default as RegistrationQuestionsManager } from './RegistrationQuestionsManager';
 export { default as FeedbackResponsesTable } from './FeedbackResponsesTable';
 export { default as FeedbackResponseDetailModal } from './FeedbackResponseDetailModal';
+export { default as FeedbackAnalytics } from './FeedbackAnalytics';
+export { default as SpeakerRatingSummaryModal } from './SpeakerRatingSummaryModal';
 export { default as WorkshopAttendeesModal } from './WorkshopAttendeesModal';
+export { default as BankStatementReconciliationModal } from './BankStatementReconciliationModal';
+export { default as BadgePrintModal } from './BadgePrintModal';
+export { default as CertificateTemplateEditor } from './CertificateTemplateEditor';
+export { default as ArchiveFormModal } from './ArchiveFormModal';
+export { default as CampaignFormModal } from './CampaignFormModal';
@@ -6,7 +6,7 @@
  */
 
 import { useState, useCallback, useRef, useEffect } from 'react';
-import { searchRegistrations } from '../../services';
+import { searchRegistrationsForCheckIn } from '../../services';
 import styles from './ManualSearch.module.css';
 
 /**
@@ -52,6 +52,7 @@ function ManualSearch({ onSelect, autoFocus = false }) {
   const [isSearching, setIsSearching] = useState(false);
   const [hasSearched, setHasSearched] = useState(false);
   const [error, setError] = useState(null);
+  const [isFromCache, setIsFromCache] = useState(false);
   const inputRef = useRef(null);
 
   /**
@@ -68,8 +69,9 @@ function ManualSearch({ onSelect, autoFocus = false }) {
     setError(null);
 
     try {
-      const searchResults = await searchRegistrations(term);
+      const { results: searchResults, fromCache } = await searchRegistrationsForCheckIn(term);
       setResults(searchResults);
+      setIsFromCache(fromCache);
       setHasSearched(true);
     } catch (err) {
       console.error('Search error:', err);
@@ -244,6 +246,7 @@ function ManualSearch({ onSelect, autoFocus = false }) {
             <>
               <p className={styles.resultCount}>
                 {results.length} result{results.length !== 1 ? 's' : ''} found
+                {isFromCache && ' in the offline roster'}
               </p>
               <ul className={styles.resultsList}>
                 {results.map((registration) => (
@@ -0,0 +1,396 @@
+/**
+ * SessionAttendancePanel Component
+ * Door scanning for individual sessions and workshops. Volunteers pick a session,
+ * then scan badges or search registrations to record attendance.
+ *
+ * @module components/checkin/SessionAttendancePanel
+ */
+
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import QRScanner from './QRScanner';
+import ManualSearch from './ManualSearch';
+import { useAdminAuth } from '../../context';
+import {
+  parseQRCode,
+  getRegistrationForCheckIn,
+  getStationId,
+  validateSessionAttendance,
+  getSessionAttendanceCount,
+  recordSessionAttendance,
+  subscribeToSessionAttendance,
+  CHECK_IN_METHODS,
+} from '../../services';
+import { getPublishedSessions } from '../../services/sessions';
+import { getVenueRooms } from '../../services/venue';
+import { getTrackableSessions, getSessionCapacity } from '../../utils';
+import { SESSION_TYPE_LABELS } from '../../constants';
+import styles from './SessionAttendancePanel.module.css';
+
+/**
+ * Input modes for identifying attendees
+ */
+const INPUT_MODES = {
+  QR: 'qr',
+  MANUAL: 'manual',
+};
+
+/**
+ * Number of recent scans shown under the scanner
+ */
+const RECENT_SCAN_LIMIT = 8;
+
+/**
+ * Time in milliseconds during which the same badge is ignored,
+ * since the scanner keeps reading a badge held in front of the camera
+ */
+const REPEAT_SCAN_INTERVAL = 4000;
+
+/**
+ * Formats a scan time
+ *
+ * @param {Date|string|null} value - Scan time
+ * @returns {string} Formatted time
+ */
+function formatTime(value) {
+  if (!value) return '';
+  return new Date(value).toLocaleTimeString('en-PH', {
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+/**
+ * SessionAttendancePanel Component
+ *
+ * @returns {JSX.Element} The session attendance panel
+ */
+function SessionAttendancePanel() {
+  const { admin } = useAdminAuth();
+  const [sessions, setSessions] = useState([]);
+  const [venueRooms, setVenueRooms] = useState([]);
+  const [sessionId, setSessionId] = useState('');
+  const [records, setRecords] = useState([]);
+  const [inputMode, setInputMode] = useState(INPUT_MODES.QR);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isRecording, setIsRecording] = useState(false);
+  const [pendingScan, setPendingScan] = useState(null);
+  const [searchRegistration, setSearchRegistration] = useState(null);
+  const [result, setResult] = useState(null);
+  const lastScanRef = useRef({ data: null, at: 0 });
+
+  /**
+   * Loads sessions and venue rooms
+   */
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        const [sessionData, roomData] = await Promise.all([
+          getPublishedSessions(),
+          getVenueRooms(),
+        ]);
+        setSessions(getTrackableSessions(sessionData));
+        setVenueRooms(roomData);
+      } catch (fetchError) {
+        console.error('Failed to load sessions:', fetchError);
+        setResult({ type: 'error', message: 'Failed to load sessions. Please refresh the page.' });
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchData();
+  }, []);
+
+  /**
+   * Subscribes to attendance for the selected session
+   */
+  useEffect(() => {
+    setRecords([]);
+    if (!sessionId) {
+      return undefined;
+    }
+    return subscribeToSessionAttendance(sessionId, setRecords);
+  }, [sessionId]);
+
+  const session = useMemo(
+    () => sessions.find((item) => item.id === sessionId) || null,
+    [sessions, sessionId]
+  );
+  const capacity = getSessionCapacity(session, venueRooms);
+  const walkInCount = records.filter((record) => record.enrolled === false).length;
+
+  /**
+   * Writes the attendance record
+   */
+  const saveAttendance = useCallback(async (registration, attendeeIndex, method) => {
+    setIsRecording(true);
+    try {
+      const record = await recordSessionAttendance(session, registration, attendeeIndex, {
+        adminId: admin?.id,
+        adminName: admin?.displayName || admin?.email,
+        adminEmail: admin?.email,
+        method,
+        capacity,
+        stationId: getStationId(),
+      });
+      setResult({ type: 'success', message: `${record.attendeeName} recorded for ${session.title}` });
+    } catch (recordError) {
+      console.error('Failed to record session attendance:', recordError);
+      setResult({
+        type: 'error',
+        message: recordError.code ? recordError.message : 'Failed to record attendance. Please try again.',
+      });
+    } finally {
+      setIsRecording(false);
+      setPendingScan(null);
+    }
+  }, [session, capacity, admin]);
+
+  /**
+   * Validates an attendee and records them, or asks the volunteer to confirm warnings.
+   * Capacity is checked against a fresh count, since other stations may be
+   * scanning into the same room.
+   */
+  const handleAttendee = useCallback(async (registration, attendeeIndex, method) => {
+    let attendanceCount = 0;
+    if (session && capacity !== null) {
+      try {
+        attendanceCount = await getSessionAttendanceCount(session.id);
+      } catch (countError) {
+        console.error('Failed to count session attendance:', countError);
+        setResult({ type: 'error', message: 'Failed to check room capacity. Please try again.' });
+        return;
+      }
+    }
+
+    const validation = validateSessionAttendance(session, registration, attendeeIndex, {
+      capacity,
+      attendanceCount,
+    });
+
+    if (!validation.valid) {
+      setResult({ type: 'error', message: validation.message });
+      return;
+    }
+
+    if (validation.warnings.length > 0) {
+      setResult(null);
+      setPendingScan({
+        registration,
+        attendeeIndex,
+        method,
+        attendeeName: validation.attendeeName,
+        warnings: validation.warnings,
+      });
+      return;
+    }
+
+    await saveAttendance(registration, attendeeIndex, method);
+  }, [session, capacity, saveAttendance]);
+
+  /**
+   * Handles a scanned badge
+   */
+  const handleScan = useCallback(async (qrData) => {
+    const now = Date.now();
+    if (lastScanRef.current.data === qrData && now - lastScanRef.current.at < REPEAT_SCAN_INTERVAL) {
+      return;
+    }
+    lastScanRef.current = { data: qrData, at: now };
+
+    const { valid, registrationId, attendeeIndex } = parseQRCode(qrData);
+    if (!valid || !registrationId) {
+      setResult({ type: 'error', message: 'Invalid QR code. Please try again.' });
+      return;
+    }
+
+    try {
+      const registration = await getRegistrationForCheckIn(registrationId);
+      if (!registration) {
+        setResult({ type: 'error', message: `Registration ${registrationId} not found.` });
+        return;
+      }
+      // Legacy QR codes without an attendee index belong to the primary attendee
+      await handleAttendee(registration, attendeeIndex ?? 0, CHECK_IN_METHODS.QR);
+    } catch (scanError) {
+      console.error('Failed to fetch registration:', scanError);
+      setResult({ type: 'error', message: 'Failed to fetch registration. Please try again.' });
+    }
+  }, [handleAttendee]);
+
+  /**
+   * Handles scanner errors
+   */
+  const handleScannerError = useCallback((scannerError) => {
+    console.error('Scanner error:', scannerError);
+    setResult({ type: 'error', message: scannerError.message || 'Scanner error. Please try again.' });
+  }, []);
+
+  /**
+   * Records an attendee picked from a search result
+   */
+  const handleSearchAttendee = async (attendeeIndex) => {
+    const registration = searchRegistration;
+    setSearchRegistration(null);
+    await handleAttendee(registration, attendeeIndex, CHECK_IN_METHODS.MANUAL);
+  };
+
+  const searchAttendees = searchRegistration
+    ? [searchRegistration.primaryAttendee, ...(searchRegistration.additionalAttendees || [])]
+    : [];
+
+  if (isLoading) {
+    return (
+      <div className={styles.loading}>
+        <div className={styles.spinner} />
+        <p>Loading sessions...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className={styles.container}>
+      <div className={styles.sessionPicker}>
+        <label htmlFor="attendanceSession" className={styles.label}>Session</label>
+        <select
+          id="attendanceSession"
+          className={styles.select}
+          value={sessionId}
+          onChange={(e) => {
+            setSessionId(e.target.value);
+            setPendingScan(null);
+            setSearchRegistration(null);
+            setResult(null);
+          }}
+        >
+          <option value="">Select a session or workshop</option>
+          {sessions.map((item) => (
+            <option key={item.id} value={item.id}>
+              Day {item.day} {item.startTime} - {item.title} ({SESSION_TYPE_LABELS[item.sessionType] || item.sessionType})
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {session && (
+        <div className={styles.stats}>
+          <span>
+            <strong>{records.length}</strong>
+            {capacity !== null ? ` / ${capacity}` : ''} attended
+          </span>
+          {session.venue && <span>{session.venue}</span>}
+          {walkInCount > 0 && <span><strong>{walkInCount}</strong> not enrolled</span>}
+          {capacity !== null && records.length >= capacity && (
+            <span className={styles.full}>Room is full</span>
+          )}
+        </div>
+      )}
+
+      {result && (
+        <div className={result.type === 'success' ? styles.successBanner : styles.errorBanner}>
+          <span>{result.message}</span>
+          <button onClick={() => setResult(null)} aria-label="Dismiss">&times;</button>
+        </div>
+      )}
+
+      {pendingScan && (
+        <div className={styles.warningCard}>
+          <strong>{pendingScan.attendeeName}</strong>
+          <ul>
+            {pendingScan.warnings.map((warning) => (
+              <li key={warning.code}>{warning.message}</li>
+            ))}
+          </ul>
+          <div className={styles.actions}>
+            <button
+              className={styles.secondaryButton}
+              onClick={() => setPendingScan(null)}
+              disabled={isRecording}
+            >
+              Don&apos;t Admit
+            </button>
+            <button
+              className={styles.primaryButton}
+              onClick={() => saveAttendance(
+                pendingScan.registration,
+                pendingScan.attendeeIndex,
+                pendingScan.method
+              )}
+              disabled={isRecording}
+            >
+              {isRecording ? 'Recording...' : 'Admit Anyway'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {searchRegistration && !pendingScan && (
+        <div className={styles.attendeePicker}>
+          <p>Select the attendee entering the session:</p>
+          {searchAttendees.map((attendee, index) => (
+            attendee && (
+              <button
+                key={index}
+                className={styles.attendeeButton}
+                onClick={() => handleSearchAttendee(index)}
+                disabled={isRecording}
+              >
+                {`${attendee.firstName || ''} ${attendee.lastName || ''}`.trim()}
+                {index === 0 && <span>Primary</span>}
+              </button>
+            )
+          ))}
+          <button className={styles.secondaryButton} onClick={() => setSearchRegistration(null)}>
+            Cancel
+          </button>
+        </div>
+      )}
+
+      {session && !searchRegistration && (
+        <>
+          <div className={styles.inputTabs}>
+            <button
+              className={`${styles.inputTab} ${inputMode === INPUT_MODES.QR ? styles.active : ''}`}
+              onClick={() => setInputMode(INPUT_MODES.QR)}
+            >
+              Scan Badge
+            </button>
+            <button
+              className={`${styles.inputTab} ${inputMode === INPUT_MODES.MANUAL ? styles.active : ''}`}
+              onClick={() => setInputMode(INPUT_MODES.MANUAL)}
+            >
+              Search
+            </button>
+          </div>
+
+          {inputMode === INPUT_MODES.QR ? (
+            <QRScanner
+              onScan={handleScan}
+              onError={handleScannerError}
+              isActive={!isRecording && !pendingScan}
+            />
+          ) : (
+            <ManualSearch onSelect={setSearchRegistration} autoFocus />
+          )}
+        </>
+      )}
+
+      {session && records.length > 0 && (
+        <div className={styles.recent}>
+          <h3>Recent scans</h3>
+          <ul>
+            {records.slice(0, RECENT_SCAN_LIMIT).map((record) => (
+              <li key={record.id}>
+                <span>{record.attendeeName}</span>
+                {record.enrolled === false && <span className={styles.tag}>Not enrolled</span>}
+                <span className={styles.time}>{formatTime(record.scannedAt)}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SessionAttendancePanel;
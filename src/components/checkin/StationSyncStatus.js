@@ -0,0 +1,152 @@
+/**
+ * StationSyncStatus Component
+ * Shows a check-in station's connection, offline roster, queued check-ins,
+ * and any conflicts found while syncing.
+ *
+ * @module components/checkin/StationSyncStatus
+ */
+
+import PropTypes from 'prop-types';
+import styles from './StationSyncStatus.module.css';
+
+/**
+ * Formats a millisecond timestamp as a time of day
+ *
+ * @param {number|null} millis - Timestamp in milliseconds
+ * @returns {string} Formatted time or 'Never'
+ */
+function formatTime(millis) {
+  if (!millis) return 'Never';
+  return new Date(millis).toLocaleTimeString('en-PH', {
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+/**
+ * Describes a sync conflict for station staff
+ *
+ * @param {Object} conflict - Conflict from getCheckInConflicts
+ * @returns {string} Conflict description
+ */
+function describeConflict(conflict) {
+  const details = [
+    conflict.remoteCheckedInByName && `by ${conflict.remoteCheckedInByName}`,
+    conflict.remoteStationId && `at ${conflict.remoteStationId}`,
+    conflict.remoteCheckedInAt && formatTime(conflict.remoteCheckedInAt),
+  ].filter(Boolean).join(', ');
+
+  const reason = details ? `${conflict.reason} (${details})` : conflict.reason;
+  return `${reason}. This station checked them in at ${formatTime(conflict.localCheckedInAt)}.`;
+}
+
+/**
+ * StationSyncStatus Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.status - Station status from subscribeToOfflineCheckInStatus
+ * @param {Function} props.onSync - Callback to sync queued check-ins
+ * @param {Function} props.onRefreshRoster - Callback to re-download the offline roster
+ * @param {Function} props.onDismissConflict - Callback with a conflict ID once reviewed
+ * @param {boolean} [props.isRefreshingRoster=false] - Whether the roster is downloading
+ * @returns {JSX.Element} The station status panel
+ */
+function StationSyncStatus({
+  status,
+  onSync,
+  onRefreshRoster,
+  onDismissConflict,
+  isRefreshingRoster,
+}) {
+  const {
+    stationId,
+    isOnline,
+    isSyncing,
+    pendingCount,
+    conflicts,
+    rosterCachedAt,
+    rosterCount,
+    lastSyncedAt,
+  } = status;
+
+  return (
+    <div className={styles.container}>
+      <div className={styles.summary}>
+        <span className={`${styles.connection} ${isOnline ? styles.online : styles.offline}`}>
+          <span className={styles.dot} />
+          {isOnline ? 'Online' : 'Offline'}
+        </span>
+        <span className={styles.item}>Station <strong>{stationId}</strong></span>
+        <span className={styles.item}>
+          <strong>{pendingCount}</strong> pending sync
+        </span>
+        <span className={styles.item}>Last synced {formatTime(lastSyncedAt)}</span>
+        <span className={styles.item}>
+          Roster: {rosterCachedAt ? `${rosterCount} as of ${formatTime(rosterCachedAt)}` : 'not downloaded'}
+        </span>
+
+        <div className={styles.actions}>
+          <button
+            className={styles.actionButton}
+            onClick={onRefreshRoster}
+            disabled={!isOnline || isRefreshingRoster}
+          >
+            {isRefreshingRoster ? 'Downloading...' : 'Refresh Roster'}
+          </button>
+          <button
+            className={styles.actionButton}
+            onClick={onSync}
+            disabled={!isOnline || isSyncing || pendingCount === 0}
+          >
+            {isSyncing ? 'Syncing...' : 'Sync Now'}
+          </button>
+        </div>
+      </div>
+
+      {!isOnline && (
+        <p className={styles.notice}>
+          Check-ins are saved on this device and will sync automatically when the connection returns.
+        </p>
+      )}
+
+      {conflicts.length > 0 && (
+        <ul className={styles.conflicts}>
+          {conflicts.map((conflict) => (
+            <li key={conflict.id} className={styles.conflict}>
+              <div>
+                <strong>{conflict.attendeeName || conflict.registrationId}</strong>
+                <span>{describeConflict(conflict)}</span>
+              </div>
+              <button onClick={() => onDismissConflict(conflict.id)} aria-label="Dismiss conflict">
+                &times;
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+StationSyncStatus.propTypes = {
+  status: PropTypes.shape({
+    stationId: PropTypes.string,
+    isOnline: PropTypes.bool,
+    isSyncing: PropTypes.bool,
+    pendingCount: PropTypes.number,
+    conflicts: PropTypes.array,
+    rosterCachedAt: PropTypes.number,
+    rosterCount: PropTypes.number,
+    lastSyncedAt: PropTypes.number,
+  }).isRequired,
+  onSync: PropTypes.func.isRequired,
+  onRefreshRoster: PropTypes.func.isRequired,
+  onDismissConflict: PropTypes.func.isRequired,
+  isRefreshingRoster: PropTypes.bool,
+};
+
+StationSyncStatus.defaultProps = {
+  isRefreshingRoster: false,
+};
+
+export default StationSyncStatus;
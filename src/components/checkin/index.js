@@ -10,3 +10,5 @@ export { default as ManualSearch } from './ManualSearch';
 export { default as AttendeeCard } from './AttendeeCard';
 export { default as CheckInStats } from './CheckInStats';
 export { default as RecentCheckIns } from './RecentCheckIns';
+export { default as StationSyncStatus } from './StationSyncStatus';
+export { default as SessionAttendancePanel } from './SessionAttendancePanel';
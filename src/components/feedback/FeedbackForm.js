@@ -1,13 +1,25 @@
 /**
  * FeedbackForm Component
  * Dynamic form that renders fields based on configuration from admin settings.
+ * Page break fields split the form into pages with a progress indicator.
  *
  * @module components/feedback/FeedbackForm
  */
 
 import { useState, useCallback, useMemo, useRef } from 'react';
 import PropTypes from 'prop-types';
-import { submitFeedback } from '../../services/feedback';
+import { submitFeedback, FEEDBACK_ERROR_CODES } from '../../services/feedback';
+import {
+  sortFormFields,
+  isFieldVisible,
+  getInitialFieldValues,
+  validateFieldValues,
+  getVisibleFieldValues,
+  splitFormPages,
+  DEFAULT_RATING_SCALE,
+  NPS_MIN,
+  NPS_MAX,
+} from '../../utils';
 import styles from './FeedbackForm.module.css';
 
 /**
@@ -16,56 +28,6 @@ import styles from './FeedbackForm.module.css';
  */
 const SPAM_LOG_INTERVAL_MS = 60000;
 
-/**
- * Gets a nested value from an object using dot notation path.
- *
- * @param {Object} obj - The object to get value from
- * @param {string} path - Dot notation path (e.g., 'field.subfield')
- * @returns {*} The value at the path or undefined
- */
-function getNestedValue(obj, path) {
-  return path.split('.').reduce((current, key) => current?.[key], obj);
-}
-
-/**
- * Checks if a field should be visible based on conditional logic.
- * Supports checkbox (boolean), checkboxGroup (option ID), and radio (option ID) conditions.
- *
- * @param {Object} field - The field definition
- * @param {Object} formData - Current form data
- * @returns {boolean} True if field should be visible
- */
-function isFieldVisible(field, formData) {
-  if (!field.conditionalOn) {
-    return true;
-  }
-
-  const { field: conditionField, value: conditionValue } = field.conditionalOn;
-
-  // Handle nested paths (e.g., "fieldId.optionId" for legacy checkboxGroup conditions)
-  if (conditionField.includes('.')) {
-    const currentValue = getNestedValue(formData, conditionField);
-    return currentValue === conditionValue;
-  }
-
-  const fieldValue = formData[conditionField];
-
-  // Determine field type from form data structure
-  if (typeof fieldValue === 'boolean') {
-    // Checkbox field - compare boolean values
-    return fieldValue === conditionValue;
-  } else if (typeof fieldValue === 'object' && fieldValue !== null) {
-    // CheckboxGroup field - conditionValue is the option ID
-    // Check if that specific option is checked
-    return fieldValue[conditionValue] === true;
-  } else if (typeof fieldValue === 'string') {
-    // Radio field - compare the selected option ID with condition value
-    return fieldValue === conditionValue;
-  }
-
-  return false;
-}
-
 /**
  * Initializes form data based on field definitions.
  *
@@ -73,31 +35,7 @@ function isFieldVisible(field, formData) {
  * @returns {Object} Initial form data
  */
 function initializeFormData(fields) {
-  const data = { honeypot: '' };
-
-  fields.forEach((field) => {
-    switch (field.type) {
-      case 'checkbox':
-        data[field.id] = false;
-        break;
-      case 'checkboxGroup':
-        data[field.id] = {};
-        field.options?.forEach((opt) => {
-          data[field.id][opt.id] = false;
-        });
-        break;
-      case 'radio':
-        data[field.id] = '';
-        break;
-      case 'text':
-      case 'textarea':
-      default:
-        data[field.id] = '';
-        break;
-    }
-  });
-
-  return data;
+  return { honeypot: '', ...getInitialFieldValues(fields) };
 }
 
 /**
@@ -107,21 +45,28 @@ function initializeFormData(fields) {
  * @param {Object} props - Component props
  * @param {Array} props.fields - Array of field definitions
  * @param {Function} [props.onSuccess] - Callback when form is successfully submitted
+ * @param {string} [props.registrationId] - Registration the feedback link was sent for
  * @returns {JSX.Element} The feedback form component
  */
-function FeedbackForm({ fields, onSuccess }) {
+function FeedbackForm({ fields, onSuccess, registrationId }) {
   const initialData = useMemo(() => initializeFormData(fields), [fields]);
   const [formData, setFormData] = useState(initialData);
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [submitStatus, setSubmitStatus] = useState(null);
+  const [pageIndex, setPageIndex] = useState(0);
   const lastSpamLogTimeRef = useRef(0);
+  const formRef = useRef(null);
 
   // Sort fields by order
-  const sortedFields = useMemo(
-    () => [...fields].sort((a, b) => (a.order || 0) - (b.order || 0)),
-    [fields]
-  );
+  const sortedFields = useMemo(() => sortFormFields(fields), [fields]);
+  const pages = useMemo(() => splitFormPages(fields), [fields]);
+
+  // Pages whose fields are all hidden by conditional logic are skipped
+  const visiblePages = pages.filter((page) => page.fields.some((field) => isFieldVisible(field, formData)));
+  const currentPageIndex = Math.min(pageIndex, Math.max(visiblePages.length - 1, 0));
+  const currentPage = visiblePages[currentPageIndex];
+  const isLastPage = currentPageIndex >= visiblePages.length - 1;
 
   /**
    * Handles text input changes
@@ -164,53 +109,74 @@ function FeedbackForm({ fields, onSuccess }) {
   }, []);
 
   /**
-   * Validates the form before submission
-   *
-   * @returns {boolean} True if form is valid
+   * Handles changes for fields whose value is set directly (ratings, scores,
+   * numbers, dates)
    */
-  const validateForm = useCallback(() => {
-    const newErrors = {};
+  const handleValueChange = useCallback((fieldId, value) => {
+    setFormData((prev) => ({ ...prev, [fieldId]: value }));
+    setErrors((prev) => ({ ...prev, [fieldId]: '' }));
+  }, []);
 
-    sortedFields.forEach((field) => {
-      // Skip validation for hidden fields
-      if (!isFieldVisible(field, formData)) {
-        return;
-      }
+  /**
+   * Handles matrix row changes
+   */
+  const handleMatrixChange = useCallback((fieldId, rowId, optionId) => {
+    setFormData((prev) => ({
+      ...prev,
+      [fieldId]: {
+        ...prev[fieldId],
+        [rowId]: optionId,
+      },
+    }));
+    setErrors((prev) => ({ ...prev, [fieldId]: '' }));
+  }, []);
 
-      if (field.required) {
-        switch (field.type) {
-          case 'text':
-          case 'textarea':
-            if (!formData[field.id]?.trim()) {
-              newErrors[field.id] = `${field.label} is required`;
-            }
-            break;
-          case 'checkbox':
-            if (!formData[field.id]) {
-              newErrors[field.id] = `${field.label} is required`;
-            }
-            break;
-          case 'checkboxGroup': {
-            const hasChecked = Object.values(formData[field.id] || {}).some(Boolean);
-            if (!hasChecked) {
-              newErrors[field.id] = `Please select at least one option for ${field.label}`;
-            }
-            break;
-          }
-          case 'radio':
-            if (!formData[field.id]) {
-              newErrors[field.id] = `Please select an option for ${field.label}`;
-            }
-            break;
-          default:
-            break;
-        }
-      }
-    });
+  /**
+   * Moves to a page and scrolls the form into view
+   *
+   * @param {number} index - Index into the visible pages
+   */
+  const goToPage = useCallback((index) => {
+    setPageIndex(index);
+    formRef.current?.scrollIntoView?.({ behavior: 'smooth', block: 'start' });
+  }, []);
 
+  /**
+   * Shows validation errors, moving to the first page that has one
+   *
+   * @param {Object} newErrors - Error messages keyed by field ID
+   */
+  const showErrors = useCallback((newErrors) => {
     setErrors(newErrors);
+    const errorPageIndex = visiblePages.findIndex((page) =>
+      page.fields.some((field) => newErrors[field.id])
+    );
+    if (errorPageIndex >= 0 && errorPageIndex !== currentPageIndex) {
+      goToPage(errorPageIndex);
+    }
+  }, [visiblePages, currentPageIndex, goToPage]);
+
+  /**
+   * Validates the form before submission
+   *
+   * @returns {boolean} True if form is valid
+   */
+  const validateForm = useCallback(() => {
+    const newErrors = validateFieldValues(sortedFields, formData);
+    showErrors(newErrors);
     return Object.keys(newErrors).length === 0;
-  }, [sortedFields, formData]);
+  }, [sortedFields, formData, showErrors]);
+
+  /**
+   * Validates the current page and moves to the next one
+   */
+  const handleNextPage = useCallback(() => {
+    const pageErrors = validateFieldValues(currentPage?.fields, formData);
+    setErrors(pageErrors);
+    if (Object.keys(pageErrors).length === 0) {
+      goToPage(currentPageIndex + 1);
+    }
+  }, [currentPage, currentPageIndex, formData, goToPage]);
 
   /**
    * Handles form submission
@@ -229,6 +195,12 @@ function FeedbackForm({ fields, onSuccess }) {
         return;
       }
 
+      // Enter on an earlier page advances instead of submitting
+      if (!isLastPage) {
+        handleNextPage();
+        return;
+      }
+
       if (!validateForm()) {
         return;
       }
@@ -238,31 +210,27 @@ function FeedbackForm({ fields, onSuccess }) {
 
       try {
         // Build submission data - only include visible fields
-        const submissionData = {};
-
-        sortedFields.forEach((field) => {
-          if (!isFieldVisible(field, formData)) {
-            return;
-          }
-          submissionData[field.id] = formData[field.id];
-        });
-
-        await submitFeedback(submissionData);
+        await submitFeedback(getVisibleFieldValues(sortedFields, formData), { registrationId });
 
         setSubmitStatus('success');
         setFormData(initialData);
+        setPageIndex(0);
 
         if (onSuccess) {
           onSuccess();
         }
       } catch (error) {
-        console.error('Failed to submit feedback:', error);
-        setSubmitStatus('error');
+        if (error.code === FEEDBACK_ERROR_CODES.INVALID_RESPONSE && error.fieldErrors) {
+          showErrors(error.fieldErrors);
+        } else {
+          console.error('Failed to submit feedback:', error);
+          setSubmitStatus('error');
+        }
       } finally {
         setIsSubmitting(false);
       }
     },
-    [formData, sortedFields, validateForm, onSuccess, initialData]
+    [formData, sortedFields, validateForm, onSuccess, registrationId, initialData, isLastPage, handleNextPage, showErrors]
   );
 
   /**
@@ -414,6 +382,179 @@ function FeedbackForm({ fields, onSuccess }) {
             </div>
           );
 
+        case 'select':
+          return (
+            <div key={field.id} className={styles.fieldGroup}>
+              <label htmlFor={fieldId} className={styles.label}>
+                {field.label}
+                {field.required && <span className={styles.required}> *</span>}
+              </label>
+              <select
+                id={fieldId}
+                name={field.id}
+                value={formData[field.id] || ''}
+                onChange={handleChange}
+                className={`${styles.input} ${hasError ? styles.inputError : ''}`}
+                disabled={isSubmitting}
+                aria-invalid={hasError}
+                aria-describedby={hasError ? `${fieldId}-error` : undefined}
+              >
+                <option value="">{field.placeholder || 'Select an option'}</option>
+                {field.options?.map((option) => (
+                  <option key={option.id} value={option.id}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+              {hasError && (
+                <span id={`${fieldId}-error`} className={styles.fieldError}>
+                  {errors[field.id]}
+                </span>
+              )}
+            </div>
+          );
+
+        case 'number':
+        case 'date':
+          return (
+            <div key={field.id} className={styles.fieldGroup}>
+              <label htmlFor={fieldId} className={styles.label}>
+                {field.label}
+                {field.required && <span className={styles.required}> *</span>}
+              </label>
+              <input
+                type={field.type}
+                id={fieldId}
+                name={field.id}
+                value={formData[field.id] ?? ''}
+                onChange={(e) => {
+                  const { value } = e.target;
+                  handleValueChange(field.id, field.type === 'number' && value !== '' ? Number(value) : value);
+                }}
+                className={`${styles.input} ${hasError ? styles.inputError : ''}`}
+                placeholder={field.placeholder || ''}
+                min={field.min ?? undefined}
+                max={field.max ?? undefined}
+                disabled={isSubmitting}
+                aria-invalid={hasError}
+                aria-describedby={hasError ? `${fieldId}-error` : undefined}
+              />
+              {hasError && (
+                <span id={`${fieldId}-error`} className={styles.fieldError}>
+                  {errors[field.id]}
+                </span>
+              )}
+            </div>
+          );
+
+        case 'rating': {
+          const scale = field.scale || DEFAULT_RATING_SCALE;
+          return (
+            <div key={field.id} className={styles.section}>
+              <p id={`${fieldId}-label`} className={styles.sectionLabel}>
+                {field.label}
+                {field.required && <span className={styles.required}> *</span>}
+              </p>
+              <div className={styles.ratingGroup} role="radiogroup" aria-labelledby={`${fieldId}-label`}>
+                {Array.from({ length: scale }, (_, index) => index + 1).map((score) => (
+                  <button
+                    key={score}
+                    type="button"
+                    role="radio"
+                    aria-checked={formData[field.id] === score}
+                    aria-label={`${score} of ${scale}`}
+                    className={`${styles.ratingStar} ${formData[field.id] >= score ? styles.ratingStarActive : ''}`}
+                    onClick={() => handleValueChange(field.id, score)}
+                    disabled={isSubmitting}
+                  >
+                    &#9733;
+                  </button>
+                ))}
+              </div>
+              {hasError && (
+                <span className={styles.fieldError}>{errors[field.id]}</span>
+              )}
+            </div>
+          );
+        }
+
+        case 'nps':
+          return (
+            <div key={field.id} className={styles.section}>
+              <p id={`${fieldId}-label`} className={styles.sectionLabel}>
+                {field.label}
+                {field.required && <span className={styles.required}> *</span>}
+              </p>
+              <div className={styles.npsGroup} role="radiogroup" aria-labelledby={`${fieldId}-label`}>
+                {Array.from({ length: NPS_MAX - NPS_MIN + 1 }, (_, index) => NPS_MIN + index).map((score) => (
+                  <button
+                    key={score}
+                    type="button"
+                    role="radio"
+                    aria-checked={formData[field.id] === score}
+                    className={`${styles.npsButton} ${formData[field.id] === score ? styles.npsButtonActive : ''}`}
+                    onClick={() => handleValueChange(field.id, score)}
+                    disabled={isSubmitting}
+                  >
+                    {score}
+                  </button>
+                ))}
+              </div>
+              <div className={styles.npsLabels}>
+                <span>Not at all likely</span>
+                <span>Extremely likely</span>
+              </div>
+              {hasError && (
+                <span className={styles.fieldError}>{errors[field.id]}</span>
+              )}
+            </div>
+          );
+
+        case 'matrix':
+          return (
+            <div key={field.id} className={styles.section}>
+              <p className={styles.sectionLabel}>
+                {field.label}
+                {field.required && <span className={styles.required}> *</span>}
+              </p>
+              <div className={styles.matrixWrapper}>
+                <table className={styles.matrix}>
+                  <thead>
+                    <tr>
+                      <th scope="col" aria-label="Statement" />
+                      {field.options?.map((option) => (
+                        <th key={option.id} scope="col">{option.label}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {field.rows?.map((row) => (
+                      <tr key={row.id}>
+                        <th scope="row">{row.label}</th>
+                        {field.options?.map((option) => (
+                          <td key={option.id}>
+                            <input
+                              type="radio"
+                              name={`${fieldId}-${row.id}`}
+                              checked={formData[field.id]?.[row.id] === option.id}
+                              onChange={() => handleMatrixChange(field.id, row.id, option.id)}
+                              className={styles.checkbox}
+                              disabled={isSubmitting}
+                              aria-label={`${row.label}: ${option.label}`}
+                            />
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              {hasError && (
+                <span className={styles.fieldError}>{errors[field.id]}</span>
+              )}
+            </div>
+          );
+
         default:
           return null;
       }
@@ -426,6 +567,8 @@ function FeedbackForm({ fields, onSuccess }) {
       handleCheckboxChange,
       handleCheckboxGroupChange,
       handleRadioChange,
+      handleValueChange,
+      handleMatrixChange,
     ]
   );
 
@@ -475,7 +618,7 @@ function FeedbackForm({ fields, onSuccess }) {
   }
 
   return (
-    <form className={styles.form} onSubmit={handleSubmit} noValidate>
+    <form ref={formRef} className={styles.form} onSubmit={handleSubmit} noValidate>
       {submitStatus === 'error' && (
         <div className={styles.errorBanner}>Something went wrong. Please try again later.</div>
       )}
@@ -492,12 +635,57 @@ function FeedbackForm({ fields, onSuccess }) {
         aria-hidden="true"
       />
 
-      {/* Dynamic Fields */}
-      {sortedFields.map(renderField)}
+      {/* Page Progress */}
+      {visiblePages.length > 1 && (
+        <div className={styles.progress}>
+          <div className={styles.progressHeader}>
+            <span className={styles.progressStep}>
+              Page {currentPageIndex + 1} of {visiblePages.length}
+            </span>
+            {currentPage?.title && <span className={styles.progressTitle}>{currentPage.title}</span>}
+          </div>
+          <div
+            className={styles.progressBar}
+            role="progressbar"
+            aria-valuemin={1}
+            aria-valuemax={visiblePages.length}
+            aria-valuenow={currentPageIndex + 1}
+          >
+            <div
+              className={styles.progressFill}
+              style={{ width: `${((currentPageIndex + 1) / visiblePages.length) * 100}%` }}
+            />
+          </div>
+          {currentPage?.description && (
+            <p className={styles.pageDescription}>{currentPage.description}</p>
+          )}
+        </div>
+      )}
 
-      <button type="submit" className={styles.submitButton} disabled={isSubmitting}>
-        {isSubmitting ? 'Submitting...' : 'Submit Feedback'}
-      </button>
+      {/* Dynamic Fields */}
+      {currentPage?.fields.map(renderField)}
+
+      <div className={styles.pageActions}>
+        {currentPageIndex > 0 && (
+          <button
+            type="button"
+            className={styles.backButton}
+            onClick={() => goToPage(currentPageIndex - 1)}
+            disabled={isSubmitting}
+          >
+            Back
+          </button>
+        )}
+        {isLastPage ? (
+          <button type="submit" className={styles.submitButton} disabled={isSubmitting}>
+            {isSubmitting ? 'Submitting...' : 'Submit Feedback'}
+          </button>
+        ) : (
+          <button type="button" className={styles.submitButton} onClick={handleNextPage}>
+            Next
+          </button>
+        )}
+      </div>
     </form>
   );
 }
@@ -506,7 +694,20 @@ FeedbackForm.propTypes = {
   fields: PropTypes.arrayOf(
     PropTypes.shape({
       id: PropTypes.string.isRequired,
-      type: PropTypes.oneOf(['text', 'textarea', 'checkbox', 'checkboxGroup', 'radio']).isRequired,
+      type: PropTypes.oneOf([
+        'text',
+        'textarea',
+        'checkbox',
+        'checkboxGroup',
+        'radio',
+        'select',
+        'number',
+        'date',
+        'rating',
+        'nps',
+        'matrix',
+        'page',
+      ]).isRequired,
       label: PropTypes.string.isRequired,
       placeholder: PropTypes.string,
       required: PropTypes.bool,
@@ -517,6 +718,16 @@ FeedbackForm.propTypes = {
           label: PropTypes.string.isRequired,
         })
       ),
+      rows: PropTypes.arrayOf(
+        PropTypes.shape({
+          id: PropTypes.string.isRequired,
+          label: PropTypes.string.isRequired,
+        })
+      ),
+      scale: PropTypes.number,
+      min: PropTypes.number,
+      max: PropTypes.number,
+      description: PropTypes.string,
       conditionalOn: PropTypes.shape({
         field: PropTypes.string.isRequired,
         value: PropTypes.oneOfType([PropTypes.bool, PropTypes.string]).isRequired,
@@ -524,11 +735,13 @@ FeedbackForm.propTypes = {
     })
   ),
   onSuccess: PropTypes.func,
+  registrationId: PropTypes.string,
 };
 
 FeedbackForm.defaultProps = {
   fields: [],
   onSuccess: undefined,
+  registrationId: null,
 };
 
 export default FeedbackForm;
@@ -0,0 +1,273 @@
+/**
+ * SessionRatingForm Component
+ * Lets a checked-in attendee rate one or more sessions with stars and an
+ * optional comment. The attendee identifies themselves with their
+ * registration ID or code and email, which are remembered for the browser
+ * session so rating several sessions from the schedule needs them only once.
+ *
+ * @module components/feedback/SessionRatingForm
+ */
+
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  submitSessionRatings,
+  SESSION_RATING_SCALE,
+  SESSION_RATING_COMMENT_MAX_LENGTH,
+  SESSION_RATING_SOURCES,
+} from '../../services/sessionRatings';
+import styles from './SessionRatingForm.module.css';
+
+/**
+ * sessionStorage key for the attendee's identity
+ */
+const IDENTITY_STORAGE_KEY = 'idmc_session_rating_identity';
+
+/**
+ * Reads the remembered identity
+ *
+ * @returns {{ identifier: string, email: string }} Stored identity, or empty values
+ */
+function readIdentity() {
+  try {
+    const stored = sessionStorage.getItem(IDENTITY_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : { identifier: '', email: '' };
+  } catch (error) {
+    console.error('Failed to read rating identity from storage:', error);
+    return { identifier: '', email: '' };
+  }
+}
+
+/**
+ * Remembers the identity for the rest of the browser session
+ *
+ * @param {{ identifier: string, email: string }} identity - Identity to store
+ */
+function writeIdentity(identity) {
+  try {
+    sessionStorage.setItem(IDENTITY_STORAGE_KEY, JSON.stringify(identity));
+  } catch (error) {
+    console.error('Failed to write rating identity to storage:', error);
+  }
+}
+
+/**
+ * SessionRatingForm Component
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.sessions - Sessions to rate (already filtered to ended, ratable sessions)
+ * @param {string} props.source - Value from SESSION_RATING_SOURCES
+ * @param {string} [props.defaultIdentifier] - Registration ID to prefill
+ * @param {Function} [props.onSuccess] - Called with the number of ratings saved
+ * @returns {JSX.Element} The session rating form
+ */
+function SessionRatingForm({ sessions, source, defaultIdentifier, onSuccess }) {
+  const [identity, setIdentity] = useState(() => {
+    const stored = readIdentity();
+    return {
+      identifier: stored.identifier || defaultIdentifier || '',
+      email: stored.email || '',
+    };
+  });
+  const [ratings, setRatings] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [savedCount, setSavedCount] = useState(null);
+
+  /**
+   * Updates an identity field
+   */
+  const handleIdentityChange = (event) => {
+    const { name, value } = event.target;
+    setIdentity((prev) => ({ ...prev, [name]: value }));
+  };
+
+  /**
+   * Updates the rating or comment for a session
+   *
+   * @param {string} sessionId - Session ID
+   * @param {Object} changes - { rating } and/or { comment }
+   */
+  const updateRating = (sessionId, changes) => {
+    setRatings((prev) => ({
+      ...prev,
+      [sessionId]: { ...prev[sessionId], ...changes },
+    }));
+  };
+
+  /**
+   * Submits all sessions that have a star rating
+   */
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setError(null);
+
+    const rated = sessions
+      .filter((session) => ratings[session.id]?.rating)
+      .map((session) => ({
+        sessionId: session.id,
+        rating: ratings[session.id].rating,
+        comment: ratings[session.id].comment || '',
+      }));
+
+    setIsSubmitting(true);
+    try {
+      const result = await submitSessionRatings({
+        identifier: identity.identifier,
+        email: identity.email,
+        ratings: rated,
+        source,
+      });
+      writeIdentity(identity);
+      setSavedCount(result.saved);
+      if (onSuccess) {
+        onSuccess(result.saved);
+      }
+    } catch (submitError) {
+      console.error('Failed to submit session ratings:', submitError);
+      setError(submitError.message || 'Something went wrong. Please try again later.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (savedCount !== null) {
+    return (
+      <div className={styles.successMessage}>
+        <p className={styles.successTitle}>Thank you for rating!</p>
+        <p className={styles.successText}>
+          {savedCount === 1
+            ? 'Your rating has been saved.'
+            : `Your ${savedCount} ratings have been saved.`}
+          {' '}You can change a rating by submitting it again.
+        </p>
+        <button type="button" className={styles.linkButton} onClick={() => setSavedCount(null)}>
+          Edit ratings
+        </button>
+      </div>
+    );
+  }
+
+  if (sessions.length === 0) {
+    return (
+      <p className={styles.emptyState}>
+        Sessions can be rated once they have ended.
+      </p>
+    );
+  }
+
+  return (
+    <form className={styles.form} onSubmit={handleSubmit} noValidate>
+      {error && <div className={styles.errorBanner} role="alert">{error}</div>}
+
+      <div className={styles.fieldRow}>
+        <div className={styles.fieldGroup}>
+          <label htmlFor={`rating-identifier-${source}`} className={styles.label}>
+            Registration ID or Code
+          </label>
+          <input
+            type="text"
+            id={`rating-identifier-${source}`}
+            name="identifier"
+            value={identity.identifier}
+            onChange={handleIdentityChange}
+            className={styles.input}
+            placeholder="e.g., REG-2026-A7K3MN or A7K3MN"
+            autoComplete="off"
+            disabled={isSubmitting}
+          />
+        </div>
+        <div className={styles.fieldGroup}>
+          <label htmlFor={`rating-email-${source}`} className={styles.label}>
+            Email
+          </label>
+          <input
+            type="email"
+            id={`rating-email-${source}`}
+            name="email"
+            value={identity.email}
+            onChange={handleIdentityChange}
+            className={styles.input}
+            placeholder="The email you registered with"
+            autoComplete="email"
+            disabled={isSubmitting}
+          />
+        </div>
+      </div>
+      <p className={styles.hint}>
+        Only attendees who checked in at the event can rate sessions. Your name is not shown to
+        speakers.
+      </p>
+
+      {sessions.map((session) => {
+        const current = ratings[session.id] || {};
+        const labelId = `rating-${source}-${session.id}-label`;
+
+        return (
+          <div key={session.id} className={styles.sessionItem}>
+            <p id={labelId} className={styles.sessionTitle}>
+              {session.title}
+              {session.speakerNames?.length > 0 && (
+                <span className={styles.sessionSpeakers}> &middot; {session.speakerNames.join(', ')}</span>
+              )}
+            </p>
+            <div className={styles.ratingGroup} role="radiogroup" aria-labelledby={labelId}>
+              {Array.from({ length: SESSION_RATING_SCALE }, (_, index) => index + 1).map((score) => (
+                <button
+                  key={score}
+                  type="button"
+                  role="radio"
+                  aria-checked={current.rating === score}
+                  aria-label={`${score} of ${SESSION_RATING_SCALE}`}
+                  className={`${styles.ratingStar} ${current.rating >= score ? styles.ratingStarActive : ''}`}
+                  onClick={() => updateRating(session.id, { rating: score })}
+                  disabled={isSubmitting}
+                >
+                  &#9733;
+                </button>
+              ))}
+            </div>
+            {current.rating && (
+              <textarea
+                value={current.comment || ''}
+                onChange={(e) => updateRating(session.id, { comment: e.target.value })}
+                className={styles.textarea}
+                rows={2}
+                maxLength={SESSION_RATING_COMMENT_MAX_LENGTH}
+                placeholder="Comment for the speaker (optional)"
+                aria-label={`Comment on ${session.title}`}
+                disabled={isSubmitting}
+              />
+            )}
+          </div>
+        );
+      })}
+
+      <button type="submit" className={styles.submitButton} disabled={isSubmitting}>
+        {isSubmitting ? 'Submitting...' : 'Submit Ratings'}
+      </button>
+    </form>
+  );
+}
+
+SessionRatingForm.propTypes = {
+  sessions: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      title: PropTypes.string,
+      speakerNames: PropTypes.arrayOf(PropTypes.string),
+    })
+  ),
+  source: PropTypes.oneOf(Object.values(SESSION_RATING_SOURCES)),
+  defaultIdentifier: PropTypes.string,
+  onSuccess: PropTypes.func,
+};
+
+SessionRatingForm.defaultProps = {
+  sessions: [],
+  source: SESSION_RATING_SOURCES.SCHEDULE,
+  defaultIdentifier: '',
+  onSuccess: null,
+};
+
+export default SessionRatingForm;
@@ -4,3 +4,4 @@
  */
 
 export { default as FeedbackForm } from './FeedbackForm';
+export { default as SessionRatingForm } from './SessionRatingForm';
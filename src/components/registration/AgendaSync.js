@@ -0,0 +1,170 @@
+/**
+ * AgendaSync Component
+ * Links the attendee's "My Agenda" on this device to their registration from
+ * the registration status page after confirming a code sent to the registered
+ * email. Linking adds their registered workshops and syncs the agenda across
+ * devices.
+ *
+ * @module components/registration/AgendaSync
+ */
+
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Link } from 'react-router-dom';
+import {
+  sendVerificationCode,
+  linkAgendaToRegistration,
+  getLocalAgenda,
+  VERIFICATION_ACTION,
+} from '../../services';
+import { ROUTES } from '../../constants';
+import { maskEmail } from '../../utils';
+import styles from './AgendaSync.module.css';
+
+/**
+ * Verification steps
+ */
+const STEPS = {
+  START: 'start',
+  CODE: 'code',
+  VERIFIED: 'verified',
+};
+
+/**
+ * AgendaSync Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.registration - Registration to sync the agenda with
+ * @returns {JSX.Element} The agenda sync section
+ */
+function AgendaSync({ registration }) {
+  const [step, setStep] = useState(() => (
+    getLocalAgenda().registrationId === registration.id && getLocalAgenda().syncToken
+      ? STEPS.VERIFIED
+      : STEPS.START
+  ));
+  const [code, setCode] = useState('');
+  const [sessionCount, setSessionCount] = useState(() => getLocalAgenda().sessionIds.length);
+  const [isSending, setIsSending] = useState(false);
+  const [isVerifying, setIsVerifying] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Sends a verification code to the registered email
+   */
+  const handleSendCode = async () => {
+    setIsSending(true);
+    setError(null);
+
+    try {
+      await sendVerificationCode(registration.id, VERIFICATION_ACTION.AGENDA);
+      setStep(STEPS.CODE);
+    } catch (sendError) {
+      console.error('Send agenda verification code error:', sendError);
+      setError(sendError.message || 'Failed to send verification code. Please try again.');
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  /**
+   * Verifies the entered code and links the agenda to the registration
+   */
+  const handleVerify = async (event) => {
+    event.preventDefault();
+    setIsVerifying(true);
+    setError(null);
+
+    try {
+      const agenda = await linkAgendaToRegistration(registration, code);
+      setSessionCount(agenda.sessionIds.length);
+      setStep(STEPS.VERIFIED);
+    } catch (verifyError) {
+      console.error('Verify agenda code error:', verifyError);
+      setError(verifyError.message || 'Invalid verification code. Please try again.');
+    } finally {
+      setIsVerifying(false);
+    }
+  };
+
+  return (
+    <div className={styles.section}>
+      <h3>My Agenda</h3>
+
+      {step === STEPS.START && (
+        <>
+          <p>
+            Add your registered workshops to your personal schedule and sync it across your
+            devices. We&apos;ll send a verification code to{' '}
+            {maskEmail(registration.primaryAttendee?.email)}.
+          </p>
+          <button
+            type="button"
+            className={styles.primaryButton}
+            onClick={handleSendCode}
+            disabled={isSending}
+          >
+            {isSending ? 'Sending...' : 'Send Verification Code'}
+          </button>
+        </>
+      )}
+
+      {step === STEPS.CODE && (
+        <form className={styles.codeForm} onSubmit={handleVerify}>
+          <p>Enter the 6-digit code sent to your registered email address.</p>
+          <input
+            type="text"
+            value={code}
+            onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+            placeholder="Enter 6-digit code"
+            maxLength={6}
+            className={styles.codeInput}
+            aria-label="Verification code"
+          />
+          <div className={styles.actions}>
+            <button
+              type="button"
+              className={styles.linkButton}
+              onClick={handleSendCode}
+              disabled={isSending}
+            >
+              {isSending ? 'Sending...' : 'Resend code'}
+            </button>
+            <button
+              type="submit"
+              className={styles.primaryButton}
+              disabled={isVerifying || code.length !== 6}
+            >
+              {isVerifying ? 'Verifying...' : 'Verify'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {step === STEPS.VERIFIED && (
+        <>
+          <p>
+            Your agenda is synced with this registration
+            {sessionCount > 0 ? ` and has ${sessionCount} session${sessionCount === 1 ? '' : 's'}` : ''}.
+          </p>
+          <Link to={ROUTES.SCHEDULE} className={styles.primaryButton}>
+            View My Agenda
+          </Link>
+        </>
+      )}
+
+      {error && <p className={styles.error}>{error}</p>}
+    </div>
+  );
+}
+
+AgendaSync.propTypes = {
+  registration: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    primaryAttendee: PropTypes.object,
+    additionalAttendees: PropTypes.array,
+    agenda: PropTypes.object,
+  }).isRequired,
+};
+
+export default AgendaSync;
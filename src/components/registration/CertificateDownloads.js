@@ -0,0 +1,183 @@
+/**
+ * CertificateDownloads Component
+ * Lets attendees download their issued certificates of attendance from the
+ * registration status page after confirming a code sent to the registered email.
+ *
+ * @module components/registration/CertificateDownloads
+ */
+
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  sendVerificationCode,
+  verifyCode,
+  getIssuedCertificate,
+  VERIFICATION_ACTION,
+} from '../../services';
+import { maskEmail, maskName } from '../../utils';
+import styles from './CertificateDownloads.module.css';
+
+/**
+ * Verification steps
+ */
+const STEPS = {
+  START: 'start',
+  CODE: 'code',
+  VERIFIED: 'verified',
+};
+
+/**
+ * CertificateDownloads Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.registration - Confirmed registration
+ * @returns {JSX.Element} The certificate download section
+ */
+function CertificateDownloads({ registration }) {
+  const [step, setStep] = useState(STEPS.START);
+  const [code, setCode] = useState('');
+  const [isSending, setIsSending] = useState(false);
+  const [isVerifying, setIsVerifying] = useState(false);
+  const [error, setError] = useState(null);
+
+  const attendees = [registration.primaryAttendee, ...(registration.additionalAttendees || [])];
+  const certificates = attendees
+    .map((attendee, attendeeIndex) => ({
+      attendee,
+      attendeeIndex,
+      certificate: getIssuedCertificate(registration, attendeeIndex),
+    }))
+    .filter(({ attendee, certificate }) => attendee && certificate?.url);
+
+  /**
+   * Sends a verification code to the registered email
+   */
+  const handleSendCode = async () => {
+    setIsSending(true);
+    setError(null);
+
+    try {
+      await sendVerificationCode(registration.id, VERIFICATION_ACTION.CERTIFICATE);
+      setStep(STEPS.CODE);
+    } catch (sendError) {
+      console.error('Send certificate verification code error:', sendError);
+      setError(sendError.message || 'Failed to send verification code. Please try again.');
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  /**
+   * Verifies the entered code and reveals the downloads
+   */
+  const handleVerify = async (event) => {
+    event.preventDefault();
+    setIsVerifying(true);
+    setError(null);
+
+    try {
+      await verifyCode(registration.id, VERIFICATION_ACTION.CERTIFICATE, code);
+      setStep(STEPS.VERIFIED);
+    } catch (verifyError) {
+      console.error('Verify certificate code error:', verifyError);
+      setError(verifyError.message || 'Invalid verification code. Please try again.');
+    } finally {
+      setIsVerifying(false);
+    }
+  };
+
+  if (certificates.length === 0) {
+    return (
+      <div className={styles.section}>
+        <h3>Certificates of Attendance</h3>
+        <p>Certificates for checked-in attendees will be available here after the conference.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className={styles.section}>
+      <h3>Certificates of Attendance</h3>
+
+      {step === STEPS.START && (
+        <>
+          <p>
+            To download your certificates, we&apos;ll send a verification code to{' '}
+            {maskEmail(registration.primaryAttendee?.email)}.
+          </p>
+          <button
+            type="button"
+            className={styles.primaryButton}
+            onClick={handleSendCode}
+            disabled={isSending}
+          >
+            {isSending ? 'Sending...' : 'Send Verification Code'}
+          </button>
+        </>
+      )}
+
+      {step === STEPS.CODE && (
+        <form className={styles.codeForm} onSubmit={handleVerify}>
+          <p>Enter the 6-digit code sent to your registered email address.</p>
+          <input
+            type="text"
+            value={code}
+            onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+            placeholder="Enter 6-digit code"
+            maxLength={6}
+            className={styles.codeInput}
+            aria-label="Verification code"
+          />
+          <div className={styles.actions}>
+            <button
+              type="button"
+              className={styles.linkButton}
+              onClick={handleSendCode}
+              disabled={isSending}
+            >
+              {isSending ? 'Sending...' : 'Resend code'}
+            </button>
+            <button
+              type="submit"
+              className={styles.primaryButton}
+              disabled={isVerifying || code.length !== 6}
+            >
+              {isVerifying ? 'Verifying...' : 'Verify'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {step === STEPS.VERIFIED && (
+        <ul className={styles.list}>
+          {certificates.map(({ attendee, attendeeIndex, certificate }) => (
+            <li key={attendeeIndex}>
+              <span>{maskName(attendee.firstName)} {maskName(attendee.lastName)}</span>
+              <a
+                href={certificate.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className={styles.downloadLink}
+              >
+                Download PDF
+              </a>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {error && <p className={styles.error}>{error}</p>}
+    </div>
+  );
+}
+
+CertificateDownloads.propTypes = {
+  registration: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    primaryAttendee: PropTypes.object,
+    additionalAttendees: PropTypes.array,
+    certificates: PropTypes.object,
+  }).isRequired,
+};
+
+export default CertificateDownloads;
@@ -0,0 +1,234 @@
+/**
+ * CustomQuestionFields Component
+ * Renders admin-configured registration questions (text, textarea, number,
+ * date, dropdown, checkbox, checkbox group, radio) with conditional visibility.
+ *
+ * @module components/registration/CustomQuestionFields
+ */
+
+import PropTypes from 'prop-types';
+import { sortFormFields, isFieldVisible, getInitialFieldValues } from '../../utils';
+import styles from './CustomQuestionFields.module.css';
+
+/**
+ * CustomQuestionFields Component
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.fields - Question field definitions
+ * @param {Object} props.values - Current answers keyed by field ID
+ * @param {Object} props.errors - Error messages keyed by field ID
+ * @param {Function} props.onChange - Called with the full updated answers object
+ * @param {string} props.idPrefix - Prefix for input IDs, unique per attendee
+ * @param {boolean} props.disabled - Whether inputs are disabled
+ * @returns {JSX.Element|null} The question fields, or null when none are configured
+ */
+function CustomQuestionFields({ fields, values, errors, onChange, idPrefix, disabled }) {
+  if (!fields || fields.length === 0) {
+    return null;
+  }
+
+  const answers = { ...getInitialFieldValues(fields), ...values };
+
+  /**
+   * Updates a single answer
+   *
+   * @param {string} fieldId - Field ID
+   * @param {*} value - New value
+   */
+  const setAnswer = (fieldId, value) => {
+    onChange({ ...answers, [fieldId]: value });
+  };
+
+  const renderLabel = (field) => (
+    <>
+      {field.label}
+      {field.required && <span className={styles.required}> *</span>}
+    </>
+  );
+
+  const renderError = (field, inputId) => errors[field.id] && (
+    <span id={`${inputId}-error`} className={styles.errorMessage}>
+      {errors[field.id]}
+    </span>
+  );
+
+  return sortFormFields(fields).map((field) => {
+    if (!isFieldVisible(field, answers)) {
+      return null;
+    }
+
+    const inputId = `${idPrefix}-${field.id}`;
+    const hasError = Boolean(errors[field.id]);
+
+    switch (field.type) {
+      case 'text':
+      case 'textarea': {
+        const InputTag = field.type === 'textarea' ? 'textarea' : 'input';
+        return (
+          <div key={field.id} className={styles.formGroup}>
+            <label htmlFor={inputId} className={styles.label}>
+              {renderLabel(field)}
+            </label>
+            <InputTag
+              id={inputId}
+              {...(field.type === 'text' ? { type: 'text' } : { rows: 3 })}
+              value={answers[field.id] || ''}
+              onChange={(e) => setAnswer(field.id, e.target.value)}
+              className={`${field.type === 'textarea' ? styles.textarea : styles.input} ${hasError ? styles.inputError : ''}`}
+              placeholder={field.placeholder || ''}
+              disabled={disabled}
+              aria-invalid={hasError}
+              aria-describedby={hasError ? `${inputId}-error` : undefined}
+            />
+            {renderError(field, inputId)}
+          </div>
+        );
+      }
+
+      case 'number':
+      case 'date':
+        return (
+          <div key={field.id} className={styles.formGroup}>
+            <label htmlFor={inputId} className={styles.label}>
+              {renderLabel(field)}
+            </label>
+            <input
+              type={field.type}
+              id={inputId}
+              value={answers[field.id] ?? ''}
+              onChange={(e) => {
+                const { value } = e.target;
+                setAnswer(field.id, field.type === 'number' && value !== '' ? Number(value) : value);
+              }}
+              className={`${styles.input} ${hasError ? styles.inputError : ''}`}
+              placeholder={field.placeholder || ''}
+              min={field.min ?? undefined}
+              max={field.max ?? undefined}
+              disabled={disabled}
+              aria-invalid={hasError}
+              aria-describedby={hasError ? `${inputId}-error` : undefined}
+            />
+            {renderError(field, inputId)}
+          </div>
+        );
+
+      case 'select':
+        return (
+          <div key={field.id} className={styles.formGroup}>
+            <label htmlFor={inputId} className={styles.label}>
+              {renderLabel(field)}
+            </label>
+            <select
+              id={inputId}
+              value={answers[field.id] || ''}
+              onChange={(e) => setAnswer(field.id, e.target.value)}
+              className={`${styles.input} ${hasError ? styles.inputError : ''}`}
+              disabled={disabled}
+              aria-invalid={hasError}
+              aria-describedby={hasError ? `${inputId}-error` : undefined}
+            >
+              <option value="">{field.placeholder || 'Select an option'}</option>
+              {field.options?.map((option) => (
+                <option key={option.id} value={option.id}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            {renderError(field, inputId)}
+          </div>
+        );
+
+      case 'checkbox':
+        return (
+          <div key={field.id} className={styles.formGroup}>
+            <label className={styles.checkboxLabel}>
+              <input
+                type="checkbox"
+                checked={answers[field.id] || false}
+                onChange={(e) => setAnswer(field.id, e.target.checked)}
+                className={styles.checkbox}
+                disabled={disabled}
+              />
+              <span>{renderLabel(field)}</span>
+            </label>
+            {renderError(field, inputId)}
+          </div>
+        );
+
+      case 'checkboxGroup':
+      case 'radio':
+        return (
+          <div key={field.id} className={styles.formGroup}>
+            <span className={styles.label}>{renderLabel(field)}</span>
+            <div className={styles.optionGroup}>
+              {field.options?.map((option) => (
+                <label key={option.id} className={styles.checkboxLabel}>
+                  {field.type === 'radio' ? (
+                    <input
+                      type="radio"
+                      name={inputId}
+                      checked={answers[field.id] === option.id}
+                      onChange={() => setAnswer(field.id, option.id)}
+                      className={styles.checkbox}
+                      disabled={disabled}
+                    />
+                  ) : (
+                    <input
+                      type="checkbox"
+                      checked={answers[field.id]?.[option.id] || false}
+                      onChange={(e) =>
+                        setAnswer(field.id, { ...answers[field.id], [option.id]: e.target.checked })
+                      }
+                      className={styles.checkbox}
+                      disabled={disabled}
+                    />
+                  )}
+                  <span>{option.label}</span>
+                </label>
+              ))}
+            </div>
+            {renderError(field, inputId)}
+          </div>
+        );
+
+      default:
+        return null;
+    }
+  });
+}
+
+CustomQuestionFields.propTypes = {
+  fields: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      type: PropTypes.string.isRequired,
+      label: PropTypes.string,
+      required: PropTypes.bool,
+      placeholder: PropTypes.string,
+      min: PropTypes.number,
+      max: PropTypes.number,
+      options: PropTypes.arrayOf(
+        PropTypes.shape({
+          id: PropTypes.string,
+          label: PropTypes.string,
+        })
+      ),
+      conditionalOn: PropTypes.object,
+    })
+  ),
+  values: PropTypes.object,
+  errors: PropTypes.object,
+  onChange: PropTypes.func.isRequired,
+  idPrefix: PropTypes.string,
+  disabled: PropTypes.bool,
+};
+
+CustomQuestionFields.defaultProps = {
+  fields: [],
+  values: {},
+  errors: {},
+  idPrefix: 'question',
+  disabled: false,
+};
+
+export default CustomQuestionFields;
@@ -0,0 +1,166 @@
+/**
+ * DraftResumePanel Component
+ * Resumes a registration saved on another device. The registrant requests a
+ * verification code for the email the draft was saved under, then enters it
+ * to load the saved form.
+ *
+ * @module components/registration/DraftResumePanel
+ */
+
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { sendDraftResumeCode, resumeRemoteDraft } from '../../services';
+import styles from './DraftResumePanel.module.css';
+
+/**
+ * Resume steps
+ */
+const STEPS = {
+  EMAIL: 'email',
+  CODE: 'code',
+};
+
+/**
+ * DraftResumePanel Component
+ *
+ * @param {Object} props - Component props
+ * @param {string} [props.defaultEmail] - Email to prefill, e.g. from the resume link
+ * @param {string} [props.message] - Explanation shown above the form
+ * @param {Function} props.onResume - Called with { formData, step, draftToken, email }
+ * @param {Function} props.onCancel - Called when the registrant closes the panel
+ * @returns {JSX.Element} The resume panel
+ */
+function DraftResumePanel({ defaultEmail, message, onResume, onCancel }) {
+  const [step, setStep] = useState(STEPS.EMAIL);
+  const [email, setEmail] = useState(defaultEmail);
+  const [code, setCode] = useState('');
+  const [isSending, setIsSending] = useState(false);
+  const [isVerifying, setIsVerifying] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Emails a verification code for the saved draft
+   */
+  const handleSendCode = async (event) => {
+    event?.preventDefault();
+    setIsSending(true);
+    setError(null);
+
+    try {
+      await sendDraftResumeCode(email);
+      setCode('');
+      setStep(STEPS.CODE);
+    } catch (sendError) {
+      console.error('Send draft resume code error:', sendError);
+      setError(sendError.message || 'Failed to send verification code. Please try again.');
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  /**
+   * Verifies the code and hands the saved draft to the registration form
+   */
+  const handleVerify = async (event) => {
+    event.preventDefault();
+    setIsVerifying(true);
+    setError(null);
+
+    try {
+      const draft = await resumeRemoteDraft(email, code);
+      onResume({ ...draft, email: email.trim().toLowerCase() });
+    } catch (verifyError) {
+      console.error('Resume draft error:', verifyError);
+      setError(verifyError.message || 'Invalid verification code. Please try again.');
+      setIsVerifying(false);
+    }
+  };
+
+  return (
+    <div className={styles.panel}>
+      <div className={styles.header}>
+        <h3>Resume a Saved Registration</h3>
+        <button type="button" className={styles.linkButton} onClick={onCancel}>
+          Close
+        </button>
+      </div>
+      {message && <p className={styles.message}>{message}</p>}
+
+      {step === STEPS.EMAIL && (
+        <form className={styles.form} onSubmit={handleSendCode}>
+          <label htmlFor="draft-resume-email" className={styles.label}>
+            Primary attendee email
+          </label>
+          <div className={styles.row}>
+            <input
+              id="draft-resume-email"
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              className={styles.input}
+              placeholder="you@example.com"
+              autoComplete="email"
+              disabled={isSending}
+            />
+            <button
+              type="submit"
+              className={styles.primaryButton}
+              disabled={isSending || !email.trim()}
+            >
+              {isSending ? 'Sending...' : 'Email Me a Code'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {step === STEPS.CODE && (
+        <form className={styles.form} onSubmit={handleVerify}>
+          <p className={styles.message}>Enter the 6-digit code sent to {email.trim()}.</p>
+          <div className={styles.row}>
+            <input
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+              placeholder="Enter 6-digit code"
+              maxLength={6}
+              className={`${styles.input} ${styles.codeInput}`}
+              aria-label="Verification code"
+              autoComplete="one-time-code"
+            />
+            <button
+              type="submit"
+              className={styles.primaryButton}
+              disabled={isVerifying || code.length !== 6}
+            >
+              {isVerifying ? 'Verifying...' : 'Resume'}
+            </button>
+          </div>
+          <button
+            type="button"
+            className={styles.linkButton}
+            onClick={handleSendCode}
+            disabled={isSending}
+          >
+            {isSending ? 'Sending...' : 'Resend code'}
+          </button>
+        </form>
+      )}
+
+      {error && <p className={styles.error} role="alert">{error}</p>}
+    </div>
+  );
+}
+
+DraftResumePanel.propTypes = {
+  defaultEmail: PropTypes.string,
+  message: PropTypes.string,
+  onResume: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
+
+DraftResumePanel.defaultProps = {
+  defaultEmail: '',
+  message: '',
+};
+
+export default DraftResumePanel;
@@ -0,0 +1,353 @@
+/**
+ * RegistrationEditModal Component
+ * Lets a registrant correct attendee names, ministry roles, workshop
+ * selections and food choices from the registration status page. Details are
+ * only shown unmasked after a code sent to the registered email is confirmed.
+ *
+ * @module components/registration/RegistrationEditModal
+ */
+
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import {
+  sendVerificationCode,
+  checkRegistrationEditCode,
+  updateUserRegistrationDetails,
+  getPublishedWorkshops,
+  getFoodMenuSettings,
+  getAllFoodMenuItems,
+  VERIFICATION_ACTION,
+} from '../../services';
+import { MINISTRY_ROLES, FOOD_MENU_STATUS } from '../../constants';
+import { maskEmail } from '../../utils';
+import WorkshopSelector from '../workshops/WorkshopSelector';
+import styles from './RegistrationEditModal.module.css';
+
+/**
+ * Edit steps
+ */
+const STEPS = {
+  START: 'start',
+  CODE: 'code',
+  EDIT: 'edit',
+};
+
+/**
+ * Copies the editable fields of each attendee into form state
+ *
+ * @param {Object} registration - Registration being edited
+ * @returns {Array<Object>} Attendee form state, primary attendee first
+ */
+function getInitialAttendees(registration) {
+  return [registration.primaryAttendee, ...(registration.additionalAttendees || [])].map((attendee) => ({
+    firstName: attendee?.firstName || '',
+    lastName: attendee?.lastName || '',
+    middleName: attendee?.middleName || '',
+    ministryRole: attendee?.ministryRole || '',
+    workshopSelections: attendee?.workshopSelections || [],
+    foodChoice: attendee?.foodChoice || '',
+  }));
+}
+
+/**
+ * RegistrationEditModal Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.registration - Registration being edited
+ * @param {Function} props.onSaved - Called with { primaryAttendee, additionalAttendees, changes }
+ * @param {Function} props.onClose - Called when the modal is dismissed
+ * @returns {JSX.Element} The edit details modal
+ */
+function RegistrationEditModal({ registration, onSaved, onClose }) {
+  const [step, setStep] = useState(STEPS.START);
+  const [code, setCode] = useState('');
+  const [codeExpiryMinutes, setCodeExpiryMinutes] = useState(null);
+  const [attendees, setAttendees] = useState(() => getInitialAttendees(registration));
+  const [workshops, setWorkshops] = useState([]);
+  const [foodMenuItems, setFoodMenuItems] = useState([]);
+  const [isSending, setIsSending] = useState(false);
+  const [isVerifying, setIsVerifying] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Loads published workshops and food options once the registrant is verified
+   */
+  useEffect(() => {
+    if (step !== STEPS.EDIT) return;
+
+    const fetchOptions = async () => {
+      try {
+        const [publishedWorkshops, foodSettings] = await Promise.all([
+          getPublishedWorkshops(),
+          getFoodMenuSettings(),
+        ]);
+        setWorkshops(publishedWorkshops);
+
+        if (foodSettings.foodSelectionEnabled) {
+          const items = await getAllFoodMenuItems();
+          setFoodMenuItems(items.filter((item) => item.status === FOOD_MENU_STATUS.PUBLISHED));
+        }
+      } catch (fetchError) {
+        console.error('Failed to load workshop and food options:', fetchError);
+      }
+    };
+
+    fetchOptions();
+  }, [step]);
+
+  /**
+   * Sends a verification code to the registered email
+   */
+  const handleSendCode = async () => {
+    setIsSending(true);
+    setError(null);
+
+    try {
+      const result = await sendVerificationCode(registration.id, VERIFICATION_ACTION.EDIT);
+      setCodeExpiryMinutes(result.expiryMinutes || 15);
+      setCode('');
+      setStep(STEPS.CODE);
+    } catch (sendError) {
+      console.error('Send edit verification code error:', sendError);
+      setError(sendError.message || 'Failed to send verification code. Please try again.');
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  /**
+   * Verifies the entered code and shows the edit form
+   */
+  const handleVerify = async (event) => {
+    event.preventDefault();
+    setIsVerifying(true);
+    setError(null);
+
+    try {
+      await checkRegistrationEditCode(registration.id, code);
+      setStep(STEPS.EDIT);
+    } catch (verifyError) {
+      console.error('Verify edit code error:', verifyError);
+      setError(verifyError.message || 'Invalid verification code. Please try again.');
+    } finally {
+      setIsVerifying(false);
+    }
+  };
+
+  /**
+   * Updates one field of one attendee
+   *
+   * @param {number} attendeeIndex - Attendee index (0 = primary)
+   * @param {string} field - Field name
+   * @param {*} value - New value
+   */
+  const updateAttendee = (attendeeIndex, field, value) => {
+    setAttendees((prev) => prev.map((attendee, index) => (
+      index === attendeeIndex ? { ...attendee, [field]: value } : attendee
+    )));
+  };
+
+  /**
+   * Saves the edited details
+   */
+  const handleSave = async (event) => {
+    event.preventDefault();
+    setIsSaving(true);
+    setError(null);
+
+    try {
+      const result = await updateUserRegistrationDetails(registration.id, code, attendees);
+      onSaved(result);
+    } catch (saveError) {
+      console.error('Update registration details error:', saveError);
+      setError(saveError.message || 'Failed to save your changes. Please try again.');
+      setIsSaving(false);
+    }
+  };
+
+  const hasMissingNames = attendees.some((attendee) => !attendee.firstName.trim() || !attendee.lastName.trim());
+
+  return (
+    <div className={styles.overlay} onClick={onClose}>
+      <div
+        className={styles.modal}
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="registration-edit-title"
+      >
+        <div className={styles.header}>
+          <h3 id="registration-edit-title">Edit Registration Details</h3>
+          <button type="button" className={styles.closeButton} onClick={onClose} aria-label="Close">
+            &times;
+          </button>
+        </div>
+
+        {step === STEPS.START && (
+          <>
+            <p className={styles.message}>
+              You can correct attendee names and ministry roles, and change workshop and food choices.
+              To protect your details, we&apos;ll first send a verification code to{' '}
+              {maskEmail(registration.primaryAttendee?.email)}.
+            </p>
+            <div className={styles.actions}>
+              <button type="button" className={styles.secondaryButton} onClick={onClose}>
+                Cancel
+              </button>
+              <button
+                type="button"
+                className={styles.primaryButton}
+                onClick={handleSendCode}
+                disabled={isSending}
+              >
+                {isSending ? 'Sending Code...' : 'Send Verification Code'}
+              </button>
+            </div>
+          </>
+        )}
+
+        {step === STEPS.CODE && (
+          <form onSubmit={handleVerify}>
+            <div className={styles.notice}>
+              <p>A verification code has been sent to your registered email address.</p>
+              {codeExpiryMinutes && <p>This code will expire in {codeExpiryMinutes} minutes.</p>}
+            </div>
+            <input
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+              placeholder="Enter 6-digit code"
+              maxLength={6}
+              className={styles.codeInput}
+              aria-label="Verification code"
+              autoComplete="one-time-code"
+            />
+            <div className={styles.actions}>
+              <button
+                type="button"
+                className={styles.linkButton}
+                onClick={handleSendCode}
+                disabled={isSending}
+              >
+                {isSending ? 'Sending...' : 'Resend code'}
+              </button>
+              <button
+                type="submit"
+                className={styles.primaryButton}
+                disabled={isVerifying || code.length !== 6}
+              >
+                {isVerifying ? 'Verifying...' : 'Verify'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {step === STEPS.EDIT && (
+          <form onSubmit={handleSave}>
+            {attendees.map((attendee, attendeeIndex) => (
+              <fieldset key={attendeeIndex} className={styles.attendee}>
+                <legend>{attendeeIndex === 0 ? 'Primary Attendee' : `Attendee #${attendeeIndex + 1}`}</legend>
+
+                <div className={styles.nameGrid}>
+                  <label className={styles.field}>
+                    <span>First Name <span className={styles.required}>*</span></span>
+                    <input
+                      type="text"
+                      value={attendee.firstName}
+                      onChange={(e) => updateAttendee(attendeeIndex, 'firstName', e.target.value)}
+                      className={styles.input}
+                    />
+                  </label>
+                  <label className={styles.field}>
+                    <span>Last Name <span className={styles.required}>*</span></span>
+                    <input
+                      type="text"
+                      value={attendee.lastName}
+                      onChange={(e) => updateAttendee(attendeeIndex, 'lastName', e.target.value)}
+                      className={styles.input}
+                    />
+                  </label>
+                  <label className={styles.field}>
+                    <span>Middle Name</span>
+                    <input
+                      type="text"
+                      value={attendee.middleName}
+                      onChange={(e) => updateAttendee(attendeeIndex, 'middleName', e.target.value)}
+                      className={styles.input}
+                    />
+                  </label>
+                  <label className={styles.field}>
+                    <span>Ministry Role</span>
+                    <select
+                      value={attendee.ministryRole}
+                      onChange={(e) => updateAttendee(attendeeIndex, 'ministryRole', e.target.value)}
+                      className={styles.input}
+                    >
+                      <option value="">Select role</option>
+                      {MINISTRY_ROLES.map((role) => (
+                        <option key={role} value={role}>{role}</option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
+
+                {foodMenuItems.length > 0 && (
+                  <label className={styles.field}>
+                    <span>Food Preference</span>
+                    <select
+                      value={attendee.foodChoice}
+                      onChange={(e) => updateAttendee(attendeeIndex, 'foodChoice', e.target.value)}
+                      className={styles.input}
+                    >
+                      <option value="">Select food preference</option>
+                      {foodMenuItems.map((item) => (
+                        <option key={item.id} value={item.id}>{item.name}</option>
+                      ))}
+                    </select>
+                  </label>
+                )}
+
+                {workshops.length > 0 && (
+                  <WorkshopSelector
+                    workshops={workshops}
+                    selections={attendee.workshopSelections}
+                    onSelectionChange={(selections) => updateAttendee(attendeeIndex, 'workshopSelections', selections)}
+                    disabled={isSaving}
+                  />
+                )}
+              </fieldset>
+            ))}
+
+            <div className={styles.actions}>
+              <button type="button" className={styles.secondaryButton} onClick={onClose} disabled={isSaving}>
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className={styles.primaryButton}
+                disabled={isSaving || hasMissingNames}
+              >
+                {isSaving ? 'Saving...' : 'Save Changes'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {error && <p className={styles.error} role="alert">{error}</p>}
+      </div>
+    </div>
+  );
+}
+
+RegistrationEditModal.propTypes = {
+  registration: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    primaryAttendee: PropTypes.object,
+    additionalAttendees: PropTypes.array,
+  }).isRequired,
+  onSaved: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default RegistrationEditModal;
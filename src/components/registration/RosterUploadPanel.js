@@ -0,0 +1,251 @@
+/**
+ * RosterUploadPanel Component
+ * Coordinator mode for registering a church delegation from a CSV/XLSX roster.
+ *
+ * @module components/registration/RosterUploadPanel
+ */
+
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { findRegisteredEmails } from '../../services';
+import {
+  readRosterFile,
+  parseRosterRows,
+  getRosterTemplateCsv,
+  downloadCsv,
+  exportRosterErrorsToCsv,
+} from '../../utils';
+import styles from './RosterUploadPanel.module.css';
+
+/**
+ * Maximum number of errors listed on screen; the full list is downloadable
+ */
+const MAX_VISIBLE_ERRORS = 10;
+
+/**
+ * RosterUploadPanel Component
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.pricingTiers - Available pricing tiers
+ * @param {string} props.defaultCategory - Tier ID used when a row has no category
+ * @param {Array} props.workshops - Published workshops
+ * @param {Array} props.foodMenuItems - Food menu items
+ * @param {boolean} props.requireFoodChoice - Whether each attendee must pick a food choice
+ * @param {Function} props.onImport - Called with the parsed attendees (first is the primary contact)
+ * @returns {JSX.Element} The roster upload panel
+ */
+function RosterUploadPanel({
+  pricingTiers,
+  defaultCategory,
+  workshops,
+  foodMenuItems,
+  requireFoodChoice,
+  onImport,
+}) {
+  const [fileName, setFileName] = useState('');
+  const [attendees, setAttendees] = useState([]);
+  const [rowErrors, setRowErrors] = useState([]);
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [error, setError] = useState(null);
+  const [importedCount, setImportedCount] = useState(0);
+
+  /**
+   * Reads, validates and checks the uploaded roster for existing registrations
+   *
+   * @param {Event} event - File input change event
+   */
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setFileName(file.name);
+    setAttendees([]);
+    setRowErrors([]);
+    setError(null);
+    setImportedCount(0);
+    setIsProcessing(true);
+
+    try {
+      const rows = await readRosterFile(file);
+      const result = parseRosterRows(rows, {
+        pricingTiers,
+        defaultCategory,
+        workshops,
+        foodMenuItems,
+        requireFoodChoice,
+      });
+
+      const registered = await findRegisteredEmails(
+        result.attendees.map((attendee) => attendee.email)
+      );
+      const duplicateErrors = result.attendees
+        .filter((attendee) => attendee.email && registered[attendee.email])
+        .map((attendee) => ({
+          row: attendee.row,
+          name: `${attendee.firstName} ${attendee.lastName}`.trim(),
+          column: 'Email',
+          message: `This email is already registered (${registered[attendee.email]})`,
+        }));
+
+      const allErrors = [...result.errors, ...duplicateErrors]
+        .sort((a, b) => (a.row ?? 0) - (b.row ?? 0));
+
+      setAttendees(result.attendees);
+      setRowErrors(allErrors);
+    } catch (readError) {
+      console.error('Failed to read roster:', readError);
+      setError(readError.message || 'Failed to read the roster file. Please try again.');
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  /**
+   * Downloads a blank roster template
+   */
+  const handleDownloadTemplate = () => {
+    downloadCsv(getRosterTemplateCsv(), 'delegation-roster-template.csv');
+  };
+
+  /**
+   * Downloads the row-level errors as CSV
+   */
+  const handleDownloadErrors = () => {
+    exportRosterErrorsToCsv(rowErrors);
+  };
+
+  /**
+   * Loads the validated roster into the registration form
+   */
+  const handleImport = () => {
+    onImport(attendees.map(({ row, ...attendee }) => attendee));
+    setImportedCount(attendees.length);
+    setAttendees([]);
+    setFileName('');
+  };
+
+  const canImport = attendees.length > 0 && rowErrors.length === 0 && !isProcessing;
+
+  return (
+    <div className={styles.panel}>
+      <p className={styles.hint}>
+        Upload a CSV or Excel (.xlsx) roster with one attendee per row. The first row
+        after the headers becomes the primary contact and must include an email.
+        Workshops can be listed by title, separated by semicolons.
+      </p>
+
+      <div className={styles.actions}>
+        <label className={styles.uploadButton}>
+          <input
+            type="file"
+            accept=".csv,.xlsx"
+            onChange={handleFileChange}
+            className={styles.fileInput}
+            disabled={isProcessing}
+          />
+          {isProcessing ? 'Checking roster...' : 'Upload Roster'}
+        </label>
+        <button
+          type="button"
+          className={styles.linkButton}
+          onClick={handleDownloadTemplate}
+        >
+          Download template
+        </button>
+      </div>
+
+      {fileName && !isProcessing && (
+        <p className={styles.fileName}>{fileName}</p>
+      )}
+
+      {error && (
+        <div className={styles.errorBox} role="alert">{error}</div>
+      )}
+
+      {importedCount > 0 && (
+        <div className={styles.successBox}>
+          Loaded {importedCount} attendee{importedCount === 1 ? '' : 's'} into the form below.
+          Review the details, then continue to the next step.
+        </div>
+      )}
+
+      {rowErrors.length > 0 && (
+        <div className={styles.errorBox} role="alert">
+          <div className={styles.errorHeader}>
+            <strong>
+              {rowErrors.length} problem{rowErrors.length === 1 ? '' : 's'} found in the roster.
+            </strong>
+            <button
+              type="button"
+              className={styles.linkButton}
+              onClick={handleDownloadErrors}
+            >
+              Download errors (CSV)
+            </button>
+          </div>
+          <ul className={styles.errorList}>
+            {rowErrors.slice(0, MAX_VISIBLE_ERRORS).map((rowError, index) => (
+              <li key={`${rowError.row}-${rowError.column}-${index}`}>
+                {rowError.row ? `Row ${rowError.row}` : 'Roster'}
+                {rowError.name ? ` (${rowError.name})` : ''}: {rowError.message}
+              </li>
+            ))}
+          </ul>
+          {rowErrors.length > MAX_VISIBLE_ERRORS && (
+            <p className={styles.moreErrors}>
+              and {rowErrors.length - MAX_VISIBLE_ERRORS} more. Download the errors to see the full list.
+            </p>
+          )}
+          <p className={styles.moreErrors}>Fix these rows and upload the roster again.</p>
+        </div>
+      )}
+
+      {canImport && (
+        <div className={styles.summary}>
+          <span>
+            {attendees.length} attendee{attendees.length === 1 ? '' : 's'} ready to register.
+          </span>
+          <button type="button" className={styles.importButton} onClick={handleImport}>
+            Load Attendees
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+RosterUploadPanel.propTypes = {
+  pricingTiers: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string,
+    })
+  ),
+  defaultCategory: PropTypes.string,
+  workshops: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      title: PropTypes.string,
+      timeSlot: PropTypes.string,
+    })
+  ),
+  foodMenuItems: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string,
+    })
+  ),
+  requireFoodChoice: PropTypes.bool,
+  onImport: PropTypes.func.isRequired,
+};
+
+RosterUploadPanel.defaultProps = {
+  pricingTiers: [],
+  defaultCategory: '',
+  workshops: [],
+  foodMenuItems: [],
+  requireFoodChoice: false,
+};
+
+export default RosterUploadPanel;
@@ -0,0 +1,13 @@
+/**
+ * Registration Components Barrel Export
+ * Central export point for all registration components.
+ *
+ * @module components/registration
+ */
+
+export { default as RosterUploadPanel } from './RosterUploadPanel';
+export { default as CertificateDownloads } from './CertificateDownloads';
+export { default as AgendaSync } from './AgendaSync';
+export { default as CustomQuestionFields } from './CustomQuestionFields';
+export { default as DraftResumePanel } from './DraftResumePanel';
+export { default as RegistrationEditModal } from './RegistrationEditModal';
@@ -0,0 +1,103 @@
+import { useState, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { SESSION_TYPES, SESSION_TYPE_LABELS } from '../../constants';
+import { getCalendarFeedUrl, slugifyRoom } from '../../utils';
+import styles from './CalendarFeeds.module.css';
+
+/**
+ * CalendarFeeds Component
+ * Lists the subscribable calendar feeds for the schedule: the full programme,
+ * one per session type and one per venue room. Subscribed calendars refresh
+ * on their own, so schedule changes reach attendees' phones.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.sessions - Published sessions (used to list types and rooms)
+ * @returns {JSX.Element} The calendar feeds component
+ */
+function CalendarFeeds({ sessions }) {
+  const [copiedUrl, setCopiedUrl] = useState(null);
+
+  /**
+   * Feeds offered, limited to the types and rooms that have sessions
+   */
+  const feeds = useMemo(() => {
+    const types = Object.values(SESSION_TYPES)
+      .filter((type) => sessions.some((session) => session.sessionType === type));
+    const rooms = [...new Map(
+      sessions
+        .filter((session) => slugifyRoom(session.venue))
+        .map((session) => [slugifyRoom(session.venue), session.venue])
+    ).values()];
+
+    return [
+      { key: 'all', label: 'Full Programme', options: {} },
+      ...types.map((type) => ({
+        key: `type-${type}`,
+        label: `${SESSION_TYPE_LABELS[type]} Sessions`,
+        options: { type },
+      })),
+      ...rooms.map((room) => ({
+        key: `room-${slugifyRoom(room)}`,
+        label: room,
+        options: { room },
+      })),
+    ];
+  }, [sessions]);
+
+  /**
+   * Copies a feed URL for calendars that subscribe by URL (e.g., Google Calendar)
+   *
+   * @param {string} url - Feed URL
+   */
+  const handleCopy = async (url) => {
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopiedUrl(url);
+    } catch (error) {
+      console.error('Failed to copy calendar link:', error);
+    }
+  };
+
+  return (
+    <div className={styles.container}>
+      <p className={styles.intro}>
+        Subscribe to keep the schedule in your phone&apos;s calendar. Times are shown in your
+        calendar&apos;s timezone and update automatically when sessions change. For Google
+        Calendar, copy the link and add it under &quot;Other calendars &rarr; From URL&quot;.
+      </p>
+      <ul className={styles.list}>
+        {feeds.map((feed) => {
+          const url = getCalendarFeedUrl(feed.options);
+          return (
+            <li key={feed.key} className={styles.item}>
+              <span className={styles.label}>{feed.label}</span>
+              <div className={styles.actions}>
+                <a href={getCalendarFeedUrl({ ...feed.options, webcal: true })} className={styles.subscribeLink}>
+                  Subscribe
+                </a>
+                <button
+                  type="button"
+                  className={styles.copyButton}
+                  onClick={() => handleCopy(url)}
+                >
+                  {copiedUrl === url ? 'Copied!' : 'Copy link'}
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+CalendarFeeds.propTypes = {
+  sessions: PropTypes.arrayOf(
+    PropTypes.shape({
+      sessionType: PropTypes.string,
+      venue: PropTypes.string,
+    })
+  ).isRequired,
+};
+
+export default CalendarFeeds;
@@ -14,7 +14,8 @@ import styles from './SessionCard.module.css';
  * SessionCard Component
  * Displays a session's information in a card format for use in the schedule timeline.
  * Shows time, title, type badge, venue, and speaker names.
- * Color-coded by session type.
+ * Color-coded by session type. When an agenda toggle is passed, shows a star
+ * for adding the session to "My Agenda" and a warning for time conflicts.
  *
  * @param {Object} props - Component props
  * @param {Object} props.session - Session data object
@@ -26,9 +27,12 @@ import styles from './SessionCard.module.css';
  * @param {string} [props.session.venue] - Venue/room name
  * @param {Array<string>} [props.session.speakerNames] - Array of speaker names
  * @param {Function} props.onClick - Callback when card is clicked
+ * @param {boolean} [props.isInAgenda] - Whether the session is in the attendee's agenda
+ * @param {Function} [props.onToggleAgenda] - Callback to add or remove the session from the agenda
+ * @param {Array<Object>} [props.conflicts] - Agenda sessions that overlap this one
  * @returns {JSX.Element} The session card component
  */
-function SessionCard({ session, onClick }) {
+function SessionCard({ session, onClick, isInAgenda, onToggleAgenda, conflicts }) {
   const isWorkshop = session.sessionType === SESSION_TYPES.WORKSHOP;
 
   // For workshops, use category colors; for other sessions, use session type colors
@@ -53,6 +57,16 @@ function SessionCard({ session, onClick }) {
     }
   };
 
+  /**
+   * Toggles the session in the agenda without opening the details
+   *
+   * @param {MouseEvent} event - Click event
+   */
+  const handleToggleAgenda = (event) => {
+    event.stopPropagation();
+    onToggleAgenda(session);
+  };
+
   /**
    * Formats time from 24-hour format to 12-hour format
    *
@@ -97,13 +111,39 @@ function SessionCard({ session, onClick }) {
     >
       <div className={styles.header}>
         <span className={styles.time}>{getTimeDisplay()}</span>
-        {isWorkshop && (
-          <CapacityBadge
-            capacity={session.capacity}
-            registeredCount={session.registeredCount || 0}
-            compact={true}
-          />
-        )}
+        <div className={styles.headerActions}>
+          {isWorkshop && (
+            <CapacityBadge
+              capacity={session.capacity}
+              registeredCount={session.registeredCount || 0}
+              compact={true}
+            />
+          )}
+          {onToggleAgenda && (
+            <button
+              type="button"
+              className={`${styles.agendaButton} ${isInAgenda ? styles.agendaButtonActive : ''}`}
+              onClick={handleToggleAgenda}
+              onKeyDown={(event) => event.stopPropagation()}
+              aria-pressed={isInAgenda}
+              aria-label={isInAgenda ? `Remove ${session.title} from My Agenda` : `Add ${session.title} to My Agenda`}
+              title={isInAgenda ? 'Remove from My Agenda' : 'Add to My Agenda'}
+            >
+              <svg
+                width="18"
+                height="18"
+                viewBox="0 0 24 24"
+                fill={isInAgenda ? 'currentColor' : 'none'}
+                stroke="currentColor"
+                strokeWidth="2"
+                strokeLinecap="round"
+                strokeLinejoin="round"
+              >
+                <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2" />
+              </svg>
+            </button>
+          )}
+        </div>
       </div>
 
       <h3 className={styles.title}>{session.title}</h3>
@@ -163,6 +203,12 @@ function SessionCard({ session, onClick }) {
           {badgeLabel}
         </span>
       </div>
+
+      {isInAgenda && conflicts.length > 0 && (
+        <p className={styles.conflict} role="note">
+          Overlaps with {conflicts.map((conflict) => conflict.title).join(', ')}
+        </p>
+      )}
     </div>
   );
 }
@@ -181,6 +227,18 @@ SessionCard.propTypes = {
     registeredCount: PropTypes.number,
   }).isRequired,
   onClick: PropTypes.func.isRequired,
+  isInAgenda: PropTypes.bool,
+  onToggleAgenda: PropTypes.func,
+  conflicts: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string,
+    title: PropTypes.string,
+  })),
+};
+
+SessionCard.defaultProps = {
+  isInAgenda: false,
+  onToggleAgenda: null,
+  conflicts: [],
 };
 
 export default SessionCard;
@@ -11,6 +11,7 @@ import {
   WORKSHOP_CATEGORIES,
 } from '../../constants';
 import { CapacityBadge } from '../workshops';
+import { SessionRatingForm } from '../feedback';
 import styles from './SessionDetailModal.module.css';
 
 /**
@@ -30,11 +31,12 @@ import styles from './SessionDetailModal.module.css';
  * @param {Array<string>} [props.session.speakerIds] - Array of speaker IDs
  * @param {Array<string>} [props.session.speakerNames] - Array of speaker names
  * @param {Array<Object>} [props.speakers] - Full speaker objects for photo display
+ * @param {boolean} [props.canRate] - Whether the session has ended and ratings are open
  * @param {boolean} props.isOpen - Whether the modal is open
  * @param {Function} props.onClose - Callback to close the modal
  * @returns {JSX.Element|null} The modal component or null if closed
  */
-function SessionDetailModal({ session, speakers = [], isOpen, onClose }) {
+function SessionDetailModal({ session, speakers = [], canRate = false, isOpen, onClose }) {
   const navigate = useNavigate();
   const isWorkshop = session?.sessionType === SESSION_TYPES.WORKSHOP;
 
@@ -326,6 +328,16 @@ function SessionDetailModal({ session, speakers = [], isOpen, onClose }) {
               </div>
             </div>
           )}
+
+          {/* Session Rating */}
+          {canRate && (
+            <div className={styles.ratingSection}>
+              <h3 className={styles.sectionLabel}>
+                {isWorkshop ? 'Rate this workshop' : 'Rate this session'}
+              </h3>
+              <SessionRatingForm key={session.id} sessions={[session]} />
+            </div>
+          )}
         </div>
 
         <div className={styles.footer}>
@@ -361,6 +373,7 @@ SessionDetailModal.propTypes = {
       photoUrl: PropTypes.string,
     })
   ),
+  canRate: PropTypes.bool,
   isOpen: PropTypes.bool.isRequired,
   onClose: PropTypes.func.isRequired,
 };
@@ -6,3 +6,4 @@
 export { default as SessionCard } from './SessionCard';
 export { default as SessionDetailModal } from './SessionDetailModal';
 export { default as TypeFilter } from './TypeFilter';
+export { default as CalendarFeeds } from './CalendarFeeds';
@@ -24,6 +24,9 @@ export const ROUTES = {
   DOWNLOADS: '/downloads',
   PRIVACY: '/privacy',
   TERMS: '/terms',
+  ARCHIVE: '/archive',
+  ARCHIVE_EDITION: '/archive/:year',
+  // Legacy page for the 2025 highlights, now redirected to the archive
   IDMC_2025: '/idmc-2025',
   MAINTENANCE: '/maintenance',
   FEEDBACK: '/feedback',
@@ -38,6 +41,7 @@ export const ADMIN_ROUTES = {
   PASSWORD_SETUP: '/admin/password-setup',
   DASHBOARD: '/admin/dashboard',
   REGISTRATIONS: '/admin/registrations',
+  REGISTRATION_DRAFTS: '/admin/registration-drafts',
   CHECKIN: '/admin/check-in',
   CHECKIN_MONITOR: '/admin/check-in-monitor',
   SPEAKERS: '/admin/speakers',
@@ -53,6 +57,7 @@ export const ADMIN_ROUTES = {
   VENUE: '/admin/venue',
   INQUIRIES: '/admin/inquiries',
   BANK_ACCOUNTS: '/admin/bank-accounts',
+  PROMO_CODES: '/admin/promo-codes',
   INVOICES: '/admin/invoices',
   FINANCE_DASHBOARD: '/admin/finance-dashboard',
   FOOD_MENU: '/admin/food-menu',
@@ -60,6 +65,14 @@ export const ADMIN_ROUTES = {
   CHURCHES_BREAKDOWN: '/admin/churches',
   FEEDBACK: '/admin/feedback',
   FEEDBACK_RESPONSES: '/admin/feedback-responses',
+  SESSION_RATINGS: '/admin/session-ratings',
+  CERTIFICATES: '/admin/certificates',
+  REFUNDS: '/admin/refunds',
+  EDITIONS: '/admin/editions',
+  ARCHIVES: '/admin/archives',
+  CAMPAIGNS: '/admin/campaigns',
+  REMINDERS: '/admin/reminders',
+  SMS_LOG: '/admin/sms-log',
 };
 
 /**
@@ -196,6 +209,7 @@ export const ADMIN_NAV_GROUPS = [
       { label: 'About', path: ADMIN_ROUTES.ABOUT_CONTENT, icon: 'church', requiresPermission: 'manageContent' },
       { label: 'Legal', path: ADMIN_ROUTES.LEGAL, icon: 'document', requiresPermission: 'manageContent' },
       { label: 'Feedback', path: ADMIN_ROUTES.FEEDBACK, icon: 'feedback', requiresPermission: 'manageContent' },
+      { label: 'Past Conferences', path: ADMIN_ROUTES.ARCHIVES, icon: 'history', requiresPermission: 'manageContent' },
     ],
   },
   {
@@ -203,11 +217,17 @@ export const ADMIN_NAV_GROUPS = [
     label: 'Operations',
     items: [
       { label: 'Registrations', path: ADMIN_ROUTES.REGISTRATIONS, icon: 'people', requiresPermission: 'manageRegistrations' },
+      { label: 'Abandoned Drafts', path: ADMIN_ROUTES.REGISTRATION_DRAFTS, icon: 'document', requiresPermission: 'manageRegistrations' },
       { label: 'Workshops', path: ADMIN_ROUTES.WORKSHOPS, icon: 'hammer', requiresPermission: 'manageWorkshops' },
       { label: 'Check-In', path: ADMIN_ROUTES.CHECKIN, icon: 'checkin', requiresPermission: 'manageCheckIn' },
       { label: 'Check-In Monitor', path: ADMIN_ROUTES.CHECKIN_MONITOR, icon: 'monitor', requiresPermission: 'manageCheckIn' },
+      { label: 'Certificates', path: ADMIN_ROUTES.CERTIFICATES, icon: 'award', requiresPermission: 'manageRegistrations' },
+      { label: 'Email Campaigns', path: ADMIN_ROUTES.CAMPAIGNS, icon: 'mail', requiresPermission: 'manageRegistrations' },
+      { label: 'Reminders', path: ADMIN_ROUTES.REMINDERS, icon: 'bell', requiresPermission: 'manageRegistrations' },
+      { label: 'SMS Log', path: ADMIN_ROUTES.SMS_LOG, icon: 'message', requiresPermission: 'manageRegistrations' },
       { label: 'Inquiries', path: ADMIN_ROUTES.INQUIRIES, icon: 'mail', requiresPermission: 'manageInquiries' },
       { label: 'Feedback Responses', path: ADMIN_ROUTES.FEEDBACK_RESPONSES, icon: 'feedback', requiresPermission: 'manageInquiries' },
+      { label: 'Session Ratings', path: ADMIN_ROUTES.SESSION_RATINGS, icon: 'star', requiresPermission: 'manageInquiries' },
     ],
   },
   {
@@ -216,13 +236,16 @@ export const ADMIN_NAV_GROUPS = [
     items: [
       { label: 'Finance Dashboard', path: ADMIN_ROUTES.FINANCE_DASHBOARD, icon: 'dollar', requiresPermission: 'manageFinance' },
       { label: 'Invoices', path: ADMIN_ROUTES.INVOICES, icon: 'document', requiresPermission: 'manageFinance' },
+      { label: 'Refunds', path: ADMIN_ROUTES.REFUNDS, icon: 'refund', requiresPermission: 'manageFinance' },
       { label: 'Bank Accounts', path: ADMIN_ROUTES.BANK_ACCOUNTS, icon: 'bank', requiresPermission: 'manageFinance' },
+      { label: 'Promo Codes', path: ADMIN_ROUTES.PROMO_CODES, icon: 'tag', requiresPermission: 'manageFinance' },
     ],
   },
   {
     id: 'system',
     label: 'System',
     items: [
+      { label: 'Editions', path: ADMIN_ROUTES.EDITIONS, icon: 'calendar', requiresPermission: 'manageConference' },
       { label: 'Users', path: ADMIN_ROUTES.USERS, icon: 'admin', requiresPermission: 'manageUsers' },
       { label: 'Activity Log', path: ADMIN_ROUTES.ACTIVITY, icon: 'history', requiresPermission: 'viewActivityLog' },
     ],
@@ -240,6 +263,7 @@ export const ADMIN_NAV_ITEMS = ADMIN_NAV_GROUPS.flatMap((group) => group.items);
  */
 export const COLLECTIONS = {
   CONFERENCES: 'conferences',
+  EDITIONS: 'editions',
   SPEAKERS: 'speakers',
   SESSIONS: 'sessions',
   REGISTRATIONS: 'registrations',
@@ -252,12 +276,23 @@ export const COLLECTIONS = {
   VENUE_TRANSPORT: 'venueTransport',
   VENUE_AMENITIES: 'venueAmenities',
   CHECK_IN_LOGS: 'checkInLogs',
+  SESSION_ATTENDANCE: 'sessionAttendance',
+  SESSION_RATINGS: 'sessionRatings',
+  SPEAKER_CONTACTS: 'speakerContacts',
   BANK_ACCOUNTS: 'bankAccounts',
+  PROMO_CODES: 'promoCodes',
   FOOD_MENU: 'foodMenu',
   WHAT_TO_BRING: 'whatToBring',
   STATS: 'stats',
   FEEDBACK: 'feedback',
   VERIFICATION_CODES: 'verificationCodes',
+  REGISTRATION_DRAFTS: 'registrationDrafts',
+  INVOICE_NUMBERS: 'invoiceNumbers',
+  ARCHIVES: 'archives',
+  EMAIL_CAMPAIGNS: 'emailCampaigns',
+  EMAIL_TEMPLATES: 'emailTemplates',
+  REMINDER_LOGS: 'reminderLogs',
+  SMS_LOGS: 'smsLogs',
 };
 
 /**
@@ -265,6 +300,40 @@ export const COLLECTIONS = {
  */
 export const STATS_DOC_ID = 'conference-stats';
 
+/**
+ * Settings document ID in the conferences collection for the default edition
+ */
+export const SETTINGS_DOC_ID = 'conference-settings';
+
+/**
+ * Edition whose data predates editions. Its settings, stats and files live
+ * in the unscoped documents and storage paths; later editions are scoped by ID.
+ */
+export const DEFAULT_EDITION_ID = 'idmc-2026';
+
+/**
+ * Document in the conferences collection that points to the active edition
+ */
+export const ACTIVE_EDITION_DOC_ID = 'active-edition';
+
+/**
+ * Conference edition status values
+ */
+export const EDITION_STATUS = Object.freeze({
+  DRAFT: 'draft',
+  ACTIVE: 'active',
+  ARCHIVED: 'archived',
+});
+
+/**
+ * Conference edition status labels for display
+ */
+export const EDITION_STATUS_LABELS = {
+  [EDITION_STATUS.DRAFT]: 'Draft',
+  [EDITION_STATUS.ACTIVE]: 'Active',
+  [EDITION_STATUS.ARCHIVED]: 'Archived',
+};
+
 /**
  * Firebase Storage path constants
  * These paths must match the storage.rules configuration
@@ -277,6 +346,10 @@ export const STORAGE_PATHS = {
   DOWNLOAD_THUMBNAILS: 'downloads/thumbnails',
   PAYMENT_PROOFS: 'registrations/payment-proofs',
   INVOICES: 'registrations/invoices',
+  CERTIFICATES: 'registrations/certificates',
+  CERTIFICATE_ASSETS: 'conference/certificate-assets',
+  REFUND_PROOFS: 'registrations/refund-proofs',
+  ARCHIVE_PHOTOS: 'archives/photos',
 };
 
 /**
@@ -287,6 +360,8 @@ export const ALLOWED_FILE_TYPES = {
   VIDEOS: ['video/mp4', 'video/webm', 'video/quicktime'],
   DOCUMENTS: ['application/pdf'],
   INVOICES: ['application/pdf', 'image/jpeg', 'image/png'],
+  CERTIFICATE_ASSETS: ['image/jpeg', 'image/png'],
+  REFUND_PROOFS: ['application/pdf', 'image/jpeg', 'image/png'],
 };
 
 /**
@@ -356,7 +431,7 @@ export const NAV_ITEMS = [
   { label: 'Speakers', path: ROUTES.SPEAKERS, isAnchor: false },
   { label: 'Schedule', path: ROUTES.SCHEDULE, isAnchor: false },
   { label: 'Downloads', path: ROUTES.DOWNLOADS, isAnchor: false },
-  { label: 'IDMC 2025', path: ROUTES.IDMC_2025, isAnchor: false },
+  { label: 'Past Conferences', path: ROUTES.ARCHIVE, isAnchor: false },
   { label: 'Check Status', path: ROUTES.REGISTRATION_STATUS, isAnchor: false },
   { label: 'Register', path: ROUTES.REGISTER, isAnchor: false, isPrimary: true },
 ];
@@ -664,11 +739,68 @@ export const INVOICE_STATUS = {
  */
 export const INVOICE_STATUS_LABELS = {
   [INVOICE_STATUS.PENDING]: 'Pending',
-  [INVOICE_STATUS.UPLOADED]: 'Uploaded',
+  [INVOICE_STATUS.UPLOADED]: 'Generated',
   [INVOICE_STATUS.SENT]: 'Sent',
   [INVOICE_STATUS.FAILED]: 'Failed',
 };
 
+/**
+ * Invoice number audit status values
+ * Every number taken from the sequence is recorded so gaps can be explained.
+ */
+export const INVOICE_NUMBER_STATUS = {
+  RESERVED: 'reserved',
+  ISSUED: 'issued',
+  VOIDED: 'voided',
+};
+
+/**
+ * Invoice number audit status labels for display
+ */
+export const INVOICE_NUMBER_STATUS_LABELS = {
+  [INVOICE_NUMBER_STATUS.RESERVED]: 'Reserved',
+  [INVOICE_NUMBER_STATUS.ISSUED]: 'Issued',
+  [INVOICE_NUMBER_STATUS.VOIDED]: 'Voided',
+};
+
+/**
+ * Refund workflow status values
+ * A refund is requested by one admin, approved by a second admin,
+ * then completed once the payout has been sent.
+ */
+export const REFUND_STATUS = {
+  REQUESTED: 'requested',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  COMPLETED: 'completed',
+};
+
+/**
+ * Refund status labels for display
+ */
+export const REFUND_STATUS_LABELS = {
+  [REFUND_STATUS.REQUESTED]: 'Awaiting Approval',
+  [REFUND_STATUS.APPROVED]: 'Approved',
+  [REFUND_STATUS.REJECTED]: 'Rejected',
+  [REFUND_STATUS.COMPLETED]: 'Completed',
+};
+
+/**
+ * Payout methods for refunds
+ */
+export const REFUND_PAYOUT_METHODS = {
+  GCASH: 'gcash',
+  BANK_TRANSFER: 'bank_transfer',
+};
+
+/**
+ * Refund payout method labels for display
+ */
+export const REFUND_PAYOUT_METHOD_LABELS = {
+  [REFUND_PAYOUT_METHODS.GCASH]: 'GCash',
+  [REFUND_PAYOUT_METHODS.BANK_TRANSFER]: 'Bank Transfer',
+};
+
 /**
  * Bank names matching logo files in /public/images/banks/
  */
@@ -731,6 +863,61 @@ export const BANK_ACCOUNT_TYPE_LABELS = {
   [BANK_ACCOUNT_TYPES.EWALLET]: 'E-Wallet',
 };
 
+/**
+ * Promo code discount types
+ */
+export const PROMO_DISCOUNT_TYPES = Object.freeze({
+  PERCENTAGE: 'percentage',
+  FIXED: 'fixed',
+});
+
+/**
+ * Promo code discount type labels
+ */
+export const PROMO_DISCOUNT_TYPE_LABELS = {
+  [PROMO_DISCOUNT_TYPES.PERCENTAGE]: 'Percentage Off',
+  [PROMO_DISCOUNT_TYPES.FIXED]: 'Fixed Amount Off',
+};
+
+/**
+ * Group discount rule types for church delegations
+ * - percentage: percent off the registration once the group reaches minAttendees
+ * - fixed_per_attendee: fixed peso amount off each ticket once the group reaches minAttendees
+ * - free_every_nth: every Nth delegate is free (the lowest-priced tickets are waived)
+ */
+export const GROUP_DISCOUNT_TYPES = Object.freeze({
+  PERCENTAGE: 'percentage',
+  FIXED_PER_ATTENDEE: 'fixed_per_attendee',
+  FREE_EVERY_NTH: 'free_every_nth',
+});
+
+/**
+ * Group discount rule type labels
+ */
+export const GROUP_DISCOUNT_TYPE_LABELS = {
+  [GROUP_DISCOUNT_TYPES.PERCENTAGE]: 'Percentage Off',
+  [GROUP_DISCOUNT_TYPES.FIXED_PER_ATTENDEE]: 'Fixed Amount Off per Attendee',
+  [GROUP_DISCOUNT_TYPES.FREE_EVERY_NTH]: 'Every Nth Delegate Free',
+};
+
+/**
+ * Badge PDF layouts
+ * SHEET prints 4" x 3" badges six to a US Letter sheet (Avery 5392 style);
+ * SINGLE prints one 4" x 3" badge per page for badge printers.
+ */
+export const BADGE_LAYOUTS = Object.freeze({
+  SHEET: 'sheet',
+  SINGLE: 'single',
+});
+
+/**
+ * Display labels for badge layouts
+ */
+export const BADGE_LAYOUT_LABELS = {
+  [BADGE_LAYOUTS.SHEET]: 'Avery Sheet (6 per page)',
+  [BADGE_LAYOUTS.SINGLE]: 'Single 4" x 3" Badge',
+};
+
 /**
  * Safe characters for registration short code generation.
  * Excludes confusing characters: 0/O, 1/l/I, 5/S, 2/Z, 8/B
@@ -1253,6 +1440,290 @@ export const FAQ_STATUS = Object.freeze({
   PUBLISHED: 'published',
 });
 
+/**
+ * Past conference archive page status values
+ */
+export const ARCHIVE_STATUS = Object.freeze({
+  DRAFT: 'draft',
+  PUBLISHED: 'published',
+});
+
+/**
+ * Past conference archive page status display labels
+ */
+export const ARCHIVE_STATUS_LABELS = {
+  [ARCHIVE_STATUS.DRAFT]: 'Draft',
+  [ARCHIVE_STATUS.PUBLISHED]: 'Published',
+};
+
+/**
+ * Email campaign status values
+ */
+export const CAMPAIGN_STATUS = Object.freeze({
+  DRAFT: 'draft',
+  SCHEDULED: 'scheduled',
+  SENDING: 'sending',
+  SENT: 'sent',
+  FAILED: 'failed',
+});
+
+/**
+ * Email campaign status display labels
+ */
+export const CAMPAIGN_STATUS_LABELS = {
+  [CAMPAIGN_STATUS.DRAFT]: 'Draft',
+  [CAMPAIGN_STATUS.SCHEDULED]: 'Scheduled',
+  [CAMPAIGN_STATUS.SENDING]: 'Sending',
+  [CAMPAIGN_STATUS.SENT]: 'Sent',
+  [CAMPAIGN_STATUS.FAILED]: 'Failed',
+};
+
+/**
+ * Check-in filter values for email campaign segments
+ */
+export const CAMPAIGN_CHECK_IN_FILTERS = Object.freeze({
+  ANY: 'any',
+  CHECKED_IN: 'checked_in',
+  NOT_CHECKED_IN: 'not_checked_in',
+});
+
+/**
+ * Check-in filter display labels for email campaign segments
+ */
+export const CAMPAIGN_CHECK_IN_FILTER_LABELS = {
+  [CAMPAIGN_CHECK_IN_FILTERS.ANY]: 'Everyone',
+  [CAMPAIGN_CHECK_IN_FILTERS.CHECKED_IN]: 'Checked in',
+  [CAMPAIGN_CHECK_IN_FILTERS.NOT_CHECKED_IN]: 'Not checked in',
+};
+
+/**
+ * Per-recipient email campaign delivery status values. A delivery left
+ * sending by a send that stopped is marked unconfirmed on retry and is not
+ * emailed again.
+ */
+export const CAMPAIGN_DELIVERY_STATUS = Object.freeze({
+  SENDING: 'sending',
+  SENT: 'sent',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+  UNCONFIRMED: 'unconfirmed',
+});
+
+/**
+ * Minutes after which a campaign still sending is treated as stuck and can
+ * be retried (mirrors CAMPAIGN_SEND_STALE_MINUTES in the Cloud Functions)
+ */
+export const CAMPAIGN_SEND_STALE_MINUTES = 15;
+
+/**
+ * Emails whose wording admins can replace with a template
+ * (mirrors EMAIL_TEMPLATE_KEY in the Cloud Functions)
+ */
+export const EMAIL_TEMPLATE_KEY = Object.freeze({
+  REGISTRATION_RECEIVED: 'registrationReceived',
+  TICKET: 'ticket',
+  WAITLIST_OFFER: 'waitlistOffer',
+  INVOICE: 'invoice',
+  TRANSFER_NOTIFICATION: 'transferNotification',
+  TRANSFER_CONFIRMATION: 'transferConfirmation',
+});
+
+/**
+ * Email template display labels
+ */
+export const EMAIL_TEMPLATE_LABELS = {
+  [EMAIL_TEMPLATE_KEY.REGISTRATION_RECEIVED]: 'Registration Received',
+  [EMAIL_TEMPLATE_KEY.TICKET]: 'Ticket (Payment Confirmed)',
+  [EMAIL_TEMPLATE_KEY.WAITLIST_OFFER]: 'Waitlist Offer',
+  [EMAIL_TEMPLATE_KEY.INVOICE]: 'Invoice',
+  [EMAIL_TEMPLATE_KEY.TRANSFER_NOTIFICATION]: 'Transfer (New Attendee)',
+  [EMAIL_TEMPLATE_KEY.TRANSFER_CONFIRMATION]: 'Transfer (Original Attendee)',
+};
+
+/**
+ * Placeholder descriptions, by placeholder name
+ */
+export const EMAIL_TEMPLATE_PLACEHOLDER_LABELS = {
+  firstName: 'Recipient first name',
+  lastName: 'Recipient last name',
+  registrationId: 'Registration ID',
+  shortCode: 'Quick code',
+  amount: 'Amount (e.g., 1,500)',
+  paymentDeadline: 'Payment deadline',
+  churchName: 'Church name',
+  conferenceTitle: 'Conference title',
+  statusUrl: 'Registration status page link',
+  invoiceNumber: 'Invoice number',
+  newAttendeeName: 'Name of the attendee the registration was transferred to',
+  originalAttendeeName: 'Name of the attendee who transferred the registration',
+  qrCode: 'QR code image(s) for check-in',
+};
+
+/**
+ * Placeholders every email template can use
+ */
+const COMMON_EMAIL_TEMPLATE_PLACEHOLDERS = [
+  'firstName',
+  'lastName',
+  'registrationId',
+  'shortCode',
+  'churchName',
+  'conferenceTitle',
+  'statusUrl',
+];
+
+/**
+ * Placeholders each email template can use, by template key
+ */
+export const EMAIL_TEMPLATE_PLACEHOLDERS = {
+  [EMAIL_TEMPLATE_KEY.REGISTRATION_RECEIVED]: [...COMMON_EMAIL_TEMPLATE_PLACEHOLDERS, 'amount', 'paymentDeadline'],
+  [EMAIL_TEMPLATE_KEY.TICKET]: [...COMMON_EMAIL_TEMPLATE_PLACEHOLDERS, 'amount', 'qrCode'],
+  [EMAIL_TEMPLATE_KEY.WAITLIST_OFFER]: [...COMMON_EMAIL_TEMPLATE_PLACEHOLDERS, 'amount', 'paymentDeadline'],
+  [EMAIL_TEMPLATE_KEY.INVOICE]: [...COMMON_EMAIL_TEMPLATE_PLACEHOLDERS, 'amount', 'invoiceNumber'],
+  [EMAIL_TEMPLATE_KEY.TRANSFER_NOTIFICATION]: [...COMMON_EMAIL_TEMPLATE_PLACEHOLDERS, 'newAttendeeName', 'originalAttendeeName'],
+  [EMAIL_TEMPLATE_KEY.TRANSFER_CONFIRMATION]: [...COMMON_EMAIL_TEMPLATE_PLACEHOLDERS, 'newAttendeeName', 'originalAttendeeName'],
+};
+
+/**
+ * Automated reminder types (mirrors REMINDER_TYPE in the Cloud Functions)
+ */
+export const REMINDER_TYPE = Object.freeze({
+  PAYMENT: 'payment',
+  EVENT: 'event',
+  WAITLIST: 'waitlist',
+});
+
+/**
+ * Reminder type display labels
+ */
+export const REMINDER_TYPE_LABELS = {
+  [REMINDER_TYPE.PAYMENT]: 'Payment',
+  [REMINDER_TYPE.EVENT]: 'Pre-Event',
+  [REMINDER_TYPE.WAITLIST]: 'Waitlist Offer',
+};
+
+/**
+ * Reminder log status values
+ */
+export const REMINDER_LOG_STATUS = Object.freeze({
+  SENT: 'sent',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+});
+
+/**
+ * Reminder log status display labels
+ */
+export const REMINDER_LOG_STATUS_LABELS = {
+  [REMINDER_LOG_STATUS.SENT]: 'Sent',
+  [REMINDER_LOG_STATUS.FAILED]: 'Failed',
+  [REMINDER_LOG_STATUS.SKIPPED]: 'Skipped',
+};
+
+/**
+ * SMS providers (mirrors SMS_PROVIDERS in the Cloud Functions)
+ */
+export const SMS_PROVIDER = Object.freeze({
+  CONSOLE: 'console',
+  ONEWAYSMS: 'onewaysms',
+  SEMAPHORE: 'semaphore',
+  TWILIO: 'twilio',
+});
+
+/**
+ * SMS provider display labels
+ */
+export const SMS_PROVIDER_LABELS = {
+  [SMS_PROVIDER.ONEWAYSMS]: 'OneWaySMS (email-to-SMS gateway)',
+  [SMS_PROVIDER.SEMAPHORE]: 'Semaphore',
+  [SMS_PROVIDER.TWILIO]: 'Twilio',
+  [SMS_PROVIDER.CONSOLE]: 'Console (log only, for testing)',
+};
+
+/**
+ * SMS message types (mirrors SMS_MESSAGE_TYPE in the Cloud Functions)
+ */
+export const SMS_MESSAGE_TYPE = Object.freeze({
+  REGISTRATION_RECEIVED: 'registration_received',
+  PAYMENT_CONFIRMED: 'payment_confirmed',
+  WAITLIST_OFFER: 'waitlist_offer',
+  PAYMENT_REMINDER: 'payment_reminder',
+  EVENT_REMINDER: 'event_reminder',
+  VERIFICATION_CODE: 'verification_code',
+  TEST: 'test',
+});
+
+/**
+ * SMS message type display labels
+ */
+export const SMS_MESSAGE_TYPE_LABELS = {
+  [SMS_MESSAGE_TYPE.REGISTRATION_RECEIVED]: 'Registration Received',
+  [SMS_MESSAGE_TYPE.PAYMENT_CONFIRMED]: 'Payment Confirmed',
+  [SMS_MESSAGE_TYPE.WAITLIST_OFFER]: 'Waitlist Offer',
+  [SMS_MESSAGE_TYPE.PAYMENT_REMINDER]: 'Payment Reminder',
+  [SMS_MESSAGE_TYPE.EVENT_REMINDER]: 'Event Reminder',
+  [SMS_MESSAGE_TYPE.VERIFICATION_CODE]: 'Verification Code',
+  [SMS_MESSAGE_TYPE.TEST]: 'Test',
+};
+
+/**
+ * SMS log status values
+ */
+export const SMS_LOG_STATUS = Object.freeze({
+  SENT: 'sent',
+  FAILED: 'failed',
+});
+
+/**
+ * SMS log status display labels
+ */
+export const SMS_LOG_STATUS_LABELS = {
+  [SMS_LOG_STATUS.SENT]: 'Sent',
+  [SMS_LOG_STATUS.FAILED]: 'Failed',
+};
+
+/**
+ * Registration email types tracked through SendGrid delivery events
+ */
+export const EMAIL_DELIVERY_TYPE = Object.freeze({
+  CONFIRMATION: 'confirmation',
+  REMINDER: 'reminder',
+  TICKET: 'ticket',
+  WAITLIST_OFFER: 'waitlist_offer',
+  INVOICE: 'invoice',
+});
+
+/**
+ * Registration email type display labels
+ */
+export const EMAIL_DELIVERY_TYPE_LABELS = {
+  [EMAIL_DELIVERY_TYPE.CONFIRMATION]: 'Registration Confirmation',
+  [EMAIL_DELIVERY_TYPE.REMINDER]: 'Reminder',
+  [EMAIL_DELIVERY_TYPE.TICKET]: 'Ticket',
+  [EMAIL_DELIVERY_TYPE.WAITLIST_OFFER]: 'Waitlist Offer',
+  [EMAIL_DELIVERY_TYPE.INVOICE]: 'Invoice',
+};
+
+/**
+ * Email delivery status values reported by SendGrid
+ */
+export const EMAIL_DELIVERY_STATUS = Object.freeze({
+  DELIVERED: 'delivered',
+  OPENED: 'opened',
+  BOUNCED: 'bounced',
+  DROPPED: 'dropped',
+});
+
+/**
+ * Email delivery status display labels
+ */
+export const EMAIL_DELIVERY_STATUS_LABELS = {
+  [EMAIL_DELIVERY_STATUS.DELIVERED]: 'Delivered',
+  [EMAIL_DELIVERY_STATUS.OPENED]: 'Opened',
+  [EMAIL_DELIVERY_STATUS.BOUNCED]: 'Bounced',
+  [EMAIL_DELIVERY_STATUS.DROPPED]: 'Dropped',
+};
+
 /**
  * Contact inquiry status values
  */
@@ -11,6 +11,7 @@ import {
   getConferenceSettings,
   getPricingTiers,
   getActivePricingTierFromDb,
+  getGroupDiscountRules,
 } from '../services/settings';
 
 /**
@@ -41,6 +42,8 @@ export const DEFAULT_SETTINGS = {
     userCancellationEnabled: true,
     transferEnabled: true,
     transferDeadlineDays: 3,
+    detailsEditEnabled: true,
+    detailsEditDeadlineDays: 3,
   },
   venue: {
     name: 'GCF South Metro',
@@ -61,18 +64,18 @@ export const DEFAULT_SETTINGS = {
   },
   registrationOpen: true,
   bannerImageUrl: null,
-  idmc2025: {
-    title: 'IDMC 2025',
-    subtitle: 'Watch the highlights from our previous conference',
-    youtubeVideoId: 'emGTZDXOaZY',
-  },
   feedback: {
     enabled: false,
     closingDate: null,
+    sessionRatingsEnabled: false,
     formTitle: 'Event Feedback',
     formSubtitle: 'We value your feedback. Please share your experience with us.',
     fields: [],
   },
+  registrationQuestions: {
+    registrationFields: [],
+    attendeeFields: [],
+  },
 };
 
 /**
@@ -89,6 +92,7 @@ export function SettingsProvider({ children }) {
   const [settings, setSettings] = useState(null);
   const [pricingTiers, setPricingTiers] = useState([]);
   const [activePricingTier, setActivePricingTier] = useState(null);
+  const [groupDiscountRules, setGroupDiscountRules] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -100,15 +104,17 @@ export function SettingsProvider({ children }) {
     setError(null);
 
     try {
-      const [settingsData, tiersData, activeTier] = await Promise.all([
+      const [settingsData, tiersData, activeTier, rulesData] = await Promise.all([
         getConferenceSettings(),
         getPricingTiers(),
         getActivePricingTierFromDb(),
+        getGroupDiscountRules(),
       ]);
 
       setSettings(settingsData);
       setPricingTiers(tiersData);
       setActivePricingTier(activeTier);
+      setGroupDiscountRules(rulesData);
     } catch (fetchError) {
       console.error('Failed to fetch settings:', fetchError);
       setError(fetchError.message);
@@ -143,13 +149,15 @@ export function SettingsProvider({ children }) {
   const value = useMemo(
     () => ({
       settings,
+      editionId: settings?.editionId || null,
       pricingTiers,
       activePricingTier,
+      groupDiscountRules,
       isLoading,
       error,
       refreshSettings,
     }),
-    [settings, pricingTiers, activePricingTier, isLoading, error, refreshSettings]
+    [settings, pricingTiers, activePricingTier, groupDiscountRules, isLoading, error, refreshSettings]
   );
 
   return <SettingsContext.Provider value={value}>{children}</SettingsContext.Provider>;
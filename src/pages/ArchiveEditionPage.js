@@ -0,0 +1,284 @@
+/**
+ * ArchiveEditionPage Component
+ * Public page for one past conference: theme, dates, headline stats,
+ * highlight video, speakers, sessions with recordings, photo galleries
+ * and downloadable materials.
+ *
+ * @module pages/ArchiveEditionPage
+ */
+
+import { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { YouTubeEmbed } from '../components/ui';
+import { ROUTES, CONFERENCE } from '../constants';
+import { getPublishedArchiveByYear, formatArchiveDateRange } from '../services';
+import styles from './ArchiveEditionPage.module.css';
+
+/**
+ * Headline stats shown on the page, in display order
+ */
+const STAT_FIELDS = [
+  { key: 'attendeeCount', label: 'Attendees' },
+  { key: 'churchCount', label: 'Churches' },
+  { key: 'checkedInCount', label: 'Checked In' },
+];
+
+/**
+ * ArchiveEditionPage Component
+ *
+ * @returns {JSX.Element} The past conference page component
+ */
+function ArchiveEditionPage() {
+  const { year } = useParams();
+  const [archive, setArchive] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [openRecording, setOpenRecording] = useState(null);
+
+  /**
+   * Fetch the archive when the year changes
+   */
+  useEffect(() => {
+    async function fetchArchive() {
+      setIsLoading(true);
+      setOpenRecording(null);
+      try {
+        setArchive(await getPublishedArchiveByYear(year));
+      } catch (error) {
+        console.error('Failed to fetch past conference:', error);
+        setArchive(null);
+      } finally {
+        setIsLoading(false);
+      }
+    }
+
+    fetchArchive();
+  }, [year]);
+
+  if (isLoading) {
+    return (
+      <div className={styles.page}>
+        <section className={styles.heroSection}>
+          <div className="container">
+            <h1 className={styles.pageTitle}>IDMC {year}</h1>
+          </div>
+        </section>
+        <div className={styles.loadingState}>
+          <div className={styles.loadingSpinner} />
+          <p>Loading...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!archive) {
+    return (
+      <div className={styles.page}>
+        <section className={styles.heroSection}>
+          <div className="container">
+            <h1 className={styles.pageTitle}>IDMC {year}</h1>
+          </div>
+        </section>
+        <div className={styles.emptyState}>
+          <p>This conference page isn&apos;t available.</p>
+          <p>
+            <Link to={ROUTES.ARCHIVE}>Browse past conferences</Link>
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  const dates = formatArchiveDateRange(archive);
+  const stats = STAT_FIELDS.filter(({ key }) => archive.stats[key]);
+  const galleries = archive.galleries.filter((gallery) => gallery.photos?.length);
+
+  return (
+    <div className={styles.page}>
+      {/* Hero Section */}
+      <section className={styles.heroSection}>
+        <div className="container">
+          <Link to={ROUTES.ARCHIVE} className={styles.backLink}>
+            &larr; Past Conferences
+          </Link>
+          <h1 className={styles.pageTitle}>{archive.title}</h1>
+          {archive.theme && <p className={styles.heroTheme}>{archive.theme}</p>}
+          {(dates || archive.venueName) && (
+            <p className={styles.heroMeta}>
+              {[dates, archive.venueName].filter(Boolean).join(' · ')}
+            </p>
+          )}
+        </div>
+      </section>
+
+      {/* Summary and Stats */}
+      {(archive.summary || stats.length > 0) && (
+        <section className={styles.section}>
+          <div className="container">
+            {archive.summary && <p className={styles.summary}>{archive.summary}</p>}
+            {stats.length > 0 && (
+              <div className={styles.statsGrid}>
+                {stats.map(({ key, label }) => (
+                  <div key={key} className={styles.stat}>
+                    <span className={styles.statValue}>
+                      {archive.stats[key].toLocaleString()}
+                    </span>
+                    <span className={styles.statLabel}>{label}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </section>
+      )}
+
+      {/* Highlight Video */}
+      {archive.highlightVideoId && (
+        <section className={styles.sectionAlt}>
+          <div className="container">
+            <h2 className={styles.sectionTitle}>Highlights</h2>
+            <div className={styles.videoWrapper}>
+              <YouTubeEmbed
+                videoId={archive.highlightVideoId}
+                title={`${archive.title} Conference Highlights`}
+              />
+            </div>
+          </div>
+        </section>
+      )}
+
+      {/* Speakers */}
+      {archive.speakers.length > 0 && (
+        <section className={styles.section}>
+          <div className="container">
+            <h2 className={styles.sectionTitle}>Speakers</h2>
+            <div className={styles.speakerGrid}>
+              {archive.speakers.map((speaker) => (
+                <div key={speaker.name} className={styles.speaker}>
+                  {speaker.photoUrl && (
+                    <img src={speaker.photoUrl} alt={speaker.name} className={styles.speakerPhoto} />
+                  )}
+                  <h3 className={styles.speakerName}>{speaker.name}</h3>
+                  <p className={styles.speakerRole}>
+                    {[speaker.title, speaker.organization].filter(Boolean).join(', ')}
+                  </p>
+                </div>
+              ))}
+            </div>
+          </div>
+        </section>
+      )}
+
+      {/* Sessions */}
+      {archive.sessions.length > 0 && (
+        <section className={styles.sectionAlt}>
+          <div className="container">
+            <h2 className={styles.sectionTitle}>Sessions</h2>
+            <ul className={styles.sessionList}>
+              {archive.sessions.map((session, index) => (
+                <li key={`${session.title}-${index}`} className={styles.sessionItem}>
+                  <div className={styles.sessionHeader}>
+                    <div>
+                      <h3 className={styles.sessionTitle}>{session.title}</h3>
+                      {session.speakerNames?.length > 0 && (
+                        <p className={styles.sessionMeta}>{session.speakerNames.join(', ')}</p>
+                      )}
+                    </div>
+                    {session.recordingVideoId && (
+                      <button
+                        type="button"
+                        className={styles.recordingButton}
+                        onClick={() => setOpenRecording(openRecording === index ? null : index)}
+                        aria-expanded={openRecording === index}
+                      >
+                        {openRecording === index ? 'Hide Recording' : 'Watch Recording'}
+                      </button>
+                    )}
+                  </div>
+                  {openRecording === index && (
+                    <div className={styles.recording}>
+                      <YouTubeEmbed videoId={session.recordingVideoId} title={session.title} />
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        </section>
+      )}
+
+      {/* Photo Galleries */}
+      {galleries.length > 0 && (
+        <section className={styles.section}>
+          <div className="container">
+            <h2 className={styles.sectionTitle}>Photos</h2>
+            {galleries.map((gallery, galleryIndex) => (
+              <div key={`${gallery.title}-${galleryIndex}`} className={styles.gallery}>
+                {gallery.title && <h3 className={styles.galleryTitle}>{gallery.title}</h3>}
+                <div className={styles.photoGrid}>
+                  {gallery.photos.map((photo) => (
+                    <figure key={photo.url} className={styles.photo}>
+                      <a href={photo.url} target="_blank" rel="noopener noreferrer">
+                        <img src={photo.url} alt={photo.caption || gallery.title} loading="lazy" />
+                      </a>
+                      {photo.caption && <figcaption>{photo.caption}</figcaption>}
+                    </figure>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        </section>
+      )}
+
+      {/* Materials */}
+      {archive.materials.length > 0 && (
+        <section className={styles.sectionAlt}>
+          <div className="container">
+            <h2 className={styles.sectionTitle}>Materials</h2>
+            <ul className={styles.materialList}>
+              {archive.materials.map((material) => (
+                <li key={material.url} className={styles.material}>
+                  <div>
+                    <h3 className={styles.materialTitle}>{material.title}</h3>
+                    {material.description && (
+                      <p className={styles.materialDescription}>{material.description}</p>
+                    )}
+                  </div>
+                  <a
+                    href={material.url}
+                    className={styles.materialLink}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                  >
+                    Download
+                  </a>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </section>
+      )}
+
+      {/* CTA Section */}
+      <section className={styles.ctaSection}>
+        <div className="container">
+          <h2 className={styles.ctaTitle}>Ready to Join Us?</h2>
+          <p className={styles.ctaText}>
+            Register now for IDMC {CONFERENCE.YEAR} and be part of this
+            transformational conference.
+          </p>
+          <div className={styles.ctaButtons}>
+            <Link to={ROUTES.REGISTER} className={styles.ctaButtonPrimary}>
+              Register Now
+            </Link>
+            <Link to={ROUTES.ARCHIVE} className={styles.ctaButtonSecondary}>
+              More Past Conferences
+            </Link>
+          </div>
+        </div>
+      </section>
+    </div>
+  );
+}
+
+export default ArchiveEditionPage;
@@ -0,0 +1,125 @@
+/**
+ * ArchivePage Component
+ * Public index of past conferences, linking to each year's archive page.
+ *
+ * @module pages/ArchivePage
+ */
+
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { ROUTES, CONFERENCE } from '../constants';
+import { getPublishedArchives, formatArchiveDateRange } from '../services';
+import styles from './ArchivePage.module.css';
+
+/**
+ * ArchivePage Component
+ * Lists published past conference pages, newest first.
+ *
+ * @returns {JSX.Element} The archive index page component
+ */
+function ArchivePage() {
+  const [archives, setArchives] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  /**
+   * Fetch published archives on mount
+   */
+  useEffect(() => {
+    async function fetchArchives() {
+      setIsLoading(true);
+      try {
+        setArchives(await getPublishedArchives());
+      } catch (error) {
+        console.error('Failed to fetch past conferences:', error);
+        setArchives([]);
+      } finally {
+        setIsLoading(false);
+      }
+    }
+
+    fetchArchives();
+  }, []);
+
+  return (
+    <div className={styles.page}>
+      {/* Hero Section */}
+      <section className={styles.heroSection}>
+        <div className="container">
+          <h1 className={styles.pageTitle}>Past Conferences</h1>
+          <p className={styles.pageSubtitle}>
+            Revisit the themes, speakers, recordings and photos from previous years
+          </p>
+        </div>
+      </section>
+
+      {/* Archive List */}
+      <section className={styles.listSection}>
+        <div className="container">
+          {isLoading ? (
+            <div className={styles.loadingState}>
+              <div className={styles.loadingSpinner} />
+              <p>Loading past conferences...</p>
+            </div>
+          ) : archives.length === 0 ? (
+            <div className={styles.emptyState}>
+              <p>Past conference pages will be available soon.</p>
+            </div>
+          ) : (
+            <div className={styles.archiveGrid}>
+              {archives.map((archive) => {
+                const coverPhoto = archive.galleries.find((gallery) => gallery.photos?.length)?.photos[0];
+                const dates = formatArchiveDateRange(archive);
+
+                return (
+                  <Link
+                    key={archive.id}
+                    to={ROUTES.ARCHIVE_EDITION.replace(':year', archive.year)}
+                    className={styles.archiveCard}
+                  >
+                    <div className={styles.cardCover}>
+                      {coverPhoto ? (
+                        <img src={coverPhoto.url} alt="" className={styles.coverImage} />
+                      ) : (
+                        <span className={styles.coverYear}>{archive.year}</span>
+                      )}
+                    </div>
+                    <div className={styles.cardBody}>
+                      <h2 className={styles.cardTitle}>{archive.title}</h2>
+                      {archive.theme && <p className={styles.cardTheme}>{archive.theme}</p>}
+                      {(dates || archive.venueName) && (
+                        <p className={styles.cardMeta}>
+                          {[dates, archive.venueName].filter(Boolean).join(' · ')}
+                        </p>
+                      )}
+                    </div>
+                  </Link>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      </section>
+
+      {/* CTA Section */}
+      <section className={styles.ctaSection}>
+        <div className="container">
+          <h2 className={styles.ctaTitle}>Ready to Join Us?</h2>
+          <p className={styles.ctaText}>
+            Register now for IDMC {CONFERENCE.YEAR} and be part of this
+            transformational conference.
+          </p>
+          <div className={styles.ctaButtons}>
+            <Link to={ROUTES.REGISTER} className={styles.ctaButtonPrimary}>
+              Register Now
+            </Link>
+            <Link to={ROUTES.FAQ} className={styles.ctaButtonSecondary}>
+              View FAQ
+            </Link>
+          </div>
+        </div>
+      </section>
+    </div>
+  );
+}
+
+export default ArchivePage;
@@ -1,13 +1,17 @@
 /**
  * FeedbackPage Component
  * Public-facing page for event feedback submission.
- * Accessible only via direct URL (not in navigation menu).
+ * Accessible only via direct URL (not in navigation menu). A `ref` query
+ * parameter (registration ID) links non-anonymous responses to a registration.
  *
  * @module pages/FeedbackPage
  */
 
-import { useMemo } from 'react';
-import { FeedbackForm } from '../components/feedback';
+import { useState, useEffect, useMemo } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { FeedbackForm, SessionRatingForm } from '../components/feedback';
+import { getPublishedSessions } from '../services/sessions';
+import { isSessionRatable, SESSION_RATING_SOURCES } from '../services/sessionRatings';
 import { useSettings, DEFAULT_SETTINGS } from '../context/SettingsContext';
 import styles from './FeedbackPage.module.css';
 
@@ -42,6 +46,9 @@ function getFeedbackStatus(feedbackSettings) {
  */
 function FeedbackPage() {
   const { settings, isLoading } = useSettings();
+  const [searchParams] = useSearchParams();
+  const registrationId = searchParams.get('ref');
+  const [sessions, setSessions] = useState([]);
 
   // Use settings from context or fallback to defaults
   const feedbackSettings = settings?.feedback ?? DEFAULT_SETTINGS.feedback;
@@ -57,6 +64,26 @@ function FeedbackPage() {
     feedbackSettings?.formSubtitle ||
     'We value your feedback. Please share your experience with us.';
   const fields = feedbackSettings?.fields || [];
+  const sessionRatingsEnabled = Boolean(feedbackSettings?.sessionRatingsEnabled);
+
+  /**
+   * Loads the published sessions when session ratings are open
+   */
+  useEffect(() => {
+    if (!sessionRatingsEnabled) {
+      return;
+    }
+    getPublishedSessions()
+      .then(setSessions)
+      .catch((fetchError) => {
+        console.error('Failed to load sessions for rating:', fetchError);
+      });
+  }, [sessionRatingsEnabled]);
+
+  const ratableSessions = useMemo(
+    () => sessions.filter((session) => isSessionRatable(session, settings?.startDate, settings?.timezone)),
+    [sessions, settings?.startDate, settings?.timezone]
+  );
 
   // Show loading state
   if (isLoading) {
@@ -144,8 +171,23 @@ function FeedbackPage() {
               <p className={styles.sectionSubtitle}>
                 Your feedback helps us improve future events and better serve our community.
               </p>
-              <FeedbackForm fields={fields} />
+              <FeedbackForm fields={fields} registrationId={registrationId} />
             </div>
+
+            {sessionRatingsEnabled && ratableSessions.length > 0 && (
+              <div className={`${styles.formSection} ${styles.ratingSection}`}>
+                <h2 className={styles.sectionTitle}>Rate the Sessions</h2>
+                <p className={styles.sectionSubtitle}>
+                  Rate the plenaries and workshops you attended. Ratings and comments are shared
+                  with the speakers without your name.
+                </p>
+                <SessionRatingForm
+                  sessions={ratableSessions}
+                  source={SESSION_RATING_SOURCES.SURVEY}
+                  defaultIdentifier={registrationId || ''}
+                />
+              </div>
+            )}
           </div>
         </div>
       </section>
@@ -16,6 +16,10 @@ import {
   formatPrice,
   isValidEmail,
   isValidPhoneNumber,
+  calculateRegistrationPricing,
+  getInitialFieldValues,
+  validateFieldValues,
+  getVisibleFieldValues,
 } from '../utils';
 import {
   createRegistration,
@@ -24,7 +28,16 @@ import {
   getRegistrationByEmail,
   getActiveBankAccounts,
   checkRegistrationAvailability,
+  validatePromoCode,
   REGISTRATION_ERROR_CODES,
+  DRAFT_EXPIRY_DAYS,
+  serializeDraftFormData,
+  getLocalDraft,
+  saveLocalDraft,
+  clearLocalDraft,
+  saveRemoteDraft,
+  sendDraftResumeCode,
+  discardRemoteDraft,
 } from '../services';
 import { getConferenceStats } from '../services/stats';
 import { getPublishedWorkshops } from '../services/workshops';
@@ -33,6 +46,7 @@ import { getPublishedWhatToBringItems } from '../services/whatToBring';
 import { FOOD_MENU_STATUS } from '../constants';
 import { processReceipt } from '../tesseract';
 import WorkshopSelector from '../components/workshops/WorkshopSelector';
+import { RosterUploadPanel, CustomQuestionFields, DraftResumePanel } from '../components/registration';
 import styles from './RegisterPage.module.css';
 
 /**
@@ -61,9 +75,43 @@ const createEmptyAdditionalAttendee = () => {
     isStudent: false, // Whether attendee qualifies for student/senior citizen pricing
     workshopSelections: [], // Array of { sessionId, sessionTitle, timeSlot }
     foodChoice: '', // Selected food menu item ID
+    customAnswers: {}, // Answers to per-attendee registration questions, keyed by field ID
   };
 };
 
+/**
+ * Fills in empty values for questions that have not been answered yet, so
+ * conditional logic and validation see checkboxes as unchecked.
+ *
+ * @param {Array} fields - Question field definitions
+ * @param {Object} answers - Answers keyed by field ID
+ * @returns {Object} Answers with defaults for every field
+ */
+const withDefaultAnswers = (fields, answers) => ({
+  ...getInitialFieldValues(fields),
+  ...answers,
+});
+
+/**
+ * Delays before the form is autosaved on this device and on the server
+ */
+const LOCAL_DRAFT_SAVE_DELAY_MS = 1000;
+const REMOTE_DRAFT_SAVE_DELAY_MS = 5000;
+
+/**
+ * Checks whether the registrant has entered anything worth saving as a draft
+ *
+ * @param {Object} data - Registration form state
+ * @returns {boolean} True when the form has content
+ */
+const hasDraftContent = (data) => Boolean(
+  data.churchName ||
+  data.primaryAttendee.firstName ||
+  data.primaryAttendee.lastName ||
+  data.primaryAttendee.email ||
+  data.additionalAttendees.length > 0
+);
+
 /**
  * Initial form data structure for registration
  * Primary attendee requires email + phone for all communications
@@ -88,8 +136,12 @@ const INITIAL_FORM_DATA = {
     isStudent: false, // Whether attendee qualifies for student/senior citizen pricing
     workshopSelections: [], // Array of { sessionId, sessionTitle, timeSlot }
     foodChoice: '', // Selected food menu item ID
+    customAnswers: {}, // Answers to per-attendee registration questions, keyed by field ID
   },
 
+  // Registration-level custom question answers, keyed by field ID
+  customAnswers: {},
+
   // Additional attendees (required: phone; optional: email)
   additionalAttendees: [],
 
@@ -111,6 +163,7 @@ const INITIAL_FORM_DATA = {
 
   // Terms
   termsAccepted: false,
+  smsOptIn: false,
 };
 
 /**
@@ -121,11 +174,26 @@ const INITIAL_FORM_DATA = {
  * @returns {JSX.Element} The registration page component
  */
 function RegisterPage() {
-  const { settings: dbSettings, pricingTiers, isLoading: isLoadingSettings } = useSettings();
+  const {
+    settings: dbSettings,
+    pricingTiers,
+    groupDiscountRules,
+    isLoading: isLoadingSettings,
+  } = useSettings();
   // Use DEFAULT_SETTINGS as fallback only after Firebase has loaded
   const settings = isLoadingSettings ? null : (dbSettings || DEFAULT_SETTINGS);
   const [searchParams] = useSearchParams();
 
+  // Admin-configured custom questions (see Settings > Registration Questions)
+  const registrationQuestionFields = useMemo(
+    () => settings?.registrationQuestions?.registrationFields || [],
+    [settings]
+  );
+  const attendeeQuestionFields = useMemo(
+    () => settings?.registrationQuestions?.attendeeFields || [],
+    [settings]
+  );
+
   /**
    * Get available pricing tiers from the database
    * Each tier has: id, name, regularPrice, studentPrice
@@ -191,9 +259,32 @@ function RegisterPage() {
   const [waitlistPosition, setWaitlistPosition] = useState(null);
   const [registrationAvailability, setRegistrationAvailability] = useState(null);
 
+  // Promo code state
+  const [promoCodeInput, setPromoCodeInput] = useState('');
+  const [appliedPromo, setAppliedPromo] = useState(null);
+  const [promoError, setPromoError] = useState(null);
+  const [isApplyingPromo, setIsApplyingPromo] = useState(false);
+
+  // Coordinator mode (bulk roster upload) state
+  const [isCoordinatorMode, setIsCoordinatorMode] = useState(false);
+
   // What to Bring items state
   const [whatToBringItems, setWhatToBringItems] = useState([]);
 
+  // Draft (save and resume later) state. A draft left on this device is
+  // offered back before autosave starts, so it is not overwritten.
+  const resumeEmailParam = searchParams.get('resume');
+  const [pendingLocalDraft, setPendingLocalDraft] = useState(() => {
+    const draft = getLocalDraft();
+    return draft?.formData ? draft : null;
+  });
+  const [draftId, setDraftId] = useState(null);
+  const [draftToken, setDraftToken] = useState(null);
+  const [showResumePanel, setShowResumePanel] = useState(Boolean(resumeEmailParam));
+  const [isSavingForLater, setIsSavingForLater] = useState(false);
+  const [savedForLaterEmail, setSavedForLaterEmail] = useState(null);
+  const [draftError, setDraftError] = useState(null);
+
   // OCR-related state
   const [isOcrProcessing, setIsOcrProcessing] = useState(false);
   const [ocrResult, setOcrResult] = useState(null);
@@ -365,6 +456,145 @@ function RegisterPage() {
     }
   }, [availablePricingTiers, formData.primaryAttendee.category]);
 
+  /**
+   * Autosaves the form on this device, and on the server once the primary
+   * email is valid, so the registration can be resumed later
+   */
+  useEffect(() => {
+    if (isSubmitted || pendingLocalDraft || !hasDraftContent(formData)) {
+      return undefined;
+    }
+
+    const step = Math.min(currentStep, REGISTRATION_STEPS.PAYMENT_UPLOAD);
+    const email = formData.primaryAttendee.email.trim();
+
+    const localTimer = setTimeout(() => {
+      saveLocalDraft({ formData: serializeDraftFormData(formData), step, email, draftId, draftToken });
+    }, LOCAL_DRAFT_SAVE_DELAY_MS);
+
+    if (!isValidEmail(email)) {
+      return () => clearTimeout(localTimer);
+    }
+
+    const remoteTimer = setTimeout(async () => {
+      try {
+        const result = await saveRemoteDraft({ email, formData, step, draftId, draftToken });
+        setDraftId(result.draftId);
+        setDraftToken(result.draftToken);
+      } catch (error) {
+        console.error('Failed to save registration draft:', error);
+      }
+    }, REMOTE_DRAFT_SAVE_DELAY_MS);
+
+    return () => {
+      clearTimeout(localTimer);
+      clearTimeout(remoteTimer);
+    };
+  }, [formData, currentStep, draftId, draftToken, isSubmitted, pendingLocalDraft]);
+
+  /**
+   * Clears this device's draft once the registration is submitted. The
+   * server draft is removed when the registration is created.
+   */
+  useEffect(() => {
+    if (isSubmitted) {
+      clearLocalDraft();
+    }
+  }, [isSubmitted]);
+
+  /**
+   * Loads a saved draft into the form
+   *
+   * @param {Object} draft - { formData, step, draftId, draftToken }
+   */
+  const applyDraft = useCallback((draft) => {
+    const saved = draft.formData || {};
+    setFormData({
+      ...initialFormData,
+      ...saved,
+      primaryAttendee: {
+        ...initialFormData.primaryAttendee,
+        ...saved.primaryAttendee,
+      },
+      additionalAttendees: saved.additionalAttendees || [],
+      paymentFile: null,
+      paymentFileName: '',
+    });
+    setCurrentStep(Math.min(
+      Math.max(draft.step || REGISTRATION_STEPS.PERSONAL_INFO, REGISTRATION_STEPS.PERSONAL_INFO),
+      REGISTRATION_STEPS.PAYMENT_UPLOAD
+    ));
+    setDraftId(draft.draftId || null);
+    setDraftToken(draft.draftToken || null);
+    window.scrollTo(0, 0);
+  }, [initialFormData]);
+
+  /**
+   * Continues the draft saved on this device
+   */
+  const handleResumeLocalDraft = useCallback(() => {
+    applyDraft(pendingLocalDraft);
+    setPendingLocalDraft(null);
+  }, [applyDraft, pendingLocalDraft]);
+
+  /**
+   * Discards the draft saved on this device, and its server copy
+   */
+  const handleDiscardLocalDraft = useCallback(() => {
+    if (pendingLocalDraft?.draftId && pendingLocalDraft.draftToken) {
+      discardRemoteDraft(pendingLocalDraft.draftId, pendingLocalDraft.draftToken).catch((error) => {
+        console.error('Failed to discard registration draft:', error);
+      });
+    }
+    clearLocalDraft();
+    setPendingLocalDraft(null);
+  }, [pendingLocalDraft]);
+
+  /**
+   * Continues a draft resumed from the server with a verification code
+   *
+   * @param {Object} draft - { formData, step, draftId, draftToken, email }
+   */
+  const handleResumeRemoteDraft = useCallback((draft) => {
+    applyDraft(draft);
+    setPendingLocalDraft(null);
+    setShowResumePanel(false);
+  }, [applyDraft]);
+
+  /**
+   * Saves the draft on the server now and emails a link and code for
+   * continuing on any device
+   */
+  const handleSaveForLater = useCallback(async () => {
+    const email = formData.primaryAttendee.email.trim();
+    setDraftError(null);
+
+    if (!isValidEmail(email)) {
+      setDraftError('Enter the primary attendee\'s email first so we can send you a link to continue.');
+      return;
+    }
+
+    setIsSavingForLater(true);
+    try {
+      const result = await saveRemoteDraft({
+        email,
+        formData,
+        step: Math.min(currentStep, REGISTRATION_STEPS.PAYMENT_UPLOAD),
+        draftId,
+        draftToken,
+      });
+      setDraftId(result.draftId);
+      setDraftToken(result.draftToken);
+      await sendDraftResumeCode(email);
+      setSavedForLaterEmail(email);
+    } catch (error) {
+      console.error('Failed to save registration for later:', error);
+      setDraftError(error.message || 'Failed to save your registration. Please try again.');
+    } finally {
+      setIsSavingForLater(false);
+    }
+  }, [formData, currentStep, draftId, draftToken]);
+
   /**
    * Updates a form field value
    *
@@ -519,6 +749,16 @@ function RegisterPage() {
     }));
   }, []);
 
+  /**
+   * Updates the registration-level custom question answers
+   *
+   * @param {Object} answers - Answers keyed by field ID
+   */
+  const updateRegistrationAnswers = useCallback((answers) => {
+    setFormData((prev) => ({ ...prev, customAnswers: answers }));
+    setErrors((prev) => ({ ...prev, customAnswers: null }));
+  }, []);
+
   /**
    * Adds a new additional attendee
    */
@@ -546,6 +786,32 @@ function RegisterPage() {
     });
   }, []);
 
+  /**
+   * Loads a validated delegation roster into the form.
+   * The first roster attendee becomes the primary contact; the rest are added as additional attendees.
+   *
+   * @param {Array} attendees - Attendees parsed from the roster
+   */
+  const handleRosterImport = useCallback((attendees) => {
+    const [primary, ...others] = attendees;
+    if (!primary) return;
+
+    setFormData((prev) => ({
+      ...prev,
+      primaryAttendee: {
+        ...INITIAL_FORM_DATA.primaryAttendee,
+        ...primary,
+        emailConfirm: primary.email,
+      },
+      additionalAttendees: others.map((attendee) => ({
+        ...createEmptyAdditionalAttendee(),
+        ...attendee,
+      })),
+    }));
+    setPrimaryErrors({});
+    setAdditionalErrors({});
+  }, []);
+
   /**
    * Updates primary attendee workshop selections
    *
@@ -710,30 +976,126 @@ function RegisterPage() {
   }, [availablePricingTiers]);
 
   /**
-   * Calculates total price for all attendees (primary + additional)
+   * Calculates the price for all attendees (primary + additional) before discounts
    * Takes into account student pricing when applicable
    *
-   * @returns {number} Total price
+   * @returns {number} Subtotal price
    */
   // Derive pricing-relevant data from additional attendees to ensure recalculation when category/isStudent changes
   const additionalAttendeesPricingData = useMemo(() => {
     return (formData.additionalAttendees || []).map(a => ({ category: a.category, isStudent: a.isStudent }));
   }, [formData.additionalAttendees]);
 
-  const calculateTotalPrice = useCallback(() => {
-    // Primary attendee price (with student pricing if applicable)
-    const primaryPrice = getCategoryPrice(
-      formData.primaryAttendee.category,
-      formData.primaryAttendee.isStudent
-    );
+  /**
+   * Prices the registration: each attendee's ticket, the promo code discount
+   * and the best group discount rule
+   */
+  const pricing = useMemo(() => {
+    const attendees = [
+      { category: formData.primaryAttendee.category, isStudent: formData.primaryAttendee.isStudent },
+      ...additionalAttendeesPricingData,
+    ];
+    const tickets = attendees.map((attendee) => ({
+      category: attendee.category,
+      price: getCategoryPrice(attendee.category, attendee.isStudent) || 0,
+    }));
+
+    return calculateRegistrationPricing(tickets, appliedPromo, groupDiscountRules);
+  }, [appliedPromo, groupDiscountRules, formData.primaryAttendee.category, formData.primaryAttendee.isStudent, additionalAttendeesPricingData, getCategoryPrice]);
+
+  const calculateSubtotal = useCallback(() => pricing.subtotal, [pricing]);
+
+  /**
+   * Gets the promo code discount across all attendees
+   *
+   * @returns {number} Total discount amount
+   */
+  const calculateDiscount = useCallback(() => pricing.promoDiscount, [pricing]);
+
+  /**
+   * Gets the group discount rule that applies to this registration
+   *
+   * @returns {{rule: Object|null, amount: number}} Applied rule and discount amount
+   */
+  const getGroupDiscount = useCallback(() => pricing.groupDiscount, [pricing]);
+
+  /**
+   * Gets the total amount due after promo code and group discounts
+   *
+   * @returns {number} Total price
+   */
+  const calculateTotalPrice = useCallback(() => pricing.total, [pricing]);
+
+  /**
+   * Builds the promo details stored on the registration
+   * Only recorded when the code actually discounts this registration
+   *
+   * @returns {Object|null} Promo code snapshot or null
+   */
+  const getPromoDetails = useCallback(() => {
+    if (!appliedPromo || calculateDiscount() <= 0) return null;
+    return {
+      code: appliedPromo.code,
+      discountType: appliedPromo.discountType,
+      discountValue: appliedPromo.discountValue,
+    };
+  }, [appliedPromo, calculateDiscount]);
+
+  /**
+   * Builds the group discount details stored on the registration
+   *
+   * @returns {Object|null} Group discount snapshot or null
+   */
+  const getGroupDiscountDetails = useCallback(() => {
+    const { rule, amount } = getGroupDiscount();
+    if (!rule || amount <= 0) return null;
+    return {
+      ruleId: rule.id,
+      name: rule.name,
+      type: rule.type,
+      value: rule.value,
+      minAttendees: rule.minAttendees,
+      amount,
+    };
+  }, [getGroupDiscount]);
+
+  /**
+   * Validates and applies the entered promo code
+   */
+  const handleApplyPromo = useCallback(async () => {
+    if (!promoCodeInput.trim()) {
+      setPromoError('Please enter a promo code.');
+      return;
+    }
 
-    // Additional attendees price (with student pricing if applicable)
-    const additionalPrice = additionalAttendeesPricingData.reduce((total, attendee) => {
-      return total + getCategoryPrice(attendee.category, attendee.isStudent);
-    }, 0);
+    setIsApplyingPromo(true);
+    setPromoError(null);
 
-    return primaryPrice + additionalPrice;
-  }, [formData.primaryAttendee.category, formData.primaryAttendee.isStudent, additionalAttendeesPricingData, getCategoryPrice]);
+    try {
+      const categories = [
+        formData.primaryAttendee.category,
+        ...additionalAttendeesPricingData.map((attendee) => attendee.category),
+      ];
+      const promo = await validatePromoCode(promoCodeInput, categories);
+      setAppliedPromo(promo);
+      setPromoCodeInput(promo.code);
+    } catch (error) {
+      console.error('Promo code validation error:', error);
+      setAppliedPromo(null);
+      setPromoError(error.code ? error.message : 'Failed to apply promo code. Please try again.');
+    } finally {
+      setIsApplyingPromo(false);
+    }
+  }, [promoCodeInput, formData.primaryAttendee.category, additionalAttendeesPricingData]);
+
+  /**
+   * Removes the applied promo code
+   */
+  const handleRemovePromo = useCallback(() => {
+    setAppliedPromo(null);
+    setPromoCodeInput('');
+    setPromoError(null);
+  }, []);
 
   /**
    * Checks if payment is required based on total amount
@@ -844,6 +1206,15 @@ function RegisterPage() {
       newErrors.churchProvince = 'Province/Region is required';
     }
 
+    // Validate registration-level custom questions
+    const registrationAnswerErrors = validateFieldValues(
+      registrationQuestionFields,
+      withDefaultAnswers(registrationQuestionFields, formData.customAnswers)
+    );
+    if (Object.keys(registrationAnswerErrors).length > 0) {
+      newErrors.customAnswers = registrationAnswerErrors;
+    }
+
     // Validate primary attendee (email + phone required)
     const primary = formData.primaryAttendee || {};
 
@@ -876,6 +1247,13 @@ function RegisterPage() {
     if (foodSelectionEnabled && foodMenuItems.length > 0 && !primary.foodChoice) {
       newPrimaryErrors.foodChoice = 'Food preference is required';
     }
+    const primaryAnswerErrors = validateFieldValues(
+      attendeeQuestionFields,
+      withDefaultAnswers(attendeeQuestionFields, primary.customAnswers)
+    );
+    if (Object.keys(primaryAnswerErrors).length > 0) {
+      newPrimaryErrors.customAnswers = primaryAnswerErrors;
+    }
 
     // Validate additional attendees (phone required, email optional)
     (formData.additionalAttendees || []).forEach((attendee, index) => {
@@ -902,6 +1280,13 @@ function RegisterPage() {
       if (foodSelectionEnabled && foodMenuItems.length > 0 && !attendee.foodChoice) {
         attendeeErr.foodChoice = 'Food preference is required';
       }
+      const attendeeAnswerErrors = validateFieldValues(
+        attendeeQuestionFields,
+        withDefaultAnswers(attendeeQuestionFields, attendee.customAnswers)
+      );
+      if (Object.keys(attendeeAnswerErrors).length > 0) {
+        attendeeErr.customAnswers = attendeeAnswerErrors;
+      }
 
       if (Object.keys(attendeeErr).length > 0) {
         newAdditionalErrors[index] = attendeeErr;
@@ -923,7 +1308,7 @@ function RegisterPage() {
       Object.keys(newPrimaryErrors).length === 0 &&
       Object.keys(newAdditionalErrors).length === 0
     );
-  }, [formData, foodSelectionEnabled, foodMenuItems, hasConferenceCapacity, getRemainingConferenceSlots, duplicateRegistration]);
+  }, [formData, foodSelectionEnabled, foodMenuItems, hasConferenceCapacity, getRemainingConferenceSlots, duplicateRegistration, registrationQuestionFields, attendeeQuestionFields]);
 
   /**
    * Validates the ticket selection step
@@ -1062,7 +1447,7 @@ function RegisterPage() {
 
     try {
       // Generate registration ID
-      const { registrationId: newRegId, shortCode: newShortCode } = generateRegistrationId();
+      const { registrationId: newRegId, shortCode: newShortCode } = generateRegistrationId(settings?.year);
 
       // Check for duplicate email first
       const existing = await getRegistrationByEmail(formData.primaryAttendee.email);
@@ -1087,8 +1472,13 @@ function RegisterPage() {
             email: formData.primaryAttendee.email,
             ministryRole: formData.primaryAttendee.ministryRole,
             category: formData.primaryAttendee.category,
+            isStudent: Boolean(formData.primaryAttendee.isStudent),
             workshopSelections: formData.primaryAttendee.workshopSelections || [],
             foodChoice: formData.primaryAttendee.foodChoice || '',
+            customAnswers: getVisibleFieldValues(
+              attendeeQuestionFields,
+              withDefaultAnswers(attendeeQuestionFields, formData.primaryAttendee.customAnswers)
+            ),
           },
           additionalAttendees: (formData.additionalAttendees || []).map((attendee) => ({
             lastName: attendee.lastName,
@@ -1098,16 +1488,31 @@ function RegisterPage() {
             email: attendee.email || '',
             ministryRole: attendee.ministryRole,
             category: attendee.category,
+            isStudent: Boolean(attendee.isStudent),
             workshopSelections: attendee.workshopSelections || [],
             foodChoice: attendee.foodChoice || '',
+            customAnswers: getVisibleFieldValues(
+              attendeeQuestionFields,
+              withDefaultAnswers(attendeeQuestionFields, attendee.customAnswers)
+            ),
           })),
           church: {
             name: formData.churchName,
             city: formData.churchCity,
             province: formData.churchProvince,
           },
+          customAnswers: getVisibleFieldValues(
+            registrationQuestionFields,
+            withDefaultAnswers(registrationQuestionFields, formData.customAnswers)
+          ),
+          subtotalAmount: calculateSubtotal(),
+          discountAmount: calculateDiscount(),
+          promo: getPromoDetails(),
+          groupDiscountAmount: getGroupDiscount().amount,
+          groupDiscount: getGroupDiscountDetails(),
           totalAmount: calculateTotalPrice(),
           pricingTier: currentTier?.id || 'standard',
+          smsOptIn: formData.smsOptIn,
         };
 
         // Save waitlist registration to Firestore
@@ -1143,8 +1548,13 @@ function RegisterPage() {
           email: formData.primaryAttendee.email,
           ministryRole: formData.primaryAttendee.ministryRole,
           category: formData.primaryAttendee.category,
+          isStudent: Boolean(formData.primaryAttendee.isStudent),
           workshopSelections: formData.primaryAttendee.workshopSelections || [],
           foodChoice: formData.primaryAttendee.foodChoice || '',
+          customAnswers: getVisibleFieldValues(
+            attendeeQuestionFields,
+            withDefaultAnswers(attendeeQuestionFields, formData.primaryAttendee.customAnswers)
+          ),
         },
         additionalAttendees: (formData.additionalAttendees || []).map((attendee) => ({
           lastName: attendee.lastName,
@@ -1154,14 +1564,23 @@ function RegisterPage() {
           email: attendee.email || '',
           ministryRole: attendee.ministryRole,
           category: attendee.category,
+          isStudent: Boolean(attendee.isStudent),
           workshopSelections: attendee.workshopSelections || [],
           foodChoice: attendee.foodChoice || '',
+          customAnswers: getVisibleFieldValues(
+            attendeeQuestionFields,
+            withDefaultAnswers(attendeeQuestionFields, attendee.customAnswers)
+          ),
         })),
         church: {
           name: formData.churchName,
           city: formData.churchCity,
           province: formData.churchProvince,
         },
+        customAnswers: getVisibleFieldValues(
+          registrationQuestionFields,
+          withDefaultAnswers(registrationQuestionFields, formData.customAnswers)
+        ),
         payment: {
           method: formData.paymentMethod,
           proofUrl: paymentProofUrl,
@@ -1186,8 +1605,14 @@ function RegisterPage() {
           tin: formData.tin,
           address: formData.invoiceAddress,
         } : null,
+        subtotalAmount: calculateSubtotal(),
+        discountAmount: calculateDiscount(),
+        promo: getPromoDetails(),
+        groupDiscountAmount: getGroupDiscount().amount,
+        groupDiscount: getGroupDiscountDetails(),
         totalAmount: calculateTotalPrice(),
         pricingTier: currentTier?.id || 'standard',
+        smsOptIn: formData.smsOptIn,
       };
 
       // Save to Firestore
@@ -1210,7 +1635,7 @@ function RegisterPage() {
     } finally {
       setIsSubmitting(false);
     }
-  }, [formData, currentTier, calculateTotalPrice, ocrModifiedFields, ocrParsedFields, ocrResult, isWaitlistMode]);
+  }, [formData, currentTier, calculateSubtotal, calculateDiscount, calculateTotalPrice, getPromoDetails, getGroupDiscount, getGroupDiscountDetails, ocrModifiedFields, ocrParsedFields, ocrResult, isWaitlistMode, registrationQuestionFields, attendeeQuestionFields, settings?.year]);
 
   // Loading state - wait for Firebase settings
   if (!settings) {
@@ -1547,9 +1972,57 @@ function RegisterPage() {
               <a href={ROUTES.REGISTRATION_STATUS}>
                 Check your registration status
               </a>
+              {' '}&middot; Started on another device?{' '}
+              <button
+                type="button"
+                className={styles.statusLinkButton}
+                onClick={() => setShowResumePanel(true)}
+              >
+                Resume a saved registration
+              </button>
             </p>
           </div>
 
+          {/* Unfinished registration saved on this device */}
+          {pendingLocalDraft && (
+            <div className={styles.draftBanner}>
+              <p>
+                You have an unfinished registration saved on this device
+                {pendingLocalDraft.savedAt && ` from ${new Date(pendingLocalDraft.savedAt).toLocaleString('en-US', {
+                  month: 'short',
+                  day: 'numeric',
+                  hour: 'numeric',
+                  minute: '2-digit',
+                })}`}
+                . Would you like to continue where you left off?
+              </p>
+              <div className={styles.draftBannerActions}>
+                <button type="button" className={styles.buttonSecondary} onClick={handleDiscardLocalDraft}>
+                  Start Over
+                </button>
+                <button type="button" className={styles.buttonPrimary} onClick={handleResumeLocalDraft}>
+                  Continue
+                </button>
+              </div>
+            </div>
+          )}
+
+          {showResumePanel && (
+            <DraftResumePanel
+              defaultEmail={resumeEmailParam || ''}
+              message="We'll email a verification code to the primary attendee's email so you can pick up where you left off."
+              onResume={handleResumeRemoteDraft}
+              onCancel={() => setShowResumePanel(false)}
+            />
+          )}
+
+          {savedForLaterEmail && (
+            <div className={styles.draftSavedNotice} role="status">
+              Your registration is saved. We emailed a link and code to {savedForLaterEmail} so you
+              can finish on any device within {DRAFT_EXPIRY_DAYS} days.
+            </div>
+          )}
+
           {/* Conference Capacity Indicator */}
           {conferenceCapacity !== null && !loadingCapacity && (
             <div className={`${styles.capacityIndicator} ${
@@ -1626,6 +2099,31 @@ function RegisterPage() {
                 Enter your church details and attendee information.
               </p>
 
+              <div className={styles.formGroup}>
+                <div className={styles.checkboxGroup}>
+                  <label className={styles.checkboxLabel}>
+                    <input
+                      type="checkbox"
+                      checked={isCoordinatorMode}
+                      onChange={(e) => setIsCoordinatorMode(e.target.checked)}
+                      className={styles.checkbox}
+                    />
+                    <span>I&apos;m a church coordinator registering a delegation (upload a roster)</span>
+                  </label>
+                </div>
+              </div>
+
+              {isCoordinatorMode && (
+                <RosterUploadPanel
+                  pricingTiers={availablePricingTiers}
+                  defaultCategory={availablePricingTiers[0]?.id || ''}
+                  workshops={workshops}
+                  foodMenuItems={foodSelectionEnabled ? foodMenuItems : []}
+                  requireFoodChoice={foodSelectionEnabled && foodMenuItems.length > 0}
+                  onImport={handleRosterImport}
+                />
+              )}
+
               <div className={styles.sectionDivider}>
                 <span>Church Information</span>
               </div>
@@ -1911,8 +2409,33 @@ function RegisterPage() {
                     />
                   </div>
                 )}
+
+                {/* Custom Questions for Primary Attendee */}
+                <CustomQuestionFields
+                  fields={attendeeQuestionFields}
+                  values={formData.primaryAttendee.customAnswers}
+                  errors={primaryErrors.customAnswers || {}}
+                  onChange={(answers) => updatePrimaryAttendee('customAnswers', answers)}
+                  idPrefix="primary"
+                />
               </div>
 
+              {/* Registration-level Custom Questions */}
+              {registrationQuestionFields.length > 0 && (
+                <>
+                  <div className={styles.sectionDivider}>
+                    <span>Additional Information</span>
+                  </div>
+                  <CustomQuestionFields
+                    fields={registrationQuestionFields}
+                    values={formData.customAnswers}
+                    errors={errors.customAnswers || {}}
+                    onChange={updateRegistrationAnswers}
+                    idPrefix="registration"
+                  />
+                </>
+              )}
+
               {/* Additional Attendees Section */}
               <div className={styles.sectionDivider}>
                 <span>Additional Attendees ({formData.additionalAttendees?.length || 0})</span>
@@ -2111,6 +2634,15 @@ function RegisterPage() {
                       />
                     </div>
                   )}
+
+                  {/* Custom Questions for Additional Attendee */}
+                  <CustomQuestionFields
+                    fields={attendeeQuestionFields}
+                    values={attendee.customAnswers}
+                    errors={additionalErrors[index]?.customAnswers || {}}
+                    onChange={(answers) => updateAdditionalAttendee(index, 'customAnswers', answers)}
+                    idPrefix={`attendee-${attendee.id}`}
+                  />
                 </div>
               ))}
 
@@ -2140,7 +2672,7 @@ function RegisterPage() {
 
               <div className={styles.subtotalBox}>
                 <span>Subtotal ({getTotalAttendeeCount()} attendee{getTotalAttendeeCount() > 1 ? 's' : ''})</span>
-                <strong>{formatPrice(calculateTotalPrice())}</strong>
+                <strong>{formatPrice(calculateSubtotal())}</strong>
               </div>
             </div>
           )}
@@ -2200,6 +2732,68 @@ function RegisterPage() {
                 </div>
               )}
 
+              <div className={styles.reviewSection}>
+                <h3>Promo Code</h3>
+                {appliedPromo ? (
+                  <div className={styles.promoApplied}>
+                    <span>
+                      <strong>{appliedPromo.code}</strong> applied
+                      {calculateDiscount() === 0 && ' (does not apply to the selected categories)'}
+                    </span>
+                    <button
+                      type="button"
+                      className={styles.promoRemoveButton}
+                      onClick={handleRemovePromo}
+                    >
+                      Remove
+                    </button>
+                  </div>
+                ) : (
+                  <div className={styles.promoRow}>
+                    <input
+                      type="text"
+                      value={promoCodeInput}
+                      onChange={(e) => setPromoCodeInput(e.target.value.toUpperCase())}
+                      className={`${styles.input} ${promoError ? styles.inputError : ''}`}
+                      placeholder="Enter promo code"
+                      aria-label="Promo code"
+                    />
+                    <button
+                      type="button"
+                      className={styles.promoApplyButton}
+                      onClick={handleApplyPromo}
+                      disabled={isApplyingPromo}
+                    >
+                      {isApplyingPromo ? 'Checking...' : 'Apply'}
+                    </button>
+                  </div>
+                )}
+                {promoError && (
+                  <span className={styles.errorMessage}>{promoError}</span>
+                )}
+              </div>
+
+              {(calculateDiscount() > 0 || getGroupDiscount().amount > 0) && (
+                <div className={styles.discountBreakdown}>
+                  <div className={styles.discountLine}>
+                    <span>Subtotal</span>
+                    <span>{formatPrice(calculateSubtotal())}</span>
+                  </div>
+                  {calculateDiscount() > 0 && (
+                    <div className={styles.discountLine}>
+                      <span>Discount ({appliedPromo.code})</span>
+                      <span className={styles.discountAmount}>-{formatPrice(calculateDiscount())}</span>
+                    </div>
+                  )}
+                  {getGroupDiscount().amount > 0 && (
+                    <div className={styles.discountLine}>
+                      <span>Group Discount ({getGroupDiscount().rule.name})</span>
+                      <span className={styles.discountAmount}>-{formatPrice(getGroupDiscount().amount)}</span>
+                    </div>
+                  )}
+                </div>
+              )}
+
               <div className={styles.totalSection}>
                 <span>Total Amount ({getTotalAttendeeCount()} attendee{getTotalAttendeeCount() > 1 ? 's' : ''})</span>
                 <span className={styles.totalAmount}>{formatPrice(calculateTotalPrice())}</span>
@@ -2230,6 +2824,20 @@ function RegisterPage() {
                     <span className={styles.errorMessage}>{errors.termsAccepted}</span>
                   )}
                 </div>
+                <div className={styles.checkboxGroup}>
+                  <label className={styles.checkboxLabel}>
+                    <input
+                      type="checkbox"
+                      checked={formData.smsOptIn}
+                      onChange={(e) => updateField('smsOptIn', e.target.checked)}
+                      className={styles.checkbox}
+                    />
+                    <span>
+                      Send me SMS updates about my registration (payment confirmation, waitlist
+                      offers and event reminders) at {formData.primaryAttendee.cellphone || 'my mobile number'}.
+                    </span>
+                  </label>
+                </div>
               </div>
             </div>
           )}
@@ -2878,6 +3486,27 @@ function RegisterPage() {
                 </div>
               </div>
 
+              {(calculateDiscount() > 0 || getGroupDiscount().amount > 0) && (
+                <div className={styles.discountBreakdown}>
+                  <div className={styles.discountLine}>
+                    <span>Subtotal</span>
+                    <span>{formatPrice(calculateSubtotal())}</span>
+                  </div>
+                  {calculateDiscount() > 0 && (
+                    <div className={styles.discountLine}>
+                      <span>Discount ({appliedPromo.code})</span>
+                      <span className={styles.discountAmount}>-{formatPrice(calculateDiscount())}</span>
+                    </div>
+                  )}
+                  {getGroupDiscount().amount > 0 && (
+                    <div className={styles.discountLine}>
+                      <span>Group Discount ({getGroupDiscount().rule.name})</span>
+                      <span className={styles.discountAmount}>-{formatPrice(getGroupDiscount().amount)}</span>
+                    </div>
+                  )}
+                </div>
+              )}
+
               <div className={styles.totalSection}>
                 <span>Total Amount</span>
                 <span className={styles.totalAmount}>{formatPrice(calculateTotalPrice())}</span>
@@ -2914,10 +3543,14 @@ function RegisterPage() {
 
           {/* Validation Error Summary */}
           {(() => {
+            // Custom question errors are nested maps keyed by field ID
+            const flattenErrors = (errorMap) => Object.values(errorMap).flatMap(
+              (value) => (value && typeof value === 'object' ? Object.values(value) : [value])
+            );
             const allErrors = [
-              ...Object.values(errors),
-              ...Object.values(primaryErrors),
-              ...Object.values(additionalErrors).flatMap(ae => Object.values(ae))
+              ...flattenErrors(errors),
+              ...flattenErrors(primaryErrors),
+              ...Object.values(additionalErrors).flatMap(flattenErrors)
             ].filter(Boolean);
             return allErrors.length > 0 ? (
               <div className={styles.capacityError}>
@@ -2928,8 +3561,24 @@ function RegisterPage() {
             ) : null;
           })()}
 
+          {draftError && (
+            <div className={styles.capacityError}>
+              <span className={styles.errorMessage}>{draftError}</span>
+            </div>
+          )}
+
           {/* Navigation Buttons */}
           <div className={styles.formNavigation}>
+            {currentStep < REGISTRATION_STEPS.CONFIRMATION && (
+              <button
+                type="button"
+                className={`${styles.buttonSecondary} ${styles.saveForLaterButton}`}
+                onClick={handleSaveForLater}
+                disabled={isSavingForLater}
+              >
+                {isSavingForLater ? 'Saving...' : 'Save & Finish Later'}
+              </button>
+            )}
             {currentStep > REGISTRATION_STEPS.PERSONAL_INFO && (
               <button
                 type="button"
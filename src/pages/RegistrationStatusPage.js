@@ -26,7 +26,9 @@ import {
   sendTransferNotification,
   sendTransferConfirmation,
   VERIFICATION_ACTION,
+  isDetailsEditOpen,
 } from '../services';
+import { AgendaSync, CertificateDownloads, RegistrationEditModal } from '../components/registration';
 import styles from './RegistrationStatusPage.module.css';
 
 /**
@@ -127,6 +129,10 @@ function RegistrationStatusPage() {
   const [isTransferring, setIsTransferring] = useState(false);
   const [transferError, setTransferError] = useState(null);
 
+  // Edit details states
+  const [showEditModal, setShowEditModal] = useState(false);
+  const [editSuccess, setEditSuccess] = useState(false);
+
   // Verification code states
   const [verificationStep, setVerificationStep] = useState('form'); // 'form' | 'code' | 'verified'
   const [verificationCode, setVerificationCode] = useState('');
@@ -148,6 +154,7 @@ function RegistrationStatusPage() {
     setIsLoading(true);
     setError(null);
     setHasSearched(true);
+    setEditSuccess(false);
 
     try {
       const result = await lookupRegistration(searchTerm.trim());
@@ -567,6 +574,28 @@ function RegistrationStatusPage() {
     return true;
   }, [settings]);
 
+  /**
+   * Checks if editing details is enabled and within deadline
+   */
+  const canEditDetails = useMemo(() => {
+    return isDetailsEditOpen(settings?.refundPolicy, settings?.startDate);
+  }, [settings]);
+
+  /**
+   * Applies saved detail edits to the displayed registration
+   *
+   * @param {Object} result - Result from updateUserRegistrationDetails
+   */
+  const handleDetailsSaved = useCallback(({ primaryAttendee, additionalAttendees, changes }) => {
+    setRegistration((prev) => ({
+      ...prev,
+      primaryAttendee,
+      additionalAttendees,
+    }));
+    setShowEditModal(false);
+    setEditSuccess(changes.length > 0);
+  }, []);
+
   /**
    * Fetches waitlist position when registration is loaded
    */
@@ -1654,6 +1683,15 @@ function RegistrationStatusPage() {
                 </div>
               )}
 
+              {/* Edit Details Modal */}
+              {showEditModal && (
+                <RegistrationEditModal
+                  registration={registration}
+                  onSaved={handleDetailsSaved}
+                  onClose={() => setShowEditModal(false)}
+                />
+              )}
+
               {/* Registration Header */}
               <div className={styles.regHeader}>
                 <div className={styles.regIdSection}>
@@ -1932,7 +1970,7 @@ function RegistrationStatusPage() {
                 {(registration.status === REGISTRATION_STATUS.PENDING_PAYMENT ||
                   registration.status === REGISTRATION_STATUS.PENDING_VERIFICATION ||
                   registration.status === REGISTRATION_STATUS.CONFIRMED) &&
-                  (canUserCancel || canTransfer) && (
+                  (canUserCancel || canTransfer || canEditDetails) && (
                   <div style={{
                     marginTop: '1.5rem',
                     paddingTop: '1.5rem',
@@ -1942,6 +1980,26 @@ function RegistrationStatusPage() {
                       Need to make changes to your registration?
                     </p>
                     <div style={{ display: 'flex', gap: '0.75rem', flexWrap: 'wrap' }}>
+                      {canEditDetails && (
+                        <button
+                          type="button"
+                          onClick={() => {
+                            setEditSuccess(false);
+                            setShowEditModal(true);
+                          }}
+                          style={{
+                            backgroundColor: 'transparent',
+                            border: '1px solid #3b82f6',
+                            color: '#3b82f6',
+                            padding: '0.5rem 1rem',
+                            borderRadius: '6px',
+                            cursor: 'pointer',
+                            fontSize: '0.875rem',
+                          }}
+                        >
+                          Edit Details
+                        </button>
+                      )}
                       {canTransfer && (
                         <button
                           type="button"
@@ -1977,6 +2035,11 @@ function RegistrationStatusPage() {
                         </button>
                       )}
                     </div>
+                    {editSuccess && (
+                      <p role="status" style={{ margin: '0.75rem 0 0 0', fontSize: '0.875rem', color: '#166534' }}>
+                        Your registration details have been updated.
+                      </p>
+                    )}
                   </div>
                 )}
               </div>
@@ -2071,6 +2134,20 @@ function RegistrationStatusPage() {
                   <p className={styles.qrRegId}>Registration: {registration.registrationId}</p>
                 </div>
               )}
+
+              {/* Certificates of Attendance - download after email verification */}
+              {isConfirmed && checkedInCount > 0 && settings?.certificate?.enabled && (
+                <CertificateDownloads registration={registration} />
+              )}
+
+              {/* My Agenda - sync with the schedule after email verification */}
+              {[
+                REGISTRATION_STATUS.PENDING_PAYMENT,
+                REGISTRATION_STATUS.PENDING_VERIFICATION,
+                REGISTRATION_STATUS.CONFIRMED,
+              ].includes(registration.status) && (
+                <AgendaSync key={registration.id} registration={registration} />
+              )}
             </div>
           )}
 
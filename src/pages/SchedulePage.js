@@ -1,9 +1,12 @@
 import { useState, useMemo, useCallback, useEffect } from 'react';
 import { Link } from 'react-router-dom';
-import { SessionCard, SessionDetailModal, TypeFilter } from '../components/schedule';
+import { SessionCard, SessionDetailModal, TypeFilter, CalendarFeeds } from '../components/schedule';
 import { getPublishedSessions } from '../services/sessions';
 import { getPublishedSpeakers } from '../services/speakers';
-import { downloadSchedulePdf } from '../utils';
+import { isSessionRatable, getSessionStartTime, getSessionEndTime } from '../services/sessionRatings';
+import { loadAgenda, saveAgenda, findAgendaConflicts } from '../services/agenda';
+import { useSettings } from '../context/SettingsContext';
+import { downloadSchedulePdf, generateIcsCalendar, downloadIcs } from '../utils';
 import {
   SCHEDULE,
   CONFERENCE,
@@ -16,6 +19,9 @@ import styles from './SchedulePage.module.css';
  * Public-facing page that displays the conference schedule.
  * Shows sessions in a timeline view with filtering by session type.
  * Clicking a session card opens a modal with detailed information.
+ * Attendees can star sessions into "My Agenda", see time conflicts, and
+ * export their agenda as an .ics calendar file or PDF, and the whole schedule
+ * can be subscribed to as a calendar feed.
  * Fetches session data from Firestore with fallback to static data.
  *
  * @returns {JSX.Element} The schedule page component
@@ -27,6 +33,11 @@ function SchedulePage() {
   const [speakers, setSpeakers] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [selectedType, setSelectedType] = useState('');
+  const [agendaIds, setAgendaIds] = useState([]);
+  const [isAgendaSynced, setIsAgendaSynced] = useState(false);
+  const [showAgendaOnly, setShowAgendaOnly] = useState(false);
+  const [showCalendarFeeds, setShowCalendarFeeds] = useState(false);
+  const { settings } = useSettings();
 
   /**
    * Fetches published sessions and speakers from Firestore on component mount
@@ -55,14 +66,50 @@ function SchedulePage() {
   }, []);
 
   /**
-   * Filters sessions by the selected type
+   * Loads the attendee's agenda (synced from their registration when linked)
+   */
+  useEffect(() => {
+    let isActive = true;
+
+    loadAgenda().then((agenda) => {
+      if (isActive) {
+        setAgendaIds(agenda.sessionIds);
+        setIsAgendaSynced(Boolean(agenda.registrationId));
+      }
+    });
+
+    return () => {
+      isActive = false;
+    };
+  }, []);
+
+  /**
+   * Sessions in the agenda, in schedule order
+   */
+  const agendaSessions = useMemo(() => {
+    return sessions
+      .filter((session) => agendaIds.includes(session.id))
+      .sort((a, b) => (Number(a.day) || 1) - (Number(b.day) || 1) || a.startTime.localeCompare(b.startTime));
+  }, [sessions, agendaIds]);
+
+  /**
+   * Agenda sessions that overlap each other, keyed by session ID
+   */
+  const agendaConflicts = useMemo(
+    () => findAgendaConflicts(sessions, agendaIds),
+    [sessions, agendaIds]
+  );
+
+  /**
+   * Filters sessions by the selected type and, optionally, the agenda
    */
   const filteredSessions = useMemo(() => {
+    const visibleSessions = showAgendaOnly ? agendaSessions : sessions;
     if (!selectedType) {
-      return sessions;
+      return visibleSessions;
     }
-    return sessions.filter((session) => session.sessionType === selectedType);
-  }, [sessions, selectedType]);
+    return visibleSessions.filter((session) => session.sessionType === selectedType);
+  }, [sessions, agendaSessions, showAgendaOnly, selectedType]);
 
   /**
    * Formats time from 24-hour format to 12-hour format
@@ -126,6 +173,55 @@ function SchedulePage() {
     setSelectedType(type);
   }, []);
 
+  /**
+   * Adds or removes a session from the agenda
+   *
+   * @param {Object} session - Session to toggle
+   */
+  const handleToggleAgenda = useCallback((session) => {
+    setAgendaIds((prev) => {
+      const next = prev.includes(session.id)
+        ? prev.filter((sessionId) => sessionId !== session.id)
+        : [...prev, session.id];
+      saveAgenda(next);
+      return next;
+    });
+  }, []);
+
+  /**
+   * Downloads the agenda as an .ics calendar file
+   */
+  const handleDownloadAgendaIcs = useCallback(() => {
+    const conferenceStartDate = settings?.startDate || CONFERENCE.START_DATE.slice(0, 10);
+    const timeZone = settings?.timezone || CONFERENCE.TIMEZONE;
+    const events = agendaSessions.map((session) => ({
+      uid: `${session.id}@idmc-${CONFERENCE.YEAR}`,
+      title: session.title,
+      start: getSessionStartTime(session, conferenceStartDate, timeZone),
+      end: getSessionEndTime(session, conferenceStartDate, timeZone),
+      location: session.venue || settings?.venue?.name || '',
+      description: session.speakerNames?.length ? `Speakers: ${session.speakerNames.join(', ')}` : '',
+    }));
+
+    downloadIcs(
+      generateIcsCalendar(events, { calendarName: `IDMC ${CONFERENCE.YEAR} - My Agenda`, timeZone }),
+      `idmc-${CONFERENCE.YEAR}-my-agenda`
+    );
+  }, [agendaSessions, settings]);
+
+  /**
+   * Downloads the agenda as a PDF
+   */
+  const handleDownloadAgendaPdf = useCallback(() => {
+    downloadSchedulePdf(agendaSessions, {
+      title: `IDMC ${CONFERENCE.YEAR}`,
+      subtitle: 'My Agenda',
+      date: 'March 28, 2026',
+      venue: 'GCF South Metro',
+      filename: `idmc-${CONFERENCE.YEAR}-my-agenda`,
+    });
+  }, [agendaSessions]);
+
   /**
    * Handles PDF download
    */
@@ -164,6 +260,20 @@ function SchedulePage() {
               selectedType={selectedType}
               onChange={handleTypeChange}
             />
+            <button
+              className={`${styles.toggleButton} ${showAgendaOnly ? styles.toggleButtonActive : ''}`}
+              onClick={() => setShowAgendaOnly((prev) => !prev)}
+              aria-pressed={showAgendaOnly}
+            >
+              ★ My Agenda ({agendaSessions.length})
+            </button>
+            <button
+              className={`${styles.toggleButton} ${showCalendarFeeds ? styles.toggleButtonActive : ''}`}
+              onClick={() => setShowCalendarFeeds((prev) => !prev)}
+              aria-expanded={showCalendarFeeds}
+            >
+              Subscribe to Calendar
+            </button>
             <button
               className={styles.downloadButton}
               onClick={handleDownloadPdf}
@@ -189,6 +299,47 @@ function SchedulePage() {
             </button>
           </div>
 
+          {/* Calendar Feeds */}
+          {showCalendarFeeds && <CalendarFeeds sessions={sessions} />}
+
+          {/* My Agenda */}
+          {showAgendaOnly && (
+            <div className={styles.agendaPanel}>
+              <p className={styles.agendaNote}>
+                {isAgendaSynced ? (
+                  'Your agenda is synced with your registration and available on your other devices.'
+                ) : (
+                  <>
+                    Starred sessions are saved on this device.{' '}
+                    <Link to={ROUTES.REGISTRATION_STATUS}>Verify your registration</Link>{' '}
+                    to add your workshops and sync your agenda across devices.
+                  </>
+                )}
+              </p>
+              {Object.keys(agendaConflicts).length > 0 && (
+                <p className={styles.agendaWarning} role="alert">
+                  Some sessions in your agenda overlap. Check the highlighted sessions below.
+                </p>
+              )}
+              <div className={styles.agendaActions}>
+                <button
+                  className={styles.secondaryButton}
+                  onClick={handleDownloadAgendaIcs}
+                  disabled={agendaSessions.length === 0}
+                >
+                  Add to Calendar (.ics)
+                </button>
+                <button
+                  className={styles.secondaryButton}
+                  onClick={handleDownloadAgendaPdf}
+                  disabled={agendaSessions.length === 0}
+                >
+                  Download My Agenda (PDF)
+                </button>
+              </div>
+            </div>
+          )}
+
           {/* Loading State */}
           {isLoading && (
             <div className={styles.loadingState}>
@@ -213,6 +364,9 @@ function SchedulePage() {
                             key={session.id}
                             session={session}
                             onClick={handleSessionClick}
+                            isInAgenda={agendaIds.includes(session.id)}
+                            onToggleAgenda={handleToggleAgenda}
+                            conflicts={agendaConflicts[session.id]}
                           />
                         ))}
                       </div>
@@ -221,8 +375,20 @@ function SchedulePage() {
                 </div>
               ) : (
                 <div className={styles.emptyState}>
-                  <p>No sessions found for the selected filter.</p>
-                  {selectedType && (
+                  <p>
+                    {showAgendaOnly && agendaSessions.length === 0
+                      ? 'Your agenda is empty. Star sessions to add them.'
+                      : 'No sessions found for the selected filter.'}
+                  </p>
+                  {showAgendaOnly && (
+                    <button
+                      className={styles.clearFilterButton}
+                      onClick={() => setShowAgendaOnly(false)}
+                    >
+                      Browse the full schedule
+                    </button>
+                  )}
+                  {!showAgendaOnly && selectedType && (
                     <button
                       className={styles.clearFilterButton}
                       onClick={() => setSelectedType('')}
@@ -260,6 +426,10 @@ function SchedulePage() {
       <SessionDetailModal
         session={selectedSession}
         speakers={speakers}
+        canRate={
+          Boolean(settings?.feedback?.sessionRatingsEnabled) &&
+          isSessionRatable(selectedSession, settings?.startDate, settings?.timezone)
+        }
         isOpen={isModalOpen}
         onClose={handleCloseModal}
       />
@@ -0,0 +1,250 @@
+/**
+ * AdminArchivesPage Component
+ * Lists the public pages for past conferences and opens the editor to
+ * create, update, publish or delete them.
+ *
+ * @module pages/admin/AdminArchivesPage
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { AdminLayout, ArchiveFormModal } from '../../components/admin';
+import { useAdminAuth } from '../../context';
+import { getAllArchives, saveArchive, deleteArchive } from '../../services';
+import { ARCHIVE_STATUS, ARCHIVE_STATUS_LABELS, ROUTES } from '../../constants';
+import styles from './AdminArchivesPage.module.css';
+
+/**
+ * Counts the photos across an archive's galleries
+ *
+ * @param {Object} archive - Archive
+ * @returns {number} Photo count
+ */
+function countPhotos(archive) {
+  return archive.galleries.reduce((total, gallery) => total + (gallery.photos?.length || 0), 0);
+}
+
+/**
+ * AdminArchivesPage Component
+ *
+ * @returns {JSX.Element} The admin past conferences page
+ */
+function AdminArchivesPage() {
+  const { admin } = useAdminAuth();
+  const [archives, setArchives] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [editingArchive, setEditingArchive] = useState(null);
+  const [deletingId, setDeletingId] = useState(null);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+
+  /**
+   * Fetches all archive pages
+   */
+  const fetchArchives = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      setArchives(await getAllArchives());
+    } catch (fetchError) {
+      console.error('Failed to fetch archives:', fetchError);
+      setError('Failed to load past conferences. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  /**
+   * Fetch archives on mount
+   */
+  useEffect(() => {
+    fetchArchives();
+  }, [fetchArchives]);
+
+  /**
+   * Opens the editor for a new or existing page
+   *
+   * @param {Object|null} archive - Archive to edit (null for new)
+   */
+  const openEditor = (archive) => {
+    setEditingArchive(archive);
+    setIsModalOpen(true);
+  };
+
+  /**
+   * Closes the editor
+   */
+  const closeEditor = useCallback(() => {
+    setIsModalOpen(false);
+    setEditingArchive(null);
+  }, []);
+
+  /**
+   * Saves an archive page from the editor
+   *
+   * @param {Object} archiveData - Form data
+   */
+  const handleSave = async (archiveData) => {
+    const saved = await saveArchive(
+      { ...archiveData, id: editingArchive?.id },
+      admin?.id,
+      admin?.email
+    );
+    setSuccessMessage(`${saved.title} was saved.`);
+    await fetchArchives();
+  };
+
+  /**
+   * Deletes an archive page after confirmation
+   *
+   * @param {Object} archive - Archive to delete
+   */
+  const handleDelete = async (archive) => {
+    if (!window.confirm(`Delete the ${archive.title} page? This cannot be undone.`)) {
+      return;
+    }
+
+    setDeletingId(archive.id);
+    setError(null);
+    setSuccessMessage(null);
+
+    try {
+      await deleteArchive(archive.id, admin?.id, admin?.email);
+      setArchives((prev) => prev.filter((item) => item.id !== archive.id));
+      setSuccessMessage(`${archive.title} was deleted.`);
+    } catch (deleteError) {
+      console.error('Failed to delete archive:', deleteError);
+      setError('Failed to delete the page. Please try again.');
+    } finally {
+      setDeletingId(null);
+    }
+  };
+
+  return (
+    <AdminLayout>
+      {/* Page Header */}
+      <div className={styles.header}>
+        <div>
+          <h2 className={styles.title}>Past Conferences</h2>
+          <p className={styles.subtitle}>
+            Published pages appear in the public archive with their theme, speakers, session
+            recordings, photos, materials and headline stats.
+          </p>
+        </div>
+        <div className={styles.headerActions}>
+          <button
+            type="button"
+            className={styles.primaryButton}
+            onClick={() => openEditor(null)}
+            disabled={isLoading}
+          >
+            New Page
+          </button>
+        </div>
+      </div>
+
+      {/* Banners */}
+      {error && (
+        <div className={styles.errorBanner} role="alert">
+          {error}
+          <button onClick={() => setError(null)} aria-label="Dismiss error">
+            &times;
+          </button>
+        </div>
+      )}
+      {successMessage && (
+        <div className={styles.successBanner} role="status">
+          {successMessage}
+          <button onClick={() => setSuccessMessage(null)} aria-label="Dismiss message">
+            &times;
+          </button>
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className={styles.loading}>Loading past conferences...</div>
+      ) : (
+        <div className={styles.tableWrapper}>
+          <table className={styles.table}>
+            <thead>
+              <tr>
+                <th scope="col">Conference</th>
+                <th scope="col">Status</th>
+                <th scope="col" className={styles.numeric}>Sessions</th>
+                <th scope="col" className={styles.numeric}>Speakers</th>
+                <th scope="col" className={styles.numeric}>Photos</th>
+                <th scope="col" className={styles.numeric}>Materials</th>
+                <th scope="col" aria-label="Actions" />
+              </tr>
+            </thead>
+            <tbody>
+              {archives.map((archive) => (
+                <tr key={archive.id}>
+                  <td className={styles.primaryCell}>
+                    {archive.title}
+                    <span className={styles.meta}>{archive.year}{archive.theme ? ` · ${archive.theme}` : ''}</span>
+                  </td>
+                  <td>
+                    <span className={`${styles.statusBadge} ${styles[`status_${archive.status}`] || ''}`}>
+                      {ARCHIVE_STATUS_LABELS[archive.status] || archive.status}
+                    </span>
+                  </td>
+                  <td className={styles.numeric}>{archive.sessions.length}</td>
+                  <td className={styles.numeric}>{archive.speakers.length}</td>
+                  <td className={styles.numeric}>{countPhotos(archive)}</td>
+                  <td className={styles.numeric}>{archive.materials.length}</td>
+                  <td className={styles.actionCell}>
+                    {archive.status === ARCHIVE_STATUS.PUBLISHED && (
+                      <Link
+                        to={ROUTES.ARCHIVE_EDITION.replace(':year', archive.year)}
+                        className={styles.viewLink}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                      >
+                        View
+                      </Link>
+                    )}
+                    <button
+                      type="button"
+                      className={styles.secondaryButton}
+                      onClick={() => openEditor(archive)}
+                    >
+                      Edit
+                    </button>
+                    <button
+                      type="button"
+                      className={styles.dangerButton}
+                      onClick={() => handleDelete(archive)}
+                      disabled={deletingId !== null}
+                    >
+                      {deletingId === archive.id ? 'Deleting...' : 'Delete'}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+
+              {archives.length === 0 && (
+                <tr>
+                  <td colSpan={7} className={styles.emptyState}>
+                    No past conference pages yet.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <ArchiveFormModal
+        isOpen={isModalOpen}
+        onClose={closeEditor}
+        onSave={handleSave}
+        archive={editingArchive}
+      />
+    </AdminLayout>
+  );
+}
+
+export default AdminArchivesPage;
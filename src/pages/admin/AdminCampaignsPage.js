@@ -0,0 +1,488 @@
+/**
+ * AdminCampaignsPage Component
+ * Lists email campaigns to attendee segments and lets admins compose,
+ * schedule, send and review per-recipient delivery of each campaign.
+ *
+ * @module pages/admin/AdminCampaignsPage
+ */
+
+import { Fragment, useState, useEffect, useCallback } from 'react';
+import { AdminLayout, CampaignFormModal } from '../../components/admin';
+import { useAdminAuth } from '../../context';
+import { getAllRegistrations } from '../../services/maintenance';
+import {
+  getAllCampaigns,
+  getCampaignDeliveries,
+  saveCampaign,
+  sendCampaign,
+  unscheduleCampaign,
+  deleteCampaign,
+  getCampaignRecipients,
+  isCampaignSendStuck,
+  getPublishedWorkshops,
+  getAllFoodMenuItems,
+} from '../../services';
+import { CAMPAIGN_STATUS, CAMPAIGN_STATUS_LABELS } from '../../constants';
+import styles from './AdminCampaignsPage.module.css';
+
+/**
+ * Statuses a campaign can be edited or deleted in
+ */
+const EDITABLE_STATUSES = [CAMPAIGN_STATUS.DRAFT, CAMPAIGN_STATUS.SCHEDULED];
+
+/**
+ * Statuses a campaign can be sent from (failed campaigns retry unsent recipients)
+ */
+const SENDABLE_STATUSES = [CAMPAIGN_STATUS.DRAFT, CAMPAIGN_STATUS.SCHEDULED, CAMPAIGN_STATUS.FAILED];
+
+/**
+ * Checks whether a campaign can be sent now. Failed campaigns and campaigns
+ * stuck sending are retried for the recipients that were not reached.
+ *
+ * @param {Object} campaign - Campaign
+ * @returns {boolean} True when the campaign can be sent
+ */
+function canSendCampaign(campaign) {
+  return SENDABLE_STATUSES.includes(campaign.status) || isCampaignSendStuck(campaign);
+}
+
+/**
+ * Checks whether sending a campaign retries an earlier attempt
+ *
+ * @param {Object} campaign - Campaign
+ * @returns {boolean} True for failed campaigns and campaigns stuck sending
+ */
+function isCampaignRetry(campaign) {
+  return campaign.status === CAMPAIGN_STATUS.FAILED || isCampaignSendStuck(campaign);
+}
+
+/**
+ * Formats a campaign date
+ *
+ * @param {Date|null} value - Date value
+ * @returns {string} Formatted date or a dash
+ */
+function formatDate(value) {
+  if (!value) return '—';
+  return new Date(value).toLocaleString('en-PH', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+/**
+ * AdminCampaignsPage Component
+ *
+ * @returns {JSX.Element} The admin email campaigns page
+ */
+function AdminCampaignsPage() {
+  const { admin } = useAdminAuth();
+  const [campaigns, setCampaigns] = useState([]);
+  const [registrations, setRegistrations] = useState([]);
+  const [workshops, setWorkshops] = useState([]);
+  const [foodMenuItems, setFoodMenuItems] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [editingCampaign, setEditingCampaign] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+  const [isLoadingDeliveries, setIsLoadingDeliveries] = useState(false);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+
+  /**
+   * Fetches campaigns
+   */
+  const fetchCampaigns = useCallback(async () => {
+    try {
+      setCampaigns(await getAllCampaigns());
+    } catch (fetchError) {
+      console.error('Failed to fetch campaigns:', fetchError);
+      setError('Failed to load campaigns. Please try again.');
+    }
+  }, []);
+
+  /**
+   * Fetches campaigns and the data used to build segments
+   */
+  const fetchData = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const [registrationData, workshopData, foodData] = await Promise.all([
+        getAllRegistrations(),
+        getPublishedWorkshops(),
+        getAllFoodMenuItems(),
+        fetchCampaigns(),
+      ]);
+      setRegistrations(registrationData);
+      setWorkshops(workshopData);
+      setFoodMenuItems(foodData);
+    } catch (fetchError) {
+      console.error('Failed to load campaign data:', fetchError);
+      setError('Failed to load registrations. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fetchCampaigns]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  /**
+   * Opens the editor for a new or existing campaign
+   *
+   * @param {Object|null} campaign - Campaign to edit (null for new)
+   */
+  const openEditor = (campaign) => {
+    setEditingCampaign(campaign);
+    setIsModalOpen(true);
+  };
+
+  /**
+   * Closes the editor
+   */
+  const closeEditor = useCallback(() => {
+    setIsModalOpen(false);
+    setEditingCampaign(null);
+  }, []);
+
+  /**
+   * Saves a campaign from the editor
+   *
+   * @param {Object} campaignData - Form data
+   */
+  const handleSave = async (campaignData) => {
+    const saved = await saveCampaign(
+      { ...campaignData, id: editingCampaign?.id },
+      admin?.id,
+      admin?.email
+    );
+    setSuccessMessage(
+      saved.scheduledAt
+        ? `${saved.name} is scheduled for ${formatDate(saved.scheduledAt)}.`
+        : `${saved.name} was saved as a draft.`
+    );
+    await fetchCampaigns();
+  };
+
+  /**
+   * Sends a campaign now after confirmation
+   *
+   * @param {Object} campaign - Campaign to send
+   */
+  const handleSend = async (campaign) => {
+    const recipientCount = getCampaignRecipients(registrations, campaign.segment).length;
+    const prompt = isCampaignRetry(campaign)
+      ? `Retry ${campaign.name}? Recipients who already received it will not be emailed again.`
+      : `Send ${campaign.name} to ${recipientCount} recipient(s) now?`;
+    if (!window.confirm(prompt)) {
+      return;
+    }
+
+    setBusyId(campaign.id);
+    setError(null);
+    setSuccessMessage(null);
+
+    try {
+      const { sent, failed, skipped, unconfirmed } = await sendCampaign(campaign, admin?.id, admin?.email);
+      setSuccessMessage(
+        `${campaign.name} was sent to ${sent} recipient(s)` +
+        `${failed ? `, ${failed} failed` : ''}${skipped ? `, ${skipped} skipped` : ''}` +
+        `${unconfirmed ? `, ${unconfirmed} unconfirmed and not resent` : ''}.`
+      );
+    } catch (sendError) {
+      console.error('Failed to send campaign:', sendError);
+      setError(sendError.message || 'Failed to send the campaign. Please try again.');
+    } finally {
+      setBusyId(null);
+      await fetchCampaigns();
+    }
+  };
+
+  /**
+   * Cancels a scheduled send
+   *
+   * @param {Object} campaign - Scheduled campaign
+   */
+  const handleUnschedule = async (campaign) => {
+    setBusyId(campaign.id);
+    setError(null);
+    setSuccessMessage(null);
+
+    try {
+      await unscheduleCampaign(campaign, admin?.id, admin?.email);
+      setSuccessMessage(`${campaign.name} is no longer scheduled and was kept as a draft.`);
+      await fetchCampaigns();
+    } catch (unscheduleError) {
+      console.error('Failed to unschedule campaign:', unscheduleError);
+      setError('Failed to cancel the scheduled send. Please try again.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  /**
+   * Deletes a campaign after confirmation
+   *
+   * @param {Object} campaign - Campaign to delete
+   */
+  const handleDelete = async (campaign) => {
+    if (!window.confirm(`Delete ${campaign.name}? This cannot be undone.`)) {
+      return;
+    }
+
+    setBusyId(campaign.id);
+    setError(null);
+    setSuccessMessage(null);
+
+    try {
+      await deleteCampaign(campaign, admin?.id, admin?.email);
+      setCampaigns((prev) => prev.filter((item) => item.id !== campaign.id));
+      setSuccessMessage(`${campaign.name} was deleted.`);
+    } catch (deleteError) {
+      console.error('Failed to delete campaign:', deleteError);
+      setError('Failed to delete the campaign. Please try again.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  /**
+   * Shows or hides the per-recipient deliveries of a campaign
+   *
+   * @param {Object} campaign - Campaign
+   */
+  const toggleDeliveries = async (campaign) => {
+    if (expandedId === campaign.id) {
+      setExpandedId(null);
+      return;
+    }
+
+    setExpandedId(campaign.id);
+    setDeliveries([]);
+    setIsLoadingDeliveries(true);
+
+    try {
+      setDeliveries(await getCampaignDeliveries(campaign.id));
+    } catch (fetchError) {
+      console.error('Failed to fetch deliveries:', fetchError);
+      setError('Failed to load deliveries. Please try again.');
+    } finally {
+      setIsLoadingDeliveries(false);
+    }
+  };
+
+  return (
+    <AdminLayout>
+      {/* Page Header */}
+      <div className={styles.header}>
+        <div>
+          <h2 className={styles.title}>Email Campaigns</h2>
+          <p className={styles.subtitle}>
+            Email a segment of attendees, such as all confirmed attendees or everyone in a
+            workshop, now or at a scheduled time.
+          </p>
+        </div>
+        <div className={styles.headerActions}>
+          <button
+            type="button"
+            className={styles.primaryButton}
+            onClick={() => openEditor(null)}
+            disabled={isLoading}
+          >
+            New Campaign
+          </button>
+        </div>
+      </div>
+
+      {/* Banners */}
+      {error && (
+        <div className={styles.errorBanner} role="alert">
+          {error}
+          <button onClick={() => setError(null)} aria-label="Dismiss error">
+            &times;
+          </button>
+        </div>
+      )}
+      {successMessage && (
+        <div className={styles.successBanner} role="status">
+          {successMessage}
+          <button onClick={() => setSuccessMessage(null)} aria-label="Dismiss message">
+            &times;
+          </button>
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className={styles.loading}>Loading campaigns...</div>
+      ) : (
+        <div className={styles.tableWrapper}>
+          <table className={styles.table}>
+            <thead>
+              <tr>
+                <th scope="col">Campaign</th>
+                <th scope="col">Status</th>
+                <th scope="col">Scheduled / Sent</th>
+                <th scope="col" className={styles.numeric}>Recipients</th>
+                <th scope="col" className={styles.numeric}>Sent</th>
+                <th scope="col" className={styles.numeric}>Failed</th>
+                <th scope="col" aria-label="Actions" />
+              </tr>
+            </thead>
+            <tbody>
+              {campaigns.map((campaign) => {
+                const isBusy = busyId !== null;
+                const hasDeliveries = !EDITABLE_STATUSES.includes(campaign.status);
+
+                return (
+                  <Fragment key={campaign.id}>
+                    <tr>
+                      <td className={styles.primaryCell}>
+                        {campaign.name}
+                        <span className={styles.meta}>{campaign.subject}</span>
+                      </td>
+                      <td>
+                        <span className={`${styles.statusBadge} ${styles[`status_${campaign.status}`] || ''}`}>
+                          {CAMPAIGN_STATUS_LABELS[campaign.status] || campaign.status}
+                        </span>
+                        {campaign.lastError && (
+                          <span className={styles.meta}>{campaign.lastError}</span>
+                        )}
+                      </td>
+                      <td>{formatDate(campaign.sentAt || campaign.scheduledAt)}</td>
+                      <td className={styles.numeric}>
+                        {hasDeliveries
+                          ? campaign.recipientCount
+                          : getCampaignRecipients(registrations, campaign.segment).length}
+                      </td>
+                      <td className={styles.numeric}>{campaign.sentCount || 0}</td>
+                      <td className={styles.numeric}>{campaign.failedCount || 0}</td>
+                      <td className={styles.actionCell}>
+                        {hasDeliveries && (
+                          <button
+                            type="button"
+                            className={styles.secondaryButton}
+                            onClick={() => toggleDeliveries(campaign)}
+                            aria-expanded={expandedId === campaign.id}
+                          >
+                            {expandedId === campaign.id ? 'Hide Deliveries' : 'Deliveries'}
+                          </button>
+                        )}
+                        {EDITABLE_STATUSES.includes(campaign.status) && (
+                          <button
+                            type="button"
+                            className={styles.secondaryButton}
+                            onClick={() => openEditor(campaign)}
+                            disabled={isBusy}
+                          >
+                            Edit
+                          </button>
+                        )}
+                        {campaign.status === CAMPAIGN_STATUS.SCHEDULED && (
+                          <button
+                            type="button"
+                            className={styles.secondaryButton}
+                            onClick={() => handleUnschedule(campaign)}
+                            disabled={isBusy}
+                          >
+                            Unschedule
+                          </button>
+                        )}
+                        {canSendCampaign(campaign) && (
+                          <button
+                            type="button"
+                            className={styles.primaryButton}
+                            onClick={() => handleSend(campaign)}
+                            disabled={isBusy}
+                          >
+                            {busyId === campaign.id ? 'Sending...' : isCampaignRetry(campaign) ? 'Retry' : 'Send Now'}
+                          </button>
+                        )}
+                        {EDITABLE_STATUSES.includes(campaign.status) && (
+                          <button
+                            type="button"
+                            className={styles.dangerButton}
+                            onClick={() => handleDelete(campaign)}
+                            disabled={isBusy}
+                          >
+                            Delete
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+
+                    {expandedId === campaign.id && (
+                      <tr className={styles.deliveriesRow}>
+                        <td colSpan={7}>
+                          {isLoadingDeliveries ? (
+                            <div className={styles.loading}>Loading deliveries...</div>
+                          ) : deliveries.length === 0 ? (
+                            <div className={styles.emptyState}>No deliveries recorded yet.</div>
+                          ) : (
+                            <div className={styles.deliveries}>
+                              <table className={styles.deliveryTable}>
+                                <thead>
+                                  <tr>
+                                    <th scope="col">Email</th>
+                                    <th scope="col">Registration</th>
+                                    <th scope="col">Status</th>
+                                    <th scope="col">Sent</th>
+                                  </tr>
+                                </thead>
+                                <tbody>
+                                  {deliveries.map((delivery) => (
+                                    <tr key={delivery.id}>
+                                      <td>{delivery.email}</td>
+                                      <td>{delivery.registrationId}</td>
+                                      <td>
+                                        {delivery.status}
+                                        {delivery.error && (
+                                          <span className={styles.deliveryError}> — {delivery.error}</span>
+                                        )}
+                                      </td>
+                                      <td>{formatDate(delivery.sentAt)}</td>
+                                    </tr>
+                                  ))}
+                                </tbody>
+                              </table>
+                            </div>
+                          )}
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
+                );
+              })}
+
+              {campaigns.length === 0 && (
+                <tr>
+                  <td colSpan={7} className={styles.emptyState}>
+                    No campaigns yet.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <CampaignFormModal
+        isOpen={isModalOpen}
+        onClose={closeEditor}
+        onSave={handleSave}
+        campaign={editingCampaign}
+        registrations={registrations}
+        workshops={workshops}
+        foodMenuItems={foodMenuItems}
+      />
+    </AdminLayout>
+  );
+}
+
+export default AdminCampaignsPage;
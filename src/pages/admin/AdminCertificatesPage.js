@@ -0,0 +1,356 @@
+/**
+ * AdminCertificatesPage Component
+ * Designs the certificate of attendance template and issues, downloads,
+ * and emails certificates for checked-in attendees.
+ *
+ * @module pages/admin/AdminCertificatesPage
+ */
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { AdminLayout, CertificateTemplateEditor } from '../../components/admin';
+import { useAdminAuth } from '../../context';
+import { getAllRegistrations } from '../../services/maintenance';
+import { getConferenceSettings } from '../../services/settings';
+import {
+  CERTIFICATE_FILTERS,
+  getAllSessionAttendance,
+  getCertificateEntries,
+  getCertificateOptions,
+  getCertificateTemplate,
+  getRegistrationChurchName,
+  issueCertificates,
+  sendCertificateEmails,
+} from '../../services';
+import { downloadCertificatesPdf } from '../../utils';
+import styles from './AdminCertificatesPage.module.css';
+
+/**
+ * Page tabs
+ */
+const TABS = {
+  ISSUE: 'issue',
+  TEMPLATE: 'template',
+};
+
+/**
+ * Labels for the issue filter
+ */
+const FILTER_LABELS = {
+  [CERTIFICATE_FILTERS.ALL]: 'All checked-in attendees',
+  [CERTIFICATE_FILTERS.NOT_ISSUED]: 'Not issued yet',
+  [CERTIFICATE_FILTERS.NOT_EMAILED]: 'Not emailed yet',
+};
+
+/**
+ * Formats an issue or email date
+ *
+ * @param {Date|null} value - Date value
+ * @returns {string} Formatted date or a dash
+ */
+function formatDate(value) {
+  if (!value) return '—';
+  return new Date(value).toLocaleDateString('en-PH', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+/**
+ * AdminCertificatesPage Component
+ *
+ * @returns {JSX.Element} The admin certificates page
+ */
+function AdminCertificatesPage() {
+  const { admin } = useAdminAuth();
+  const [activeTab, setActiveTab] = useState(TABS.ISSUE);
+  const [settings, setSettings] = useState(null);
+  const [registrations, setRegistrations] = useState([]);
+  const [attendanceRecords, setAttendanceRecords] = useState([]);
+  const [church, setChurch] = useState('');
+  const [issueFilter, setIssueFilter] = useState(CERTIFICATE_FILTERS.ALL);
+  const [isLoading, setIsLoading] = useState(true);
+  const [busyAction, setBusyAction] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+
+  /**
+   * Loads registrations, session attendance, and the template
+   */
+  const fetchData = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const [settingsData, registrationData, attendanceData] = await Promise.all([
+        getConferenceSettings(),
+        getAllRegistrations(),
+        getAllSessionAttendance(),
+      ]);
+      setSettings(settingsData);
+      setRegistrations(registrationData);
+      setAttendanceRecords(attendanceData);
+    } catch (fetchError) {
+      console.error('Failed to load certificate data:', fetchError);
+      setError('Failed to load registrations. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  const template = useMemo(() => getCertificateTemplate(settings), [settings]);
+
+  const churchOptions = useMemo(() => {
+    const names = registrations.map(getRegistrationChurchName).filter(Boolean);
+    return [...new Set(names)].sort((a, b) => a.localeCompare(b));
+  }, [registrations]);
+
+  const entries = useMemo(() => {
+    return getCertificateEntries(registrations, attendanceRecords, { church, issue: issueFilter });
+  }, [registrations, attendanceRecords, church, issueFilter]);
+
+  const issuedEntries = entries.filter((entry) => entry.issuedAt);
+
+  /**
+   * Downloads all listed certificates as one PDF for printing
+   */
+  const handleDownload = async () => {
+    setBusyAction('download');
+    setError(null);
+    setSuccessMessage(null);
+
+    try {
+      const date = new Date().toISOString().split('T')[0];
+      await downloadCertificatesPdf(entries, template, {
+        ...getCertificateOptions(settings),
+        filename: `certificates-${date}`,
+      });
+    } catch (downloadError) {
+      console.error('Failed to generate certificates:', downloadError);
+      setError('Failed to generate certificates. Please try again.');
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  /**
+   * Generates and stores a certificate for each listed attendee
+   */
+  const handleIssue = async () => {
+    const reissueCount = issuedEntries.length;
+    const confirmMessage = reissueCount > 0
+      ? `Issue ${entries.length} certificate(s)? ${reissueCount} already issued will be replaced with the current template.`
+      : `Issue ${entries.length} certificate(s)?`;
+    if (!window.confirm(confirmMessage)) {
+      return;
+    }
+
+    setBusyAction('issue');
+    setProgress({ done: 0, total: entries.length });
+    setError(null);
+    setSuccessMessage(null);
+
+    try {
+      const issuedCount = await issueCertificates(
+        entries,
+        template,
+        getCertificateOptions(settings),
+        admin?.id,
+        admin?.email,
+        (done) => setProgress({ done, total: entries.length })
+      );
+      setSuccessMessage(`Issued ${issuedCount} certificate(s).`);
+      setRegistrations(await getAllRegistrations());
+    } catch (issueError) {
+      console.error('Failed to issue certificates:', issueError);
+      setError(issueError.message || 'Failed to issue certificates. Please try again.');
+      setRegistrations(await getAllRegistrations());
+    } finally {
+      setBusyAction(null);
+      setProgress(null);
+    }
+  };
+
+  /**
+   * Emails issued certificates for the listed attendees
+   */
+  const handleEmail = async () => {
+    const registrationCount = new Set(issuedEntries.map((entry) => entry.id)).size;
+    if (!window.confirm(`Email issued certificates for ${registrationCount} registration(s)?`)) {
+      return;
+    }
+
+    setBusyAction('email');
+    setProgress({ done: 0, total: registrationCount });
+    setError(null);
+    setSuccessMessage(null);
+
+    try {
+      const { sent, failed } = await sendCertificateEmails(
+        issuedEntries,
+        (done) => setProgress({ done, total: registrationCount })
+      );
+      setSuccessMessage(`Sent ${sent} email(s).`);
+      if (failed.length > 0) {
+        setError(`Failed for ${failed.map((item) => `${item.registrationId} (${item.error})`).join(', ')}`);
+      }
+      setRegistrations(await getAllRegistrations());
+    } catch (emailError) {
+      console.error('Failed to email certificates:', emailError);
+      setError(emailError.message || 'Failed to email certificates. Please try again.');
+    } finally {
+      setBusyAction(null);
+      setProgress(null);
+    }
+  };
+
+  return (
+    <AdminLayout>
+      <div className={styles.header}>
+        <div>
+          <h2 className={styles.title}>Certificates</h2>
+          <p className={styles.subtitle}>
+            Certificates of attendance for checked-in attendees
+          </p>
+        </div>
+      </div>
+
+      <div className={styles.tabs}>
+        <button
+          className={`${styles.tabButton} ${activeTab === TABS.ISSUE ? styles.tabActive : ''}`}
+          onClick={() => setActiveTab(TABS.ISSUE)}
+        >
+          Issue &amp; Send
+        </button>
+        <button
+          className={`${styles.tabButton} ${activeTab === TABS.TEMPLATE ? styles.tabActive : ''}`}
+          onClick={() => setActiveTab(TABS.TEMPLATE)}
+        >
+          Template
+        </button>
+      </div>
+
+      {activeTab === TABS.TEMPLATE && (
+        <CertificateTemplateEditor
+          onSaved={(savedTemplate) => setSettings((prev) => ({ ...prev, certificate: savedTemplate }))}
+        />
+      )}
+
+      {activeTab === TABS.ISSUE && (
+        <>
+          {error && (
+            <div className={styles.errorBanner} role="alert">
+              <span>{error}</span>
+              <button onClick={() => setError(null)} aria-label="Dismiss error">&times;</button>
+            </div>
+          )}
+
+          {successMessage && (
+            <div className={styles.successBanner} role="status">{successMessage}</div>
+          )}
+
+          <div className={styles.toolbar}>
+            <select
+              className={styles.select}
+              value={church}
+              onChange={(e) => setChurch(e.target.value)}
+              aria-label="Church"
+            >
+              <option value="">All churches</option>
+              {churchOptions.map((name) => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+            <select
+              className={styles.select}
+              value={issueFilter}
+              onChange={(e) => setIssueFilter(e.target.value)}
+              aria-label="Issue status"
+            >
+              {Object.entries(FILTER_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+
+            <div className={styles.actions}>
+              <button
+                className={styles.secondaryButton}
+                onClick={handleDownload}
+                disabled={busyAction !== null || entries.length === 0}
+              >
+                {busyAction === 'download' ? 'Generating...' : 'Download PDF'}
+              </button>
+              <button
+                className={styles.secondaryButton}
+                onClick={handleIssue}
+                disabled={busyAction !== null || entries.length === 0}
+              >
+                {busyAction === 'issue' ? 'Issuing...' : 'Issue Certificates'}
+              </button>
+              <button
+                className={styles.primaryButton}
+                onClick={handleEmail}
+                disabled={busyAction !== null || issuedEntries.length === 0}
+              >
+                {busyAction === 'email' ? 'Sending...' : 'Email Certificates'}
+              </button>
+            </div>
+          </div>
+
+          {progress && (
+            <p className={styles.progress}>
+              {progress.done} of {progress.total} done...
+            </p>
+          )}
+
+          {isLoading ? (
+            <div className={styles.loading}>
+              <div className={styles.spinner} />
+              <p>Loading attendees...</p>
+            </div>
+          ) : entries.length === 0 ? (
+            <div className={styles.emptyState}>
+              No checked-in attendees match these filters.
+            </div>
+          ) : (
+            <div className={styles.tableContainer}>
+              <table className={styles.table}>
+                <thead>
+                  <tr>
+                    <th>Attendee</th>
+                    <th>Church</th>
+                    <th>Sessions</th>
+                    <th>Issued</th>
+                    <th>Emailed</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {entries.map((entry) => (
+                    <tr key={`${entry.id}-${entry.attendeeIndex}`}>
+                      <td>
+                        <div className={styles.name}>{entry.name}</div>
+                        <div className={styles.meta}>{entry.registrationId}</div>
+                      </td>
+                      <td>{entry.church || '—'}</td>
+                      <td className={styles.number}>{entry.sessions.length}</td>
+                      <td>{formatDate(entry.issuedAt)}</td>
+                      <td>{formatDate(entry.emailedAt)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </AdminLayout>
+  );
+}
+
+export default AdminCertificatesPage;
@@ -1,30 +1,46 @@
 /**
  * AdminCheckInPage Component
  * Main check-in interface for scanning QR codes and manually searching attendees.
- * Supports real-time statistics and recent check-in tracking.
+ * Keeps working offline from a cached roster and syncs queued check-ins on reconnect.
+ * Also records attendance at individual sessions and workshops.
  *
  * @module pages/admin/AdminCheckInPage
  */
 
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { AdminLayout } from '../../components/admin';
 import {
   QRScanner,
   ManualSearch,
   AttendeeCard,
+  StationSyncStatus,
+  SessionAttendancePanel,
 } from '../../components/checkin';
 import { useAdminAuth } from '../../context';
 import {
   parseQRCode,
-  getRegistrationForCheckIn,
-  checkInAttendee,
+  lookupRegistrationForCheckIn,
+  checkInWithOfflineSupport,
+  cacheCheckInRoster,
+  syncCheckInQueue,
+  getOfflineCheckInStatus,
+  subscribeToOfflineCheckInStatus,
+  dismissCheckInConflict,
   CHECK_IN_METHODS,
   CHECK_IN_ERROR_CODES,
 } from '../../services';
 import { ADMIN_ROUTES } from '../../constants';
 import styles from './AdminCheckInPage.module.css';
 
+/**
+ * What the station is scanning for
+ */
+const CHECK_IN_PURPOSES = {
+  ENTRY: 'entry',
+  SESSION: 'session',
+};
+
 /**
  * Check-in mode tabs
  */
@@ -41,12 +57,58 @@ const CHECK_IN_MODES = {
 function AdminCheckInPage() {
   const { admin } = useAdminAuth();
   const navigate = useNavigate();
+  const [purpose, setPurpose] = useState(CHECK_IN_PURPOSES.ENTRY);
   const [mode, setMode] = useState(CHECK_IN_MODES.QR);
   const [selectedRegistration, setSelectedRegistration] = useState(null);
   const [selectedAttendeeIndex, setSelectedAttendeeIndex] = useState(null);
   const [isCheckingIn, setIsCheckingIn] = useState(false);
   const [checkInError, setCheckInError] = useState(null);
   const [checkInSuccess, setCheckInSuccess] = useState(null);
+  const [stationStatus, setStationStatus] = useState(getOfflineCheckInStatus);
+  const [isRefreshingRoster, setIsRefreshingRoster] = useState(false);
+
+  /**
+   * Downloads the offline roster
+   */
+  const handleRefreshRoster = useCallback(async () => {
+    setIsRefreshingRoster(true);
+    try {
+      await cacheCheckInRoster();
+    } catch (err) {
+      console.error('Failed to cache check-in roster:', err);
+    } finally {
+      setIsRefreshingRoster(false);
+    }
+  }, []);
+
+  /**
+   * Syncs queued check-ins, then refreshes the roster with other stations' check-ins
+   */
+  const handleSync = useCallback(async () => {
+    try {
+      await syncCheckInQueue();
+    } catch (err) {
+      console.error('Failed to sync queued check-ins:', err);
+    }
+    await handleRefreshRoster();
+  }, [handleRefreshRoster]);
+
+  /**
+   * Tracks station status and syncs whenever the connection returns
+   */
+  useEffect(() => {
+    const unsubscribe = subscribeToOfflineCheckInStatus(setStationStatus);
+    window.addEventListener('online', handleSync);
+
+    if (navigator.onLine) {
+      handleSync();
+    }
+
+    return () => {
+      unsubscribe();
+      window.removeEventListener('online', handleSync);
+    };
+  }, [handleSync]);
 
   /**
    * Handles QR scanner errors
@@ -74,12 +136,14 @@ function AdminCheckInPage() {
     }
 
     try {
-      const registration = await getRegistrationForCheckIn(registrationId);
+      const { registration, fromCache } = await lookupRegistrationForCheckIn(registrationId);
 
       if (!registration) {
         setCheckInError({
           code: CHECK_IN_ERROR_CODES.REGISTRATION_NOT_FOUND,
-          message: `Registration ${registrationId} not found.`,
+          message: fromCache
+            ? `Registration ${registrationId} is not in the offline roster.`
+            : `Registration ${registrationId} not found.`,
         });
         return;
       }
@@ -122,7 +186,7 @@ function AdminCheckInPage() {
     setCheckInError(null);
 
     try {
-      const result = await checkInAttendee(selectedRegistration.id, {
+      const { registration: result, queued } = await checkInWithOfflineSupport(selectedRegistration, {
         adminId: admin.id,
         adminName: admin.displayName || admin.email,
         adminEmail: admin.email,
@@ -147,6 +211,7 @@ function AdminCheckInPage() {
       setCheckInSuccess({
         name: attendeeName,
         count,
+        queued,
       });
 
       // Clear selection after success
@@ -202,101 +267,134 @@ function AdminCheckInPage() {
           </button>
         </div>
 
-        {/* Main Column - Scanner/Search */}
-        <div className={styles.mainColumn}>
-          {/* Success Banner */}
-          {checkInSuccess && (
-            <div className={styles.successBanner}>
-              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                <path d="M22 11.08V12a10 10 0 1 1-5.93-9.14" />
-                <polyline points="22 4 12 14.01 9 11.01" />
-              </svg>
-              <div>
-                <strong>{checkInSuccess.name}</strong>
-                <span>
-                  checked in successfully
-                  {checkInSuccess.count > 1 && ` (${checkInSuccess.count} attendees)`}
-                </span>
-              </div>
-            </div>
-          )}
-
-          {/* Error Banner (when no registration selected) */}
-          {checkInError && !selectedRegistration && (
-            <div className={styles.errorBanner}>
-              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                <circle cx="12" cy="12" r="10" />
-                <line x1="12" y1="8" x2="12" y2="12" />
-                <line x1="12" y1="16" x2="12.01" y2="16" />
-              </svg>
-              <div>
-                <strong>Error</strong>
-                <span>{checkInError.message}</span>
-              </div>
-              <button onClick={() => setCheckInError(null)} aria-label="Dismiss">
-                &times;
-              </button>
-            </div>
-          )}
-
-          {/* Attendee Card (when selected) */}
-          {selectedRegistration ? (
-            <AttendeeCard
-              registration={selectedRegistration}
-              onCheckIn={handleCheckIn}
-              onCancel={handleCancel}
-              isLoading={isCheckingIn}
-              error={checkInError}
-              selectedAttendeeIndex={selectedAttendeeIndex}
+        {/* Purpose Tabs */}
+        <div className={styles.modeTabs}>
+          <button
+            className={`${styles.modeTab} ${purpose === CHECK_IN_PURPOSES.ENTRY ? styles.active : ''}`}
+            onClick={() => setPurpose(CHECK_IN_PURPOSES.ENTRY)}
+          >
+            Conference Entry
+          </button>
+          <button
+            className={`${styles.modeTab} ${purpose === CHECK_IN_PURPOSES.SESSION ? styles.active : ''}`}
+            onClick={() => setPurpose(CHECK_IN_PURPOSES.SESSION)}
+          >
+            Session Attendance
+          </button>
+        </div>
+
+        {purpose === CHECK_IN_PURPOSES.SESSION ? (
+          <div className={styles.modeContent}>
+            <SessionAttendancePanel />
+          </div>
+        ) : (
+          <>
+            <StationSyncStatus
+              status={stationStatus}
+              onSync={handleSync}
+              onRefreshRoster={handleRefreshRoster}
+              onDismissConflict={dismissCheckInConflict}
+              isRefreshingRoster={isRefreshingRoster}
             />
-          ) : (
-            <>
-              {/* Mode Tabs */}
-              <div className={styles.modeTabs}>
-                <button
-                  className={`${styles.modeTab} ${mode === CHECK_IN_MODES.QR ? styles.active : ''}`}
-                  onClick={() => setMode(CHECK_IN_MODES.QR)}
-                >
+
+            {/* Main Column - Scanner/Search */}
+            <div className={styles.mainColumn}>
+              {/* Success Banner */}
+              {checkInSuccess && (
+                <div className={styles.successBanner}>
                   <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                    <rect x="3" y="3" width="7" height="7" />
-                    <rect x="14" y="3" width="7" height="7" />
-                    <rect x="3" y="14" width="7" height="7" />
-                    <rect x="14" y="14" width="3" height="3" />
-                    <line x1="21" y1="14" x2="21" y2="21" />
-                    <line x1="14" y1="21" x2="21" y2="21" />
+                    <path d="M22 11.08V12a10 10 0 1 1-5.93-9.14" />
+                    <polyline points="22 4 12 14.01 9 11.01" />
                   </svg>
-                  QR Scanner
-                </button>
-                <button
-                  className={`${styles.modeTab} ${mode === CHECK_IN_MODES.MANUAL ? styles.active : ''}`}
-                  onClick={() => setMode(CHECK_IN_MODES.MANUAL)}
-                >
+                  <div>
+                    <strong>{checkInSuccess.name}</strong>
+                    <span>
+                      checked in successfully
+                      {checkInSuccess.count > 1 && ` (${checkInSuccess.count} attendees)`}
+                      {checkInSuccess.queued && ' - saved offline, will sync when back online'}
+                    </span>
+                  </div>
+                </div>
+              )}
+
+              {/* Error Banner (when no registration selected) */}
+              {checkInError && !selectedRegistration && (
+                <div className={styles.errorBanner}>
                   <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                    <circle cx="11" cy="11" r="8" />
-                    <path d="M21 21l-4.35-4.35" />
+                    <circle cx="12" cy="12" r="10" />
+                    <line x1="12" y1="8" x2="12" y2="12" />
+                    <line x1="12" y1="16" x2="12.01" y2="16" />
                   </svg>
-                  Manual Search
-                </button>
-              </div>
-
-              {/* Scanner or Search */}
-              <div className={styles.modeContent}>
-                {mode === CHECK_IN_MODES.QR ? (
-                  <QRScanner
-                    onScan={handleQRScan}
-                    onError={handleScannerError}
-                    isActive={!selectedRegistration}
-                  />
-                ) : (
-                  <ManualSearch
-                    onSelect={handleSearchSelect}
-                    autoFocus
-                  />
-                )}
-              </div>
-            </>
-          )}
-        </div>
+                  <div>
+                    <strong>Error</strong>
+                    <span>{checkInError.message}</span>
+                  </div>
+                  <button onClick={() => setCheckInError(null)} aria-label="Dismiss">
+                    &times;
+                  </button>
+                </div>
+              )}
+
+              {/* Attendee Card (when selected) */}
+              {selectedRegistration ? (
+                <AttendeeCard
+                  registration={selectedRegistration}
+                  onCheckIn={handleCheckIn}
+                  onCancel={handleCancel}
+                  isLoading={isCheckingIn}
+                  error={checkInError}
+                  selectedAttendeeIndex={selectedAttendeeIndex}
+                />
+              ) : (
+                <>
+                  {/* Mode Tabs */}
+                  <div className={styles.modeTabs}>
+                    <button
+                      className={`${styles.modeTab} ${mode === CHECK_IN_MODES.QR ? styles.active : ''}`}
+                      onClick={() => setMode(CHECK_IN_MODES.QR)}
+                    >
+                      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                        <rect x="3" y="3" width="7" height="7" />
+                        <rect x="14" y="3" width="7" height="7" />
+                        <rect x="3" y="14" width="7" height="7" />
+                        <rect x="14" y="14" width="3" height="3" />
+                        <line x1="21" y1="14" x2="21" y2="21" />
+                        <line x1="14" y1="21" x2="21" y2="21" />
+                      </svg>
+                      QR Scanner
+                    </button>
+                    <button
+                      className={`${styles.modeTab} ${mode === CHECK_IN_MODES.MANUAL ? styles.active : ''}`}
+                      onClick={() => setMode(CHECK_IN_MODES.MANUAL)}
+                    >
+                      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                        <circle cx="11" cy="11" r="8" />
+                        <path d="M21 21l-4.35-4.35" />
+                      </svg>
+                      Manual Search
+                    </button>
+                  </div>
+
+                  {/* Scanner or Search */}
+                  <div className={styles.modeContent}>
+                    {mode === CHECK_IN_MODES.QR ? (
+                      <QRScanner
+                        onScan={handleQRScan}
+                        onError={handleScannerError}
+                        isActive={!selectedRegistration}
+                      />
+                    ) : (
+                      <ManualSearch
+                        onSelect={handleSearchSelect}
+                        autoFocus
+                      />
+                    )}
+                  </div>
+                </>
+              )}
+            </div>
+          </>
+        )}
       </div>
     </AdminLayout>
   );
@@ -0,0 +1,374 @@
+/**
+ * AdminEditionsPage Component
+ * Lists conference editions (one per year), creates the next edition from a
+ * copy of an existing one, and switches which edition the site serves.
+ * Archived editions stay available for reporting but are read-only.
+ *
+ * @module pages/admin/AdminEditionsPage
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { AdminLayout } from '../../components/admin';
+import { useAdminAuth, useSettings } from '../../context';
+import {
+  getAllEditions,
+  getEditionRegistrationSummary,
+  createEdition,
+  setActiveEdition,
+  isEditionReadOnly,
+  clearCheckInRoster,
+} from '../../services';
+import { EDITION_STATUS, EDITION_STATUS_LABELS } from '../../constants';
+import styles from './AdminEditionsPage.module.css';
+
+/**
+ * Formats a date for display
+ *
+ * @param {Date|string} date - Date to format
+ * @returns {string} Formatted date, or a dash when missing
+ */
+function formatDate(date) {
+  if (!date) return '—';
+  const d = new Date(date);
+  if (Number.isNaN(d.getTime())) return '—';
+
+  return d.toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+  });
+}
+
+/**
+ * Builds an empty create form for the year after the newest edition
+ *
+ * @param {Array} editions - Existing editions, newest first
+ * @returns {Object} Create form state
+ */
+function getInitialForm(editions) {
+  const latest = editions.find((edition) => edition.isActive) || editions[0];
+  const year = (editions[0]?.year || new Date().getFullYear()) + 1;
+
+  return {
+    year: String(year),
+    name: `IDMC ${year}`,
+    startDate: '',
+    endDate: '',
+    sourceEditionId: latest?.id || '',
+  };
+}
+
+/**
+ * AdminEditionsPage Component
+ *
+ * @returns {JSX.Element} The admin editions page
+ */
+function AdminEditionsPage() {
+  const { admin } = useAdminAuth();
+  const { refreshSettings } = useSettings();
+  const [editions, setEditions] = useState([]);
+  const [summaries, setSummaries] = useState({});
+  const [form, setForm] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [activatingId, setActivatingId] = useState(null);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+
+  /**
+   * Fetches editions and their registration counts
+   */
+  const fetchEditions = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const editionList = await getAllEditions();
+      setEditions(editionList);
+
+      const summaryEntries = await Promise.all(
+        editionList.map(async (edition) => [edition.id, await getEditionRegistrationSummary(edition.id)])
+      );
+      setSummaries(Object.fromEntries(summaryEntries));
+    } catch (fetchError) {
+      console.error('Failed to fetch editions:', fetchError);
+      setError('Failed to load editions. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  /**
+   * Fetch editions on mount
+   */
+  useEffect(() => {
+    fetchEditions();
+  }, [fetchEditions]);
+
+  /**
+   * Updates one field of the create form
+   *
+   * @param {string} field - Field name
+   * @param {string} value - New value
+   */
+  const updateForm = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  /**
+   * Creates a new edition from the form
+   */
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    setIsSaving(true);
+    setError(null);
+    setSuccessMessage(null);
+
+    try {
+      const created = await createEdition(
+        {
+          year: form.year,
+          name: form.name,
+          startDate: form.startDate,
+          endDate: form.endDate,
+        },
+        form.sourceEditionId,
+        admin?.id,
+        admin?.email
+      );
+      setForm(null);
+      setSuccessMessage(`${created.name} was created as a draft. Review its settings, then activate it.`);
+      await fetchEditions();
+    } catch (createError) {
+      console.error('Failed to create edition:', createError);
+      setError(createError.message || 'Failed to create the edition. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Makes an edition the active one after confirmation
+   *
+   * @param {Object} edition - Edition to activate
+   */
+  const handleActivate = async (edition) => {
+    const current = editions.find((item) => item.isActive);
+    const confirmMessage = current
+      ? `Switch the site to ${edition.name}? ${current.name} will be archived and become read-only.`
+      : `Switch the site to ${edition.name}?`;
+    if (!window.confirm(confirmMessage)) {
+      return;
+    }
+
+    setActivatingId(edition.id);
+    setError(null);
+    setSuccessMessage(null);
+
+    try {
+      await setActiveEdition(edition.id, admin?.id, admin?.email);
+      // The cached check-in roster belongs to the edition that was just archived
+      clearCheckInRoster();
+      await refreshSettings();
+      setSuccessMessage(`${edition.name} is now the active edition.`);
+      await fetchEditions();
+    } catch (activateError) {
+      console.error('Failed to activate edition:', activateError);
+      setError(activateError.message || 'Failed to switch editions. Please try again.');
+    } finally {
+      setActivatingId(null);
+    }
+  };
+
+  return (
+    <AdminLayout>
+      {/* Page Header */}
+      <div className={styles.header}>
+        <div>
+          <h2 className={styles.title}>Conference Editions</h2>
+          <p className={styles.subtitle}>
+            Each year&apos;s conference has its own settings, registrations and stats. The active
+            edition is the one shown on the site; past editions are archived and read-only.
+          </p>
+        </div>
+        <div className={styles.headerActions}>
+          {!form && (
+            <button
+              type="button"
+              className={styles.primaryButton}
+              onClick={() => setForm(getInitialForm(editions))}
+              disabled={isLoading}
+            >
+              New Edition
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Banners */}
+      {error && (
+        <div className={styles.errorBanner} role="alert">
+          {error}
+          <button onClick={() => setError(null)} aria-label="Dismiss error">
+            &times;
+          </button>
+        </div>
+      )}
+      {successMessage && (
+        <div className={styles.successBanner} role="status">
+          {successMessage}
+          <button onClick={() => setSuccessMessage(null)} aria-label="Dismiss message">
+            &times;
+          </button>
+        </div>
+      )}
+
+      {/* Create Form */}
+      {form && (
+        <form className={styles.createCard} onSubmit={handleCreate}>
+          <h3 className={styles.cardTitle}>New Edition</h3>
+          <p className={styles.cardDescription}>
+            Settings, pricing tiers, group discounts, venue, FAQ and what-to-bring items are copied
+            from the selected edition. Registrations and stats start empty.
+          </p>
+          <div className={styles.formGrid}>
+            <label className={styles.field}>
+              <span>Year</span>
+              <input
+                type="number"
+                min="2000"
+                value={form.year}
+                onChange={(e) => updateForm('year', e.target.value)}
+                className={styles.input}
+                required
+              />
+            </label>
+            <label className={styles.field}>
+              <span>Name</span>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => updateForm('name', e.target.value)}
+                className={styles.input}
+              />
+            </label>
+            <label className={styles.field}>
+              <span>Start Date</span>
+              <input
+                type="date"
+                value={form.startDate}
+                onChange={(e) => updateForm('startDate', e.target.value)}
+                className={styles.input}
+              />
+            </label>
+            <label className={styles.field}>
+              <span>End Date</span>
+              <input
+                type="date"
+                value={form.endDate}
+                onChange={(e) => updateForm('endDate', e.target.value)}
+                className={styles.input}
+              />
+            </label>
+            <label className={styles.field}>
+              <span>Copy From</span>
+              <select
+                value={form.sourceEditionId}
+                onChange={(e) => updateForm('sourceEditionId', e.target.value)}
+                className={styles.input}
+              >
+                {editions.map((edition) => (
+                  <option key={edition.id} value={edition.id}>{edition.name}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <div className={styles.formActions}>
+            <button
+              type="button"
+              className={styles.secondaryButton}
+              onClick={() => setForm(null)}
+              disabled={isSaving}
+            >
+              Cancel
+            </button>
+            <button type="submit" className={styles.primaryButton} disabled={isSaving}>
+              {isSaving ? 'Creating...' : 'Create Edition'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {isLoading ? (
+        <div className={styles.loading}>Loading editions...</div>
+      ) : (
+        <div className={styles.tableWrapper}>
+          <table className={styles.table}>
+            <thead>
+              <tr>
+                <th scope="col">Edition</th>
+                <th scope="col">Status</th>
+                <th scope="col" className={styles.numeric}>Registrations</th>
+                <th scope="col" className={styles.numeric}>Attendees</th>
+                <th scope="col">Created</th>
+                <th scope="col" aria-label="Actions" />
+              </tr>
+            </thead>
+            <tbody>
+              {editions.map((edition) => {
+                const summary = summaries[edition.id];
+                const status = edition.isActive ? EDITION_STATUS.ACTIVE : edition.status;
+
+                return (
+                  <tr key={edition.id}>
+                    <td className={styles.primaryCell}>
+                      {edition.name}
+                      <span className={styles.meta}>{edition.id}</span>
+                      {edition.copiedFrom && (
+                        <span className={styles.meta}>Copied from {edition.copiedFrom}</span>
+                      )}
+                    </td>
+                    <td>
+                      <span className={`${styles.statusBadge} ${styles[`status_${status}`] || ''}`}>
+                        {EDITION_STATUS_LABELS[status] || status}
+                      </span>
+                    </td>
+                    <td className={styles.numeric}>{summary ? summary.total : '—'}</td>
+                    <td className={styles.numeric}>{summary ? summary.attendees : '—'}</td>
+                    <td>{formatDate(edition.createdAt)}</td>
+                    <td className={styles.actionCell}>
+                      {edition.isActive && <span className={styles.meta}>Serving the site</span>}
+                      {!edition.isActive && isEditionReadOnly(edition) && (
+                        <span className={styles.meta}>Read-only</span>
+                      )}
+                      {!edition.isActive && !isEditionReadOnly(edition) && (
+                        <button
+                          type="button"
+                          className={styles.secondaryButton}
+                          onClick={() => handleActivate(edition)}
+                          disabled={activatingId !== null}
+                        >
+                          {activatingId === edition.id ? 'Activating...' : 'Activate'}
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+
+              {editions.length === 0 && (
+                <tr>
+                  <td colSpan={6} className={styles.emptyState}>
+                    No editions yet.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </AdminLayout>
+  );
+}
+
+export default AdminEditionsPage;
@@ -1,23 +1,42 @@
 /**
  * AdminFeedbackResponsesPage Component
- * Feedback responses management page for admins.
+ * Feedback responses management page for admins, with an analytics view
+ * that aggregates answers per field and exports CSV/PDF summaries.
  *
  * @module pages/admin/AdminFeedbackResponsesPage
  */
 
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo } from 'react';
 import {
   AdminLayout,
   FeedbackResponsesTable,
   FeedbackResponseDetailModal,
+  FeedbackAnalytics,
 } from '../../components/admin';
 import {
   getFeedbackResponses,
   deleteFeedbackResponse,
 } from '../../services/feedback';
-import { useAdminAuth } from '../../context';
+import { getAllRegistrations } from '../../services/maintenance';
+import { getRegistrationChurchName } from '../../services/badges';
+import { useAdminAuth, useSettings } from '../../context';
+import {
+  summarizeFeedbackResponses,
+  linkFeedbackToRegistrations,
+  exportFeedbackSummaryToCsv,
+  exportFeedbackResponsesToCsv,
+  downloadFeedbackSummaryPdf,
+} from '../../utils';
 import styles from './AdminFeedbackResponsesPage.module.css';
 
+/**
+ * Page views
+ */
+const VIEWS = {
+  RESPONSES: 'responses',
+  ANALYTICS: 'analytics',
+};
+
 /**
  * AdminFeedbackResponsesPage Component
  *
@@ -25,12 +44,20 @@ import styles from './AdminFeedbackResponsesPage.module.css';
  */
 function AdminFeedbackResponsesPage() {
   const { admin } = useAdminAuth();
+  const { settings, pricingTiers } = useSettings();
+  const [view, setView] = useState(VIEWS.RESPONSES);
   const [responses, setResponses] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [selectedResponse, setSelectedResponse] = useState(null);
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
+  const [registrations, setRegistrations] = useState(null);
+  const [isLoadingRegistrations, setIsLoadingRegistrations] = useState(false);
+  const [categoryFilter, setCategoryFilter] = useState('');
+  const [churchFilter, setChurchFilter] = useState('');
+
+  const fields = useMemo(() => settings?.feedback?.fields || [], [settings]);
 
   /**
    * Fetches all feedback responses
@@ -57,6 +84,147 @@ function AdminFeedbackResponsesPage() {
     fetchResponses();
   }, [fetchResponses]);
 
+  /**
+   * Loads registrations the first time the analytics view is opened, to
+   * resolve category and church of non-anonymous responses
+   */
+  useEffect(() => {
+    if (view !== VIEWS.ANALYTICS || registrations) {
+      return;
+    }
+
+    const loadRegistrations = async () => {
+      setIsLoadingRegistrations(true);
+      try {
+        setRegistrations(await getAllRegistrations());
+      } catch (fetchError) {
+        console.error('Failed to fetch registrations:', fetchError);
+        setError('Failed to load registrations. Category and church filters are unavailable.');
+        setRegistrations([]);
+      } finally {
+        setIsLoadingRegistrations(false);
+      }
+    };
+
+    loadRegistrations();
+  }, [view, registrations]);
+
+  /**
+   * Category and church of each response linked to a registration
+   */
+  const responseContext = useMemo(() => {
+    const links = linkFeedbackToRegistrations(responses, registrations || []);
+    const context = {};
+    Object.entries(links).forEach(([responseId, registration]) => {
+      context[responseId] = registration
+        ? {
+          category: registration.primaryAttendee?.category || '',
+          church: getRegistrationChurchName(registration),
+        }
+        : null;
+    });
+    return context;
+  }, [responses, registrations]);
+
+  /**
+   * Gets the display name for a category/pricing tier ID
+   *
+   * @param {string} categoryId - The category/tier ID
+   * @returns {string} The display name or the ID if not found
+   */
+  const getCategoryName = useCallback((categoryId) => {
+    const tier = pricingTiers?.find((t) => t.id === categoryId);
+    return tier?.name || categoryId;
+  }, [pricingTiers]);
+
+  /**
+   * Filter options from the linked registrations
+   */
+  const filterOptions = useMemo(() => {
+    const categories = new Set();
+    const churches = new Set();
+    Object.values(responseContext).forEach((context) => {
+      if (context?.category) categories.add(context.category);
+      if (context?.church) churches.add(context.church);
+    });
+    return {
+      categories: [...categories].sort(),
+      churches: [...churches].sort((a, b) => a.localeCompare(b)),
+    };
+  }, [responseContext]);
+
+  const linkedCount = Object.values(responseContext).filter(Boolean).length;
+
+  /**
+   * Responses matching the analytics filters. Filtering by category or
+   * church only keeps responses linked to a registration.
+   */
+  const analyticsResponses = useMemo(() => {
+    if (!categoryFilter && !churchFilter) {
+      return responses;
+    }
+    return responses.filter((response) => {
+      const context = responseContext[response.id];
+      if (!context) return false;
+      if (categoryFilter && context.category !== categoryFilter) return false;
+      if (churchFilter && context.church !== churchFilter) return false;
+      return true;
+    });
+  }, [responses, responseContext, categoryFilter, churchFilter]);
+
+  const summaries = useMemo(
+    () => summarizeFeedbackResponses(fields, analyticsResponses),
+    [fields, analyticsResponses]
+  );
+
+  /**
+   * Describes the active filters for export headers
+   *
+   * @returns {string} Filter description, empty when unfiltered
+   */
+  const getFilterDescription = () => [
+    categoryFilter ? `Category: ${getCategoryName(categoryFilter)}` : '',
+    churchFilter ? `Church: ${churchFilter}` : '',
+  ].filter(Boolean).join(', ');
+
+  /**
+   * Exports the field summaries to CSV
+   */
+  const handleExportSummaryCsv = () => {
+    try {
+      exportFeedbackSummaryToCsv(summaries);
+    } catch (exportError) {
+      setError(exportError.message);
+    }
+  };
+
+  /**
+   * Exports the filtered responses to CSV, one column per field
+   */
+  const handleExportResponsesCsv = () => {
+    try {
+      exportFeedbackResponsesToCsv(fields, analyticsResponses);
+    } catch (exportError) {
+      setError(exportError.message);
+    }
+  };
+
+  /**
+   * Downloads a printable PDF summary
+   */
+  const handleExportPdf = () => {
+    try {
+      downloadFeedbackSummaryPdf(summaries, {
+        title: settings?.feedback?.formTitle || 'Feedback Summary',
+        subtitle: getFilterDescription(),
+        responseCount: analyticsResponses.length,
+      });
+    } catch (exportError) {
+      console.error('Failed to generate feedback summary PDF:', exportError);
+      setError('Failed to generate the PDF summary. Please try again.');
+    }
+  };
+
   /**
    * Handles viewing a response
    *
@@ -141,6 +309,26 @@ function AdminFeedbackResponsesPage() {
           </p>
         </div>
         <div className={styles.headerActions}>
+          <div className={styles.viewToggle} role="tablist" aria-label="Feedback view">
+            <button
+              type="button"
+              role="tab"
+              aria-selected={view === VIEWS.RESPONSES}
+              className={`${styles.viewButton} ${view === VIEWS.RESPONSES ? styles.viewButtonActive : ''}`}
+              onClick={() => setView(VIEWS.RESPONSES)}
+            >
+              Responses
+            </button>
+            <button
+              type="button"
+              role="tab"
+              aria-selected={view === VIEWS.ANALYTICS}
+              className={`${styles.viewButton} ${view === VIEWS.ANALYTICS ? styles.viewButtonActive : ''}`}
+              onClick={() => setView(VIEWS.ANALYTICS)}
+            >
+              Analytics
+            </button>
+          </div>
           <button
             className={styles.refreshButton}
             onClick={fetchResponses}
@@ -167,46 +355,129 @@ function AdminFeedbackResponsesPage() {
       )}
 
       {/* Stats Card */}
-      <div className={styles.statsGrid}>
+      <div className={`${styles.statsGrid} ${view === VIEWS.ANALYTICS ? styles.statsGridWide : ''}`}>
         <div className={styles.statCard}>
           <div className={styles.statValue}>{responses.length}</div>
           <div className={styles.statLabel}>Total Responses</div>
         </div>
+        {view === VIEWS.ANALYTICS && (
+          <>
+            <div className={styles.statCard}>
+              <div className={styles.statValue}>{analyticsResponses.length}</div>
+              <div className={styles.statLabel}>Matching Filters</div>
+            </div>
+            <div className={styles.statCard}>
+              <div className={styles.statValue}>{isLoadingRegistrations ? '-' : linkedCount}</div>
+              <div className={styles.statLabel}>Linked to a Registration</div>
+            </div>
+          </>
+        )}
       </div>
 
-      {/* Search Bar */}
-      <div className={styles.filterContainer}>
-        <div className={styles.searchWrapper}>
-          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-            <circle cx="11" cy="11" r="8" />
-            <line x1="21" y1="21" x2="16.65" y2="16.65" />
-          </svg>
-          <input
-            type="text"
-            className={styles.searchInput}
-            placeholder="Search responses..."
-            value={searchQuery}
-            onChange={(e) => setSearchQuery(e.target.value)}
-          />
-          {searchQuery && (
-            <button
-              className={styles.clearSearch}
-              onClick={() => setSearchQuery('')}
-              aria-label="Clear search"
+      {view === VIEWS.ANALYTICS ? (
+        <>
+          {/* Analytics Filters & Exports */}
+          <div className={styles.filterContainer}>
+            <select
+              className={styles.filterSelect}
+              value={categoryFilter}
+              onChange={(e) => setCategoryFilter(e.target.value)}
+              disabled={isLoadingRegistrations}
+              aria-label="Filter by registration category"
             >
-              &times;
-            </button>
-          )}
-        </div>
-      </div>
+              <option value="">All categories</option>
+              {filterOptions.categories.map((category) => (
+                <option key={category} value={category}>
+                  {getCategoryName(category)}
+                </option>
+              ))}
+            </select>
+            <select
+              className={styles.filterSelect}
+              value={churchFilter}
+              onChange={(e) => setChurchFilter(e.target.value)}
+              disabled={isLoadingRegistrations}
+              aria-label="Filter by church"
+            >
+              <option value="">All churches</option>
+              {filterOptions.churches.map((church) => (
+                <option key={church} value={church}>
+                  {church}
+                </option>
+              ))}
+            </select>
+            <div className={styles.exportActions}>
+              <button
+                type="button"
+                className={styles.refreshButton}
+                onClick={handleExportSummaryCsv}
+                disabled={isLoading || summaries.length === 0}
+              >
+                Summary CSV
+              </button>
+              <button
+                type="button"
+                className={styles.refreshButton}
+                onClick={handleExportResponsesCsv}
+                disabled={isLoading || analyticsResponses.length === 0}
+              >
+                Responses CSV
+              </button>
+              <button
+                type="button"
+                className={styles.refreshButton}
+                onClick={handleExportPdf}
+                disabled={isLoading || summaries.length === 0}
+              >
+                PDF Summary
+              </button>
+            </div>
+          </div>
+          <p className={styles.filterHint}>
+            Category and church filters only include non-anonymous responses linked to a
+            registration, either through a personalised feedback link (the <code>{'{{feedbackUrl}}'}</code>
+            placeholder in email campaigns) or by a name matching exactly one registered attendee.
+          </p>
 
-      {/* Responses Table */}
-      <FeedbackResponsesTable
-        responses={filteredResponses}
-        onView={handleViewResponse}
-        onDelete={handleDeleteResponse}
-        isLoading={isLoading}
-      />
+          <FeedbackAnalytics summaries={summaries} isLoading={isLoading} />
+        </>
+      ) : (
+        <>
+          {/* Search Bar */}
+          <div className={styles.filterContainer}>
+            <div className={styles.searchWrapper}>
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <circle cx="11" cy="11" r="8" />
+                <line x1="21" y1="21" x2="16.65" y2="16.65" />
+              </svg>
+              <input
+                type="text"
+                className={styles.searchInput}
+                placeholder="Search responses..."
+                value={searchQuery}
+                onChange={(e) => setSearchQuery(e.target.value)}
+              />
+              {searchQuery && (
+                <button
+                  className={styles.clearSearch}
+                  onClick={() => setSearchQuery('')}
+                  aria-label="Clear search"
+                >
+                  &times;
+                </button>
+              )}
+            </div>
+          </div>
+
+          {/* Responses Table */}
+          <FeedbackResponsesTable
+            responses={filteredResponses}
+            onView={handleViewResponse}
+            onDelete={handleDeleteResponse}
+            isLoading={isLoading}
+          />
+        </>
+      )}
 
       {/* Response Detail Modal */}
       <FeedbackResponseDetailModal
@@ -1,12 +1,13 @@
 /**
  * AdminFinanceDashboardPage Component
- * Finance dashboard for viewing and exporting transactions grouped by bank account.
+ * Finance dashboard for viewing and exporting transactions grouped by bank account,
+ * and for reconciling imported bank statements against pending payments.
  *
  * @module pages/admin/AdminFinanceDashboardPage
  */
 
 import { useState, useEffect, useCallback, useMemo } from 'react';
-import { AdminLayout } from '../../components/admin';
+import { AdminLayout, BankStatementReconciliationModal } from '../../components/admin';
 import {
   getAllBankAccounts,
   getRegistrationsByBankAccount,
@@ -18,7 +19,7 @@ import {
   REGISTRATION_STATUS,
   BANK_LABELS,
 } from '../../constants';
-import { formatPrice, exportRegistrationsToCsv } from '../../utils';
+import { formatPrice, exportRegistrationsToCsv, calculateFinanceStatistics } from '../../utils';
 import styles from './AdminFinanceDashboardPage.module.css';
 
 /**
@@ -34,6 +35,7 @@ function AdminFinanceDashboardPage() {
   const [isLoading, setIsLoading] = useState(true);
   const [isExporting, setIsExporting] = useState(false);
   const [error, setError] = useState(null);
+  const [isReconcileOpen, setIsReconcileOpen] = useState(false);
 
   // Stats from stats collection (maintained by Cloud Functions)
   const [conferenceStats, setConferenceStats] = useState(null);
@@ -109,40 +111,7 @@ function AdminFinanceDashboardPage() {
   /**
    * Calculate statistics for the selected bank account
    */
-  const statistics = useMemo(() => {
-    const stats = {
-      totalTransactions: registrations.length,
-      confirmedTransactions: 0,
-      pendingVerification: 0,
-      totalPayments: 0,
-      confirmedPayments: 0,
-      pendingPayments: 0,
-      totalOverpayments: 0,
-      overpaymentCount: 0,
-    };
-
-    registrations.forEach((reg) => {
-      const amount = reg.payment?.amountPaid || 0;
-      const overpayment = reg.payment?.overpayment || 0;
-
-      if (reg.status === REGISTRATION_STATUS.CONFIRMED) {
-        stats.confirmedTransactions += 1;
-        stats.confirmedPayments += amount;
-      } else if (reg.status === REGISTRATION_STATUS.PENDING_VERIFICATION) {
-        stats.pendingVerification += 1;
-        stats.pendingPayments += amount;
-      }
-
-      stats.totalPayments += amount;
-
-      if (overpayment > 0) {
-        stats.totalOverpayments += overpayment;
-        stats.overpaymentCount += 1;
-      }
-    });
-
-    return stats;
-  }, [registrations]);
+  const statistics = useMemo(() => calculateFinanceStatistics(registrations), [registrations]);
 
   /**
    * Group registrations by bank account
@@ -301,6 +270,14 @@ function AdminFinanceDashboardPage() {
           >
             {isExporting ? 'Exporting...' : 'Export Current View'}
           </button>
+          <button
+            type="button"
+            className={styles.reconcileButton}
+            onClick={() => setIsReconcileOpen(true)}
+            disabled={bankAccounts.length === 0}
+          >
+            Import Bank Statement
+          </button>
         </div>
 
         {/* Statistics Cards - Use stats collection when viewing all, local calc when filtered */}
@@ -342,6 +319,33 @@ function AdminFinanceDashboardPage() {
                 )}
               </div>
             </div>
+            {statistics.refundedCount > 0 && (
+              <div className={`${styles.statCard} ${styles.statCardWarning}`}>
+                <div className={styles.statLabel}>Refunded</div>
+                <div className={styles.statValue}>{statistics.refundedCount}</div>
+                <div className={styles.statSubvalue}>
+                  {formatPrice(statistics.refundedAmount)}
+                </div>
+              </div>
+            )}
+            <div className={styles.statCard}>
+              <div className={styles.statLabel}>Net Revenue</div>
+              <div className={styles.statValue}>{formatPrice(statistics.netRevenue)}</div>
+              <div className={styles.statSubvalue}>Confirmed less refunds</div>
+            </div>
+            {statistics.totalDiscounts > 0 && (
+              <div className={styles.statCard}>
+                <div className={styles.statLabel}>Promo Discounts</div>
+                <div className={styles.statValue}>{statistics.discountCount}</div>
+                <div className={styles.statSubvalue}>
+                  {formatPrice(
+                    selectedBankAccountId === 'all' && conferenceStats
+                      ? conferenceStats.totalDiscounts || 0
+                      : statistics.totalDiscounts
+                  )}
+                </div>
+              </div>
+            )}
             {statistics.totalOverpayments > 0 && (
               <div className={`${styles.statCard} ${styles.statCardWarning}`}>
                 <div className={styles.statLabel}>Overpayments</div>
@@ -538,6 +542,14 @@ function AdminFinanceDashboardPage() {
           </div>
         )}
       </div>
+
+      <BankStatementReconciliationModal
+        isOpen={isReconcileOpen}
+        onClose={() => setIsReconcileOpen(false)}
+        bankAccounts={bankAccounts}
+        defaultBankAccountId={selectedBankAccountId}
+        onConfirmed={fetchRegistrations}
+      />
     </AdminLayout>
   );
 }
@@ -182,7 +182,7 @@ function AdminInvoicesPage() {
           </div>
           <div className={`${styles.statCard} ${styles.statUploaded}`}>
             <div className={styles.statValue}>{statusCounts.uploaded}</div>
-            <div className={styles.statLabel}>Uploaded</div>
+            <div className={styles.statLabel}>{INVOICE_STATUS_LABELS[INVOICE_STATUS.UPLOADED]}</div>
           </div>
           <div className={`${styles.statCard} ${styles.statSent}`}>
             <div className={styles.statValue}>{statusCounts.sent}</div>
@@ -0,0 +1,617 @@
+/**
+ * AdminPromoCodesPage Component
+ * Promo code management page for finance admins to create discount codes
+ * and review per-code redemption reports.
+ *
+ * @module pages/admin/AdminPromoCodesPage
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { AdminLayout } from '../../components/admin';
+import {
+  getAllPromoCodes,
+  createPromoCode,
+  updatePromoCode,
+  deletePromoCode,
+  togglePromoCodeStatus,
+  getPromoCodeRedemptionReport,
+  PROMO_CODE_ERROR_CODES,
+} from '../../services/promoCodes';
+import { getPricingTiers } from '../../services/settings';
+import { useAdminAuth } from '../../context';
+import {
+  PROMO_DISCOUNT_TYPES,
+  PROMO_DISCOUNT_TYPE_LABELS,
+  REGISTRATION_STATUS_LABELS,
+} from '../../constants';
+import { formatPrice } from '../../utils';
+import styles from './AdminPromoCodesPage.module.css';
+
+/**
+ * Empty form state for a new promo code
+ */
+const EMPTY_FORM = {
+  code: '',
+  description: '',
+  discountType: PROMO_DISCOUNT_TYPES.PERCENTAGE,
+  discountValue: '',
+  maxRedemptions: '',
+  expiresAt: '',
+  allowedCategories: [],
+  isActive: true,
+};
+
+/**
+ * Formats a promo code discount for display
+ *
+ * @param {Object} promoCode - Promo code object
+ * @returns {string} Formatted discount (e.g., "20%" or "₱500")
+ */
+function formatDiscount(promoCode) {
+  return promoCode.discountType === PROMO_DISCOUNT_TYPES.PERCENTAGE
+    ? `${promoCode.discountValue}%`
+    : formatPrice(promoCode.discountValue);
+}
+
+/**
+ * AdminPromoCodesPage Component
+ *
+ * @returns {JSX.Element} The admin promo codes page
+ */
+function AdminPromoCodesPage() {
+  const { admin } = useAdminAuth();
+  const [promoCodes, setPromoCodes] = useState([]);
+  const [pricingTiers, setPricingTiers] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [editingPromo, setEditingPromo] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [reportPromo, setReportPromo] = useState(null);
+  const [report, setReport] = useState(null);
+  const [isLoadingReport, setIsLoadingReport] = useState(false);
+
+  /**
+   * Fetches all promo codes and pricing tiers
+   */
+  const fetchPromoCodes = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const [codes, tiers] = await Promise.all([getAllPromoCodes(), getPricingTiers()]);
+      setPromoCodes(codes);
+      setPricingTiers(tiers);
+    } catch (fetchError) {
+      console.error('Failed to fetch promo codes:', fetchError);
+      setError('Failed to load promo codes. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  /**
+   * Fetch promo codes on mount
+   */
+  useEffect(() => {
+    fetchPromoCodes();
+  }, [fetchPromoCodes]);
+
+  /**
+   * Gets the display name for a pricing tier by ID
+   *
+   * @param {string} tierId - Pricing tier ID
+   * @returns {string} Tier name or the ID if not found
+   */
+  const getTierName = (tierId) => {
+    return pricingTiers.find((tier) => tier.id === tierId)?.name || tierId;
+  };
+
+  /**
+   * Opens modal for creating a new promo code
+   */
+  const handleCreateNew = () => {
+    setEditingPromo(null);
+    setFormData(EMPTY_FORM);
+    setIsModalOpen(true);
+  };
+
+  /**
+   * Opens modal for editing a promo code
+   *
+   * @param {Object} promoCode - Promo code to edit
+   */
+  const handleEdit = (promoCode) => {
+    setEditingPromo(promoCode);
+    setFormData({
+      code: promoCode.code,
+      description: promoCode.description || '',
+      discountType: promoCode.discountType || PROMO_DISCOUNT_TYPES.PERCENTAGE,
+      discountValue: promoCode.discountValue ?? '',
+      maxRedemptions: promoCode.maxRedemptions ?? '',
+      expiresAt: promoCode.expiresAt || '',
+      allowedCategories: promoCode.allowedCategories || [],
+      isActive: promoCode.isActive !== undefined ? promoCode.isActive : true,
+    });
+    setIsModalOpen(true);
+  };
+
+  /**
+   * Toggles a pricing tier in the allowed categories list
+   *
+   * @param {string} tierId - Pricing tier ID
+   */
+  const handleToggleCategory = (tierId) => {
+    setFormData((prev) => ({
+      ...prev,
+      allowedCategories: prev.allowedCategories.includes(tierId)
+        ? prev.allowedCategories.filter((id) => id !== tierId)
+        : [...prev.allowedCategories, tierId],
+    }));
+  };
+
+  /**
+   * Handles form submission
+   *
+   * @param {Event} e - Form event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    try {
+      if (editingPromo) {
+        const { code, ...updates } = formData;
+        await updatePromoCode(editingPromo.id, updates, admin?.id, admin?.email);
+      } else {
+        await createPromoCode(formData, admin?.id, admin?.email);
+      }
+      await fetchPromoCodes();
+      setIsModalOpen(false);
+    } catch (submitError) {
+      console.error('Failed to save promo code:', submitError);
+      if (submitError.message === PROMO_CODE_ERROR_CODES.DUPLICATE_CODE) {
+        setError('A promo code with this code already exists.');
+      } else if (submitError.message === PROMO_CODE_ERROR_CODES.INVALID_DATA) {
+        setError('Invalid promo code. Use letters, numbers, dashes or underscores, and a discount above zero (percentages up to 100).');
+      } else {
+        setError('Failed to save promo code. Please try again.');
+      }
+    }
+  };
+
+  /**
+   * Handles deleting a promo code
+   *
+   * @param {Object} promoCode - Promo code to delete
+   */
+  const handleDelete = async (promoCode) => {
+    const message = promoCode.redemptionCount > 0
+      ? `${promoCode.code} has been redeemed ${promoCode.redemptionCount} time(s). Registrations keep their discount. Delete this promo code?`
+      : 'Are you sure you want to delete this promo code?';
+    if (!window.confirm(message)) {
+      return;
+    }
+
+    try {
+      await deletePromoCode(promoCode.id, admin?.id, admin?.email);
+      await fetchPromoCodes();
+    } catch (deleteError) {
+      console.error('Failed to delete promo code:', deleteError);
+      setError('Failed to delete promo code. Please try again.');
+    }
+  };
+
+  /**
+   * Handles toggling promo code active status
+   *
+   * @param {string} code - Promo code
+   * @param {boolean} isActive - New active status
+   */
+  const handleToggleStatus = async (code, isActive) => {
+    try {
+      await togglePromoCodeStatus(code, isActive, admin?.id, admin?.email);
+      await fetchPromoCodes();
+    } catch (toggleError) {
+      console.error('Failed to toggle promo code status:', toggleError);
+      setError('Failed to toggle promo code status. Please try again.');
+    }
+  };
+
+  /**
+   * Opens the redemption report for a promo code
+   *
+   * @param {Object} promoCode - Promo code to report on
+   */
+  const handleViewReport = async (promoCode) => {
+    setReportPromo(promoCode);
+    setReport(null);
+    setIsLoadingReport(true);
+
+    try {
+      const data = await getPromoCodeRedemptionReport(promoCode.id);
+      setReport(data);
+    } catch (reportError) {
+      console.error('Failed to load redemption report:', reportError);
+      setError('Failed to load redemption report. Please try again.');
+      setReportPromo(null);
+    } finally {
+      setIsLoadingReport(false);
+    }
+  };
+
+  return (
+    <AdminLayout>
+      {/* Page Header */}
+      <div className={styles.header}>
+        <div>
+          <h2 className={styles.title}>Promo Codes</h2>
+          <p className={styles.subtitle}>
+            Manage discount codes registrants can apply at registration
+          </p>
+        </div>
+        <div className={styles.headerActions}>
+          <button
+            className={styles.refreshButton}
+            onClick={fetchPromoCodes}
+            disabled={isLoading}
+          >
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <polyline points="23 4 23 10 17 10" />
+              <polyline points="1 20 1 14 7 14" />
+              <path d="M3.51 9a9 9 0 0 1 14.85-3.36L23 10M1 14l4.64 4.36A9 9 0 0 0 20.49 15" />
+            </svg>
+            {isLoading ? 'Loading...' : 'Refresh'}
+          </button>
+          <button className={styles.createButton} onClick={handleCreateNew}>
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <line x1="12" y1="5" x2="12" y2="19" />
+              <line x1="5" y1="12" x2="19" y2="12" />
+            </svg>
+            Add Promo Code
+          </button>
+        </div>
+      </div>
+
+      {/* Error Banner */}
+      {error && (
+        <div className={styles.errorBanner} role="alert">
+          {error}
+          <button onClick={() => setError(null)} aria-label="Dismiss error">
+            &times;
+          </button>
+        </div>
+      )}
+
+      {/* Promo Codes Table */}
+      <div className={styles.content}>
+        {isLoading ? (
+          <div className={styles.loading}>Loading promo codes...</div>
+        ) : promoCodes.length === 0 ? (
+          <div className={styles.emptyState}>
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path d="M20.59 13.41l-7.17 7.17a2 2 0 0 1-2.83 0L2 12V2h10l8.59 8.59a2 2 0 0 1 0 2.82z" />
+              <line x1="7" y1="7" x2="7.01" y2="7" />
+            </svg>
+            <h3>No Promo Codes</h3>
+            <p>Add a promo code to offer discounts to partner churches.</p>
+            <button className={styles.createButton} onClick={handleCreateNew}>
+              Add Promo Code
+            </button>
+          </div>
+        ) : (
+          <div className={styles.tableWrapper}>
+            <table className={styles.table}>
+              <thead>
+                <tr>
+                  <th>Code</th>
+                  <th>Discount</th>
+                  <th>Categories</th>
+                  <th>Redemptions</th>
+                  <th>Expires</th>
+                  <th>Status</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {promoCodes.map((promoCode) => (
+                  <tr key={promoCode.id}>
+                    <td>
+                      <span className={styles.code}>{promoCode.code}</span>
+                      {promoCode.description && (
+                        <span className={styles.description}>{promoCode.description}</span>
+                      )}
+                    </td>
+                    <td>{formatDiscount(promoCode)}</td>
+                    <td>
+                      {promoCode.allowedCategories?.length > 0
+                        ? promoCode.allowedCategories.map(getTierName).join(', ')
+                        : 'All'}
+                    </td>
+                    <td>
+                      {promoCode.redemptionCount || 0}
+                      {promoCode.maxRedemptions ? ` / ${promoCode.maxRedemptions}` : ''}
+                    </td>
+                    <td>{promoCode.expiresAt || '-'}</td>
+                    <td>
+                      <button
+                        className={`${styles.statusBadge} ${promoCode.isActive ? styles.statusActive : styles.statusInactive}`}
+                        onClick={() => handleToggleStatus(promoCode.id, !promoCode.isActive)}
+                      >
+                        {promoCode.isActive ? 'Active' : 'Inactive'}
+                      </button>
+                    </td>
+                    <td>
+                      <div className={styles.actions}>
+                        <button
+                          className={styles.editButton}
+                          onClick={() => handleViewReport(promoCode)}
+                          title="Redemption report"
+                        >
+                          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <line x1="18" y1="20" x2="18" y2="10" />
+                            <line x1="12" y1="20" x2="12" y2="4" />
+                            <line x1="6" y1="20" x2="6" y2="14" />
+                          </svg>
+                        </button>
+                        <button
+                          className={styles.editButton}
+                          onClick={() => handleEdit(promoCode)}
+                          title="Edit"
+                        >
+                          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7" />
+                            <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z" />
+                          </svg>
+                        </button>
+                        <button
+                          className={styles.deleteButton}
+                          onClick={() => handleDelete(promoCode)}
+                          title="Delete"
+                        >
+                          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <polyline points="3 6 5 6 21 6" />
+                            <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2" />
+                          </svg>
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Create/Edit Modal */}
+      {isModalOpen && (
+        <div className={styles.modalOverlay} onClick={() => setIsModalOpen(false)}>
+          <div className={styles.modal} onClick={(e) => e.stopPropagation()}>
+            <div className={styles.modalHeader}>
+              <h3>{editingPromo ? 'Edit Promo Code' : 'Add Promo Code'}</h3>
+              <button
+                className={styles.modalClose}
+                onClick={() => setIsModalOpen(false)}
+                aria-label="Close modal"
+              >
+                &times;
+              </button>
+            </div>
+            <form onSubmit={handleSubmit} className={styles.form}>
+              <div className={styles.formGroup}>
+                <label htmlFor="code">Code *</label>
+                <input
+                  type="text"
+                  id="code"
+                  value={formData.code}
+                  onChange={(e) => setFormData({ ...formData, code: e.target.value.toUpperCase() })}
+                  required
+                  disabled={Boolean(editingPromo)}
+                  placeholder="e.g., GCFPARTNER20"
+                />
+                {editingPromo && (
+                  <p className={styles.hint}>Codes cannot be renamed once created.</p>
+                )}
+              </div>
+
+              <div className={styles.formGroup}>
+                <label htmlFor="description">Description</label>
+                <input
+                  type="text"
+                  id="description"
+                  value={formData.description}
+                  onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                  placeholder="e.g., Partner church discount"
+                />
+              </div>
+
+              <div className={styles.formRow}>
+                <div className={styles.formGroup}>
+                  <label htmlFor="discountType">Discount Type *</label>
+                  <select
+                    id="discountType"
+                    value={formData.discountType}
+                    onChange={(e) => setFormData({ ...formData, discountType: e.target.value })}
+                    required
+                  >
+                    {Object.entries(PROMO_DISCOUNT_TYPE_LABELS).map(([key, label]) => (
+                      <option key={key} value={key}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className={styles.formGroup}>
+                  <label htmlFor="discountValue">
+                    {formData.discountType === PROMO_DISCOUNT_TYPES.PERCENTAGE ? 'Percent Off *' : 'Amount Off (₱) *'}
+                  </label>
+                  <input
+                    type="number"
+                    id="discountValue"
+                    value={formData.discountValue}
+                    onChange={(e) => setFormData({ ...formData, discountValue: e.target.value })}
+                    required
+                    min="1"
+                    max={formData.discountType === PROMO_DISCOUNT_TYPES.PERCENTAGE ? '100' : undefined}
+                  />
+                </div>
+              </div>
+
+              <div className={styles.formRow}>
+                <div className={styles.formGroup}>
+                  <label htmlFor="maxRedemptions">Usage Cap</label>
+                  <input
+                    type="number"
+                    id="maxRedemptions"
+                    value={formData.maxRedemptions}
+                    onChange={(e) => setFormData({ ...formData, maxRedemptions: e.target.value })}
+                    min="1"
+                    placeholder="Unlimited"
+                  />
+                </div>
+
+                <div className={styles.formGroup}>
+                  <label htmlFor="expiresAt">Valid Until</label>
+                  <input
+                    type="date"
+                    id="expiresAt"
+                    value={formData.expiresAt}
+                    onChange={(e) => setFormData({ ...formData, expiresAt: e.target.value })}
+                  />
+                </div>
+              </div>
+
+              <div className={styles.formGroup}>
+                <label>Applies To</label>
+                <p className={styles.hint}>Leave all unchecked to apply to every category.</p>
+                <div className={styles.categoryList}>
+                  {pricingTiers.map((tier) => (
+                    <label key={tier.id} className={styles.checkboxLabel}>
+                      <input
+                        type="checkbox"
+                        checked={formData.allowedCategories.includes(tier.id)}
+                        onChange={() => handleToggleCategory(tier.id)}
+                      />
+                      {tier.name || tier.id}
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              <div className={styles.formGroup}>
+                <label className={styles.checkboxLabel}>
+                  <input
+                    type="checkbox"
+                    checked={formData.isActive}
+                    onChange={(e) => setFormData({ ...formData, isActive: e.target.checked })}
+                  />
+                  Active (can be applied during registration)
+                </label>
+              </div>
+
+              <div className={styles.modalActions}>
+                <button
+                  type="button"
+                  className={styles.cancelButton}
+                  onClick={() => setIsModalOpen(false)}
+                >
+                  Cancel
+                </button>
+                <button type="submit" className={styles.saveButton}>
+                  {editingPromo ? 'Update' : 'Create'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Redemption Report Modal */}
+      {reportPromo && (
+        <div className={styles.modalOverlay} onClick={() => setReportPromo(null)}>
+          <div className={`${styles.modal} ${styles.modalWide}`} onClick={(e) => e.stopPropagation()}>
+            <div className={styles.modalHeader}>
+              <h3>Redemptions: {reportPromo.code}</h3>
+              <button
+                className={styles.modalClose}
+                onClick={() => setReportPromo(null)}
+                aria-label="Close modal"
+              >
+                &times;
+              </button>
+            </div>
+            <div className={styles.form}>
+              {isLoadingReport || !report ? (
+                <div className={styles.loading}>Loading redemption report...</div>
+              ) : (
+                <>
+                  <div className={styles.reportSummary}>
+                    <div className={styles.reportStat}>
+                      <span>Redemptions</span>
+                      <strong>{report.summary.redemptions}</strong>
+                    </div>
+                    <div className={styles.reportStat}>
+                      <span>Attendees</span>
+                      <strong>{report.summary.attendees}</strong>
+                    </div>
+                    <div className={styles.reportStat}>
+                      <span>Discount Given</span>
+                      <strong>{formatPrice(report.summary.totalDiscount)}</strong>
+                    </div>
+                    <div className={styles.reportStat}>
+                      <span>Net Revenue</span>
+                      <strong>{formatPrice(report.summary.totalRevenue)}</strong>
+                    </div>
+                  </div>
+
+                  {report.summary.cancelled > 0 && (
+                    <p className={styles.hint}>
+                      {report.summary.cancelled} cancelled registration(s) are excluded from the totals.
+                    </p>
+                  )}
+
+                  {report.registrations.length === 0 ? (
+                    <p className={styles.hint}>This code has not been used yet.</p>
+                  ) : (
+                    <div className={styles.tableWrapper}>
+                      <table className={styles.table}>
+                        <thead>
+                          <tr>
+                            <th>Registration</th>
+                            <th>Name</th>
+                            <th>Church</th>
+                            <th>Status</th>
+                            <th>Discount</th>
+                            <th>Total</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {report.registrations.map((reg) => (
+                            <tr key={reg.id}>
+                              <td className={styles.code}>{reg.registrationId || reg.id}</td>
+                              <td>
+                                {reg.primaryAttendee?.firstName} {reg.primaryAttendee?.lastName}
+                              </td>
+                              <td>{reg.church?.name || '-'}</td>
+                              <td>{REGISTRATION_STATUS_LABELS[reg.status] || reg.status}</td>
+                              <td>{formatPrice(reg.discountAmount || 0)}</td>
+                              <td>{formatPrice(reg.totalAmount || 0)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </AdminLayout>
+  );
+}
+
+export default AdminPromoCodesPage;
@@ -0,0 +1,224 @@
+/**
+ * AdminRefundsPage Component
+ * Refund queue for finance admins: requests awaiting a second admin's
+ * approval, approved refunds awaiting payout, and completed payouts.
+ *
+ * @module pages/admin/AdminRefundsPage
+ */
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { AdminLayout, RefundDetailModal } from '../../components/admin';
+import { getRefunds } from '../../services';
+import { REFUND_STATUS, REFUND_STATUS_LABELS } from '../../constants';
+import { formatPrice } from '../../utils';
+import styles from './AdminRefundsPage.module.css';
+
+/**
+ * Status filter tabs, in workflow order
+ */
+const STATUS_TABS = [
+  REFUND_STATUS.REQUESTED,
+  REFUND_STATUS.APPROVED,
+  REFUND_STATUS.COMPLETED,
+  REFUND_STATUS.REJECTED,
+];
+
+/**
+ * Status badge CSS class mapping
+ */
+const STATUS_CLASSES = {
+  [REFUND_STATUS.REQUESTED]: 'statusRequested',
+  [REFUND_STATUS.APPROVED]: 'statusApproved',
+  [REFUND_STATUS.COMPLETED]: 'statusCompleted',
+  [REFUND_STATUS.REJECTED]: 'statusRejected',
+};
+
+/**
+ * Formats a date for display
+ *
+ * @param {Object|string|Date} date - Date to format
+ * @returns {string} Formatted date string
+ */
+function formatDate(date) {
+  if (!date) {
+    return '—';
+  }
+
+  const d = date?.toDate?.() || (date instanceof Date ? date : new Date(date));
+  if (Number.isNaN(d.getTime())) {
+    return '—';
+  }
+
+  return d.toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+  });
+}
+
+/**
+ * AdminRefundsPage Component
+ *
+ * @returns {JSX.Element} The admin refunds page
+ */
+function AdminRefundsPage() {
+  const [refunds, setRefunds] = useState([]);
+  const [statusFilter, setStatusFilter] = useState(REFUND_STATUS.REQUESTED);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selectedRegistration, setSelectedRegistration] = useState(null);
+
+  /**
+   * Fetches all refund records
+   */
+  const fetchRefunds = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      setRefunds(await getRefunds());
+    } catch (fetchError) {
+      console.error('Failed to fetch refunds:', fetchError);
+      setError('Failed to load refunds. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRefunds();
+  }, [fetchRefunds]);
+
+  /**
+   * Counts and totals per refund status
+   */
+  const summary = useMemo(() => {
+    const totals = Object.fromEntries(STATUS_TABS.map((status) => [status, { count: 0, amount: 0 }]));
+    refunds.forEach((registration) => {
+      const entry = totals[registration.refund?.status];
+      if (entry) {
+        entry.count += 1;
+        entry.amount += registration.refund.amount || 0;
+      }
+    });
+    return totals;
+  }, [refunds]);
+
+  const filteredRefunds = refunds.filter((registration) => registration.refund?.status === statusFilter);
+
+  return (
+    <AdminLayout>
+      <div className={styles.container}>
+        <div className={styles.header}>
+          <h1>Refunds</h1>
+          <p className={styles.subtitle}>
+            Refunds are requested from a registration, approved by a second admin, then paid out
+          </p>
+        </div>
+
+        {/* Status Tabs */}
+        <div className={styles.statsGrid}>
+          {STATUS_TABS.map((status) => (
+            <button
+              key={status}
+              type="button"
+              className={`${styles.statCard} ${styles[STATUS_CLASSES[status]]} ${
+                statusFilter === status ? styles.statCardActive : ''
+              }`}
+              onClick={() => setStatusFilter(status)}
+              aria-pressed={statusFilter === status}
+            >
+              <span className={styles.statValue}>{summary[status].count}</span>
+              <span className={styles.statLabel}>{REFUND_STATUS_LABELS[status]}</span>
+              <span className={styles.statAmount}>{formatPrice(summary[status].amount)}</span>
+            </button>
+          ))}
+        </div>
+
+        {error && (
+          <div className={styles.errorMessage}>
+            <p>{error}</p>
+          </div>
+        )}
+
+        {isLoading ? (
+          <div className={styles.loading}>
+            <div className={styles.spinner} />
+            <p>Loading refunds...</p>
+          </div>
+        ) : filteredRefunds.length === 0 ? (
+          <div className={styles.emptyState}>
+            <p>No {REFUND_STATUS_LABELS[statusFilter].toLowerCase()} refunds.</p>
+          </div>
+        ) : (
+          <div className={styles.tableContainer}>
+            <table className={styles.table}>
+              <thead>
+                <tr>
+                  <th>Reg ID</th>
+                  <th>Attendee</th>
+                  <th>Paid</th>
+                  <th>Refund</th>
+                  <th>Requested</th>
+                  <th>Status</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {filteredRefunds.map((registration) => {
+                  const { refund } = registration;
+                  return (
+                    <tr key={registration.id}>
+                      <td className={styles.regId}>{registration.registrationId}</td>
+                      <td>
+                        {registration.primaryAttendee?.firstName} {registration.primaryAttendee?.lastName}
+                      </td>
+                      <td>{formatPrice(registration.payment?.amountPaid || 0)}</td>
+                      <td>
+                        <div className={styles.amount}>{formatPrice(refund.amount || 0)}</div>
+                        {refund.overrideReason && (
+                          <div className={styles.meta}>Policy override</div>
+                        )}
+                      </td>
+                      <td>
+                        <div>{formatDate(refund.requestedAt)}</div>
+                        <div className={styles.meta}>{refund.requestedByEmail}</div>
+                      </td>
+                      <td>
+                        <span className={`${styles.statusBadge} ${styles[STATUS_CLASSES[refund.status]]}`}>
+                          {REFUND_STATUS_LABELS[refund.status]}
+                        </span>
+                      </td>
+                      <td>
+                        <button
+                          type="button"
+                          className={styles.viewButton}
+                          onClick={() => setSelectedRegistration(registration)}
+                        >
+                          {refund.status === REFUND_STATUS.REQUESTED && 'Review'}
+                          {refund.status === REFUND_STATUS.APPROVED && 'Record Payout'}
+                          {[REFUND_STATUS.COMPLETED, REFUND_STATUS.REJECTED].includes(refund.status) && 'View'}
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {selectedRegistration && (
+          <RefundDetailModal
+            isOpen={Boolean(selectedRegistration)}
+            onClose={() => setSelectedRegistration(null)}
+            registration={selectedRegistration}
+            onRefundUpdated={fetchRefunds}
+          />
+        )}
+      </div>
+    </AdminLayout>
+  );
+}
+
+export default AdminRefundsPage;
@@ -0,0 +1,256 @@
+/**
+ * AdminRegistrationDraftsPage Component
+ * Lists registrations that were started but not submitted, so admins can
+ * follow up with registrants who stopped part-way through.
+ *
+ * @module pages/admin/AdminRegistrationDraftsPage
+ */
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { AdminLayout } from '../../components/admin';
+import { useAdminAuth } from '../../context';
+import {
+  getAllRegistrationDrafts,
+  deleteRegistrationDraft,
+  isDraftAbandoned,
+  DRAFT_ABANDONED_HOURS,
+} from '../../services';
+import { REGISTRATION_STEP_LABELS, ADMIN_ROLES } from '../../constants';
+import styles from './AdminRegistrationDraftsPage.module.css';
+
+/**
+ * Draft filters
+ */
+const FILTERS = {
+  ABANDONED: 'abandoned',
+  ALL: 'all',
+};
+
+/**
+ * Formats a date and time for display
+ *
+ * @param {Date|string} date - Date to format
+ * @returns {string} Formatted date, or a dash when missing
+ */
+function formatDateTime(date) {
+  if (!date) return '—';
+  const d = new Date(date);
+  if (Number.isNaN(d.getTime())) return '—';
+
+  return d.toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+}
+
+/**
+ * AdminRegistrationDraftsPage Component
+ *
+ * @returns {JSX.Element} The admin registration drafts page
+ */
+function AdminRegistrationDraftsPage() {
+  const { admin, hasRole } = useAdminAuth();
+  const [drafts, setDrafts] = useState([]);
+  const [filter, setFilter] = useState(FILTERS.ABANDONED);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const canDelete = hasRole([ADMIN_ROLES.SUPERADMIN, ADMIN_ROLES.ADMIN]);
+
+  /**
+   * Fetches all saved drafts
+   */
+  const fetchDrafts = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      setDrafts(await getAllRegistrationDrafts());
+    } catch (fetchError) {
+      console.error('Failed to fetch registration drafts:', fetchError);
+      setError('Failed to load registration drafts. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  /**
+   * Fetch drafts on mount
+   */
+  useEffect(() => {
+    fetchDrafts();
+  }, [fetchDrafts]);
+
+  const abandonedDrafts = useMemo(
+    () => drafts.filter((draft) => isDraftAbandoned(draft)),
+    [drafts]
+  );
+  const visibleDrafts = filter === FILTERS.ABANDONED ? abandonedDrafts : drafts;
+  const pendingAttendeeCount = drafts.reduce((sum, draft) => sum + (draft.attendeeCount || 1), 0);
+
+  /**
+   * Deletes a draft after confirmation
+   *
+   * @param {Object} draft - Draft to delete
+   */
+  const handleDelete = useCallback(async (draft) => {
+    if (!window.confirm(`Delete the saved registration for ${draft.email}? The registrant will not be able to resume it.`)) {
+      return;
+    }
+
+    try {
+      await deleteRegistrationDraft(draft, admin?.id, admin?.email);
+      setDrafts((prev) => prev.filter((item) => item.id !== draft.id));
+    } catch (deleteError) {
+      console.error('Failed to delete registration draft:', deleteError);
+      setError('Failed to delete the draft. Please try again.');
+    }
+  }, [admin]);
+
+  return (
+    <AdminLayout>
+      {/* Page Header */}
+      <div className={styles.header}>
+        <div>
+          <h2 className={styles.title}>Abandoned Drafts</h2>
+          <p className={styles.subtitle}>
+            Registrations saved part-way through. Drafts with no changes for {DRAFT_ABANDONED_HOURS} hours
+            are shown as abandoned, and expired drafts are deleted automatically.
+          </p>
+        </div>
+        <div className={styles.headerActions}>
+          <div className={styles.viewToggle} role="tablist" aria-label="Draft filter">
+            <button
+              type="button"
+              role="tab"
+              aria-selected={filter === FILTERS.ABANDONED}
+              className={`${styles.viewButton} ${filter === FILTERS.ABANDONED ? styles.viewButtonActive : ''}`}
+              onClick={() => setFilter(FILTERS.ABANDONED)}
+            >
+              Abandoned
+            </button>
+            <button
+              type="button"
+              role="tab"
+              aria-selected={filter === FILTERS.ALL}
+              className={`${styles.viewButton} ${filter === FILTERS.ALL ? styles.viewButtonActive : ''}`}
+              onClick={() => setFilter(FILTERS.ALL)}
+            >
+              All Drafts
+            </button>
+          </div>
+          <button
+            className={styles.refreshButton}
+            onClick={fetchDrafts}
+            disabled={isLoading}
+          >
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <polyline points="23 4 23 10 17 10" />
+              <polyline points="1 20 1 14 7 14" />
+              <path d="M3.51 9a9 9 0 0 1 14.85-3.36L23 10M1 14l4.64 4.36A9 9 0 0 0 20.49 15" />
+            </svg>
+            {isLoading ? 'Loading...' : 'Refresh'}
+          </button>
+        </div>
+      </div>
+
+      {/* Error Banner */}
+      {error && (
+        <div className={styles.errorBanner} role="alert">
+          {error}
+          <button onClick={() => setError(null)} aria-label="Dismiss error">
+            &times;
+          </button>
+        </div>
+      )}
+
+      {/* Stats */}
+      <div className={styles.statsGrid}>
+        <div className={styles.statCard}>
+          <div className={styles.statValue}>{drafts.length}</div>
+          <div className={styles.statLabel}>Saved Drafts</div>
+        </div>
+        <div className={styles.statCard}>
+          <div className={styles.statValue}>{abandonedDrafts.length}</div>
+          <div className={styles.statLabel}>Abandoned</div>
+        </div>
+        <div className={styles.statCard}>
+          <div className={styles.statValue}>{pendingAttendeeCount}</div>
+          <div className={styles.statLabel}>Attendees in Drafts</div>
+        </div>
+      </div>
+
+      {isLoading ? (
+        <div className={styles.loading}>Loading drafts...</div>
+      ) : (
+        <div className={styles.tableWrapper}>
+          <table className={styles.table}>
+            <thead>
+              <tr>
+                <th scope="col">Registrant</th>
+                <th scope="col">Church</th>
+                <th scope="col" className={styles.numeric}>Attendees</th>
+                <th scope="col">Step</th>
+                <th scope="col">Last Saved</th>
+                <th scope="col">Expires</th>
+                <th scope="col" aria-label="Actions" />
+              </tr>
+            </thead>
+            <tbody>
+              {visibleDrafts.map((draft) => (
+                <tr key={draft.id}>
+                  <td className={styles.primaryCell}>
+                    {draft.primaryName || '(no name yet)'}
+                    <span className={styles.meta}>{draft.email}</span>
+                    {draft.cellphone && <span className={styles.meta}>{draft.cellphone}</span>}
+                  </td>
+                  <td>{draft.churchName || '—'}</td>
+                  <td className={styles.numeric}>{draft.attendeeCount || 1}</td>
+                  <td>{REGISTRATION_STEP_LABELS[draft.step] || '—'}</td>
+                  <td>
+                    {formatDateTime(draft.updatedAt)}
+                    {draft.resumeEmailSentAt && (
+                      <span className={styles.meta}>
+                        Resume link sent {formatDateTime(draft.resumeEmailSentAt)}
+                      </span>
+                    )}
+                  </td>
+                  <td>{formatDateTime(draft.expiresAt)}</td>
+                  <td className={styles.actionCell}>
+                    <a className={styles.emailButton} href={`mailto:${draft.email}`}>
+                      Email
+                    </a>
+                    {canDelete && (
+                      <button
+                        type="button"
+                        className={styles.deleteButton}
+                        onClick={() => handleDelete(draft)}
+                      >
+                        Delete
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+
+              {visibleDrafts.length === 0 && (
+                <tr>
+                  <td colSpan={7} className={styles.emptyState}>
+                    {filter === FILTERS.ABANDONED
+                      ? 'No abandoned drafts.'
+                      : 'No saved drafts.'}
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </AdminLayout>
+  );
+}
+
+export default AdminRegistrationDraftsPage;
@@ -11,6 +11,7 @@ import {
   AdminLayout,
   RegistrationsTable,
   RegistrationDetailModal,
+  BadgePrintModal,
 } from '../../components/admin';
 import {
   getRegistrations,
@@ -50,6 +51,7 @@ function AdminRegistrationsPage() {
   const [error, setError] = useState(null);
   const [searchQuery, setSearchQuery] = useState('');
   const [statusFilter, setStatusFilter] = useState('all');
+  const [emailFilter, setEmailFilter] = useState('all');
   const [selectedRegistration, setSelectedRegistration] = useState(null);
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [isUpdating, setIsUpdating] = useState(false);
@@ -60,6 +62,7 @@ function AdminRegistrationsPage() {
   const [isSearchMode, setIsSearchMode] = useState(false);
   const [showWorkshopExportMenu, setShowWorkshopExportMenu] = useState(false);
   const [showExportMenu, setShowExportMenu] = useState(false);
+  const [isBadgeModalOpen, setIsBadgeModalOpen] = useState(false);
   const [statusCounts, setStatusCounts] = useState({
     total: 0,
     confirmed: 0,
@@ -140,6 +143,7 @@ function AdminRegistrationsPage() {
         pageSize: PAGE_SIZE,
         lastDoc: loadMore ? lastDoc : null,
         status: statusFilter,
+        emailBounced: emailFilter === 'bounced',
       });
 
       if (loadMore) {
@@ -153,7 +157,10 @@ function AdminRegistrationsPage() {
 
       // Fetch total count for stats (only on initial load or filter change)
       if (!loadMore) {
-        const countResult = await getRegistrationsCount({ status: statusFilter });
+        const countResult = await getRegistrationsCount({
+          status: statusFilter,
+          emailBounced: emailFilter === 'bounced',
+        });
         setTotalCount(countResult.filtered);
         // Also fetch status counts for accurate stats display
         fetchStatusCounts();
@@ -165,7 +172,7 @@ function AdminRegistrationsPage() {
       setIsLoading(false);
       setIsLoadingMore(false);
     }
-  }, [lastDoc, statusFilter, fetchStatusCounts]);
+  }, [lastDoc, statusFilter, emailFilter, fetchStatusCounts]);
 
   /**
    * Handles loading more registrations
@@ -177,14 +184,14 @@ function AdminRegistrationsPage() {
   }, [fetchRegistrations, isLoadingMore, hasMore]);
 
   /**
-   * Fetch registrations on mount and when status filter changes
+   * Fetch registrations on mount and when a filter changes
    */
   useEffect(() => {
     if (!isSearchMode) {
       fetchRegistrations(false);
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [statusFilter]);
+  }, [statusFilter, emailFilter]);
 
   /**
    * Handles server-side search with debounce
@@ -211,7 +218,10 @@ function AdminRegistrationsPage() {
       setError(null);
 
       try {
-        const results = await searchRegistrations(trimmedQuery, { status: statusFilter });
+        const results = await searchRegistrations(trimmedQuery, {
+          status: statusFilter,
+          emailBounced: emailFilter === 'bounced',
+        });
         setSearchResults(results);
       } catch (searchError) {
         console.error('Search failed:', searchError);
@@ -223,7 +233,7 @@ function AdminRegistrationsPage() {
     }, 300);
 
     return () => clearTimeout(debounceTimer);
-  }, [searchQuery, statusFilter]);
+  }, [searchQuery, statusFilter, emailFilter]);
 
   /**
    * Handles viewing registration details
@@ -584,6 +594,18 @@ function AdminRegistrationsPage() {
               </div>
             )}
           </div>
+          <button
+            className={styles.workshopExportButton}
+            onClick={() => setIsBadgeModalOpen(true)}
+            disabled={isLoading}
+          >
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <rect x="4" y="3" width="16" height="18" rx="2" ry="2" />
+              <circle cx="12" cy="10" r="3" />
+              <path d="M8 17c0-2 2-3 4-3s4 1 4 3" />
+            </svg>
+            Print Badges
+          </button>
           <button
             className={styles.refreshButton}
             onClick={fetchRegistrations}
@@ -708,6 +730,19 @@ function AdminRegistrationsPage() {
             <option value={REGISTRATION_STATUS.REFUNDED}>Refunded</option>
           </select>
         </div>
+
+        {/* Email Delivery Filter */}
+        <div className={styles.filterWrapper}>
+          <select
+            className={styles.statusFilter}
+            value={emailFilter}
+            onChange={(e) => setEmailFilter(e.target.value)}
+            aria-label="Filter by email delivery"
+          >
+            <option value="all">All Emails</option>
+            <option value="bounced">Bounced Emails</option>
+          </select>
+        </div>
       </div>
 
       {/* Results Count */}
@@ -750,13 +785,22 @@ function AdminRegistrationsPage() {
         onRefresh={() => {
           fetchRegistrations(false);
           if (isSearchMode && searchQuery.trim()) {
-            searchRegistrations(searchQuery.trim(), { status: statusFilter })
+            searchRegistrations(searchQuery.trim(), {
+              status: statusFilter,
+              emailBounced: emailFilter === 'bounced',
+            })
               .then(setSearchResults)
               .catch(console.error);
           }
         }}
         isUpdating={isUpdating}
       />
+
+      {/* Badge Print Modal */}
+      <BadgePrintModal
+        isOpen={isBadgeModalOpen}
+        onClose={() => setIsBadgeModalOpen(false)}
+      />
     </AdminLayout>
   );
 }
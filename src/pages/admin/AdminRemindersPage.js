@@ -0,0 +1,235 @@
+/**
+ * AdminRemindersPage Component
+ * Configures the automated payment, pre-event and waitlist offer reminders
+ * and shows the log of reminders the scheduler has sent.
+ *
+ * @module pages/admin/AdminRemindersPage
+ */
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { AdminLayout, ReminderSettingsForm } from '../../components/admin';
+import { useAdminAuth } from '../../context';
+import {
+  getConferenceSettings,
+  updateConferenceSettings,
+  getReminderLogs,
+  formatReminderOffset,
+} from '../../services';
+import {
+  REMINDER_TYPE_LABELS,
+  REMINDER_LOG_STATUS_LABELS,
+} from '../../constants';
+import styles from './AdminRemindersPage.module.css';
+
+/**
+ * Formats a log entry date
+ *
+ * @param {Date|null} value - Date value
+ * @returns {string} Formatted date or a dash
+ */
+function formatDate(value) {
+  if (!value) return '—';
+  return new Date(value).toLocaleString('en-PH', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+/**
+ * Describes when a reminder was due from its key (e.g., payment_72h)
+ *
+ * @param {string} reminderKey - Reminder key
+ * @returns {string} Offset description (e.g., "3 days before"), or an empty string
+ */
+function describeReminderKey(reminderKey) {
+  const match = /_(\d+)h$/.exec(reminderKey || '');
+  return match ? `${formatReminderOffset(Number(match[1]))} before` : '';
+}
+
+/**
+ * AdminRemindersPage Component
+ *
+ * @returns {JSX.Element} The admin reminders page
+ */
+function AdminRemindersPage() {
+  const { admin } = useAdminAuth();
+  const [settings, setSettings] = useState(null);
+  const [logs, setLogs] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isLoadingLogs, setIsLoadingLogs] = useState(true);
+  const [typeFilter, setTypeFilter] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [error, setError] = useState(null);
+
+  /**
+   * Fetches the reminder log
+   */
+  const fetchLogs = useCallback(async () => {
+    setIsLoadingLogs(true);
+    try {
+      setLogs(await getReminderLogs());
+    } catch (fetchError) {
+      console.error('Failed to fetch reminder log:', fetchError);
+      setError('Failed to load the reminder log. Please try again.');
+    } finally {
+      setIsLoadingLogs(false);
+    }
+  }, []);
+
+  /**
+   * Fetches settings and the reminder log on mount
+   */
+  useEffect(() => {
+    async function fetchSettings() {
+      try {
+        setSettings(await getConferenceSettings());
+      } catch (fetchError) {
+        console.error('Failed to fetch settings:', fetchError);
+        setError('Failed to load reminder settings. Please try again.');
+      } finally {
+        setIsLoading(false);
+      }
+    }
+
+    fetchSettings();
+    fetchLogs();
+  }, [fetchLogs]);
+
+  /**
+   * Saves the reminder settings
+   *
+   * @param {Object} data - Settings data to save
+   */
+  const handleSaveSettings = async (data) => {
+    const updated = await updateConferenceSettings(data, admin?.id, admin?.email);
+    setSettings((prev) => ({ ...prev, ...updated }));
+  };
+
+  /**
+   * Log entries matching the filters
+   */
+  const filteredLogs = useMemo(() => logs.filter((entry) => (
+    (!typeFilter || entry.reminderType === typeFilter) &&
+    (!statusFilter || entry.status === statusFilter)
+  )), [logs, typeFilter, statusFilter]);
+
+  return (
+    <AdminLayout>
+      {/* Page Header */}
+      <div className={styles.header}>
+        <div>
+          <h2 className={styles.title}>Reminders</h2>
+          <p className={styles.subtitle}>
+            Remind attendees to pay before their deadline, to claim a waitlist spot before the
+            offer expires, and bring their QR code before the conference.
+          </p>
+        </div>
+      </div>
+
+      {error && (
+        <div className={styles.errorBanner} role="alert">
+          {error}
+          <button onClick={() => setError(null)} aria-label="Dismiss error">
+            &times;
+          </button>
+        </div>
+      )}
+
+      <ReminderSettingsForm
+        settings={settings}
+        onSave={handleSaveSettings}
+        isLoading={isLoading}
+      />
+
+      {/* Reminder Log */}
+      <section className={styles.logSection}>
+        <div className={styles.logHeader}>
+          <h3 className={styles.sectionTitle}>Reminder Log</h3>
+          <div className={styles.filters}>
+            <select
+              value={typeFilter}
+              onChange={(e) => setTypeFilter(e.target.value)}
+              className={styles.filterSelect}
+              aria-label="Filter by reminder type"
+            >
+              <option value="">All reminders</option>
+              {Object.entries(REMINDER_TYPE_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <select
+              value={statusFilter}
+              onChange={(e) => setStatusFilter(e.target.value)}
+              className={styles.filterSelect}
+              aria-label="Filter by status"
+            >
+              <option value="">All statuses</option>
+              {Object.entries(REMINDER_LOG_STATUS_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              className={styles.secondaryButton}
+              onClick={fetchLogs}
+              disabled={isLoadingLogs}
+            >
+              Refresh
+            </button>
+          </div>
+        </div>
+
+        {isLoadingLogs ? (
+          <div className={styles.loading}>Loading reminder log...</div>
+        ) : filteredLogs.length === 0 ? (
+          <div className={styles.emptyState}>
+            {logs.length === 0 ? 'No reminders have been sent yet.' : 'No reminders match these filters.'}
+          </div>
+        ) : (
+          <div className={styles.tableWrapper}>
+            <table className={styles.table}>
+              <thead>
+                <tr>
+                  <th scope="col">Sent</th>
+                  <th scope="col">Registration</th>
+                  <th scope="col">Reminder</th>
+                  <th scope="col">Recipient</th>
+                  <th scope="col">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {filteredLogs.map((entry) => (
+                  <tr key={entry.id}>
+                    <td>{formatDate(entry.sentAt)}</td>
+                    <td className={styles.primaryCell}>
+                      {entry.registrationId}
+                      {entry.attendeeName && <span className={styles.meta}>{entry.attendeeName}</span>}
+                    </td>
+                    <td>
+                      {REMINDER_TYPE_LABELS[entry.reminderType] || entry.reminderType}
+                      <span className={styles.meta}>{describeReminderKey(entry.reminderKey)}</span>
+                    </td>
+                    <td>
+                      {entry.recipient || '—'}
+                      <span className={styles.meta}>{entry.channel === 'sms' ? 'SMS' : 'Email'}</span>
+                    </td>
+                    <td>
+                      <span className={`${styles.statusBadge} ${styles[`status_${entry.status}`] || ''}`}>
+                        {REMINDER_LOG_STATUS_LABELS[entry.status] || entry.status}
+                      </span>
+                      {entry.error && <span className={styles.meta}>{entry.error}</span>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </section>
+    </AdminLayout>
+  );
+}
+
+export default AdminRemindersPage;
@@ -0,0 +1,404 @@
+/**
+ * AdminSessionRatingsPage Component
+ * Per-session and per-speaker rating reports from checked-in attendees,
+ * with comments and a private summary email for each speaker.
+ *
+ * @module pages/admin/AdminSessionRatingsPage
+ */
+
+import { Fragment, useState, useEffect, useCallback, useMemo } from 'react';
+import { AdminLayout, SpeakerRatingSummaryModal } from '../../components/admin';
+import {
+  getAllSessionRatings,
+  summarizeSessionRatings,
+  summarizeSpeakerRatings,
+  getSpeakerContacts,
+} from '../../services';
+import { getAllSessions, getAllSpeakers } from '../../services/maintenance';
+import { SESSION_TYPE_LABELS } from '../../constants';
+import styles from './AdminSessionRatingsPage.module.css';
+
+/**
+ * Page views
+ */
+const VIEWS = {
+  SESSIONS: 'sessions',
+  SPEAKERS: 'speakers',
+};
+
+/**
+ * Renders a compact 5-to-1 star distribution
+ *
+ * @param {Array<number>} distribution - Counts for 1 to 5 stars
+ * @param {number} count - Total ratings
+ * @returns {JSX.Element} Distribution bars
+ */
+function renderDistribution(distribution, count) {
+  return (
+    <div className={styles.distribution}>
+      {[...distribution].reverse().map((value, index) => {
+        const stars = distribution.length - index;
+        return (
+          <div key={stars} className={styles.distributionRow}>
+            <span className={styles.distributionLabel}>{stars}&#9733;</span>
+            <div className={styles.distributionTrack}>
+              <div
+                className={styles.distributionFill}
+                style={{ width: count > 0 ? `${(value / count) * 100}%` : 0 }}
+              />
+            </div>
+            <span className={styles.distributionCount}>{value}</span>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+/**
+ * Renders the list of comments for a rating summary
+ *
+ * @param {Array} comments - Array of { comment, submittedAt }
+ * @returns {JSX.Element} Comment list
+ */
+function renderComments(comments) {
+  if (comments.length === 0) {
+    return <p className={styles.noComments}>No comments.</p>;
+  }
+
+  return (
+    <ul className={styles.commentList}>
+      {comments.map(({ comment, submittedAt }, index) => (
+        <li key={`${index}-${comment.slice(0, 16)}`} className={styles.comment}>
+          {comment}
+          {submittedAt && (
+            <span className={styles.commentDate}>
+              {new Date(submittedAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
+            </span>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+/**
+ * AdminSessionRatingsPage Component
+ *
+ * @returns {JSX.Element} The admin session ratings page
+ */
+function AdminSessionRatingsPage() {
+  const [view, setView] = useState(VIEWS.SESSIONS);
+  const [sessions, setSessions] = useState([]);
+  const [speakers, setSpeakers] = useState([]);
+  const [ratings, setRatings] = useState([]);
+  const [contacts, setContacts] = useState({});
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+  const [selectedSpeaker, setSelectedSpeaker] = useState(null);
+
+  /**
+   * Fetches sessions, speakers, ratings and speaker contacts
+   */
+  const fetchData = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const [fetchedSessions, fetchedSpeakers, fetchedRatings, fetchedContacts] = await Promise.all([
+        getAllSessions(),
+        getAllSpeakers(),
+        getAllSessionRatings(),
+        getSpeakerContacts(),
+      ]);
+      setSessions(fetchedSessions);
+      setSpeakers(fetchedSpeakers);
+      setRatings(fetchedRatings);
+      setContacts(fetchedContacts);
+    } catch (fetchError) {
+      console.error('Failed to fetch session ratings:', fetchError);
+      setError('Failed to load session ratings. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  /**
+   * Fetch data on mount
+   */
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  /**
+   * Sessions sorted by day and start time
+   */
+  const sessionSummaries = useMemo(
+    () => summarizeSessionRatings(sessions, ratings).sort(
+      (a, b) => (a.day || 0) - (b.day || 0) || a.startTime.localeCompare(b.startTime)
+    ),
+    [sessions, ratings]
+  );
+
+  /**
+   * Speakers with at least one session, highest average first
+   */
+  const speakerSummaries = useMemo(
+    () => summarizeSpeakerRatings(speakers, sessions, ratings)
+      .filter((summary) => summary.sessions.length > 0)
+      .sort((a, b) => (b.average ?? -1) - (a.average ?? -1) || a.name.localeCompare(b.name)),
+    [speakers, sessions, ratings]
+  );
+
+  const ratedSessionCount = sessionSummaries.filter((summary) => summary.count > 0).length;
+  const overallAverage = ratings.length > 0
+    ? Math.round((ratings.reduce((sum, rating) => sum + rating.rating, 0) / ratings.length) * 10) / 10
+    : null;
+
+  /**
+   * Toggles the detail row for a session or speaker
+   *
+   * @param {string} id - Session or speaker ID
+   */
+  const toggleExpanded = (id) => {
+    setExpandedId((prev) => (prev === id ? null : id));
+  };
+
+  /**
+   * Switches view and collapses any open detail row
+   *
+   * @param {string} nextView - View from VIEWS
+   */
+  const handleViewChange = (nextView) => {
+    setView(nextView);
+    setExpandedId(null);
+  };
+
+  /**
+   * Remembers the email a summary was sent to
+   *
+   * @param {string} speakerId - Speaker ID
+   * @param {string} email - Email address
+   */
+  const handleSummarySent = useCallback((speakerId, email) => {
+    setContacts((prev) => ({
+      ...prev,
+      [speakerId]: { ...prev[speakerId], email, lastSummarySentAt: new Date() },
+    }));
+  }, []);
+
+  return (
+    <AdminLayout>
+      {/* Page Header */}
+      <div className={styles.header}>
+        <div>
+          <h2 className={styles.title}>Session Ratings</h2>
+          <p className={styles.subtitle}>
+            Ratings from checked-in attendees for each session and speaker.
+          </p>
+        </div>
+        <div className={styles.headerActions}>
+          <div className={styles.viewToggle} role="tablist" aria-label="Ratings view">
+            <button
+              type="button"
+              role="tab"
+              aria-selected={view === VIEWS.SESSIONS}
+              className={`${styles.viewButton} ${view === VIEWS.SESSIONS ? styles.viewButtonActive : ''}`}
+              onClick={() => handleViewChange(VIEWS.SESSIONS)}
+            >
+              By Session
+            </button>
+            <button
+              type="button"
+              role="tab"
+              aria-selected={view === VIEWS.SPEAKERS}
+              className={`${styles.viewButton} ${view === VIEWS.SPEAKERS ? styles.viewButtonActive : ''}`}
+              onClick={() => handleViewChange(VIEWS.SPEAKERS)}
+            >
+              By Speaker
+            </button>
+          </div>
+          <button
+            className={styles.refreshButton}
+            onClick={fetchData}
+            disabled={isLoading}
+          >
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <polyline points="23 4 23 10 17 10" />
+              <polyline points="1 20 1 14 7 14" />
+              <path d="M3.51 9a9 9 0 0 1 14.85-3.36L23 10M1 14l4.64 4.36A9 9 0 0 0 20.49 15" />
+            </svg>
+            {isLoading ? 'Loading...' : 'Refresh'}
+          </button>
+        </div>
+      </div>
+
+      {/* Error Banner */}
+      {error && (
+        <div className={styles.errorBanner} role="alert">
+          {error}
+          <button onClick={() => setError(null)} aria-label="Dismiss error">
+            &times;
+          </button>
+        </div>
+      )}
+
+      {/* Stats */}
+      <div className={styles.statsGrid}>
+        <div className={styles.statCard}>
+          <div className={styles.statValue}>{ratings.length}</div>
+          <div className={styles.statLabel}>Total Ratings</div>
+        </div>
+        <div className={styles.statCard}>
+          <div className={styles.statValue}>{overallAverage ?? '-'}</div>
+          <div className={styles.statLabel}>Average Score</div>
+        </div>
+        <div className={styles.statCard}>
+          <div className={styles.statValue}>
+            {ratedSessionCount} / {sessionSummaries.length}
+          </div>
+          <div className={styles.statLabel}>Sessions Rated</div>
+        </div>
+      </div>
+
+      {isLoading ? (
+        <div className={styles.loading}>Loading ratings...</div>
+      ) : (
+        <div className={styles.tableWrapper}>
+          <table className={styles.table}>
+            <thead>
+              {view === VIEWS.SESSIONS ? (
+                <tr>
+                  <th scope="col">Session</th>
+                  <th scope="col">Type</th>
+                  <th scope="col">Speakers</th>
+                  <th scope="col" className={styles.numeric}>Ratings</th>
+                  <th scope="col" className={styles.numeric}>Average</th>
+                  <th scope="col" className={styles.numeric}>Comments</th>
+                </tr>
+              ) : (
+                <tr>
+                  <th scope="col">Speaker</th>
+                  <th scope="col" className={styles.numeric}>Sessions</th>
+                  <th scope="col" className={styles.numeric}>Ratings</th>
+                  <th scope="col" className={styles.numeric}>Average</th>
+                  <th scope="col">Last Summary</th>
+                  <th scope="col" aria-label="Actions" />
+                </tr>
+              )}
+            </thead>
+            <tbody>
+              {view === VIEWS.SESSIONS && sessionSummaries.map((summary) => (
+                <Fragment key={summary.sessionId}>
+                  <tr
+                    className={styles.row}
+                    onClick={() => toggleExpanded(summary.sessionId)}
+                    aria-expanded={expandedId === summary.sessionId}
+                  >
+                    <td className={styles.primaryCell}>
+                      {summary.title}
+                      {summary.day && <span className={styles.meta}>Day {summary.day} · {summary.startTime}</span>}
+                    </td>
+                    <td>{SESSION_TYPE_LABELS[summary.sessionType] || summary.sessionType}</td>
+                    <td>{summary.speakerNames.join(', ') || '—'}</td>
+                    <td className={styles.numeric}>{summary.count}</td>
+                    <td className={styles.numeric}>{summary.average ?? '-'}</td>
+                    <td className={styles.numeric}>{summary.comments.length}</td>
+                  </tr>
+                  {expandedId === summary.sessionId && (
+                    <tr className={styles.detailRow}>
+                      <td colSpan={6}>
+                        <div className={styles.detail}>
+                          {renderDistribution(summary.distribution, summary.count)}
+                          {renderComments(summary.comments)}
+                        </div>
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              ))}
+
+              {view === VIEWS.SPEAKERS && speakerSummaries.map((summary) => (
+                <Fragment key={summary.speakerId}>
+                  <tr
+                    className={styles.row}
+                    onClick={() => toggleExpanded(summary.speakerId)}
+                    aria-expanded={expandedId === summary.speakerId}
+                  >
+                    <td className={styles.primaryCell}>{summary.name}</td>
+                    <td className={styles.numeric}>{summary.sessions.length}</td>
+                    <td className={styles.numeric}>{summary.count}</td>
+                    <td className={styles.numeric}>{summary.average ?? '-'}</td>
+                    <td>
+                      {contacts[summary.speakerId]?.lastSummarySentAt
+                        ? new Date(contacts[summary.speakerId].lastSummarySentAt).toLocaleDateString('en-US', {
+                          month: 'short',
+                          day: 'numeric',
+                          year: 'numeric',
+                        })
+                        : '—'}
+                    </td>
+                    <td className={styles.actionCell}>
+                      <button
+                        type="button"
+                        className={styles.refreshButton}
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          setSelectedSpeaker(summary);
+                        }}
+                        disabled={summary.count === 0}
+                      >
+                        Send Summary
+                      </button>
+                    </td>
+                  </tr>
+                  {expandedId === summary.speakerId && (
+                    <tr className={styles.detailRow}>
+                      <td colSpan={6}>
+                        <div className={styles.detail}>
+                          {renderDistribution(summary.distribution, summary.count)}
+                          <ul className={styles.speakerSessions}>
+                            {summary.sessions.map((session) => (
+                              <li key={session.sessionId}>
+                                <span className={styles.speakerSessionTitle}>{session.title}</span>
+                                <span className={styles.meta}>
+                                  {session.average ?? '-'} / 5 · {session.count} rating(s)
+                                </span>
+                                {renderComments(session.comments)}
+                              </li>
+                            ))}
+                          </ul>
+                        </div>
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              ))}
+
+              {(view === VIEWS.SESSIONS ? sessionSummaries : speakerSummaries).length === 0 && (
+                <tr>
+                  <td colSpan={6} className={styles.emptyState}>
+                    {view === VIEWS.SESSIONS
+                      ? 'No sessions to rate yet.'
+                      : 'No speakers are assigned to sessions yet.'}
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <SpeakerRatingSummaryModal
+        isOpen={Boolean(selectedSpeaker)}
+        onClose={() => setSelectedSpeaker(null)}
+        summary={selectedSpeaker}
+        contact={selectedSpeaker ? contacts[selectedSpeaker.speakerId] || null : null}
+        onSent={handleSummarySent}
+      />
+    </AdminLayout>
+  );
+}
+
+export default AdminSessionRatingsPage;
@@ -10,10 +10,13 @@ import {
   AdminLayout,
   SettingsForm,
   PricingTierManager,
+  GroupDiscountRuleManager,
   RefundPolicySettings,
   CapacitySettingsForm,
+  RegistrationQuestionsManager,
   FoodMenuManager,
   WhatToBringManager,
+  EmailTemplateManager,
 } from '../../components/admin';
 import {
   getConferenceSettings,
@@ -22,6 +25,10 @@ import {
   createPricingTier,
   updatePricingTier,
   deletePricingTier,
+  getGroupDiscountRules,
+  createGroupDiscountRule,
+  updateGroupDiscountRule,
+  deleteGroupDiscountRule,
 } from '../../services';
 import { useAdminAuth } from '../../context';
 import styles from './AdminSettingsPage.module.css';
@@ -35,6 +42,7 @@ function AdminSettingsPage() {
   const { admin } = useAdminAuth();
   const [settings, setSettings] = useState(null);
   const [pricingTiers, setPricingTiers] = useState([]);
+  const [groupDiscountRules, setGroupDiscountRules] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [activeTab, setActiveTab] = useState('general');
@@ -47,13 +55,15 @@ function AdminSettingsPage() {
     setError(null);
 
     try {
-      const [settingsData, tiersData] = await Promise.all([
+      const [settingsData, tiersData, rulesData] = await Promise.all([
         getConferenceSettings(),
         getPricingTiers(),
+        getGroupDiscountRules(),
       ]);
 
       setSettings(settingsData);
       setPricingTiers(tiersData);
+      setGroupDiscountRules(rulesData);
     } catch (fetchError) {
       console.error('Failed to fetch settings:', fetchError);
       setError('Failed to load settings. Please try again.');
@@ -112,6 +122,43 @@ function AdminSettingsPage() {
     setPricingTiers((prev) => prev.filter((tier) => tier.id !== tierId));
   };
 
+  /**
+   * Handles creating a group discount rule
+   *
+   * @param {Object} ruleData - Rule data to create
+   */
+  const handleCreateRule = async (ruleData) => {
+    const newRule = await createGroupDiscountRule(ruleData, admin?.id, admin?.email);
+    setGroupDiscountRules((prev) =>
+      [...prev, newRule].sort((a, b) => a.minAttendees - b.minAttendees)
+    );
+  };
+
+  /**
+   * Handles updating a group discount rule
+   *
+   * @param {string} ruleId - Rule ID to update
+   * @param {Object} ruleData - Updated rule data
+   */
+  const handleUpdateRule = async (ruleId, ruleData) => {
+    const updated = await updateGroupDiscountRule(ruleId, ruleData, admin?.id, admin?.email);
+    setGroupDiscountRules((prev) =>
+      prev
+        .map((rule) => (rule.id === ruleId ? { ...rule, ...updated } : rule))
+        .sort((a, b) => a.minAttendees - b.minAttendees)
+    );
+  };
+
+  /**
+   * Handles deleting a group discount rule
+   *
+   * @param {string} ruleId - Rule ID to delete
+   */
+  const handleDeleteRule = async (ruleId) => {
+    await deleteGroupDiscountRule(ruleId);
+    setGroupDiscountRules((prev) => prev.filter((rule) => rule.id !== ruleId));
+  };
+
   return (
     <AdminLayout>
       {/* Page Header */}
@@ -119,7 +166,7 @@ function AdminSettingsPage() {
         <div>
           <h2 className={styles.title}>Conference Settings</h2>
           <p className={styles.subtitle}>
-            Configure conference details, pricing tiers, and more.
+            Configure conference details, pricing tiers, email wording, and more.
           </p>
         </div>
         <button
@@ -190,6 +237,17 @@ function AdminSettingsPage() {
           </svg>
           Capacity
         </button>
+        <button
+          className={`${styles.tab} ${activeTab === 'registrationQuestions' ? styles.tabActive : ''}`}
+          onClick={() => setActiveTab('registrationQuestions')}
+        >
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <circle cx="12" cy="12" r="10" />
+            <path d="M9.09 9a3 3 0 0 1 5.83 1c0 2-3 3-3 3" />
+            <line x1="12" y1="17" x2="12.01" y2="17" />
+          </svg>
+          Registration Questions
+        </button>
         <button
           className={`${styles.tab} ${activeTab === 'foodMenu' ? styles.tabActive : ''}`}
           onClick={() => setActiveTab('foodMenu')}
@@ -213,6 +271,16 @@ function AdminSettingsPage() {
           </svg>
           What to Bring
         </button>
+        <button
+          className={`${styles.tab} ${activeTab === 'emailTemplates' ? styles.tabActive : ''}`}
+          onClick={() => setActiveTab('emailTemplates')}
+        >
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M4 4h16c1.1 0 2 .9 2 2v12c0 1.1-.9 2-2 2H4c-1.1 0-2-.9-2-2V6c0-1.1.9-2 2-2z" />
+            <polyline points="22,6 12,13 2,6" />
+          </svg>
+          Email Templates
+        </button>
       </div>
 
       {/* Tab Content */}
@@ -225,13 +293,22 @@ function AdminSettingsPage() {
           />
         )}
         {activeTab === 'pricing' && (
-          <PricingTierManager
-            tiers={pricingTiers}
-            onCreate={handleCreateTier}
-            onUpdate={handleUpdateTier}
-            onDelete={handleDeleteTier}
-            isLoading={isLoading}
-          />
+          <>
+            <PricingTierManager
+              tiers={pricingTiers}
+              onCreate={handleCreateTier}
+              onUpdate={handleUpdateTier}
+              onDelete={handleDeleteTier}
+              isLoading={isLoading}
+            />
+            <GroupDiscountRuleManager
+              rules={groupDiscountRules}
+              onCreate={handleCreateRule}
+              onUpdate={handleUpdateRule}
+              onDelete={handleDeleteRule}
+              isLoading={isLoading}
+            />
+          </>
         )}
         {activeTab === 'refundPolicy' && (
           <RefundPolicySettings
@@ -247,12 +324,22 @@ function AdminSettingsPage() {
             isLoading={isLoading}
           />
         )}
+        {activeTab === 'registrationQuestions' && (
+          <RegistrationQuestionsManager
+            settings={settings}
+            onSave={handleSaveSettings}
+            isLoading={isLoading}
+          />
+        )}
         {activeTab === 'foodMenu' && (
           <FoodMenuManager isLoading={isLoading} />
         )}
         {activeTab === 'whatToBring' && (
           <WhatToBringManager isLoading={isLoading} />
         )}
+        {activeTab === 'emailTemplates' && (
+          <EmailTemplateManager isLoading={isLoading} conferenceTitle={settings?.title} />
+        )}
       </div>
     </AdminLayout>
   );
@@ -0,0 +1,246 @@
+/**
+ * AdminSmsLogPage Component
+ * Shows every SMS sent by the Cloud Functions, with its provider and
+ * delivery status, and lets admins send a test SMS to check the provider.
+ *
+ * @module pages/admin/AdminSmsLogPage
+ */
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { AdminLayout } from '../../components/admin';
+import { useAdminAuth } from '../../context';
+import { getSmsLogs, sendTestSms } from '../../services';
+import {
+  ADMIN_ROLES,
+  SMS_MESSAGE_TYPE_LABELS,
+  SMS_LOG_STATUS_LABELS,
+  SMS_PROVIDER_LABELS,
+} from '../../constants';
+import styles from './AdminSmsLogPage.module.css';
+
+/**
+ * Formats a log entry date
+ *
+ * @param {Date|null} value - Date value
+ * @returns {string} Formatted date or a dash
+ */
+function formatDate(value) {
+  if (!value) return '—';
+  return new Date(value).toLocaleString('en-PH', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+/**
+ * AdminSmsLogPage Component
+ *
+ * @returns {JSX.Element} The admin SMS log page
+ */
+function AdminSmsLogPage() {
+  const { hasRole } = useAdminAuth();
+  const canSendTest = hasRole([ADMIN_ROLES.SUPERADMIN, ADMIN_ROLES.ADMIN]);
+  const [logs, setLogs] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [typeFilter, setTypeFilter] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [testPhone, setTestPhone] = useState('');
+  const [isSendingTest, setIsSendingTest] = useState(false);
+  const [testMessage, setTestMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  /**
+   * Fetches the SMS log
+   */
+  const fetchLogs = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      setLogs(await getSmsLogs());
+    } catch (fetchError) {
+      console.error('Failed to fetch SMS log:', fetchError);
+      setError('Failed to load the SMS log. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchLogs();
+  }, [fetchLogs]);
+
+  /**
+   * Sends a test SMS and reloads the log to show the attempt
+   *
+   * @param {Event} event - Submit event
+   */
+  const handleSendTest = async (event) => {
+    event.preventDefault();
+    setError(null);
+    setTestMessage(null);
+    setIsSendingTest(true);
+    try {
+      const provider = await sendTestSms(testPhone.trim());
+      setTestMessage(`Test SMS sent via ${SMS_PROVIDER_LABELS[provider] || provider}.`);
+    } catch (sendError) {
+      console.error('Failed to send test SMS:', sendError);
+      setError(sendError.message || 'Failed to send the test SMS.');
+    } finally {
+      setIsSendingTest(false);
+      fetchLogs();
+    }
+  };
+
+  /**
+   * Log entries matching the filters
+   */
+  const filteredLogs = useMemo(() => logs.filter((entry) => (
+    (!typeFilter || entry.messageType === typeFilter) &&
+    (!statusFilter || entry.status === statusFilter)
+  )), [logs, typeFilter, statusFilter]);
+
+  return (
+    <AdminLayout>
+      {/* Page Header */}
+      <div className={styles.header}>
+        <div>
+          <h2 className={styles.title}>SMS Log</h2>
+          <p className={styles.subtitle}>
+            Text messages sent to attendees who opted in to SMS. Choose the SMS provider under
+            Settings.
+          </p>
+        </div>
+      </div>
+
+      {error && (
+        <div className={styles.errorBanner} role="alert">
+          {error}
+          <button onClick={() => setError(null)} aria-label="Dismiss error">
+            &times;
+          </button>
+        </div>
+      )}
+
+      {/* Test SMS */}
+      {canSendTest && (
+        <form className={styles.testForm} onSubmit={handleSendTest}>
+          <label htmlFor="testPhone" className={styles.testLabel}>
+            Send a test SMS
+          </label>
+          <div className={styles.testRow}>
+            <input
+              type="tel"
+              id="testPhone"
+              value={testPhone}
+              onChange={(e) => setTestPhone(e.target.value)}
+              className={styles.testInput}
+              placeholder="09XX XXX XXXX"
+              required
+            />
+            <button
+              type="submit"
+              className={styles.primaryButton}
+              disabled={isSendingTest || !testPhone.trim()}
+            >
+              {isSendingTest ? 'Sending...' : 'Send Test'}
+            </button>
+          </div>
+          {testMessage && (
+            <p className={styles.testSuccess} role="status">{testMessage}</p>
+          )}
+        </form>
+      )}
+
+      {/* SMS Log */}
+      <section className={styles.logSection}>
+        <div className={styles.logHeader}>
+          <h3 className={styles.sectionTitle}>Messages</h3>
+          <div className={styles.filters}>
+            <select
+              value={typeFilter}
+              onChange={(e) => setTypeFilter(e.target.value)}
+              className={styles.filterSelect}
+              aria-label="Filter by message type"
+            >
+              <option value="">All messages</option>
+              {Object.entries(SMS_MESSAGE_TYPE_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <select
+              value={statusFilter}
+              onChange={(e) => setStatusFilter(e.target.value)}
+              className={styles.filterSelect}
+              aria-label="Filter by status"
+            >
+              <option value="">All statuses</option>
+              {Object.entries(SMS_LOG_STATUS_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              className={styles.secondaryButton}
+              onClick={fetchLogs}
+              disabled={isLoading}
+            >
+              Refresh
+            </button>
+          </div>
+        </div>
+
+        {isLoading ? (
+          <div className={styles.loading}>Loading SMS log...</div>
+        ) : filteredLogs.length === 0 ? (
+          <div className={styles.emptyState}>
+            {logs.length === 0 ? 'No SMS have been sent yet.' : 'No messages match these filters.'}
+          </div>
+        ) : (
+          <div className={styles.tableWrapper}>
+            <table className={styles.table}>
+              <thead>
+                <tr>
+                  <th scope="col">Sent</th>
+                  <th scope="col">Recipient</th>
+                  <th scope="col">Message</th>
+                  <th scope="col">Provider</th>
+                  <th scope="col">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {filteredLogs.map((entry) => (
+                  <tr key={entry.id}>
+                    <td>{formatDate(entry.createdAt)}</td>
+                    <td className={styles.primaryCell}>
+                      {entry.to || '—'}
+                      <span className={styles.meta}>{entry.registrationId || entry.sentBy || ''}</span>
+                    </td>
+                    <td className={styles.messageCell}>
+                      {SMS_MESSAGE_TYPE_LABELS[entry.messageType] || entry.messageType}
+                      {entry.message && <span className={styles.meta}>{entry.message}</span>}
+                    </td>
+                    <td>
+                      {SMS_PROVIDER_LABELS[entry.provider] || entry.provider}
+                      {entry.providerMessageId && (
+                        <span className={styles.meta}>{entry.providerMessageId}</span>
+                      )}
+                    </td>
+                    <td>
+                      <span className={`${styles.statusBadge} ${styles[`status_${entry.status}`] || ''}`}>
+                        {SMS_LOG_STATUS_LABELS[entry.status] || entry.status}
+                      </span>
+                      {entry.error && <span className={styles.meta}>{entry.error}</span>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </section>
+    </AdminLayout>
+  );
+}
+
+export default AdminSmsLogPage;
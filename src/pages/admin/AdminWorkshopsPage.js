@@ -1,6 +1,6 @@
 /**
  * AdminWorkshopsPage Component
- * Workshop capacity dashboard for admin users.
+ * Workshop capacity and attendance dashboard for admin users.
  *
  * @module pages/admin/AdminWorkshopsPage
  */
@@ -10,6 +10,8 @@ import { AdminLayout, WorkshopAttendeesModal } from '../../components/admin';
 import { getPublishedWorkshops } from '../../services/workshops';
 import { getVenueRooms } from '../../services/venue';
 import { getConferenceSettings } from '../../services/settings';
+import { getAllSessionAttendance } from '../../services/sessionAttendance';
+import { exportSessionAttendanceToCsv } from '../../utils';
 import styles from './AdminWorkshopsPage.module.css';
 
 /**
@@ -21,6 +23,7 @@ import styles from './AdminWorkshopsPage.module.css';
 function AdminWorkshopsPage() {
   const [workshops, setWorkshops] = useState([]);
   const [venueRooms, setVenueRooms] = useState([]);
+  const [attendanceRecords, setAttendanceRecords] = useState([]);
   const [conferenceCapacity, setConferenceCapacity] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -53,13 +56,15 @@ function AdminWorkshopsPage() {
     setError(null);
 
     try {
-      const [workshopData, roomsData, settingsData] = await Promise.all([
+      const [workshopData, roomsData, settingsData, attendanceData] = await Promise.all([
         getPublishedWorkshops(),
         getVenueRooms(),
         getConferenceSettings(),
+        getAllSessionAttendance(),
       ]);
       setWorkshops(workshopData);
       setVenueRooms(roomsData);
+      setAttendanceRecords(attendanceData);
       setConferenceCapacity(settingsData?.conferenceCapacity ?? null);
     } catch (fetchError) {
       console.error('Failed to fetch workshops:', fetchError);
@@ -137,6 +142,28 @@ function AdminWorkshopsPage() {
 
   const stats = getCapacityStats();
 
+  /**
+   * Counts attendees scanned into a workshop
+   *
+   * @param {Object} workshop - Workshop object
+   * @returns {number} Number of attendees recorded at the door
+   */
+  const getAttendedCount = (workshop) => {
+    return attendanceRecords.filter((record) => record.sessionId === workshop.id).length;
+  };
+
+  /**
+   * Exports all session attendance records to CSV
+   */
+  const handleExportAttendance = () => {
+    try {
+      exportSessionAttendanceToCsv(attendanceRecords);
+    } catch (exportError) {
+      console.error('Failed to export attendance:', exportError);
+      setError(exportError.message || 'Failed to export attendance.');
+    }
+  };
+
   /**
    * Opens the attendees modal for a workshop
    *
@@ -162,21 +189,35 @@ function AdminWorkshopsPage() {
         <div>
           <h2 className={styles.title}>Workshop Capacity Dashboard</h2>
           <p className={styles.subtitle}>
-            Monitor workshop registrations and capacity
+            Monitor workshop registrations, capacity, and attendance
           </p>
         </div>
-        <button
-          className={styles.refreshButton}
-          onClick={fetchWorkshops}
-          disabled={isLoading}
-        >
-          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-            <polyline points="23 4 23 10 17 10" />
-            <polyline points="1 20 1 14 7 14" />
-            <path d="M3.51 9a9 9 0 0 1 14.85-3.36L23 10M1 14l4.64 4.36A9 9 0 0 0 20.49 15" />
-          </svg>
-          {isLoading ? 'Refreshing...' : 'Refresh'}
-        </button>
+        <div className={styles.headerActions}>
+          <button
+            className={styles.refreshButton}
+            onClick={handleExportAttendance}
+            disabled={isLoading || attendanceRecords.length === 0}
+          >
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" />
+              <polyline points="7 10 12 15 17 10" />
+              <line x1="12" y1="15" x2="12" y2="3" />
+            </svg>
+            Export Attendance
+          </button>
+          <button
+            className={styles.refreshButton}
+            onClick={fetchWorkshops}
+            disabled={isLoading}
+          >
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <polyline points="23 4 23 10 17 10" />
+              <polyline points="1 20 1 14 7 14" />
+              <path d="M3.51 9a9 9 0 0 1 14.85-3.36L23 10M1 14l4.64 4.36A9 9 0 0 0 20.49 15" />
+            </svg>
+            {isLoading ? 'Refreshing...' : 'Refresh'}
+          </button>
+        </div>
       </div>
 
       {/* Error Banner */}
@@ -242,6 +283,7 @@ function AdminWorkshopsPage() {
                 <th>Capacity</th>
                 <th>Registered</th>
                 <th>Available</th>
+                <th>Attended</th>
                 <th>Status</th>
                 <th>Actions</th>
               </tr>
@@ -274,6 +316,9 @@ function AdminWorkshopsPage() {
                     <td className={styles.number}>
                       {remaining === Infinity ? '∞' : remaining}
                     </td>
+                    <td className={styles.number}>
+                      {getAttendedCount(workshop)}
+                    </td>
                     <td>
                       <div className={styles.statusCell}>
                         <span className={`${styles.statusBadge} ${styles[status]}`}>
@@ -22,6 +22,16 @@ export { default as AdminCheckInPage } from './AdminCheckInPage';
 export { default as AdminCheckInMonitorPage } from './AdminCheckInMonitorPage';
 export { default as AdminInquiriesPage } from './AdminInquiriesPage';
 export { default as AdminBankAccountsPage } from './AdminBankAccountsPage';
+export { default as AdminPromoCodesPage } from './AdminPromoCodesPage';
 export { default as AdminFoodMenuPage } from './AdminFoodMenuPage';
 export { default as AdminChurchesPage } from './AdminChurchesPage';
 export { default as AdminFeedbackPage } from './AdminFeedbackPage';
+export { default as AdminCertificatesPage } from './AdminCertificatesPage';
+export { default as AdminSessionRatingsPage } from './AdminSessionRatingsPage';
+export { default as AdminRegistrationDraftsPage } from './AdminRegistrationDraftsPage';
+export { default as AdminRefundsPage } from './AdminRefundsPage';
+export { default as AdminEditionsPage } from './AdminEditionsPage';
+export { default as AdminArchivesPage } from './AdminArchivesPage';
+export { default as AdminCampaignsPage } from './AdminCampaignsPage';
+export { default as AdminRemindersPage } from './AdminRemindersPage';
+export { default as AdminSmsLogPage } from './AdminSmsLogPage';
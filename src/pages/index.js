@@ -15,6 +15,7 @@ export { default as ContactPage } from './ContactPage';
 export { default as DownloadsPage } from './DownloadsPage';
 export { default as PrivacyPolicyPage } from './PrivacyPolicyPage';
 export { default as TermsOfServicePage } from './TermsOfServicePage';
-export { default as IDMC2025Page } from './IDMC2025Page';
+export { default as ArchivePage } from './ArchivePage';
+export { default as ArchiveEditionPage } from './ArchiveEditionPage';
 export { default as MaintenancePage } from './MaintenancePage';
 export { default as FeedbackPage } from './FeedbackPage';
@@ -68,6 +68,13 @@ export const ENTITY_TYPES = Object.freeze({
   FOOD_MENU: 'food-menu',
   WHAT_TO_BRING: 'what-to-bring',
   FEEDBACK: 'feedback',
+  PROMO_CODE: 'promo-code',
+  INVOICE: 'invoice',
+  REFUND: 'refund',
+  EDITION: 'edition',
+  ARCHIVE: 'archive',
+  EMAIL_CAMPAIGN: 'email-campaign',
+  EMAIL_TEMPLATE: 'email-template',
 });
 
 /**
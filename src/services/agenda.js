@@ -0,0 +1,256 @@
+/**
+ * Agenda Service
+ * Keeps an attendee's personal agenda ("My Agenda"): the sessions they have
+ * starred on the public schedule. The agenda is kept in localStorage on this
+ * device and, once the attendee verifies on the registration status page,
+ * on their registration so it follows them to other devices. Verifying also
+ * adds the workshops chosen at registration.
+ *
+ * Registrations are only readable by admins, so the synced copy is loaded
+ * and saved through the linkAgenda and syncAgenda Cloud Functions. Linking
+ * consumes an agenda verification code and gives this device a sync token.
+ *
+ * @module services/agenda
+ */
+
+import { httpsCallable } from 'firebase/functions';
+import { functions } from '../lib/firebase';
+
+/**
+ * localStorage key for this device's agenda
+ */
+const AGENDA_STORAGE_KEY = 'idmc_my_agenda';
+
+/**
+ * Empty agenda for devices that have not starred anything yet
+ */
+const EMPTY_AGENDA = {
+  sessionIds: [],
+  registrationId: null,
+  syncToken: null,
+  updatedAt: null,
+};
+
+/**
+ * Converts a Firestore timestamp, Date or ISO string to milliseconds
+ *
+ * @param {*} value - Timestamp value
+ * @returns {number} Milliseconds since epoch, or 0 when unset
+ */
+function toMillis(value) {
+  if (!value) return 0;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? 0 : time;
+}
+
+/**
+ * Reads this device's agenda
+ *
+ * @returns {Object} { sessionIds, registrationId, syncToken, updatedAt }
+ */
+export function getLocalAgenda() {
+  try {
+    const stored = localStorage.getItem(AGENDA_STORAGE_KEY);
+    return stored ? { ...EMPTY_AGENDA, ...JSON.parse(stored) } : { ...EMPTY_AGENDA };
+  } catch (error) {
+    console.error('Failed to read agenda from storage:', error);
+    return { ...EMPTY_AGENDA };
+  }
+}
+
+/**
+ * Saves the agenda on this device
+ *
+ * @param {Object} agenda - { sessionIds, registrationId, syncToken }
+ * @param {string} [updatedAt] - Update time (defaults to now)
+ * @returns {Object} Saved agenda
+ */
+function saveLocalAgenda(agenda, updatedAt = new Date().toISOString()) {
+  const saved = { ...EMPTY_AGENDA, ...agenda, updatedAt };
+  try {
+    localStorage.setItem(AGENDA_STORAGE_KEY, JSON.stringify(saved));
+  } catch (error) {
+    console.error('Failed to write agenda to storage:', error);
+  }
+  return saved;
+}
+
+/**
+ * Loads (without sessionIds) or saves the agenda of the linked registration
+ *
+ * @param {Object} agenda - Local agenda with registrationId and syncToken
+ * @param {Array<string>} [sessionIds] - Starred session IDs to save
+ * @returns {Promise<Object>} { sessionIds, updatedAt } saved on the registration
+ */
+async function syncRemoteAgenda(agenda, sessionIds) {
+  const syncAgendaFn = httpsCallable(functions, 'syncAgenda');
+  const result = await syncAgendaFn({
+    registrationId: agenda.registrationId,
+    syncToken: agenda.syncToken,
+    sessionIds,
+  });
+  return result.data;
+}
+
+/**
+ * Checks whether a failed sync means this device's link was revoked
+ *
+ * @param {Error} error - Callable error
+ * @returns {boolean} True when the device has to verify again
+ */
+function isUnlinkedError(error) {
+  return error?.code === 'functions/permission-denied';
+}
+
+/**
+ * Gets the workshop session IDs chosen by every attendee on a registration
+ *
+ * @param {Object} registration - Registration document
+ * @returns {Array<string>} Workshop session IDs
+ */
+export function getRegisteredWorkshopIds(registration) {
+  const attendees = [registration?.primaryAttendee, ...(registration?.additionalAttendees || [])];
+  return attendees
+    .flatMap((attendee) => attendee?.workshopSelections || [])
+    .map((selection) => selection.sessionId)
+    .filter(Boolean);
+}
+
+/**
+ * Loads the agenda for the schedule page. When this device is linked to a
+ * registration, a newer agenda saved from another device replaces the local one.
+ *
+ * @returns {Promise<Object>} { sessionIds, registrationId, updatedAt }
+ */
+export async function loadAgenda() {
+  const local = getLocalAgenda();
+  if (!local.registrationId || !local.syncToken) {
+    return local;
+  }
+
+  try {
+    const remote = await syncRemoteAgenda(local);
+    if (toMillis(remote.updatedAt) > toMillis(local.updatedAt)) {
+      return saveLocalAgenda({ ...local, sessionIds: remote.sessionIds || [] }, remote.updatedAt);
+    }
+  } catch (error) {
+    if (isUnlinkedError(error)) {
+      return unlinkAgenda();
+    }
+    console.error('Failed to load synced agenda:', error);
+  }
+
+  return local;
+}
+
+/**
+ * Saves the agenda on this device and, when linked, on the registration.
+ * A failed sync is logged; the local copy is still kept.
+ *
+ * @param {Array<string>} sessionIds - Starred session IDs
+ * @returns {Promise<Object>} Saved agenda
+ */
+export async function saveAgenda(sessionIds) {
+  const uniqueIds = [...new Set(sessionIds)];
+  const saved = saveLocalAgenda({ ...getLocalAgenda(), sessionIds: uniqueIds });
+
+  if (saved.registrationId && saved.syncToken) {
+    try {
+      const remote = await syncRemoteAgenda(saved, uniqueIds);
+      return saveLocalAgenda(saved, remote.updatedAt);
+    } catch (error) {
+      if (isUnlinkedError(error)) {
+        return unlinkAgenda();
+      }
+      console.error('Failed to sync agenda:', error);
+    }
+  }
+
+  return saved;
+}
+
+/**
+ * Links this device's agenda to a registration with an agenda verification
+ * code. The sessions starred here, the agenda already saved on the
+ * registration and the registered workshops are merged and saved in both
+ * places.
+ *
+ * @param {Object} registration - Registration to link
+ * @param {string} code - Agenda verification code sent to the registered email
+ * @returns {Promise<Object>} Saved agenda
+ */
+export async function linkAgendaToRegistration(registration, code) {
+  const local = getLocalAgenda();
+  const localIds = local.registrationId && local.registrationId !== registration.id
+    ? []
+    : local.sessionIds;
+
+  const linkAgendaFn = httpsCallable(functions, 'linkAgenda');
+  const result = await linkAgendaFn({
+    registrationId: registration.id,
+    code,
+    sessionIds: localIds,
+  });
+
+  return saveLocalAgenda({
+    sessionIds: result.data.sessionIds,
+    registrationId: registration.id,
+    syncToken: result.data.syncToken,
+  }, result.data.updatedAt);
+}
+
+/**
+ * Stops syncing this device's agenda with a registration
+ *
+ * @returns {Object} Saved agenda
+ */
+export function unlinkAgenda() {
+  return saveLocalAgenda({ ...getLocalAgenda(), registrationId: null, syncToken: null });
+}
+
+/**
+ * Converts HH:MM to minutes after midnight
+ *
+ * @param {string} time - Time in HH:MM format
+ * @returns {number|null} Minutes, or null when invalid
+ */
+function toMinutes(time) {
+  if (!time || !/^\d{2}:\d{2}$/.test(time)) return null;
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Finds starred sessions that overlap in time. Sessions without an end
+ * time are treated as ending when they start.
+ *
+ * @param {Array} sessions - All sessions
+ * @param {Array<string>} sessionIds - Starred session IDs
+ * @returns {Object} Map of session ID to the sessions it overlaps with
+ */
+export function findAgendaConflicts(sessions, sessionIds) {
+  const starred = sessions
+    .filter((session) => sessionIds.includes(session.id))
+    .map((session) => {
+      const start = toMinutes(session.startTime);
+      const end = toMinutes(session.endTime) ?? start;
+      return { session, day: Number(session.day) || 1, start, end };
+    })
+    .filter(({ start }) => start !== null);
+
+  const conflicts = {};
+  starred.forEach((a, index) => {
+    starred.slice(index + 1).forEach((b) => {
+      const overlaps = a.day === b.day && (
+        a.start === b.start || (a.start < b.end && b.start < a.end)
+      );
+      if (overlaps) {
+        conflicts[a.session.id] = [...(conflicts[a.session.id] || []), b.session];
+        conflicts[b.session.id] = [...(conflicts[b.session.id] || []), a.session];
+      }
+    });
+  });
+
+  return conflicts;
+}
@@ -15,7 +15,8 @@ import {
   limit,
 } from 'firebase/firestore';
 import { db } from '../lib/firebase';
-import { COLLECTIONS, REGISTRATION_STATUS, PRICING_TIERS, STATS_DOC_ID } from '../constants';
+import { COLLECTIONS, REGISTRATION_STATUS, PRICING_TIERS } from '../constants';
+import { getActiveEditionId, getEditionStatsDocId, whereInEdition } from './editions';
 
 /**
  * Fetches dashboard statistics
@@ -25,7 +26,9 @@ import { COLLECTIONS, REGISTRATION_STATUS, PRICING_TIERS, STATS_DOC_ID } from '.
 export async function getDashboardStats() {
   try {
     const registrationsRef = collection(db, COLLECTIONS.REGISTRATIONS);
-    const registrationsSnapshot = await getDocs(registrationsRef);
+    const registrationsSnapshot = await getDocs(
+      query(registrationsRef, whereInEdition(await getActiveEditionId()))
+    );
 
     let totalRegistrations = 0;
     let confirmedRegistrations = 0;
@@ -90,6 +93,7 @@ export async function getRecentRegistrations(count = 10) {
     const registrationsRef = collection(db, COLLECTIONS.REGISTRATIONS);
     const recentQuery = query(
       registrationsRef,
+      whereInEdition(await getActiveEditionId()),
       orderBy('createdAt', 'desc'),
       limit(count)
     );
@@ -119,7 +123,7 @@ export async function getRegistrationChartData(days = 30) {
     startDate.setDate(startDate.getDate() - days);
     startDate.setHours(0, 0, 0, 0);
 
-    const snapshot = await getDocs(registrationsRef);
+    const snapshot = await getDocs(query(registrationsRef, whereInEdition(await getActiveEditionId())));
 
     const dailyData = {};
     for (let i = 0; i < days; i++) {
@@ -181,7 +185,7 @@ export function getActivePricingTier() {
  */
 export async function getChurchStats(limitCount = null) {
   try {
-    const statsRef = doc(db, COLLECTIONS.STATS, STATS_DOC_ID);
+    const statsRef = doc(db, COLLECTIONS.STATS, getEditionStatsDocId(await getActiveEditionId()));
     const statsDoc = await getDoc(statsRef);
 
     if (!statsDoc.exists()) {
@@ -233,7 +237,7 @@ export async function getFoodStats() {
   try {
     // Fetch pre-aggregated stats and food menu items in parallel
     const [statsDoc, foodMenuSnapshot] = await Promise.all([
-      getDoc(doc(db, COLLECTIONS.STATS, STATS_DOC_ID)),
+      getDoc(doc(db, COLLECTIONS.STATS, getEditionStatsDocId(await getActiveEditionId()))),
       getDocs(collection(db, COLLECTIONS.FOOD_MENU)),
     ]);
 
@@ -0,0 +1,256 @@
+/**
+ * Archives Service
+ * Manages the public pages for past conferences: theme, dates, speakers,
+ * sessions with recordings, photo galleries, downloadable materials and
+ * headline stats. Each archive is keyed by its edition ID (e.g., idmc-2025)
+ * and can pull its program and stats from that edition's data.
+ *
+ * @module services/archives
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  setDoc,
+  deleteDoc,
+  serverTimestamp,
+} from 'firebase/firestore';
+import { db } from '../lib/firebase';
+import { COLLECTIONS, ARCHIVE_STATUS, SESSION_STATUS } from '../constants';
+import {
+  buildArchiveSessions,
+  getArchiveSpeakerIds,
+  buildArchiveStats,
+} from '../utils/archives';
+import { logActivity, ACTIVITY_TYPES, ENTITY_TYPES } from './activityLog';
+import { buildEditionId, isInEdition, getEditionRegistrationSummary } from './editions';
+import { getConferenceStats } from './stats';
+import { getSpeakerById } from './speakers';
+
+export { formatArchiveDateRange } from '../utils/archives';
+
+/**
+ * Empty archive used when creating a new page
+ */
+export const EMPTY_ARCHIVE = {
+  year: null,
+  title: '',
+  theme: '',
+  startDate: '',
+  endDate: '',
+  venueName: '',
+  summary: '',
+  highlightVideoId: '',
+  speakers: [],
+  sessions: [],
+  galleries: [],
+  materials: [],
+  stats: {
+    attendeeCount: null,
+    churchCount: null,
+    checkedInCount: null,
+  },
+  status: ARCHIVE_STATUS.DRAFT,
+};
+
+/**
+ * Converts a Firestore archive document to a plain object
+ *
+ * @param {Object} archiveDoc - Firestore document snapshot
+ * @returns {Object} Archive data
+ */
+function toArchive(archiveDoc) {
+  const data = archiveDoc.data();
+  return {
+    ...EMPTY_ARCHIVE,
+    id: archiveDoc.id,
+    ...data,
+    stats: { ...EMPTY_ARCHIVE.stats, ...data.stats },
+    createdAt: data.createdAt?.toDate?.() || data.createdAt,
+    updatedAt: data.updatedAt?.toDate?.() || data.updatedAt,
+  };
+}
+
+/**
+ * Sorts archives newest year first
+ *
+ * @param {Array} archives - Archives to sort
+ * @returns {Array} Sorted archives
+ */
+function sortByYearDesc(archives) {
+  return archives.sort((a, b) => (b.year || 0) - (a.year || 0));
+}
+
+/**
+ * Fetches all published archives, newest first
+ *
+ * @returns {Promise<Array>} Published archives
+ */
+export async function getPublishedArchives() {
+  const publishedQuery = query(
+    collection(db, COLLECTIONS.ARCHIVES),
+    where('status', '==', ARCHIVE_STATUS.PUBLISHED)
+  );
+  const snapshot = await getDocs(publishedQuery);
+  return sortByYearDesc(snapshot.docs.map(toArchive));
+}
+
+/**
+ * Fetches the published archive for a conference year
+ *
+ * @param {number|string} year - Conference year
+ * @returns {Promise<Object|null>} Archive or null when missing or unpublished
+ */
+export async function getPublishedArchiveByYear(year) {
+  const numericYear = Number(year);
+  if (!Number.isInteger(numericYear)) {
+    return null;
+  }
+
+  const archive = await getArchive(buildEditionId(numericYear));
+  return archive?.status === ARCHIVE_STATUS.PUBLISHED ? archive : null;
+}
+
+/**
+ * Fetches all archives including drafts (admin only)
+ *
+ * @returns {Promise<Array>} Archives, newest first
+ */
+export async function getAllArchives() {
+  const snapshot = await getDocs(collection(db, COLLECTIONS.ARCHIVES));
+  return sortByYearDesc(snapshot.docs.map(toArchive));
+}
+
+/**
+ * Fetches an archive by ID
+ *
+ * @param {string} archiveId - Archive ID (the edition ID)
+ * @returns {Promise<Object|null>} Archive or null
+ */
+export async function getArchive(archiveId) {
+  if (!archiveId) {
+    return null;
+  }
+
+  const archiveDoc = await getDoc(doc(db, COLLECTIONS.ARCHIVES, archiveId));
+  return archiveDoc.exists() ? toArchive(archiveDoc) : null;
+}
+
+/**
+ * Creates or updates an archive page
+ *
+ * @param {Object} archive - Archive data (year is required)
+ * @param {string} adminId - Admin user ID performing the action
+ * @param {string} adminEmail - Admin email performing the action
+ * @returns {Promise<Object>} Saved archive
+ */
+export async function saveArchive(archive, adminId = null, adminEmail = null) {
+  const year = Number(archive.year);
+  if (!Number.isInteger(year) || year < 2000) {
+    throw new Error('Please enter a valid conference year');
+  }
+  if (!archive.title?.trim()) {
+    throw new Error('Please enter a title');
+  }
+
+  const archiveId = buildEditionId(year);
+  const existing = await getArchive(archiveId);
+  if (existing && archive.id !== archiveId) {
+    throw new Error(`A page for ${year} already exists`);
+  }
+
+  const { id, createdAt, updatedAt, ...data } = archive;
+  const archiveData = {
+    ...data,
+    year,
+    title: archive.title.trim(),
+    updatedAt: serverTimestamp(),
+  };
+  if (!existing) {
+    archiveData.createdAt = serverTimestamp();
+  }
+
+  await setDoc(doc(db, COLLECTIONS.ARCHIVES, archiveId), archiveData, { merge: true });
+
+  // A changed year moves the page to the new ID
+  if (id && id !== archiveId) {
+    await deleteDoc(doc(db, COLLECTIONS.ARCHIVES, id));
+  }
+
+  if (adminId && adminEmail) {
+    await logActivity({
+      type: existing ? ACTIVITY_TYPES.UPDATE : ACTIVITY_TYPES.CREATE,
+      entityType: ENTITY_TYPES.ARCHIVE,
+      entityId: archiveId,
+      description: `${existing ? 'Updated' : 'Created'} past conference page: ${archiveData.title}`,
+      adminId,
+      adminEmail,
+    });
+  }
+
+  return { ...archive, id: archiveId, year };
+}
+
+/**
+ * Deletes an archive page
+ *
+ * @param {string} archiveId - Archive ID
+ * @param {string} adminId - Admin user ID performing the action
+ * @param {string} adminEmail - Admin email performing the action
+ * @returns {Promise<void>}
+ */
+export async function deleteArchive(archiveId, adminId = null, adminEmail = null) {
+  await deleteDoc(doc(db, COLLECTIONS.ARCHIVES, archiveId));
+
+  if (adminId && adminEmail) {
+    await logActivity({
+      type: ACTIVITY_TYPES.DELETE,
+      entityType: ENTITY_TYPES.ARCHIVE,
+      entityId: archiveId,
+      description: `Deleted past conference page: ${archiveId}`,
+      adminId,
+      adminEmail,
+    });
+  }
+}
+
+/**
+ * Pulls an edition's program and headline stats for its archive page:
+ * published sessions (without breaks and registration), their speakers,
+ * and attendee, church and check-in counts.
+ *
+ * @param {string} editionId - Edition ID
+ * @returns {Promise<Object>} { sessions, speakers, stats }
+ */
+export async function getEditionArchiveData(editionId) {
+  const [sessionsSnapshot, stats, summary] = await Promise.all([
+    getDocs(query(
+      collection(db, COLLECTIONS.SESSIONS),
+      where('status', '==', SESSION_STATUS.PUBLISHED)
+    )),
+    getConferenceStats(editionId),
+    getEditionRegistrationSummary(editionId),
+  ]);
+
+  const editionSessions = sessionsSnapshot.docs
+    .map((sessionDoc) => ({ id: sessionDoc.id, ...sessionDoc.data() }))
+    .filter((session) => isInEdition(session, editionId));
+
+  const speakerIds = getArchiveSpeakerIds(editionSessions);
+  const speakerDocs = await Promise.all(speakerIds.map((speakerId) => getSpeakerById(speakerId)));
+
+  return {
+    sessions: buildArchiveSessions(editionSessions),
+    speakers: speakerDocs.filter(Boolean).map((speaker) => ({
+      name: speaker.name || '',
+      title: speaker.title || '',
+      organization: speaker.organization || '',
+      photoUrl: speaker.photoUrl || '',
+    })),
+    stats: buildArchiveStats(stats, summary),
+  };
+}
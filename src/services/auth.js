@@ -17,6 +17,7 @@ import { doc, getDoc, updateDoc, serverTimestamp } from 'firebase/firestore';
 import { auth, db } from '../lib/firebase';
 import { COLLECTIONS } from '../constants';
 import { logActivity, ACTIVITY_TYPES, ENTITY_TYPES } from './activityLog';
+import { clearCheckInRoster } from './offlineCheckIn';
 
 /**
  * Signs in an admin user with email and password
@@ -93,7 +94,8 @@ export async function signInAdmin(email, password) {
 }
 
 /**
- * Signs out the current user
+ * Signs out the current user and clears the check-in roster cached on
+ * this device
  *
  * @param {Object} user - Current user object (optional, for activity logging)
  * @returns {Promise<void>}
@@ -112,6 +114,7 @@ export async function signOutAdmin(user = null) {
   }
 
   await firebaseSignOut(auth);
+  clearCheckInRoster();
 }
 
 /**
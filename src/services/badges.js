@@ -0,0 +1,65 @@
+/**
+ * Badges Service
+ * Records which badges have been printed. Badge entries are built from
+ * registrations in utils/badges.js.
+ *
+ * @module services/badges
+ */
+
+import { doc, writeBatch, serverTimestamp } from 'firebase/firestore';
+import { db } from '../lib/firebase';
+import { COLLECTIONS } from '../constants';
+import { logActivity, ACTIVITY_TYPES, ENTITY_TYPES } from './activityLog';
+
+export {
+  BADGE_CHECK_IN_FILTERS,
+  getRegistrationChurchName,
+  isBadgePrinted,
+  getBadgeEntries,
+} from '../utils/badges';
+
+/**
+ * Maximum number of writes in a single Firestore batch
+ */
+const BATCH_LIMIT = 500;
+
+/**
+ * Records that the given badges were printed
+ *
+ * @param {Array} badges - Badge entries from getBadgeEntries
+ * @param {string} adminId - Admin user ID performing the action
+ * @param {string} adminEmail - Admin email performing the action
+ * @returns {Promise<void>}
+ */
+export async function markBadgesPrinted(badges, adminId = null, adminEmail = null) {
+  const printsByRegistration = (badges || []).reduce((groups, badge) => {
+    const key = badge.id || badge.registrationId;
+    groups[key] = [...(groups[key] || []), badge.attendeeIndex];
+    return groups;
+  }, {});
+
+  const entries = Object.entries(printsByRegistration);
+
+  for (let start = 0; start < entries.length; start += BATCH_LIMIT) {
+    const batch = writeBatch(db);
+    entries.slice(start, start + BATCH_LIMIT).forEach(([registrationDocId, indexes]) => {
+      const updates = { updatedAt: serverTimestamp() };
+      indexes.forEach((attendeeIndex) => {
+        updates[`badgePrints.${attendeeIndex}`] = serverTimestamp();
+      });
+      batch.update(doc(db, COLLECTIONS.REGISTRATIONS, registrationDocId), updates);
+    });
+    await batch.commit();
+  }
+
+  if (adminId && adminEmail) {
+    await logActivity({
+      type: ACTIVITY_TYPES.EXPORT,
+      entityType: ENTITY_TYPES.REGISTRATION,
+      entityId: `badges-${Date.now()}`,
+      description: `Printed ${badges.length} badge(s) for ${entries.length} registration(s)`,
+      adminId,
+      adminEmail,
+    });
+  }
+}
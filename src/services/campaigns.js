@@ -0,0 +1,328 @@
+/**
+ * Campaigns Service
+ * Manages broadcast email campaigns to segments of attendees (e.g., all
+ * confirmed attendees, or everyone in one workshop). Campaigns are sent now
+ * or at a scheduled time by the sendEmailCampaign and
+ * sendScheduledEmailCampaigns Cloud Functions, which record a delivery per
+ * recipient under emailCampaigns/{id}/deliveries. A campaign stuck sending
+ * can be retried once its send is stale; recipients who were or may have
+ * been emailed are not emailed again.
+ *
+ * @module services/campaigns
+ */
+
+import {
+  collection,
+  doc,
+  getDocs,
+  addDoc,
+  updateDoc,
+  deleteDoc,
+  query,
+  orderBy,
+  Timestamp,
+  serverTimestamp,
+} from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from '../lib/firebase';
+import {
+  COLLECTIONS,
+  CAMPAIGN_STATUS,
+  CAMPAIGN_CHECK_IN_FILTERS,
+  CAMPAIGN_SEND_STALE_MINUTES,
+} from '../constants';
+import { logActivity, ACTIVITY_TYPES, ENTITY_TYPES } from './activityLog';
+import { getActiveEditionId, isInEdition } from './editions';
+import { getAttendeeCheckInStatus } from './checkin';
+import { getRegistrationChurchName } from './badges';
+
+/**
+ * Empty segment: every attendee of every registration
+ */
+export const EMPTY_CAMPAIGN_SEGMENT = Object.freeze({
+  statuses: [],
+  categories: [],
+  churches: [],
+  workshopIds: [],
+  foodChoices: [],
+  checkIn: CAMPAIGN_CHECK_IN_FILTERS.ANY,
+});
+
+/**
+ * Placeholders that are filled in per recipient
+ */
+export const CAMPAIGN_PLACEHOLDERS = Object.freeze([
+  { token: '{{firstName}}', description: "Recipient's first name" },
+  { token: '{{registrationId}}', description: 'Registration ID' },
+  { token: '{{feedbackUrl}}', description: 'Personal feedback form link' },
+]);
+
+/**
+ * Converts a Firestore campaign document to a plain object
+ *
+ * @param {Object} campaignDoc - Firestore document snapshot
+ * @returns {Object} Campaign data
+ */
+function toCampaign(campaignDoc) {
+  const data = campaignDoc.data();
+  return {
+    id: campaignDoc.id,
+    ...data,
+    segment: { ...EMPTY_CAMPAIGN_SEGMENT, ...data.segment },
+    scheduledAt: data.scheduledAt?.toDate?.() || null,
+    sendStartedAt: data.sendStartedAt?.toDate?.() || null,
+    sentAt: data.sentAt?.toDate?.() || null,
+    createdAt: data.createdAt?.toDate?.() || data.createdAt,
+    updatedAt: data.updatedAt?.toDate?.() || data.updatedAt,
+  };
+}
+
+/**
+ * Checks whether a campaign is stuck sending: its send started longer ago
+ * than CAMPAIGN_SEND_STALE_MINUTES, so the function sending it has stopped
+ *
+ * @param {Object} campaign - Campaign
+ * @param {Date} [now] - Current time
+ * @returns {boolean} True when the campaign can be retried
+ */
+export function isCampaignSendStuck(campaign, now = new Date()) {
+  if (campaign?.status !== CAMPAIGN_STATUS.SENDING) return false;
+  if (!campaign.sendStartedAt) return true;
+  return now.getTime() - campaign.sendStartedAt.getTime() >= CAMPAIGN_SEND_STALE_MINUTES * 60 * 1000;
+}
+
+/**
+ * Resolves the recipients of a segment (mirrors resolveCampaignRecipients
+ * in the Cloud Functions). Each matching attendee is emailed at their own
+ * address, falling back to the primary attendee's, and each address is
+ * emailed once.
+ *
+ * @param {Array} registrations - Registration documents
+ * @param {Object} segment - Segment filters (see EMPTY_CAMPAIGN_SEGMENT)
+ * @returns {Array} Recipients ({ email, name, registrationId, church })
+ */
+export function getCampaignRecipients(registrations, segment) {
+  const {
+    statuses = [],
+    categories = [],
+    churches = [],
+    workshopIds = [],
+    foodChoices = [],
+    checkIn = CAMPAIGN_CHECK_IN_FILTERS.ANY,
+  } = segment || {};
+  const recipients = new Map();
+
+  (registrations || [])
+    .filter((registration) => !statuses.length || statuses.includes(registration.status))
+    .filter((registration) => !churches.length || churches.includes(getRegistrationChurchName(registration)))
+    .forEach((registration) => {
+      const attendees = [registration.primaryAttendee, ...(registration.additionalAttendees || [])];
+      attendees.forEach((attendee, attendeeIndex) => {
+        if (!attendee) return;
+        const attendeeWorkshops = (attendee.workshopSelections || []).map((selection) => selection.sessionId);
+        const checkedIn = getAttendeeCheckInStatus(registration, attendeeIndex)?.checkedIn === true;
+        const matches =
+          (!categories.length || categories.includes(attendee.category)) &&
+          (!foodChoices.length || foodChoices.includes(attendee.foodChoice)) &&
+          (!workshopIds.length || workshopIds.some((id) => attendeeWorkshops.includes(id))) &&
+          (checkIn === CAMPAIGN_CHECK_IN_FILTERS.ANY ||
+            (checkIn === CAMPAIGN_CHECK_IN_FILTERS.CHECKED_IN) === checkedIn);
+        if (!matches) return;
+
+        const email = (attendee.email || registration.primaryAttendee?.email || '').trim().toLowerCase();
+        if (!email || recipients.has(email)) return;
+        recipients.set(email, {
+          email,
+          name: `${attendee.firstName || ''} ${attendee.lastName || ''}`.trim(),
+          registrationId: registration.registrationId || registration.id,
+          church: getRegistrationChurchName(registration),
+        });
+      });
+    });
+
+  return [...recipients.values()];
+}
+
+/**
+ * Fetches the active edition's campaigns, newest first
+ *
+ * @returns {Promise<Array>} Campaigns
+ */
+export async function getAllCampaigns() {
+  const [snapshot, editionId] = await Promise.all([
+    getDocs(query(collection(db, COLLECTIONS.EMAIL_CAMPAIGNS), orderBy('createdAt', 'desc'))),
+    getActiveEditionId(),
+  ]);
+
+  return snapshot.docs
+    .map(toCampaign)
+    .filter((campaign) => isInEdition(campaign, editionId));
+}
+
+/**
+ * Fetches the per-recipient deliveries of a campaign
+ *
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Array>} Deliveries ({ email, firstName, registrationId, status, error, sentAt })
+ */
+export async function getCampaignDeliveries(campaignId) {
+  const snapshot = await getDocs(
+    collection(db, COLLECTIONS.EMAIL_CAMPAIGNS, campaignId, 'deliveries')
+  );
+
+  return snapshot.docs
+    .map((deliveryDoc) => {
+      const data = deliveryDoc.data();
+      return {
+        id: deliveryDoc.id,
+        ...data,
+        sentAt: data.sentAt?.toDate?.() || null,
+      };
+    })
+    .sort((a, b) => a.email.localeCompare(b.email));
+}
+
+/**
+ * Creates or updates a draft or scheduled campaign. A campaign with a
+ * scheduledAt time is scheduled; without one it is kept as a draft.
+ *
+ * @param {Object} campaign - Campaign data ({ id?, name, subject, body, segment, scheduledAt })
+ * @param {string} adminId - Admin user ID performing the action
+ * @param {string} adminEmail - Admin email performing the action
+ * @returns {Promise<Object>} Saved campaign
+ */
+export async function saveCampaign(campaign, adminId = null, adminEmail = null) {
+  if (!campaign.name?.trim()) {
+    throw new Error('Please enter a campaign name');
+  }
+  if (!campaign.subject?.trim()) {
+    throw new Error('Please enter a subject');
+  }
+  if (!campaign.body?.trim()) {
+    throw new Error('Please enter a message');
+  }
+  if (campaign.scheduledAt && campaign.scheduledAt.getTime() <= Date.now()) {
+    throw new Error('Please choose a send time in the future');
+  }
+
+  const campaignData = {
+    name: campaign.name.trim(),
+    subject: campaign.subject.trim(),
+    body: campaign.body.trim(),
+    segment: { ...EMPTY_CAMPAIGN_SEGMENT, ...campaign.segment },
+    scheduledAt: campaign.scheduledAt ? Timestamp.fromDate(campaign.scheduledAt) : null,
+    status: campaign.scheduledAt ? CAMPAIGN_STATUS.SCHEDULED : CAMPAIGN_STATUS.DRAFT,
+    updatedAt: serverTimestamp(),
+  };
+
+  let campaignId = campaign.id;
+  if (campaignId) {
+    await updateDoc(doc(db, COLLECTIONS.EMAIL_CAMPAIGNS, campaignId), campaignData);
+  } else {
+    const campaignRef = await addDoc(collection(db, COLLECTIONS.EMAIL_CAMPAIGNS), {
+      ...campaignData,
+      conferenceId: await getActiveEditionId(),
+      recipientCount: 0,
+      sentCount: 0,
+      failedCount: 0,
+      skippedCount: 0,
+      createdBy: adminId,
+      createdByEmail: adminEmail,
+      createdAt: serverTimestamp(),
+    });
+    campaignId = campaignRef.id;
+  }
+
+  if (adminId && adminEmail) {
+    const action = campaign.id ? 'Updated' : 'Created';
+    await logActivity({
+      type: campaign.id ? ACTIVITY_TYPES.UPDATE : ACTIVITY_TYPES.CREATE,
+      entityType: ENTITY_TYPES.EMAIL_CAMPAIGN,
+      entityId: campaignId,
+      description: campaign.scheduledAt
+        ? `${action} email campaign "${campaignData.name}" scheduled for ${campaign.scheduledAt.toLocaleString('en-PH')}`
+        : `${action} email campaign draft "${campaignData.name}"`,
+      adminId,
+      adminEmail,
+    });
+  }
+
+  return { ...campaign, ...campaignData, id: campaignId, scheduledAt: campaign.scheduledAt || null };
+}
+
+/**
+ * Sends a campaign now through the sendEmailCampaign function
+ *
+ * @param {Object} campaign - Campaign to send
+ * @param {string} adminId - Admin user ID performing the action
+ * @param {string} adminEmail - Admin email performing the action
+ * @returns {Promise<{ sent: number, failed: number, skipped: number, unconfirmed: number }>} Delivery counts
+ */
+export async function sendCampaign(campaign, adminId = null, adminEmail = null) {
+  const sendEmailCampaignFn = httpsCallable(functions, 'sendEmailCampaign');
+  const result = await sendEmailCampaignFn({ campaignId: campaign.id });
+  const { sent = 0, failed = 0, skipped = 0, unconfirmed = 0 } = result.data || {};
+
+  if (adminId && adminEmail) {
+    await logActivity({
+      type: ACTIVITY_TYPES.UPDATE,
+      entityType: ENTITY_TYPES.EMAIL_CAMPAIGN,
+      entityId: campaign.id,
+      description: `Sent email campaign "${campaign.name}" (${sent} sent, ${failed} failed)`,
+      adminId,
+      adminEmail,
+    });
+  }
+
+  return { sent, failed, skipped, unconfirmed };
+}
+
+/**
+ * Cancels a scheduled send, keeping the campaign as a draft
+ *
+ * @param {Object} campaign - Scheduled campaign
+ * @param {string} adminId - Admin user ID performing the action
+ * @param {string} adminEmail - Admin email performing the action
+ * @returns {Promise<void>}
+ */
+export async function unscheduleCampaign(campaign, adminId = null, adminEmail = null) {
+  await updateDoc(doc(db, COLLECTIONS.EMAIL_CAMPAIGNS, campaign.id), {
+    status: CAMPAIGN_STATUS.DRAFT,
+    scheduledAt: null,
+    updatedAt: serverTimestamp(),
+  });
+
+  if (adminId && adminEmail) {
+    await logActivity({
+      type: ACTIVITY_TYPES.UPDATE,
+      entityType: ENTITY_TYPES.EMAIL_CAMPAIGN,
+      entityId: campaign.id,
+      description: `Cancelled scheduled send of email campaign "${campaign.name}"`,
+      adminId,
+      adminEmail,
+    });
+  }
+}
+
+/**
+ * Deletes a draft or scheduled campaign
+ *
+ * @param {Object} campaign - Campaign to delete
+ * @param {string} adminId - Admin user ID performing the action
+ * @param {string} adminEmail - Admin email performing the action
+ * @returns {Promise<void>}
+ */
+export async function deleteCampaign(campaign, adminId = null, adminEmail = null) {
+  await deleteDoc(doc(db, COLLECTIONS.EMAIL_CAMPAIGNS, campaign.id));
+
+  if (adminId && adminEmail) {
+    await logActivity({
+      type: ACTIVITY_TYPES.DELETE,
+      entityType: ENTITY_TYPES.EMAIL_CAMPAIGN,
+      entityId: campaign.id,
+      description: `Deleted email campaign "${campaign.name}"`,
+      adminId,
+      adminEmail,
+    });
+  }
+}
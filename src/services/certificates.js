@@ -0,0 +1,157 @@
+/**
+ * Certificates Service
+ * Builds certificates of attendance for checked-in attendees, issues the
+ * generated PDFs to Storage, and emails them through Cloud Functions.
+ *
+ * @module services/certificates
+ */
+
+import { doc, updateDoc, serverTimestamp } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from '../lib/firebase';
+import { COLLECTIONS } from '../constants';
+import { generateCertificatesPdf } from '../utils/exportPdf';
+import { formatCertificateDate } from '../utils/certificates';
+import { logActivity, ACTIVITY_TYPES, ENTITY_TYPES } from './activityLog';
+import { uploadCertificateFile } from './storage';
+
+export {
+  CERTIFICATE_FILTERS,
+  getIssuedCertificate,
+  getCertificateEntries,
+} from '../utils/certificates';
+export { formatCertificateDate };
+
+/**
+ * Default certificate template, used for any field not saved in settings
+ */
+export const DEFAULT_CERTIFICATE_TEMPLATE = Object.freeze({
+  enabled: false,
+  title: 'Certificate of Attendance',
+  bodyText: 'This is to certify that {name} of {church} attended {conference} held on {date} at {venue}.',
+  sessionsText: 'Sessions attended: {sessions}',
+  includeSessions: true,
+  backgroundImageUrl: null,
+  signatories: [],
+});
+
+/**
+ * Placeholders available in certificate text
+ */
+export const CERTIFICATE_PLACEHOLDERS = Object.freeze([
+  { key: 'name', description: 'Attendee full name' },
+  { key: 'firstName', description: 'Attendee first name' },
+  { key: 'church', description: 'Church name' },
+  { key: 'role', description: 'Ministry role' },
+  { key: 'conference', description: 'Conference title' },
+  { key: 'date', description: 'Conference date' },
+  { key: 'venue', description: 'Venue name' },
+  { key: 'sessions', description: 'Sessions and workshops attended' },
+  { key: 'sessionCount', description: 'Number of sessions attended' },
+]);
+
+/**
+ * Number of registrations emailed per Cloud Function call
+ */
+const EMAIL_BATCH_SIZE = 20;
+
+/**
+ * Gets the certificate template from conference settings, filling in defaults
+ *
+ * @param {Object} settings - Conference settings
+ * @returns {Object} Certificate template
+ */
+export function getCertificateTemplate(settings) {
+  return {
+    ...DEFAULT_CERTIFICATE_TEMPLATE,
+    ...settings?.certificate,
+    signatories: settings?.certificate?.signatories || [],
+  };
+}
+
+/**
+ * Builds the conference details printed on certificates
+ *
+ * @param {Object} settings - Conference settings
+ * @returns {{ conference: string, date: string, venue: string }} Certificate PDF options
+ */
+export function getCertificateOptions(settings) {
+  return {
+    conference: settings?.title || 'IDMC 2026',
+    date: formatCertificateDate(settings?.startDate, settings?.endDate),
+    venue: settings?.venue?.name || '',
+  };
+}
+
+/**
+ * Generates, uploads, and records a certificate PDF for each entry
+ *
+ * @param {Array} entries - Certificate entries from getCertificateEntries
+ * @param {Object} template - Certificate template from getCertificateTemplate
+ * @param {Object} options - Conference details from getCertificateOptions
+ * @param {string} adminId - Admin user ID performing the action
+ * @param {string} adminEmail - Admin email performing the action
+ * @param {Function} [onProgress] - Called with the number of certificates issued so far
+ * @returns {Promise<number>} Number of certificates issued
+ */
+export async function issueCertificates(entries, template, options, adminId, adminEmail, onProgress) {
+  let issuedCount = 0;
+
+  for (const entry of entries) {
+    const pdf = await generateCertificatesPdf([entry], template, options);
+    const url = await uploadCertificateFile(pdf.output('blob'), entry.id, entry.attendeeIndex);
+
+    await updateDoc(doc(db, COLLECTIONS.REGISTRATIONS, entry.id), {
+      [`certificates.${entry.attendeeIndex}`]: {
+        url,
+        issuedAt: serverTimestamp(),
+        issuedBy: adminEmail || null,
+        emailedAt: null,
+      },
+      updatedAt: serverTimestamp(),
+    });
+
+    issuedCount += 1;
+    if (onProgress) {
+      onProgress(issuedCount);
+    }
+  }
+
+  await logActivity({
+    type: ACTIVITY_TYPES.CREATE,
+    entityType: ENTITY_TYPES.REGISTRATION,
+    entityId: `certificates-${Date.now()}`,
+    description: `Issued ${issuedCount} certificate(s) of attendance`,
+    adminId,
+    adminEmail,
+  });
+
+  return issuedCount;
+}
+
+/**
+ * Emails issued certificates to attendees through the sendCertificateEmails function
+ * Registrations are sent in batches to stay within function time limits.
+ *
+ * @param {Array} entries - Certificate entries that have been issued
+ * @param {Function} [onProgress] - Called with the number of registrations processed so far
+ * @returns {Promise<{ sent: number, failed: Array }>} Emails sent and failures ({ registrationId, error })
+ */
+export async function sendCertificateEmails(entries, onProgress) {
+  const registrationIds = [...new Set(entries.map((entry) => entry.id))];
+  const sendCertificateEmailsFn = httpsCallable(functions, 'sendCertificateEmails');
+  const totals = { sent: 0, failed: [] };
+
+  for (let start = 0; start < registrationIds.length; start += EMAIL_BATCH_SIZE) {
+    const batch = registrationIds.slice(start, start + EMAIL_BATCH_SIZE);
+    const result = await sendCertificateEmailsFn({ registrationIds: batch });
+
+    totals.sent += result.data.sent || 0;
+    totals.failed.push(...(result.data.failed || []));
+    if (onProgress) {
+      onProgress(Math.min(start + EMAIL_BATCH_SIZE, registrationIds.length));
+    }
+  }
+
+  return totals;
+}
@@ -22,8 +22,12 @@ import {
   Timestamp,
 } from 'firebase/firestore';
 import { db } from '../lib/firebase';
-import { COLLECTIONS, REGISTRATION_STATUS, STATS_DOC_ID } from '../constants';
+import { COLLECTIONS, REGISTRATION_STATUS } from '../constants';
 import { logActivity, ACTIVITY_TYPES, ENTITY_TYPES } from './activityLog';
+import { getActiveEditionId, getEditionStatsDocId, isInEdition, whereInEdition } from './editions';
+import { getAttendeeByIndex, getAttendeeCheckInStatus } from '../utils/attendees';
+
+export { getAttendeeByIndex, getAttendeeCheckInStatus };
 
 /**
  * Check-in method identifiers
@@ -167,56 +171,6 @@ export function validateAttendeeCheckInEligibility(registration, attendeeIndex)
   return { valid: true, errorCode: null, message: 'Eligible for check-in', attendeeName };
 }
 
-/**
- * Gets attendee information by index
- *
- * @param {Object} registration - Registration document
- * @param {number} attendeeIndex - Index of the attendee (0 for primary, 1+ for additional)
- * @returns {Object|null} Attendee data or null if not found
- */
-export function getAttendeeByIndex(registration, attendeeIndex) {
-  if (!registration) {
-    return null;
-  }
-
-  if (attendeeIndex === 0) {
-    return registration.primaryAttendee || null;
-  }
-
-  const additionalIndex = attendeeIndex - 1;
-  return registration.additionalAttendees?.[additionalIndex] || null;
-}
-
-/**
- * Gets the check-in status for a specific attendee
- *
- * @param {Object} registration - Registration document
- * @param {number} attendeeIndex - Index of the attendee (0 for primary, 1+ for additional)
- * @returns {Object|null} Check-in status object or null
- */
-export function getAttendeeCheckInStatus(registration, attendeeIndex) {
-  if (!registration) {
-    return null;
-  }
-
-  // If attendeeCheckIns array exists, use it (new per-attendee tracking)
-  if (registration.attendeeCheckIns && Array.isArray(registration.attendeeCheckIns)) {
-    return registration.attendeeCheckIns[attendeeIndex] || null;
-  }
-
-  // Fallback to legacy behavior: if checkedIn is true, all attendees are considered checked in
-  if (registration.checkedIn) {
-    return {
-      checkedIn: true,
-      checkedInAt: registration.checkedInAt,
-      checkedInBy: registration.checkedInBy,
-      checkInMethod: registration.checkInMethod,
-    };
-  }
-
-  return { checkedIn: false };
-}
-
 /**
  * Checks if all attendees in a registration are checked in
  *
@@ -414,11 +368,13 @@ export async function searchRegistrations(searchTerm) {
 
   // Name/phone search requires 3+ characters to reduce unnecessary fetches
   // This fallback only runs when email/code/ID searches found nothing
+  const editionId = await getActiveEditionId();
   if (results.length === 0 && normalizedTerm.length >= 3) {
     // Fetch confirmed registrations in batches for client-side filtering
     // Limit to 200 docs (~80-160KB) for acceptable performance on mobile
     const confirmedQuery = query(
       registrationsRef,
+      whereInEdition(editionId),
       where('status', '==', REGISTRATION_STATUS.CONFIRMED),
       limit(200)
     );
@@ -447,7 +403,7 @@ export async function searchRegistrations(searchTerm) {
     });
   }
 
-  return results.slice(0, 20);
+  return results.filter((registration) => isInEdition(registration, editionId)).slice(0, 20);
 }
 
 /**
@@ -510,6 +466,7 @@ export async function checkInAttendee(registrationId, checkInData) {
       checkedInBy: adminId,
       checkedInByName: adminName || null,
       checkInMethod: method || CHECK_IN_METHODS.MANUAL,
+      stationId: stationId || null,
     });
   }
 
@@ -633,6 +590,7 @@ export async function checkInSingleAttendee(registration, attendeeIndex, checkIn
         checkedInBy: adminId,
         checkedInByName: adminName || null,
         checkInMethod: method || CHECK_IN_METHODS.MANUAL,
+        stationId: stationId || null,
       });
     } else if (existingCheckIns[i]) {
       // Preserve existing check-in status
@@ -721,6 +679,7 @@ export async function getCheckInStats() {
   // Get all confirmed registrations
   const confirmedQuery = query(
     registrationsRef,
+    whereInEdition(await getActiveEditionId()),
     where('status', '==', REGISTRATION_STATUS.CONFIRMED)
   );
   const confirmedSnapshot = await getDocs(confirmedQuery);
@@ -800,51 +759,63 @@ export async function getRecentCheckIns(count = 10) {
  * @returns {Function} Unsubscribe function
  */
 export function subscribeToCheckInStats(callback) {
-  const registrationsRef = collection(db, COLLECTIONS.REGISTRATIONS);
-  const confirmedQuery = query(
-    registrationsRef,
-    where('status', '==', REGISTRATION_STATUS.CONFIRMED)
-  );
+  let unsubscribe = null;
+  let isCancelled = false;
 
-  return onSnapshot(confirmedQuery, (snapshot) => {
-    let totalConfirmed = 0;
-    let fullyCheckedIn = 0;
-    let partiallyCheckedIn = 0;
-    let totalAttendees = 0;
-    let checkedInAttendees = 0;
+  getActiveEditionId().then((editionId) => {
+    if (isCancelled) return;
 
-    snapshot.forEach((docSnap) => {
-      const data = docSnap.data();
-      totalConfirmed++;
-      const attendeeCount = 1 + (data.additionalAttendees?.length || 0);
-      totalAttendees += attendeeCount;
-
-      // Count checked-in attendees using the new per-attendee tracking
-      const checkedInCount = getCheckedInAttendeeCount(data);
-      checkedInAttendees += checkedInCount;
-
-      if (checkedInCount === attendeeCount) {
-        fullyCheckedIn++;
-      } else if (checkedInCount > 0) {
-        partiallyCheckedIn++;
-      }
-    });
+    const confirmedQuery = query(
+      collection(db, COLLECTIONS.REGISTRATIONS),
+      whereInEdition(editionId),
+      where('status', '==', REGISTRATION_STATUS.CONFIRMED)
+    );
+
+    unsubscribe = onSnapshot(confirmedQuery, (snapshot) => {
+      let totalConfirmed = 0;
+      let fullyCheckedIn = 0;
+      let partiallyCheckedIn = 0;
+      let totalAttendees = 0;
+      let checkedInAttendees = 0;
+
+      snapshot.forEach((docSnap) => {
+        const data = docSnap.data();
+        totalConfirmed++;
+        const attendeeCount = 1 + (data.additionalAttendees?.length || 0);
+        totalAttendees += attendeeCount;
+
+        // Count checked-in attendees using the new per-attendee tracking
+        const checkedInCount = getCheckedInAttendeeCount(data);
+        checkedInAttendees += checkedInCount;
+
+        if (checkedInCount === attendeeCount) {
+          fullyCheckedIn++;
+        } else if (checkedInCount > 0) {
+          partiallyCheckedIn++;
+        }
+      });
+
+      const percentage = totalConfirmed > 0 ? Math.round((fullyCheckedIn / totalConfirmed) * 100) : 0;
+      const attendeePercentage = totalAttendees > 0 ? Math.round((checkedInAttendees / totalAttendees) * 100) : 0;
 
-    const percentage = totalConfirmed > 0 ? Math.round((fullyCheckedIn / totalConfirmed) * 100) : 0;
-    const attendeePercentage = totalAttendees > 0 ? Math.round((checkedInAttendees / totalAttendees) * 100) : 0;
-
-    callback({
-      totalConfirmed,
-      checkedIn: fullyCheckedIn,
-      partiallyCheckedIn,
-      pending: totalConfirmed - fullyCheckedIn - partiallyCheckedIn,
-      percentage,
-      totalAttendees,
-      checkedInAttendees,
-      pendingAttendees: totalAttendees - checkedInAttendees,
-      attendeePercentage,
+      callback({
+        totalConfirmed,
+        checkedIn: fullyCheckedIn,
+        partiallyCheckedIn,
+        pending: totalConfirmed - fullyCheckedIn - partiallyCheckedIn,
+        percentage,
+        totalAttendees,
+        checkedInAttendees,
+        pendingAttendees: totalAttendees - checkedInAttendees,
+        attendeePercentage,
+      });
     });
   });
+
+  return () => {
+    isCancelled = true;
+    if (unsubscribe) unsubscribe();
+  };
 }
 
 /**
@@ -994,39 +965,60 @@ export async function undoCheckIn(registrationId, adminId, reason, attendeeIndex
  * @returns {Function} Unsubscribe function
  */
 export function subscribeToCheckInStatsFromCollection(callback) {
-  const statsRef = doc(db, COLLECTIONS.STATS, STATS_DOC_ID);
-
-  return onSnapshot(
-    statsRef,
-    (docSnapshot) => {
-      if (docSnapshot.exists()) {
-        const data = docSnapshot.data();
-        const totalConfirmed = data.confirmedRegistrationCount || 0;
-        const checkedIn = data.checkedInRegistrationCount || 0;
-        const partiallyCheckedIn = data.partiallyCheckedInCount || 0;
-        const totalAttendees = data.registeredAttendeeCount || 0;
-        const checkedInAttendees = data.checkedInAttendeeCount || 0;
-
-        const percentage = totalConfirmed > 0
-          ? Math.round((checkedIn / totalConfirmed) * 100)
-          : 0;
-        const attendeePercentage = totalAttendees > 0
-          ? Math.round((checkedInAttendees / totalAttendees) * 100)
-          : 0;
-
-        callback({
-          totalConfirmed,
-          checkedIn,
-          partiallyCheckedIn,
-          pending: totalConfirmed - checkedIn - partiallyCheckedIn,
-          percentage,
-          totalAttendees,
-          checkedInAttendees,
-          pendingAttendees: totalAttendees - checkedInAttendees,
-          attendeePercentage,
-        });
-      } else {
-        // Return default empty stats
+  let unsubscribe = null;
+  let isCancelled = false;
+
+  getActiveEditionId().then((editionId) => {
+    if (isCancelled) return;
+
+    const statsRef = doc(db, COLLECTIONS.STATS, getEditionStatsDocId(editionId));
+
+    unsubscribe = onSnapshot(
+      statsRef,
+      (docSnapshot) => {
+        if (docSnapshot.exists()) {
+          const data = docSnapshot.data();
+          const totalConfirmed = data.confirmedRegistrationCount || 0;
+          const checkedIn = data.checkedInRegistrationCount || 0;
+          const partiallyCheckedIn = data.partiallyCheckedInCount || 0;
+          const totalAttendees = data.registeredAttendeeCount || 0;
+          const checkedInAttendees = data.checkedInAttendeeCount || 0;
+
+          const percentage = totalConfirmed > 0
+            ? Math.round((checkedIn / totalConfirmed) * 100)
+            : 0;
+          const attendeePercentage = totalAttendees > 0
+            ? Math.round((checkedInAttendees / totalAttendees) * 100)
+            : 0;
+
+          callback({
+            totalConfirmed,
+            checkedIn,
+            partiallyCheckedIn,
+            pending: totalConfirmed - checkedIn - partiallyCheckedIn,
+            percentage,
+            totalAttendees,
+            checkedInAttendees,
+            pendingAttendees: totalAttendees - checkedInAttendees,
+            attendeePercentage,
+          });
+        } else {
+          // Return default empty stats
+          callback({
+            totalConfirmed: 0,
+            checkedIn: 0,
+            partiallyCheckedIn: 0,
+            pending: 0,
+            percentage: 0,
+            totalAttendees: 0,
+            checkedInAttendees: 0,
+            pendingAttendees: 0,
+            attendeePercentage: 0,
+          });
+        }
+      },
+      (error) => {
+        console.error('Error subscribing to check-in stats:', error);
         callback({
           totalConfirmed: 0,
           checkedIn: 0,
@@ -1039,20 +1031,11 @@ export function subscribeToCheckInStatsFromCollection(callback) {
           attendeePercentage: 0,
         });
       }
-    },
-    (error) => {
-      console.error('Error subscribing to check-in stats:', error);
-      callback({
-        totalConfirmed: 0,
-        checkedIn: 0,
-        partiallyCheckedIn: 0,
-        pending: 0,
-        percentage: 0,
-        totalAttendees: 0,
-        checkedInAttendees: 0,
-        pendingAttendees: 0,
-        attendeePercentage: 0,
-      });
-    }
-  );
+    );
+  });
+
+  return () => {
+    isCancelled = true;
+    if (unsubscribe) unsubscribe();
+  };
 }
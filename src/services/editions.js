@@ -0,0 +1,390 @@
+/**
+ * Editions Service
+ * Manages conference editions (IDMC 2026, IDMC 2027, ...) served from one
+ * deployment. One edition is active at a time; its settings, stats, uploads
+ * and new registrations are scoped by edition ID. Past editions are archived
+ * and kept read-only for reporting.
+ *
+ * The default edition predates editions, so its data lives in the unscoped
+ * settings and stats documents and storage paths. Its older registrations
+ * had no conferenceId until the backfillRegistrationEditions Cloud Function
+ * stamped them, so registrations are now queried by conferenceId.
+ *
+ * @module services/editions
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  writeBatch,
+  serverTimestamp,
+} from 'firebase/firestore';
+import { db } from '../lib/firebase';
+import {
+  COLLECTIONS,
+  CONFERENCE,
+  DEFAULT_EDITION_ID,
+  ACTIVE_EDITION_DOC_ID,
+  EDITION_STATUS,
+  SETTINGS_DOC_ID,
+  STATS_DOC_ID,
+} from '../constants';
+import { logActivity, ACTIVITY_TYPES, ENTITY_TYPES } from './activityLog';
+
+/**
+ * Settings subcollections copied to a new edition
+ */
+const COPIED_SETTINGS_SUBCOLLECTIONS = ['pricingTiers', 'groupDiscountRules'];
+
+/**
+ * Content collections whose items are copied to a new edition
+ */
+const COPIED_CONTENT_COLLECTIONS = [COLLECTIONS.FAQ, COLLECTIONS.WHAT_TO_BRING];
+
+/**
+ * Cached lookup of the active edition ID
+ */
+let activeEditionIdPromise = null;
+
+/**
+ * Gets the ID of the active edition. The result is cached for the session;
+ * call clearActiveEditionCache after switching editions.
+ *
+ * @returns {Promise<string>} Active edition ID
+ */
+export function getActiveEditionId() {
+  if (!activeEditionIdPromise) {
+    activeEditionIdPromise = getDoc(doc(db, COLLECTIONS.CONFERENCES, ACTIVE_EDITION_DOC_ID))
+      .then((pointerDoc) => (pointerDoc.exists() && pointerDoc.data().editionId) || DEFAULT_EDITION_ID)
+      .catch((error) => {
+        console.error('Failed to fetch active edition:', error);
+        activeEditionIdPromise = null;
+        return DEFAULT_EDITION_ID;
+      });
+  }
+  return activeEditionIdPromise;
+}
+
+/**
+ * Clears the cached active edition ID
+ */
+export function clearActiveEditionCache() {
+  activeEditionIdPromise = null;
+}
+
+/**
+ * Gets the edition a record (registration, FAQ, etc.) belongs to
+ *
+ * @param {Object} record - Firestore record
+ * @returns {string} Edition ID
+ */
+export function getRecordEditionId(record) {
+  return record?.conferenceId || DEFAULT_EDITION_ID;
+}
+
+/**
+ * Checks whether a record belongs to an edition
+ *
+ * @param {Object} record - Firestore record
+ * @param {string} editionId - Edition ID
+ * @returns {boolean} True when the record belongs to the edition
+ */
+export function isInEdition(record, editionId) {
+  return getRecordEditionId(record) === editionId;
+}
+
+/**
+ * Query constraint matching the registrations of an edition
+ *
+ * @param {string} editionId - Edition ID
+ * @returns {Object} Firestore where constraint
+ */
+export function whereInEdition(editionId) {
+  return where('conferenceId', '==', editionId);
+}
+
+/**
+ * Gets the settings document ID for an edition
+ *
+ * @param {string} editionId - Edition ID
+ * @returns {string} Document ID in the conferences collection
+ */
+export function getEditionSettingsDocId(editionId) {
+  return !editionId || editionId === DEFAULT_EDITION_ID ? SETTINGS_DOC_ID : editionId;
+}
+
+/**
+ * Gets the stats document ID for an edition
+ *
+ * @param {string} editionId - Edition ID
+ * @returns {string} Document ID in the stats collection
+ */
+export function getEditionStatsDocId(editionId) {
+  return !editionId || editionId === DEFAULT_EDITION_ID ? STATS_DOC_ID : editionId;
+}
+
+/**
+ * Scopes a storage path to an edition
+ *
+ * @param {string} path - Base path from STORAGE_PATHS
+ * @param {string} editionId - Edition ID
+ * @returns {string} Storage path for the edition
+ */
+export function getEditionStoragePath(path, editionId) {
+  return !editionId || editionId === DEFAULT_EDITION_ID ? path : `editions/${editionId}/${path}`;
+}
+
+/**
+ * Builds the edition ID for a conference year
+ *
+ * @param {number} year - Conference year
+ * @returns {string} Edition ID (e.g., "idmc-2027")
+ */
+export function buildEditionId(year) {
+  return `idmc-${year}`;
+}
+
+/**
+ * Checks whether an edition can no longer be changed
+ *
+ * @param {Object} edition - Edition record
+ * @returns {boolean} True when the edition is archived
+ */
+export function isEditionReadOnly(edition) {
+  return edition?.status === EDITION_STATUS.ARCHIVED;
+}
+
+/**
+ * Fetches all editions, newest first. The default edition is included even
+ * before it has an edition document.
+ *
+ * @returns {Promise<Array>} Editions with an isActive flag
+ */
+export async function getAllEditions() {
+  const [snapshot, activeEditionId] = await Promise.all([
+    getDocs(collection(db, COLLECTIONS.EDITIONS)),
+    getActiveEditionId(),
+  ]);
+
+  const editions = snapshot.docs.map((editionDoc) => {
+    const data = editionDoc.data();
+    return {
+      id: editionDoc.id,
+      ...data,
+      createdAt: data.createdAt?.toDate?.() || data.createdAt,
+      activatedAt: data.activatedAt?.toDate?.() || data.activatedAt,
+      archivedAt: data.archivedAt?.toDate?.() || data.archivedAt,
+    };
+  });
+
+  if (!editions.some((edition) => edition.id === DEFAULT_EDITION_ID)) {
+    editions.push({
+      id: DEFAULT_EDITION_ID,
+      name: `IDMC ${CONFERENCE.YEAR}`,
+      year: CONFERENCE.YEAR,
+      status: activeEditionId === DEFAULT_EDITION_ID ? EDITION_STATUS.ACTIVE : EDITION_STATUS.ARCHIVED,
+    });
+  }
+
+  return editions
+    .map((edition) => ({ ...edition, isActive: edition.id === activeEditionId }))
+    .sort((a, b) => (b.year || 0) - (a.year || 0));
+}
+
+/**
+ * Fetches the settings of any edition (read-only use for reports and archives)
+ *
+ * @param {string} editionId - Edition ID
+ * @returns {Promise<Object|null>} Edition settings or null
+ */
+export async function getEditionSettings(editionId) {
+  const settingsDoc = await getDoc(doc(db, COLLECTIONS.CONFERENCES, getEditionSettingsDocId(editionId)));
+  return settingsDoc.exists() ? { id: settingsDoc.id, ...settingsDoc.data() } : null;
+}
+
+/**
+ * Creates a new edition as a draft, copying settings, pricing tiers, group
+ * discount rules, venue, FAQ and what-to-bring items from an existing edition.
+ * Registrations, stats and uploads are never copied.
+ *
+ * @param {Object} edition - New edition details
+ * @param {number} edition.year - Conference year
+ * @param {string} [edition.name] - Display name (defaults to "IDMC {year}")
+ * @param {string} [edition.startDate] - Conference start date (YYYY-MM-DD)
+ * @param {string} [edition.endDate] - Conference end date (YYYY-MM-DD)
+ * @param {string} sourceEditionId - Edition to copy from
+ * @param {string} adminId - Admin user ID performing the action
+ * @param {string} adminEmail - Admin email performing the action
+ * @returns {Promise<Object>} Created edition
+ */
+export async function createEdition(edition, sourceEditionId, adminId = null, adminEmail = null) {
+  const year = Number(edition.year);
+  if (!Number.isInteger(year) || year < 2000) {
+    throw new Error('Please enter a valid conference year');
+  }
+
+  const editionId = buildEditionId(year);
+  const editionRef = doc(db, COLLECTIONS.EDITIONS, editionId);
+  if (editionId === DEFAULT_EDITION_ID || (await getDoc(editionRef)).exists()) {
+    throw new Error(`An edition for ${year} already exists`);
+  }
+
+  const name = edition.name?.trim() || `IDMC ${year}`;
+  const sourceSettingsId = getEditionSettingsDocId(sourceEditionId);
+  const targetSettingsId = getEditionSettingsDocId(editionId);
+  const sourceSettingsDoc = await getDoc(doc(db, COLLECTIONS.CONFERENCES, sourceSettingsId));
+  const sourceSettings = sourceSettingsDoc.exists() ? sourceSettingsDoc.data() : {};
+
+  const batch = writeBatch(db);
+
+  // Settings (including venue) with the new year's details
+  const { createdAt, updatedAt, ...copiedSettings } = sourceSettings;
+  batch.set(doc(db, COLLECTIONS.CONFERENCES, targetSettingsId), {
+    ...copiedSettings,
+    title: name,
+    year,
+    startDate: edition.startDate || copiedSettings.startDate || null,
+    endDate: edition.endDate || edition.startDate || copiedSettings.endDate || null,
+    registrationOpen: false,
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+  });
+
+  // Pricing tiers and group discount rules
+  for (const subcollection of COPIED_SETTINGS_SUBCOLLECTIONS) {
+    const snapshot = await getDocs(collection(db, COLLECTIONS.CONFERENCES, sourceSettingsId, subcollection));
+    snapshot.docs.forEach((itemDoc) => {
+      batch.set(doc(db, COLLECTIONS.CONFERENCES, targetSettingsId, subcollection, itemDoc.id), {
+        ...itemDoc.data(),
+        updatedAt: serverTimestamp(),
+      });
+    });
+  }
+
+  // FAQ and what-to-bring items, keyed by the original ID plus the new year
+  for (const collectionName of COPIED_CONTENT_COLLECTIONS) {
+    const snapshot = await getDocs(collection(db, collectionName));
+    snapshot.docs
+      .filter((itemDoc) => isInEdition(itemDoc.data(), sourceEditionId))
+      .forEach((itemDoc) => {
+        const baseId = itemDoc.id.replace(/-\d{4}$/, '');
+        batch.set(doc(db, collectionName, `${baseId}-${year}`), {
+          ...itemDoc.data(),
+          conferenceId: editionId,
+          createdAt: serverTimestamp(),
+          updatedAt: serverTimestamp(),
+        });
+      });
+  }
+
+  const editionData = {
+    name,
+    year,
+    status: EDITION_STATUS.DRAFT,
+    copiedFrom: sourceEditionId || null,
+    createdAt: serverTimestamp(),
+    createdBy: adminEmail || null,
+  };
+  batch.set(editionRef, editionData);
+
+  await batch.commit();
+
+  if (adminId && adminEmail) {
+    await logActivity({
+      type: ACTIVITY_TYPES.CREATE,
+      entityType: ENTITY_TYPES.EDITION,
+      entityId: editionId,
+      description: `Created edition ${name} from ${sourceEditionId}`,
+      adminId,
+      adminEmail,
+    });
+  }
+
+  return { id: editionId, ...editionData, createdAt: new Date() };
+}
+
+/**
+ * Makes an edition the active one. The previously active edition is archived
+ * and becomes read-only.
+ *
+ * @param {string} editionId - Edition to activate
+ * @param {string} adminId - Admin user ID performing the action
+ * @param {string} adminEmail - Admin email performing the action
+ * @returns {Promise<void>}
+ */
+export async function setActiveEdition(editionId, adminId = null, adminEmail = null) {
+  const editions = await getAllEditions();
+  const target = editions.find((edition) => edition.id === editionId);
+  if (!target) {
+    throw new Error('Edition not found');
+  }
+  if (target.isActive) {
+    return;
+  }
+
+  const batch = writeBatch(db);
+
+  editions
+    .filter((edition) => edition.isActive)
+    .forEach((edition) => {
+      batch.set(doc(db, COLLECTIONS.EDITIONS, edition.id), {
+        name: edition.name,
+        year: edition.year,
+        status: EDITION_STATUS.ARCHIVED,
+        archivedAt: serverTimestamp(),
+      }, { merge: true });
+    });
+
+  batch.set(doc(db, COLLECTIONS.EDITIONS, editionId), {
+    name: target.name,
+    year: target.year,
+    status: EDITION_STATUS.ACTIVE,
+    activatedAt: serverTimestamp(),
+  }, { merge: true });
+
+  batch.set(doc(db, COLLECTIONS.CONFERENCES, ACTIVE_EDITION_DOC_ID), {
+    editionId,
+    updatedAt: serverTimestamp(),
+  });
+
+  await batch.commit();
+  clearActiveEditionCache();
+
+  if (adminId && adminEmail) {
+    await logActivity({
+      type: ACTIVITY_TYPES.SETTINGS,
+      entityType: ENTITY_TYPES.EDITION,
+      entityId: editionId,
+      description: `Switched active edition to ${target.name}`,
+      adminId,
+      adminEmail,
+    });
+  }
+}
+
+/**
+ * Counts registrations per status for an edition (for reporting)
+ *
+ * @param {string} editionId - Edition ID
+ * @returns {Promise<Object>} { total, attendees, byStatus }
+ */
+export async function getEditionRegistrationSummary(editionId) {
+  const snapshot = await getDocs(
+    query(collection(db, COLLECTIONS.REGISTRATIONS), whereInEdition(editionId))
+  );
+
+  const summary = { total: 0, attendees: 0, byStatus: {} };
+  snapshot.docs
+    .map((registrationDoc) => registrationDoc.data())
+    .forEach((registration) => {
+      summary.total += 1;
+      summary.attendees += 1 + (registration.additionalAttendees?.length || 0);
+      summary.byStatus[registration.status] = (summary.byStatus[registration.status] || 0) + 1;
+    });
+
+  return summary;
+}
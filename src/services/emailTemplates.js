@@ -0,0 +1,425 @@
+/**
+ * Email Templates Service
+ * Manages admin-edited wording for transactional emails (registration
+ * received, ticket, waitlist offer, invoice and transfer emails). Each
+ * template has a subject and an HTML body with {{placeholders}}; every save
+ * is kept under emailTemplates/{key}/versions. The Cloud Functions read the
+ * active template at send time and fall back to the built-in email when a
+ * template is missing or turned off.
+ *
+ * @module services/emailTemplates
+ */
+
+import {
+  collection,
+  doc,
+  getDocs,
+  updateDoc,
+  query,
+  orderBy,
+  runTransaction,
+  serverTimestamp,
+} from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import QRCode from 'qrcode';
+import { db, functions } from '../lib/firebase';
+import {
+  COLLECTIONS,
+  CONFERENCE,
+  ROUTES,
+  EMAIL_TEMPLATE_KEY,
+  EMAIL_TEMPLATE_LABELS,
+  EMAIL_TEMPLATE_PLACEHOLDERS,
+} from '../constants';
+import { logActivity, ACTIVITY_TYPES, ENTITY_TYPES } from './activityLog';
+import { getRegistrationChurchName } from './badges';
+
+/**
+ * Subcollection holding every saved version of a template
+ */
+const VERSIONS_SUBCOLLECTION = 'versions';
+
+/**
+ * Placeholders whose values are HTML and are inserted without escaping
+ */
+const HTML_PLACEHOLDERS = ['qrCode'];
+
+/**
+ * Wraps a starter template body in a simple branded layout
+ *
+ * @param {string} heading - Heading shown in the banner
+ * @param {string} content - Body HTML
+ * @returns {string} Full HTML document
+ */
+function starterLayout(heading, content) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<body style="margin: 0; padding: 24px; background-color: #f4f4f5; font-family: Arial, sans-serif; color: #1f2937;">
+  <div style="max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 12px; overflow: hidden;">
+    <div style="padding: 32px; background-color: #1e40af; color: #ffffff; text-align: center;">
+      <h1 style="margin: 0; font-size: 24px;">${heading}</h1>
+    </div>
+    <div style="padding: 32px; font-size: 16px; line-height: 1.6;">
+${content}
+    </div>
+  </div>
+</body>
+</html>`;
+}
+
+/**
+ * Starting point for templates that have never been saved
+ */
+export const STARTER_EMAIL_TEMPLATES = Object.freeze({
+  [EMAIL_TEMPLATE_KEY.REGISTRATION_RECEIVED]: {
+    subject: 'Registration Received - {{registrationId}}',
+    html: starterLayout('{{conferenceTitle}}', `      <p>Hi {{firstName}},</p>
+      <p>We have received your registration from {{churchName}}.</p>
+      <p>Registration ID: <strong>{{registrationId}}</strong><br>Quick Code: <strong>{{shortCode}}</strong></p>
+      <p>Please pay <strong>PHP {{amount}}</strong> by <strong>{{paymentDeadline}}</strong> to confirm your slot.</p>
+      <p><a href="{{statusUrl}}">Check your registration status</a></p>`),
+  },
+  [EMAIL_TEMPLATE_KEY.TICKET]: {
+    subject: 'Your {{conferenceTitle}} Ticket - {{registrationId}}',
+    html: starterLayout('You\'re Confirmed!', `      <p>Hi {{firstName}},</p>
+      <p>Your payment has been confirmed. Show this QR code at check-in:</p>
+      <div style="text-align: center;">{{qrCode}}</div>
+      <p>Registration ID: <strong>{{registrationId}}</strong><br>Quick Code: <strong>{{shortCode}}</strong></p>
+      <p>See you there!</p>`),
+  },
+  [EMAIL_TEMPLATE_KEY.WAITLIST_OFFER]: {
+    subject: 'A Slot is Available! Complete Your {{conferenceTitle}} Registration',
+    html: starterLayout('A Slot is Available!', `      <p>Great news, {{firstName}}!</p>
+      <p>A slot has opened up for <strong>{{conferenceTitle}}</strong>.</p>
+      <p>Please pay <strong>PHP {{amount}}</strong> by <strong>{{paymentDeadline}}</strong>, or the slot will be offered to the next person on the waitlist.</p>
+      <p><a href="{{statusUrl}}">Complete your payment</a></p>`),
+  },
+  [EMAIL_TEMPLATE_KEY.INVOICE]: {
+    subject: 'Invoice {{invoiceNumber}} - {{conferenceTitle}}',
+    html: starterLayout('Your Invoice', `      <p>Hi {{firstName}},</p>
+      <p>Attached is invoice <strong>{{invoiceNumber}}</strong> for registration {{registrationId}}.</p>
+      <p>Amount paid: <strong>PHP {{amount}}</strong></p>`),
+  },
+  [EMAIL_TEMPLATE_KEY.TRANSFER_NOTIFICATION]: {
+    subject: 'Registration Transferred to You - {{conferenceTitle}}',
+    html: starterLayout('Registration Transferred to You', `      <p>Hi {{firstName}},</p>
+      <p>{{originalAttendeeName}} has transferred their {{conferenceTitle}} registration to you.</p>
+      <p>Registration ID: <strong>{{registrationId}}</strong></p>
+      <p><a href="{{statusUrl}}">View your registration</a></p>`),
+  },
+  [EMAIL_TEMPLATE_KEY.TRANSFER_CONFIRMATION]: {
+    subject: 'Registration Transfer Confirmed - {{conferenceTitle}}',
+    html: starterLayout('Transfer Confirmed', `      <p>Hi {{firstName}},</p>
+      <p>Your {{conferenceTitle}} registration ({{registrationId}}) has been transferred to {{newAttendeeName}}.</p>
+      <p>If you did not request this, please contact us right away.</p>`),
+  },
+});
+
+/**
+ * Converts a Firestore timestamp, Date or ISO string to a Date
+ *
+ * @param {*} value - Timestamp value
+ * @returns {Date|null} Date, or null when unset or invalid
+ */
+function toDate(value) {
+  if (!value) return null;
+  const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Formats a date for a template placeholder (matches the Cloud Functions)
+ *
+ * @param {*} value - Timestamp value
+ * @param {boolean} [withTime=false] - Include the time of day
+ * @returns {string} Formatted date, or an empty string when unset
+ */
+function formatTemplateDate(value, withTime = false) {
+  const date = toDate(value);
+  if (!date) return '';
+
+  return withTime
+    ? date.toLocaleString('en-PH', { dateStyle: 'full', timeStyle: 'short', timeZone: CONFERENCE.TIMEZONE })
+    : date.toLocaleDateString('en-PH', {
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      timeZone: CONFERENCE.TIMEZONE,
+    });
+}
+
+/**
+ * Escapes text for insertion into HTML
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+/**
+ * Builds the placeholder values of a template from a registration
+ * (mirrors getEmailTemplateValues in the Cloud Functions)
+ *
+ * @param {string} templateKey - Template key
+ * @param {Object|null} registration - Registration data
+ * @param {Object} [overrides] - Values to use instead (e.g., { conferenceTitle })
+ * @returns {Object} Placeholder values by name
+ */
+export function getEmailTemplateValues(templateKey, registration, overrides = {}) {
+  const primary = registration?.primaryAttendee || {};
+  const original = registration?.transfer?.originalAttendee || {};
+  const recipient = templateKey === EMAIL_TEMPLATE_KEY.TRANSFER_CONFIRMATION ? original : primary;
+  const registrationId = registration?.registrationId || '';
+  const amount = templateKey === EMAIL_TEMPLATE_KEY.INVOICE
+    ? registration?.payment?.amountPaid
+    : registration?.totalAmount;
+
+  return {
+    firstName: recipient.firstName || '',
+    lastName: recipient.lastName || '',
+    registrationId,
+    shortCode: registration?.shortCode || '',
+    amount: (Number(amount) || 0).toLocaleString('en-PH'),
+    paymentDeadline: templateKey === EMAIL_TEMPLATE_KEY.WAITLIST_OFFER
+      ? formatTemplateDate(registration?.waitlistOfferExpiresAt, true)
+      : formatTemplateDate(registration?.paymentDeadline),
+    churchName: registration ? getRegistrationChurchName(registration) : '',
+    conferenceTitle: `IDMC GCFSM ${CONFERENCE.YEAR}`,
+    statusUrl: `${window.location.origin}${ROUTES.REGISTRATION_STATUS}?id=${registrationId}`,
+    invoiceNumber: registration?.invoice?.invoiceNumber || '',
+    newAttendeeName: [primary.firstName, primary.lastName].filter(Boolean).join(' '),
+    originalAttendeeName: [original.firstName, original.lastName].filter(Boolean).join(' '),
+    qrCode: '',
+    ...overrides,
+  };
+}
+
+/**
+ * Fills a template's {{placeholders}} (mirrors renderEmailTemplate in the
+ * Cloud Functions). Values are HTML-escaped in the body; unknown
+ * placeholders are left as typed.
+ *
+ * @param {string} template - Template subject or body
+ * @param {Object} values - Placeholder values
+ * @param {boolean} isHtml - Whether the template is an HTML body
+ * @returns {string} Rendered text
+ */
+export function renderEmailTemplate(template, values, isHtml) {
+  return String(template || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+    if (!(name in values)) return match;
+    if (HTML_PLACEHOLDERS.includes(name)) return isHtml ? values[name] : '';
+    return isHtml ? escapeHtml(values[name]) : values[name];
+  });
+}
+
+/**
+ * Finds placeholders a template uses that are not available to it
+ *
+ * @param {string} templateKey - Template key
+ * @param {string} text - Template subject and body
+ * @returns {Array<string>} Unknown placeholder names
+ */
+export function findUnknownPlaceholders(templateKey, text) {
+  const allowed = EMAIL_TEMPLATE_PLACEHOLDERS[templateKey] || [];
+  const used = [...String(text || '').matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map((match) => match[1]);
+  return [...new Set(used)].filter((name) => !allowed.includes(name));
+}
+
+/**
+ * Renders a template as the recipient of a registration would receive it.
+ * Ticket QR codes are drawn here as images; the emailed version attaches them.
+ *
+ * @param {string} templateKey - Template key
+ * @param {Object} template - { subject, html }
+ * @param {Object|null} registration - Registration to fill placeholders from
+ * @param {Object} [overrides] - Values to use instead (e.g., { conferenceTitle })
+ * @returns {Promise<{ subject: string, html: string }>} Rendered subject and body
+ */
+export async function renderEmailTemplatePreview(templateKey, template, registration, overrides = {}) {
+  const values = getEmailTemplateValues(templateKey, registration, overrides);
+
+  if (templateKey === EMAIL_TEMPLATE_KEY.TICKET && registration?.registrationId) {
+    const attendees = [registration.primaryAttendee, ...(registration.additionalAttendees || [])];
+    const images = await Promise.all(attendees.map(async (attendee, index) => {
+      const name = escapeHtml(`${attendee?.firstName || ''} ${attendee?.lastName || ''}`.trim());
+      const dataUrl = await QRCode.toDataURL(`${registration.registrationId}-${index}`, { width: 180, margin: 1 });
+      return '<div style="display: inline-block; margin: 8px; text-align: center;">' +
+        `<img src="${dataUrl}" alt="QR code for ${name}" width="180" height="180" style="display: block;">` +
+        `<p style="margin: 4px 0 0; color: #4b5563; font-size: 13px;">${name}</p></div>`;
+    }));
+    values.qrCode = images.join('');
+  }
+
+  return {
+    subject: renderEmailTemplate(template.subject, values, false),
+    html: renderEmailTemplate(template.html, values, true),
+  };
+}
+
+/**
+ * Gets every email template, including ones never saved (with their
+ * starter wording and turned off)
+ *
+ * @returns {Promise<Array>} Templates ({ key, label, subject, html, isActive, version, updatedAt, updatedByEmail })
+ */
+export async function getEmailTemplates() {
+  const snapshot = await getDocs(collection(db, COLLECTIONS.EMAIL_TEMPLATES));
+  const saved = Object.fromEntries(snapshot.docs.map((templateDoc) => [templateDoc.id, templateDoc.data()]));
+
+  return Object.values(EMAIL_TEMPLATE_KEY).map((key) => {
+    const data = saved[key];
+    return {
+      key,
+      label: EMAIL_TEMPLATE_LABELS[key],
+      subject: data?.subject ?? STARTER_EMAIL_TEMPLATES[key].subject,
+      html: data?.html ?? STARTER_EMAIL_TEMPLATES[key].html,
+      isActive: Boolean(data?.isActive),
+      version: data?.version || 0,
+      updatedAt: toDate(data?.updatedAt),
+      updatedByEmail: data?.updatedByEmail || null,
+    };
+  });
+}
+
+/**
+ * Gets the saved versions of a template, newest first
+ *
+ * @param {string} templateKey - Template key
+ * @returns {Promise<Array>} Versions ({ version, subject, html, savedAt, savedByEmail })
+ */
+export async function getEmailTemplateVersions(templateKey) {
+  const snapshot = await getDocs(query(
+    collection(db, COLLECTIONS.EMAIL_TEMPLATES, templateKey, VERSIONS_SUBCOLLECTION),
+    orderBy('version', 'desc')
+  ));
+
+  return snapshot.docs.map((versionDoc) => {
+    const data = versionDoc.data();
+    return {
+      id: versionDoc.id,
+      ...data,
+      savedAt: toDate(data.savedAt),
+    };
+  });
+}
+
+/**
+ * Saves a template as a new version
+ *
+ * @param {string} templateKey - Template key
+ * @param {Object} template - { subject, html, isActive }
+ * @param {string} adminId - Admin user ID performing the action
+ * @param {string} adminEmail - Admin email performing the action
+ * @returns {Promise<number>} New version number
+ */
+export async function saveEmailTemplate(templateKey, template, adminId = null, adminEmail = null) {
+  const subject = template.subject?.trim();
+  const html = template.html?.trim();
+  if (!subject) {
+    throw new Error('Please enter a subject');
+  }
+  if (!html) {
+    throw new Error('Please enter the email body');
+  }
+
+  const unknown = findUnknownPlaceholders(templateKey, `${subject} ${html}`);
+  if (unknown.length > 0) {
+    throw new Error(`This email cannot use ${unknown.map((name) => `{{${name}}}`).join(', ')}`);
+  }
+
+  const templateRef = doc(db, COLLECTIONS.EMAIL_TEMPLATES, templateKey);
+  const version = await runTransaction(db, async (transaction) => {
+    const current = await transaction.get(templateRef);
+    const nextVersion = (current.data()?.version || 0) + 1;
+
+    transaction.set(templateRef, {
+      subject,
+      html,
+      isActive: Boolean(template.isActive),
+      version: nextVersion,
+      updatedAt: serverTimestamp(),
+      updatedBy: adminId,
+      updatedByEmail: adminEmail,
+    });
+    transaction.set(doc(templateRef, VERSIONS_SUBCOLLECTION, String(nextVersion)), {
+      version: nextVersion,
+      subject,
+      html,
+      savedAt: serverTimestamp(),
+      savedBy: adminId,
+      savedByEmail: adminEmail,
+    });
+
+    return nextVersion;
+  });
+
+  if (adminId && adminEmail) {
+    await logActivity({
+      type: ACTIVITY_TYPES.UPDATE,
+      entityType: ENTITY_TYPES.EMAIL_TEMPLATE,
+      entityId: templateKey,
+      description: `Saved ${EMAIL_TEMPLATE_LABELS[templateKey]} email template (version ${version})`,
+      adminId,
+      adminEmail,
+    });
+  }
+
+  return version;
+}
+
+/**
+ * Turns a saved template on or off. While off, the built-in email is sent.
+ *
+ * @param {string} templateKey - Template key
+ * @param {boolean} isActive - Whether the template is used
+ * @param {string} adminId - Admin user ID performing the action
+ * @param {string} adminEmail - Admin email performing the action
+ * @returns {Promise<void>}
+ */
+export async function setEmailTemplateActive(templateKey, isActive, adminId = null, adminEmail = null) {
+  await updateDoc(doc(db, COLLECTIONS.EMAIL_TEMPLATES, templateKey), {
+    isActive,
+    updatedAt: serverTimestamp(),
+    updatedBy: adminId,
+    updatedByEmail: adminEmail,
+  });
+
+  if (adminId && adminEmail) {
+    await logActivity({
+      type: ACTIVITY_TYPES.UPDATE,
+      entityType: ENTITY_TYPES.EMAIL_TEMPLATE,
+      entityId: templateKey,
+      description: `${isActive ? 'Turned on' : 'Turned off'} ${EMAIL_TEMPLATE_LABELS[templateKey]} email template`,
+      adminId,
+      adminEmail,
+    });
+  }
+}
+
+/**
+ * Emails a template (saved or not) to the signed-in admin, filled in from
+ * a registration, through the sendEmailTemplateTest function
+ *
+ * @param {string} templateKey - Template key
+ * @param {Object} template - { subject, html }
+ * @param {string|null} registrationId - Registration to fill placeholders from
+ * @returns {Promise<string>} Address the test was sent to
+ */
+export async function sendEmailTemplateTest(templateKey, template, registrationId = null) {
+  const sendEmailTemplateTestFn = httpsCallable(functions, 'sendEmailTemplateTest');
+  const result = await sendEmailTemplateTestFn({
+    templateKey,
+    subject: template.subject,
+    html: template.html,
+    registrationId,
+  });
+  return result.data?.sentTo;
+}
@@ -16,6 +16,7 @@ import {
 } from 'firebase/firestore';
 import { db } from '../lib/firebase';
 import { COLLECTIONS, FAQ_STATUS } from '../constants';
+import { getActiveEditionId, isInEdition } from './editions';
 
 /**
  * Fetches all published FAQ items from Firestore, ordered by category and then by order.
@@ -32,12 +33,14 @@ export async function getPublishedFAQs() {
     orderBy('order', 'asc')
   );
 
-  const snapshot = await getDocs(publishedQuery);
+  const [snapshot, editionId] = await Promise.all([getDocs(publishedQuery), getActiveEditionId()]);
 
-  return snapshot.docs.map((docSnapshot) => ({
-    id: docSnapshot.id,
-    ...docSnapshot.data(),
-  }));
+  return snapshot.docs
+    .map((docSnapshot) => ({
+      id: docSnapshot.id,
+      ...docSnapshot.data(),
+    }))
+    .filter((faq) => isInEdition(faq, editionId));
 }
 
 /**
@@ -60,12 +63,14 @@ export async function getFAQsByCategory(category) {
     orderBy('order', 'asc')
   );
 
-  const snapshot = await getDocs(categoryQuery);
+  const [snapshot, editionId] = await Promise.all([getDocs(categoryQuery), getActiveEditionId()]);
 
-  return snapshot.docs.map((docSnapshot) => ({
-    id: docSnapshot.id,
-    ...docSnapshot.data(),
-  }));
+  return snapshot.docs
+    .map((docSnapshot) => ({
+      id: docSnapshot.id,
+      ...docSnapshot.data(),
+    }))
+    .filter((faq) => isInEdition(faq, editionId));
 }
 
 /**
@@ -9,6 +9,15 @@ import { collection, addDoc, serverTimestamp, getDocs, doc, deleteDoc, query, or
 import { db } from '../lib/firebase';
 import { COLLECTIONS } from '../constants';
 import { logActivity, ACTIVITY_TYPES, ENTITY_TYPES } from './activityLog';
+import { getConferenceSettings } from './settings';
+import { validateFieldValues, getVisibleFieldValues, getInitialFieldValues } from '../utils/formFields';
+
+/**
+ * Feedback error codes
+ */
+export const FEEDBACK_ERROR_CODES = {
+  INVALID_RESPONSE: 'INVALID_RESPONSE',
+};
 
 /**
  * Processes a value for storage, trimming strings and handling nested objects.
@@ -31,11 +40,11 @@ function processValue(value) {
   }
 
   if (typeof value === 'object' && !Array.isArray(value)) {
-    // Handle nested objects (e.g., checkboxGroup values)
+    // Handle nested objects (checkboxGroup option flags, matrix row answers)
     const processed = {};
     let hasValue = false;
     Object.entries(value).forEach(([key, val]) => {
-      if (typeof val === 'boolean' && val) {
+      if ((typeof val === 'boolean' && val) || (typeof val === 'string' && val)) {
         processed[key] = val;
         hasValue = true;
       }
@@ -49,22 +58,46 @@ function processValue(value) {
 
 /**
  * Submits event feedback to Firestore.
- * Accepts dynamic field data based on form configuration.
+ * Answers are validated against the configured feedback fields (required
+ * fields, rating/score ranges, number limits, dates and options); only
+ * answers to configured, visible fields are stored.
+ * Non-anonymous responses keep the registration they were submitted for
+ * (from a personalised feedback link) so analytics can filter by
+ * registration category and church.
  *
  * @param {Object} feedbackData - The feedback data (dynamic key-value pairs)
+ * @param {Object} [options] - Submission options
+ * @param {string} [options.registrationId] - Registration the feedback link was sent for
  * @returns {Promise<string>} The ID of the created feedback document
- * @throws {Error} If the Firestore operation fails
+ * @throws {Error} INVALID_RESPONSE with `fieldErrors` keyed by field ID when validation fails,
+ *   or if the Firestore operation fails
  */
-export async function submitFeedback(feedbackData) {
+export async function submitFeedback(feedbackData, options = {}) {
   if (!feedbackData || typeof feedbackData !== 'object') {
     throw new Error('Invalid feedback data');
   }
 
+  const settings = await getConferenceSettings();
+  const fields = settings?.feedback?.fields || [];
+
+  let answers = feedbackData;
+  if (fields.length > 0) {
+    const values = { ...getInitialFieldValues(fields), ...feedbackData };
+    const fieldErrors = validateFieldValues(fields, values);
+    if (Object.keys(fieldErrors).length > 0) {
+      const error = new Error('Invalid feedback response');
+      error.code = FEEDBACK_ERROR_CODES.INVALID_RESPONSE;
+      error.fieldErrors = fieldErrors;
+      throw error;
+    }
+    answers = getVisibleFieldValues(fields, values);
+  }
+
   const feedbackRef = collection(db, COLLECTIONS.FEEDBACK);
 
   // Process all fields
   const processedData = {};
-  Object.entries(feedbackData).forEach(([key, value]) => {
+  Object.entries(answers).forEach(([key, value]) => {
     const processed = processValue(value);
     // Only include non-null values to keep documents clean
     if (processed !== null) {
@@ -78,6 +111,11 @@ export async function submitFeedback(feedbackData) {
     createdAt: serverTimestamp(),
   };
 
+  if (typeof options.registrationId === 'string' && options.registrationId.trim()
+    && processedData.isAnonymous !== true) {
+    docData.registrationId = options.registrationId.trim();
+  }
+
   const docRef = await addDoc(feedbackRef, docData);
 
   return docRef.id;
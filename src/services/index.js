@@ -79,8 +79,79 @@ export {
   updatePricingTier,
   deletePricingTier,
   getActivePricingTierFromDb,
+  getGroupDiscountRules,
+  createGroupDiscountRule,
+  updateGroupDiscountRule,
+  deleteGroupDiscountRule,
 } from './settings';
 
+export {
+  getActiveEditionId,
+  clearActiveEditionCache,
+  getRecordEditionId,
+  isInEdition,
+  whereInEdition,
+  getEditionSettingsDocId,
+  getEditionStatsDocId,
+  getEditionStoragePath,
+  buildEditionId,
+  isEditionReadOnly,
+  getAllEditions,
+  getEditionSettings,
+  createEdition,
+  setActiveEdition,
+  getEditionRegistrationSummary,
+} from './editions';
+
+export {
+  EMPTY_ARCHIVE,
+  formatArchiveDateRange,
+  getPublishedArchives,
+  getPublishedArchiveByYear,
+  getAllArchives,
+  getArchive,
+  saveArchive,
+  deleteArchive,
+  getEditionArchiveData,
+} from './archives';
+
+export {
+  EMPTY_CAMPAIGN_SEGMENT,
+  CAMPAIGN_PLACEHOLDERS,
+  isCampaignSendStuck,
+  getCampaignRecipients,
+  getAllCampaigns,
+  getCampaignDeliveries,
+  saveCampaign,
+  sendCampaign,
+  unscheduleCampaign,
+  deleteCampaign,
+} from './campaigns';
+
+export {
+  STARTER_EMAIL_TEMPLATES,
+  getEmailTemplateValues,
+  renderEmailTemplate,
+  findUnknownPlaceholders,
+  renderEmailTemplatePreview,
+  getEmailTemplates,
+  getEmailTemplateVersions,
+  saveEmailTemplate,
+  setEmailTemplateActive,
+  sendEmailTemplateTest,
+} from './emailTemplates';
+
+export {
+  getReminderLogs,
+  splitReminderOffset,
+  formatReminderOffset,
+} from './reminders';
+
+export {
+  getSmsLogs,
+  sendTestSms,
+} from './sms';
+
 export {
   ACTIVITY_TYPES,
   ACTIVITY_TYPE_LABELS,
@@ -95,6 +166,7 @@ export {
 export {
   REGISTRATION_ERROR_CODES,
   getRegistrationByEmail,
+  findRegisteredEmails,
   getRegistrationById,
   getRegistrationByShortCode,
   getRegistrationByPhone,
@@ -122,6 +194,10 @@ export {
   cancelWaitlistRegistration,
   cancelUserRegistration,
   transferUserRegistration,
+  EDITABLE_ATTENDEE_FIELDS,
+  isDetailsEditOpen,
+  checkRegistrationEditCode,
+  updateUserRegistrationDetails,
   uploadWaitlistPayment,
   checkRegistrationAvailability,
   // Verification code functions
@@ -130,6 +206,7 @@ export {
   verifyCode,
   sendTransferNotification,
   sendTransferConfirmation,
+  resendRegistrationEmail,
 } from './registration';
 
 export {
@@ -173,6 +250,82 @@ export {
   getCheckedInAttendeeCount,
 } from './checkin';
 
+export {
+  isStationOnline,
+  isNetworkError,
+  getStationId,
+  cacheCheckInRoster,
+  getCachedRoster,
+  clearCheckInRoster,
+  getCachedRegistration,
+  searchCachedRegistrations,
+  lookupRegistrationForCheckIn,
+  searchRegistrationsForCheckIn,
+  getCheckInQueue,
+  getCheckInConflicts,
+  dismissCheckInConflict,
+  getOfflineCheckInStatus,
+  subscribeToOfflineCheckInStatus,
+  queueCheckIn,
+  checkInWithOfflineSupport,
+  syncCheckInQueue,
+} from './offlineCheckIn';
+
+export {
+  SESSION_ATTENDANCE_WARNINGS,
+  SESSION_ATTENDANCE_ERROR_CODES,
+  isAttendeeEnrolledInWorkshop,
+  validateSessionAttendance,
+  getSessionAttendanceCount,
+  getSessionAttendanceRecord,
+  recordSessionAttendance,
+  subscribeToSessionAttendance,
+  getAttendanceByRegistration,
+  getAllSessionAttendance,
+} from './sessionAttendance';
+
+export {
+  SESSION_RATING_SCALE,
+  SESSION_RATING_COMMENT_MAX_LENGTH,
+  SESSION_RATING_SOURCES,
+  getSessionStartTime,
+  getSessionEndTime,
+  isRatableSessionType,
+  isSessionRatable,
+  submitSessionRatings,
+  getAllSessionRatings,
+  summarizeSessionRatings,
+  summarizeSpeakerRatings,
+  getSpeakerContacts,
+  sendSpeakerRatingSummary,
+} from './sessionRatings';
+
+export {
+  DRAFT_EXPIRY_DAYS,
+  DRAFT_ABANDONED_HOURS,
+  serializeDraftFormData,
+  getLocalDraft,
+  saveLocalDraft,
+  clearLocalDraft,
+  saveRemoteDraft,
+  sendDraftResumeCode,
+  resumeRemoteDraft,
+  discardRemoteDraft,
+  isDraftAbandoned,
+  getAllRegistrationDrafts,
+  deleteRegistrationDraft,
+} from './registrationDrafts';
+
+export {
+  getLocalAgenda,
+  getRegisteredWorkshopIds,
+  loadAgenda,
+  saveAgenda,
+  linkAgendaToRegistration,
+  unlinkAgenda,
+  findAgendaConflicts,
+} from './agenda';
+
 export {
   BANK_ACCOUNT_ERROR_CODES,
   getAllBankAccounts,
@@ -185,6 +338,27 @@ export {
   getRegistrationsByBankAccount,
 } from './bankAccounts';
 
+export {
+  RECONCILIATION_ERROR_CODES,
+  importBankStatement,
+  getPendingVerificationRegistrations,
+  confirmReconciledMatches,
+} from './reconciliation';
+
+export {
+  PROMO_CODE_ERROR_CODES,
+  normalizePromoCode,
+  getAllPromoCodes,
+  getPromoCodeByCode,
+  createPromoCode,
+  updatePromoCode,
+  deletePromoCode,
+  togglePromoCodeStatus,
+  validatePromoCode,
+  getRegistrationsByPromoCode,
+  getPromoCodeRedemptionReport,
+} from './promoCodes';
+
 export {
   INVOICE_ERROR_CODES,
   getInvoiceRequests,
@@ -193,10 +367,24 @@ export {
   markInvoiceSent,
   markInvoiceFailed,
   generateAndReserveInvoiceNumber,
+  getInvoiceDocument,
+  previewInvoice,
+  generateInvoice,
+  voidAndReissueInvoice,
+  getInvoiceNumberHistory,
   getInvoiceRequestCounts,
   searchInvoiceRequests,
 } from './invoice';
 
+export {
+  REFUND_ERROR_CODES,
+  requestRefund,
+  approveRefund,
+  rejectRefund,
+  completeRefund,
+  getRefunds,
+} from './refunds';
+
 export {
   getConferenceStats,
   subscribeToConferenceStats,
@@ -207,3 +395,24 @@ export {
   getFoodMenuItem,
   getFoodMenuSettings,
 } from './foodMenu';
+
+export {
+  BADGE_CHECK_IN_FILTERS,
+  getRegistrationChurchName,
+  isBadgePrinted,
+  getBadgeEntries,
+  markBadgesPrinted,
+} from './badges';
+
+export {
+  DEFAULT_CERTIFICATE_TEMPLATE,
+  CERTIFICATE_PLACEHOLDERS,
+  CERTIFICATE_FILTERS,
+  getCertificateTemplate,
+  formatCertificateDate,
+  getCertificateOptions,
+  getIssuedCertificate,
+  getCertificateEntries,
+  issueCertificates,
+  sendCertificateEmails,
+} from './certificates';
@@ -1,6 +1,6 @@
 /**
  * Invoice Service
- * Handles invoice request tracking, upload, and delivery operations.
+ * Handles invoice request tracking, generation, voiding, and delivery operations.
  *
  * @module services/invoice
  */
@@ -10,6 +10,7 @@ import {
   doc,
   getDoc,
   getDocs,
+  setDoc,
   updateDoc,
   query,
   where,
@@ -17,9 +18,24 @@ import {
   limit as firestoreLimit,
   serverTimestamp,
   runTransaction,
+  arrayUnion,
 } from 'firebase/firestore';
 import { db } from '../lib/firebase';
-import { COLLECTIONS, INVOICE_STATUS, REGISTRATION_STATUS, CONFERENCE } from '../constants';
+import {
+  COLLECTIONS,
+  INVOICE_STATUS,
+  INVOICE_NUMBER_STATUS,
+  REGISTRATION_STATUS,
+  CONFERENCE,
+  DEFAULT_EDITION_ID,
+  STORAGE_PATHS,
+} from '../constants';
+import { buildInvoiceDocument, formatInvoiceFileName } from '../utils/invoice';
+import { generateInvoicePdf } from '../utils/exportPdf';
+import { logActivity, ACTIVITY_TYPES, ENTITY_TYPES } from './activityLog';
+import { getConferenceSettings, getPricingTiers } from './settings';
+import { uploadInvoiceFile } from './storage';
+import { getActiveEditionId, getEditionStoragePath, getRecordEditionId, whereInEdition } from './editions';
 
 /**
  * Error codes for invoice operations
@@ -32,45 +48,77 @@ export const INVOICE_ERROR_CODES = {
   EMAIL_FAILED: 'EMAIL_FAILED',
   GENERATION_FAILED: 'GENERATION_FAILED',
   REGISTRATION_NOT_CONFIRMED: 'REGISTRATION_NOT_CONFIRMED',
+  VOID_REASON_REQUIRED: 'VOID_REASON_REQUIRED',
 };
 
+/**
+ * Document in the settings collection that holds the invoice counters
+ */
+const INVOICE_COUNTER_DOC_ID = 'invoiceCounter';
+
 /**
  * Generates the next invoice number using atomic Firestore transaction
  * Invoice numbers follow the format: INV-YYYY-NNNN (e.g., INV-2026-0001)
- * Uses the conference year from settings to ensure consistency.
+ * The year comes from the settings of the registration's edition, and each
+ * edition keeps its own counter. Each number is recorded in the invoice
+ * number audit in the same transaction, so every number in the sequence can
+ * be accounted for.
  *
+ * @param {Object} registration - Registration the number is reserved for
+ * @param {string} adminEmail - Email of admin reserving the number
+ * @param {string} [replaces=null] - Voided invoice number this one replaces
  * @returns {Promise<string>} The generated invoice number (e.g., "INV-2026-0042")
  * @throws {Error} If the transaction fails
  *
  * @example
- * const invoiceNumber = await generateInvoiceNumber();
+ * const invoiceNumber = await generateInvoiceNumber(registration, 'finance@example.com');
  * // Returns: "INV-2026-0001"
  */
-async function generateInvoiceNumber() {
-  const counterRef = doc(db, 'settings', 'invoiceCounter');
-  const conferenceYear = CONFERENCE.YEAR;
+async function generateInvoiceNumber(registration, adminEmail, replaces = null) {
+  const counterRef = doc(db, 'settings', INVOICE_COUNTER_DOC_ID);
+  const registrationId = registration.id || registration.registrationId;
+  const editionId = getRecordEditionId(registration);
 
   try {
+    const settings = await getConferenceSettings(editionId);
+    const conferenceYear = Number(settings.year) || CONFERENCE.YEAR;
+
     const invoiceNumber = await runTransaction(db, async (transaction) => {
       const counterDoc = await transaction.get(counterRef);
-
-      if (!counterDoc.exists() || counterDoc.data().year !== conferenceYear) {
-        // Reset counter for new year or first invoice
-        transaction.set(counterRef, {
-          year: conferenceYear,
-          lastNumber: 1,
-          updatedAt: new Date(),
-        });
-        return `INV-${conferenceYear}-0001`;
-      }
-
-      const nextNumber = counterDoc.data().lastNumber + 1;
-      transaction.update(counterRef, {
-        lastNumber: nextNumber,
-        updatedAt: new Date(),
+      const counters = counterDoc.exists() ? counterDoc.data() : {};
+
+      // The default edition continues the counter kept before editions had their own
+      const editionCounter = counters.editions?.[editionId]
+        || (editionId === DEFAULT_EDITION_ID ? counters : {});
+
+      // Reset counter for a new year or first invoice
+      const isNewSequence = editionCounter.year !== conferenceYear;
+      const nextNumber = isNewSequence ? 1 : (editionCounter.lastNumber || 0) + 1;
+      const number = `INV-${conferenceYear}-${String(nextNumber).padStart(4, '0')}`;
+
+      transaction.set(counterRef, {
+        editions: {
+          [editionId]: {
+            year: conferenceYear,
+            lastNumber: nextNumber,
+            updatedAt: new Date(),
+          },
+        },
+      }, { merge: true });
+      transaction.set(doc(db, COLLECTIONS.INVOICE_NUMBERS, number), {
+        invoiceNumber: number,
+        year: conferenceYear,
+        sequence: nextNumber,
+        conferenceId: editionId,
+        registrationId,
+        status: INVOICE_NUMBER_STATUS.RESERVED,
+        reservedAt: serverTimestamp(),
+        reservedBy: adminEmail || null,
+        replaces,
+        replacedBy: null,
       });
 
-      return `INV-${conferenceYear}-${String(nextNumber).padStart(4, '0')}`;
+      return number;
     });
 
     return invoiceNumber;
@@ -97,7 +145,7 @@ export async function getInvoiceRequests({
   const registrationsRef = collection(db, COLLECTIONS.REGISTRATIONS);
 
   // Build query
-  let constraints = [];
+  let constraints = [whereInEdition(await getActiveEditionId())];
 
   // Only confirmed registrations by default
   if (confirmedOnly) {
@@ -242,14 +290,15 @@ export async function markInvoiceFailed(registrationId, errorMessage) {
  * Generates a new invoice number and reserves it for a registration
  *
  * @param {string} registrationId - Registration ID
+ * @param {string} [adminEmail=null] - Email of admin reserving the number
  * @returns {Promise<string>} The generated invoice number
  */
-export async function generateAndReserveInvoiceNumber(registrationId) {
+export async function generateAndReserveInvoiceNumber(registrationId, adminEmail = null) {
   // Validate registration exists and has invoice request
-  await getRegistrationWithInvoice(registrationId);
+  const registration = await getRegistrationWithInvoice(registrationId);
 
   // Generate new invoice number
-  const invoiceNumber = await generateInvoiceNumber();
+  const invoiceNumber = await generateInvoiceNumber(registration, adminEmail);
 
   // Update registration with invoice number
   const docRef = doc(db, COLLECTIONS.REGISTRATIONS, registrationId);
@@ -261,6 +310,230 @@ export async function generateAndReserveInvoiceNumber(registrationId) {
   return invoiceNumber;
 }
 
+/**
+ * Builds the invoice document data for a registration from current settings
+ * Issuer details come from the invoiceIssuer settings; line item names come
+ * from the pricing tiers.
+ *
+ * @param {Object} registration - Registration with invoice request
+ * @param {string} invoiceNumber - Invoice number to print
+ * @returns {Promise<Object>} Invoice document data for generateInvoicePdf
+ */
+export async function getInvoiceDocument(registration, invoiceNumber) {
+  const [settings, pricingTiers] = await Promise.all([
+    getConferenceSettings(getRecordEditionId(registration)),
+    getPricingTiers(),
+  ]);
+
+  return buildInvoiceDocument(registration, {
+    invoiceNumber,
+    issuer: settings.invoiceIssuer || {},
+    pricingTiers,
+    conference: settings.title,
+  });
+}
+
+/**
+ * Generates a preview of a registration's invoice without reserving a number
+ *
+ * @param {Object} registration - Registration with invoice request
+ * @returns {Promise<jsPDF>} PDF stamped as a preview
+ */
+export async function previewInvoice(registration) {
+  const invoice = await getInvoiceDocument(
+    registration,
+    registration.invoice?.invoiceNumber || 'INV-PREVIEW'
+  );
+  return generateInvoicePdf(invoice, { preview: true });
+}
+
+/**
+ * Renders an invoice PDF and uploads it to the registration's invoice folder
+ * The file name is derived from the invoice number, so regenerating replaces
+ * the stored file for that number.
+ *
+ * @param {Object} registration - Registration with invoice request
+ * @param {string} invoiceNumber - Invoice number to print
+ * @param {Object} [options={}] - PDF options passed to generateInvoicePdf
+ * @returns {Promise<string>} Download URL of the uploaded PDF
+ */
+async function renderAndUploadInvoice(registration, invoiceNumber, options = {}) {
+  try {
+    const invoice = await getInvoiceDocument(registration, invoiceNumber);
+    const pdf = generateInvoicePdf(invoice, options);
+    const fileName = formatInvoiceFileName(registration.registrationId, invoiceNumber, 'pdf');
+    const basePath = getEditionStoragePath(STORAGE_PATHS.INVOICES, getRecordEditionId(registration));
+    const storagePath = `${basePath}/${registration.registrationId}/${fileName}`;
+
+    return await uploadInvoiceFile(pdf.output('blob'), storagePath);
+  } catch (error) {
+    console.error('Error generating invoice PDF:', error);
+    throw new Error(INVOICE_ERROR_CODES.GENERATION_FAILED);
+  }
+}
+
+/**
+ * Generates the invoice/official receipt PDF for a registration
+ * Reserves an invoice number on first generation. Regenerating keeps the
+ * number and replaces the file; invoices already sent must be voided and
+ * reissued instead so the attendee never holds two versions of one number.
+ *
+ * @param {string} registrationId - Registration ID
+ * @param {string} adminId - Admin user ID performing the action
+ * @param {string} adminEmail - Admin email performing the action
+ * @returns {Promise<{ invoiceNumber: string, invoiceUrl: string }>} Generated invoice
+ * @throws {Error} If registration is not confirmed, the invoice was sent, or generation fails
+ */
+export async function generateInvoice(registrationId, adminId, adminEmail) {
+  const registration = await getRegistrationWithInvoice(registrationId);
+
+  if (registration.status !== REGISTRATION_STATUS.CONFIRMED) {
+    throw new Error(INVOICE_ERROR_CODES.REGISTRATION_NOT_CONFIRMED);
+  }
+  if (registration.invoice.status === INVOICE_STATUS.SENT) {
+    throw new Error(INVOICE_ERROR_CODES.INVALID_STATUS);
+  }
+
+  const isRegeneration = Boolean(registration.invoice.invoiceUrl);
+  const invoiceNumber = registration.invoice.invoiceNumber
+    || await generateInvoiceNumber(registration, adminEmail);
+  const invoiceUrl = await renderAndUploadInvoice(registration, invoiceNumber);
+
+  await updateDoc(doc(db, COLLECTIONS.REGISTRATIONS, registrationId), {
+    'invoice.invoiceUrl': invoiceUrl,
+    'invoice.invoiceNumber': invoiceNumber,
+    'invoice.status': INVOICE_STATUS.UPLOADED,
+    'invoice.generatedAt': serverTimestamp(),
+    'invoice.generatedBy': adminEmail || null,
+    updatedAt: serverTimestamp(),
+  });
+
+  // Merge so numbers reserved before the audit existed are recorded too
+  await setDoc(doc(db, COLLECTIONS.INVOICE_NUMBERS, invoiceNumber), {
+    invoiceNumber,
+    registrationId,
+    status: INVOICE_NUMBER_STATUS.ISSUED,
+    issuedAt: serverTimestamp(),
+    issuedBy: adminEmail || null,
+  }, { merge: true });
+
+  await logActivity({
+    type: isRegeneration ? ACTIVITY_TYPES.UPDATE : ACTIVITY_TYPES.CREATE,
+    entityType: ENTITY_TYPES.INVOICE,
+    entityId: invoiceNumber,
+    description: `${isRegeneration ? 'Regenerated' : 'Generated'} invoice ${invoiceNumber} for ${registration.registrationId}`,
+    adminId,
+    adminEmail,
+  });
+
+  return { invoiceNumber, invoiceUrl };
+}
+
+/**
+ * Voids a registration's current invoice and issues a replacement
+ * The voided file is overwritten with a copy stamped VOID, the old number is
+ * marked voided in the audit with a pointer to its replacement, and the new
+ * invoice must be sent again.
+ *
+ * @param {string} registrationId - Registration ID
+ * @param {string} reason - Reason for voiding, kept in the audit
+ * @param {string} adminId - Admin user ID performing the action
+ * @param {string} adminEmail - Admin email performing the action
+ * @returns {Promise<{ invoiceNumber: string, invoiceUrl: string }>} Replacement invoice
+ * @throws {Error} If there is no issued invoice, no reason, or generation fails
+ */
+export async function voidAndReissueInvoice(registrationId, reason, adminId, adminEmail) {
+  if (!reason?.trim()) {
+    throw new Error(INVOICE_ERROR_CODES.VOID_REASON_REQUIRED);
+  }
+
+  const registration = await getRegistrationWithInvoice(registrationId);
+  const { invoiceNumber: voidedNumber, invoiceUrl } = registration.invoice;
+
+  if (!voidedNumber || !invoiceUrl) {
+    throw new Error(INVOICE_ERROR_CODES.INVALID_STATUS);
+  }
+  if (registration.status !== REGISTRATION_STATUS.CONFIRMED) {
+    throw new Error(INVOICE_ERROR_CODES.REGISTRATION_NOT_CONFIRMED);
+  }
+
+  const voidedUrl = await renderAndUploadInvoice(registration, voidedNumber, { voided: true });
+  const invoiceNumber = await generateInvoiceNumber(registration, adminEmail, voidedNumber);
+  const newInvoiceUrl = await renderAndUploadInvoice(registration, invoiceNumber);
+
+  await setDoc(doc(db, COLLECTIONS.INVOICE_NUMBERS, voidedNumber), {
+    invoiceNumber: voidedNumber,
+    registrationId,
+    status: INVOICE_NUMBER_STATUS.VOIDED,
+    voidedAt: serverTimestamp(),
+    voidedBy: adminEmail || null,
+    voidReason: reason.trim(),
+    replacedBy: invoiceNumber,
+  }, { merge: true });
+
+  await updateDoc(doc(db, COLLECTIONS.INVOICE_NUMBERS, invoiceNumber), {
+    status: INVOICE_NUMBER_STATUS.ISSUED,
+    issuedAt: serverTimestamp(),
+    issuedBy: adminEmail || null,
+  });
+
+  await updateDoc(doc(db, COLLECTIONS.REGISTRATIONS, registrationId), {
+    'invoice.invoiceUrl': newInvoiceUrl,
+    'invoice.invoiceNumber': invoiceNumber,
+    'invoice.status': INVOICE_STATUS.UPLOADED,
+    'invoice.generatedAt': serverTimestamp(),
+    'invoice.generatedBy': adminEmail || null,
+    'invoice.sentAt': null,
+    'invoice.emailDeliveryStatus': null,
+    'invoice.voidedInvoices': arrayUnion({
+      invoiceNumber: voidedNumber,
+      invoiceUrl: voidedUrl,
+      reason: reason.trim(),
+      voidedAt: new Date().toISOString(),
+      voidedBy: adminEmail || null,
+    }),
+    updatedAt: serverTimestamp(),
+  });
+
+  await logActivity({
+    type: ACTIVITY_TYPES.UPDATE,
+    entityType: ENTITY_TYPES.INVOICE,
+    entityId: voidedNumber,
+    description: `Voided invoice ${voidedNumber} and reissued as ${invoiceNumber} for ${registration.registrationId}: ${reason.trim()}`,
+    adminId,
+    adminEmail,
+  });
+
+  return { invoiceNumber, invoiceUrl: newInvoiceUrl };
+}
+
+/**
+ * Gets every invoice number taken from the sequence for a registration
+ *
+ * @param {string} registrationId - Registration ID
+ * @returns {Promise<Array>} Invoice number audit entries, oldest first
+ */
+export async function getInvoiceNumberHistory(registrationId) {
+  const numbersQuery = query(
+    collection(db, COLLECTIONS.INVOICE_NUMBERS),
+    where('registrationId', '==', registrationId)
+  );
+  const snapshot = await getDocs(numbersQuery);
+
+  return snapshot.docs
+    .map((docSnap) => {
+      const data = docSnap.data();
+      return {
+        id: docSnap.id,
+        ...data,
+        reservedAt: data.reservedAt?.toDate?.() || null,
+        issuedAt: data.issuedAt?.toDate?.() || null,
+        voidedAt: data.voidedAt?.toDate?.() || null,
+      };
+    })
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
+
 /**
  * Gets count of invoice requests by status
  *
@@ -272,6 +545,7 @@ export async function getInvoiceRequestCounts() {
   // Query for all confirmed registrations with invoice requests
   const allInvoicesQuery = query(
     registrationsRef,
+    whereInEdition(await getActiveEditionId()),
     where('status', '==', REGISTRATION_STATUS.CONFIRMED),
     where('invoice.requested', '==', true)
   );
@@ -313,6 +587,7 @@ export async function searchInvoiceRequests(searchTerm) {
   // Get all invoice requests (limited to 100 for performance)
   const invoicesQuery = query(
     registrationsRef,
+    whereInEdition(await getActiveEditionId()),
     where('status', '==', REGISTRATION_STATUS.CONFIRMED),
     where('invoice.requested', '==', true),
     firestoreLimit(100)
@@ -21,10 +21,12 @@ import {
   startAfter,
   where,
   getCountFromServer,
+  increment,
 } from 'firebase/firestore';
 import { db } from '../lib/firebase';
 import { COLLECTIONS } from '../constants';
 import { logActivity, ACTIVITY_TYPES, ENTITY_TYPES } from './activityLog';
+import { getActiveEditionId, isInEdition, whereInEdition } from './editions';
 
 /**
  * Generic function to fetch all documents from a collection
@@ -251,7 +253,8 @@ export async function getSession(sessionId) {
 }
 
 /**
- * Creates or updates a session
+ * Creates or updates a session. Each save bumps calendarSequence so
+ * subscribed calendars (see the calendarFeed function) pick up the change.
  *
  * @param {string} sessionId - Session document ID
  * @param {Object} sessionData - Session data to save
@@ -263,7 +266,10 @@ export async function saveSession(sessionId, sessionData, adminId = null, adminE
   const existing = await getSession(sessionId);
   const isNew = !existing;
 
-  const result = await saveDocument(COLLECTIONS.SESSIONS, sessionId, sessionData);
+  const result = await saveDocument(COLLECTIONS.SESSIONS, sessionId, {
+    ...sessionData,
+    calendarSequence: (existing?.calendarSequence || 0) + (isNew ? 0 : 1),
+  });
 
   // Log the activity
   if (adminId && adminEmail) {
@@ -281,7 +287,7 @@ export async function saveSession(sessionId, sessionData, adminId = null, adminE
 }
 
 /**
- * Updates specific fields of a session
+ * Updates specific fields of a session and bumps its calendarSequence
  *
  * @param {string} sessionId - Session document ID
  * @param {Object} updates - Fields to update
@@ -290,7 +296,10 @@ export async function saveSession(sessionId, sessionData, adminId = null, adminE
  * @returns {Promise<void>}
  */
 export async function updateSession(sessionId, updates, adminId = null, adminEmail = null) {
-  await updateDocument(COLLECTIONS.SESSIONS, sessionId, updates);
+  await updateDocument(COLLECTIONS.SESSIONS, sessionId, {
+    ...updates,
+    calendarSequence: increment(1),
+  });
 
   // Log the activity
   if (adminId && adminEmail) {
@@ -337,7 +346,11 @@ export async function deleteSession(sessionId, adminId = null, adminEmail = null
  * @returns {Promise<Array>} Array of all FAQ items
  */
 export async function getAllFAQs() {
-  return getAllDocuments(COLLECTIONS.FAQ, 'order');
+  const [faqs, editionId] = await Promise.all([
+    getAllDocuments(COLLECTIONS.FAQ, 'order'),
+    getActiveEditionId(),
+  ]);
+  return faqs.filter((faq) => isInEdition(faq, editionId));
 }
 
 /**
@@ -360,10 +373,17 @@ export async function getFAQ(faqId) {
  * @returns {Promise<Object>} Saved FAQ data
  */
 export async function saveFAQ(faqId, faqData, adminId = null, adminEmail = null) {
-  const existing = await getFAQ(faqId);
+  const [existing, editionId] = await Promise.all([getFAQ(faqId), getActiveEditionId()]);
   const isNew = !existing;
 
-  const result = await saveDocument(COLLECTIONS.FAQ, faqId, faqData);
+  if (existing && !isInEdition(existing, editionId)) {
+    throw new Error('This FAQ ID is used by another conference edition. Please reword the question.');
+  }
+
+  const result = await saveDocument(COLLECTIONS.FAQ, faqId, {
+    ...faqData,
+    conferenceId: editionId,
+  });
 
   // Log the activity
   if (adminId && adminEmail) {
@@ -432,13 +452,18 @@ export async function deleteFAQ(faqId, adminId = null, adminEmail = null) {
 }
 
 /**
- * Fetches all registrations
+ * Fetches all registrations of an edition
  *
+ * @param {string} [editionId] - Edition to read (defaults to the active edition)
  * @returns {Promise<Array>} Array of all registrations
  */
-export async function getAllRegistrations() {
+export async function getAllRegistrations(editionId = null) {
   const collectionRef = collection(db, COLLECTIONS.REGISTRATIONS);
-  const orderedQuery = query(collectionRef, orderBy('createdAt', 'desc'));
+  const orderedQuery = query(
+    collectionRef,
+    whereInEdition(editionId || await getActiveEditionId()),
+    orderBy('createdAt', 'desc')
+  );
 
   const snapshot = await getDocs(orderedQuery);
 
@@ -455,11 +480,12 @@ export async function getAllRegistrations() {
  * @param {number} [options.pageSize=50] - Number of registrations per page
  * @param {Object} [options.lastDoc] - Last document for pagination cursor
  * @param {string} [options.status] - Filter by registration status
+ * @param {boolean} [options.emailBounced] - Only registrations whose email bounced
  * @returns {Promise<Object>} { registrations, lastDoc, hasMore }
  */
 export async function getRegistrations(options = {}) {
   try {
-    const { pageSize = 50, lastDoc, status } = options;
+    const { pageSize = 50, lastDoc, status, emailBounced } = options;
 
     const registrationsRef = collection(db, COLLECTIONS.REGISTRATIONS);
     const constraints = [orderBy('createdAt', 'desc'), limit(pageSize + 1)];
@@ -469,6 +495,12 @@ export async function getRegistrations(options = {}) {
       constraints.unshift(where('status', '==', status));
     }
 
+    if (emailBounced) {
+      constraints.unshift(where('emailBounced', '==', true));
+    }
+
+    constraints.unshift(whereInEdition(await getActiveEditionId()));
+
     // Add pagination cursor
     if (lastDoc) {
       constraints.push(startAfter(lastDoc));
@@ -481,7 +513,8 @@ export async function getRegistrations(options = {}) {
     const hasMore = docs.length > pageSize;
 
     // Remove the extra document used to check for more
-    const registrations = (hasMore ? docs.slice(0, -1) : docs).map((docSnapshot) => ({
+    const pageDocs = hasMore ? docs.slice(0, -1) : docs;
+    const registrations = pageDocs.map((docSnapshot) => ({
       id: docSnapshot.id,
       ...docSnapshot.data(),
       _doc: docSnapshot, // Keep reference for pagination cursor
@@ -489,7 +522,7 @@ export async function getRegistrations(options = {}) {
 
     return {
       registrations,
-      lastDoc: registrations.length > 0 ? registrations[registrations.length - 1]._doc : null,
+      lastDoc: pageDocs.length > 0 ? pageDocs[pageDocs.length - 1] : null,
       hasMore,
     };
   } catch (error) {
@@ -498,28 +531,48 @@ export async function getRegistrations(options = {}) {
   }
 }
 
+/**
+ * Counts the registrations of an edition, optionally narrowed by more
+ * constraints
+ *
+ * @param {string} editionId - Edition ID
+ * @param {...Object} constraints - Additional query constraints
+ * @returns {Promise<number>} Registration count
+ */
+async function countEditionRegistrations(editionId, ...constraints) {
+  const snapshot = await getCountFromServer(
+    query(collection(db, COLLECTIONS.REGISTRATIONS), whereInEdition(editionId), ...constraints)
+  );
+  return snapshot.data().count;
+}
+
 /**
  * Gets the total count of registrations with optional status filter
  *
  * @param {Object} filters - Optional filters
  * @param {string} [filters.status] - Filter by registration status
+ * @param {boolean} [filters.emailBounced] - Only registrations whose email bounced
  * @returns {Promise<Object>} Count object with total and by-status breakdown
  */
 export async function getRegistrationsCount(filters = {}) {
   try {
-    const registrationsRef = collection(db, COLLECTIONS.REGISTRATIONS);
+    const editionId = await getActiveEditionId();
 
     // Get total count
-    const totalSnapshot = await getCountFromServer(registrationsRef);
-    const total = totalSnapshot.data().count;
+    const total = await countEditionRegistrations(editionId);
 
-    // If a specific status filter is requested, get that count too
+    // If filters are requested, get the filtered count too
+    const filterConstraints = [];
+    if (filters.emailBounced) {
+      filterConstraints.push(where('emailBounced', '==', true));
+    }
     if (filters.status && filters.status !== 'all') {
-      const statusQuery = query(registrationsRef, where('status', '==', filters.status));
-      const statusSnapshot = await getCountFromServer(statusQuery);
+      filterConstraints.push(where('status', '==', filters.status));
+    }
+    if (filterConstraints.length > 0) {
       return {
         total,
-        filtered: statusSnapshot.data().count,
+        filtered: await countEditionRegistrations(editionId, ...filterConstraints),
       };
     }
 
@@ -538,11 +591,10 @@ export async function getRegistrationsCount(filters = {}) {
  */
 export async function getRegistrationsStatusCounts() {
   try {
-    const registrationsRef = collection(db, COLLECTIONS.REGISTRATIONS);
+    const editionId = await getActiveEditionId();
 
     // Get total count
-    const totalSnapshot = await getCountFromServer(registrationsRef);
-    const total = totalSnapshot.data().count;
+    const total = await countEditionRegistrations(editionId);
 
     // Get counts by status in parallel (including waitlist statuses)
     const statusValues = [
@@ -555,11 +607,10 @@ export async function getRegistrationsStatusCounts() {
       'waitlist_offered',
       'waitlist_expired',
     ];
-    const countPromises = statusValues.map(async (status) => {
-      const statusQuery = query(registrationsRef, where('status', '==', status));
-      const snapshot = await getCountFromServer(statusQuery);
-      return { status, count: snapshot.data().count };
-    });
+    const countPromises = statusValues.map(async (status) => ({
+      status,
+      count: await countEditionRegistrations(editionId, where('status', '==', status)),
+    }));
 
     const statusCounts = await Promise.all(countPromises);
 
@@ -631,6 +682,7 @@ export async function getRegistrationsStatusCounts() {
  * @param {string} searchQuery - Search query string
  * @param {Object} options - Search options
  * @param {string} [options.status] - Optional status filter
+ * @param {boolean} [options.emailBounced] - Only registrations whose email bounced
  * @returns {Promise<Array>} Array of matching registrations
  */
 export async function searchRegistrations(searchQuery, options = {}) {
@@ -647,7 +699,8 @@ export async function searchRegistrations(searchQuery, options = {}) {
     const registrationsRef = collection(db, COLLECTIONS.REGISTRATIONS);
 
     // Build base constraints
-    const baseConstraints = [];
+    const editionId = await getActiveEditionId();
+    const baseConstraints = [whereInEdition(editionId)];
     if (options.status && options.status !== 'all') {
       baseConstraints.push(where('status', '==', options.status));
     }
@@ -712,7 +765,8 @@ export async function searchRegistrations(searchQuery, options = {}) {
       const docSnap = await getDoc(docRef);
       if (docSnap.exists()) {
         const data = docSnap.data();
-        if (!options.status || options.status === 'all' || data.status === options.status) {
+        if (isInEdition(data, editionId) &&
+            (!options.status || options.status === 'all' || data.status === options.status)) {
           results.set(docSnap.id, { id: docSnap.id, ...data });
         }
       }
@@ -763,12 +817,14 @@ export async function searchRegistrations(searchQuery, options = {}) {
       });
     }
 
-    // Convert Map to array and sort by createdAt desc
-    return Array.from(results.values()).sort((a, b) => {
-      const dateA = a.createdAt?.toDate?.() || new Date(a.createdAt || 0);
-      const dateB = b.createdAt?.toDate?.() || new Date(b.createdAt || 0);
-      return dateB - dateA;
-    });
+    // Convert Map to array, apply the bounce filter and sort by createdAt desc
+    return Array.from(results.values())
+      .filter((registration) => !options.emailBounced || registration.emailBounced === true)
+      .sort((a, b) => {
+        const dateA = a.createdAt?.toDate?.() || new Date(a.createdAt || 0);
+        const dateB = b.createdAt?.toDate?.() || new Date(b.createdAt || 0);
+        return dateB - dateA;
+      });
   } catch (error) {
     console.error('Failed to search registrations:', error);
     return [];
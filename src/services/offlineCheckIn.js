@@ -0,0 +1,810 @@
+/**
+ * Offline Check-in Service
+ * Keeps check-in stations working when the venue connection drops.
+ * Caches a roster of confirmed registrations, queues check-ins made while
+ * offline, and syncs the queue with conflict detection when the connection returns.
+ * The roster expires after a day and is cleared on logout and when the
+ * active edition changes, so attendee details do not stay on shared devices.
+ *
+ * @module services/offlineCheckIn
+ */
+
+import {
+  collection,
+  doc,
+  getDocs,
+  addDoc,
+  query,
+  where,
+  serverTimestamp,
+  runTransaction,
+  Timestamp,
+} from 'firebase/firestore';
+import { db } from '../lib/firebase';
+import { COLLECTIONS, REGISTRATION_STATUS } from '../constants';
+import { logActivity, ACTIVITY_TYPES, ENTITY_TYPES } from './activityLog';
+import { getActiveEditionId, whereInEdition } from './editions';
+import { CHECK_IN_ROSTER_MAX_AGE_MS, isCachedRosterCurrent } from '../utils/offlineRoster';
+import {
+  CHECK_IN_METHODS,
+  CHECK_IN_ERROR_CODES,
+  getRegistrationForCheckIn,
+  searchRegistrations,
+  checkInAttendee,
+  validateCheckInEligibility,
+  validateAttendeeCheckInEligibility,
+  getAttendeeByIndex,
+  getAttendeeCheckInStatus,
+} from './checkin';
+
+/**
+ * localStorage keys used by check-in stations
+ */
+const ROSTER_STORAGE_KEY = 'idmc_checkin_roster';
+const QUEUE_STORAGE_KEY = 'idmc_checkin_queue';
+const CONFLICTS_STORAGE_KEY = 'idmc_checkin_conflicts';
+const STATION_STORAGE_KEY = 'idmc_checkin_station_id';
+const LAST_SYNC_STORAGE_KEY = 'idmc_checkin_last_sync';
+
+/**
+ * Registration fields kept in the cached roster
+ */
+const ROSTER_FIELDS = [
+  'registrationId',
+  'shortCode',
+  'shortCodeSuffix',
+  'status',
+  'primaryAttendee',
+  'additionalAttendees',
+  'church',
+  'pricingTier',
+  'category',
+  'checkedIn',
+  'checkedInAt',
+  'checkedInBy',
+  'checkedInByName',
+  'checkInMethod',
+  'attendeeCheckIns',
+];
+
+/**
+ * Firestore error codes that mean the station could not reach the server
+ */
+const NETWORK_ERROR_CODES = ['unavailable', 'deadline-exceeded'];
+
+/**
+ * Listeners notified when the queue, conflicts, or roster change
+ */
+const listeners = new Set();
+
+/**
+ * Whether a sync is currently running
+ */
+let isSyncing = false;
+
+/**
+ * Reads a JSON value from localStorage
+ *
+ * @param {string} key - Storage key
+ * @param {*} fallback - Value returned when missing or unreadable
+ * @returns {*} Parsed value
+ */
+function readStorage(key, fallback) {
+  try {
+    const stored = localStorage.getItem(key);
+    return stored ? JSON.parse(stored) : fallback;
+  } catch (error) {
+    console.error(`Failed to read ${key} from storage:`, error);
+    return fallback;
+  }
+}
+
+/**
+ * Writes a JSON value to localStorage and notifies listeners
+ *
+ * @param {string} key - Storage key
+ * @param {*} value - Value to store
+ */
+function writeStorage(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.error(`Failed to write ${key} to storage:`, error);
+  }
+  notifyListeners();
+}
+
+/**
+ * Removes a value from localStorage
+ *
+ * @param {string} key - Storage key
+ */
+function removeStorage(key) {
+  try {
+    localStorage.removeItem(key);
+  } catch (error) {
+    console.error(`Failed to remove ${key} from storage:`, error);
+  }
+}
+
+/**
+ * Converts Firestore Timestamps to milliseconds so data can be stored as JSON
+ *
+ * @param {*} value - Value to convert
+ * @returns {*} JSON-safe value
+ */
+function toCacheable(value) {
+  if (value && typeof value.toMillis === 'function') {
+    return value.toMillis();
+  }
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  if (Array.isArray(value)) {
+    return value.map(toCacheable);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, entry]) => [key, toCacheable(entry)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Reduces a registration to the fields needed for check-in
+ *
+ * @param {Object} registration - Registration document
+ * @returns {Object} Cacheable roster entry
+ */
+function toRosterEntry(registration) {
+  const entry = { id: registration.id };
+  ROSTER_FIELDS.forEach((field) => {
+    if (registration[field] !== undefined) {
+      entry[field] = toCacheable(registration[field]);
+    }
+  });
+  return entry;
+}
+
+/**
+ * Gets the display name of an attendee
+ *
+ * @param {Object} registration - Registration document
+ * @param {number} attendeeIndex - Index of the attendee
+ * @returns {string} Attendee name
+ */
+function getAttendeeName(registration, attendeeIndex) {
+  const attendee = getAttendeeByIndex(registration, attendeeIndex);
+  return `${attendee?.firstName || ''} ${attendee?.lastName || ''}`.trim();
+}
+
+/**
+ * Gets the attendee indexes covered by a check-in
+ *
+ * @param {Object} registration - Registration document
+ * @param {number|null} attendeeIndex - Attendee index, or null for all attendees
+ * @returns {Array<number>} Attendee indexes
+ */
+function getTargetIndexes(registration, attendeeIndex) {
+  if (typeof attendeeIndex === 'number') {
+    return [attendeeIndex];
+  }
+  const totalAttendees = 1 + (registration?.additionalAttendees?.length || 0);
+  return Array.from({ length: totalAttendees }, (_, index) => index);
+}
+
+/**
+ * Removes undefined fields, which Firestore rejects
+ *
+ * @param {Object} value - Plain object
+ * @returns {Object} Object without undefined fields
+ */
+function withoutUndefined(value) {
+  return Object.fromEntries(Object.entries(value).filter(([, entry]) => entry !== undefined));
+}
+
+/**
+ * Notifies subscribers of the current station status
+ */
+function notifyListeners() {
+  const status = getOfflineCheckInStatus();
+  listeners.forEach((callback) => {
+    try {
+      callback(status);
+    } catch (error) {
+      console.error('Offline check-in listener failed:', error);
+    }
+  });
+}
+
+/**
+ * Checks whether the browser reports a network connection
+ *
+ * @returns {boolean} True if online
+ */
+export function isStationOnline() {
+  return typeof navigator === 'undefined' || navigator.onLine !== false;
+}
+
+/**
+ * Checks whether an error means the server could not be reached
+ *
+ * @param {Error} error - Error thrown by Firestore
+ * @returns {boolean} True for connectivity errors
+ */
+export function isNetworkError(error) {
+  if (!error) {
+    return false;
+  }
+  if (NETWORK_ERROR_CODES.includes(error.code)) {
+    return true;
+  }
+  return /offline|network/i.test(error.message || '');
+}
+
+/**
+ * Gets this browser's check-in station ID, creating one on first use
+ *
+ * @returns {string} Station ID (e.g., STATION-7K2Q)
+ */
+export function getStationId() {
+  let stationId = localStorage.getItem(STATION_STORAGE_KEY);
+  if (!stationId) {
+    const suffix = Math.random().toString(36).slice(2, 6).toUpperCase();
+    stationId = `STATION-${suffix}`;
+    localStorage.setItem(STATION_STORAGE_KEY, stationId);
+  }
+  return stationId;
+}
+
+/**
+ * Downloads confirmed registrations into the local roster cache
+ *
+ * @returns {Promise<number>} Number of registrations cached
+ */
+export async function cacheCheckInRoster() {
+  const confirmedQuery = query(
+    collection(db, COLLECTIONS.REGISTRATIONS),
+    whereInEdition(await getActiveEditionId()),
+    where('status', '==', REGISTRATION_STATUS.CONFIRMED)
+  );
+  const snapshot = await getDocs(confirmedQuery);
+
+  const registrations = {};
+  snapshot.forEach((docSnap) => {
+    registrations[docSnap.id] = toRosterEntry({ id: docSnap.id, ...docSnap.data() });
+  });
+
+  // Re-apply check-ins that are still waiting to sync
+  getCheckInQueue().forEach((entry) => {
+    if (registrations[entry.registrationId]) {
+      registrations[entry.registrationId] = applyLocalCheckIn(registrations[entry.registrationId], entry);
+    }
+  });
+
+  const cachedAt = Date.now();
+  writeStorage(ROSTER_STORAGE_KEY, {
+    cachedAt,
+    expiresAt: cachedAt + CHECK_IN_ROSTER_MAX_AGE_MS,
+    registrations,
+  });
+  return Object.keys(registrations).length;
+}
+
+/**
+ * Gets the cached roster. An expired roster is cleared and not returned.
+ *
+ * @returns {{cachedAt: number|null, registrations: Object}} Cached roster keyed by registration ID
+ */
+export function getCachedRoster() {
+  const roster = readStorage(ROSTER_STORAGE_KEY, null);
+  if (roster && !isCachedRosterCurrent(roster)) {
+    removeStorage(ROSTER_STORAGE_KEY);
+    return { cachedAt: null, registrations: {} };
+  }
+  return roster || { cachedAt: null, registrations: {} };
+}
+
+/**
+ * Removes the cached roster from this device. Queued check-ins are kept
+ * so they can still be synced.
+ */
+export function clearCheckInRoster() {
+  removeStorage(ROSTER_STORAGE_KEY);
+  notifyListeners();
+}
+
+/**
+ * Replaces one registration in the cached roster
+ *
+ * @param {Object} registration - Registration document
+ */
+function updateCachedRegistration(registration) {
+  const roster = getCachedRoster();
+  if (!roster.cachedAt || !registration?.id) {
+    return;
+  }
+  roster.registrations[registration.id] = toRosterEntry(registration);
+  writeStorage(ROSTER_STORAGE_KEY, roster);
+}
+
+/**
+ * Gets a registration from the cached roster
+ *
+ * @param {string} registrationId - Registration ID
+ * @returns {Object|null} Cached registration or null
+ */
+export function getCachedRegistration(registrationId) {
+  return getCachedRoster().registrations[registrationId] || null;
+}
+
+/**
+ * Searches the cached roster by name, email, phone, short code, or registration ID
+ *
+ * @param {string} searchTerm - Search query
+ * @returns {Array} Matching cached registrations
+ */
+export function searchCachedRegistrations(searchTerm) {
+  if (!searchTerm || searchTerm.trim().length < 2) {
+    return [];
+  }
+
+  const normalizedTerm = searchTerm.trim().toLowerCase().replace(/\s+/g, ' ');
+  const upperTerm = normalizedTerm.toUpperCase();
+  const phoneTerm = normalizedTerm.replace(/[\s-]/g, '');
+
+  return Object.values(getCachedRoster().registrations)
+    .filter((registration) => {
+      const attendees = [registration.primaryAttendee, ...(registration.additionalAttendees || [])];
+      if (registration.id === upperTerm || registration.shortCode === upperTerm ||
+          registration.shortCodeSuffix === upperTerm) {
+        return true;
+      }
+      return attendees.some((attendee) => {
+        const fullName = `${attendee?.firstName || ''} ${attendee?.lastName || ''}`
+          .toLowerCase().trim().replace(/\s+/g, ' ');
+        const phone = (attendee?.cellphone || '').replace(/[\s-]/g, '');
+        return (
+          (normalizedTerm.length >= 3 && fullName.includes(normalizedTerm)) ||
+          (attendee?.email || '').toLowerCase() === normalizedTerm ||
+          (phoneTerm.length >= 3 && phone.includes(phoneTerm))
+        );
+      });
+    })
+    .slice(0, 20);
+}
+
+/**
+ * Looks up a registration for check-in, falling back to the cached roster when offline
+ *
+ * @param {string} registrationId - Registration ID
+ * @returns {Promise<{registration: Object|null, fromCache: boolean}>} Registration and its source
+ */
+export async function lookupRegistrationForCheckIn(registrationId) {
+  if (isStationOnline()) {
+    try {
+      const registration = await getRegistrationForCheckIn(registrationId);
+      if (registration) {
+        updateCachedRegistration(registration);
+      }
+      return { registration, fromCache: false };
+    } catch (error) {
+      if (!isNetworkError(error)) {
+        throw error;
+      }
+      console.error('Registration lookup failed, using cached roster:', error);
+    }
+  }
+  return { registration: getCachedRegistration(registrationId), fromCache: true };
+}
+
+/**
+ * Searches registrations, falling back to the cached roster when offline
+ *
+ * @param {string} searchTerm - Search query
+ * @returns {Promise<{results: Array, fromCache: boolean}>} Matching registrations and their source
+ */
+export async function searchRegistrationsForCheckIn(searchTerm) {
+  if (isStationOnline()) {
+    try {
+      return { results: await searchRegistrations(searchTerm), fromCache: false };
+    } catch (error) {
+      if (!isNetworkError(error)) {
+        throw error;
+      }
+      console.error('Registration search failed, using cached roster:', error);
+    }
+  }
+  return { results: searchCachedRegistrations(searchTerm), fromCache: true };
+}
+
+/**
+ * Gets check-ins waiting to be synced
+ *
+ * @returns {Array} Queued check-ins, oldest first
+ */
+export function getCheckInQueue() {
+  return readStorage(QUEUE_STORAGE_KEY, []);
+}
+
+/**
+ * Gets sync conflicts that have not been dismissed
+ *
+ * @returns {Array} Conflicts, newest first
+ */
+export function getCheckInConflicts() {
+  return readStorage(CONFLICTS_STORAGE_KEY, []);
+}
+
+/**
+ * Dismisses a sync conflict after staff have reviewed it
+ *
+ * @param {string} conflictId - Conflict ID
+ */
+export function dismissCheckInConflict(conflictId) {
+  writeStorage(
+    CONFLICTS_STORAGE_KEY,
+    getCheckInConflicts().filter((conflict) => conflict.id !== conflictId)
+  );
+}
+
+/**
+ * Gets the station's current offline check-in status
+ *
+ * @returns {Object} Station status
+ */
+export function getOfflineCheckInStatus() {
+  const roster = getCachedRoster();
+  return {
+    stationId: getStationId(),
+    isOnline: isStationOnline(),
+    isSyncing,
+    pendingCount: getCheckInQueue().length,
+    conflicts: getCheckInConflicts(),
+    rosterCachedAt: roster.cachedAt,
+    rosterCount: Object.keys(roster.registrations).length,
+    lastSyncedAt: readStorage(LAST_SYNC_STORAGE_KEY, null),
+  };
+}
+
+/**
+ * Subscribes to station status changes (queue, conflicts, roster, connectivity)
+ *
+ * @param {Function} callback - Called with the station status
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToOfflineCheckInStatus(callback) {
+  const handleConnectivityChange = () => callback(getOfflineCheckInStatus());
+
+  listeners.add(callback);
+  window.addEventListener('online', handleConnectivityChange);
+  window.addEventListener('offline', handleConnectivityChange);
+  callback(getOfflineCheckInStatus());
+
+  return () => {
+    listeners.delete(callback);
+    window.removeEventListener('online', handleConnectivityChange);
+    window.removeEventListener('offline', handleConnectivityChange);
+  };
+}
+
+/**
+ * Marks attendees as checked in on a cached registration
+ *
+ * @param {Object} registration - Cached registration
+ * @param {Object} entry - Queued check-in
+ * @returns {Object} Updated registration
+ */
+function applyLocalCheckIn(registration, entry) {
+  const totalAttendees = 1 + (registration.additionalAttendees?.length || 0);
+  const indexes = getTargetIndexes(registration, entry.attendeeIndex);
+  const attendeeCheckIns = [];
+
+  for (let i = 0; i < totalAttendees; i++) {
+    if (indexes.includes(i)) {
+      attendeeCheckIns.push({
+        checkedIn: true,
+        checkedInAt: entry.checkedInAt,
+        checkedInBy: entry.adminId,
+        checkedInByName: entry.adminName || null,
+        checkInMethod: entry.method,
+        stationId: entry.stationId,
+        pendingSync: true,
+      });
+    } else {
+      attendeeCheckIns.push(getAttendeeCheckInStatus(registration, i) || { checkedIn: false });
+    }
+  }
+
+  const allCheckedIn = attendeeCheckIns.every((checkIn) => checkIn.checkedIn === true);
+  return {
+    ...registration,
+    attendeeCheckIns,
+    checkedIn: allCheckedIn,
+    checkedInAt: allCheckedIn ? entry.checkedInAt : registration.checkedInAt,
+  };
+}
+
+/**
+ * Records a check-in locally to be synced when the connection returns
+ *
+ * @param {Object} registration - Registration being checked in
+ * @param {Object} checkInData - Check-in details
+ * @param {string} checkInData.adminId - Admin user ID performing check-in
+ * @param {string} checkInData.adminName - Admin display name
+ * @param {string} checkInData.adminEmail - Admin email for activity logging
+ * @param {string} checkInData.method - Check-in method (qr or manual)
+ * @param {number|null} [checkInData.attendeeIndex] - Attendee index, or null for all attendees
+ * @returns {Object} Registration with the local check-in applied
+ * @throws {Error} If the attendee is not eligible according to the cached roster
+ */
+export function queueCheckIn(registration, checkInData) {
+  const { adminId, adminName, adminEmail, method, attendeeIndex = null } = checkInData;
+
+  const validation = typeof attendeeIndex === 'number'
+    ? validateAttendeeCheckInEligibility(registration, attendeeIndex)
+    : validateCheckInEligibility(registration);
+  if (!validation.valid) {
+    const error = new Error(validation.message);
+    error.code = validation.errorCode;
+    error.registration = registration;
+    throw error;
+  }
+
+  const entry = {
+    id: `${registration.id}-${attendeeIndex ?? 'all'}-${Date.now()}`,
+    registrationId: registration.id,
+    attendeeIndex: typeof attendeeIndex === 'number' ? attendeeIndex : null,
+    attendeeName: typeof attendeeIndex === 'number'
+      ? getAttendeeName(registration, attendeeIndex)
+      : getAttendeeName(registration, 0),
+    adminId,
+    adminName: adminName || null,
+    adminEmail: adminEmail || null,
+    method: method || CHECK_IN_METHODS.MANUAL,
+    stationId: getStationId(),
+    checkedInAt: Date.now(),
+  };
+
+  const updatedRegistration = applyLocalCheckIn(registration, entry);
+  const roster = getCachedRoster();
+  if (roster.registrations[registration.id]) {
+    roster.registrations[registration.id] = toRosterEntry(updatedRegistration);
+    writeStorage(ROSTER_STORAGE_KEY, roster);
+  }
+  writeStorage(QUEUE_STORAGE_KEY, [...getCheckInQueue(), entry]);
+
+  return {
+    ...updatedRegistration,
+    lastCheckedInAttendee: {
+      index: entry.attendeeIndex,
+      name: entry.attendeeName,
+    },
+  };
+}
+
+/**
+ * Checks in online when possible and queues the check-in when the station is offline
+ *
+ * @param {Object} registration - Registration being checked in
+ * @param {Object} checkInData - Check-in details (see queueCheckIn)
+ * @returns {Promise<{registration: Object, queued: boolean}>} Updated registration and whether it was queued
+ * @throws {Error} If the attendee is not eligible
+ */
+export async function checkInWithOfflineSupport(registration, checkInData) {
+  if (isStationOnline()) {
+    try {
+      const result = await checkInAttendee(registration.id, {
+        ...checkInData,
+        stationId: getStationId(),
+      });
+      updateCachedRegistration(result);
+      return { registration: result, queued: false };
+    } catch (error) {
+      if (!isNetworkError(error)) {
+        throw error;
+      }
+      console.error('Check-in failed to reach the server, queueing:', error);
+    }
+  }
+  return { registration: queueCheckIn(registration, checkInData), queued: true };
+}
+
+/**
+ * Applies one queued check-in to Firestore.
+ * The registration is re-read inside a transaction so a check-in made by another
+ * station in the meantime is never overwritten; those attendees become conflicts.
+ *
+ * @param {Object} entry - Queued check-in
+ * @returns {Promise<{applied: Array<number>, conflicts: Array<Object>}>} Applied indexes and conflicts
+ */
+async function syncQueuedCheckIn(entry) {
+  const docRef = doc(db, COLLECTIONS.REGISTRATIONS, entry.registrationId);
+
+  const outcome = await runTransaction(db, async (transaction) => {
+    const snapshot = await transaction.get(docRef);
+    if (!snapshot.exists()) {
+      return {
+        registration: null,
+        applied: [],
+        conflicts: [{ attendeeIndex: entry.attendeeIndex, reason: 'Registration no longer exists' }],
+      };
+    }
+
+    const registration = { id: snapshot.id, ...snapshot.data() };
+    if (registration.status !== REGISTRATION_STATUS.CONFIRMED) {
+      return {
+        registration,
+        applied: [],
+        conflicts: [{
+          attendeeIndex: entry.attendeeIndex,
+          attendeeName: entry.attendeeName,
+          reason: `Registration is now ${registration.status}`,
+        }],
+      };
+    }
+
+    const totalAttendees = 1 + (registration.additionalAttendees?.length || 0);
+    const checkedInAt = Timestamp.fromMillis(entry.checkedInAt);
+    const applied = [];
+    const conflicts = [];
+    const attendeeCheckIns = [];
+
+    for (let i = 0; i < totalAttendees; i++) {
+      const current = withoutUndefined(getAttendeeCheckInStatus(registration, i) || { checkedIn: false });
+      const isTarget = getTargetIndexes(registration, entry.attendeeIndex).includes(i);
+
+      if (isTarget && current.checkedIn) {
+        // Same station and admin means an earlier attempt already reached the server
+        const isOwnCheckIn = current.stationId === entry.stationId && current.checkedInBy === entry.adminId;
+        if (!isOwnCheckIn) {
+          conflicts.push({
+            attendeeIndex: i,
+            attendeeName: getAttendeeName(registration, i),
+            reason: 'Already checked in at another station',
+            remoteCheckedInAt: toCacheable(current.checkedInAt) || null,
+            remoteCheckedInByName: current.checkedInByName || null,
+            remoteStationId: current.stationId || null,
+          });
+        }
+        attendeeCheckIns.push(current);
+      } else if (isTarget) {
+        applied.push(i);
+        attendeeCheckIns.push({
+          checkedIn: true,
+          checkedInAt,
+          checkedInBy: entry.adminId,
+          checkedInByName: entry.adminName || null,
+          checkInMethod: entry.method,
+          stationId: entry.stationId,
+        });
+      } else {
+        attendeeCheckIns.push(current);
+      }
+    }
+
+    if (applied.length > 0) {
+      const allCheckedIn = attendeeCheckIns.every((checkIn) => checkIn.checkedIn === true);
+      const updateData = { attendeeCheckIns, updatedAt: serverTimestamp() };
+      if (allCheckedIn) {
+        updateData.checkedIn = true;
+        updateData.checkedInAt = checkedInAt;
+        updateData.checkedInBy = entry.adminId;
+        updateData.checkedInByName = entry.adminName || null;
+        updateData.checkInMethod = entry.method;
+      }
+      transaction.update(docRef, updateData);
+    }
+
+    return { registration: { ...registration, attendeeCheckIns }, applied, conflicts };
+  });
+
+  const { registration, applied, conflicts } = outcome;
+
+  for (const attendeeIndex of applied) {
+    const attendee = getAttendeeByIndex(registration, attendeeIndex);
+    await addDoc(collection(db, COLLECTIONS.CHECK_IN_LOGS), {
+      registrationId: entry.registrationId,
+      attendeeIndex,
+      attendeeName: getAttendeeName(registration, attendeeIndex),
+      attendeeEmail: attendee?.email || '',
+      category: registration.pricingTier || 'standard',
+      church: registration.church?.name || null,
+      checkedInAt: Timestamp.fromMillis(entry.checkedInAt),
+      checkedInBy: entry.adminId,
+      checkedInByName: entry.adminName || null,
+      checkInMethod: entry.method,
+      stationId: entry.stationId,
+      attendeeCount: 1,
+      offline: true,
+      syncedAt: serverTimestamp(),
+      createdAt: serverTimestamp(),
+    });
+  }
+
+  if (applied.length > 0) {
+    await logActivity({
+      type: ACTIVITY_TYPES.CHECKIN,
+      entityType: ENTITY_TYPES.REGISTRATION,
+      entityId: entry.registrationId,
+      description: `Synced offline check-in of ${applied.length} attendee(s) from ${entry.stationId}: ${entry.attendeeName}`,
+      adminId: entry.adminId,
+      adminEmail: entry.adminEmail || 'Unknown',
+    });
+  }
+
+  if (registration) {
+    updateCachedRegistration(registration);
+  }
+
+  return { applied, conflicts };
+}
+
+/**
+ * Syncs queued check-ins with Firestore, oldest first.
+ * Entries that fail because the connection dropped again stay in the queue.
+ *
+ * @returns {Promise<{synced: number, conflicts: number, remaining: number}>} Sync summary
+ */
+export async function syncCheckInQueue() {
+  if (isSyncing || !isStationOnline()) {
+    return { synced: 0, conflicts: 0, remaining: getCheckInQueue().length };
+  }
+
+  isSyncing = true;
+  notifyListeners();
+
+  let synced = 0;
+  let conflictCount = 0;
+  let interrupted = false;
+
+  try {
+    for (const entry of getCheckInQueue()) {
+      let result;
+      try {
+        result = await syncQueuedCheckIn(entry);
+      } catch (error) {
+        if (isNetworkError(error)) {
+          console.error('Connection lost while syncing check-ins:', error);
+          interrupted = true;
+          break;
+        }
+        console.error('Failed to sync queued check-in:', error);
+        result = {
+          applied: [],
+          conflicts: [{
+            attendeeIndex: entry.attendeeIndex,
+            attendeeName: entry.attendeeName,
+            reason: error.message || CHECK_IN_ERROR_CODES.UPDATE_FAILED,
+          }],
+        };
+      }
+
+      if (result.conflicts.length > 0) {
+        const newConflicts = result.conflicts.map((conflict, index) => ({
+          id: `${entry.id}-${index}`,
+          registrationId: entry.registrationId,
+          attendeeName: entry.attendeeName,
+          localCheckedInAt: entry.checkedInAt,
+          localCheckedInByName: entry.adminName,
+          ...conflict,
+        }));
+        writeStorage(CONFLICTS_STORAGE_KEY, [...newConflicts, ...getCheckInConflicts()]);
+        conflictCount += newConflicts.length;
+      }
+
+      synced += 1;
+      writeStorage(QUEUE_STORAGE_KEY, getCheckInQueue().filter((queued) => queued.id !== entry.id));
+    }
+
+    if (!interrupted) {
+      writeStorage(LAST_SYNC_STORAGE_KEY, Date.now());
+    }
+  } finally {
+    isSyncing = false;
+    notifyListeners();
+  }
+
+  return { synced, conflicts: conflictCount, remaining: getCheckInQueue().length };
+}
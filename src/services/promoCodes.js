@@ -0,0 +1,420 @@
+/**
+ * Promo Codes Service
+ * Handles CRUD operations for registration promo codes, validation of codes
+ * entered at registration, and per-code redemption reports.
+ *
+ * @module services/promoCodes
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  query,
+  where,
+  orderBy,
+  serverTimestamp,
+} from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from '../lib/firebase';
+import { COLLECTIONS, PROMO_DISCOUNT_TYPES, REGISTRATION_STATUS } from '../constants';
+import { logActivity, ACTIVITY_TYPES, ENTITY_TYPES } from './activityLog';
+
+/**
+ * Error codes for promo code operations
+ */
+export const PROMO_CODE_ERROR_CODES = {
+  NOT_FOUND: 'PROMO_CODE_NOT_FOUND',
+  DUPLICATE_CODE: 'DUPLICATE_PROMO_CODE',
+  INVALID_DATA: 'INVALID_DATA',
+  INACTIVE: 'PROMO_CODE_INACTIVE',
+  EXPIRED: 'PROMO_CODE_EXPIRED',
+  MAX_REDEMPTIONS_REACHED: 'PROMO_CODE_MAX_REDEMPTIONS_REACHED',
+  NOT_APPLICABLE: 'PROMO_CODE_NOT_APPLICABLE',
+};
+
+/**
+ * User-facing messages for promo code validation errors
+ */
+const PROMO_CODE_ERROR_MESSAGES = {
+  [PROMO_CODE_ERROR_CODES.NOT_FOUND]: 'This promo code does not exist.',
+  [PROMO_CODE_ERROR_CODES.INACTIVE]: 'This promo code is no longer active.',
+  [PROMO_CODE_ERROR_CODES.EXPIRED]: 'This promo code has expired.',
+  [PROMO_CODE_ERROR_CODES.MAX_REDEMPTIONS_REACHED]: 'This promo code has reached its usage limit.',
+  [PROMO_CODE_ERROR_CODES.NOT_APPLICABLE]: 'This promo code does not apply to the selected categories.',
+};
+
+/**
+ * Creates a promo code validation error with a user-facing message
+ *
+ * @param {string} code - Error code from PROMO_CODE_ERROR_CODES
+ * @returns {Error} Error with code property
+ */
+function createPromoCodeError(code) {
+  const error = new Error(PROMO_CODE_ERROR_MESSAGES[code] || code);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Normalizes a promo code for storage and lookup (trimmed, uppercase)
+ *
+ * @param {string} code - Promo code as entered
+ * @returns {string} Normalized promo code
+ */
+export function normalizePromoCode(code) {
+  return (code || '').trim().toUpperCase();
+}
+
+/**
+ * Validates promo code form data
+ *
+ * @param {Object} promoData - Promo code data
+ * @returns {boolean} True if the discount settings are valid
+ */
+function isValidPromoData(promoData) {
+  const discountValue = Number(promoData.discountValue);
+
+  if (!Object.values(PROMO_DISCOUNT_TYPES).includes(promoData.discountType)) {
+    return false;
+  }
+
+  if (!Number.isFinite(discountValue) || discountValue <= 0) {
+    return false;
+  }
+
+  if (promoData.discountType === PROMO_DISCOUNT_TYPES.PERCENTAGE && discountValue > 100) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Gets all promo codes, newest first
+ *
+ * @returns {Promise<Array>} Array of promo code objects
+ */
+export async function getAllPromoCodes() {
+  const promoCodesRef = collection(db, COLLECTIONS.PROMO_CODES);
+  const promoQuery = query(promoCodesRef, orderBy('createdAt', 'desc'));
+
+  const snapshot = await getDocs(promoQuery);
+  return snapshot.docs.map((docSnap) => ({
+    id: docSnap.id,
+    ...docSnap.data(),
+  }));
+}
+
+/**
+ * Gets a promo code by its code
+ *
+ * @param {string} code - Promo code (case-insensitive)
+ * @returns {Promise<Object|null>} Promo code object or null
+ */
+export async function getPromoCodeByCode(code) {
+  const normalizedCode = normalizePromoCode(code);
+  if (!normalizedCode) {
+    return null;
+  }
+
+  const docRef = doc(db, COLLECTIONS.PROMO_CODES, normalizedCode);
+  const snapshot = await getDoc(docRef);
+
+  if (!snapshot.exists()) {
+    return null;
+  }
+
+  return {
+    id: snapshot.id,
+    ...snapshot.data(),
+  };
+}
+
+/**
+ * Creates a new promo code. The normalized code is used as the document ID
+ * so codes are unique and can be looked up directly at registration.
+ *
+ * @param {Object} promoData - Promo code data
+ * @param {string} promoData.code - The code registrants enter
+ * @param {string} promoData.description - Internal description (optional)
+ * @param {string} promoData.discountType - Discount type from PROMO_DISCOUNT_TYPES
+ * @param {number} promoData.discountValue - Percentage (1-100) or fixed peso amount
+ * @param {number|null} promoData.maxRedemptions - Usage cap (null for unlimited)
+ * @param {string|null} promoData.expiresAt - Last valid date (YYYY-MM-DD, optional)
+ * @param {Array<string>} promoData.allowedCategories - Pricing tier IDs (empty for all)
+ * @param {boolean} promoData.isActive - Active status (default: true)
+ * @param {string} adminId - Admin user ID performing the action
+ * @param {string} adminEmail - Admin email performing the action
+ * @returns {Promise<string>} Created promo code
+ */
+export async function createPromoCode(promoData, adminId, adminEmail) {
+  const {
+    code,
+    description = '',
+    discountType,
+    discountValue,
+    maxRedemptions = null,
+    expiresAt = null,
+    allowedCategories = [],
+    isActive = true,
+  } = promoData;
+
+  const normalizedCode = normalizePromoCode(code);
+
+  // Validation
+  if (!normalizedCode || !/^[A-Z0-9_-]+$/.test(normalizedCode) || !isValidPromoData(promoData)) {
+    throw new Error(PROMO_CODE_ERROR_CODES.INVALID_DATA);
+  }
+
+  const docRef = doc(db, COLLECTIONS.PROMO_CODES, normalizedCode);
+  const existing = await getDoc(docRef);
+
+  if (existing.exists()) {
+    throw new Error(PROMO_CODE_ERROR_CODES.DUPLICATE_CODE);
+  }
+
+  await setDoc(docRef, {
+    code: normalizedCode,
+    description,
+    discountType,
+    discountValue: Number(discountValue),
+    maxRedemptions: maxRedemptions ? Number(maxRedemptions) : null,
+    redemptionCount: 0,
+    totalDiscount: 0,
+    expiresAt: expiresAt || null,
+    allowedCategories,
+    isActive,
+    createdAt: serverTimestamp(),
+    createdBy: adminEmail,
+    updatedAt: serverTimestamp(),
+    updatedBy: adminEmail,
+  });
+
+  await logActivity({
+    type: ACTIVITY_TYPES.CREATE,
+    entityType: ENTITY_TYPES.PROMO_CODE,
+    entityId: normalizedCode,
+    description: `Created promo code: ${normalizedCode}`,
+    adminId,
+    adminEmail,
+    metadata: { discountType, discountValue: Number(discountValue) },
+  });
+
+  return normalizedCode;
+}
+
+/**
+ * Updates an existing promo code
+ *
+ * @param {string} code - Promo code to update
+ * @param {Object} updates - Fields to update
+ * @param {string} adminId - Admin user ID performing the action
+ * @param {string} adminEmail - Admin email performing the action
+ * @returns {Promise<void>}
+ */
+export async function updatePromoCode(code, updates, adminId, adminEmail) {
+  const normalizedCode = normalizePromoCode(code);
+  if (!normalizedCode) {
+    throw new Error(PROMO_CODE_ERROR_CODES.INVALID_DATA);
+  }
+
+  const docRef = doc(db, COLLECTIONS.PROMO_CODES, normalizedCode);
+  const promoDoc = await getDoc(docRef);
+
+  if (!promoDoc.exists()) {
+    throw new Error(PROMO_CODE_ERROR_CODES.NOT_FOUND);
+  }
+
+  // Remove fields that shouldn't be updated directly
+  const {
+    id,
+    code: ignoredCode,
+    redemptionCount,
+    totalDiscount,
+    createdAt,
+    createdBy,
+    ...allowedUpdates
+  } = updates;
+
+  if (
+    (allowedUpdates.discountType !== undefined || allowedUpdates.discountValue !== undefined) &&
+    !isValidPromoData({ ...promoDoc.data(), ...allowedUpdates })
+  ) {
+    throw new Error(PROMO_CODE_ERROR_CODES.INVALID_DATA);
+  }
+
+  if (allowedUpdates.discountValue !== undefined) {
+    allowedUpdates.discountValue = Number(allowedUpdates.discountValue);
+  }
+  if (allowedUpdates.expiresAt !== undefined) {
+    allowedUpdates.expiresAt = allowedUpdates.expiresAt || null;
+  }
+  if (allowedUpdates.maxRedemptions !== undefined) {
+    allowedUpdates.maxRedemptions = allowedUpdates.maxRedemptions
+      ? Number(allowedUpdates.maxRedemptions)
+      : null;
+  }
+
+  await updateDoc(docRef, {
+    ...allowedUpdates,
+    updatedAt: serverTimestamp(),
+    updatedBy: adminEmail,
+  });
+
+  await logActivity({
+    type: ACTIVITY_TYPES.UPDATE,
+    entityType: ENTITY_TYPES.PROMO_CODE,
+    entityId: normalizedCode,
+    description: `Updated promo code: ${normalizedCode}`,
+    adminId,
+    adminEmail,
+    metadata: { updatedFields: Object.keys(allowedUpdates) },
+  });
+}
+
+/**
+ * Deletes a promo code.
+ * Registrations that already used the code keep their promo details.
+ *
+ * @param {string} code - Promo code to delete
+ * @param {string} adminId - Admin user ID performing the action
+ * @param {string} adminEmail - Admin email performing the action
+ * @returns {Promise<void>}
+ */
+export async function deletePromoCode(code, adminId, adminEmail) {
+  const normalizedCode = normalizePromoCode(code);
+  if (!normalizedCode) {
+    throw new Error(PROMO_CODE_ERROR_CODES.INVALID_DATA);
+  }
+
+  const docRef = doc(db, COLLECTIONS.PROMO_CODES, normalizedCode);
+  const promoDoc = await getDoc(docRef);
+
+  if (!promoDoc.exists()) {
+    throw new Error(PROMO_CODE_ERROR_CODES.NOT_FOUND);
+  }
+
+  await deleteDoc(docRef);
+
+  await logActivity({
+    type: ACTIVITY_TYPES.DELETE,
+    entityType: ENTITY_TYPES.PROMO_CODE,
+    entityId: normalizedCode,
+    description: `Deleted promo code: ${normalizedCode}`,
+    adminId,
+    adminEmail,
+  });
+}
+
+/**
+ * Toggles the active status of a promo code
+ *
+ * @param {string} code - Promo code
+ * @param {boolean} isActive - New active status
+ * @param {string} adminId - Admin user ID performing the action
+ * @param {string} adminEmail - Admin email performing the action
+ * @returns {Promise<void>}
+ */
+export async function togglePromoCodeStatus(code, isActive, adminId, adminEmail) {
+  await updatePromoCode(code, { isActive }, adminId, adminEmail);
+}
+
+/**
+ * Validates a promo code entered at registration.
+ * The checkPromoCode Cloud Function checks that the code exists, is active,
+ * has not expired, has redemptions left, and applies to at least one of the
+ * selected categories. Only the discount settings are returned; the code is
+ * validated again and redeemed when the registration is created.
+ *
+ * @param {string} code - Promo code as entered by the registrant
+ * @param {Array<string>} categories - Pricing tier IDs of all attendees
+ * @returns {Promise<Object>} The promo code (code, discountType, discountValue, allowedCategories)
+ * @throws {Error} Error with a PROMO_CODE_ERROR_CODES code and user-facing message
+ */
+export async function validatePromoCode(code, categories = []) {
+  const normalizedCode = normalizePromoCode(code);
+  if (!normalizedCode) {
+    throw createPromoCodeError(PROMO_CODE_ERROR_CODES.NOT_FOUND);
+  }
+
+  const checkPromoCodeFn = httpsCallable(functions, 'checkPromoCode');
+  try {
+    const result = await checkPromoCodeFn({ code: normalizedCode, categories });
+    return result.data;
+  } catch (error) {
+    const errorCode = error?.details?.code;
+    if (PROMO_CODE_ERROR_MESSAGES[errorCode]) {
+      throw createPromoCodeError(errorCode);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Gets registrations that used a promo code
+ *
+ * @param {string} code - Promo code
+ * @returns {Promise<Array>} Array of registrations, newest first
+ */
+export async function getRegistrationsByPromoCode(code) {
+  const normalizedCode = normalizePromoCode(code);
+  if (!normalizedCode) {
+    return [];
+  }
+
+  const registrationsRef = collection(db, COLLECTIONS.REGISTRATIONS);
+  const registrationQuery = query(
+    registrationsRef,
+    where('promo.code', '==', normalizedCode),
+    orderBy('createdAt', 'desc')
+  );
+
+  const snapshot = await getDocs(registrationQuery);
+  return snapshot.docs.map((docSnap) => ({
+    id: docSnap.id,
+    ...docSnap.data(),
+  }));
+}
+
+/**
+ * Builds the redemption report for a promo code
+ *
+ * @param {string} code - Promo code
+ * @returns {Promise<{registrations: Array, summary: Object}>} Registrations that used
+ *   the code and totals (redemptions, attendees, discount given, net revenue)
+ */
+export async function getPromoCodeRedemptionReport(code) {
+  const registrations = await getRegistrationsByPromoCode(code);
+
+  const summary = {
+    redemptions: 0,
+    cancelled: 0,
+    attendees: 0,
+    totalDiscount: 0,
+    totalRevenue: 0,
+    confirmedRevenue: 0,
+  };
+
+  registrations.forEach((reg) => {
+    if (reg.status === REGISTRATION_STATUS.CANCELLED) {
+      summary.cancelled += 1;
+      return;
+    }
+
+    summary.redemptions += 1;
+    summary.attendees += 1 + (reg.additionalAttendees?.length || 0);
+    summary.totalDiscount += reg.discountAmount || 0;
+    summary.totalRevenue += reg.totalAmount || 0;
+
+    if (reg.status === REGISTRATION_STATUS.CONFIRMED) {
+      summary.confirmedRevenue += reg.totalAmount || 0;
+    }
+  });
+
+  return { registrations, summary };
+}
@@ -0,0 +1,201 @@
+/**
+ * Reconciliation Service
+ * Imports bank statements and confirms registrations whose payments
+ * appear on the statement.
+ *
+ * @module services/reconciliation
+ */
+
+import {
+  collection,
+  getDocs,
+  query,
+  where,
+} from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from '../lib/firebase';
+import { COLLECTIONS, REGISTRATION_STATUS, PAYMENT_METHODS } from '../constants';
+import { parseBankStatementCsv, parseBankStatementText } from '../utils/bankStatement';
+import { verifyPayment } from './registration';
+import { logActivity, ACTIVITY_TYPES, ENTITY_TYPES } from './activityLog';
+import { getActiveEditionId, whereInEdition } from './editions';
+
+/**
+ * Error codes for reconciliation operations
+ */
+export const RECONCILIATION_ERROR_CODES = {
+  UNSUPPORTED_FILE: 'UNSUPPORTED_FILE',
+  EMPTY_STATEMENT: 'EMPTY_STATEMENT',
+  EXTRACTION_FAILED: 'EXTRACTION_FAILED',
+};
+
+/**
+ * Maximum statement file size accepted for import. PDFs are sent base64
+ * encoded (a third larger) and callable requests are limited to 10MB.
+ */
+const MAX_STATEMENT_SIZE = 7 * 1024 * 1024;
+
+/**
+ * Reads a File as base64 (without the data URL prefix)
+ *
+ * @param {File} file - File to read
+ * @returns {Promise<string>} Base64 encoded content
+ */
+function readFileAsBase64(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).split(',')[1]);
+    reader.onerror = reject;
+    reader.readAsDataURL(file);
+  });
+}
+
+/**
+ * Extracts the text of a PDF bank statement via Cloud Function. Very long
+ * statements are truncated; pageCount and totalPages say how much was read.
+ *
+ * @param {File} file - PDF statement file
+ * @returns {Promise<{text: string, pageCount: number, totalPages: number, truncated: boolean}>} Extracted statement text
+ */
+export async function extractStatementPdfText(file) {
+  try {
+    const content = await readFileAsBase64(file);
+    const extractFn = httpsCallable(functions, 'extractBankStatementText');
+    const result = await extractFn({ content, fileName: file.name });
+    const { text = '', pageCount = 0, totalPages = pageCount, truncated = false } = result.data || {};
+    return { text, pageCount, totalPages, truncated };
+  } catch (error) {
+    console.error('Failed to extract statement text:', error);
+    if (error.code === 'functions/permission-denied') {
+      throw new Error('Only finance admins can import bank statements.');
+    }
+    if (error.code === 'functions/invalid-argument') {
+      throw new Error(error.message || 'The statement file could not be read.');
+    }
+    const extractionError = new Error('Failed to read the PDF statement. Try the CSV export instead.');
+    extractionError.code = RECONCILIATION_ERROR_CODES.EXTRACTION_FAILED;
+    throw extractionError;
+  }
+}
+
+/**
+ * Parses an uploaded bank statement (CSV or PDF) into credit lines
+ *
+ * @param {File} file - Statement file selected by the admin
+ * @returns {Promise<{credits: Array<Object>, pageCount: number|null, totalPages: number|null, truncated: boolean}>}
+ *   Statement credit lines, and for PDFs how many pages were read
+ * @throws {Error} If the file type is unsupported or no credits are found
+ */
+export async function importBankStatement(file) {
+  const fileName = (file?.name || '').toLowerCase();
+  const isCsv = fileName.endsWith('.csv') || file?.type === 'text/csv';
+  const isPdf = fileName.endsWith('.pdf') || file?.type === 'application/pdf';
+
+  if (!file || (!isCsv && !isPdf)) {
+    const error = new Error('Please upload a CSV or PDF bank statement.');
+    error.code = RECONCILIATION_ERROR_CODES.UNSUPPORTED_FILE;
+    throw error;
+  }
+
+  if (file.size > MAX_STATEMENT_SIZE) {
+    const error = new Error('Statement file must be less than 7MB.');
+    error.code = RECONCILIATION_ERROR_CODES.UNSUPPORTED_FILE;
+    throw error;
+  }
+
+  const pdfStatement = isCsv ? null : await extractStatementPdfText(file);
+  const credits = pdfStatement
+    ? parseBankStatementText(pdfStatement.text)
+    : parseBankStatementCsv(await file.text());
+
+  if (credits.length === 0) {
+    const error = new Error('No incoming credits were found in this statement.');
+    error.code = RECONCILIATION_ERROR_CODES.EMPTY_STATEMENT;
+    throw error;
+  }
+
+  return {
+    credits,
+    pageCount: pdfStatement?.pageCount ?? null,
+    totalPages: pdfStatement?.totalPages ?? null,
+    truncated: pdfStatement?.truncated ?? false,
+  };
+}
+
+/**
+ * Gets the active edition's registrations waiting for payment verification
+ *
+ * @returns {Promise<Array>} Registrations with status pending_verification
+ */
+export async function getPendingVerificationRegistrations() {
+  const registrationsRef = collection(db, COLLECTIONS.REGISTRATIONS);
+  const pendingQuery = query(
+    registrationsRef,
+    whereInEdition(await getActiveEditionId()),
+    where('status', '==', REGISTRATION_STATUS.PENDING_VERIFICATION)
+  );
+
+  const snapshot = await getDocs(pendingQuery);
+  return snapshot.docs.map((docSnap) => ({
+    id: docSnap.id,
+    ...docSnap.data(),
+  }));
+}
+
+/**
+ * Confirms registrations matched to bank statement credits
+ * Each match is verified through verifyPayment using the credited amount,
+ * so partial payments are handled the same way as manual verification.
+ * Failures are collected rather than stopping the batch.
+ *
+ * @param {Array<Object>} matches - Matches from reconcileStatement
+ * @param {string} statementName - Statement file name (for notes and logs)
+ * @param {string} adminId - Admin user ID performing the action
+ * @param {string} adminEmail - Admin email performing the action
+ * @returns {Promise<{confirmed: Array<string>, failed: Array<{registrationId: string, error: string}>}>}
+ *   Registration IDs confirmed and failures with reasons
+ */
+export async function confirmReconciledMatches(matches, statementName, adminId = null, adminEmail = null) {
+  const confirmed = [];
+  const failed = [];
+
+  for (const match of matches) {
+    const { credit, registration } = match;
+    try {
+      await verifyPayment(
+        registration.id,
+        {
+          amountPaid: credit.amount,
+          method: registration.payment?.method || PAYMENT_METHODS.BANK_TRANSFER,
+          referenceNumber: credit.reference || registration.payment?.referenceNumber || '',
+          verifiedBy: adminEmail,
+          notes: `Reconciled with ${statementName} line ${credit.lineNumber} (${credit.date})`,
+        },
+        adminId,
+        adminEmail
+      );
+      confirmed.push(registration.id);
+    } catch (error) {
+      console.error(`Failed to confirm reconciled registration ${registration.id}:`, error);
+      failed.push({ registrationId: registration.id, error: error.message });
+    }
+  }
+
+  if (adminId && adminEmail && confirmed.length > 0) {
+    await logActivity({
+      type: ACTIVITY_TYPES.APPROVE,
+      entityType: ENTITY_TYPES.REGISTRATION,
+      entityId: `reconciliation-${Date.now()}`,
+      description: `Bulk confirmed ${confirmed.length} payment(s) from bank statement ${statementName}`,
+      adminId,
+      adminEmail,
+      metadata: {
+        statementName,
+        confirmedRegistrationIds: confirmed,
+        failedRegistrationIds: failed.map((item) => item.registrationId),
+      },
+    });
+  }
+
+  return { confirmed, failed };
+}
@@ -0,0 +1,291 @@
+/**
+ * Refunds Service
+ * Tracks refunds from request through second-admin approval to payout.
+ *
+ * @module services/refunds
+ */
+
+import {
+  collection,
+  doc,
+  getDocs,
+  updateDoc,
+  query,
+  where,
+  serverTimestamp,
+} from 'firebase/firestore';
+import { db } from '../lib/firebase';
+import { COLLECTIONS, REGISTRATION_STATUS, REFUND_STATUS } from '../constants';
+import {
+  REFUND_ERROR_CODES,
+  validateRefundRequest,
+  canApproveRefund,
+  hasPayoutDetails,
+} from '../utils/refunds';
+import { logActivity, ACTIVITY_TYPES, ENTITY_TYPES } from './activityLog';
+import { getActiveEditionId, whereInEdition } from './editions';
+import {
+  REGISTRATION_ERROR_CODES,
+  getRegistrationById,
+  decrementWorkshopCount,
+} from './registration';
+
+export { REFUND_ERROR_CODES };
+
+/**
+ * Gets a registration and checks its refund is in the expected status
+ *
+ * @param {string} registrationId - Registration ID
+ * @param {string} expectedStatus - Required refund status from REFUND_STATUS
+ * @returns {Promise<Object>} Registration object
+ * @throws {Error} If registration not found or refund is in another status
+ */
+async function getRegistrationWithRefund(registrationId, expectedStatus) {
+  const registration = await getRegistrationById(registrationId);
+  if (!registration) {
+    throw new Error(REGISTRATION_ERROR_CODES.REGISTRATION_NOT_FOUND);
+  }
+  if (registration.refund?.status !== expectedStatus) {
+    throw new Error(REFUND_ERROR_CODES.INVALID_STATUS);
+  }
+  return registration;
+}
+
+/**
+ * Gets the attendee name for activity log descriptions
+ *
+ * @param {Object} registration - Registration object
+ * @returns {string} Attendee name or registration ID
+ */
+function getRegistrantName(registration) {
+  const attendee = registration.primaryAttendee;
+  const name = `${attendee?.firstName || ''} ${attendee?.lastName || ''}`.trim();
+  return name || registration.registrationId || registration.id;
+}
+
+/**
+ * Requests a refund for a cancelled or confirmed registration
+ * The amount is prefilled from the refund policy; any other amount needs an
+ * override reason, which is written to the activity log.
+ *
+ * @param {string} registrationId - Registration ID
+ * @param {Object} request - Refund request
+ * @param {number} request.amount - Amount to refund
+ * @param {number} request.suggestedAmount - Amount suggested by the refund policy
+ * @param {number} request.percent - Refund policy percentage applied
+ * @param {string} request.reason - Reason for the refund
+ * @param {string} [request.overrideReason] - Why the amount differs from the policy
+ * @param {string} adminId - Admin user ID performing the action
+ * @param {string} adminEmail - Admin email performing the action
+ * @returns {Promise<void>}
+ * @throws {Error} If the registration cannot be refunded or the request is incomplete
+ */
+export async function requestRefund(registrationId, request, adminId, adminEmail) {
+  const registration = await getRegistrationById(registrationId);
+  if (!registration) {
+    throw new Error(REGISTRATION_ERROR_CODES.REGISTRATION_NOT_FOUND);
+  }
+
+  const { amount, isOverride } = validateRefundRequest(registration, request);
+
+  await updateDoc(doc(db, COLLECTIONS.REGISTRATIONS, registrationId), {
+    refund: {
+      status: REFUND_STATUS.REQUESTED,
+      amount,
+      suggestedAmount: request.suggestedAmount ?? null,
+      percent: request.percent ?? null,
+      reason: request.reason.trim(),
+      overrideReason: isOverride ? request.overrideReason.trim() : null,
+      requestedBy: adminId || null,
+      requestedByEmail: adminEmail || null,
+      requestedAt: serverTimestamp(),
+    },
+    updatedAt: serverTimestamp(),
+  });
+
+  await logActivity({
+    type: ACTIVITY_TYPES.CREATE,
+    entityType: ENTITY_TYPES.REFUND,
+    entityId: registrationId,
+    description: `Requested refund (₱${amount}) for registration: ${getRegistrantName(registration)}`,
+    adminId,
+    adminEmail,
+  });
+
+  if (isOverride) {
+    await logActivity({
+      type: ACTIVITY_TYPES.UPDATE,
+      entityType: ENTITY_TYPES.REFUND,
+      entityId: registrationId,
+      description: `Overrode policy refund of ₱${request.suggestedAmount ?? 0} with ₱${amount} for ${getRegistrantName(registration)}: ${request.overrideReason.trim()}`,
+      adminId,
+      adminEmail,
+    });
+  }
+}
+
+/**
+ * Approves a requested refund
+ * The approving admin must be different from the admin who requested it.
+ *
+ * @param {string} registrationId - Registration ID
+ * @param {string} adminId - Admin user ID performing the action
+ * @param {string} adminEmail - Admin email performing the action
+ * @returns {Promise<void>}
+ * @throws {Error} If the refund is not awaiting approval or the requester approves it
+ */
+export async function approveRefund(registrationId, adminId, adminEmail) {
+  const registration = await getRegistrationWithRefund(registrationId, REFUND_STATUS.REQUESTED);
+
+  if (!canApproveRefund(registration.refund, adminId)) {
+    throw new Error(REFUND_ERROR_CODES.SAME_ADMIN);
+  }
+
+  await updateDoc(doc(db, COLLECTIONS.REGISTRATIONS, registrationId), {
+    'refund.status': REFUND_STATUS.APPROVED,
+    'refund.approvedBy': adminId,
+    'refund.approvedByEmail': adminEmail || null,
+    'refund.approvedAt': serverTimestamp(),
+    updatedAt: serverTimestamp(),
+  });
+
+  await logActivity({
+    type: ACTIVITY_TYPES.APPROVE,
+    entityType: ENTITY_TYPES.REFUND,
+    entityId: registrationId,
+    description: `Approved refund (₱${registration.refund.amount}) for registration: ${getRegistrantName(registration)}`,
+    adminId,
+    adminEmail,
+  });
+}
+
+/**
+ * Rejects a requested refund
+ *
+ * @param {string} registrationId - Registration ID
+ * @param {string} reason - Reason for rejecting
+ * @param {string} adminId - Admin user ID performing the action
+ * @param {string} adminEmail - Admin email performing the action
+ * @returns {Promise<void>}
+ * @throws {Error} If the refund is not awaiting approval or no reason is given
+ */
+export async function rejectRefund(registrationId, reason, adminId, adminEmail) {
+  if (!reason?.trim()) {
+    throw new Error(REFUND_ERROR_CODES.REASON_REQUIRED);
+  }
+
+  const registration = await getRegistrationWithRefund(registrationId, REFUND_STATUS.REQUESTED);
+
+  await updateDoc(doc(db, COLLECTIONS.REGISTRATIONS, registrationId), {
+    'refund.status': REFUND_STATUS.REJECTED,
+    'refund.rejectionReason': reason.trim(),
+    'refund.rejectedBy': adminId || null,
+    'refund.rejectedByEmail': adminEmail || null,
+    'refund.rejectedAt': serverTimestamp(),
+    updatedAt: serverTimestamp(),
+  });
+
+  await logActivity({
+    type: ACTIVITY_TYPES.REJECT,
+    entityType: ENTITY_TYPES.REFUND,
+    entityId: registrationId,
+    description: `Rejected refund for registration: ${getRegistrantName(registration)} (${reason.trim()})`,
+    adminId,
+    adminEmail,
+  });
+}
+
+/**
+ * Records the payout of an approved refund and marks it completed
+ * The registration moves to REFUNDED and, if it was still confirmed, its
+ * workshop seats are released.
+ *
+ * @param {string} registrationId - Registration ID
+ * @param {Object} payout - Payout details
+ * @param {string} payout.method - One of REFUND_PAYOUT_METHODS
+ * @param {string} payout.accountName - Recipient account name
+ * @param {string} payout.accountNumber - GCash number or bank account number
+ * @param {string} [payout.bankName] - Recipient bank (bank transfers only)
+ * @param {string} payout.referenceNumber - Payout transaction reference
+ * @param {string} [payout.proofUrl] - Uploaded payout receipt URL
+ * @param {string} adminId - Admin user ID performing the action
+ * @param {string} adminEmail - Admin email performing the action
+ * @returns {Promise<void>}
+ * @throws {Error} If the refund is not approved or payout details are missing
+ */
+export async function completeRefund(registrationId, payout, adminId, adminEmail) {
+  if (!hasPayoutDetails(payout)) {
+    throw new Error(REFUND_ERROR_CODES.PAYOUT_DETAILS_REQUIRED);
+  }
+
+  const registration = await getRegistrationWithRefund(registrationId, REFUND_STATUS.APPROVED);
+
+  if (registration.status === REGISTRATION_STATUS.CONFIRMED) {
+    const allWorkshopSelections = [
+      ...(registration.primaryAttendee?.workshopSelections || []),
+      ...(registration.additionalAttendees || []).flatMap((attendee) => attendee.workshopSelections || []),
+    ];
+
+    for (const selection of allWorkshopSelections) {
+      if (selection.sessionId) {
+        try {
+          await decrementWorkshopCount(selection.sessionId);
+        } catch (error) {
+          console.error(`Failed to decrement workshop count for ${selection.sessionId}:`, error);
+        }
+      }
+    }
+  }
+
+  await updateDoc(doc(db, COLLECTIONS.REGISTRATIONS, registrationId), {
+    status: REGISTRATION_STATUS.REFUNDED,
+    'payment.status': REGISTRATION_STATUS.REFUNDED,
+    'refund.status': REFUND_STATUS.COMPLETED,
+    'refund.method': payout.method,
+    'refund.accountName': payout.accountName?.trim() || null,
+    'refund.accountNumber': payout.accountNumber.trim(),
+    'refund.bankName': payout.bankName?.trim() || null,
+    'refund.referenceNumber': payout.referenceNumber.trim(),
+    'refund.proofUrl': payout.proofUrl || null,
+    'refund.processedBy': adminEmail || null,
+    'refund.processedAt': serverTimestamp(),
+    updatedAt: serverTimestamp(),
+  });
+
+  await logActivity({
+    type: ACTIVITY_TYPES.UPDATE,
+    entityType: ENTITY_TYPES.REFUND,
+    entityId: registrationId,
+    description: `Completed refund payout (₱${registration.refund.amount}, ref ${payout.referenceNumber.trim()}) for registration: ${getRegistrantName(registration)}`,
+    adminId,
+    adminEmail,
+  });
+}
+
+/**
+ * Gets the active edition's registrations with refunds, optionally filtered
+ * by refund status
+ * Sorted client-side by request date (newest first) to avoid a composite index.
+ *
+ * @param {string|null} [status=null] - Refund status from REFUND_STATUS, or null for all
+ * @returns {Promise<Array>} Registrations with refund records
+ */
+export async function getRefunds(status = null) {
+  const constraints = [
+    whereInEdition(await getActiveEditionId()),
+    status
+      ? where('refund.status', '==', status)
+      : where('refund.status', 'in', Object.values(REFUND_STATUS)),
+  ];
+
+  const snapshot = await getDocs(query(collection(db, COLLECTIONS.REGISTRATIONS), ...constraints));
+
+  return snapshot.docs
+    .map((docSnap) => ({ id: docSnap.id, ...docSnap.data() }))
+    .sort((a, b) => {
+      const aTime = a.refund?.requestedAt?.toMillis?.() || 0;
+      const bTime = b.refund?.requestedAt?.toMillis?.() || 0;
+      return bTime - aTime;
+    });
+}
+
@@ -35,6 +35,7 @@ import {
   WAITLIST_DEADLINE_HOURS,
 } from '../constants';
 import { logActivity, ACTIVITY_TYPES, ENTITY_TYPES } from './activityLog';
+import { getActiveEditionId, getEditionStoragePath, isInEdition, whereInEdition } from './editions';
 
 /**
  * Error codes for registration operations
@@ -81,19 +82,41 @@ export async function getRegistrationByEmail(email) {
     where('primaryAttendee.email', '==', normalizedEmail)
   );
 
-  const snapshot = await getDocs(emailQuery);
+  const [snapshot, editionId] = await Promise.all([getDocs(emailQuery), getActiveEditionId()]);
+  const docData = snapshot.docs.find((registrationDoc) => isInEdition(registrationDoc.data(), editionId));
 
-  if (snapshot.empty) {
+  if (!docData) {
     return null;
   }
 
-  const docData = snapshot.docs[0];
   return {
     id: docData.id,
     ...docData.data(),
   };
 }
 
+/**
+ * Finds which of the given emails already belong to a registration.
+ * Used to flag duplicate attendees in uploaded delegation rosters.
+ *
+ * @param {Array<string>} emails - Emails to check
+ * @returns {Promise<Object>} Map of normalized email to existing registration ID
+ */
+export async function findRegisteredEmails(emails) {
+  const uniqueEmails = [...new Set(
+    (emails || []).map((email) => (email || '').trim().toLowerCase()).filter(Boolean)
+  )];
+
+  const results = await Promise.all(
+    uniqueEmails.map(async (email) => {
+      const existing = await getRegistrationByEmail(email);
+      return existing ? [email, existing.registrationId || existing.id] : null;
+    })
+  );
+
+  return Object.fromEntries(results.filter(Boolean));
+}
+
 /**
  * Gets a registration by its registration ID (e.g., REG-2026-A7K3)
  *
@@ -227,6 +250,7 @@ export async function getRegistrationByPhone(phone) {
 
   const phoneVariants = getPhoneSearchVariants(phone);
   const registrationsRef = collection(db, COLLECTIONS.REGISTRATIONS);
+  const editionId = await getActiveEditionId();
 
   // Try each phone variant
   for (const variant of phoneVariants) {
@@ -236,9 +260,9 @@ export async function getRegistrationByPhone(phone) {
     );
 
     const snapshot = await getDocs(phoneQuery);
+    const docData = snapshot.docs.find((registrationDoc) => isInEdition(registrationDoc.data(), editionId));
 
-    if (!snapshot.empty) {
-      const docData = snapshot.docs[0];
+    if (docData) {
       return {
         id: docData.id,
         ...docData.data(),
@@ -267,7 +291,8 @@ export async function uploadPaymentProof(file, registrationId, onProgress) {
   }
 
   const filename = generateUniqueFilename(file.name);
-  const storagePath = `${STORAGE_PATHS.PAYMENT_PROOFS}/${registrationId}/${filename}`;
+  const basePath = getEditionStoragePath(STORAGE_PATHS.PAYMENT_PROOFS, await getActiveEditionId());
+  const storagePath = `${basePath}/${registrationId}/${filename}`;
   const storageRef = ref(storage, storagePath);
 
   return new Promise((resolve, reject) => {
@@ -299,6 +324,20 @@ export async function uploadPaymentProof(file, registrationId, onProgress) {
   });
 }
 
+/**
+ * Builds the SMS consent record captured at registration. SMS notifications
+ * are only sent to registrations with smsConsent.optedIn.
+ *
+ * @param {boolean} optedIn - Whether the registrant ticked the SMS checkbox
+ * @returns {Object} SMS consent ({ optedIn, consentedAt })
+ */
+function buildSmsConsent(optedIn) {
+  return {
+    optedIn: Boolean(optedIn),
+    consentedAt: optedIn ? serverTimestamp() : null,
+  };
+}
+
 /**
  * Creates a new registration
  *
@@ -310,8 +349,15 @@ export async function uploadPaymentProof(file, registrationId, onProgress) {
  * @param {Object} registrationData.church - Church information
  * @param {Object} registrationData.payment - Payment information
  * @param {Object} registrationData.invoice - Invoice request data (optional)
+ * @param {number} registrationData.subtotalAmount - Amount before promo discount (optional)
+ * @param {number} registrationData.discountAmount - Promo code discount (optional)
+ * @param {Object} registrationData.promo - Applied promo code snapshot (optional)
+ * @param {number} registrationData.groupDiscountAmount - Group discount (optional)
+ * @param {Object} registrationData.groupDiscount - Applied group discount rule snapshot (optional)
  * @param {number} registrationData.totalAmount - Total amount to pay
  * @param {string} registrationData.pricingTier - Pricing tier ID
+ * @param {Object} registrationData.customAnswers - Registration-level custom question answers (optional)
+ * @param {boolean} registrationData.smsOptIn - Whether the registrant consented to SMS updates (optional)
  * @returns {Promise<Object>} Created registration data
  */
 export async function createRegistration(registrationData) {
@@ -323,8 +369,15 @@ export async function createRegistration(registrationData) {
     church,
     payment,
     invoice,
+    subtotalAmount,
+    discountAmount = 0,
+    promo = null,
+    groupDiscountAmount = 0,
+    groupDiscount = null,
     totalAmount,
     pricingTier,
+    customAnswers = null,
+    smsOptIn = false,
   } = registrationData;
 
   if (!registrationId || !shortCode || !primaryAttendee) {
@@ -375,16 +428,24 @@ export async function createRegistration(registrationData) {
 
   const registrationDoc = {
     registrationId,
+    conferenceId: await getActiveEditionId(),
     shortCode,
     shortCodeSuffix,
     primaryAttendee: normalizedPrimaryAttendee,
     additionalAttendees: normalizedAdditionalAttendees,
     church,
+    customAnswers,
+    smsConsent: buildSmsConsent(smsOptIn),
     payment: {
       ...payment,
       status: initialStatus,
     },
     invoice: invoice || null,
+    subtotalAmount: subtotalAmount ?? totalAmount,
+    discountAmount,
+    promo,
+    groupDiscountAmount,
+    groupDiscount,
     totalAmount,
     pricingTier,
     status: initialStatus,
@@ -558,6 +619,7 @@ export async function verifyPayment(registrationId, verificationDetails, adminId
 /**
  * Confirms payment for a registration (admin action)
  * Legacy function - consider using verifyPayment instead for better tracking
+ * The amount paid is the registration total, which is already net of any promo discount.
  *
  * @param {string} registrationId - Registration ID
  * @param {Object} paymentDetails - Payment verification details
@@ -609,6 +671,14 @@ export async function confirmPayment(registrationId, paymentDetails, adminId = n
       description: `Confirmed payment for registration: ${registration?.primaryAttendee?.firstName || ''} ${registration?.primaryAttendee?.lastName || registrationId}`,
       adminId,
       adminEmail,
+      metadata: {
+        amountPaid: registration?.totalAmount || 0,
+        ...(registration?.promo && {
+          promoCode: registration.promo.code,
+          subtotalAmount: registration.subtotalAmount,
+          discountAmount: registration.discountAmount || 0,
+        }),
+      },
     });
   }
 }
@@ -985,6 +1055,7 @@ export async function getTotalConfirmedAttendeeCount() {
     const registrationsRef = collection(db, COLLECTIONS.REGISTRATIONS);
     const confirmedQuery = query(
       registrationsRef,
+      whereInEdition(await getActiveEditionId()),
       where('status', 'in', [
         REGISTRATION_STATUS.CONFIRMED,
         REGISTRATION_STATUS.PENDING_VERIFICATION,
@@ -1073,6 +1144,7 @@ export async function getWaitlistCount() {
     const registrationsRef = collection(db, COLLECTIONS.REGISTRATIONS);
     const waitlistQuery = query(
       registrationsRef,
+      whereInEdition(await getActiveEditionId()),
       where('status', 'in', [
         REGISTRATION_STATUS.WAITLISTED,
         REGISTRATION_STATUS.WAITLIST_OFFERED,
@@ -1098,6 +1170,7 @@ export async function getWaitlistedOnlyCount() {
     const registrationsRef = collection(db, COLLECTIONS.REGISTRATIONS);
     const waitlistQuery = query(
       registrationsRef,
+      whereInEdition(await getActiveEditionId()),
       where('status', '==', REGISTRATION_STATUS.WAITLISTED)
     );
 
@@ -1119,6 +1192,7 @@ export async function getWaitlistedRegistrations() {
     const registrationsRef = collection(db, COLLECTIONS.REGISTRATIONS);
     const waitlistQuery = query(
       registrationsRef,
+      whereInEdition(await getActiveEditionId()),
       where('status', '==', REGISTRATION_STATUS.WAITLISTED)
     );
 
@@ -1185,8 +1259,15 @@ export async function createWaitlistRegistration(registrationData) {
     primaryAttendee,
     additionalAttendees,
     church,
+    subtotalAmount,
+    discountAmount = 0,
+    promo = null,
+    groupDiscountAmount = 0,
+    groupDiscount = null,
     totalAmount,
     pricingTier,
+    customAnswers = null,
+    smsOptIn = false,
   } = registrationData;
 
   if (!registrationId || !shortCode || !primaryAttendee) {
@@ -1221,17 +1302,25 @@ export async function createWaitlistRegistration(registrationData) {
 
   const registrationDoc = {
     registrationId,
+    conferenceId: await getActiveEditionId(),
     shortCode,
     shortCodeSuffix,
     primaryAttendee: normalizedPrimaryAttendee,
     additionalAttendees: normalizedAdditionalAttendees,
     church,
+    customAnswers,
+    smsConsent: buildSmsConsent(smsOptIn),
     payment: {
       method: null,
       proofUrl: null,
       status: REGISTRATION_STATUS.WAITLISTED,
     },
     invoice: null,
+    subtotalAmount: subtotalAmount ?? totalAmount,
+    discountAmount,
+    promo,
+    groupDiscountAmount,
+    groupDiscount,
     totalAmount,
     pricingTier,
     status: REGISTRATION_STATUS.WAITLISTED,
@@ -1586,6 +1675,123 @@ export async function transferUserRegistration(registrationId, newAttendee, tran
   });
 }
 
+/**
+ * Attendee fields a registrant may change from the status page. The same
+ * list and edit deadline are enforced on the server in
+ * functions/src/registrationEdits.ts.
+ */
+export const EDITABLE_ATTENDEE_FIELDS = [
+  'firstName',
+  'lastName',
+  'middleName',
+  'ministryRole',
+  'workshopSelections',
+  'foodChoice',
+];
+
+/**
+ * Checks whether registrants may still edit their details.
+ * Defaults to allowed until 3 days before the event when the policy is not set.
+ *
+ * @param {Object} refundPolicy - Refund policy settings
+ * @param {string} startDate - Conference start date
+ * @param {Date} [now] - Current time
+ * @returns {boolean} True when self-service edits are open
+ */
+export function isDetailsEditOpen(refundPolicy, startDate, now = new Date()) {
+  if (refundPolicy?.detailsEditEnabled === false) {
+    return false;
+  }
+
+  const deadlineDays = refundPolicy?.detailsEditDeadlineDays ?? 3;
+  if (deadlineDays > 0 && startDate) {
+    const daysUntilEvent = Math.ceil((new Date(startDate) - now) / (1000 * 60 * 60 * 24));
+    if (daysUntilEvent < deadlineDays) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Maps errors from the updateRegistrationDetails Cloud Function to messages
+ * for the edit form
+ *
+ * @param {Error} error - Error from the callable
+ * @returns {Error} Error with a user-facing message
+ */
+function toRegistrationEditError(error) {
+  if (error.code === 'functions/resource-exhausted') {
+    return new Error('Too many verification attempts. Please request a new code.');
+  }
+  if (error.code === 'functions/not-found') {
+    return new Error(error.message || 'No verification code found. Please request a new code.');
+  }
+  if (error.code === 'functions/permission-denied' ||
+      error.code === 'functions/failed-precondition' ||
+      error.code === 'functions/invalid-argument') {
+    return new Error(error.message);
+  }
+  return error;
+}
+
+/**
+ * Checks an edit verification code before the edit form is shown.
+ * The code is not used up until the edited details are saved.
+ *
+ * @param {string} registrationId - Registration ID
+ * @param {string} code - Edit verification code
+ * @returns {Promise<void>}
+ */
+export async function checkRegistrationEditCode(registrationId, code) {
+  if (!registrationId || !code) {
+    throw new Error('Registration ID and code are required');
+  }
+
+  try {
+    const updateRegistrationDetailsFn = httpsCallable(functions, 'updateRegistrationDetails');
+    await updateRegistrationDetailsFn({ registrationId, code: code.trim() });
+  } catch (error) {
+    throw toRegistrationEditError(error);
+  }
+}
+
+/**
+ * Updates a registrant's own details (user-initiated from status page).
+ * Only names, ministry role, workshop selections and food choice can change.
+ * Saved by the updateRegistrationDetails Cloud Function, which uses up the
+ * edit verification code, re-checks workshop capacity for newly selected
+ * workshops and moves session counts from the old selections to the new ones.
+ *
+ * @param {string} registrationId - Registration ID
+ * @param {string} code - Edit verification code
+ * @param {Array<Object>} attendees - Edited attendees in order: primary first, then additional attendees
+ * @returns {Promise<Object>} { primaryAttendee, additionalAttendees, changes }
+ */
+export async function updateUserRegistrationDetails(registrationId, code, attendees) {
+  if (!registrationId || !code) {
+    throw new Error('Registration ID and code are required');
+  }
+
+  try {
+    const updateRegistrationDetailsFn = httpsCallable(functions, 'updateRegistrationDetails');
+    const result = await updateRegistrationDetailsFn({
+      registrationId,
+      code: code.trim(),
+      attendees,
+    });
+
+    return {
+      primaryAttendee: result.data.primaryAttendee,
+      additionalAttendees: result.data.additionalAttendees,
+      changes: result.data.changes,
+    };
+  } catch (error) {
+    throw toRegistrationEditError(error);
+  }
+}
+
 /**
  * Updates payment proof for a waitlist-offered registration.
  * Changes status to pending_verification.
@@ -1701,6 +1907,7 @@ export async function getWorkshopAttendees(workshopId) {
   const registrationsRef = collection(db, COLLECTIONS.REGISTRATIONS);
   const confirmedQuery = query(
     registrationsRef,
+    whereInEdition(await getActiveEditionId()),
     where('status', '==', REGISTRATION_STATUS.CONFIRMED)
   );
 
@@ -1774,19 +1981,22 @@ export async function getWorkshopAttendees(workshopId) {
 // ============================================
 
 /**
- * Verification action types for cancel/transfer
+ * Verification action types for cancel/transfer/edit/certificate download/agenda sync
  */
 export const VERIFICATION_ACTION = {
   CANCEL: 'cancel',
   TRANSFER: 'transfer',
+  EDIT: 'edit',
+  CERTIFICATE: 'certificate',
+  AGENDA: 'agenda',
 };
 
 /**
- * Sends a verification code for cancel/transfer operations.
+ * Sends a verification code for cancel/transfer operations or certificate downloads.
  * The code will be sent to the registered email (and optionally SMS).
  *
  * @param {string} registrationId - Registration ID
- * @param {string} action - Action type: 'cancel' or 'transfer'
+ * @param {string} action - Action type: 'cancel', 'transfer', 'edit', 'certificate', or 'agenda'
  * @param {boolean} sendSms - Whether to also send SMS (optional)
  * @returns {Promise<Object>} Result with success status and expiry info
  */
@@ -1796,7 +2006,7 @@ export async function sendVerificationCode(registrationId, action, sendSms = fal
   }
 
   if (!action || !Object.values(VERIFICATION_ACTION).includes(action)) {
-    throw new Error('Invalid action type. Must be "cancel" or "transfer"');
+    throw new Error('Invalid action type. Must be "cancel", "transfer", "edit", "certificate", or "agenda"');
   }
 
   try {
@@ -1824,10 +2034,10 @@ export async function sendVerificationCode(registrationId, action, sendSms = fal
 }
 
 /**
- * Verifies a verification code for cancel/transfer operations.
+ * Verifies a verification code for cancel/transfer operations or certificate downloads.
  *
  * @param {string} registrationId - Registration ID
- * @param {string} action - Action type: 'cancel' or 'transfer'
+ * @param {string} action - Action type: 'cancel', 'transfer', 'edit', 'certificate', or 'agenda'
  * @param {string} code - The verification code to verify
  * @returns {Promise<Object>} Result with success and verified status
  */
@@ -1936,3 +2146,22 @@ export async function sendTransferConfirmation(
     return { success: false, emailSent: false, error: error.message };
   }
 }
+
+/**
+ * Corrects a registration's email address and resends its latest
+ * registration email (the ticket once confirmed, otherwise the registration
+ * confirmation). Admin only; clears the bounce flag.
+ *
+ * @param {string} registrationId - Registration ID
+ * @param {string} email - Corrected email address
+ * @returns {Promise<Object>} { emailType, sentTo }
+ */
+export async function resendRegistrationEmail(registrationId, email) {
+  if (!registrationId) {
+    throw new Error('Registration ID is required');
+  }
+
+  const resendRegistrationEmailFn = httpsCallable(functions, 'resendRegistrationEmail');
+  const result = await resendRegistrationEmailFn({ registrationId, email });
+  return { emailType: result.data?.emailType, sentTo: result.data?.sentTo };
+}
@@ -0,0 +1,246 @@
+/**
+ * Registration Drafts Service
+ * Saves in-progress registrations so a registrant can close the tab and come
+ * back later. Drafts are kept in localStorage on this device and, once the
+ * primary email is known, on the server under a random draft ID. The server
+ * copy is written and read only through Cloud Functions with the draft's
+ * token; resuming it on another device needs a verification code emailed to
+ * the registrant.
+ *
+ * @module services/registrationDrafts
+ */
+
+import { collection, deleteDoc, doc, getDocs } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from '../lib/firebase';
+import { COLLECTIONS } from '../constants';
+import { logActivity, ACTIVITY_TYPES, ENTITY_TYPES } from './activityLog';
+
+/**
+ * localStorage key for this device's draft
+ */
+const DRAFT_STORAGE_KEY = 'idmc_registration_draft';
+
+/**
+ * Days a draft is kept on the server after its last save
+ */
+export const DRAFT_EXPIRY_DAYS = 30;
+
+/**
+ * Hours without a save after which a draft counts as abandoned
+ */
+export const DRAFT_ABANDONED_HOURS = 24;
+
+/**
+ * Form fields that are never saved in a draft. Payment files cannot be
+ * serialized, so they are uploaded again after resuming.
+ */
+const UNSAVED_FORM_FIELDS = ['paymentFile', 'paymentFileName'];
+
+/**
+ * Removes fields that should not be saved from the form state
+ *
+ * @param {Object} formData - Registration form state
+ * @returns {Object} Serializable copy of the form state
+ */
+export function serializeDraftFormData(formData) {
+  const copy = { ...formData };
+  UNSAVED_FORM_FIELDS.forEach((field) => delete copy[field]);
+  return JSON.parse(JSON.stringify(copy));
+}
+
+/**
+ * Reads this device's draft
+ *
+ * @returns {Object|null} { formData, step, email, draftId, draftToken, savedAt }, or null
+ */
+export function getLocalDraft() {
+  try {
+    const stored = localStorage.getItem(DRAFT_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error('Failed to read registration draft from storage:', error);
+    return null;
+  }
+}
+
+/**
+ * Saves the draft on this device
+ *
+ * @param {Object} draft - { formData, step, email, draftId, draftToken }
+ */
+export function saveLocalDraft(draft) {
+  try {
+    localStorage.setItem(
+      DRAFT_STORAGE_KEY,
+      JSON.stringify({ ...draft, savedAt: new Date().toISOString() })
+    );
+  } catch (error) {
+    console.error('Failed to write registration draft to storage:', error);
+  }
+}
+
+/**
+ * Removes this device's draft
+ */
+export function clearLocalDraft() {
+  try {
+    localStorage.removeItem(DRAFT_STORAGE_KEY);
+  } catch (error) {
+    console.error('Failed to clear registration draft from storage:', error);
+  }
+}
+
+/**
+ * Saves a draft on the server. Without a draft ID and token, or when the
+ * draft was resumed on another device since, a new draft is started.
+ *
+ * @param {Object} draft - Draft to save
+ * @param {string} draft.email - Primary attendee email
+ * @param {Object} draft.formData - Registration form state
+ * @param {number} draft.step - Current registration step
+ * @param {string} [draft.draftId] - Draft ID from an earlier save or resume
+ * @param {string} [draft.draftToken] - Token from an earlier save or resume
+ * @returns {Promise<{ draftId: string, draftToken: string, expiresAt: string }>} Draft ID and token for later saves
+ */
+export async function saveRemoteDraft({ email, formData, step, draftId, draftToken }) {
+  const saveRegistrationDraftFn = httpsCallable(functions, 'saveRegistrationDraft');
+  const result = await saveRegistrationDraftFn({
+    email: email.trim(),
+    formData: serializeDraftFormData(formData),
+    step,
+    draftId: draftId || null,
+    draftToken: draftToken || null,
+  });
+  return result.data;
+}
+
+/**
+ * Emails a verification code and resume link for the draft saved under an email
+ *
+ * @param {string} email - Email the draft was saved under
+ * @returns {Promise<Object>} { expiresAt, expiryMinutes, emailSent }
+ */
+export async function sendDraftResumeCode(email) {
+  if (!email || !email.trim()) {
+    throw new Error('Please enter the email you registered with');
+  }
+
+  try {
+    const sendDraftResumeCodeFn = httpsCallable(functions, 'sendDraftResumeCode');
+    const result = await sendDraftResumeCodeFn({ email: email.trim() });
+    return result.data;
+  } catch (error) {
+    if (error.code === 'functions/resource-exhausted') {
+      throw new Error('Too many verification code requests. Please try again later.');
+    }
+    if (error.code === 'functions/not-found') {
+      throw new Error('No saved registration was found for this email.');
+    }
+    if (error.code === 'functions/invalid-argument') {
+      throw new Error(error.message || 'Please enter a valid email');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Resumes the latest draft saved under an email with its emailed verification code
+ *
+ * @param {string} email - Email the draft was saved under
+ * @param {string} code - Verification code from the resume email
+ * @returns {Promise<Object>} { formData, step, draftId, draftToken, expiresAt }
+ */
+export async function resumeRemoteDraft(email, code) {
+  if (!email || !code) {
+    throw new Error('Email and code are required');
+  }
+
+  try {
+    const resumeRegistrationDraftFn = httpsCallable(functions, 'resumeRegistrationDraft');
+    const result = await resumeRegistrationDraftFn({
+      email: email.trim(),
+      code: code.trim(),
+    });
+    return result.data;
+  } catch (error) {
+    if (error.code === 'functions/resource-exhausted') {
+      throw new Error('Too many verification attempts. Please request a new code.');
+    }
+    if (
+      error.code === 'functions/not-found' ||
+      error.code === 'functions/permission-denied' ||
+      error.code === 'functions/failed-precondition'
+    ) {
+      throw new Error(error.message || 'Invalid verification code');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Deletes this device's server draft when the registrant starts over
+ *
+ * @param {string} draftId - Draft ID from an earlier save or resume
+ * @param {string} draftToken - Token from an earlier save or resume
+ * @returns {Promise<void>}
+ */
+export async function discardRemoteDraft(draftId, draftToken) {
+  const discardRegistrationDraftFn = httpsCallable(functions, 'discardRegistrationDraft');
+  await discardRegistrationDraftFn({ draftId, draftToken });
+}
+
+/**
+ * Checks whether a draft has gone unsaved long enough to need follow-up
+ *
+ * @param {Object} draft - Draft from getAllRegistrationDrafts
+ * @param {Date} [now] - Current time
+ * @returns {boolean} True when the draft is abandoned
+ */
+export function isDraftAbandoned(draft, now = new Date()) {
+  if (!draft?.updatedAt) return true;
+  return now - new Date(draft.updatedAt) >= DRAFT_ABANDONED_HOURS * 60 * 60 * 1000;
+}
+
+/**
+ * Gets all saved registration drafts (admin only)
+ *
+ * @returns {Promise<Array>} Drafts, most recently saved first
+ */
+export async function getAllRegistrationDrafts() {
+  const snapshot = await getDocs(collection(db, COLLECTIONS.REGISTRATION_DRAFTS));
+  return snapshot.docs
+    .map((docSnap) => {
+      const data = docSnap.data();
+      return {
+        id: docSnap.id,
+        ...data,
+        createdAt: data.createdAt?.toDate?.() || data.createdAt,
+        updatedAt: data.updatedAt?.toDate?.() || data.updatedAt,
+        resumedAt: data.resumedAt?.toDate?.() || data.resumedAt,
+        resumeEmailSentAt: data.resumeEmailSentAt?.toDate?.() || data.resumeEmailSentAt,
+      };
+    })
+    .sort((a, b) => new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0));
+}
+
+/**
+ * Deletes a registration draft (admin only)
+ *
+ * @param {Object} draft - Draft from getAllRegistrationDrafts
+ * @param {string} adminId - Admin user ID performing the action
+ * @param {string} adminEmail - Admin email performing the action
+ * @returns {Promise<void>}
+ */
+export async function deleteRegistrationDraft(draft, adminId, adminEmail) {
+  await deleteDoc(doc(db, COLLECTIONS.REGISTRATION_DRAFTS, draft.id));
+
+  await logActivity({
+    type: ACTIVITY_TYPES.DELETE,
+    entityType: ENTITY_TYPES.REGISTRATION,
+    entityId: draft.id,
+    description: `Deleted registration draft for ${draft.email}`,
+    adminId,
+    adminEmail,
+  });
+}
@@ -0,0 +1,49 @@
+/**
+ * Reminders Service
+ * Reads the log of automated reminders. Payment, waitlist offer and
+ * pre-event reminders are sent by the sendReminders Cloud Function as
+ * configured under settings.reminders; each reminder is recorded under
+ * reminders.sent on its registration so it is only sent once, and every
+ * attempt is written to the reminderLogs collection.
+ *
+ * @module services/reminders
+ */
+
+import { collection, getDocs, query, orderBy, limit } from 'firebase/firestore';
+import { db } from '../lib/firebase';
+import { COLLECTIONS } from '../constants';
+import { getActiveEditionId, isInEdition } from './editions';
+
+export { splitReminderOffset, formatReminderOffset } from '../utils/reminders';
+
+/**
+ * Most recent log entries loaded on the reminders page
+ */
+const REMINDER_LOG_LIMIT = 500;
+
+/**
+ * Fetches the most recent reminder log entries of the active edition
+ *
+ * @returns {Promise<Array>} Log entries ({ registrationId, attendeeName, reminderType, reminderKey, channel, recipient, status, error, sentAt }), newest first
+ */
+export async function getReminderLogs() {
+  const [snapshot, editionId] = await Promise.all([
+    getDocs(query(
+      collection(db, COLLECTIONS.REMINDER_LOGS),
+      orderBy('sentAt', 'desc'),
+      limit(REMINDER_LOG_LIMIT)
+    )),
+    getActiveEditionId(),
+  ]);
+
+  return snapshot.docs
+    .map((logDoc) => {
+      const data = logDoc.data();
+      return {
+        id: logDoc.id,
+        ...data,
+        sentAt: data.sentAt?.toDate?.() || null,
+      };
+    })
+    .filter((entry) => isInEdition(entry, editionId));
+}
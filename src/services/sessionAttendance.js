@@ -0,0 +1,312 @@
+/**
+ * Session Attendance Service
+ * Records which attendees were scanned into each plenary session or workshop.
+ * One document per session and attendee, created in a transaction, so
+ * repeated scans at the door are not counted twice even from two stations.
+ *
+ * @module services/sessionAttendance
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  getCountFromServer,
+  query,
+  where,
+  onSnapshot,
+  runTransaction,
+  serverTimestamp,
+} from 'firebase/firestore';
+import { db } from '../lib/firebase';
+import { COLLECTIONS, SESSION_TYPES } from '../constants';
+import { logActivity, ACTIVITY_TYPES, ENTITY_TYPES } from './activityLog';
+import {
+  CHECK_IN_ERROR_CODES,
+  validateAttendeeCheckInEligibility,
+  getAttendeeByIndex,
+} from './checkin';
+import { getSessionAttendanceId, isSessionOverCapacity } from '../utils/sessionAttendance';
+
+/**
+ * Warning codes raised when scanning an attendee into a session.
+ * Warnings do not block the scan; the volunteer decides whether to admit.
+ */
+export const SESSION_ATTENDANCE_WARNINGS = Object.freeze({
+  NOT_ENROLLED: 'NOT_ENROLLED',
+  OVER_CAPACITY: 'OVER_CAPACITY',
+});
+
+/**
+ * Error codes for session attendance scans
+ */
+export const SESSION_ATTENDANCE_ERROR_CODES = Object.freeze({
+  ALREADY_RECORDED: 'ALREADY_RECORDED',
+  SESSION_REQUIRED: 'SESSION_REQUIRED',
+});
+
+/**
+ * Checks whether an attendee selected a workshop during registration
+ *
+ * @param {Object} registration - Registration document
+ * @param {number} attendeeIndex - Attendee index
+ * @param {string} sessionId - Workshop session ID
+ * @returns {boolean} True if the attendee is enrolled
+ */
+export function isAttendeeEnrolledInWorkshop(registration, attendeeIndex, sessionId) {
+  const attendee = getAttendeeByIndex(registration, attendeeIndex);
+  return (attendee?.workshopSelections || []).some((selection) => selection.sessionId === sessionId);
+}
+
+/**
+ * Validates an attendee scan for a session and collects warnings
+ *
+ * @param {Object} session - Session being scanned into
+ * @param {Object} registration - Registration document
+ * @param {number} attendeeIndex - Attendee index
+ * @param {Object} [options] - Room state
+ * @param {number|null} [options.capacity] - Room capacity (null for unlimited)
+ * @param {number} [options.attendanceCount=0] - Attendees already recorded for the session
+ * @returns {{ valid: boolean, errorCode: string|null, message: string, attendeeName: string|null, warnings: Array }}
+ */
+export function validateSessionAttendance(session, registration, attendeeIndex, options = {}) {
+  const { capacity = null, attendanceCount = 0 } = options;
+
+  if (!session) {
+    return {
+      valid: false,
+      errorCode: SESSION_ATTENDANCE_ERROR_CODES.SESSION_REQUIRED,
+      message: 'Select a session before scanning',
+      attendeeName: null,
+      warnings: [],
+    };
+  }
+
+  // Reuse entry check-in rules for registration status and attendee lookup,
+  // but a session scan does not depend on the attendee's entry check-in
+  const eligibility = validateAttendeeCheckInEligibility(registration, attendeeIndex);
+  if (!eligibility.valid && eligibility.errorCode !== CHECK_IN_ERROR_CODES.ATTENDEE_ALREADY_CHECKED_IN) {
+    return { ...eligibility, warnings: [] };
+  }
+
+  const { attendeeName } = eligibility;
+  const warnings = [];
+
+  if (session.sessionType === SESSION_TYPES.WORKSHOP &&
+      !isAttendeeEnrolledInWorkshop(registration, attendeeIndex, session.id)) {
+    warnings.push({
+      code: SESSION_ATTENDANCE_WARNINGS.NOT_ENROLLED,
+      message: `${attendeeName} is not enrolled in this workshop`,
+    });
+  }
+
+  if (isSessionOverCapacity(capacity, attendanceCount)) {
+    warnings.push({
+      code: SESSION_ATTENDANCE_WARNINGS.OVER_CAPACITY,
+      message: `Room is at capacity (${attendanceCount}/${capacity})`,
+    });
+  }
+
+  return { valid: true, errorCode: null, message: 'Eligible for session', attendeeName, warnings };
+}
+
+/**
+ * Counts the attendees recorded for a session, read from the server so
+ * scans from other stations are included
+ *
+ * @param {string} sessionId - Session document ID
+ * @returns {Promise<number>} Attendees recorded for the session
+ */
+export async function getSessionAttendanceCount(sessionId) {
+  const snapshot = await getCountFromServer(
+    query(collection(db, COLLECTIONS.SESSION_ATTENDANCE), where('sessionId', '==', sessionId))
+  );
+  return snapshot.data().count;
+}
+
+/**
+ * Builds the error thrown when an attendee was already recorded for a session
+ *
+ * @param {Object} existing - Existing attendance record
+ * @returns {Error} Error with code ALREADY_RECORDED and the existing record
+ */
+function createAlreadyRecordedError(existing) {
+  const timeString = existing.scannedAt
+    ? new Date(existing.scannedAt).toLocaleTimeString('en-PH', { hour: '2-digit', minute: '2-digit' })
+    : 'earlier';
+  const error = new Error(`${existing.attendeeName} was already recorded at ${timeString}`);
+  error.code = SESSION_ATTENDANCE_ERROR_CODES.ALREADY_RECORDED;
+  error.record = existing;
+  return error;
+}
+
+/**
+ * Gets an attendee's existing attendance record for a session
+ *
+ * @param {string} sessionId - Session document ID
+ * @param {string} registrationId - Registration document ID
+ * @param {number} attendeeIndex - Attendee index
+ * @returns {Promise<Object|null>} Attendance record or null
+ */
+export async function getSessionAttendanceRecord(sessionId, registrationId, attendeeIndex) {
+  const docRef = doc(
+    db,
+    COLLECTIONS.SESSION_ATTENDANCE,
+    getSessionAttendanceId(sessionId, registrationId, attendeeIndex)
+  );
+  const snapshot = await getDoc(docRef);
+
+  if (!snapshot.exists()) {
+    return null;
+  }
+
+  const data = snapshot.data();
+  return { id: snapshot.id, ...data, scannedAt: data.scannedAt?.toDate?.() || data.scannedAt };
+}
+
+/**
+ * Records an attendee's attendance at a session. The record is created in a
+ * transaction, so when two stations scan the same badge only one scan is
+ * recorded and the other fails with ALREADY_RECORDED. Over-capacity is
+ * judged on a fresh count from the server, not the count on screen.
+ *
+ * @param {Object} session - Session being scanned into
+ * @param {Object} registration - Registration document
+ * @param {number} attendeeIndex - Attendee index
+ * @param {Object} scanData - Scan details
+ * @param {string} scanData.adminId - Admin user ID performing the scan
+ * @param {string} scanData.adminName - Admin display name
+ * @param {string} scanData.adminEmail - Admin email for activity logging
+ * @param {string} scanData.method - Scan method (qr or manual)
+ * @param {number|null} [scanData.capacity=null] - Room capacity from getSessionCapacity (null for unlimited)
+ * @param {string} [scanData.stationId] - Optional station identifier
+ * @returns {Promise<Object>} The attendance record
+ * @throws {Error} With code ALREADY_RECORDED if the attendee was already recorded for this session
+ */
+export async function recordSessionAttendance(session, registration, attendeeIndex, scanData) {
+  const { adminId, adminName, adminEmail, method, capacity = null, stationId } = scanData;
+  const registrationId = registration.id || registration.registrationId;
+  const attendanceRef = doc(
+    db,
+    COLLECTIONS.SESSION_ATTENDANCE,
+    getSessionAttendanceId(session.id, registrationId, attendeeIndex)
+  );
+
+  const attendanceCount = capacity !== null ? await getSessionAttendanceCount(session.id) : 0;
+  const attendee = getAttendeeByIndex(registration, attendeeIndex);
+  const attendeeName = `${attendee?.firstName || ''} ${attendee?.lastName || ''}`.trim();
+
+  const record = {
+    sessionId: session.id,
+    sessionTitle: session.title || '',
+    sessionType: session.sessionType || null,
+    timeSlot: session.timeSlot || null,
+    registrationId,
+    attendeeIndex,
+    attendeeName,
+    attendeeEmail: attendee?.email || '',
+    church: registration.church?.name || null,
+    enrolled: session.sessionType === SESSION_TYPES.WORKSHOP
+      ? isAttendeeEnrolledInWorkshop(registration, attendeeIndex, session.id)
+      : null,
+    overCapacity: isSessionOverCapacity(capacity, attendanceCount),
+    scanMethod: method || null,
+    scannedBy: adminId,
+    scannedByName: adminName || null,
+    stationId: stationId || null,
+    scannedAt: serverTimestamp(),
+  };
+
+  await runTransaction(db, async (transaction) => {
+    const existing = await transaction.get(attendanceRef);
+    if (existing.exists()) {
+      throw createAlreadyRecordedError(toAttendanceRecord(existing));
+    }
+    transaction.set(attendanceRef, record);
+  });
+
+  const warningCodes = [
+    ...(record.enrolled === false ? [SESSION_ATTENDANCE_WARNINGS.NOT_ENROLLED] : []),
+    ...(record.overCapacity ? [SESSION_ATTENDANCE_WARNINGS.OVER_CAPACITY] : []),
+  ];
+  await logActivity({
+    type: ACTIVITY_TYPES.CHECKIN,
+    entityType: ENTITY_TYPES.REGISTRATION,
+    entityId: registrationId,
+    description: `Recorded ${attendeeName} at session: ${session.title}${warningCodes.length > 0 ? ` (${warningCodes.join(', ')})` : ''}`,
+    adminId,
+    adminEmail: adminEmail || 'Unknown',
+  });
+
+  return { ...record, scannedAt: new Date() };
+}
+
+/**
+ * Maps an attendance snapshot document to a plain record
+ *
+ * @param {Object} docSnap - Firestore document snapshot
+ * @returns {Object} Attendance record
+ */
+function toAttendanceRecord(docSnap) {
+  const data = docSnap.data();
+  return {
+    id: docSnap.id,
+    ...data,
+    scannedAt: data.scannedAt?.toDate?.() || data.scannedAt,
+  };
+}
+
+/**
+ * Sorts attendance records newest first
+ *
+ * @param {Object} a - First record
+ * @param {Object} b - Second record
+ * @returns {number} Sort order
+ */
+function byScannedAtDesc(a, b) {
+  return new Date(b.scannedAt || 0) - new Date(a.scannedAt || 0);
+}
+
+/**
+ * Subscribes to the attendance records of a session
+ *
+ * @param {string} sessionId - Session document ID
+ * @param {Function} callback - Called with records, newest first
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToSessionAttendance(sessionId, callback) {
+  const attendanceQuery = query(
+    collection(db, COLLECTIONS.SESSION_ATTENDANCE),
+    where('sessionId', '==', sessionId)
+  );
+
+  return onSnapshot(attendanceQuery, (snapshot) => {
+    callback(snapshot.docs.map(toAttendanceRecord).sort(byScannedAtDesc));
+  });
+}
+
+/**
+ * Gets the sessions an attendee was recorded at
+ *
+ * @param {string} registrationId - Registration document ID
+ * @returns {Promise<Array>} Attendance records for every attendee of the registration
+ */
+export async function getAttendanceByRegistration(registrationId) {
+  const attendanceQuery = query(
+    collection(db, COLLECTIONS.SESSION_ATTENDANCE),
+    where('registrationId', '==', registrationId)
+  );
+  const snapshot = await getDocs(attendanceQuery);
+  return snapshot.docs.map(toAttendanceRecord).sort(byScannedAtDesc);
+}
+
+/**
+ * Gets all session attendance records
+ *
+ * @returns {Promise<Array>} Attendance records, newest first
+ */
+export async function getAllSessionAttendance() {
+  const snapshot = await getDocs(collection(db, COLLECTIONS.SESSION_ATTENDANCE));
+  return snapshot.docs.map(toAttendanceRecord).sort(byScannedAtDesc);
+}
@@ -0,0 +1,166 @@
+/**
+ * Session Ratings Service
+ * Lets checked-in attendees rate plenaries and workshops once they have ended,
+ * and gives admins per-session and per-speaker score reports. Ratings are
+ * written by the submitSessionRating Cloud Function, which verifies the
+ * attendee's check-in; the public cannot read registrations.
+ *
+ * @module services/sessionRatings
+ */
+
+import { collection, getDocs } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from '../lib/firebase';
+import { COLLECTIONS } from '../constants';
+import { logActivity, ACTIVITY_TYPES, ENTITY_TYPES } from './activityLog';
+
+export {
+  SESSION_RATING_SCALE,
+  getSessionStartTime,
+  getSessionEndTime,
+  isRatableSessionType,
+  isSessionRatable,
+  summarizeSessionRatings,
+  summarizeSpeakerRatings,
+} from '../utils/sessionRatings';
+
+/**
+ * Maximum length of a session rating comment
+ */
+export const SESSION_RATING_COMMENT_MAX_LENGTH = 1000;
+
+/**
+ * Where a session rating was submitted from
+ */
+export const SESSION_RATING_SOURCES = Object.freeze({
+  SCHEDULE: 'schedule',
+  SURVEY: 'survey',
+});
+
+/**
+ * Submits session ratings through the submitSessionRating function
+ *
+ * @param {Object} ratingData - Rating data
+ * @param {string} ratingData.identifier - Registration ID or 6-character short code
+ * @param {string} ratingData.email - Attendee email used at registration
+ * @param {Array} ratingData.ratings - Array of { sessionId, rating, comment }
+ * @param {string} ratingData.source - Value from SESSION_RATING_SOURCES
+ * @returns {Promise<{ saved: number }>} Number of ratings saved
+ * @throws {Error} With a user-facing message when the submission is rejected
+ */
+export async function submitSessionRatings({ identifier, email, ratings, source }) {
+  if (!identifier || !identifier.trim()) {
+    throw new Error('Please enter your registration ID or code');
+  }
+
+  if (!email || !email.trim()) {
+    throw new Error('Please enter the email you registered with');
+  }
+
+  if (!ratings || ratings.length === 0) {
+    throw new Error('Please rate at least one session');
+  }
+
+  try {
+    const submitSessionRatingFn = httpsCallable(functions, 'submitSessionRating');
+    const result = await submitSessionRatingFn({
+      identifier: identifier.trim(),
+      email: email.trim(),
+      ratings: ratings.map(({ sessionId, rating, comment }) => ({
+        sessionId,
+        rating,
+        comment: comment?.trim() || '',
+      })),
+      source,
+    });
+    return result.data;
+  } catch (error) {
+    if (error.code === 'functions/resource-exhausted') {
+      throw new Error('Too many rating submissions. Please try again in a few minutes.');
+    }
+    if (error.code === 'functions/not-found') {
+      throw new Error('We could not find an attendee with that registration and email.');
+    }
+    if (
+      error.code === 'functions/permission-denied' ||
+      error.code === 'functions/failed-precondition' ||
+      error.code === 'functions/invalid-argument'
+    ) {
+      throw new Error(error.message || 'Unable to submit your ratings');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Gets all session ratings (admin only)
+ *
+ * @returns {Promise<Array>} Ratings, newest first
+ */
+export async function getAllSessionRatings() {
+  const snapshot = await getDocs(collection(db, COLLECTIONS.SESSION_RATINGS));
+  return snapshot.docs
+    .map((docSnap) => {
+      const data = docSnap.data();
+      return {
+        id: docSnap.id,
+        ...data,
+        submittedAt: data.submittedAt?.toDate?.() || data.submittedAt,
+      };
+    })
+    .sort((a, b) => new Date(b.submittedAt || 0) - new Date(a.submittedAt || 0));
+}
+
+/**
+ * Gets private speaker contact details keyed by speaker ID (admin only)
+ *
+ * @returns {Promise<Object>} Contacts keyed by speaker ID
+ */
+export async function getSpeakerContacts() {
+  const snapshot = await getDocs(collection(db, COLLECTIONS.SPEAKER_CONTACTS));
+  const contacts = {};
+  snapshot.docs.forEach((docSnap) => {
+    const data = docSnap.data();
+    contacts[docSnap.id] = {
+      ...data,
+      lastSummarySentAt: data.lastSummarySentAt?.toDate?.() || data.lastSummarySentAt,
+    };
+  });
+  return contacts;
+}
+
+/**
+ * Emails a speaker a private summary of their session ratings
+ *
+ * @param {string} speakerId - Speaker document ID
+ * @param {string} email - Speaker email address (remembered for next time)
+ * @param {string} adminId - Admin user ID performing the action
+ * @param {string} adminEmail - Admin email performing the action
+ * @returns {Promise<Object>} { sessionCount, ratingCount, average }
+ */
+export async function sendSpeakerRatingSummary(speakerId, email, adminId, adminEmail) {
+  if (!speakerId) {
+    throw new Error('Speaker ID is required');
+  }
+
+  if (!email || !email.trim()) {
+    throw new Error('Speaker email is required');
+  }
+
+  const sendSpeakerRatingSummaryFn = httpsCallable(functions, 'sendSpeakerRatingSummary');
+  const result = await sendSpeakerRatingSummaryFn({
+    speakerId,
+    email: email.trim(),
+  });
+
+  await logActivity({
+    type: ACTIVITY_TYPES.UPDATE,
+    entityType: ENTITY_TYPES.SPEAKER,
+    entityId: speakerId,
+    description: `Sent session rating summary to ${email.trim()}`,
+    adminId,
+    adminEmail,
+  });
+
+  return result.data;
+}
@@ -21,11 +21,16 @@ import {
 import { db } from '../lib/firebase';
 import { COLLECTIONS } from '../constants';
 import { logActivity, ACTIVITY_TYPES, ENTITY_TYPES } from './activityLog';
+import { getActiveEditionId, getEditionSettingsDocId } from './editions';
 
 /**
- * Settings document ID (singleton)
+ * Gets the settings document ID of the active edition
+ *
+ * @returns {Promise<string>} Document ID in the conferences collection
  */
-const SETTINGS_DOC_ID = 'conference-settings';
+async function getActiveSettingsDocId() {
+  return getEditionSettingsDocId(await getActiveEditionId());
+}
 
 /**
  * Default conference settings
@@ -45,6 +50,13 @@ const DEFAULT_SETTINGS = {
     enabled: false,          // Whether waitlisting is allowed when conference is full
     capacity: null,          // null = unlimited waitlist, number = max waitlist slots
   },
+  reminders: {
+    enabled: false,                // Whether the reminder scheduler sends anything
+    paymentOffsetsHours: [72, 24], // Payment reminders, in hours before the payment deadline
+    paymentSmsEnabled: true,       // Also text payment reminders (when SMS is enabled)
+    eventOffsetHours: 24,          // Pre-event reminder with ticket QR, hours before start (0 = off)
+    waitlistOffsetHours: 6,        // Waitlist offer reminder, hours before the offer expires (0 = off)
+  },
   refundPolicy: {
     enabled: true,           // Whether refunds are allowed at all
     fullRefundDays: 14,      // Days before event for full refund eligibility (null = no full refund)
@@ -57,6 +69,8 @@ const DEFAULT_SETTINGS = {
     userCancellationEnabled: true, // Whether users can cancel their own registration
     transferEnabled: true,         // Whether users can transfer their registration
     transferDeadlineDays: 3,       // Minimum days before event that transfers are allowed
+    detailsEditEnabled: true,      // Whether users can edit names, roles, workshops and food choice
+    detailsEditDeadlineDays: 3,    // Minimum days before event that detail edits are allowed
   },
   venue: {
     name: 'GCF South Metro',
@@ -101,14 +115,10 @@ const DEFAULT_SETTINGS = {
       'Excellence through dedicated effort',
     ],
   },
-  idmc2025: {
-    title: 'IDMC 2025',
-    subtitle: 'Watch the highlights from our previous conference',
-    youtubeVideoId: 'emGTZDXOaZY',
-  },
   feedback: {
     enabled: false,
     closingDate: null,
+    sessionRatingsEnabled: false,  // Whether checked-in attendees can rate sessions after they end
     formTitle: 'Event Feedback',
     formSubtitle: 'We value your feedback. Please share your experience with us.',
     fields: [
@@ -243,6 +253,26 @@ const DEFAULT_SETTINGS = {
       },
     ],
   },
+  registrationQuestions: {
+    registrationFields: [],       // Asked once per registration, same shape as feedback.fields
+    attendeeFields: [],           // Asked for each attendee
+  },
+  certificate: {
+    enabled: false,               // Whether certificates can be issued and downloaded
+    title: 'Certificate of Attendance',
+    bodyText: 'This is to certify that {name} of {church} attended {conference} held on {date} at {venue}.',
+    sessionsText: 'Sessions attended: {sessions}',
+    includeSessions: true,        // Whether to list sessions from session attendance
+    backgroundImageUrl: null,     // Full-page background (JPEG or PNG, landscape)
+    signatories: [],              // [{ name, title, signatureImageUrl }]
+  },
+  invoiceIssuer: {
+    documentTitle: 'Official Receipt',
+    name: 'GCF South Metro',
+    tin: '',
+    address: 'Daang Hari Road, Versailles, Almanza Dos, Las Piñas City 1750 Philippines',
+    footerNote: '',               // Printed at the bottom, e.g., BIR permit or exemption details
+  },
   termsOfService: {
     lastUpdated: '',
     sections: [
@@ -363,25 +393,30 @@ const DEFAULT_SETTINGS = {
 /**
  * Fetches conference settings
  *
- * @returns {Promise<Object>} Conference settings object
+ * @param {string} [editionId] - Edition to read (defaults to the active edition)
+ * @returns {Promise<Object>} Conference settings object, including its editionId
  */
-export async function getConferenceSettings() {
+export async function getConferenceSettings(editionId = null) {
+  const resolvedEditionId = editionId || await getActiveEditionId();
+  const settingsDocId = getEditionSettingsDocId(resolvedEditionId);
+
   try {
-    const settingsRef = doc(db, COLLECTIONS.CONFERENCES, SETTINGS_DOC_ID);
+    const settingsRef = doc(db, COLLECTIONS.CONFERENCES, settingsDocId);
     const settingsDoc = await getDoc(settingsRef);
 
     if (settingsDoc.exists()) {
       return {
         id: settingsDoc.id,
         ...settingsDoc.data(),
+        editionId: resolvedEditionId,
       };
     }
 
     // Return default settings if not found
-    return { id: SETTINGS_DOC_ID, ...DEFAULT_SETTINGS };
+    return { id: settingsDocId, ...DEFAULT_SETTINGS, editionId: resolvedEditionId };
   } catch (error) {
     console.error('Failed to fetch conference settings:', error);
-    return { id: SETTINGS_DOC_ID, ...DEFAULT_SETTINGS };
+    return { id: settingsDocId, ...DEFAULT_SETTINGS, editionId: resolvedEditionId };
   }
 }
 
@@ -395,7 +430,8 @@ export async function getConferenceSettings() {
  */
 export async function updateConferenceSettings(settings, adminId = null, adminEmail = null) {
   try {
-    const settingsRef = doc(db, COLLECTIONS.CONFERENCES, SETTINGS_DOC_ID);
+    const settingsDocId = await getActiveSettingsDocId();
+    const settingsRef = doc(db, COLLECTIONS.CONFERENCES, settingsDocId);
     const settingsDoc = await getDoc(settingsRef);
 
     const updateData = {
@@ -403,8 +439,9 @@ export async function updateConferenceSettings(settings, adminId = null, adminEm
       updatedAt: serverTimestamp(),
     };
 
-    // Remove id from the data to save
+    // Remove id and the derived edition ID from the data to save
     delete updateData.id;
+    delete updateData.editionId;
 
     if (settingsDoc.exists()) {
       await updateDoc(settingsRef, updateData);
@@ -421,14 +458,14 @@ export async function updateConferenceSettings(settings, adminId = null, adminEm
       await logActivity({
         type: ACTIVITY_TYPES.SETTINGS,
         entityType: ENTITY_TYPES.SETTINGS,
-        entityId: SETTINGS_DOC_ID,
+        entityId: settingsDocId,
         description: 'Updated conference settings',
         adminId,
         adminEmail,
       });
     }
 
-    return { id: SETTINGS_DOC_ID, ...settings };
+    return { id: settingsDocId, ...settings };
   } catch (error) {
     console.error('Failed to update conference settings:', error);
     throw error;
@@ -442,7 +479,8 @@ export async function updateConferenceSettings(settings, adminId = null, adminEm
  */
 export async function getPricingTiers() {
   try {
-    const tiersRef = collection(db, COLLECTIONS.CONFERENCES, SETTINGS_DOC_ID, 'pricingTiers');
+    const settingsDocId = await getActiveSettingsDocId();
+    const tiersRef = collection(db, COLLECTIONS.CONFERENCES, settingsDocId, 'pricingTiers');
     const tiersQuery = query(tiersRef, orderBy('startDate', 'asc'));
     const snapshot = await getDocs(tiersQuery);
 
@@ -466,7 +504,8 @@ export async function getPricingTiers() {
  */
 export async function createPricingTier(tier, adminId = null, adminEmail = null) {
   try {
-    const tiersRef = collection(db, COLLECTIONS.CONFERENCES, SETTINGS_DOC_ID, 'pricingTiers');
+    const settingsDocId = await getActiveSettingsDocId();
+    const tiersRef = collection(db, COLLECTIONS.CONFERENCES, settingsDocId, 'pricingTiers');
 
     const tierData = {
       name: tier.name,
@@ -514,7 +553,8 @@ export async function createPricingTier(tier, adminId = null, adminEmail = null)
  */
 export async function updatePricingTier(tierId, tier, adminId = null, adminEmail = null) {
   try {
-    const tierRef = doc(db, COLLECTIONS.CONFERENCES, SETTINGS_DOC_ID, 'pricingTiers', tierId);
+    const settingsDocId = await getActiveSettingsDocId();
+    const tierRef = doc(db, COLLECTIONS.CONFERENCES, settingsDocId, 'pricingTiers', tierId);
 
     const updateData = {
       name: tier.name,
@@ -558,7 +598,8 @@ export async function updatePricingTier(tierId, tier, adminId = null, adminEmail
  */
 export async function deletePricingTier(tierId) {
   try {
-    const tierRef = doc(db, COLLECTIONS.CONFERENCES, SETTINGS_DOC_ID, 'pricingTiers', tierId);
+    const settingsDocId = await getActiveSettingsDocId();
+    const tierRef = doc(db, COLLECTIONS.CONFERENCES, settingsDocId, 'pricingTiers', tierId);
     await deleteDoc(tierRef);
   } catch (error) {
     console.error('Failed to delete pricing tier:', error);
@@ -566,6 +607,144 @@ export async function deletePricingTier(tierId) {
   }
 }
 
+/**
+ * Fetches all group discount rules
+ *
+ * @returns {Promise<Array>} Array of group discount rules
+ */
+export async function getGroupDiscountRules() {
+  try {
+    const settingsDocId = await getActiveSettingsDocId();
+    const rulesRef = collection(db, COLLECTIONS.CONFERENCES, settingsDocId, 'groupDiscountRules');
+    const rulesQuery = query(rulesRef, orderBy('minAttendees', 'asc'));
+    const snapshot = await getDocs(rulesQuery);
+
+    return snapshot.docs.map((ruleDoc) => ({
+      id: ruleDoc.id,
+      ...ruleDoc.data(),
+    }));
+  } catch (error) {
+    console.error('Failed to fetch group discount rules:', error);
+    return [];
+  }
+}
+
+/**
+ * Creates a new group discount rule
+ *
+ * @param {Object} rule - Group discount rule data
+ * @param {string} rule.name - Display name (e.g., "Church Delegation 10%")
+ * @param {string} rule.type - Rule type from GROUP_DISCOUNT_TYPES
+ * @param {number} rule.value - Percent or peso amount (unused for free_every_nth)
+ * @param {number} rule.minAttendees - Group size required (the N for free_every_nth)
+ * @param {boolean} rule.isActive - Whether the rule is applied at registration
+ * @param {string} adminId - Admin user ID performing the action
+ * @param {string} adminEmail - Admin email performing the action
+ * @returns {Promise<Object>} Created rule with ID
+ */
+export async function createGroupDiscountRule(rule, adminId = null, adminEmail = null) {
+  try {
+    const settingsDocId = await getActiveSettingsDocId();
+    const rulesRef = collection(db, COLLECTIONS.CONFERENCES, settingsDocId, 'groupDiscountRules');
+
+    const ruleData = {
+      name: rule.name,
+      type: rule.type,
+      value: Number(rule.value) || 0,
+      minAttendees: Number(rule.minAttendees),
+      isActive: rule.isActive ?? true,
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp(),
+    };
+
+    const docRef = await addDoc(rulesRef, ruleData);
+
+    // Log the activity
+    if (adminId && adminEmail) {
+      await logActivity({
+        type: ACTIVITY_TYPES.CREATE,
+        entityType: ENTITY_TYPES.PRICING,
+        entityId: docRef.id,
+        description: `Created group discount rule: ${rule.name}`,
+        adminId,
+        adminEmail,
+      });
+    }
+
+    return {
+      id: docRef.id,
+      ...ruleData,
+    };
+  } catch (error) {
+    console.error('Failed to create group discount rule:', error);
+    throw error;
+  }
+}
+
+/**
+ * Updates an existing group discount rule
+ *
+ * @param {string} ruleId - Rule ID to update
+ * @param {Object} rule - Updated rule data
+ * @param {string} adminId - Admin user ID performing the action
+ * @param {string} adminEmail - Admin email performing the action
+ * @returns {Promise<Object>} Updated rule
+ */
+export async function updateGroupDiscountRule(ruleId, rule, adminId = null, adminEmail = null) {
+  try {
+    const settingsDocId = await getActiveSettingsDocId();
+    const ruleRef = doc(db, COLLECTIONS.CONFERENCES, settingsDocId, 'groupDiscountRules', ruleId);
+
+    const updateData = {
+      name: rule.name,
+      type: rule.type,
+      value: Number(rule.value) || 0,
+      minAttendees: Number(rule.minAttendees),
+      isActive: rule.isActive,
+      updatedAt: serverTimestamp(),
+    };
+
+    await updateDoc(ruleRef, updateData);
+
+    // Log the activity
+    if (adminId && adminEmail) {
+      await logActivity({
+        type: ACTIVITY_TYPES.UPDATE,
+        entityType: ENTITY_TYPES.PRICING,
+        entityId: ruleId,
+        description: `Updated group discount rule: ${rule.name}`,
+        adminId,
+        adminEmail,
+      });
+    }
+
+    return {
+      id: ruleId,
+      ...updateData,
+    };
+  } catch (error) {
+    console.error('Failed to update group discount rule:', error);
+    throw error;
+  }
+}
+
+/**
+ * Deletes a group discount rule
+ *
+ * @param {string} ruleId - Rule ID to delete
+ * @returns {Promise<void>}
+ */
+export async function deleteGroupDiscountRule(ruleId) {
+  try {
+    const settingsDocId = await getActiveSettingsDocId();
+    const ruleRef = doc(db, COLLECTIONS.CONFERENCES, settingsDocId, 'groupDiscountRules', ruleId);
+    await deleteDoc(ruleRef);
+  } catch (error) {
+    console.error('Failed to delete group discount rule:', error);
+    throw error;
+  }
+}
+
 /**
  * Gets the currently active pricing tier based on current date
  *
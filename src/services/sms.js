@@ -0,0 +1,59 @@
+/**
+ * SMS Service
+ * Reads the SMS delivery log and sends test messages. SMS notifications
+ * are sent by Cloud Functions through the provider chosen under
+ * settings.sms, only to registrants who opted in (smsConsent), and every
+ * message is written to the smsLogs collection.
+ *
+ * @module services/sms
+ */
+
+import { collection, getDocs, query, orderBy, limit } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from '../lib/firebase';
+import { COLLECTIONS } from '../constants';
+import { getActiveEditionId, isInEdition } from './editions';
+
+/**
+ * Most recent log entries loaded on the SMS log page
+ */
+const SMS_LOG_LIMIT = 500;
+
+/**
+ * Fetches the most recent SMS log entries of the active edition
+ *
+ * @returns {Promise<Array>} Log entries ({ to, messageType, provider, status, providerMessageId, error, message, registrationId, sentBy, createdAt }), newest first
+ */
+export async function getSmsLogs() {
+  const [snapshot, editionId] = await Promise.all([
+    getDocs(query(
+      collection(db, COLLECTIONS.SMS_LOGS),
+      orderBy('createdAt', 'desc'),
+      limit(SMS_LOG_LIMIT)
+    )),
+    getActiveEditionId(),
+  ]);
+
+  return snapshot.docs
+    .map((logDoc) => {
+      const data = logDoc.data();
+      return {
+        id: logDoc.id,
+        ...data,
+        createdAt: data.createdAt?.toDate?.() || null,
+      };
+    })
+    .filter((entry) => isInEdition(entry, editionId));
+}
+
+/**
+ * Sends a test SMS through the configured provider
+ *
+ * @param {string} phone - Philippine mobile number
+ * @returns {Promise<string>} Provider the test was sent through
+ */
+export async function sendTestSms(phone) {
+  const sendTestSmsFn = httpsCallable(functions, 'sendTestSms');
+  const result = await sendTestSmsFn({ phone });
+  return result.data?.provider;
+}
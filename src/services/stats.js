@@ -8,7 +8,8 @@
 
 import { doc, getDoc, onSnapshot } from 'firebase/firestore';
 import { db } from '../lib/firebase';
-import { COLLECTIONS, STATS_DOC_ID } from '../constants';
+import { COLLECTIONS } from '../constants';
+import { getActiveEditionId, getEditionStatsDocId } from './editions';
 
 /**
  * Default stats object when document doesn't exist
@@ -29,6 +30,8 @@ const DEFAULT_STATS = {
   totalConfirmedPayments: 0,
   totalPendingPayments: 0,
   bankAccountStats: {}, // { [bankAccountId]: { confirmed: number, pending: number, count: number } }
+  totalDiscounts: 0,
+  promoCodeStats: {}, // { [code]: { count: number, discount: number } }
 
   // Church stats - { [churchKey]: { name, city, delegateCount, registrationCount } }
   churchStats: {},
@@ -51,11 +54,14 @@ const DEFAULT_STATS = {
 /**
  * Fetches conference statistics
  *
+ * @param {string} [editionId] - Edition to read (defaults to the active edition)
  * @returns {Promise<Object>} Conference stats object
  */
-export async function getConferenceStats() {
+export async function getConferenceStats(editionId = null) {
+  const statsDocId = getEditionStatsDocId(editionId || await getActiveEditionId());
+
   try {
-    const statsRef = doc(db, COLLECTIONS.STATS, STATS_DOC_ID);
+    const statsRef = doc(db, COLLECTIONS.STATS, statsDocId);
     const statsDoc = await getDoc(statsRef);
 
     if (statsDoc.exists()) {
@@ -65,37 +71,50 @@ export async function getConferenceStats() {
       };
     }
 
-    return { id: STATS_DOC_ID, ...DEFAULT_STATS };
+    return { id: statsDocId, ...DEFAULT_STATS };
   } catch (error) {
     console.error('Failed to fetch conference stats:', error);
-    return { id: STATS_DOC_ID, ...DEFAULT_STATS };
+    return { id: statsDocId, ...DEFAULT_STATS };
   }
 }
 
 /**
- * Subscribes to real-time conference stats updates
+ * Subscribes to real-time conference stats updates for the active edition
  *
  * @param {Function} callback - Called with updated stats on each change
  * @returns {Function} Unsubscribe function
  */
 export function subscribeToConferenceStats(callback) {
-  const statsRef = doc(db, COLLECTIONS.STATS, STATS_DOC_ID);
-
-  return onSnapshot(
-    statsRef,
-    (docSnapshot) => {
-      if (docSnapshot.exists()) {
-        callback({
-          id: docSnapshot.id,
-          ...docSnapshot.data(),
-        });
-      } else {
-        callback({ id: STATS_DOC_ID, ...DEFAULT_STATS });
+  let unsubscribe = null;
+  let isCancelled = false;
+
+  getActiveEditionId().then((editionId) => {
+    if (isCancelled) return;
+
+    const statsDocId = getEditionStatsDocId(editionId);
+    const statsRef = doc(db, COLLECTIONS.STATS, statsDocId);
+
+    unsubscribe = onSnapshot(
+      statsRef,
+      (docSnapshot) => {
+        if (docSnapshot.exists()) {
+          callback({
+            id: docSnapshot.id,
+            ...docSnapshot.data(),
+          });
+        } else {
+          callback({ id: statsDocId, ...DEFAULT_STATS });
+        }
+      },
+      (error) => {
+        console.error('Error subscribing to conference stats:', error);
+        callback({ id: statsDocId, ...DEFAULT_STATS });
       }
-    },
-    (error) => {
-      console.error('Error subscribing to conference stats:', error);
-      callback({ id: STATS_DOC_ID, ...DEFAULT_STATS });
-    }
-  );
+    );
+  });
+
+  return () => {
+    isCancelled = true;
+    if (unsubscribe) unsubscribe();
+  };
 }
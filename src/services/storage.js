@@ -18,6 +18,7 @@ import {
   MAX_FILE_SIZES,
   THUMBNAIL_DIMENSIONS,
 } from '../constants';
+import { getActiveEditionId, getEditionStoragePath } from './editions';
 
 /**
  * File type mapping for human-readable names
@@ -317,6 +318,104 @@ export async function uploadInvoiceFile(file, storagePath, onProgress) {
   return uploadFile(storageRef, file, onProgress);
 }
 
+/**
+ * Uploads a certificate background or signature image
+ * Only JPEG and PNG are accepted since they are embedded in certificate PDFs.
+ *
+ * @param {File} file - Image file to upload
+ * @param {Function} onProgress - Progress callback (0-100)
+ * @returns {Promise<string>} Download URL of uploaded image
+ */
+export async function uploadCertificateAsset(file, onProgress) {
+  if (!file || !ALLOWED_FILE_TYPES.CERTIFICATE_ASSETS.includes(file.type)) {
+    throw new Error('Invalid file type. Please upload a JPEG or PNG image.');
+  }
+
+  if (file.size > MAX_FILE_SIZES.IMAGE) {
+    throw new Error(`File size exceeds ${MAX_FILE_SIZES.IMAGE / (1024 * 1024)}MB limit.`);
+  }
+
+  const filename = generateUniqueFilename(file.name);
+  const storagePath = `${STORAGE_PATHS.CERTIFICATE_ASSETS}/${filename}`;
+  const storageRef = ref(storage, storagePath);
+
+  return uploadFile(storageRef, file, onProgress);
+}
+
+/**
+ * Uploads a photo for a past conference gallery
+ *
+ * @param {File} file - Image file to upload
+ * @param {string} archiveId - Archive ID for organizing the files
+ * @param {Function} onProgress - Progress callback (0-100)
+ * @returns {Promise<string>} Download URL of uploaded photo
+ */
+export async function uploadArchivePhoto(file, archiveId, onProgress) {
+  if (!archiveId) {
+    throw new Error('Archive ID is required for photo upload');
+  }
+
+  const validation = validateFile(file, 'image');
+  if (!validation.valid) {
+    throw new Error(validation.error);
+  }
+
+  const filename = generateUniqueFilename(file.name);
+  const storagePath = `${STORAGE_PATHS.ARCHIVE_PHOTOS}/${archiveId}/${filename}`;
+  const storageRef = ref(storage, storagePath);
+
+  return uploadFile(storageRef, file, onProgress);
+}
+
+/**
+ * Uploads a generated certificate PDF for an attendee
+ *
+ * @param {Blob} pdfBlob - Certificate PDF
+ * @param {string} registrationId - Registration ID for organizing the file
+ * @param {number} attendeeIndex - Index of the attendee (0 for primary, 1+ for additional)
+ * @returns {Promise<string>} Download URL of uploaded certificate
+ */
+export async function uploadCertificateFile(pdfBlob, registrationId, attendeeIndex) {
+  if (!registrationId) {
+    throw new Error('Registration ID is required for certificate upload');
+  }
+
+  const basePath = getEditionStoragePath(STORAGE_PATHS.CERTIFICATES, await getActiveEditionId());
+  const storagePath = `${basePath}/${registrationId}/${registrationId}-${attendeeIndex}.pdf`;
+  const storageRef = ref(storage, storagePath);
+
+  return uploadFile(storageRef, pdfBlob);
+}
+
+/**
+ * Uploads proof of a refund payout (GCash or bank transfer receipt)
+ *
+ * @param {File} file - PDF or image of the payout receipt
+ * @param {string} registrationId - Registration ID for organizing files
+ * @param {Function} onProgress - Progress callback (0-100)
+ * @returns {Promise<string>} Download URL of uploaded proof
+ */
+export async function uploadRefundProof(file, registrationId, onProgress) {
+  if (!registrationId) {
+    throw new Error('Registration ID is required for refund proof upload');
+  }
+
+  if (!file || !ALLOWED_FILE_TYPES.REFUND_PROOFS.includes(file.type)) {
+    throw new Error('Invalid file type. Please upload a PDF, JPEG, or PNG file.');
+  }
+
+  if (file.size > MAX_FILE_SIZES.IMAGE) {
+    throw new Error(`File size exceeds ${MAX_FILE_SIZES.IMAGE / (1024 * 1024)}MB limit.`);
+  }
+
+  const extension = file.name.split('.').pop();
+  const basePath = getEditionStoragePath(STORAGE_PATHS.REFUND_PROOFS, await getActiveEditionId());
+  const storagePath = `${basePath}/${registrationId}/${Date.now()}.${extension}`;
+  const storageRef = ref(storage, storagePath);
+
+  return uploadFile(storageRef, file, onProgress);
+}
+
 /**
  * Deletes a file from Firebase Storage
  *
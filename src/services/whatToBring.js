@@ -22,6 +22,7 @@ import {
 import { db } from '../lib/firebase';
 import { COLLECTIONS, WHAT_TO_BRING_STATUS } from '../constants';
 import { logActivity, ACTIVITY_TYPES, ENTITY_TYPES } from './activityLog';
+import { getActiveEditionId, isInEdition } from './editions';
 
 /**
  * Fetches all "What to Bring" items from Firestore
@@ -32,12 +33,14 @@ export async function getAllWhatToBringItems() {
   const whatToBringRef = collection(db, COLLECTIONS.WHAT_TO_BRING);
   const orderedQuery = query(whatToBringRef, orderBy('order', 'asc'));
 
-  const snapshot = await getDocs(orderedQuery);
+  const [snapshot, editionId] = await Promise.all([getDocs(orderedQuery), getActiveEditionId()]);
 
-  return snapshot.docs.map((docSnapshot) => ({
-    id: docSnapshot.id,
-    ...docSnapshot.data(),
-  }));
+  return snapshot.docs
+    .map((docSnapshot) => ({
+      id: docSnapshot.id,
+      ...docSnapshot.data(),
+    }))
+    .filter((item) => isInEdition(item, editionId));
 }
 
 /**
@@ -53,12 +56,14 @@ export async function getPublishedWhatToBringItems() {
     orderBy('order', 'asc')
   );
 
-  const snapshot = await getDocs(publishedQuery);
+  const [snapshot, editionId] = await Promise.all([getDocs(publishedQuery), getActiveEditionId()]);
 
-  return snapshot.docs.map((docSnapshot) => ({
-    id: docSnapshot.id,
-    ...docSnapshot.data(),
-  }));
+  return snapshot.docs
+    .map((docSnapshot) => ({
+      id: docSnapshot.id,
+      ...docSnapshot.data(),
+    }))
+    .filter((item) => isInEdition(item, editionId));
 }
 
 /**
@@ -95,9 +100,13 @@ export async function getWhatToBringItem(itemId) {
  * @returns {Promise<Object>} Saved what to bring item data
  */
 export async function saveWhatToBringItem(itemId, itemData, adminId = null, adminEmail = null) {
-  const existing = await getWhatToBringItem(itemId);
+  const [existing, editionId] = await Promise.all([getWhatToBringItem(itemId), getActiveEditionId()]);
   const isNew = !existing;
 
+  if (existing && !isInEdition(existing, editionId)) {
+    throw new Error('This item ID is used by another conference edition. Please reword the item.');
+  }
+
   const docRef = doc(db, COLLECTIONS.WHAT_TO_BRING, itemId);
   const timestamp = serverTimestamp();
 
@@ -108,6 +117,7 @@ export async function saveWhatToBringItem(itemId, itemData, adminId = null, admi
 
   if (!existing) {
     docData.createdAt = timestamp;
+    docData.conferenceId = editionId;
   }
 
   await setDoc(docRef, docData, { merge: true });
@@ -0,0 +1,101 @@
+/**
+ * Archive Utility
+ * Formats past conference pages and builds their program and headline stats
+ * from an edition's sessions and registration figures. Archives are stored
+ * and published in services/archives.js.
+ *
+ * @module utils/archives
+ */
+
+import { SESSION_TYPES } from '../constants';
+
+/**
+ * Session types left out of an archive's session list
+ */
+const NON_PROGRAM_SESSION_TYPES = [
+  SESSION_TYPES.BREAK,
+  SESSION_TYPES.REGISTRATION,
+  SESSION_TYPES.LUNCH,
+];
+
+/**
+ * Formats an archive's conference dates for display (e.g., "April 5–6, 2025")
+ *
+ * @param {Object} archive - Archive with startDate/endDate (YYYY-MM-DD)
+ * @returns {string} Formatted date range, or an empty string when unset
+ */
+export function formatArchiveDateRange(archive) {
+  const start = archive?.startDate ? new Date(`${archive.startDate}T00:00:00`) : null;
+  if (!start || Number.isNaN(start.getTime())) {
+    return '';
+  }
+
+  const end = archive.endDate ? new Date(`${archive.endDate}T00:00:00`) : null;
+  const fullFormat = { month: 'long', day: 'numeric', year: 'numeric' };
+  if (!end || Number.isNaN(end.getTime()) || end.getTime() === start.getTime()) {
+    return start.toLocaleDateString('en-US', fullFormat);
+  }
+
+  if (start.getFullYear() === end.getFullYear() && start.getMonth() === end.getMonth()) {
+    const month = start.toLocaleDateString('en-US', { month: 'long' });
+    return `${month} ${start.getDate()}–${end.getDate()}, ${end.getFullYear()}`;
+  }
+
+  return `${start.toLocaleDateString('en-US', fullFormat)} – ${end.toLocaleDateString('en-US', fullFormat)}`;
+}
+
+/**
+ * Gets an edition's program sessions in schedule order
+ *
+ * @param {Array} sessions - The edition's published session documents
+ * @returns {Array} Sessions without breaks, lunch and registration, by day then order
+ */
+function getProgramSessions(sessions) {
+  return (sessions || [])
+    .filter((session) => !NON_PROGRAM_SESSION_TYPES.includes(session.sessionType))
+    .sort((a, b) => (a.day || 1) - (b.day || 1) || (a.order || 0) - (b.order || 0));
+}
+
+/**
+ * Builds an archive's session list from an edition's sessions. Recordings
+ * are added by admins in the archive editor.
+ *
+ * @param {Array} sessions - The edition's published session documents
+ * @returns {Array} Archive sessions in schedule order
+ */
+export function buildArchiveSessions(sessions) {
+  return getProgramSessions(sessions).map((session) => ({
+    title: session.title || '',
+    sessionType: session.sessionType || '',
+    speakerNames: session.speakerNames || [],
+    day: session.day || 1,
+    startTime: session.startTime || '',
+    recordingVideoId: '',
+  }));
+}
+
+/**
+ * Gets the speakers of an edition's program sessions
+ *
+ * @param {Array} sessions - The edition's published session documents
+ * @returns {Array<string>} Speaker IDs in order of first appearance
+ */
+export function getArchiveSpeakerIds(sessions) {
+  return [...new Set(getProgramSessions(sessions).flatMap((session) => session.speakerIds || []))];
+}
+
+/**
+ * Builds an archive's headline stats, preferring the edition's stats
+ * document and falling back to counting its registrations
+ *
+ * @param {Object} stats - Conference stats from getConferenceStats
+ * @param {Object} summary - Registration summary from getEditionRegistrationSummary
+ * @returns {{ attendeeCount: number|null, churchCount: number|null, checkedInCount: number|null }} Stats
+ */
+export function buildArchiveStats(stats, summary) {
+  return {
+    attendeeCount: stats?.registeredAttendeeCount || (summary?.attendees ?? null),
+    churchCount: stats?.totalChurches || null,
+    checkedInCount: stats?.checkedInAttendeeCount || null,
+  };
+}
@@ -0,0 +1,85 @@
+import {
+  formatArchiveDateRange,
+  buildArchiveSessions,
+  getArchiveSpeakerIds,
+  buildArchiveStats,
+} from './archives';
+
+/**
+ * Archive Utility Tests
+ * Tests for past conference dates, program sessions and headline stats
+ */
+
+describe('archives', () => {
+  describe('formatArchiveDateRange', () => {
+    it('formats single days and ranges within a month', () => {
+      expect(formatArchiveDateRange({ startDate: '2025-04-05' })).toBe('April 5, 2025');
+      expect(formatArchiveDateRange({ startDate: '2025-04-05', endDate: '2025-04-05' })).toBe('April 5, 2025');
+      expect(formatArchiveDateRange({ startDate: '2025-04-05', endDate: '2025-04-06' })).toBe('April 5–6, 2025');
+    });
+
+    it('writes both dates in full for ranges across months', () => {
+      expect(formatArchiveDateRange({ startDate: '2025-04-30', endDate: '2025-05-01' }))
+        .toBe('April 30, 2025 – May 1, 2025');
+    });
+
+    it('returns an empty string without a valid start date', () => {
+      expect(formatArchiveDateRange({ startDate: '' })).toBe('');
+      expect(formatArchiveDateRange({ startDate: 'soon' })).toBe('');
+      expect(formatArchiveDateRange(null)).toBe('');
+    });
+  });
+
+  describe('buildArchiveSessions and getArchiveSpeakerIds', () => {
+    const sessions = [
+      { id: 's3', title: 'Closing', sessionType: 'plenary', day: 2, order: 1, speakerIds: ['sp-2'] },
+      { id: 's1', title: 'Registration', sessionType: 'registration', day: 1, order: 0, speakerIds: ['sp-9'] },
+      {
+        id: 's2',
+        title: 'Opening',
+        sessionType: 'plenary',
+        day: 1,
+        order: 1,
+        startTime: '09:00',
+        speakerIds: ['sp-1', 'sp-2'],
+        speakerNames: ['Rev. Cruz', 'Dr. Santos'],
+      },
+      { id: 's4', title: 'Lunch', sessionType: 'lunch', day: 1, order: 2 },
+      { id: 's5', title: 'Youth Ministry', sessionType: 'workshop', day: 1, order: 3 },
+    ];
+
+    it('lists program sessions in schedule order without recordings', () => {
+      const archiveSessions = buildArchiveSessions(sessions);
+      expect(archiveSessions.map((session) => session.title)).toEqual(['Opening', 'Youth Ministry', 'Closing']);
+      expect(archiveSessions[0]).toEqual({
+        title: 'Opening',
+        sessionType: 'plenary',
+        speakerNames: ['Rev. Cruz', 'Dr. Santos'],
+        day: 1,
+        startTime: '09:00',
+        recordingVideoId: '',
+      });
+    });
+
+    it('collects the speakers of program sessions once each', () => {
+      expect(getArchiveSpeakerIds(sessions)).toEqual(['sp-1', 'sp-2']);
+      expect(getArchiveSpeakerIds([])).toEqual([]);
+    });
+  });
+
+  describe('buildArchiveStats', () => {
+    it('uses the edition stats document', () => {
+      expect(buildArchiveStats(
+        { registeredAttendeeCount: 420, totalChurches: 85, checkedInAttendeeCount: 390 },
+        { attendees: 400 }
+      )).toEqual({ attendeeCount: 420, churchCount: 85, checkedInCount: 390 });
+    });
+
+    it('falls back to counting registrations and leaves missing figures unset', () => {
+      expect(buildArchiveStats({}, { attendees: 400 }))
+        .toEqual({ attendeeCount: 400, churchCount: null, checkedInCount: null });
+      expect(buildArchiveStats(null, null))
+        .toEqual({ attendeeCount: null, churchCount: null, checkedInCount: null });
+    });
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Attendee Utility
+ * Looks up attendees and their check-in state on a registration. A
+ * registration holds the primary attendee and any additional attendees;
+ * attendee index 0 is the primary attendee.
+ *
+ * @module utils/attendees
+ */
+
+/**
+ * Gets attendee information by index
+ *
+ * @param {Object} registration - Registration document
+ * @param {number} attendeeIndex - Index of the attendee (0 for primary, 1+ for additional)
+ * @returns {Object|null} Attendee data or null if not found
+ */
+export function getAttendeeByIndex(registration, attendeeIndex) {
+  if (!registration) {
+    return null;
+  }
+
+  if (attendeeIndex === 0) {
+    return registration.primaryAttendee || null;
+  }
+
+  const additionalIndex = attendeeIndex - 1;
+  return registration.additionalAttendees?.[additionalIndex] || null;
+}
+
+/**
+ * Gets the check-in status for a specific attendee
+ *
+ * @param {Object} registration - Registration document
+ * @param {number} attendeeIndex - Index of the attendee (0 for primary, 1+ for additional)
+ * @returns {Object|null} Check-in status object or null
+ */
+export function getAttendeeCheckInStatus(registration, attendeeIndex) {
+  if (!registration) {
+    return null;
+  }
+
+  // If attendeeCheckIns array exists, use it (new per-attendee tracking)
+  if (registration.attendeeCheckIns && Array.isArray(registration.attendeeCheckIns)) {
+    return registration.attendeeCheckIns[attendeeIndex] || null;
+  }
+
+  // Fallback to legacy behavior: if checkedIn is true, all attendees are considered checked in
+  if (registration.checkedIn) {
+    return {
+      checkedIn: true,
+      checkedInAt: registration.checkedInAt,
+      checkedInBy: registration.checkedInBy,
+      checkInMethod: registration.checkInMethod,
+    };
+  }
+
+  return { checkedIn: false };
+}
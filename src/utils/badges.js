@@ -0,0 +1,102 @@
+/**
+ * Badge Utility
+ * Builds printable badge entries, one per attendee, from registrations.
+ * Printed badges are recorded in services/badges.js and drawn by
+ * generateBadgesPdf in utils/exportPdf.js.
+ *
+ * @module utils/badges
+ */
+
+import { getAttendeeCheckInStatus } from './attendees';
+
+/**
+ * Check-in filter values for badge printing
+ */
+export const BADGE_CHECK_IN_FILTERS = Object.freeze({
+  ALL: 'all',
+  CHECKED_IN: 'checked_in',
+  NOT_CHECKED_IN: 'not_checked_in',
+});
+
+/**
+ * Gets the church name of a registration (supports legacy string format)
+ *
+ * @param {Object} registration - Registration document
+ * @returns {string} Church name
+ */
+export function getRegistrationChurchName(registration) {
+  if (registration?.church && typeof registration.church === 'object') {
+    return registration.church.name || '';
+  }
+  if (typeof registration?.church === 'string') {
+    return registration.church;
+  }
+  return registration?.primaryAttendee?.church || '';
+}
+
+/**
+ * Checks whether an attendee's badge has already been printed
+ *
+ * @param {Object} registration - Registration document
+ * @param {number} attendeeIndex - Index of the attendee (0 for primary, 1+ for additional)
+ * @returns {boolean} True if the badge was printed before
+ */
+export function isBadgePrinted(registration, attendeeIndex) {
+  return Boolean(registration?.badgePrints?.[attendeeIndex]);
+}
+
+/**
+ * Flattens registrations into one badge entry per attendee, applying filters
+ *
+ * @param {Array} registrations - Registration documents
+ * @param {Object} filters - Badge filters
+ * @param {string} [filters.status='all'] - Registration status or 'all'
+ * @param {string} [filters.church=''] - Church name (exact match) or empty for all
+ * @param {string} [filters.checkIn='all'] - One of BADGE_CHECK_IN_FILTERS
+ * @param {boolean} [filters.unprintedOnly=false] - Only include badges not printed yet
+ * @param {Object} [filters.categoryLabels={}] - Map of pricing tier ID to display name
+ * @returns {Array} Badge entries
+ */
+export function getBadgeEntries(registrations, filters = {}) {
+  const {
+    status = 'all',
+    church = '',
+    checkIn = BADGE_CHECK_IN_FILTERS.ALL,
+    unprintedOnly = false,
+    categoryLabels = {},
+  } = filters;
+
+  return (registrations || [])
+    .filter((registration) => status === 'all' || registration.status === status)
+    .filter((registration) => !church || getRegistrationChurchName(registration) === church)
+    .flatMap((registration) => {
+      const attendees = [
+        registration.primaryAttendee,
+        ...(registration.additionalAttendees || []),
+      ];
+
+      return attendees
+        .map((attendee, attendeeIndex) => ({ attendee, attendeeIndex }))
+        .filter(({ attendee }) => Boolean(attendee))
+        .filter(({ attendeeIndex }) => {
+          if (checkIn === BADGE_CHECK_IN_FILTERS.ALL) return true;
+          const isCheckedIn = getAttendeeCheckInStatus(registration, attendeeIndex)?.checkedIn === true;
+          return checkIn === BADGE_CHECK_IN_FILTERS.CHECKED_IN ? isCheckedIn : !isCheckedIn;
+        })
+        .filter(({ attendeeIndex }) => !unprintedOnly || !isBadgePrinted(registration, attendeeIndex))
+        .map(({ attendee, attendeeIndex }) => {
+          const category = attendee.category || registration.category || '';
+          return {
+            id: registration.id,
+            registrationId: registration.registrationId,
+            attendeeIndex,
+            firstName: attendee.firstName || '',
+            lastName: attendee.lastName || '',
+            church: getRegistrationChurchName(registration),
+            ministryRole: attendee.ministryRole || '',
+            category: categoryLabels[category] || category,
+            qrData: `${registration.registrationId}-${attendeeIndex}`,
+          };
+        });
+    });
+}
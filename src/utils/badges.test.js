@@ -0,0 +1,97 @@
+import {
+  BADGE_CHECK_IN_FILTERS,
+  getRegistrationChurchName,
+  isBadgePrinted,
+  getBadgeEntries,
+} from './badges';
+
+/**
+ * Badge Utility Tests
+ * Tests for building filtered badge entries with per-attendee QR payloads
+ */
+
+describe('badges', () => {
+  const confirmed = {
+    id: 'doc-1',
+    registrationId: 'REG-2026-ABC123',
+    status: 'confirmed',
+    church: { name: 'Grace Church' },
+    primaryAttendee: { firstName: 'Juan', lastName: 'Dela Cruz', category: 'regular', ministryRole: 'Pastor' },
+    additionalAttendees: [{ firstName: 'Maria', lastName: 'Santos', category: 'student' }],
+    attendeeCheckIns: [{ checkedIn: true }, { checkedIn: false }],
+    badgePrints: { 0: '2026-03-01T00:00:00Z' },
+  };
+  const pending = {
+    id: 'doc-2',
+    registrationId: 'REG-2026-XYZ789',
+    status: 'pending_payment',
+    church: 'Hope Chapel',
+    primaryAttendee: { firstName: 'Pedro', lastName: 'Reyes' },
+  };
+  const registrations = [confirmed, pending];
+
+  describe('getRegistrationChurchName', () => {
+    it('reads church objects, legacy strings and the primary attendee church', () => {
+      expect(getRegistrationChurchName(confirmed)).toBe('Grace Church');
+      expect(getRegistrationChurchName(pending)).toBe('Hope Chapel');
+      expect(getRegistrationChurchName({ primaryAttendee: { church: 'Faith Church' } })).toBe('Faith Church');
+      expect(getRegistrationChurchName(null)).toBe('');
+    });
+  });
+
+  describe('isBadgePrinted', () => {
+    it('checks each attendee separately', () => {
+      expect(isBadgePrinted(confirmed, 0)).toBe(true);
+      expect(isBadgePrinted(confirmed, 1)).toBe(false);
+      expect(isBadgePrinted(pending, 0)).toBe(false);
+    });
+  });
+
+  describe('getBadgeEntries', () => {
+    it('makes one badge per attendee with the per-attendee QR payload', () => {
+      const badges = getBadgeEntries(registrations, { categoryLabels: { regular: 'Regular' } });
+
+      expect(badges.map((badge) => badge.qrData)).toEqual([
+        'REG-2026-ABC123-0',
+        'REG-2026-ABC123-1',
+        'REG-2026-XYZ789-0',
+      ]);
+      expect(badges[0]).toEqual({
+        id: 'doc-1',
+        registrationId: 'REG-2026-ABC123',
+        attendeeIndex: 0,
+        firstName: 'Juan',
+        lastName: 'Dela Cruz',
+        church: 'Grace Church',
+        ministryRole: 'Pastor',
+        category: 'Regular',
+        qrData: 'REG-2026-ABC123-0',
+      });
+      expect(badges[1].category).toBe('student');
+    });
+
+    it('filters by status and church', () => {
+      expect(getBadgeEntries(registrations, { status: 'confirmed' })).toHaveLength(2);
+      expect(getBadgeEntries(registrations, { church: 'Hope Chapel' }).map((badge) => badge.firstName))
+        .toEqual(['Pedro']);
+    });
+
+    it('filters by each attendee\'s check-in state', () => {
+      const checkedIn = getBadgeEntries(registrations, { checkIn: BADGE_CHECK_IN_FILTERS.CHECKED_IN });
+      const notCheckedIn = getBadgeEntries(registrations, { checkIn: BADGE_CHECK_IN_FILTERS.NOT_CHECKED_IN });
+
+      expect(checkedIn.map((badge) => badge.firstName)).toEqual(['Juan']);
+      expect(notCheckedIn.map((badge) => badge.firstName)).toEqual(['Maria', 'Pedro']);
+    });
+
+    it('treats every attendee as checked in on legacy registrations', () => {
+      const legacy = { ...pending, status: 'confirmed', checkedIn: true };
+      expect(getBadgeEntries([legacy], { checkIn: BADGE_CHECK_IN_FILTERS.CHECKED_IN })).toHaveLength(1);
+    });
+
+    it('can leave out badges that were already printed', () => {
+      expect(getBadgeEntries(registrations, { unprintedOnly: true }).map((badge) => badge.qrData))
+        .toEqual(['REG-2026-ABC123-1', 'REG-2026-XYZ789-0']);
+    });
+  });
+});
@@ -0,0 +1,562 @@
+/**
+ * Bank Statement Utility
+ * Parses bank statement exports (CSV or extracted PDF text) into credit lines
+ * and reconciles them against registrations awaiting payment verification.
+ *
+ * @module utils/bankStatement
+ */
+
+/**
+ * Match confidence levels produced by reconciliation
+ */
+export const MATCH_CONFIDENCE = Object.freeze({
+  HIGH: 'high',
+  MEDIUM: 'medium',
+});
+
+/**
+ * Minimum score for a proposed match to be shown at all
+ */
+const MIN_MATCH_SCORE = 40;
+
+/**
+ * Minimum score for a match to be pre-selected for bulk confirmation
+ */
+const HIGH_CONFIDENCE_SCORE = 70;
+
+/**
+ * Allowed difference (in days) between statement date and declared payment date
+ */
+const DATE_TOLERANCE_DAYS = 3;
+
+/**
+ * Header keywords used to detect statement CSV columns
+ */
+const COLUMN_KEYWORDS = {
+  date: ['transaction date', 'txn date', 'posting date', 'value date', 'date'],
+  description: ['description', 'particulars', 'details', 'transaction details', 'remarks', 'narrative'],
+  reference: ['reference', 'ref no', 'ref. no', 'reference number', 'transaction id', 'check no', 'trace'],
+  credit: ['credit', 'credits', 'deposit', 'deposits', 'credit amount'],
+  debit: ['debit', 'debits', 'withdrawal', 'withdrawals', 'debit amount'],
+  amount: ['amount', 'transaction amount'],
+  type: ['type', 'dr/cr', 'cr/dr', 'indicator'],
+};
+
+/**
+ * Words that mark a statement line as an incoming credit
+ */
+const CREDIT_KEYWORDS = /\b(deposit|credit|cr|incoming|instapay|pesonet|fund transfer from|transfer from|received)\b/i;
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, sept: 9, oct: 10, nov: 11, dec: 12,
+};
+
+/**
+ * Pads a number to two digits
+ *
+ * @param {number} n - Number to pad
+ * @returns {string} Padded value
+ */
+const pad2 = (n) => String(n).padStart(2, '0');
+
+/**
+ * Expands a two-digit year to four digits
+ *
+ * @param {number} year - Year value
+ * @returns {number} Four-digit year
+ */
+const fullYear = (year) => (year < 100 ? 2000 + year : year);
+
+/**
+ * Resolves a month name or abbreviation to its number
+ *
+ * @param {string} name - Month name (e.g. "Jan", "Sept", "January")
+ * @returns {number|undefined} Month number (1-12)
+ */
+const monthFromName = (name) => {
+  const lower = name.toLowerCase();
+  return MONTHS[lower.slice(0, 4)] || MONTHS[lower.slice(0, 3)];
+};
+
+/**
+ * Splits CSV text into rows of cells, honouring quoted values
+ *
+ * @param {string} text - Raw CSV text
+ * @returns {Array<Array<string>>} Rows of trimmed cell values
+ */
+export function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const source = (text || '').replace(/^﻿/, '');
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') {
+        i += 1;
+      }
+      row.push(cell.trim());
+      if (row.some((value) => value !== '')) {
+        rows.push(row);
+      }
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell.trim());
+  if (row.some((value) => value !== '')) {
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Parses a money value as printed on statements
+ * Handles currency symbols, thousands separators, CR/DR suffixes and
+ * parentheses for negative values.
+ *
+ * @param {string|number} value - Raw amount
+ * @returns {number|null} Parsed amount or null if not a number
+ */
+export function parseStatementAmount(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (!value) {
+    return null;
+  }
+
+  const raw = String(value).trim();
+  const isNegative = /^\(.*\)$/.test(raw) || /^-/.test(raw) || /\bDR$/i.test(raw);
+  const cleaned = raw.replace(/[^0-9.]/g, '');
+
+  if (!cleaned || !/\d/.test(cleaned)) {
+    return null;
+  }
+
+  const amount = parseFloat(cleaned);
+  if (Number.isNaN(amount)) {
+    return null;
+  }
+
+  return isNegative ? -amount : amount;
+}
+
+/**
+ * Normalizes a statement date to YYYY-MM-DD
+ * Supports ISO dates, MM/DD/YYYY (Philippine bank default), "Jan 05, 2026",
+ * "05 Jan 2026" and "05-Jan-26".
+ *
+ * @param {string} value - Raw date value
+ * @returns {string|null} ISO date string or null if unparseable
+ */
+export function parseStatementDate(value) {
+  if (!value) {
+    return null;
+  }
+
+  const raw = String(value).trim();
+
+  let match = raw.match(/(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) {
+    return `${match[1]}-${pad2(match[2])}-${pad2(match[3])}`;
+  }
+
+  match = raw.match(/(\d{1,2})[/-](\d{1,2})[/-](\d{2,4})/);
+  if (match) {
+    let month = Number(match[1]);
+    let day = Number(match[2]);
+    // Fall back to DD/MM when the first part cannot be a month
+    if (month > 12 && day <= 12) {
+      [month, day] = [day, month];
+    }
+    return `${fullYear(Number(match[3]))}-${pad2(month)}-${pad2(day)}`;
+  }
+
+  match = raw.match(/([A-Za-z]{3,9})\.?\s+(\d{1,2}),?\s+(\d{2,4})/);
+  if (match && monthFromName(match[1])) {
+    return `${fullYear(Number(match[3]))}-${pad2(monthFromName(match[1]))}-${pad2(match[2])}`;
+  }
+
+  match = raw.match(/(\d{1,2})[\s-]([A-Za-z]{3,9})[\s-](\d{2,4})/);
+  if (match) {
+    const month = monthFromName(match[2]);
+    if (month) {
+      return `${fullYear(Number(match[3]))}-${pad2(month)}-${pad2(match[1])}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Normalizes a reference number for comparison
+ *
+ * @param {string} value - Raw reference number
+ * @returns {string} Uppercase alphanumeric reference
+ */
+export function normalizeReference(value) {
+  return String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Finds the index of the first header matching one of the keywords
+ *
+ * @param {Array<string>} headers - Lowercased header cells
+ * @param {Array<string>} keywords - Candidate header names
+ * @param {Array<number>} taken - Column indexes already assigned
+ * @returns {number} Column index or -1
+ */
+function findColumn(headers, keywords, taken = []) {
+  for (const keyword of keywords) {
+    const exact = headers.findIndex((h, i) => h === keyword && !taken.includes(i));
+    if (exact !== -1) {
+      return exact;
+    }
+  }
+  for (const keyword of keywords) {
+    const partial = headers.findIndex((h, i) => h.includes(keyword) && !taken.includes(i));
+    if (partial !== -1) {
+      return partial;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Detects the statement header row and maps known columns
+ *
+ * @param {Array<Array<string>>} rows - Parsed CSV rows
+ * @returns {{headerIndex: number, columns: Object}|null} Column map or null
+ */
+function detectColumns(rows) {
+  // Bank exports often prepend account details before the table header
+  const searchLimit = Math.min(rows.length, 20);
+
+  for (let i = 0; i < searchLimit; i += 1) {
+    const headers = rows[i].map((h) => h.toLowerCase());
+    const date = findColumn(headers, COLUMN_KEYWORDS.date);
+    if (date === -1) continue;
+
+    const credit = findColumn(headers, COLUMN_KEYWORDS.credit, [date]);
+    const amount = findColumn(headers, COLUMN_KEYWORDS.amount, [date, credit]);
+    if (credit === -1 && amount === -1) continue;
+
+    const taken = [date, credit, amount];
+    const debit = findColumn(headers, COLUMN_KEYWORDS.debit, taken);
+    const reference = findColumn(headers, COLUMN_KEYWORDS.reference, [...taken, debit]);
+    const description = findColumn(headers, COLUMN_KEYWORDS.description, [...taken, debit, reference]);
+    const type = findColumn(headers, COLUMN_KEYWORDS.type, [...taken, debit, reference, description]);
+
+    return {
+      headerIndex: i,
+      columns: { date, description, reference, credit, debit, amount, type },
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Parses a bank statement CSV export into credit lines
+ * Only incoming credits are returned; debits and balance rows are skipped.
+ *
+ * @param {string} text - Raw CSV text
+ * @returns {Array<Object>} Credit lines with id, date, description, reference and amount
+ * @throws {Error} If no statement header row can be found
+ */
+export function parseBankStatementCsv(text) {
+  const rows = parseCsvRows(text);
+  const detected = detectColumns(rows);
+
+  if (!detected) {
+    throw new Error('Could not find the date and credit/amount columns in this statement.');
+  }
+
+  const { headerIndex, columns } = detected;
+  const cellAt = (row, index) => (index >= 0 ? row[index] || '' : '');
+  const credits = [];
+
+  rows.slice(headerIndex + 1).forEach((row, rowOffset) => {
+    const date = parseStatementDate(cellAt(row, columns.date));
+    if (!date) return;
+
+    let amount = null;
+    if (columns.credit >= 0) {
+      amount = parseStatementAmount(cellAt(row, columns.credit));
+    } else {
+      amount = parseStatementAmount(cellAt(row, columns.amount));
+      const indicator = cellAt(row, columns.type).toUpperCase();
+      if (indicator.startsWith('D')) {
+        amount = null;
+      }
+    }
+
+    if (!amount || amount <= 0) return;
+
+    const description = cellAt(row, columns.description);
+    credits.push({
+      id: `line-${headerIndex + rowOffset + 2}`,
+      lineNumber: headerIndex + rowOffset + 2,
+      date,
+      description,
+      reference: cellAt(row, columns.reference),
+      amount: Math.round(amount * 100) / 100,
+    });
+  });
+
+  return credits;
+}
+
+/**
+ * Parses text extracted from a PDF statement into credit lines
+ * Each transaction line is expected to start with a date. When a running
+ * balance is printed, a line is treated as a credit if the balance went up
+ * by the transaction amount; otherwise credit keywords decide.
+ *
+ * @param {string} text - Text extracted from the PDF statement
+ * @returns {Array<Object>} Credit lines with id, date, description, reference and amount
+ */
+export function parseBankStatementText(text) {
+  const lines = (text || '').split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+  const amountPattern = /\(?-?\d{1,3}(?:,\d{3})*\.\d{2}\)?(?:\s?(?:CR|DR))?/gi;
+  const datePattern = /^(\d{4}-\d{1,2}-\d{1,2}|\d{1,2}[/-]\d{1,2}[/-]\d{2,4}|[A-Za-z]{3,9}\.?\s+\d{1,2},?\s+\d{2,4}|\d{1,2}[\s-][A-Za-z]{3,9}[\s-]\d{2,4})/;
+  const credits = [];
+  let previousBalance = null;
+
+  lines.forEach((line, index) => {
+    const dateMatch = line.match(datePattern);
+    if (!dateMatch) return;
+
+    const date = parseStatementDate(dateMatch[1]);
+    const amounts = line.match(amountPattern) || [];
+    if (!date || amounts.length === 0) return;
+
+    const values = amounts.map(parseStatementAmount);
+    const hasBalance = values.length >= 2;
+    const amount = Math.abs(values[hasBalance ? values.length - 2 : 0]);
+    const balance = hasBalance ? values[values.length - 1] : null;
+
+    let isCredit;
+    if (hasBalance && previousBalance !== null) {
+      isCredit = Math.abs(balance - previousBalance - amount) < 0.01;
+    } else {
+      isCredit = CREDIT_KEYWORDS.test(line) && !/\bDR\b/i.test(line);
+    }
+
+    if (hasBalance) {
+      previousBalance = balance;
+    }
+
+    if (!isCredit || !amount) return;
+
+    const description = line
+      .slice(dateMatch[0].length)
+      .replace(amountPattern, '')
+      .replace(/\s{2,}/g, ' ')
+      .trim();
+    const referenceMatch = description.match(/\b(?=[A-Z0-9-]*\d)[A-Z0-9-]{8,}\b/i);
+
+    credits.push({
+      id: `line-${index + 1}`,
+      lineNumber: index + 1,
+      date,
+      description,
+      reference: referenceMatch ? referenceMatch[0] : '',
+      amount: Math.round(amount * 100) / 100,
+    });
+  });
+
+  return credits;
+}
+
+/**
+ * Returns the number of whole days between two ISO dates
+ *
+ * @param {string} a - First ISO date
+ * @param {string} b - Second ISO date
+ * @returns {number|null} Absolute day difference or null
+ */
+function daysBetween(a, b) {
+  if (!a || !b) {
+    return null;
+  }
+  const diff = Math.abs(new Date(`${a}T00:00:00`) - new Date(`${b}T00:00:00`));
+  return Number.isNaN(diff) ? null : Math.round(diff / 86400000);
+}
+
+/**
+ * Collects the amount, reference and date hints a registration carries
+ * Includes the values the registrant declared and the OCR suggestions
+ * captured from their uploaded receipt.
+ *
+ * @param {Object} registration - Registration object
+ * @returns {Object} Matching hints
+ */
+function getRegistrationHints(registration) {
+  const payment = registration.payment || {};
+  const ocrFields = payment.ocrData?.parsedFields || {};
+
+  const amounts = [payment.amountPaid, ocrFields.amount]
+    .map(parseStatementAmount)
+    .filter((value) => value && value > 0);
+
+  const references = [payment.referenceNumber, ocrFields.referenceNumber]
+    .map(normalizeReference)
+    .filter((value) => value.length >= 4);
+
+  const dates = [payment.paymentDate, ocrFields.date]
+    .map(parseStatementDate)
+    .filter(Boolean);
+
+  return {
+    amounts,
+    references,
+    dates,
+    totalAmount: registration.totalAmount || 0,
+    shortCode: normalizeReference(registration.shortCode),
+    bankAccountId: payment.bankAccountId || null,
+  };
+}
+
+/**
+ * Scores how well a statement credit matches a registration
+ *
+ * @param {Object} credit - Statement credit line
+ * @param {Object} hints - Registration hints from getRegistrationHints
+ * @param {string|null} bankAccountId - Bank account the statement belongs to
+ * @returns {{score: number, reasons: Array<string>, amountMatches: boolean}} Score breakdown
+ */
+function scoreMatch(credit, hints, bankAccountId) {
+  const reasons = [];
+  let score = 0;
+  let amountMatches = false;
+
+  const creditRef = normalizeReference(credit.reference);
+  const creditText = normalizeReference(`${credit.reference} ${credit.description}`);
+
+  const referenceMatches = hints.references.some((ref) =>
+    (creditRef && (creditRef === ref || (ref.length >= 6 && creditRef.includes(ref)) ||
+      (creditRef.length >= 6 && ref.includes(creditRef)))) ||
+    (ref.length >= 6 && creditText.includes(ref))
+  );
+  if (referenceMatches) {
+    score += 50;
+    reasons.push('Reference number');
+  } else if (hints.shortCode && creditText.includes(hints.shortCode)) {
+    score += 40;
+    reasons.push('Registration code in remarks');
+  }
+
+  if (hints.amounts.some((value) => Math.abs(value - credit.amount) < 0.01)) {
+    score += 30;
+    amountMatches = true;
+    reasons.push('Declared amount');
+  } else if (hints.totalAmount > 0 && Math.abs(hints.totalAmount - credit.amount) < 0.01) {
+    score += 20;
+    amountMatches = true;
+    reasons.push('Registration total');
+  }
+
+  const dayDiffs = hints.dates
+    .map((date) => daysBetween(date, credit.date))
+    .filter((diff) => diff !== null);
+  if (dayDiffs.length > 0) {
+    const closest = Math.min(...dayDiffs);
+    if (closest === 0) {
+      score += 15;
+      reasons.push('Same payment date');
+    } else if (closest <= DATE_TOLERANCE_DAYS) {
+      score += 8;
+      reasons.push(`Payment date within ${closest} day(s)`);
+    }
+  }
+
+  if (bankAccountId && hints.bankAccountId === bankAccountId) {
+    score += 5;
+    reasons.push('Bank account');
+  }
+
+  return { score, reasons, amountMatches };
+}
+
+/**
+ * Reconciles statement credits against registrations pending verification
+ * Every credit and registration is used at most once; pairs are assigned
+ * greedily from the highest score down. Registrations paid into a different
+ * bank account than the statement's are never matched.
+ *
+ * @param {Array<Object>} credits - Statement credit lines
+ * @param {Array<Object>} registrations - Registrations pending verification
+ * @param {Object} [options] - Reconciliation options
+ * @param {string|null} [options.bankAccountId] - Bank account the statement belongs to
+ * @returns {{matches: Array<Object>, unmatchedCredits: Array<Object>, unmatchedRegistrations: Array<Object>}}
+ *   Proposed matches and leftovers on both sides
+ */
+export function reconcileStatement(credits, registrations, options = {}) {
+  const { bankAccountId = null } = options;
+  const candidates = [];
+
+  registrations.forEach((registration) => {
+    const hints = getRegistrationHints(registration);
+    if (bankAccountId && hints.bankAccountId && hints.bankAccountId !== bankAccountId) {
+      return;
+    }
+
+    credits.forEach((credit) => {
+      const { score, reasons, amountMatches } = scoreMatch(credit, hints, bankAccountId);
+      if (score >= MIN_MATCH_SCORE) {
+        candidates.push({ credit, registration, score, reasons, amountMatches });
+      }
+    });
+  });
+
+  candidates.sort((a, b) => b.score - a.score);
+
+  const usedCredits = new Set();
+  const usedRegistrations = new Set();
+  const matches = [];
+
+  candidates.forEach((candidate) => {
+    if (usedCredits.has(candidate.credit.id) || usedRegistrations.has(candidate.registration.id)) {
+      return;
+    }
+    usedCredits.add(candidate.credit.id);
+    usedRegistrations.add(candidate.registration.id);
+
+    matches.push({
+      ...candidate,
+      confidence: candidate.score >= HIGH_CONFIDENCE_SCORE && candidate.amountMatches
+        ? MATCH_CONFIDENCE.HIGH
+        : MATCH_CONFIDENCE.MEDIUM,
+    });
+  });
+
+  return {
+    matches,
+    unmatchedCredits: credits.filter((credit) => !usedCredits.has(credit.id)),
+    unmatchedRegistrations: registrations.filter((reg) => !usedRegistrations.has(reg.id)),
+  };
+}
@@ -0,0 +1,240 @@
+import {
+  MATCH_CONFIDENCE,
+  parseCsvRows,
+  parseStatementAmount,
+  parseStatementDate,
+  normalizeReference,
+  parseBankStatementCsv,
+  parseBankStatementText,
+  reconcileStatement,
+} from './bankStatement';
+
+/**
+ * Bank Statement Utility Tests
+ * Tests for statement parsing (CSV and PDF text) and payment reconciliation
+ */
+
+describe('bankStatement', () => {
+  describe('parseCsvRows', () => {
+    it('splits rows and trims cells', () => {
+      expect(parseCsvRows('a, b ,c\r\n1,2,3\n')).toEqual([
+        ['a', 'b', 'c'],
+        ['1', '2', '3'],
+      ]);
+    });
+
+    it('keeps commas, newlines and escaped quotes inside quoted values', () => {
+      expect(parseCsvRows('"Deposit, branch","line 1\nline 2","say ""hi"""')).toEqual([
+        ['Deposit, branch', 'line 1\nline 2', 'say "hi"'],
+      ]);
+    });
+
+    it('skips blank rows and a leading byte order mark', () => {
+      expect(parseCsvRows('﻿date\n\n,\n2026-01-05')).toEqual([['date'], ['2026-01-05']]);
+    });
+  });
+
+  describe('parseStatementAmount', () => {
+    it('parses currency symbols and thousands separators', () => {
+      expect(parseStatementAmount('₱1,500.00')).toBe(1500);
+      expect(parseStatementAmount('PHP 2,000.50')).toBe(2000.5);
+    });
+
+    it('treats parentheses, minus signs and DR suffixes as negative', () => {
+      expect(parseStatementAmount('(250.00)')).toBe(-250);
+      expect(parseStatementAmount('-250.00')).toBe(-250);
+      expect(parseStatementAmount('250.00 DR')).toBe(-250);
+      expect(parseStatementAmount('250.00 CR')).toBe(250);
+    });
+
+    it('returns null for empty or non-numeric values', () => {
+      expect(parseStatementAmount('')).toBeNull();
+      expect(parseStatementAmount('n/a')).toBeNull();
+      expect(parseStatementAmount(Number.NaN)).toBeNull();
+      expect(parseStatementAmount(42)).toBe(42);
+    });
+  });
+
+  describe('parseStatementDate', () => {
+    it('parses ISO and MM/DD/YYYY dates', () => {
+      expect(parseStatementDate('2026-1-5')).toBe('2026-01-05');
+      expect(parseStatementDate('01/05/2026')).toBe('2026-01-05');
+      expect(parseStatementDate('01-05-26')).toBe('2026-01-05');
+    });
+
+    it('falls back to DD/MM when the first part cannot be a month', () => {
+      expect(parseStatementDate('25/01/2026')).toBe('2026-01-25');
+    });
+
+    it('parses month names', () => {
+      expect(parseStatementDate('Jan 05, 2026')).toBe('2026-01-05');
+      expect(parseStatementDate('Sept 9 2026')).toBe('2026-09-09');
+      expect(parseStatementDate('05 Jan 2026')).toBe('2026-01-05');
+      expect(parseStatementDate('05-Jan-26')).toBe('2026-01-05');
+    });
+
+    it('returns null for unparseable values', () => {
+      expect(parseStatementDate('')).toBeNull();
+      expect(parseStatementDate('Opening balance')).toBeNull();
+    });
+  });
+
+  describe('normalizeReference', () => {
+    it('uppercases and strips non-alphanumeric characters', () => {
+      expect(normalizeReference('ref-12 34/ab')).toBe('REF1234AB');
+      expect(normalizeReference(null)).toBe('');
+    });
+  });
+
+  describe('parseBankStatementCsv', () => {
+    it('finds the header after account details and returns only credits', () => {
+      const csv = [
+        'Account Name,GCF South Metro',
+        'Account Number,1234-5678',
+        'Transaction Date,Description,Reference No,Debit,Credit,Balance',
+        '01/05/2026,Fund transfer from J DELA CRUZ,REF123456,,"1,500.00","11,500.00"',
+        '01/05/2026,Service charge,,50.00,,"11,450.00"',
+        '01/06/2026,Deposit,,,0.00,"11,450.00"',
+      ].join('\n');
+
+      expect(parseBankStatementCsv(csv)).toEqual([
+        {
+          id: 'line-4',
+          lineNumber: 4,
+          date: '2026-01-05',
+          description: 'Fund transfer from J DELA CRUZ',
+          reference: 'REF123456',
+          amount: 1500,
+        },
+      ]);
+    });
+
+    it('uses a signed amount column with a debit/credit indicator', () => {
+      const csv = [
+        'Date,Particulars,Amount,Type',
+        '2026-01-05,Instapay,750.00,CR',
+        '2026-01-05,ATM withdrawal,750.00,DR',
+        '2026-01-06,Reversal,-100.00,CR',
+      ].join('\n');
+
+      const credits = parseBankStatementCsv(csv);
+      expect(credits).toHaveLength(1);
+      expect(credits[0]).toMatchObject({ date: '2026-01-05', description: 'Instapay', amount: 750 });
+    });
+
+    it('throws when no header row can be found', () => {
+      expect(() => parseBankStatementCsv('foo,bar\n1,2')).toThrow(/date and credit\/amount columns/);
+    });
+  });
+
+  describe('parseBankStatementText', () => {
+    it('detects credits from the running balance', () => {
+      const text = [
+        'Statement of Account',
+        '01/04/2026 Balance forwarded 0.00 10,000.00',
+        '01/05/2026 TRANSFER 20260105ABCD 1,500.00 11,500.00',
+        '01/05/2026 ATM WITHDRAWAL 500.00 11,000.00',
+      ].join('\n');
+
+      expect(parseBankStatementText(text)).toEqual([
+        {
+          id: 'line-3',
+          lineNumber: 3,
+          date: '2026-01-05',
+          description: 'TRANSFER 20260105ABCD',
+          reference: '20260105ABCD',
+          amount: 1500,
+        },
+      ]);
+    });
+
+    it('falls back to credit keywords when there is no balance', () => {
+      const text = [
+        'Jan 05, 2026 Instapay deposit 2,000.00',
+        'Jan 05, 2026 Bills payment 300.00',
+        'Jan 06, 2026 Deposit reversal 100.00 DR',
+      ].join('\n');
+
+      const credits = parseBankStatementText(text);
+      expect(credits).toHaveLength(1);
+      expect(credits[0]).toMatchObject({ date: '2026-01-05', amount: 2000, reference: '' });
+    });
+  });
+
+  describe('reconcileStatement', () => {
+    const credit = (id, fields) => ({ id, date: '2026-01-05', description: '', reference: '', ...fields });
+    const registration = (id, fields = {}, payment = {}) => ({
+      id,
+      shortCode: `${id}X`,
+      totalAmount: 0,
+      ...fields,
+      payment: { bankAccountId: 'bpi', ...payment },
+    });
+
+    it('matches on reference and declared amount with high confidence', () => {
+      const credits = [credit('line-1', { reference: 'REF-123456', amount: 1500 })];
+      const registrations = [
+        registration('REG1', {}, { referenceNumber: 'ref123456', amountPaid: 1500, paymentDate: '2026-01-05' }),
+      ];
+
+      const { matches, unmatchedCredits, unmatchedRegistrations } = reconcileStatement(credits, registrations, {
+        bankAccountId: 'bpi',
+      });
+
+      expect(matches).toHaveLength(1);
+      expect(matches[0]).toMatchObject({
+        score: 100,
+        confidence: MATCH_CONFIDENCE.HIGH,
+        reasons: ['Reference number', 'Declared amount', 'Same payment date', 'Bank account'],
+      });
+      expect(unmatchedCredits).toEqual([]);
+      expect(unmatchedRegistrations).toEqual([]);
+    });
+
+    it('matches a short code in the remarks with medium confidence without an amount match', () => {
+      const credits = [credit('line-1', { description: 'IDMC A7K3MN payment', amount: 999 })];
+      const registrations = [registration('REG1', { shortCode: 'A7K3MN', totalAmount: 1500 })];
+
+      const { matches } = reconcileStatement(credits, registrations);
+      expect(matches).toHaveLength(1);
+      expect(matches[0]).toMatchObject({
+        score: 40,
+        confidence: MATCH_CONFIDENCE.MEDIUM,
+        reasons: ['Registration code in remarks'],
+      });
+    });
+
+    it('ignores weak matches and registrations paid into another account', () => {
+      const credits = [credit('line-1', { reference: 'REF123456', amount: 1500 })];
+      const registrations = [
+        registration('REG1', { totalAmount: 1500 }),
+        registration('REG2', {}, { bankAccountId: 'bdo', referenceNumber: 'REF123456', amountPaid: 1500 }),
+      ];
+
+      const { matches, unmatchedCredits, unmatchedRegistrations } = reconcileStatement(credits, registrations, {
+        bankAccountId: 'bpi',
+      });
+
+      expect(matches).toEqual([]);
+      expect(unmatchedCredits).toHaveLength(1);
+      expect(unmatchedRegistrations.map((reg) => reg.id)).toEqual(['REG1', 'REG2']);
+    });
+
+    it('uses each credit and registration at most once, best score first', () => {
+      const credits = [
+        credit('line-1', { reference: 'REF111111', amount: 1500 }),
+        credit('line-2', { reference: 'REF222222', amount: 1500 }),
+      ];
+      const registrations = [
+        registration('REG1', {}, { referenceNumber: 'REF222222', amountPaid: 1500 }),
+        registration('REG2', {}, { referenceNumber: 'REF111111', amountPaid: 1500 }),
+      ];
+
+      const { matches } = reconcileStatement(credits, registrations);
+      expect(matches.map((match) => [match.credit.id, match.registration.id])).toEqual([
+        ['line-2', 'REG1'],
+        ['line-1', 'REG2'],
+      ]);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Certificate Utility
+ * Builds certificate of attendance entries, one per checked-in attendee,
+ * from registrations and session attendance. Certificates are issued and
+ * emailed in services/certificates.js and drawn by generateCertificatesPdf
+ * in utils/exportPdf.js.
+ *
+ * @module utils/certificates
+ */
+
+import { REGISTRATION_STATUS } from '../constants';
+import { getAttendeeCheckInStatus } from './attendees';
+import { getRegistrationChurchName } from './badges';
+
+/**
+ * Issue filter values for the certificates list
+ */
+export const CERTIFICATE_FILTERS = Object.freeze({
+  ALL: 'all',
+  NOT_ISSUED: 'not_issued',
+  NOT_EMAILED: 'not_emailed',
+});
+
+/**
+ * Formats the conference dates for certificates (e.g., "March 27-28, 2026")
+ *
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} [endDate] - End date (YYYY-MM-DD)
+ * @returns {string} Formatted date range
+ */
+export function formatCertificateDate(startDate, endDate) {
+  if (!startDate) return '';
+
+  const start = new Date(`${startDate}T00:00:00`);
+  const end = endDate ? new Date(`${endDate}T00:00:00`) : start;
+  const fullDate = { year: 'numeric', month: 'long', day: 'numeric' };
+
+  if (end.getTime() <= start.getTime()) {
+    return start.toLocaleDateString('en-US', fullDate);
+  }
+  if (start.getFullYear() === end.getFullYear() && start.getMonth() === end.getMonth()) {
+    const month = start.toLocaleDateString('en-US', { month: 'long' });
+    return `${month} ${start.getDate()}-${end.getDate()}, ${end.getFullYear()}`;
+  }
+  return `${start.toLocaleDateString('en-US', fullDate)} - ${end.toLocaleDateString('en-US', fullDate)}`;
+}
+
+/**
+ * Gets the issued certificate of an attendee
+ *
+ * @param {Object} registration - Registration document
+ * @param {number} attendeeIndex - Index of the attendee (0 for primary, 1+ for additional)
+ * @returns {Object|null} Issued certificate ({ url, issuedAt, emailedAt }) or null
+ */
+export function getIssuedCertificate(registration, attendeeIndex) {
+  return registration?.certificates?.[attendeeIndex] || null;
+}
+
+/**
+ * Groups session attendance titles by attendee
+ *
+ * @param {Array} attendanceRecords - Records from getAllSessionAttendance
+ * @returns {Object} Map of "registrationId_attendeeIndex" to session titles in attendance order
+ */
+function groupSessionsByAttendee(attendanceRecords) {
+  return [...(attendanceRecords || [])]
+    .sort((a, b) => new Date(a.scannedAt || 0) - new Date(b.scannedAt || 0))
+    .reduce((groups, record) => {
+      const key = `${record.registrationId}_${record.attendeeIndex}`;
+      groups[key] = [...(groups[key] || []), record.sessionTitle];
+      return groups;
+    }, {});
+}
+
+/**
+ * Flattens registrations into one certificate entry per checked-in attendee
+ *
+ * @param {Array} registrations - Registration documents
+ * @param {Array} [attendanceRecords=[]] - Session attendance records, if tracked
+ * @param {Object} [filters={}] - Certificate filters
+ * @param {string} [filters.church=''] - Church name (exact match) or empty for all
+ * @param {string} [filters.issue='all'] - One of CERTIFICATE_FILTERS
+ * @returns {Array} Certificate entries
+ */
+export function getCertificateEntries(registrations, attendanceRecords = [], filters = {}) {
+  const { church = '', issue = CERTIFICATE_FILTERS.ALL } = filters;
+  const sessionsByAttendee = groupSessionsByAttendee(attendanceRecords);
+
+  return (registrations || [])
+    .filter((registration) => registration.status === REGISTRATION_STATUS.CONFIRMED)
+    .filter((registration) => !church || getRegistrationChurchName(registration) === church)
+    .flatMap((registration) => {
+      const attendees = [
+        registration.primaryAttendee,
+        ...(registration.additionalAttendees || []),
+      ];
+
+      return attendees
+        .map((attendee, attendeeIndex) => ({ attendee, attendeeIndex }))
+        .filter(({ attendee }) => Boolean(attendee))
+        .filter(({ attendeeIndex }) => (
+          getAttendeeCheckInStatus(registration, attendeeIndex)?.checkedIn === true
+        ))
+        .map(({ attendee, attendeeIndex }) => {
+          const issued = getIssuedCertificate(registration, attendeeIndex);
+          return {
+            id: registration.id,
+            registrationId: registration.registrationId,
+            attendeeIndex,
+            name: `${attendee.firstName || ''} ${attendee.lastName || ''}`.trim(),
+            firstName: attendee.firstName || '',
+            church: getRegistrationChurchName(registration),
+            ministryRole: attendee.ministryRole || '',
+            email: attendee.email || registration.primaryAttendee?.email || '',
+            sessions: sessionsByAttendee[`${registration.id}_${attendeeIndex}`] || [],
+            issuedAt: issued?.issuedAt?.toDate?.() || issued?.issuedAt || null,
+            emailedAt: issued?.emailedAt?.toDate?.() || issued?.emailedAt || null,
+          };
+        });
+    })
+    .filter((entry) => {
+      if (issue === CERTIFICATE_FILTERS.NOT_ISSUED) return !entry.issuedAt;
+      if (issue === CERTIFICATE_FILTERS.NOT_EMAILED) return !entry.emailedAt;
+      return true;
+    });
+}
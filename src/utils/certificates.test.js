@@ -0,0 +1,107 @@
+import {
+  CERTIFICATE_FILTERS,
+  formatCertificateDate,
+  getIssuedCertificate,
+  getCertificateEntries,
+} from './certificates';
+
+/**
+ * Certificate Utility Tests
+ * Tests for certificate dates and entries for checked-in attendees
+ */
+
+describe('certificates', () => {
+  const issuedAt = new Date('2026-03-28T10:00:00Z');
+  const confirmed = {
+    id: 'doc-1',
+    registrationId: 'REG-2026-ABC123',
+    status: 'confirmed',
+    church: { name: 'Grace Church' },
+    primaryAttendee: { firstName: 'Juan', lastName: 'Dela Cruz', email: 'juan@example.com', ministryRole: 'Pastor' },
+    additionalAttendees: [
+      { firstName: 'Maria', lastName: 'Santos', email: 'maria@example.com' },
+      { firstName: 'Ana', lastName: 'Santos' },
+    ],
+    attendeeCheckIns: [{ checkedIn: true }, { checkedIn: false }, { checkedIn: true }],
+    certificates: {
+      0: { url: 'https://example.com/0.pdf', issuedAt: { toDate: () => issuedAt }, emailedAt: null },
+    },
+  };
+  const pending = {
+    id: 'doc-2',
+    registrationId: 'REG-2026-XYZ789',
+    status: 'pending_payment',
+    church: 'Hope Chapel',
+    primaryAttendee: { firstName: 'Pedro', lastName: 'Reyes' },
+    attendeeCheckIns: [{ checkedIn: true }],
+  };
+  const registrations = [confirmed, pending];
+
+  describe('formatCertificateDate', () => {
+    it('formats single days and ranges within a month', () => {
+      expect(formatCertificateDate('2026-03-27')).toBe('March 27, 2026');
+      expect(formatCertificateDate('2026-03-27', '2026-03-27')).toBe('March 27, 2026');
+      expect(formatCertificateDate('2026-03-27', '2026-03-28')).toBe('March 27-28, 2026');
+    });
+
+    it('writes both dates in full for ranges across months', () => {
+      expect(formatCertificateDate('2026-03-31', '2026-04-01')).toBe('March 31, 2026 - April 1, 2026');
+    });
+
+    it('returns an empty string without a start date', () => {
+      expect(formatCertificateDate('')).toBe('');
+    });
+  });
+
+  describe('getIssuedCertificate', () => {
+    it('returns the certificate of an attendee or null', () => {
+      expect(getIssuedCertificate(confirmed, 0).url).toBe('https://example.com/0.pdf');
+      expect(getIssuedCertificate(confirmed, 2)).toBeNull();
+      expect(getIssuedCertificate(null, 0)).toBeNull();
+    });
+  });
+
+  describe('getCertificateEntries', () => {
+    it('includes checked-in attendees of confirmed registrations only', () => {
+      const entries = getCertificateEntries(registrations);
+      expect(entries.map((entry) => entry.name)).toEqual(['Juan Dela Cruz', 'Ana Santos']);
+    });
+
+    it('builds entries with the issued dates and the email to send to', () => {
+      const [juan, ana] = getCertificateEntries(registrations);
+      expect(juan).toEqual({
+        id: 'doc-1',
+        registrationId: 'REG-2026-ABC123',
+        attendeeIndex: 0,
+        name: 'Juan Dela Cruz',
+        firstName: 'Juan',
+        church: 'Grace Church',
+        ministryRole: 'Pastor',
+        email: 'juan@example.com',
+        sessions: [],
+        issuedAt,
+        emailedAt: null,
+      });
+      expect(ana).toMatchObject({ attendeeIndex: 2, email: 'juan@example.com', issuedAt: null });
+    });
+
+    it('lists sessions attended in the order they were scanned', () => {
+      const attendance = [
+        { registrationId: 'doc-1', attendeeIndex: 0, sessionTitle: 'Workshop B', scannedAt: '2026-03-27T14:00:00Z' },
+        { registrationId: 'doc-1', attendeeIndex: 0, sessionTitle: 'Plenary 1', scannedAt: '2026-03-27T09:00:00Z' },
+        { registrationId: 'doc-1', attendeeIndex: 2, sessionTitle: 'Workshop A', scannedAt: '2026-03-27T14:00:00Z' },
+      ];
+      const [juan, ana] = getCertificateEntries(registrations, attendance);
+      expect(juan.sessions).toEqual(['Plenary 1', 'Workshop B']);
+      expect(ana.sessions).toEqual(['Workshop A']);
+    });
+
+    it('filters by church and issue status', () => {
+      expect(getCertificateEntries(registrations, [], { church: 'Hope Chapel' })).toEqual([]);
+      expect(getCertificateEntries(registrations, [], { issue: CERTIFICATE_FILTERS.NOT_ISSUED })
+        .map((entry) => entry.firstName)).toEqual(['Ana']);
+      expect(getCertificateEntries(registrations, [], { issue: CERTIFICATE_FILTERS.NOT_EMAILED }))
+        .toHaveLength(2);
+    });
+  });
+});
@@ -1,6 +1,7 @@
 /**
  * CSV Export Utility
- * Exports registration data to CSV format that can be opened in Excel.
+ * Exports registration, attendance and feedback data to CSV format that
+ * can be opened in Excel.
  *
  * @module utils/exportCsv
  */
@@ -10,6 +11,8 @@ import {
   REGISTRATION_CATEGORY_LABELS,
   WORKSHOP_CATEGORY_LABELS,
 } from '../constants';
+import { sortFormFields, formatFieldValue, PAGE_BREAK_FIELD_TYPE } from './formFields';
+import { FEEDBACK_SUMMARY_KINDS } from './feedbackAnalytics';
 
 /**
  * Status labels for export
@@ -100,13 +103,47 @@ function getChurchForCsv(registration) {
   return '';
 }
 
+/**
+ * Formats a per-attendee question answer for CSV export.
+ * Single-attendee registrations export the bare answer; group registrations
+ * prefix each attendee's answer with their name.
+ *
+ * @param {Object} registration - Registration object
+ * @param {Object} field - Question field definition
+ * @returns {string} Formatted answers
+ */
+function getAttendeeAnswerForCsv(registration, field) {
+  const attendees = [
+    registration.primaryAttendee,
+    ...(registration.additionalAttendees || []),
+  ].filter(Boolean);
+
+  if (attendees.length <= 1) {
+    return formatFieldValue(field, attendees[0]?.customAnswers?.[field.id]);
+  }
+
+  return attendees
+    .map((attendee) => {
+      const value = formatFieldValue(field, attendee.customAnswers?.[field.id]);
+      return value ? `${attendee.firstName} ${attendee.lastName}: ${value}` : '';
+    })
+    .filter(Boolean)
+    .join('; ');
+}
+
 /**
  * Converts registrations array to CSV string
  *
  * @param {Array} registrations - Array of registration objects
+ * @param {Object} [registrationQuestions] - Custom registration questions from settings
+ * @param {Array} [registrationQuestions.registrationFields] - Registration-level questions
+ * @param {Array} [registrationQuestions.attendeeFields] - Per-attendee questions
  * @returns {string} CSV formatted string
  */
-export function convertRegistrationsToCsv(registrations) {
+export function convertRegistrationsToCsv(registrations, registrationQuestions = {}) {
+  const registrationFields = sortFormFields(registrationQuestions.registrationFields);
+  const attendeeFields = sortFormFields(registrationQuestions.attendeeFields);
+
   // Define CSV headers
   const headers = [
     'Registration ID',
@@ -120,6 +157,10 @@ export function convertRegistrationsToCsv(registrations) {
     'Ministry Role',
     'Category',
     'Workshop Selection',
+    'Subtotal',
+    'Promo Code',
+    'Discount',
+    'Group Discount',
     'Total Amount',
     'Payment Method',
     'Payment Reference',
@@ -127,6 +168,9 @@ export function convertRegistrationsToCsv(registrations) {
     'Checked In',
     'Notes',
     'Registered Date',
+    // One column per custom registration question
+    ...registrationFields.map((field) => field.label),
+    ...attendeeFields.map((field) => field.label),
   ];
 
   // Convert each registration to a CSV row
@@ -154,6 +198,10 @@ export function convertRegistrationsToCsv(registrations) {
       ministryRole,
       category,
       workshop,
+      reg.subtotalAmount ?? (reg.totalAmount || 0),
+      reg.promo?.code || '',
+      reg.discountAmount || 0,
+      reg.groupDiscountAmount || 0,
       reg.totalAmount || 0,
       reg.paymentMethod || '',
       reg.paymentReference || '',
@@ -161,6 +209,8 @@ export function convertRegistrationsToCsv(registrations) {
       reg.checkedIn ? 'Yes' : 'No',
       reg.notes || '',
       formatDateForCsv(reg.createdAt),
+      ...registrationFields.map((field) => formatFieldValue(field, reg.customAnswers?.[field.id])),
+      ...attendeeFields.map((field) => getAttendeeAnswerForCsv(reg, field)),
     ].map(escapeCsvValue);
   });
 
@@ -402,3 +452,233 @@ export function exportAllWorkshopsAttendanceToCsv(registrations) {
 
   return { count: confirmedRegs.length, filename };
 }
+
+/**
+ * Converts roster upload errors to CSV so coordinators can fix their file
+ *
+ * @param {Array} errors - Row errors from parseRosterRows ({ row, name, column, message })
+ * @returns {string} CSV formatted string
+ */
+export function convertRosterErrorsToCsv(errors) {
+  const headers = ['Row', 'Attendee', 'Column', 'Error'];
+
+  const rows = errors.map((error) => [
+    error.row ?? '',
+    error.name || '',
+    error.column || '',
+    error.message || '',
+  ].map(escapeCsvValue).join(','));
+
+  return [headers.map(escapeCsvValue).join(','), ...rows].join('\n');
+}
+
+/**
+ * Exports roster upload errors to a CSV file
+ *
+ * @param {Array} errors - Row errors from parseRosterRows
+ * @returns {Object} Export result with count and filename
+ */
+export function exportRosterErrorsToCsv(errors) {
+  if (!errors || errors.length === 0) {
+    throw new Error('No roster errors to export');
+  }
+
+  const csvContent = convertRosterErrorsToCsv(errors);
+  const date = new Date().toISOString().split('T')[0];
+  const filename = `roster-errors-${date}.csv`;
+
+  downloadCsv(csvContent, filename);
+
+  return { count: errors.length, filename };
+}
+
+/**
+ * Converts session attendance records to CSV string
+ *
+ * @param {Array} records - Attendance records from getAllSessionAttendance
+ * @returns {string} CSV formatted string
+ */
+export function convertSessionAttendanceToCsv(records) {
+  const headers = [
+    'Session',
+    'Attendee',
+    'Email',
+    'Church',
+    'Registration ID',
+    'Enrolled',
+    'Over Capacity',
+    'Scanned At',
+    'Scanned By',
+  ];
+
+  const sortedRecords = [...records].sort((a, b) =>
+    (a.sessionTitle || '').localeCompare(b.sessionTitle || '') ||
+    (a.attendeeName || '').localeCompare(b.attendeeName || '')
+  );
+
+  const rows = sortedRecords.map((record) => {
+    let enrolled = '';
+    if (record.enrolled === true) enrolled = 'Yes';
+    if (record.enrolled === false) enrolled = 'No';
+
+    return [
+      record.sessionTitle || record.sessionId,
+      record.attendeeName || '',
+      record.attendeeEmail || '',
+      record.church || '',
+      record.registrationId || '',
+      enrolled,
+      record.overCapacity ? 'Yes' : 'No',
+      formatDateForCsv(record.scannedAt),
+      record.scannedByName || '',
+    ].map(escapeCsvValue).join(',');
+  });
+
+  return [headers.map(escapeCsvValue).join(','), ...rows].join('\n');
+}
+
+/**
+ * Exports session attendance records to a CSV file
+ *
+ * @param {Array} records - Attendance records from getAllSessionAttendance
+ * @returns {Object} Export result with count and filename
+ */
+export function exportSessionAttendanceToCsv(records) {
+  if (!records || records.length === 0) {
+    throw new Error('No session attendance to export');
+  }
+
+  const csvContent = convertSessionAttendanceToCsv(records);
+  const date = new Date().toISOString().split('T')[0];
+  const filename = `session-attendance-${date}.csv`;
+
+  downloadCsv(csvContent, filename);
+
+  return { count: records.length, filename };
+}
+
+/**
+ * Converts feedback field summaries to a CSV string, one row per answer
+ * bucket (options, rating stars, scores, matrix cells, keywords) plus the
+ * headline statistics of each field
+ *
+ * @param {Array} summaries - Field summaries from summarizeFeedbackResponses
+ * @returns {string} CSV formatted string
+ */
+export function convertFeedbackSummaryToCsv(summaries) {
+  const headers = ['Question', 'Statistic', 'Answer', 'Count', 'Percent'];
+  const rows = [];
+
+  const addRow = (summary, statistic, answer, count, percent) => {
+    rows.push([
+      summary.field.label,
+      statistic,
+      answer,
+      count,
+      percent === undefined || percent === null ? '' : `${percent}%`,
+    ]);
+  };
+
+  const addDistribution = (summary, options, prefix = '') => {
+    options.forEach((option) => {
+      addRow(summary, 'Distribution', `${prefix}${option.label}`, option.count, option.percent);
+    });
+  };
+
+  summaries.forEach((summary) => {
+    addRow(summary, 'Responses', '', summary.responseCount);
+
+    switch (summary.kind) {
+      case FEEDBACK_SUMMARY_KINDS.RATING:
+        addRow(summary, 'Average', summary.average ?? '', '');
+        addDistribution(summary, summary.options);
+        break;
+      case FEEDBACK_SUMMARY_KINDS.NPS:
+        addRow(summary, 'Net Promoter Score', summary.score ?? '', '');
+        addRow(summary, 'Promoters', '', summary.promoters);
+        addRow(summary, 'Passives', '', summary.passives);
+        addRow(summary, 'Detractors', '', summary.detractors);
+        addDistribution(summary, summary.options);
+        break;
+      case FEEDBACK_SUMMARY_KINDS.NUMBER:
+        addRow(summary, 'Average', summary.average ?? '', '');
+        addRow(summary, 'Minimum', summary.min ?? '', '');
+        addRow(summary, 'Maximum', summary.max ?? '', '');
+        break;
+      case FEEDBACK_SUMMARY_KINDS.MATRIX:
+        summary.rows.forEach((row) => addDistribution(summary, row.options, `${row.label}: `));
+        break;
+      case FEEDBACK_SUMMARY_KINDS.TEXT:
+        summary.keywords.forEach(({ word, count }) => addRow(summary, 'Keyword', word, count));
+        break;
+      case FEEDBACK_SUMMARY_KINDS.CHOICE:
+      default:
+        addDistribution(summary, summary.options || []);
+        break;
+    }
+  });
+
+  return [headers, ...rows].map((row) => row.map(escapeCsvValue).join(',')).join('\n');
+}
+
+/**
+ * Exports feedback field summaries to a CSV file
+ *
+ * @param {Array} summaries - Field summaries from summarizeFeedbackResponses
+ * @returns {Object} Export result with count and filename
+ */
+export function exportFeedbackSummaryToCsv(summaries) {
+  if (!summaries || summaries.length === 0) {
+    throw new Error('No feedback summary to export');
+  }
+
+  const csvContent = convertFeedbackSummaryToCsv(summaries);
+  const date = new Date().toISOString().split('T')[0];
+  const filename = `feedback-summary-${date}.csv`;
+
+  downloadCsv(csvContent, filename);
+
+  return { count: summaries.length, filename };
+}
+
+/**
+ * Converts feedback responses to a CSV string, one row per response and one
+ * column per configured field
+ *
+ * @param {Array} fields - Feedback field definitions
+ * @param {Array} responses - Feedback responses
+ * @returns {string} CSV formatted string
+ */
+export function convertFeedbackResponsesToCsv(fields, responses) {
+  const answerFields = sortFormFields(fields).filter((field) => field.type !== PAGE_BREAK_FIELD_TYPE);
+  const headers = ['Submitted', 'Registration ID', ...answerFields.map((field) => field.label)];
+
+  const rows = responses.map((response) => [
+    formatDateForCsv(response.createdAt),
+    response.registrationId || '',
+    ...answerFields.map((field) => formatFieldValue(field, response[field.id])),
+  ].map(escapeCsvValue).join(','));
+
+  return [headers.map(escapeCsvValue).join(','), ...rows].join('\n');
+}
+
+/**
+ * Exports feedback responses to a CSV file
+ *
+ * @param {Array} fields - Feedback field definitions
+ * @param {Array} responses - Feedback responses
+ * @returns {Object} Export result with count and filename
+ */
+export function exportFeedbackResponsesToCsv(fields, responses) {
+  if (!responses || responses.length === 0) {
+    throw new Error('No feedback responses to export');
+  }
+
+  const csvContent = convertFeedbackResponsesToCsv(fields, responses);
+  const date = new Date().toISOString().split('T')[0];
+  const filename = `feedback-responses-${date}.csv`;
+
+  downloadCsv(csvContent, filename);
+
+  return { count: responses.length, filename };
+}
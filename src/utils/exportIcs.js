@@ -0,0 +1,257 @@
+/**
+ * iCalendar Export Utility
+ * Builds .ics calendar files (RFC 5545) so attendees can add sessions to
+ * Google Calendar, Outlook or Apple Calendar, and links to the subscribable
+ * schedule feeds served by the calendarFeed function.
+ *
+ * @module utils/exportIcs
+ */
+
+/**
+ * Product identifier written to every calendar
+ */
+const ICS_PRODUCT_ID = '-//GCF South Metro//IDMC Event Site//EN';
+
+/**
+ * Public path of the subscribable calendar feeds
+ */
+const CALENDAR_FEED_PATH = '/calendar';
+
+/**
+ * Longest line allowed before folding, in characters
+ */
+const ICS_LINE_LENGTH = 75;
+
+/**
+ * Escapes text for an iCalendar property value
+ *
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeIcsText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Formats a Date as a UTC iCalendar timestamp (e.g., 20260328T010000Z)
+ *
+ * @param {Date} date - Date to format
+ * @returns {string} iCalendar timestamp
+ */
+function formatIcsDate(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Gets a timezone's UTC offset on a date, in minutes east of UTC
+ *
+ * @param {string} timeZone - IANA timezone (e.g., "Asia/Manila")
+ * @param {Date} date - Date the offset applies to
+ * @returns {number|null} UTC offset in minutes, or null for an unknown timezone
+ */
+export function getTimeZoneOffset(timeZone, date) {
+  let name;
+  try {
+    name = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' })
+      .formatToParts(date)
+      .find((part) => part.type === 'timeZoneName')?.value;
+  } catch {
+    return null;
+  }
+
+  const match = (name || '').match(/([+-])(\d{2}):(\d{2})/);
+  if (!match) {
+    // "GMT" on its own means no offset
+    return name === 'GMT' ? 0 : null;
+  }
+  const minutes = Number(match[2]) * 60 + Number(match[3]);
+  return match[1] === '-' ? -minutes : minutes;
+}
+
+/**
+ * Formats a UTC offset in iCalendar form (e.g., +0800)
+ *
+ * @param {number} offset - UTC offset in minutes
+ * @returns {string} iCalendar UTC offset
+ */
+function formatIcsUtcOffset(offset) {
+  const sign = offset < 0 ? '-' : '+';
+  const minutes = Math.abs(offset);
+  return `${sign}${String(Math.floor(minutes / 60)).padStart(2, '0')}${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Formats a Date as a local iCalendar date-time at a UTC offset
+ * (e.g., 20260328T090000)
+ *
+ * @param {Date} date - Date to format
+ * @param {number} offset - UTC offset in minutes
+ * @returns {string} Local iCalendar date-time
+ */
+function formatIcsLocalDate(date, offset) {
+  return formatIcsDate(new Date(date.getTime() + offset * 60000)).replace(/Z$/, '');
+}
+
+/**
+ * Folds a content line longer than 75 characters onto continuation lines
+ *
+ * @param {string} line - Content line
+ * @returns {string} Folded line
+ */
+function foldIcsLine(line) {
+  if (line.length <= ICS_LINE_LENGTH) {
+    return line;
+  }
+
+  const parts = [line.slice(0, ICS_LINE_LENGTH)];
+  for (let index = ICS_LINE_LENGTH; index < line.length; index += ICS_LINE_LENGTH - 1) {
+    parts.push(` ${line.slice(index, index + ICS_LINE_LENGTH - 1)}`);
+  }
+  return parts.join('\r\n');
+}
+
+/**
+ * Builds an iCalendar file from a list of events
+ *
+ * @param {Array<Object>} events - Events to include
+ * @param {string} events[].uid - Stable unique ID (so re-imports update instead of duplicating)
+ * @param {string} events[].title - Event title
+ * @param {Date} events[].start - Start time
+ * @param {Date} [events[].end] - End time (defaults to the start time)
+ * @param {string} [events[].location] - Location
+ * @param {string} [events[].description] - Description
+ * @param {Object} options - Calendar options
+ * @param {string} [options.calendarName] - Calendar display name
+ * @param {string} [options.timeZone] - IANA timezone to write times in (settings.timezone).
+ *   Times are written in UTC when it is not set or unknown.
+ * @returns {string} iCalendar file content
+ */
+export function generateIcsCalendar(events, options = {}) {
+  const { calendarName = 'IDMC', timeZone } = options;
+  const stamp = formatIcsDate(new Date());
+  const datedEvents = events
+    .filter((event) => event.start instanceof Date && !Number.isNaN(event.start.getTime()));
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${ICS_PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(calendarName)}`,
+  ];
+
+  // Like the calendarFeed function, the VTIMEZONE uses the zone's offset
+  // at the first event, which holds for the whole conference
+  const utcOffset = timeZone && datedEvents.length > 0
+    ? getTimeZoneOffset(timeZone, datedEvents[0].start)
+    : null;
+  if (utcOffset !== null) {
+    lines.push(
+      `X-WR-TIMEZONE:${timeZone}`,
+      'BEGIN:VTIMEZONE',
+      `TZID:${timeZone}`,
+      'BEGIN:STANDARD',
+      'DTSTART:19700101T000000',
+      `TZOFFSETFROM:${formatIcsUtcOffset(utcOffset)}`,
+      `TZOFFSETTO:${formatIcsUtcOffset(utcOffset)}`,
+      'END:STANDARD',
+      'END:VTIMEZONE'
+    );
+  }
+
+  /**
+   * Formats an event time as a DTSTART or DTEND property
+   *
+   * @param {string} name - Property name
+   * @param {Date} date - Event time
+   * @returns {string} Content line
+   */
+  const formatTimeProperty = (name, date) => (
+    utcOffset === null
+      ? `${name}:${formatIcsDate(date)}`
+      : `${name};TZID=${timeZone}:${formatIcsLocalDate(date, utcOffset)}`
+  );
+
+  datedEvents.forEach((event) => {
+    const end = event.end instanceof Date && event.end > event.start ? event.end : event.start;
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      formatTimeProperty('DTSTART', event.start),
+      formatTimeProperty('DTEND', end),
+      `SUMMARY:${escapeIcsText(event.title)}`
+    );
+    if (event.location) {
+      lines.push(`LOCATION:${escapeIcsText(event.location)}`);
+    }
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeIcsText(event.description)}`);
+    }
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+}
+
+/**
+ * Triggers an .ics file download in the browser
+ *
+ * @param {string} icsContent - iCalendar file content
+ * @param {string} filename - Downloaded filename (without extension)
+ */
+export function downloadIcs(icsContent, filename) {
+  const blob = new Blob([icsContent], { type: 'text/calendar;charset=utf-8;' });
+
+  const link = document.createElement('a');
+  const url = URL.createObjectURL(blob);
+
+  link.setAttribute('href', url);
+  link.setAttribute('download', `${filename}.ics`);
+  link.style.visibility = 'hidden';
+
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Converts a venue room name to the slug used in its feed URL
+ * (must match slugifyRoom in the calendarFeed function)
+ *
+ * @param {string} name - Room name (e.g., "Main Hall")
+ * @returns {string} Slug (e.g., "main-hall")
+ */
+export function slugifyRoom(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Builds the URL of a subscribable calendar feed
+ *
+ * @param {Object} [options] - Feed options
+ * @param {string} [options.type] - Session type for a per-type feed
+ * @param {string} [options.room] - Venue room name for a per-room feed
+ * @param {boolean} [options.webcal=false] - Use webcal:// so calendar apps open a subscription
+ * @returns {string} Feed URL
+ */
+export function getCalendarFeedUrl(options = {}) {
+  const { type, room, webcal = false } = options;
+  let feed = 'idmc';
+  if (type) {
+    feed = `type/${type}`;
+  } else if (room) {
+    feed = `room/${slugifyRoom(room)}`;
+  }
+
+  const url = `${window.location.origin}${CALENDAR_FEED_PATH}/${feed}.ics`;
+  return webcal ? url.replace(/^https?:/, 'webcal:') : url;
+}
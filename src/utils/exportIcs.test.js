@@ -0,0 +1,159 @@
+import { generateIcsCalendar, getTimeZoneOffset, slugifyRoom, getCalendarFeedUrl } from './exportIcs';
+
+/**
+ * iCalendar Export Utility Tests
+ * Tests for .ics generation (escaping, line folding, time zones) and feed URLs
+ */
+
+describe('exportIcs', () => {
+  const event = {
+    uid: 'session-1@idmc',
+    title: 'Plenary 1',
+    start: new Date('2026-03-28T01:00:00Z'),
+    end: new Date('2026-03-28T02:30:00Z'),
+  };
+
+  /**
+   * Splits calendar content into content lines, unfolding continuations
+   */
+  const getLines = (ics) => ics.replace(/\r\n /g, '').split('\r\n');
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2026-03-01T00:00:00Z'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('getTimeZoneOffset', () => {
+    it('returns the offset in minutes east of UTC', () => {
+      expect(getTimeZoneOffset('Asia/Manila', event.start)).toBe(480);
+      expect(getTimeZoneOffset('Asia/Kolkata', event.start)).toBe(330);
+      expect(getTimeZoneOffset('America/New_York', new Date('2026-01-15T12:00:00Z'))).toBe(-300);
+      expect(getTimeZoneOffset('UTC', event.start)).toBe(0);
+    });
+
+    it('returns null for unknown time zones', () => {
+      expect(getTimeZoneOffset('Mars/Olympus_Mons', event.start)).toBeNull();
+    });
+  });
+
+  describe('generateIcsCalendar', () => {
+    it('writes a calendar with CRLF line endings', () => {
+      const ics = generateIcsCalendar([event], { calendarName: 'My Agenda' });
+
+      expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+      expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+      expect(getLines(ics)).toEqual(expect.arrayContaining([
+        'X-WR-CALNAME:My Agenda',
+        'BEGIN:VEVENT',
+        'UID:session-1@idmc',
+        'DTSTAMP:20260301T000000Z',
+        'SUMMARY:Plenary 1',
+        'END:VEVENT',
+      ]));
+    });
+
+    it('writes UTC times when no time zone is given', () => {
+      const lines = getLines(generateIcsCalendar([event]));
+
+      expect(lines).toContain('DTSTART:20260328T010000Z');
+      expect(lines).toContain('DTEND:20260328T023000Z');
+      expect(lines).not.toContain('BEGIN:VTIMEZONE');
+    });
+
+    it('writes local times with a VTIMEZONE for the conference time zone', () => {
+      const lines = getLines(generateIcsCalendar([event], { timeZone: 'Asia/Manila' }));
+
+      expect(lines).toEqual(expect.arrayContaining([
+        'X-WR-TIMEZONE:Asia/Manila',
+        'BEGIN:VTIMEZONE',
+        'TZID:Asia/Manila',
+        'TZOFFSETFROM:+0800',
+        'TZOFFSETTO:+0800',
+        'END:VTIMEZONE',
+        'DTSTART;TZID=Asia/Manila:20260328T090000',
+        'DTEND;TZID=Asia/Manila:20260328T103000',
+      ]));
+    });
+
+    it('writes negative offsets', () => {
+      const lines = getLines(generateIcsCalendar([event], { timeZone: 'America/Sao_Paulo' }));
+
+      expect(lines).toContain('TZOFFSETTO:-0300');
+      expect(lines).toContain('DTSTART;TZID=America/Sao_Paulo:20260327T220000');
+    });
+
+    it('falls back to UTC for an unknown time zone', () => {
+      const lines = getLines(generateIcsCalendar([event], { timeZone: 'Not/AZone' }));
+
+      expect(lines).toContain('DTSTART:20260328T010000Z');
+      expect(lines).not.toContain('X-WR-TIMEZONE:Not/AZone');
+    });
+
+    it('escapes special characters in text values', () => {
+      const lines = getLines(generateIcsCalendar([{
+        ...event,
+        title: 'Q&A; panel, part 1',
+        location: 'Hall A\\B',
+        description: 'Line one\nLine two\r\nLine three',
+      }]));
+
+      expect(lines).toContain('SUMMARY:Q&A\\; panel\\, part 1');
+      expect(lines).toContain('LOCATION:Hall A\\\\B');
+      expect(lines).toContain('DESCRIPTION:Line one\\nLine two\\nLine three');
+    });
+
+    it('folds lines longer than 75 characters', () => {
+      const description = 'x'.repeat(200);
+      const ics = generateIcsCalendar([{ ...event, description }]);
+      const folded = ics.split('\r\n');
+      const start = folded.findIndex((line) => line.startsWith('DESCRIPTION:'));
+
+      expect(folded[start]).toHaveLength(75);
+      expect(folded[start + 1]).toMatch(/^ x+$/);
+      expect(folded[start + 1]).toHaveLength(75);
+      expect(folded[start + 2]).toMatch(/^ x+$/);
+      expect(folded.every((line) => line.length <= 75)).toBe(true);
+      expect(getLines(ics)).toContain(`DESCRIPTION:${description}`);
+    });
+
+    it('uses the start time as the end when the end is missing or earlier', () => {
+      const lines = getLines(generateIcsCalendar([{ ...event, end: new Date('2026-03-28T00:00:00Z') }]));
+      expect(lines).toContain('DTEND:20260328T010000Z');
+    });
+
+    it('skips events without a valid start time', () => {
+      const ics = generateIcsCalendar([{ ...event, start: new Date('invalid') }, { ...event, start: null }]);
+      expect(ics).not.toContain('BEGIN:VEVENT');
+    });
+  });
+
+  describe('slugifyRoom', () => {
+    it('lowercases and joins words with hyphens', () => {
+      expect(slugifyRoom('Main Hall')).toBe('main-hall');
+      expect(slugifyRoom('  Room 2B (Annex) ')).toBe('room-2b-annex');
+      expect(slugifyRoom(null)).toBe('');
+    });
+  });
+
+  describe('getCalendarFeedUrl', () => {
+    const origin = window.location.origin;
+
+    it('points to the full schedule feed by default', () => {
+      expect(getCalendarFeedUrl()).toBe(`${origin}/calendar/idmc.ics`);
+    });
+
+    it('builds per-type and per-room feeds', () => {
+      expect(getCalendarFeedUrl({ type: 'workshop' })).toBe(`${origin}/calendar/type/workshop.ics`);
+      expect(getCalendarFeedUrl({ room: 'Main Hall' })).toBe(`${origin}/calendar/room/main-hall.ics`);
+    });
+
+    it('uses webcal:// for subscriptions', () => {
+      expect(getCalendarFeedUrl({ webcal: true })).toBe(`${origin.replace(/^https?:/, 'webcal:')}/calendar/idmc.ics`);
+      expect(getCalendarFeedUrl({ webcal: true })).toMatch(/^webcal:\/\//);
+    });
+  });
+});
@@ -1,12 +1,16 @@
 /**
  * PDF Export Utility
- * Provides functions for exporting schedule data to PDF format
+ * Provides functions for exporting schedule data, attendee badges,
+ * certificates of attendance, invoices/official receipts, and feedback
+ * summaries to PDF format
  *
  * @module utils/exportPdf
  */
 
 import { jsPDF } from 'jspdf';
-import { SESSION_TYPE_LABELS } from '../constants';
+import QRCode from 'qrcode';
+import { SESSION_TYPE_LABELS, BADGE_LAYOUTS } from '../constants';
+import { FEEDBACK_SUMMARY_KINDS } from './feedbackAnalytics';
 
 /**
  * Color mapping for session types in PDF
@@ -67,6 +71,7 @@ function groupSessionsByTime(sessions) {
  * @param {string} options.title - Conference title
  * @param {string} options.date - Conference date
  * @param {string} options.venue - Conference venue
+ * @param {string} [options.subtitle] - Heading under the title (e.g., "My Agenda")
  * @returns {jsPDF} The generated PDF document
  */
 export function generateSchedulePdf(sessions, options = {}) {
@@ -74,6 +79,7 @@ export function generateSchedulePdf(sessions, options = {}) {
     title = 'IDMC 2026',
     date = 'March 28, 2026',
     venue = 'GCF South Metro',
+    subtitle = 'Conference Schedule',
   } = options;
 
   const pdf = new jsPDF({
@@ -117,7 +123,7 @@ export function generateSchedulePdf(sessions, options = {}) {
     pdf.setFontSize(14);
     pdf.setFont('helvetica', 'normal');
     pdf.setTextColor(75, 85, 99);
-    pdf.text('Conference Schedule', pageWidth / 2, yPosition, { align: 'center' });
+    pdf.text(subtitle, pageWidth / 2, yPosition, { align: 'center' });
     yPosition += 8;
 
     // Date and venue
@@ -261,6 +267,7 @@ export function generateSchedulePdf(sessions, options = {}) {
  * @param {string} options.title - Conference title
  * @param {string} options.date - Conference date
  * @param {string} options.venue - Conference venue
+ * @param {string} [options.subtitle] - Heading under the title
  * @param {string} options.filename - Downloaded filename (without extension)
  */
 export function downloadSchedulePdf(sessions, options = {}) {
@@ -268,3 +275,878 @@ export function downloadSchedulePdf(sessions, options = {}) {
   const pdf = generateSchedulePdf(sessions, pdfOptions);
   pdf.save(`${filename}.pdf`);
 }
+
+/**
+ * Badge dimensions and Avery 5392 sheet geometry (inches, US Letter)
+ */
+const BADGE_WIDTH = 4;
+const BADGE_HEIGHT = 3;
+const BADGE_SHEET = {
+  columns: 2,
+  rows: 3,
+  marginTop: 1,
+  marginLeft: 0.25,
+};
+
+/**
+ * Draws a QR code as vector squares so it stays sharp when printed
+ *
+ * @param {jsPDF} pdf - PDF document
+ * @param {string} data - QR payload
+ * @param {number} x - Left position
+ * @param {number} y - Top position
+ * @param {number} size - Width and height of the code
+ */
+function drawQrCode(pdf, data, x, y, size) {
+  const { modules } = QRCode.create(data, { errorCorrectionLevel: 'M' });
+  const quietZone = 1;
+  const cell = size / (modules.size + quietZone * 2);
+
+  pdf.setFillColor(255, 255, 255);
+  pdf.rect(x, y, size, size, 'F');
+  pdf.setFillColor(0, 0, 0);
+
+  for (let row = 0; row < modules.size; row += 1) {
+    let runStart = null;
+    for (let col = 0; col <= modules.size; col += 1) {
+      const isDark = col < modules.size && modules.get(row, col);
+      if (isDark && runStart === null) {
+        runStart = col;
+      } else if (!isDark && runStart !== null) {
+        pdf.rect(
+          x + (runStart + quietZone) * cell,
+          y + (row + quietZone) * cell,
+          (col - runStart) * cell,
+          cell,
+          'F'
+        );
+        runStart = null;
+      }
+    }
+  }
+}
+
+/**
+ * Shrinks the font size until the text fits the available width
+ *
+ * @param {jsPDF} pdf - PDF document
+ * @param {string} text - Text to fit
+ * @param {number} maxWidth - Available width
+ * @param {number} maxSize - Starting font size
+ * @param {number} minSize - Smallest allowed font size
+ */
+function fitFontSize(pdf, text, maxWidth, maxSize, minSize) {
+  let size = maxSize;
+  pdf.setFontSize(size);
+  while (size > minSize && pdf.getTextWidth(text) > maxWidth) {
+    size -= 1;
+    pdf.setFontSize(size);
+  }
+}
+
+/**
+ * Draws a single attendee badge
+ *
+ * @param {jsPDF} pdf - PDF document
+ * @param {Object} badge - Badge data
+ * @param {number} x - Left position of the badge
+ * @param {number} y - Top position of the badge
+ * @param {Object} options - Drawing options
+ * @param {string} options.title - Conference title shown in the header band
+ * @param {boolean} options.showCutLines - Whether to outline the badge for cutting
+ */
+function drawBadge(pdf, badge, x, y, { title, showCutLines }) {
+  const padding = 0.2;
+  const innerWidth = BADGE_WIDTH - padding * 2;
+  const qrSize = 1.1;
+
+  if (showCutLines) {
+    pdf.setDrawColor(209, 213, 219);
+    pdf.setLineWidth(0.005);
+    pdf.setLineDashPattern([0.05, 0.05], 0);
+    pdf.rect(x, y, BADGE_WIDTH, BADGE_HEIGHT);
+    pdf.setLineDashPattern([], 0);
+  }
+
+  // Header band
+  pdf.setFillColor(30, 64, 175);
+  pdf.rect(x, y, BADGE_WIDTH, 0.45, 'F');
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(13);
+  pdf.setTextColor(255, 255, 255);
+  pdf.text(title, x + BADGE_WIDTH / 2, y + 0.3, { align: 'center' });
+
+  // First name (large) and last name
+  const firstName = (badge.firstName || '').toUpperCase();
+  pdf.setTextColor(31, 41, 55);
+  pdf.setFont('helvetica', 'bold');
+  fitFontSize(pdf, firstName, innerWidth, 30, 16);
+  pdf.text(firstName, x + BADGE_WIDTH / 2, y + 0.95, { align: 'center' });
+
+  pdf.setFont('helvetica', 'normal');
+  fitFontSize(pdf, badge.lastName || '', innerWidth, 16, 10);
+  pdf.text(badge.lastName || '', x + BADGE_WIDTH / 2, y + 1.25, { align: 'center' });
+
+  // Church, ministry role and category beside the QR code
+  const detailsWidth = innerWidth - qrSize - 0.1;
+  const qrY = y + BADGE_HEIGHT - padding - qrSize;
+  let detailY = qrY + 0.2;
+
+  if (badge.church) {
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(10);
+    pdf.setTextColor(55, 65, 81);
+    const churchLines = pdf.splitTextToSize(badge.church, detailsWidth).slice(0, 2);
+    pdf.text(churchLines, x + padding, detailY);
+    detailY += churchLines.length * 0.17;
+  }
+
+  if (badge.ministryRole) {
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(9);
+    pdf.setTextColor(107, 114, 128);
+    pdf.text(pdf.splitTextToSize(badge.ministryRole, detailsWidth)[0], x + padding, detailY);
+  }
+
+  if (badge.category) {
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(8);
+    const label = badge.category.toUpperCase();
+    const pillWidth = Math.min(pdf.getTextWidth(label) + 0.2, detailsWidth);
+    const pillY = y + BADGE_HEIGHT - padding - 0.22;
+    pdf.setFillColor(22, 101, 52);
+    pdf.roundedRect(x + padding, pillY, pillWidth, 0.22, 0.05, 0.05, 'F');
+    pdf.setTextColor(255, 255, 255);
+    pdf.text(label, x + padding + pillWidth / 2, pillY + 0.15, { align: 'center' });
+  }
+
+  // Per-attendee QR code for check-in
+  drawQrCode(pdf, badge.qrData, x + BADGE_WIDTH - padding - qrSize, qrY, qrSize);
+}
+
+/**
+ * Generates a PDF of attendee name badges
+ * Each badge carries the attendee's check-in QR payload (REG-YYYY-XXXXXX-N).
+ *
+ * @param {Array} badges - Badge entries ({ firstName, lastName, church, ministryRole, category, qrData })
+ * @param {Object} options - PDF generation options
+ * @param {string} options.layout - One of BADGE_LAYOUTS
+ * @param {string} options.title - Conference title shown on each badge
+ * @returns {jsPDF} The generated PDF document
+ */
+export function generateBadgesPdf(badges, options = {}) {
+  const {
+    layout = BADGE_LAYOUTS.SHEET,
+    title = 'IDMC 2026',
+  } = options;
+
+  if (layout === BADGE_LAYOUTS.SINGLE) {
+    const pdf = new jsPDF({
+      orientation: 'landscape',
+      unit: 'in',
+      format: [BADGE_HEIGHT, BADGE_WIDTH],
+    });
+
+    badges.forEach((badge, index) => {
+      if (index > 0) {
+        pdf.addPage([BADGE_HEIGHT, BADGE_WIDTH], 'landscape');
+      }
+      drawBadge(pdf, badge, 0, 0, { title, showCutLines: false });
+    });
+
+    return pdf;
+  }
+
+  const pdf = new jsPDF({
+    orientation: 'portrait',
+    unit: 'in',
+    format: 'letter',
+  });
+  const perPage = BADGE_SHEET.columns * BADGE_SHEET.rows;
+
+  badges.forEach((badge, index) => {
+    const position = index % perPage;
+    if (index > 0 && position === 0) {
+      pdf.addPage();
+    }
+    const column = position % BADGE_SHEET.columns;
+    const row = Math.floor(position / BADGE_SHEET.columns);
+    drawBadge(
+      pdf,
+      badge,
+      BADGE_SHEET.marginLeft + column * BADGE_WIDTH,
+      BADGE_SHEET.marginTop + row * BADGE_HEIGHT,
+      { title, showCutLines: true }
+    );
+  });
+
+  return pdf;
+}
+
+/**
+ * Generates and downloads a PDF of attendee name badges
+ *
+ * @param {Array} badges - Badge entries
+ * @param {Object} options - PDF generation options
+ * @param {string} options.layout - One of BADGE_LAYOUTS
+ * @param {string} options.title - Conference title shown on each badge
+ * @param {string} options.filename - Downloaded filename (without extension)
+ */
+export function downloadBadgesPdf(badges, options = {}) {
+  const { filename = 'idmc-2026-badges', ...pdfOptions } = options;
+  const pdf = generateBadgesPdf(badges, pdfOptions);
+  pdf.save(`${filename}.pdf`);
+}
+
+/**
+ * Certificate page dimensions (inches, US Letter landscape)
+ */
+const CERTIFICATE_WIDTH = 11;
+const CERTIFICATE_HEIGHT = 8.5;
+
+/**
+ * Replaces {placeholder} tokens in certificate text
+ * Unknown placeholders are left untouched so typos stay visible in previews.
+ *
+ * @param {string} text - Template text
+ * @param {Object} values - Placeholder values keyed by name
+ * @returns {string} Text with placeholders filled in
+ */
+function fillCertificateText(text, values) {
+  return (text || '').replace(/\{(\w+)\}/g, (match, key) => (
+    values[key] !== undefined && values[key] !== null ? String(values[key]) : match
+  ));
+}
+
+/**
+ * Loads an image URL as a data URL for embedding in a PDF
+ *
+ * @param {string} url - Image URL
+ * @returns {Promise<string|null>} Data URL, or null if the image could not be loaded
+ */
+async function loadImageAsDataUrl(url) {
+  if (!url) return null;
+
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const blob = await response.blob();
+    return await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  } catch (error) {
+    console.error('Failed to load certificate image:', url, error);
+    return null;
+  }
+}
+
+/**
+ * Draws a certificate's signatory blocks along the bottom of the page
+ *
+ * @param {jsPDF} pdf - PDF document
+ * @param {Array} signatories - Signatories ({ name, title })
+ * @param {Array} signatureImages - Signature data URLs matching the signatories
+ */
+function drawSignatories(pdf, signatories, signatureImages) {
+  if (signatories.length === 0) return;
+
+  const lineY = CERTIFICATE_HEIGHT - 1.35;
+  const lineWidth = 2.6;
+  const slotWidth = (CERTIFICATE_WIDTH - 2) / signatories.length;
+
+  signatories.forEach((signatory, index) => {
+    const centerX = 1 + slotWidth * (index + 0.5);
+    const image = signatureImages[index];
+
+    if (image) {
+      const { width, height } = pdf.getImageProperties(image);
+      const imageHeight = 0.6;
+      const imageWidth = Math.min((width / height) * imageHeight, lineWidth);
+      pdf.addImage(image, centerX - imageWidth / 2, lineY - imageHeight - 0.05, imageWidth, imageHeight);
+    }
+
+    pdf.setDrawColor(55, 65, 81);
+    pdf.setLineWidth(0.01);
+    pdf.line(centerX - lineWidth / 2, lineY, centerX + lineWidth / 2, lineY);
+
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(12);
+    pdf.setTextColor(31, 41, 55);
+    pdf.text(signatory.name || '', centerX, lineY + 0.22, { align: 'center' });
+
+    if (signatory.title) {
+      pdf.setFont('helvetica', 'normal');
+      pdf.setFontSize(10);
+      pdf.setTextColor(107, 114, 128);
+      pdf.text(signatory.title, centerX, lineY + 0.42, { align: 'center' });
+    }
+  });
+}
+
+/**
+ * Draws a single certificate of attendance on the current page
+ *
+ * @param {jsPDF} pdf - PDF document
+ * @param {Object} certificate - Certificate entry
+ * @param {Object} template - Certificate template from settings
+ * @param {Object} context - Conference details and preloaded images
+ */
+function drawCertificate(pdf, certificate, template, context) {
+  const { conference, date, venue, backgroundImage, signatureImages } = context;
+  const sessions = certificate.sessions || [];
+  const values = {
+    name: certificate.name,
+    firstName: certificate.firstName,
+    church: certificate.church,
+    role: certificate.ministryRole,
+    conference,
+    date,
+    venue,
+    sessions: sessions.join(', '),
+    sessionCount: sessions.length,
+  };
+  const textWidth = CERTIFICATE_WIDTH - 2.5;
+  const centerX = CERTIFICATE_WIDTH / 2;
+
+  if (backgroundImage) {
+    pdf.addImage(backgroundImage, 0, 0, CERTIFICATE_WIDTH, CERTIFICATE_HEIGHT);
+  } else {
+    // Default double border when no background is configured
+    pdf.setDrawColor(30, 64, 175);
+    pdf.setLineWidth(0.06);
+    pdf.rect(0.35, 0.35, CERTIFICATE_WIDTH - 0.7, CERTIFICATE_HEIGHT - 0.7);
+    pdf.setDrawColor(180, 140, 40);
+    pdf.setLineWidth(0.02);
+    pdf.rect(0.5, 0.5, CERTIFICATE_WIDTH - 1, CERTIFICATE_HEIGHT - 1);
+  }
+
+  // Title
+  pdf.setFont('times', 'bold');
+  pdf.setTextColor(30, 64, 175);
+  fitFontSize(pdf, template.title || '', textWidth, 36, 20);
+  pdf.text(template.title || '', centerX, 1.9, { align: 'center' });
+
+  // Recipient name
+  pdf.setFont('times', 'bolditalic');
+  pdf.setTextColor(31, 41, 55);
+  fitFontSize(pdf, certificate.name, textWidth, 32, 18);
+  pdf.text(certificate.name, centerX, 3.1, { align: 'center' });
+
+  pdf.setDrawColor(180, 140, 40);
+  pdf.setLineWidth(0.015);
+  pdf.line(centerX - 3, 3.3, centerX + 3, 3.3);
+
+  // Body text
+  pdf.setFont('times', 'normal');
+  pdf.setFontSize(15);
+  pdf.setTextColor(55, 65, 81);
+  const bodyLines = pdf.splitTextToSize(fillCertificateText(template.bodyText, values), textWidth);
+  pdf.text(bodyLines, centerX, 3.85, { align: 'center', lineHeightFactor: 1.4 });
+
+  // Sessions attended, when tracked
+  if (template.includeSessions && sessions.length > 0 && template.sessionsText) {
+    const sessionsY = 3.85 + bodyLines.length * 0.3 + 0.2;
+    pdf.setFontSize(11);
+    pdf.setTextColor(107, 114, 128);
+    const sessionLines = pdf
+      .splitTextToSize(fillCertificateText(template.sessionsText, values), textWidth)
+      .slice(0, 4);
+    pdf.text(sessionLines, centerX, sessionsY, { align: 'center', lineHeightFactor: 1.3 });
+  }
+
+  drawSignatories(pdf, template.signatories || [], signatureImages);
+}
+
+/**
+ * Generates a PDF of certificates of attendance, one page per attendee
+ * Placeholders in the template text: {name}, {firstName}, {church}, {role},
+ * {conference}, {date}, {venue}, {sessions}, {sessionCount}.
+ *
+ * @param {Array} certificates - Certificate entries ({ name, firstName, church, ministryRole, sessions })
+ * @param {Object} template - Certificate template ({ title, bodyText, sessionsText, includeSessions, backgroundImageUrl, signatories })
+ * @param {Object} options - PDF generation options
+ * @param {string} options.conference - Conference title
+ * @param {string} options.date - Conference date as displayed on the certificate
+ * @param {string} options.venue - Conference venue
+ * @returns {Promise<jsPDF>} The generated PDF document
+ */
+export async function generateCertificatesPdf(certificates, template, options = {}) {
+  const {
+    conference = 'IDMC 2026',
+    date = '',
+    venue = '',
+  } = options;
+  const signatories = template.signatories || [];
+
+  const [backgroundImage, ...signatureImages] = await Promise.all([
+    loadImageAsDataUrl(template.backgroundImageUrl),
+    ...signatories.map((signatory) => loadImageAsDataUrl(signatory.signatureImageUrl)),
+  ]);
+
+  const pdf = new jsPDF({
+    orientation: 'landscape',
+    unit: 'in',
+    format: 'letter',
+  });
+
+  certificates.forEach((certificate, index) => {
+    if (index > 0) {
+      pdf.addPage('letter', 'landscape');
+    }
+    drawCertificate(pdf, certificate, template, {
+      conference,
+      date,
+      venue,
+      backgroundImage,
+      signatureImages,
+    });
+  });
+
+  return pdf;
+}
+
+/**
+ * Generates and downloads a PDF of certificates of attendance
+ *
+ * @param {Array} certificates - Certificate entries
+ * @param {Object} template - Certificate template from settings
+ * @param {Object} options - PDF generation options
+ * @param {string} options.conference - Conference title
+ * @param {string} options.date - Conference date as displayed on the certificate
+ * @param {string} options.venue - Conference venue
+ * @param {string} options.filename - Downloaded filename (without extension)
+ * @returns {Promise<void>}
+ */
+export async function downloadCertificatesPdf(certificates, template, options = {}) {
+  const { filename = 'idmc-2026-certificates', ...pdfOptions } = options;
+  const pdf = await generateCertificatesPdf(certificates, template, pdfOptions);
+  pdf.save(`${filename}.pdf`);
+}
+
+/**
+ * Invoice page margins (inches, US Letter portrait)
+ */
+const INVOICE_MARGIN = 0.75;
+const INVOICE_WIDTH = 8.5;
+
+/**
+ * Formats an amount for invoices
+ * The built-in PDF fonts have no peso sign, so amounts use the PHP code.
+ *
+ * @param {number} amount - Amount in pesos
+ * @returns {string} Formatted amount (e.g., "PHP 1,500.00")
+ */
+function formatInvoiceAmount(amount) {
+  return `PHP ${Number(amount || 0).toLocaleString('en-PH', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+}
+
+/**
+ * Draws a labelled block of lines (issuer or bill-to details)
+ *
+ * @param {jsPDF} pdf - PDF document
+ * @param {string} heading - Block heading
+ * @param {Array<string>} lines - Lines to print, empty values are skipped
+ * @param {number} x - Left position
+ * @param {number} y - Top position
+ * @param {number} width - Maximum text width
+ * @returns {number} Y position below the block
+ */
+function drawInvoiceBlock(pdf, heading, lines, x, y, width) {
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(9);
+  pdf.setTextColor(107, 114, 128);
+  pdf.text(heading.toUpperCase(), x, y);
+
+  let currentY = y + 0.2;
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(10);
+  pdf.setTextColor(31, 41, 55);
+  lines.filter(Boolean).forEach((line) => {
+    const wrapped = pdf.splitTextToSize(line, width);
+    pdf.text(wrapped, x, currentY);
+    currentY += wrapped.length * 0.18;
+  });
+
+  return currentY;
+}
+
+/**
+ * Generates an invoice/official receipt PDF for a registration
+ * Voided copies are stamped VOID and previews are stamped PREVIEW so neither
+ * can be mistaken for the issued document.
+ *
+ * @param {Object} invoice - Invoice document data from buildInvoiceDocument
+ * @param {Object} options - PDF generation options
+ * @param {boolean} options.preview - Stamp the document as a preview
+ * @param {boolean} options.voided - Stamp the document as void
+ * @returns {jsPDF} The generated PDF document
+ */
+export function generateInvoicePdf(invoice, options = {}) {
+  const { preview = false, voided = false } = options;
+  const issuer = invoice.issuer || {};
+  const contentWidth = INVOICE_WIDTH - INVOICE_MARGIN * 2;
+  const rightX = INVOICE_WIDTH - INVOICE_MARGIN;
+
+  const pdf = new jsPDF({
+    orientation: 'portrait',
+    unit: 'in',
+    format: 'letter',
+  });
+
+  // Header: issuer on the left, document title and number on the right
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(16);
+  pdf.setTextColor(30, 64, 175);
+  pdf.text(issuer.name || '', INVOICE_MARGIN, 1);
+
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(9);
+  pdf.setTextColor(75, 85, 99);
+  const issuerLines = [
+    ...pdf.splitTextToSize(issuer.address || '', contentWidth / 2),
+    issuer.tin ? `TIN: ${issuer.tin}` : '',
+  ].filter(Boolean);
+  pdf.text(issuerLines, INVOICE_MARGIN, 1.25);
+
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(18);
+  pdf.setTextColor(31, 41, 55);
+  pdf.text((issuer.documentTitle || 'Official Receipt').toUpperCase(), rightX, 1, { align: 'right' });
+
+  pdf.setFontSize(11);
+  pdf.setTextColor(185, 28, 28);
+  pdf.text(`No. ${invoice.invoiceNumber || ''}`, rightX, 1.3, { align: 'right' });
+
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(10);
+  pdf.setTextColor(75, 85, 99);
+  const issuedAt = invoice.issuedAt ? new Date(invoice.issuedAt) : new Date();
+  pdf.text(
+    `Date: ${issuedAt.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}`,
+    rightX,
+    1.52,
+    { align: 'right' }
+  );
+
+  pdf.setDrawColor(209, 213, 219);
+  pdf.setLineWidth(0.01);
+  pdf.line(INVOICE_MARGIN, 2, rightX, 2);
+
+  // Bill-to details as provided by the church
+  const billTo = invoice.billTo || {};
+  const billToBottom = drawInvoiceBlock(
+    pdf,
+    'Billed To',
+    [billTo.name, billTo.tin ? `TIN: ${billTo.tin}` : '', billTo.address],
+    INVOICE_MARGIN,
+    2.3,
+    contentWidth / 2
+  );
+  const referenceBottom = drawInvoiceBlock(
+    pdf,
+    'Reference',
+    [
+      invoice.conference,
+      invoice.registrationId ? `Registration: ${invoice.registrationId}` : '',
+      invoice.paymentMethod ? `Payment: ${invoice.paymentMethod}` : '',
+      invoice.paymentReference ? `Reference No.: ${invoice.paymentReference}` : '',
+    ],
+    INVOICE_MARGIN + contentWidth / 2 + 0.25,
+    2.3,
+    contentWidth / 2 - 0.25
+  );
+
+  // Line items table
+  const columns = {
+    description: INVOICE_MARGIN + 0.1,
+    quantity: INVOICE_MARGIN + 4.3,
+    unitPrice: INVOICE_MARGIN + 5.45,
+    amount: rightX - 0.1,
+  };
+  let y = Math.max(billToBottom, referenceBottom) + 0.3;
+
+  pdf.setFillColor(243, 244, 246);
+  pdf.rect(INVOICE_MARGIN, y - 0.2, contentWidth, 0.32, 'F');
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(9);
+  pdf.setTextColor(75, 85, 99);
+  pdf.text('DESCRIPTION', columns.description, y);
+  pdf.text('QTY', columns.quantity, y, { align: 'right' });
+  pdf.text('UNIT PRICE', columns.unitPrice, y, { align: 'right' });
+  pdf.text('AMOUNT', columns.amount, y, { align: 'right' });
+  y += 0.4;
+
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(10);
+  pdf.setTextColor(31, 41, 55);
+  (invoice.lineItems || []).forEach((item) => {
+    const description = pdf.splitTextToSize(item.description, 3.6);
+    pdf.text(description, columns.description, y);
+    pdf.text(String(item.quantity), columns.quantity, y, { align: 'right' });
+    pdf.text(formatInvoiceAmount(item.unitPrice), columns.unitPrice, y, { align: 'right' });
+    pdf.text(formatInvoiceAmount(item.amount), columns.amount, y, { align: 'right' });
+    y += description.length * 0.18 + 0.12;
+  });
+
+  pdf.line(INVOICE_MARGIN, y - 0.05, rightX, y - 0.05);
+  y += 0.2;
+
+  // Totals
+  const totalRows = [
+    ['Subtotal', formatInvoiceAmount(invoice.subtotal)],
+    ...(invoice.discounts || []).map((discount) => [
+      discount.label,
+      `-${formatInvoiceAmount(discount.amount)}`,
+    ]),
+  ];
+  totalRows.forEach(([label, value]) => {
+    pdf.text(label, columns.unitPrice, y, { align: 'right' });
+    pdf.text(value, columns.amount, y, { align: 'right' });
+    y += 0.22;
+  });
+
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(12);
+  pdf.text('Total', columns.unitPrice, y + 0.05, { align: 'right' });
+  pdf.text(formatInvoiceAmount(invoice.total), columns.amount, y + 0.05, { align: 'right' });
+  y += 0.35;
+
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(10);
+  pdf.text('Amount Paid', columns.unitPrice, y, { align: 'right' });
+  pdf.text(formatInvoiceAmount(invoice.amountPaid), columns.amount, y, { align: 'right' });
+
+  // Footer note (e.g., BIR permit or exemption details)
+  if (issuer.footerNote) {
+    pdf.setFontSize(8);
+    pdf.setTextColor(107, 114, 128);
+    const footerLines = pdf.splitTextToSize(issuer.footerNote, contentWidth);
+    pdf.text(footerLines, INVOICE_WIDTH / 2, 10.2, { align: 'center' });
+  }
+
+  if (voided || preview) {
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(96);
+    pdf.setTextColor(voided ? 220 : 200, voided ? 38 : 200, voided ? 38 : 200);
+    const stamp = voided ? 'VOID' : 'PREVIEW';
+    const angle = 30;
+    const halfWidth = pdf.getTextWidth(stamp) / 2;
+    const radians = (angle * Math.PI) / 180;
+    pdf.text(
+      stamp,
+      INVOICE_WIDTH / 2 - halfWidth * Math.cos(radians),
+      6.5 + halfWidth * Math.sin(radians),
+      { angle }
+    );
+  }
+
+  return pdf;
+}
+
+/**
+ * Bar colour for feedback summary distributions (primary blue)
+ */
+const FEEDBACK_BAR_COLOR = [30, 64, 175];
+
+/**
+ * Generates a printable PDF summary of feedback analytics: headline
+ * statistics, a bar per answer bucket, and keyword lists for free text
+ *
+ * @param {Array} summaries - Field summaries from summarizeFeedbackResponses
+ * @param {Object} options - PDF generation options
+ * @param {string} options.title - Document title
+ * @param {string} options.subtitle - Line under the title (e.g., active filters)
+ * @param {number} options.responseCount - Number of responses summarized
+ * @returns {jsPDF} The generated PDF document
+ */
+export function generateFeedbackSummaryPdf(summaries, options = {}) {
+  const {
+    title = 'Feedback Summary',
+    subtitle = '',
+    responseCount = 0,
+  } = options;
+
+  const pdf = new jsPDF({
+    orientation: 'portrait',
+    unit: 'mm',
+    format: 'a4',
+  });
+
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const pageHeight = pdf.internal.pageSize.getHeight();
+  const margin = 15;
+  const contentWidth = pageWidth - margin * 2;
+  const labelWidth = 60;
+  const barMaxWidth = contentWidth - labelWidth - 25;
+  let yPosition = margin;
+
+  /**
+   * Adds a new page if needed
+   *
+   * @param {number} requiredHeight - Height required for next content
+   */
+  function checkPageBreak(requiredHeight) {
+    if (yPosition + requiredHeight > pageHeight - margin) {
+      pdf.addPage();
+      yPosition = margin;
+    }
+  }
+
+  /**
+   * Draws one labelled bar per distribution bucket
+   *
+   * @param {Array} buckets - Array of { label, count, percent }
+   */
+  function drawDistribution(buckets) {
+    buckets.forEach((bucket) => {
+      const labelLines = pdf.splitTextToSize(bucket.label, labelWidth - 2);
+      const rowHeight = Math.max(labelLines.length * 4, 5);
+      checkPageBreak(rowHeight + 1);
+
+      pdf.setFont('helvetica', 'normal');
+      pdf.setFontSize(9);
+      pdf.setTextColor(55, 65, 81);
+      pdf.text(labelLines, margin, yPosition + 3.5);
+
+      pdf.setFillColor(243, 244, 246);
+      pdf.rect(margin + labelWidth, yPosition, barMaxWidth, 4, 'F');
+      if (bucket.percent > 0) {
+        pdf.setFillColor(...FEEDBACK_BAR_COLOR);
+        pdf.rect(margin + labelWidth, yPosition, (barMaxWidth * Math.min(bucket.percent, 100)) / 100, 4, 'F');
+      }
+
+      pdf.text(
+        `${bucket.count} (${bucket.percent}%)`,
+        pageWidth - margin,
+        yPosition + 3.5,
+        { align: 'right' }
+      );
+      yPosition += rowHeight + 1;
+    });
+  }
+
+  /**
+   * Draws a line of headline statistics
+   *
+   * @param {string} text - Statistics text
+   */
+  function drawStats(text) {
+    checkPageBreak(6);
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(10);
+    pdf.setTextColor(31, 41, 55);
+    pdf.text(text, margin, yPosition + 3.5);
+    yPosition += 7;
+  }
+
+  // Header
+  pdf.setFontSize(20);
+  pdf.setFont('helvetica', 'bold');
+  pdf.setTextColor(30, 64, 175);
+  pdf.text(title, pageWidth / 2, yPosition + 5, { align: 'center' });
+  yPosition += 13;
+
+  pdf.setFontSize(11);
+  pdf.setFont('helvetica', 'normal');
+  pdf.setTextColor(75, 85, 99);
+  const headerLine = [
+    `${responseCount} ${responseCount === 1 ? 'response' : 'responses'}`,
+    subtitle,
+    `Generated ${new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}`,
+  ].filter(Boolean).join(' | ');
+  pdf.text(headerLine, pageWidth / 2, yPosition, { align: 'center' });
+  yPosition += 6;
+
+  pdf.setDrawColor(229, 231, 235);
+  pdf.setLineWidth(0.5);
+  pdf.line(margin, yPosition, pageWidth - margin, yPosition);
+  yPosition += 8;
+
+  summaries.forEach((summary) => {
+    const labelLines = pdf.splitTextToSize(summary.field.label || '', contentWidth);
+    checkPageBreak(labelLines.length * 5 + 12);
+
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(12);
+    pdf.setTextColor(17, 24, 39);
+    pdf.text(labelLines, margin, yPosition);
+    yPosition += labelLines.length * 5;
+
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(9);
+    pdf.setTextColor(107, 114, 128);
+    pdf.text(`${summary.responseCount} answered`, margin, yPosition);
+    yPosition += 4;
+
+    switch (summary.kind) {
+      case FEEDBACK_SUMMARY_KINDS.RATING:
+        drawStats(`Average: ${summary.average ?? '-'} / ${summary.scale}`);
+        drawDistribution(summary.options);
+        break;
+      case FEEDBACK_SUMMARY_KINDS.NPS:
+        drawStats(
+          `NPS: ${summary.score ?? '-'} | Promoters ${summary.promoters} | `
+          + `Passives ${summary.passives} | Detractors ${summary.detractors}`
+        );
+        drawDistribution(summary.options);
+        break;
+      case FEEDBACK_SUMMARY_KINDS.NUMBER:
+        drawStats(
+          `Average: ${summary.average ?? '-'} | Min: ${summary.min ?? '-'} | Max: ${summary.max ?? '-'}`
+        );
+        break;
+      case FEEDBACK_SUMMARY_KINDS.MATRIX:
+        summary.rows.forEach((row) => {
+          checkPageBreak(10);
+          pdf.setFont('helvetica', 'bold');
+          pdf.setFontSize(10);
+          pdf.setTextColor(55, 65, 81);
+          pdf.text(row.label, margin, yPosition + 4);
+          yPosition += 6;
+          drawDistribution(row.options);
+        });
+        break;
+      case FEEDBACK_SUMMARY_KINDS.TEXT: {
+        const keywords = summary.keywords.length > 0
+          ? summary.keywords.map(({ word, count }) => `${word} (${count})`).join(', ')
+          : 'No keywords yet';
+        const keywordLines = pdf.splitTextToSize(`Top keywords: ${keywords}`, contentWidth);
+        checkPageBreak(keywordLines.length * 4.5 + 2);
+        pdf.setFont('helvetica', 'normal');
+        pdf.setFontSize(10);
+        pdf.setTextColor(55, 65, 81);
+        pdf.text(keywordLines, margin, yPosition + 4);
+        yPosition += keywordLines.length * 4.5 + 2;
+        break;
+      }
+      default:
+        drawDistribution(summary.options || []);
+        break;
+    }
+
+    yPosition += 6;
+  });
+
+  return pdf;
+}
+
+/**
+ * Generates and downloads a PDF summary of feedback analytics
+ *
+ * @param {Array} summaries - Field summaries from summarizeFeedbackResponses
+ * @param {Object} options - PDF generation options (see generateFeedbackSummaryPdf)
+ * @param {string} options.filename - Downloaded filename (without extension)
+ */
+export function downloadFeedbackSummaryPdf(summaries, options = {}) {
+  const { filename = `feedback-summary-${new Date().toISOString().split('T')[0]}`, ...pdfOptions } = options;
+  const pdf = generateFeedbackSummaryPdf(summaries, pdfOptions);
+  pdf.save(`${filename}.pdf`);
+}
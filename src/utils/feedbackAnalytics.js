@@ -0,0 +1,343 @@
+/**
+ * Feedback Analytics Utility
+ * Aggregates feedback responses per configured field (choice distributions,
+ * rating averages, Net Promoter Score, number statistics, free-text keyword
+ * frequency) and links non-anonymous responses to their registrations.
+ *
+ * @module utils/feedbackAnalytics
+ */
+
+import { DEFAULT_RATING_SCALE, NPS_MIN, NPS_MAX, PAGE_BREAK_FIELD_TYPE, sortFormFields } from './formFields';
+
+/**
+ * Summary kinds, one per way a field is aggregated
+ */
+export const FEEDBACK_SUMMARY_KINDS = {
+  CHOICE: 'choice',
+  RATING: 'rating',
+  NPS: 'nps',
+  NUMBER: 'number',
+  MATRIX: 'matrix',
+  TEXT: 'text',
+};
+
+/**
+ * NPS bands: 9-10 are promoters, 0-6 are detractors, 7-8 are passives
+ */
+export const NPS_PROMOTER_MIN = 9;
+export const NPS_DETRACTOR_MAX = 6;
+
+/**
+ * Default number of keywords reported for free-text fields
+ */
+const DEFAULT_KEYWORD_LIMIT = 15;
+
+/**
+ * Words ignored when counting keywords (English and common Filipino)
+ */
+const STOP_WORDS = new Set([
+  'a', 'about', 'after', 'again', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'because', 'been', 'being', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'for',
+  'from', 'had', 'has', 'have', 'he', 'her', 'him', 'his', 'how', 'i', 'if', 'in', 'into',
+  'is', 'it', 'its', 'just', 'me', 'more', 'my', 'no', 'not', 'of', 'on', 'or', 'our',
+  'out', 'so', 'some', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these',
+  'they', 'this', 'those', 'to', 'too', 'us', 'very', 'was', 'we', 'were', 'what', 'when',
+  'which', 'who', 'will', 'with', 'would', 'you', 'your', "i'm", "i've", "it's", "don't",
+  'ako', 'ang', 'at', 'ay', 'ko', 'kung', 'mga', 'na', 'ng', 'nga', 'po', 'sa', 'si',
+]);
+
+/**
+ * Checks whether a stored response has an answer for a field
+ *
+ * @param {*} value - Stored value
+ * @returns {boolean} True when answered
+ */
+function isAnswered(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * Rounds to one decimal place
+ *
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+function roundOne(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Builds a distribution from a list of bucket definitions and counts
+ *
+ * @param {Array} buckets - Array of { id, label }
+ * @param {Object} counts - Counts keyed by bucket ID
+ * @param {number} total - Denominator for percentages
+ * @returns {Array} Array of { id, label, count, percent }
+ */
+function buildDistribution(buckets, counts, total) {
+  return buckets.map(({ id, label }) => ({
+    id,
+    label,
+    count: counts[id] || 0,
+    percent: total > 0 ? roundOne(((counts[id] || 0) / total) * 100) : 0,
+  }));
+}
+
+/**
+ * Counts keyword occurrences across free-text answers. Each word counts
+ * once per answer so one long answer cannot dominate the list.
+ *
+ * @param {Array<string>} texts - Free-text answers
+ * @param {number} [limit] - Maximum number of keywords to return
+ * @returns {Array} Array of { word, count } sorted by count, then alphabetically
+ */
+export function getKeywordFrequency(texts, limit = DEFAULT_KEYWORD_LIMIT) {
+  const counts = {};
+
+  (texts || []).forEach((text) => {
+    const words = String(text)
+      .toLowerCase()
+      .match(/[\p{L}][\p{L}'-]*/gu) || [];
+
+    new Set(words).forEach((word) => {
+      const normalized = word.replace(/^['-]+|['-]+$/g, '');
+      if (normalized.length < 3 || STOP_WORDS.has(normalized)) return;
+      counts[normalized] = (counts[normalized] || 0) + 1;
+    });
+  });
+
+  return Object.entries(counts)
+    .map(([word, count]) => ({ word, count }))
+    .sort((a, b) => b.count - a.count || a.word.localeCompare(b.word))
+    .slice(0, limit);
+}
+
+/**
+ * Aggregates all responses for one field
+ *
+ * @param {Object} field - Field definition
+ * @param {Array} responses - Feedback responses
+ * @returns {Object} Field summary with `field`, `kind`, `responseCount` and kind-specific data
+ */
+export function summarizeFeedbackField(field, responses) {
+  const values = (responses || [])
+    .map((response) => response[field.id])
+    .filter(isAnswered);
+  const responseCount = values.length;
+  const base = { field, responseCount };
+
+  switch (field.type) {
+    case 'checkbox': {
+      const counts = { yes: 0, no: 0 };
+      values.forEach((value) => {
+        counts[value ? 'yes' : 'no'] += 1;
+      });
+      return {
+        ...base,
+        kind: FEEDBACK_SUMMARY_KINDS.CHOICE,
+        options: buildDistribution(
+          [{ id: 'yes', label: 'Yes' }, { id: 'no', label: 'No' }],
+          counts,
+          responseCount
+        ),
+      };
+    }
+
+    case 'radio':
+    case 'select':
+    case 'checkboxGroup': {
+      const counts = {};
+      values.forEach((value) => {
+        const selected = field.type === 'checkboxGroup'
+          ? Object.keys(value).filter((optionId) => value[optionId])
+          : [value];
+        selected.forEach((optionId) => {
+          counts[optionId] = (counts[optionId] || 0) + 1;
+        });
+      });
+      return {
+        ...base,
+        kind: FEEDBACK_SUMMARY_KINDS.CHOICE,
+        multiple: field.type === 'checkboxGroup',
+        options: buildDistribution(field.options || [], counts, responseCount),
+      };
+    }
+
+    case 'rating': {
+      const scale = field.scale || DEFAULT_RATING_SCALE;
+      const counts = {};
+      values.forEach((value) => {
+        counts[value] = (counts[value] || 0) + 1;
+      });
+      const buckets = Array.from({ length: scale }, (_, index) => ({
+        id: index + 1,
+        label: index === 0 ? '1 star' : `${index + 1} stars`,
+      }));
+      return {
+        ...base,
+        kind: FEEDBACK_SUMMARY_KINDS.RATING,
+        scale,
+        average: responseCount > 0
+          ? roundOne(values.reduce((sum, value) => sum + value, 0) / responseCount)
+          : null,
+        options: buildDistribution(buckets, counts, responseCount),
+      };
+    }
+
+    case 'nps': {
+      const counts = {};
+      let promoters = 0;
+      let detractors = 0;
+      values.forEach((value) => {
+        counts[value] = (counts[value] || 0) + 1;
+        if (value >= NPS_PROMOTER_MIN) promoters += 1;
+        if (value <= NPS_DETRACTOR_MAX) detractors += 1;
+      });
+      const buckets = Array.from({ length: NPS_MAX - NPS_MIN + 1 }, (_, index) => ({
+        id: NPS_MIN + index,
+        label: String(NPS_MIN + index),
+      }));
+      return {
+        ...base,
+        kind: FEEDBACK_SUMMARY_KINDS.NPS,
+        score: responseCount > 0
+          ? Math.round(((promoters - detractors) / responseCount) * 100)
+          : null,
+        promoters,
+        passives: responseCount - promoters - detractors,
+        detractors,
+        average: responseCount > 0
+          ? roundOne(values.reduce((sum, value) => sum + value, 0) / responseCount)
+          : null,
+        options: buildDistribution(buckets, counts, responseCount),
+      };
+    }
+
+    case 'number': {
+      const numbers = values.filter((value) => typeof value === 'number' && Number.isFinite(value));
+      return {
+        ...base,
+        responseCount: numbers.length,
+        kind: FEEDBACK_SUMMARY_KINDS.NUMBER,
+        average: numbers.length > 0
+          ? roundOne(numbers.reduce((sum, value) => sum + value, 0) / numbers.length)
+          : null,
+        min: numbers.length > 0 ? Math.min(...numbers) : null,
+        max: numbers.length > 0 ? Math.max(...numbers) : null,
+      };
+    }
+
+    case 'date': {
+      const counts = {};
+      values.forEach((value) => {
+        counts[value] = (counts[value] || 0) + 1;
+      });
+      const buckets = Object.keys(counts).sort().map((date) => ({ id: date, label: date }));
+      return {
+        ...base,
+        kind: FEEDBACK_SUMMARY_KINDS.CHOICE,
+        options: buildDistribution(buckets, counts, responseCount),
+      };
+    }
+
+    case 'matrix': {
+      const rows = (field.rows || []).map((row) => {
+        const counts = {};
+        let rowCount = 0;
+        values.forEach((value) => {
+          const optionId = value?.[row.id];
+          if (optionId) {
+            counts[optionId] = (counts[optionId] || 0) + 1;
+            rowCount += 1;
+          }
+        });
+        return {
+          id: row.id,
+          label: row.label,
+          responseCount: rowCount,
+          options: buildDistribution(field.options || [], counts, rowCount),
+        };
+      });
+      return { ...base, kind: FEEDBACK_SUMMARY_KINDS.MATRIX, rows };
+    }
+
+    case 'text':
+    case 'textarea':
+    default: {
+      const texts = values.map((value) => String(value));
+      return {
+        ...base,
+        kind: FEEDBACK_SUMMARY_KINDS.TEXT,
+        keywords: getKeywordFrequency(texts),
+      };
+    }
+  }
+}
+
+/**
+ * Aggregates responses for every configured field, in form order
+ *
+ * @param {Array} fields - Feedback field definitions
+ * @param {Array} responses - Feedback responses
+ * @returns {Array} Field summaries (page breaks excluded)
+ */
+export function summarizeFeedbackResponses(fields, responses) {
+  return sortFormFields(fields)
+    .filter((field) => field.type !== PAGE_BREAK_FIELD_TYPE)
+    .map((field) => summarizeFeedbackField(field, responses));
+}
+
+/**
+ * Normalizes a person's name for matching
+ *
+ * @param {string} name - Name to normalize
+ * @returns {string} Lower-cased name with collapsed whitespace
+ */
+function normalizeName(name) {
+  return String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Links non-anonymous feedback responses to registrations. A response is
+ * linked by the `registrationId` captured from a personalised feedback link,
+ * or else by its submitter name when exactly one registered attendee has
+ * that name. Anonymous responses are never linked.
+ *
+ * @param {Array} responses - Feedback responses
+ * @param {Array} registrations - Registrations
+ * @returns {Object} Registration (or null) keyed by response ID
+ */
+export function linkFeedbackToRegistrations(responses, registrations) {
+  const registrationsById = {};
+  const registrationsByName = {};
+
+  (registrations || []).forEach((registration) => {
+    registrationsById[registration.id] = registration;
+    [registration.primaryAttendee, ...(registration.additionalAttendees || [])]
+      .filter(Boolean)
+      .forEach((attendee) => {
+        const name = normalizeName(`${attendee.firstName || ''} ${attendee.lastName || ''}`);
+        if (!name) return;
+        registrationsByName[name] = registrationsByName[name] || new Set();
+        registrationsByName[name].add(registration);
+      });
+  });
+
+  const links = {};
+  (responses || []).forEach((response) => {
+    links[response.id] = null;
+    if (response.isAnonymous === true) return;
+
+    if (response.registrationId && registrationsById[response.registrationId]) {
+      links[response.id] = registrationsById[response.registrationId];
+      return;
+    }
+
+    const matches = registrationsByName[normalizeName(response.submitterName)];
+    if (matches && matches.size === 1) {
+      [links[response.id]] = [...matches];
+    }
+  });
+
+  return links;
+}
@@ -0,0 +1,215 @@
+import {
+  FEEDBACK_SUMMARY_KINDS,
+  getKeywordFrequency,
+  summarizeFeedbackField,
+  summarizeFeedbackResponses,
+  linkFeedbackToRegistrations,
+} from './feedbackAnalytics';
+
+/**
+ * Feedback Analytics Utility Tests
+ * Tests for per-field aggregation of feedback responses and registration linking
+ */
+
+describe('feedbackAnalytics', () => {
+  describe('getKeywordFrequency', () => {
+    it('counts each word once per answer, skipping stop words and short words', () => {
+      expect(getKeywordFrequency([
+        'The worship was great, great, great!',
+        'Great speakers and great worship',
+        'Salamat po sa lahat',
+        'OK',
+      ])).toEqual([
+        { word: 'great', count: 2 },
+        { word: 'worship', count: 2 },
+        { word: 'lahat', count: 1 },
+        { word: 'salamat', count: 1 },
+        { word: 'speakers', count: 1 },
+      ]);
+    });
+
+    it('limits the number of keywords', () => {
+      expect(getKeywordFrequency(['alpha beta gamma'], 2)).toEqual([
+        { word: 'alpha', count: 1 },
+        { word: 'beta', count: 1 },
+      ]);
+    });
+  });
+
+  describe('summarizeFeedbackField', () => {
+    it('builds option distributions for choice fields', () => {
+      const field = {
+        id: 'track',
+        type: 'checkboxGroup',
+        options: [{ id: 'a', label: 'Track A' }, { id: 'b', label: 'Track B' }],
+      };
+      const summary = summarizeFeedbackField(field, [
+        { track: { a: true, b: true } },
+        { track: { a: true, b: false } },
+        { track: '' },
+        {},
+      ]);
+
+      expect(summary).toMatchObject({
+        kind: FEEDBACK_SUMMARY_KINDS.CHOICE,
+        multiple: true,
+        responseCount: 2,
+        options: [
+          { id: 'a', label: 'Track A', count: 2, percent: 100 },
+          { id: 'b', label: 'Track B', count: 1, percent: 50 },
+        ],
+      });
+    });
+
+    it('counts checkbox answers as yes and no', () => {
+      const summary = summarizeFeedbackField({ id: 'again', type: 'checkbox' }, [
+        { again: true }, { again: true }, { again: false },
+      ]);
+
+      expect(summary.options).toEqual([
+        { id: 'yes', label: 'Yes', count: 2, percent: 66.7 },
+        { id: 'no', label: 'No', count: 1, percent: 33.3 },
+      ]);
+    });
+
+    it('averages ratings over the configured scale', () => {
+      const summary = summarizeFeedbackField({ id: 'venue', type: 'rating', scale: 3 }, [
+        { venue: 3 }, { venue: 2 }, { venue: 2 },
+      ]);
+
+      expect(summary).toMatchObject({ kind: FEEDBACK_SUMMARY_KINDS.RATING, scale: 3, average: 2.3 });
+      expect(summary.options.map((option) => [option.label, option.count])).toEqual([
+        ['1 star', 0], ['2 stars', 2], ['3 stars', 1],
+      ]);
+    });
+
+    it('calculates the Net Promoter Score', () => {
+      const summary = summarizeFeedbackField({ id: 'nps', type: 'nps' }, [
+        { nps: 10 }, { nps: 9 }, { nps: 8 }, { nps: 6 }, { nps: 0 },
+      ]);
+
+      expect(summary).toMatchObject({
+        kind: FEEDBACK_SUMMARY_KINDS.NPS,
+        score: 0,
+        promoters: 2,
+        passives: 1,
+        detractors: 2,
+        average: 6.6,
+      });
+      expect(summary.options).toHaveLength(11);
+    });
+
+    it('reports number statistics, ignoring non-numeric answers', () => {
+      const summary = summarizeFeedbackField({ id: 'years', type: 'number' }, [
+        { years: 2 }, { years: 11 }, { years: 'ten' }, { years: 5 },
+      ]);
+
+      expect(summary).toMatchObject({
+        kind: FEEDBACK_SUMMARY_KINDS.NUMBER,
+        responseCount: 3,
+        average: 6,
+        min: 2,
+        max: 11,
+      });
+    });
+
+    it('groups date answers in date order', () => {
+      const summary = summarizeFeedbackField({ id: 'arrival', type: 'date' }, [
+        { arrival: '2026-03-28' }, { arrival: '2026-03-27' }, { arrival: '2026-03-28' },
+      ]);
+
+      expect(summary.options.map((option) => [option.id, option.count])).toEqual([
+        ['2026-03-27', 1], ['2026-03-28', 2],
+      ]);
+    });
+
+    it('builds a distribution for each matrix row', () => {
+      const field = {
+        id: 'speakers',
+        type: 'matrix',
+        rows: [{ id: 'r1', label: 'Plenary 1' }, { id: 'r2', label: 'Plenary 2' }],
+        options: [{ id: 'good', label: 'Good' }, { id: 'poor', label: 'Poor' }],
+      };
+      const summary = summarizeFeedbackField(field, [
+        { speakers: { r1: 'good', r2: 'poor' } },
+        { speakers: { r1: 'good' } },
+      ]);
+
+      expect(summary.kind).toBe(FEEDBACK_SUMMARY_KINDS.MATRIX);
+      expect(summary.rows).toEqual([
+        {
+          id: 'r1',
+          label: 'Plenary 1',
+          responseCount: 2,
+          options: [
+            { id: 'good', label: 'Good', count: 2, percent: 100 },
+            { id: 'poor', label: 'Poor', count: 0, percent: 0 },
+          ],
+        },
+        {
+          id: 'r2',
+          label: 'Plenary 2',
+          responseCount: 1,
+          options: [
+            { id: 'good', label: 'Good', count: 0, percent: 0 },
+            { id: 'poor', label: 'Poor', count: 1, percent: 100 },
+          ],
+        },
+      ]);
+    });
+
+    it('returns empty averages when nobody answered', () => {
+      expect(summarizeFeedbackField({ id: 'venue', type: 'rating' }, []).average).toBeNull();
+      expect(summarizeFeedbackField({ id: 'nps', type: 'nps' }, []).score).toBeNull();
+    });
+  });
+
+  describe('summarizeFeedbackResponses', () => {
+    it('summarizes fields in form order without page breaks', () => {
+      const summaries = summarizeFeedbackResponses([
+        { id: 'comments', type: 'textarea', order: 3 },
+        { id: 'page2', type: 'page', order: 2 },
+        { id: 'venue', type: 'rating', order: 1 },
+      ], [{ venue: 5, comments: 'Wonderful fellowship' }]);
+
+      expect(summaries.map((summary) => [summary.field.id, summary.kind])).toEqual([
+        ['venue', FEEDBACK_SUMMARY_KINDS.RATING],
+        ['comments', FEEDBACK_SUMMARY_KINDS.TEXT],
+      ]);
+      expect(summaries[1].keywords).toEqual([
+        { word: 'fellowship', count: 1 },
+        { word: 'wonderful', count: 1 },
+      ]);
+    });
+  });
+
+  describe('linkFeedbackToRegistrations', () => {
+    const registrations = [
+      {
+        id: 'REG1',
+        primaryAttendee: { firstName: 'Juan', lastName: 'Dela Cruz' },
+        additionalAttendees: [{ firstName: 'Maria', lastName: 'Santos' }],
+      },
+      { id: 'REG2', primaryAttendee: { firstName: 'Jose', lastName: 'Rizal' } },
+      { id: 'REG3', primaryAttendee: { firstName: 'Jose', lastName: 'Rizal' } },
+    ];
+
+    it('links by registration ID, then by a unique attendee name', () => {
+      const links = linkFeedbackToRegistrations([
+        { id: 'a', registrationId: 'REG2', submitterName: 'Juan Dela Cruz' },
+        { id: 'b', submitterName: '  maria   SANTOS ' },
+        { id: 'c', submitterName: 'Jose Rizal' },
+        { id: 'd', registrationId: 'REG1', isAnonymous: true },
+        { id: 'e', registrationId: 'MISSING', submitterName: 'Unknown' },
+      ], registrations);
+
+      expect(links).toEqual({
+        a: registrations[1],
+        b: registrations[0],
+        c: null,
+        d: null,
+        e: null,
+      });
+    });
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Finance Utility
+ * Payment statistics shown on the finance dashboard.
+ *
+ * @module utils/finance
+ */
+
+import { REGISTRATION_STATUS } from '../constants';
+
+/**
+ * Calculates payment statistics for a set of registrations
+ * Net revenue counts confirmed payments plus refunded payments that were
+ * only partly paid back.
+ *
+ * @param {Array} registrations - Registration documents
+ * @returns {Object} Transaction counts and payment, overpayment, discount and refund totals
+ */
+export function calculateFinanceStatistics(registrations) {
+  const stats = {
+    totalTransactions: (registrations || []).length,
+    confirmedTransactions: 0,
+    pendingVerification: 0,
+    totalPayments: 0,
+    confirmedPayments: 0,
+    pendingPayments: 0,
+    totalOverpayments: 0,
+    overpaymentCount: 0,
+    totalDiscounts: 0,
+    discountCount: 0,
+    refundedCount: 0,
+    refundedPayments: 0,
+    refundedAmount: 0,
+  };
+
+  (registrations || []).forEach((reg) => {
+    const amount = reg.payment?.amountPaid || 0;
+    const overpayment = reg.payment?.overpayment || 0;
+
+    if (reg.status === REGISTRATION_STATUS.CONFIRMED) {
+      stats.confirmedTransactions += 1;
+      stats.confirmedPayments += amount;
+    } else if (reg.status === REGISTRATION_STATUS.PENDING_VERIFICATION) {
+      stats.pendingVerification += 1;
+      stats.pendingPayments += amount;
+    } else if (reg.status === REGISTRATION_STATUS.REFUNDED) {
+      stats.refundedCount += 1;
+      stats.refundedPayments += amount;
+      stats.refundedAmount += reg.refund?.amount || 0;
+    }
+
+    stats.totalPayments += amount;
+
+    if (overpayment > 0) {
+      stats.totalOverpayments += overpayment;
+      stats.overpaymentCount += 1;
+    }
+
+    if (reg.discountAmount > 0) {
+      stats.totalDiscounts += reg.discountAmount;
+      stats.discountCount += 1;
+    }
+  });
+
+  // Refunded registrations were collected before being paid back
+  stats.netRevenue = stats.confirmedPayments + stats.refundedPayments - stats.refundedAmount;
+
+  return stats;
+}
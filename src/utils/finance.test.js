@@ -0,0 +1,49 @@
+import { calculateFinanceStatistics } from './finance';
+
+/**
+ * Finance Utility Tests
+ * Tests for finance dashboard payment totals and net revenue after refunds
+ */
+
+describe('finance', () => {
+  describe('calculateFinanceStatistics', () => {
+    const registrations = [
+      { status: 'confirmed', payment: { amountPaid: 2000, overpayment: 100 }, discountAmount: 200 },
+      { status: 'confirmed', payment: { amountPaid: 1500 } },
+      { status: 'pending_verification', payment: { amountPaid: 1000 } },
+      { status: 'refunded', payment: { amountPaid: 2000 }, refund: { amount: 1000 } },
+      { status: 'refunded', payment: { amountPaid: 1500 }, refund: { amount: 1500 } },
+    ];
+
+    it('totals payments by status', () => {
+      expect(calculateFinanceStatistics(registrations)).toMatchObject({
+        totalTransactions: 5,
+        confirmedTransactions: 2,
+        confirmedPayments: 3500,
+        pendingVerification: 1,
+        pendingPayments: 1000,
+        totalPayments: 8000,
+        totalOverpayments: 100,
+        overpaymentCount: 1,
+        totalDiscounts: 200,
+        discountCount: 1,
+      });
+    });
+
+    it('counts refunded payments and the amounts paid back', () => {
+      expect(calculateFinanceStatistics(registrations)).toMatchObject({
+        refundedCount: 2,
+        refundedPayments: 3500,
+        refundedAmount: 2500,
+      });
+    });
+
+    it('keeps the part of partly refunded payments in net revenue', () => {
+      expect(calculateFinanceStatistics(registrations).netRevenue).toBe(4500);
+    });
+
+    it('returns zero totals without registrations', () => {
+      expect(calculateFinanceStatistics([])).toMatchObject({ totalTransactions: 0, netRevenue: 0 });
+    });
+  });
+});
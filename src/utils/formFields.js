@@ -0,0 +1,378 @@
+/**
+ * Form Field Utility
+ * Shared logic for admin-configured form fields (feedback form and custom
+ * registration questions): conditional visibility, initial values,
+ * validation, pagination, and display formatting.
+ *
+ * @module utils/formFields
+ */
+
+/**
+ * Default number of stars for rating fields
+ */
+export const DEFAULT_RATING_SCALE = 5;
+
+/**
+ * Net Promoter Score range
+ */
+export const NPS_MIN = 0;
+export const NPS_MAX = 10;
+
+/**
+ * Field type that starts a new page instead of collecting a value
+ */
+export const PAGE_BREAK_FIELD_TYPE = 'page';
+
+/**
+ * Checks whether a value counts as unanswered.
+ *
+ * @param {Object} field - The field definition
+ * @param {*} value - Current value
+ * @returns {boolean} True if the field has no answer
+ */
+function isEmptyValue(field, value) {
+  if (value === undefined || value === null || value === '') {
+    return true;
+  }
+
+  switch (field.type) {
+    case 'text':
+    case 'textarea':
+      return !String(value).trim();
+    case 'checkbox':
+      return !value;
+    case 'checkboxGroup':
+      return !Object.values(value || {}).some(Boolean);
+    case 'matrix':
+      return Object.values(value || {}).filter(Boolean).length === 0;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Checks a non-empty value against the field's type constraints.
+ *
+ * @param {Object} field - The field definition
+ * @param {*} value - Current value (not empty)
+ * @returns {string|null} Error message, or null when valid
+ */
+function getTypeError(field, value) {
+  const hasOption = (optionId) => (field.options || []).some((option) => option.id === optionId);
+
+  switch (field.type) {
+    case 'rating': {
+      const scale = field.scale || DEFAULT_RATING_SCALE;
+      if (!Number.isInteger(value) || value < 1 || value > scale) {
+        return `${field.label} must be a rating from 1 to ${scale}`;
+      }
+      return null;
+    }
+    case 'nps':
+      if (!Number.isInteger(value) || value < NPS_MIN || value > NPS_MAX) {
+        return `${field.label} must be a score from ${NPS_MIN} to ${NPS_MAX}`;
+      }
+      return null;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return `${field.label} must be a number`;
+      }
+      if (field.min !== undefined && field.min !== null && value < field.min) {
+        return `${field.label} must be at least ${field.min}`;
+      }
+      if (field.max !== undefined && field.max !== null && value > field.max) {
+        return `${field.label} must be at most ${field.max}`;
+      }
+      return null;
+    case 'date':
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(new Date(value).getTime())) {
+        return `Please enter a valid date for ${field.label}`;
+      }
+      return null;
+    case 'select':
+    case 'radio':
+      return hasOption(value) ? null : `Please select a valid option for ${field.label}`;
+    case 'matrix': {
+      const rowIds = (field.rows || []).map((row) => row.id);
+      const isValid = Object.entries(value).every(
+        ([rowId, optionId]) => !optionId || (rowIds.includes(rowId) && hasOption(optionId))
+      );
+      return isValid ? null : `Please select a valid option for each row of ${field.label}`;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Gets a nested value from an object using dot notation path.
+ *
+ * @param {Object} obj - The object to get value from
+ * @param {string} path - Dot notation path (e.g., 'field.subfield')
+ * @returns {*} The value at the path or undefined
+ */
+function getNestedValue(obj, path) {
+  return path.split('.').reduce((current, key) => current?.[key], obj);
+}
+
+/**
+ * Sorts field definitions by their configured order.
+ *
+ * @param {Array} fields - Field definitions
+ * @returns {Array} New array sorted by order
+ */
+export function sortFormFields(fields) {
+  return [...(fields || [])].sort((a, b) => (a.order || 0) - (b.order || 0));
+}
+
+/**
+ * Checks if a field should be visible based on conditional logic.
+ * Supports checkbox (boolean), checkboxGroup (option ID), and radio (option ID) conditions.
+ *
+ * @param {Object} field - The field definition
+ * @param {Object} values - Current form values keyed by field ID
+ * @returns {boolean} True if field should be visible
+ */
+export function isFieldVisible(field, values) {
+  if (!field.conditionalOn) {
+    return true;
+  }
+
+  const { field: conditionField, value: conditionValue } = field.conditionalOn;
+
+  // Handle nested paths (e.g., "fieldId.optionId" for legacy checkboxGroup conditions)
+  if (conditionField.includes('.')) {
+    const currentValue = getNestedValue(values, conditionField);
+    return currentValue === conditionValue;
+  }
+
+  const fieldValue = values?.[conditionField];
+
+  // Determine field type from form data structure
+  if (typeof fieldValue === 'boolean') {
+    // Checkbox field - compare boolean values
+    return fieldValue === conditionValue;
+  } else if (typeof fieldValue === 'object' && fieldValue !== null) {
+    // CheckboxGroup field - conditionValue is the option ID
+    // Check if that specific option is checked
+    return fieldValue[conditionValue] === true;
+  } else if (typeof fieldValue === 'string') {
+    // Radio field - compare the selected option ID with condition value
+    return fieldValue === conditionValue;
+  }
+
+  return false;
+}
+
+/**
+ * Builds empty values for a set of field definitions.
+ *
+ * @param {Array} fields - Field definitions
+ * @returns {Object} Initial values keyed by field ID
+ */
+export function getInitialFieldValues(fields) {
+  const values = {};
+
+  (fields || []).forEach((field) => {
+    switch (field.type) {
+      case 'checkbox':
+        values[field.id] = false;
+        break;
+      case 'checkboxGroup':
+        values[field.id] = {};
+        field.options?.forEach((opt) => {
+          values[field.id][opt.id] = false;
+        });
+        break;
+      case 'matrix':
+        values[field.id] = {};
+        break;
+      case PAGE_BREAK_FIELD_TYPE:
+        break;
+      case 'radio':
+      case 'text':
+      case 'textarea':
+      default:
+        values[field.id] = '';
+        break;
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Validates required fields and type constraints (rating and score ranges,
+ * number limits, dates, valid options), skipping fields hidden by
+ * conditional logic.
+ *
+ * @param {Array} fields - Field definitions
+ * @param {Object} values - Current form values keyed by field ID
+ * @returns {Object} Error messages keyed by field ID (empty when valid)
+ */
+export function validateFieldValues(fields, values) {
+  const errors = {};
+
+  (fields || []).forEach((field) => {
+    if (field.type === PAGE_BREAK_FIELD_TYPE || !isFieldVisible(field, values)) {
+      return;
+    }
+
+    const value = values?.[field.id];
+
+    if (isEmptyValue(field, value)) {
+      if (!field.required) {
+        return;
+      }
+
+      switch (field.type) {
+        case 'checkboxGroup':
+          errors[field.id] = `Please select at least one option for ${field.label}`;
+          break;
+        case 'radio':
+        case 'select':
+          errors[field.id] = `Please select an option for ${field.label}`;
+          break;
+        case 'rating':
+          errors[field.id] = `Please rate ${field.label}`;
+          break;
+        case 'nps':
+          errors[field.id] = `Please select a score for ${field.label}`;
+          break;
+        case 'matrix':
+          errors[field.id] = `Please answer every row of ${field.label}`;
+          break;
+        default:
+          errors[field.id] = `${field.label} is required`;
+          break;
+      }
+      return;
+    }
+
+    // Required matrices need an answer for every row, not just one
+    if (field.type === 'matrix' && field.required
+      && (field.rows || []).some((row) => !value[row.id])) {
+      errors[field.id] = `Please answer every row of ${field.label}`;
+      return;
+    }
+
+    const typeError = getTypeError(field, value);
+    if (typeError) {
+      errors[field.id] = typeError;
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Picks the values of visible fields for storage.
+ *
+ * @param {Array} fields - Field definitions
+ * @param {Object} values - Current form values keyed by field ID
+ * @returns {Object} Values of visible fields keyed by field ID
+ */
+export function getVisibleFieldValues(fields, values) {
+  const visibleValues = {};
+
+  (fields || []).forEach((field) => {
+    if (field.type === PAGE_BREAK_FIELD_TYPE) {
+      return;
+    }
+    if (isFieldVisible(field, values) && values?.[field.id] !== undefined) {
+      visibleValues[field.id] = values[field.id];
+    }
+  });
+
+  return visibleValues;
+}
+
+/**
+ * Formats a stored field value for display or export.
+ *
+ * @param {Object} field - The field definition
+ * @param {*} value - Stored value
+ * @returns {string} Human-readable value (empty string when unanswered)
+ */
+export function formatFieldValue(field, value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  const getOptionLabel = (optionId) => (
+    field.options?.find((option) => option.id === optionId)?.label || optionId
+  );
+
+  switch (field.type) {
+    case 'checkbox':
+      return value ? 'Yes' : 'No';
+    case 'checkboxGroup':
+      return Object.entries(value || {})
+        .filter(([, checked]) => checked)
+        .map(([optionId]) => getOptionLabel(optionId))
+        .join(', ');
+    case 'radio':
+    case 'select':
+      return value ? getOptionLabel(value) : '';
+    case 'rating':
+      return value === '' ? '' : `${value} / ${field.scale || DEFAULT_RATING_SCALE}`;
+    case 'matrix':
+      return (field.rows || [])
+        .filter((row) => value?.[row.id])
+        .map((row) => `${row.label}: ${getOptionLabel(value[row.id])}`)
+        .join('; ');
+    case PAGE_BREAK_FIELD_TYPE:
+      return '';
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Adds a field definition or updates the one with the same ID.
+ * New fields are appended after the current last field.
+ *
+ * @param {Array} fields - Field definitions
+ * @param {Object} fieldData - Field to add or update
+ * @returns {Array} New array of field definitions
+ */
+export function upsertFormField(fields, fieldData) {
+  const nextFields = [...(fields || [])];
+  const existingIndex = nextFields.findIndex((f) => f.id === fieldData.id);
+
+  if (existingIndex >= 0) {
+    nextFields[existingIndex] = { ...nextFields[existingIndex], ...fieldData };
+  } else {
+    const maxOrder = nextFields.reduce((max, f) => Math.max(max, f.order || 0), 0);
+    nextFields.push({ ...fieldData, order: maxOrder + 1 });
+  }
+
+  return nextFields;
+}
+
+/**
+ * Splits sorted field definitions into pages at each page break field.
+ * Fields before the first page break form the first page.
+ *
+ * @param {Array} fields - Field definitions
+ * @returns {Array} Array of { id, title, description, fields }
+ */
+export function splitFormPages(fields) {
+  const pages = [{ id: 'page-1', title: '', description: '', fields: [] }];
+
+  sortFormFields(fields).forEach((field) => {
+    if (field.type === PAGE_BREAK_FIELD_TYPE) {
+      pages.push({
+        id: field.id,
+        title: field.label || '',
+        description: field.description || '',
+        fields: [],
+      });
+    } else {
+      pages[pages.length - 1].fields.push(field);
+    }
+  });
+
+  // Drop an empty first page when the form starts with a page break
+  return pages.filter((page, index) => index > 0 || page.fields.length > 0);
+}
@@ -0,0 +1,269 @@
+import {
+  PAGE_BREAK_FIELD_TYPE,
+  sortFormFields,
+  isFieldVisible,
+  getInitialFieldValues,
+  validateFieldValues,
+  getVisibleFieldValues,
+  formatFieldValue,
+  upsertFormField,
+  splitFormPages,
+} from './formFields';
+
+/**
+ * Form Field Utility Tests
+ * Tests for conditional visibility, validation, pagination and formatting of admin-configured fields
+ */
+
+describe('formFields', () => {
+  const fields = [
+    { id: 'attending', type: 'checkbox', label: 'Attending dinner', order: 2 },
+    { id: 'dietary', type: 'text', label: 'Dietary needs', required: true, order: 3, conditionalOn: { field: 'attending', value: true } },
+    {
+      id: 'source',
+      type: 'radio',
+      label: 'How did you hear about us',
+      required: true,
+      order: 1,
+      options: [{ id: 'church', label: 'Church' }, { id: 'other', label: 'Other' }],
+    },
+    { id: 'sourceOther', type: 'textarea', label: 'Please specify', required: true, order: 4, conditionalOn: { field: 'source', value: 'other' } },
+    {
+      id: 'interests',
+      type: 'checkboxGroup',
+      label: 'Interests',
+      required: true,
+      order: 5,
+      options: [{ id: 'music', label: 'Music' }, { id: 'missions', label: 'Missions' }],
+    },
+    { id: 'musicRole', type: 'text', label: 'Instrument', order: 6, conditionalOn: { field: 'interests', value: 'music' } },
+  ];
+
+  describe('sortFormFields', () => {
+    it('sorts by order without changing the input', () => {
+      expect(sortFormFields(fields).map((field) => field.id)).toEqual([
+        'source', 'attending', 'dietary', 'sourceOther', 'interests', 'musicRole',
+      ]);
+      expect(fields[0].id).toBe('attending');
+      expect(sortFormFields(null)).toEqual([]);
+    });
+  });
+
+  describe('isFieldVisible', () => {
+    it('shows fields without a condition', () => {
+      expect(isFieldVisible(fields[0], {})).toBe(true);
+    });
+
+    it('follows checkbox, radio and checkbox group conditions', () => {
+      expect(isFieldVisible(fields[1], { attending: true })).toBe(true);
+      expect(isFieldVisible(fields[1], { attending: false })).toBe(false);
+      expect(isFieldVisible(fields[3], { source: 'other' })).toBe(true);
+      expect(isFieldVisible(fields[3], { source: 'church' })).toBe(false);
+      expect(isFieldVisible(fields[5], { interests: { music: true, missions: false } })).toBe(true);
+      expect(isFieldVisible(fields[5], { interests: { music: false } })).toBe(false);
+    });
+
+    it('supports legacy dotted paths', () => {
+      const field = { id: 'x', conditionalOn: { field: 'interests.music', value: true } };
+      expect(isFieldVisible(field, { interests: { music: true } })).toBe(true);
+      expect(isFieldVisible(field, { interests: {} })).toBe(false);
+    });
+
+    it('hides fields whose condition has no answer', () => {
+      expect(isFieldVisible(fields[1], {})).toBe(false);
+    });
+  });
+
+  describe('getInitialFieldValues', () => {
+    it('builds an empty value for each field type', () => {
+      expect(getInitialFieldValues(fields)).toEqual({
+        attending: false,
+        dietary: '',
+        source: '',
+        sourceOther: '',
+        interests: { music: false, missions: false },
+        musicRole: '',
+      });
+    });
+  });
+
+  describe('validateFieldValues', () => {
+    it('reports unanswered required fields with a message per type', () => {
+      expect(validateFieldValues(fields, getInitialFieldValues(fields))).toEqual({
+        source: 'Please select an option for How did you hear about us',
+        interests: 'Please select at least one option for Interests',
+      });
+    });
+
+    it('checks required fields once their condition is met', () => {
+      const values = {
+        ...getInitialFieldValues(fields),
+        attending: true,
+        dietary: '   ',
+        source: 'other',
+        interests: { music: true },
+      };
+
+      expect(validateFieldValues(fields, values)).toEqual({
+        dietary: 'Dietary needs is required',
+        sourceOther: 'Please specify is required',
+      });
+    });
+
+    it('rejects options that are not in the field', () => {
+      expect(validateFieldValues([fields[2]], { source: 'tv' })).toEqual({
+        source: 'Please select a valid option for How did you hear about us',
+      });
+    });
+
+    it('checks rating, NPS and number ranges', () => {
+      const surveyFields = [
+        { id: 'overall', type: 'rating', label: 'Overall', scale: 10 },
+        { id: 'venue', type: 'rating', label: 'Venue' },
+        { id: 'recommend', type: 'nps', label: 'Recommend' },
+        { id: 'sessions', type: 'number', label: 'Sessions attended', min: 1, max: 12 },
+        { id: 'guests', type: 'number', label: 'Guests' },
+      ];
+
+      expect(validateFieldValues(surveyFields, {
+        overall: 10, venue: 6, recommend: 11, sessions: 0, guests: Number.NaN,
+      })).toEqual({
+        venue: 'Venue must be a rating from 1 to 5',
+        recommend: 'Recommend must be a score from 0 to 10',
+        sessions: 'Sessions attended must be at least 1',
+        guests: 'Guests must be a number',
+      });
+      expect(validateFieldValues(surveyFields, { overall: 1, venue: 5, recommend: 0, sessions: 13 })).toEqual({
+        sessions: 'Sessions attended must be at most 12',
+      });
+    });
+
+    it('checks dates and dropdown options', () => {
+      const dateField = { id: 'arrival', type: 'date', label: 'Arrival' };
+      const selectField = { id: 'shirt', type: 'select', label: 'Shirt size', options: [{ id: 'm', label: 'M' }] };
+
+      expect(validateFieldValues([dateField, selectField], { arrival: '03/28/2026', shirt: 'xl' })).toEqual({
+        arrival: 'Please enter a valid date for Arrival',
+        shirt: 'Please select a valid option for Shirt size',
+      });
+      expect(validateFieldValues([dateField, selectField], { arrival: '2026-03-28', shirt: 'm' })).toEqual({});
+    });
+
+    it('requires every row of a required matrix', () => {
+      const matrix = {
+        id: 'speakers',
+        type: 'matrix',
+        label: 'Speakers',
+        required: true,
+        rows: [{ id: 'r1', label: 'Plenary 1' }, { id: 'r2', label: 'Plenary 2' }],
+        options: [{ id: 'good', label: 'Good' }, { id: 'poor', label: 'Poor' }],
+      };
+
+      expect(validateFieldValues([matrix], { speakers: {} })).toEqual({
+        speakers: 'Please answer every row of Speakers',
+      });
+      expect(validateFieldValues([matrix], { speakers: { r1: 'good' } })).toEqual({
+        speakers: 'Please answer every row of Speakers',
+      });
+      expect(validateFieldValues([matrix], { speakers: { r1: 'good', r2: 'bad' } })).toEqual({
+        speakers: 'Please select a valid option for each row of Speakers',
+      });
+      expect(validateFieldValues([matrix], { speakers: { r1: 'good', r2: 'poor' } })).toEqual({});
+    });
+
+    it('skips page breaks', () => {
+      expect(validateFieldValues([{ id: 'p2', type: PAGE_BREAK_FIELD_TYPE, label: 'Page 2', required: true }], {})).toEqual({});
+    });
+
+    it('returns no errors for a complete form', () => {
+      expect(validateFieldValues(fields, { source: 'church', interests: { missions: true } })).toEqual({});
+    });
+  });
+
+  describe('getVisibleFieldValues', () => {
+    it('drops answers to hidden fields', () => {
+      const values = {
+        attending: false,
+        dietary: 'Vegetarian',
+        source: 'church',
+        sourceOther: 'Radio',
+        interests: { music: true },
+        musicRole: 'Guitar',
+      };
+
+      expect(getVisibleFieldValues(fields, values)).toEqual({
+        attending: false,
+        source: 'church',
+        interests: { music: true },
+        musicRole: 'Guitar',
+      });
+    });
+  });
+
+  describe('formatFieldValue', () => {
+    it('formats checkboxes and option labels', () => {
+      expect(formatFieldValue(fields[0], true)).toBe('Yes');
+      expect(formatFieldValue(fields[0], false)).toBe('No');
+      expect(formatFieldValue(fields[2], 'church')).toBe('Church');
+      expect(formatFieldValue(fields[4], { music: true, missions: true })).toBe('Music, Missions');
+      expect(formatFieldValue(fields[1], undefined)).toBe('');
+    });
+
+    it('formats ratings and matrix answers', () => {
+      const matrix = {
+        type: 'matrix',
+        rows: [{ id: 'r1', label: 'Plenary 1' }, { id: 'r2', label: 'Plenary 2' }],
+        options: [{ id: 'good', label: 'Good' }],
+      };
+
+      expect(formatFieldValue({ type: 'rating' }, 4)).toBe('4 / 5');
+      expect(formatFieldValue({ type: 'rating', scale: 10 }, 8)).toBe('8 / 10');
+      expect(formatFieldValue(matrix, { r1: 'good', r2: 'okay' })).toBe('Plenary 1: Good; Plenary 2: okay');
+      expect(formatFieldValue({ type: 'nps' }, 0)).toBe('0');
+    });
+  });
+
+  describe('upsertFormField', () => {
+    it('appends new fields after the last order', () => {
+      const next = upsertFormField(fields, { id: 'notes', type: 'textarea', label: 'Notes' });
+      expect(next).toHaveLength(fields.length + 1);
+      expect(next[next.length - 1]).toEqual({ id: 'notes', type: 'textarea', label: 'Notes', order: 7 });
+    });
+
+    it('updates an existing field in place', () => {
+      const next = upsertFormField(fields, { id: 'dietary', label: 'Dietary restrictions' });
+      expect(next[1]).toMatchObject({ id: 'dietary', type: 'text', label: 'Dietary restrictions', order: 3 });
+      expect(fields[1].label).toBe('Dietary needs');
+    });
+  });
+
+  describe('splitFormPages', () => {
+    it('starts a new page at each page break, in field order', () => {
+      const pages = splitFormPages([
+        { id: 'q3', type: 'text', order: 4 },
+        { id: 'p2', type: PAGE_BREAK_FIELD_TYPE, label: 'Sessions', description: 'Rate each session', order: 2 },
+        { id: 'q1', type: 'text', order: 1 },
+        { id: 'q2', type: 'rating', order: 3 },
+      ]);
+
+      expect(pages.map((page) => [page.id, page.title, page.description, page.fields.map((f) => f.id)])).toEqual([
+        ['page-1', '', '', ['q1']],
+        ['p2', 'Sessions', 'Rate each session', ['q2', 'q3']],
+      ]);
+    });
+
+    it('drops the empty first page when the form starts with a page break', () => {
+      const pages = splitFormPages([
+        { id: 'p1', type: PAGE_BREAK_FIELD_TYPE, label: 'About you', order: 1 },
+        { id: 'q1', type: 'text', order: 2 },
+      ]);
+
+      expect(pages).toEqual([{ id: 'p1', title: 'About you', description: '', fields: [{ id: 'q1', type: 'text', order: 2 }] }]);
+    });
+
+    it('returns one page for forms without page breaks', () => {
+      expect(splitFormPages([{ id: 'q1', type: 'text' }])).toHaveLength(1);
+      expect(splitFormPages([])).toEqual([]);
+    });
+  });
+});
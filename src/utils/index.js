@@ -6,6 +6,9 @@
 export {
   getCurrentPricingTier,
   calculatePrice,
+  isPromoCodeApplicable,
+  calculateRegistrationPricing,
+  describeGroupDiscountRule,
   generateShortCode,
   generateRegistrationId,
   extractShortCode,
@@ -21,6 +24,7 @@ export {
   maskName,
   maskPhone,
   calculateRefundEligibility,
+  getSuggestedRefund,
   formatRefundPolicySummary,
 } from './registration';
 
@@ -31,13 +35,115 @@ export {
   convertWorkshopAttendanceToCsv,
   exportWorkshopAttendanceToCsv,
   exportAllWorkshopsAttendanceToCsv,
+  convertRosterErrorsToCsv,
+  exportRosterErrorsToCsv,
+  convertSessionAttendanceToCsv,
+  exportSessionAttendanceToCsv,
+  convertFeedbackSummaryToCsv,
+  exportFeedbackSummaryToCsv,
+  convertFeedbackResponsesToCsv,
+  exportFeedbackResponsesToCsv,
 } from './exportCsv';
 
 export {
   generateSchedulePdf,
   downloadSchedulePdf,
+  generateBadgesPdf,
+  downloadBadgesPdf,
+  generateCertificatesPdf,
+  downloadCertificatesPdf,
+  generateInvoicePdf,
+  generateFeedbackSummaryPdf,
+  downloadFeedbackSummaryPdf,
 } from './exportPdf';
 
+export {
+  generateIcsCalendar,
+  getTimeZoneOffset,
+  downloadIcs,
+  slugifyRoom,
+  getCalendarFeedUrl,
+} from './exportIcs';
+
+export {
+  MATCH_CONFIDENCE,
+  parseBankStatementCsv,
+  parseBankStatementText,
+  reconcileStatement,
+} from './bankStatement';
+
+export {
+  ROSTER_COLUMNS,
+  readRosterFile,
+  getRosterTemplateCsv,
+  parseRosterRows,
+} from './roster';
+
+export {
+  CHECK_IN_ROSTER_MAX_AGE_MS,
+  isCachedRosterCurrent,
+} from './offlineRoster';
+
+export {
+  splitReminderOffset,
+  formatReminderOffset,
+} from './reminders';
+
+export {
+  getAttendeeByIndex,
+  getAttendeeCheckInStatus,
+} from './attendees';
+
+export {
+  BADGE_CHECK_IN_FILTERS,
+  getRegistrationChurchName,
+  isBadgePrinted,
+  getBadgeEntries,
+} from './badges';
+
+export {
+  CERTIFICATE_FILTERS,
+  formatCertificateDate,
+  getIssuedCertificate,
+  getCertificateEntries,
+} from './certificates';
+
+export {
+  formatArchiveDateRange,
+  buildArchiveSessions,
+  getArchiveSpeakerIds,
+  buildArchiveStats,
+} from './archives';
+
+export {
+  REFUND_ERROR_CODES,
+  validateRefundRequest,
+  canApproveRefund,
+  hasPayoutDetails,
+} from './refunds';
+
+export {
+  calculateFinanceStatistics,
+} from './finance';
+
+export {
+  getSessionAttendanceId,
+  getTrackableSessions,
+  getSessionCapacity,
+  isSessionOverCapacity,
+  summarizeSessionAttendance,
+} from './sessionAttendance';
+
+export {
+  SESSION_RATING_SCALE,
+  getSessionStartTime,
+  getSessionEndTime,
+  isRatableSessionType,
+  isSessionRatable,
+  summarizeSessionRatings,
+  summarizeSpeakerRatings,
+} from './sessionRatings';
+
 export {
   isValidInvoiceFile,
   getFileExtension,
@@ -45,4 +151,33 @@ export {
   hasInvoiceRequest,
   getInvoiceStatus,
   formatInvoiceNumber,
+  getInvoiceSequence,
+  buildInvoiceLineItems,
+  buildInvoiceDiscounts,
+  buildInvoiceDocument,
 } from './invoice';
+
+export {
+  sortFormFields,
+  isFieldVisible,
+  getInitialFieldValues,
+  validateFieldValues,
+  getVisibleFieldValues,
+  formatFieldValue,
+  upsertFormField,
+  splitFormPages,
+  DEFAULT_RATING_SCALE,
+  NPS_MIN,
+  NPS_MAX,
+  PAGE_BREAK_FIELD_TYPE,
+} from './formFields';
+
+export {
+  FEEDBACK_SUMMARY_KINDS,
+  NPS_PROMOTER_MIN,
+  NPS_DETRACTOR_MAX,
+  getKeywordFrequency,
+  summarizeFeedbackField,
+  summarizeFeedbackResponses,
+  linkFeedbackToRegistrations,
+} from './feedbackAnalytics';
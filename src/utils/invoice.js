@@ -101,3 +101,153 @@ export function getInvoiceStatus(registration) {
 export function formatInvoiceNumber(invoiceNumber) {
   return invoiceNumber || 'N/A';
 }
+
+/**
+ * Payment method labels printed on generated invoices
+ */
+const PAYMENT_METHOD_LABELS = {
+  gcash: 'GCash',
+  paymaya: 'Maya',
+  bank_transfer: 'Bank Transfer',
+  cash: 'Cash',
+};
+
+/**
+ * Parses the sequence number out of an invoice number
+ *
+ * @param {string} invoiceNumber - Invoice number (e.g., "INV-2026-0042")
+ * @returns {number|null} The sequence number or null if the format is unknown
+ *
+ * @example
+ * getInvoiceSequence("INV-2026-0042") // Returns: 42
+ */
+export function getInvoiceSequence(invoiceNumber) {
+  const match = /^INV-\d{4}-(\d+)$/.exec(invoiceNumber || '');
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Builds invoice line items from the attendees' ticket categories
+ * Attendees are grouped by pricing tier. If current tier prices no longer add
+ * up to the registration subtotal (e.g., student pricing or a tier that has
+ * since changed), a single line for the whole registration is used instead.
+ *
+ * @param {Object} registration - The registration document
+ * @param {Array} pricingTiers - Pricing tiers ({ id, name, regularPrice })
+ * @returns {Array<{ description: string, quantity: number, unitPrice: number, amount: number }>} Line items
+ */
+export function buildInvoiceLineItems(registration, pricingTiers = []) {
+  const attendees = [
+    registration.primaryAttendee,
+    ...(registration.additionalAttendees || []),
+  ].filter(Boolean);
+  const subtotal = registration.subtotalAmount ?? registration.totalAmount ?? 0;
+
+  const groups = attendees.reduce((items, attendee) => {
+    const tier = pricingTiers.find((t) => t.id === attendee.category);
+    const key = attendee.category || 'registration';
+    if (!items[key]) {
+      items[key] = {
+        description: `Conference Registration - ${tier?.name || 'General Admission'}`,
+        quantity: 0,
+        unitPrice: tier ? Number(tier.regularPrice) || 0 : 0,
+        amount: 0,
+      };
+    }
+    items[key].quantity += 1;
+    items[key].amount = items[key].quantity * items[key].unitPrice;
+    return items;
+  }, {});
+
+  const lineItems = Object.values(groups);
+  const lineTotal = lineItems.reduce((total, item) => total + item.amount, 0);
+
+  if (lineItems.length > 0 && lineTotal === subtotal) {
+    return lineItems;
+  }
+
+  const quantity = Math.max(attendees.length, 1);
+  return [{
+    description: `Conference Registration (${quantity} attendee${quantity === 1 ? '' : 's'})`,
+    quantity,
+    unitPrice: subtotal / quantity,
+    amount: subtotal,
+  }];
+}
+
+/**
+ * Builds the itemized promo code and group discounts of a registration
+ *
+ * @param {Object} registration - The registration document
+ * @returns {Array<{ label: string, amount: number }>} Discounts
+ */
+export function buildInvoiceDiscounts(registration) {
+  const discounts = [];
+
+  if (registration.discountAmount > 0) {
+    discounts.push({
+      label: registration.promo?.code
+        ? `Promo Discount (${registration.promo.code})`
+        : 'Promo Discount',
+      amount: registration.discountAmount,
+    });
+  }
+  if (registration.groupDiscountAmount > 0) {
+    discounts.push({
+      label: registration.groupDiscount?.name
+        ? `Group Discount (${registration.groupDiscount.name})`
+        : 'Group Discount',
+      amount: registration.groupDiscountAmount,
+    });
+  }
+
+  return discounts;
+}
+
+/**
+ * Builds everything printed on a generated invoice/official receipt
+ *
+ * @param {Object} registration - The registration document
+ * @param {Object} options - Invoice options
+ * @param {string} options.invoiceNumber - Reserved invoice number
+ * @param {Object} options.issuer - Issuer details from settings ({ name, tin, address, documentTitle, footerNote })
+ * @param {Array} options.pricingTiers - Pricing tiers for line item descriptions
+ * @param {string} options.conference - Conference title
+ * @param {Date} options.issuedAt - Issue date
+ * @returns {Object} Invoice document data for generateInvoicePdf
+ */
+export function buildInvoiceDocument(registration, options = {}) {
+  const {
+    invoiceNumber,
+    issuer = {},
+    pricingTiers = [],
+    conference = 'IDMC 2026',
+    issuedAt = new Date(),
+  } = options;
+  const invoice = registration.invoice || {};
+  const payment = registration.payment || {};
+  const lineItems = buildInvoiceLineItems(registration, pricingTiers);
+  const discounts = buildInvoiceDiscounts(registration);
+  const subtotal = lineItems.reduce((total, item) => total + item.amount, 0);
+  const discountTotal = discounts.reduce((total, discount) => total + discount.amount, 0);
+
+  return {
+    invoiceNumber: invoiceNumber || invoice.invoiceNumber || '',
+    issuedAt,
+    issuer,
+    billTo: {
+      name: invoice.name || '',
+      tin: invoice.tin || '',
+      address: invoice.address || '',
+    },
+    registrationId: registration.registrationId,
+    conference,
+    lineItems,
+    discounts,
+    subtotal,
+    total: registration.totalAmount ?? subtotal - discountTotal,
+    amountPaid: payment.amountPaid ?? registration.totalAmount ?? 0,
+    paymentMethod: PAYMENT_METHOD_LABELS[payment.method] || payment.method || '',
+    paymentReference: payment.referenceNumber || '',
+  };
+}
@@ -0,0 +1,123 @@
+import {
+  getInvoiceSequence,
+  buildInvoiceLineItems,
+  buildInvoiceDiscounts,
+  buildInvoiceDocument,
+} from './invoice';
+
+/**
+ * Invoice Utility Tests
+ * Tests for building generated invoice/official receipt contents
+ */
+
+describe('invoice', () => {
+  const pricingTiers = [
+    { id: 'early', name: 'Early Bird', regularPrice: 1000 },
+    { id: 'regular', name: 'Regular', regularPrice: 1500 },
+  ];
+  const registration = {
+    registrationId: 'REG-2026-A7K3MN',
+    primaryAttendee: { firstName: 'Juan', category: 'early' },
+    additionalAttendees: [
+      { firstName: 'Maria', category: 'early' },
+      { firstName: 'Jose', category: 'regular' },
+    ],
+    subtotalAmount: 3500,
+    discountAmount: 200,
+    groupDiscountAmount: 330,
+    totalAmount: 2970,
+    promo: { code: 'PASTORS' },
+    groupDiscount: { name: '10% off 3+ delegates' },
+    invoice: { requested: true, name: 'GCF South Metro', tin: '123-456-789', address: 'Las Piñas' },
+    payment: { method: 'bank_transfer', amountPaid: 2970, referenceNumber: 'REF123456' },
+  };
+
+  describe('getInvoiceSequence', () => {
+    it('parses the sequence number', () => {
+      expect(getInvoiceSequence('INV-2026-0042')).toBe(42);
+      expect(getInvoiceSequence('INV-2026-12345')).toBe(12345);
+    });
+
+    it('returns null for other formats', () => {
+      expect(getInvoiceSequence('OR-2026-0042')).toBeNull();
+      expect(getInvoiceSequence(undefined)).toBeNull();
+    });
+  });
+
+  describe('buildInvoiceLineItems', () => {
+    it('groups attendees by pricing tier', () => {
+      expect(buildInvoiceLineItems(registration, pricingTiers)).toEqual([
+        { description: 'Conference Registration - Early Bird', quantity: 2, unitPrice: 1000, amount: 2000 },
+        { description: 'Conference Registration - Regular', quantity: 1, unitPrice: 1500, amount: 1500 },
+      ]);
+    });
+
+    it('uses one line when tier prices do not add up to the subtotal', () => {
+      expect(buildInvoiceLineItems({ ...registration, subtotalAmount: 3000 }, pricingTiers)).toEqual([
+        { description: 'Conference Registration (3 attendees)', quantity: 3, unitPrice: 1000, amount: 3000 },
+      ]);
+    });
+
+    it('falls back to the total for older registrations without a subtotal', () => {
+      expect(buildInvoiceLineItems({ primaryAttendee: { category: 'gone' }, totalAmount: 800 }, pricingTiers)).toEqual([
+        { description: 'Conference Registration (1 attendee)', quantity: 1, unitPrice: 800, amount: 800 },
+      ]);
+    });
+  });
+
+  describe('buildInvoiceDiscounts', () => {
+    it('itemizes promo and group discounts', () => {
+      expect(buildInvoiceDiscounts(registration)).toEqual([
+        { label: 'Promo Discount (PASTORS)', amount: 200 },
+        { label: 'Group Discount (10% off 3+ delegates)', amount: 330 },
+      ]);
+    });
+
+    it('leaves out discounts that were not applied', () => {
+      expect(buildInvoiceDiscounts({ discountAmount: 0, groupDiscountAmount: 150 })).toEqual([
+        { label: 'Group Discount', amount: 150 },
+      ]);
+    });
+  });
+
+  describe('buildInvoiceDocument', () => {
+    it('builds the printed invoice contents', () => {
+      const issuedAt = new Date('2026-03-01T00:00:00Z');
+      const issuer = { name: 'GCF South Metro', tin: '000-111-222' };
+
+      expect(buildInvoiceDocument(registration, {
+        invoiceNumber: 'INV-2026-0001',
+        issuer,
+        pricingTiers,
+        conference: 'IDMC 2026',
+        issuedAt,
+      })).toEqual({
+        invoiceNumber: 'INV-2026-0001',
+        issuedAt,
+        issuer,
+        billTo: { name: 'GCF South Metro', tin: '123-456-789', address: 'Las Piñas' },
+        registrationId: 'REG-2026-A7K3MN',
+        conference: 'IDMC 2026',
+        lineItems: buildInvoiceLineItems(registration, pricingTiers),
+        discounts: buildInvoiceDiscounts(registration),
+        subtotal: 3500,
+        total: 2970,
+        amountPaid: 2970,
+        paymentMethod: 'Bank Transfer',
+        paymentReference: 'REF123456',
+      });
+    });
+
+    it('uses the stored invoice number and unknown payment methods as-is', () => {
+      const document = buildInvoiceDocument({
+        ...registration,
+        invoice: { invoiceNumber: 'INV-2026-0007' },
+        payment: { method: 'check' },
+      });
+
+      expect(document.invoiceNumber).toBe('INV-2026-0007');
+      expect(document.paymentMethod).toBe('check');
+      expect(document.amountPaid).toBe(2970);
+    });
+  });
+});
@@ -0,0 +1,29 @@
+/**
+ * Offline Roster Utility
+ * Decides whether the check-in roster cached on a station may still be used.
+ * A roster holds attendee contact details, so it is dropped once it is a
+ * day old.
+ * Storage is handled in services/offlineCheckIn.js
+ *
+ * @module utils/offlineRoster
+ */
+
+/**
+ * How long a cached roster is used before it must be downloaded again
+ */
+export const CHECK_IN_ROSTER_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Checks whether a cached roster may still be used
+ *
+ * @param {Object|null} roster - Cached roster ({ cachedAt, expiresAt, registrations })
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {boolean} True when the roster has not expired
+ */
+export function isCachedRosterCurrent(roster, now = Date.now()) {
+  if (!roster?.cachedAt) {
+    return false;
+  }
+  const expiresAt = roster.expiresAt || roster.cachedAt + CHECK_IN_ROSTER_MAX_AGE_MS;
+  return now < expiresAt;
+}
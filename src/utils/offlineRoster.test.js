@@ -0,0 +1,31 @@
+import { CHECK_IN_ROSTER_MAX_AGE_MS, isCachedRosterCurrent } from './offlineRoster';
+
+/**
+ * Offline Roster Utility Tests
+ * Tests for expiring the check-in roster cached on a station
+ */
+
+describe('offlineRoster', () => {
+  const cachedAt = new Date('2026-03-28T07:00:00+08:00').getTime();
+
+  describe('isCachedRosterCurrent', () => {
+    it('uses a roster until it expires', () => {
+      const roster = { cachedAt, expiresAt: cachedAt + CHECK_IN_ROSTER_MAX_AGE_MS, registrations: {} };
+
+      expect(isCachedRosterCurrent(roster, cachedAt + 60 * 1000)).toBe(true);
+      expect(isCachedRosterCurrent(roster, cachedAt + CHECK_IN_ROSTER_MAX_AGE_MS)).toBe(false);
+    });
+
+    it('expires rosters cached without an expiry time after a day', () => {
+      const roster = { cachedAt, registrations: {} };
+
+      expect(isCachedRosterCurrent(roster, cachedAt + CHECK_IN_ROSTER_MAX_AGE_MS - 1)).toBe(true);
+      expect(isCachedRosterCurrent(roster, cachedAt + CHECK_IN_ROSTER_MAX_AGE_MS + 1)).toBe(false);
+    });
+
+    it('rejects a missing roster', () => {
+      expect(isCachedRosterCurrent(null, cachedAt)).toBe(false);
+      expect(isCachedRosterCurrent({ cachedAt: null, registrations: {} }, cachedAt)).toBe(false);
+    });
+  });
+});
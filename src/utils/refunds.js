@@ -0,0 +1,94 @@
+/**
+ * Refund Utility
+ * Validation rules for the refund workflow: requests, second-admin approval
+ * and payouts. Refunds are stored on the registration by services/refunds.js.
+ *
+ * @module utils/refunds
+ */
+
+import { REGISTRATION_STATUS, REFUND_STATUS } from '../constants';
+
+/**
+ * Error codes for refund operations
+ */
+export const REFUND_ERROR_CODES = {
+  INVALID_STATUS: 'REFUND_INVALID_STATUS',
+  INVALID_AMOUNT: 'REFUND_INVALID_AMOUNT',
+  REASON_REQUIRED: 'REFUND_REASON_REQUIRED',
+  OVERRIDE_REASON_REQUIRED: 'REFUND_OVERRIDE_REASON_REQUIRED',
+  SAME_ADMIN: 'REFUND_SAME_ADMIN',
+  PAYOUT_DETAILS_REQUIRED: 'REFUND_PAYOUT_DETAILS_REQUIRED',
+};
+
+/**
+ * Registration statuses a refund can be requested for
+ */
+const REFUNDABLE_STATUSES = [
+  REGISTRATION_STATUS.CANCELLED,
+  REGISTRATION_STATUS.CONFIRMED,
+];
+
+/**
+ * Refund statuses that block a new request (a rejected refund can be requested again)
+ */
+const OPEN_REFUND_STATUSES = [
+  REFUND_STATUS.REQUESTED,
+  REFUND_STATUS.APPROVED,
+  REFUND_STATUS.COMPLETED,
+];
+
+/**
+ * Validates a refund request against the registration
+ * The amount must be the policy amount unless an override reason is given.
+ *
+ * @param {Object} registration - Registration document
+ * @param {Object} request - Refund request (see requestRefund)
+ * @returns {{ amount: number, isOverride: boolean }} Amount to refund and whether it overrides the policy
+ * @throws {Error} With a REFUND_ERROR_CODES message if the request cannot be made
+ */
+export function validateRefundRequest(registration, request) {
+  if (
+    !REFUNDABLE_STATUSES.includes(registration?.status)
+    || OPEN_REFUND_STATUSES.includes(registration.refund?.status)
+  ) {
+    throw new Error(REFUND_ERROR_CODES.INVALID_STATUS);
+  }
+
+  const amountPaid = registration.payment?.amountPaid ?? registration.totalAmount ?? 0;
+  const amount = Number(request?.amount);
+  if (!Number.isFinite(amount) || amount <= 0 || amount > amountPaid) {
+    throw new Error(REFUND_ERROR_CODES.INVALID_AMOUNT);
+  }
+  if (!request.reason?.trim()) {
+    throw new Error(REFUND_ERROR_CODES.REASON_REQUIRED);
+  }
+
+  const isOverride = amount !== request.suggestedAmount;
+  if (isOverride && !request.overrideReason?.trim()) {
+    throw new Error(REFUND_ERROR_CODES.OVERRIDE_REASON_REQUIRED);
+  }
+
+  return { amount, isOverride };
+}
+
+/**
+ * Checks whether an admin can approve a refund: a second admin must approve
+ * the refund requested by another
+ *
+ * @param {Object} refund - Refund record on the registration
+ * @param {string} adminId - Admin user ID approving
+ * @returns {boolean} True if the admin did not request the refund
+ */
+export function canApproveRefund(refund, adminId) {
+  return Boolean(adminId) && refund?.requestedBy !== adminId;
+}
+
+/**
+ * Checks that payout details are complete enough to mark a refund completed
+ *
+ * @param {Object} payout - Payout details (see completeRefund)
+ * @returns {boolean} True if the method, account number and reference are set
+ */
+export function hasPayoutDetails(payout) {
+  return Boolean(payout?.method && payout.referenceNumber?.trim() && payout.accountNumber?.trim());
+}
@@ -0,0 +1,85 @@
+import {
+  REFUND_ERROR_CODES,
+  validateRefundRequest,
+  canApproveRefund,
+  hasPayoutDetails,
+} from './refunds';
+
+/**
+ * Refund Utility Tests
+ * Tests for refund requests, second-admin approval and payout details
+ */
+
+describe('refunds', () => {
+  const cancelled = {
+    status: 'cancelled',
+    payment: { amountPaid: 2000 },
+  };
+  const request = { amount: 1000, suggestedAmount: 1000, percent: 50, reason: 'Family emergency' };
+
+  describe('validateRefundRequest', () => {
+    it('accepts the policy amount for cancelled and confirmed registrations', () => {
+      expect(validateRefundRequest(cancelled, request)).toEqual({ amount: 1000, isOverride: false });
+      expect(validateRefundRequest({ ...cancelled, status: 'confirmed' }, request).amount).toBe(1000);
+    });
+
+    it('accepts a new request after a rejected one', () => {
+      const rejected = { ...cancelled, refund: { status: 'rejected' } };
+      expect(validateRefundRequest(rejected, request).amount).toBe(1000);
+    });
+
+    it('rejects other registration statuses and open refunds', () => {
+      expect(() => validateRefundRequest({ ...cancelled, status: 'pending_payment' }, request))
+        .toThrow(REFUND_ERROR_CODES.INVALID_STATUS);
+      expect(() => validateRefundRequest({ ...cancelled, refund: { status: 'approved' } }, request))
+        .toThrow(REFUND_ERROR_CODES.INVALID_STATUS);
+    });
+
+    it('rejects amounts that are not positive or exceed the amount paid', () => {
+      expect(() => validateRefundRequest(cancelled, { ...request, amount: 0 }))
+        .toThrow(REFUND_ERROR_CODES.INVALID_AMOUNT);
+      expect(() => validateRefundRequest(cancelled, { ...request, amount: 'abc' }))
+        .toThrow(REFUND_ERROR_CODES.INVALID_AMOUNT);
+      expect(() => validateRefundRequest(cancelled, { ...request, amount: 2500, overrideReason: 'Goodwill' }))
+        .toThrow(REFUND_ERROR_CODES.INVALID_AMOUNT);
+    });
+
+    it('falls back to the registration total when no payment is recorded', () => {
+      const unpaid = { status: 'confirmed', totalAmount: 500 };
+      expect(() => validateRefundRequest(unpaid, request)).toThrow(REFUND_ERROR_CODES.INVALID_AMOUNT);
+    });
+
+    it('requires a reason', () => {
+      expect(() => validateRefundRequest(cancelled, { ...request, reason: '  ' }))
+        .toThrow(REFUND_ERROR_CODES.REASON_REQUIRED);
+    });
+
+    it('requires an override reason for amounts other than the policy amount', () => {
+      expect(() => validateRefundRequest(cancelled, { ...request, amount: 2000 }))
+        .toThrow(REFUND_ERROR_CODES.OVERRIDE_REASON_REQUIRED);
+      expect(validateRefundRequest(cancelled, { ...request, amount: '2000', overrideReason: 'Event moved' }))
+        .toEqual({ amount: 2000, isOverride: true });
+    });
+  });
+
+  describe('canApproveRefund', () => {
+    it('requires a different admin from the requester', () => {
+      const refund = { status: 'requested', requestedBy: 'admin-1' };
+      expect(canApproveRefund(refund, 'admin-2')).toBe(true);
+      expect(canApproveRefund(refund, 'admin-1')).toBe(false);
+      expect(canApproveRefund(refund, null)).toBe(false);
+    });
+  });
+
+  describe('hasPayoutDetails', () => {
+    const payout = { method: 'gcash', accountNumber: '09171234567', referenceNumber: 'GC-123' };
+
+    it('requires the method, account number and reference', () => {
+      expect(hasPayoutDetails(payout)).toBe(true);
+      expect(hasPayoutDetails({ ...payout, method: '' })).toBe(false);
+      expect(hasPayoutDetails({ ...payout, accountNumber: ' ' })).toBe(false);
+      expect(hasPayoutDetails({ ...payout, referenceNumber: undefined })).toBe(false);
+      expect(hasPayoutDetails(null)).toBe(false);
+    });
+  });
+});
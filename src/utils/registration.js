@@ -1,7 +1,8 @@
 /**
  * Registration Utility Functions
  * Provides helper functions for registration operations including
- * pricing tier detection, price calculation, and registration ID generation.
+ * pricing tier detection, price calculation, promo code and group discounts,
+ * and registration ID generation.
  */
 
 import {
@@ -10,6 +11,8 @@ import {
   REGISTRATION_CATEGORIES,
   SAFE_SHORT_CODE_CHARS,
   SHORT_CODE_LENGTH,
+  PROMO_DISCOUNT_TYPES,
+  GROUP_DISCOUNT_TYPES,
 } from '../constants';
 
 /**
@@ -41,6 +44,47 @@ export function getCurrentPricingTier() {
   return lastTier;
 }
 
+/**
+ * Checks whether a promo code applies to a registration category.
+ * A promo code with no allowed categories applies to every category.
+ *
+ * @param {Object} promoCode - Promo code object
+ * @param {string} category - The registration category or pricing tier ID
+ * @returns {boolean} True if the promo code can be used for the category
+ */
+export function isPromoCodeApplicable(promoCode, category) {
+  if (!promoCode) {
+    return false;
+  }
+
+  const allowedCategories = promoCode.allowedCategories || [];
+  return allowedCategories.length === 0 || allowedCategories.includes(category);
+}
+
+/**
+ * Calculates the discount a promo code gives on a single ticket.
+ * Fixed discounts are capped at the ticket price so a ticket never goes below zero.
+ *
+ * @param {number} price - The undiscounted ticket price
+ * @param {string} category - The registration category or pricing tier ID
+ * @param {Object} promoCode - Promo code object (discountType, discountValue, allowedCategories)
+ * @returns {number} The discount amount for the ticket
+ */
+function calculatePromoDiscount(price, category, promoCode) {
+  if (!price || !isPromoCodeApplicable(promoCode, category)) {
+    return 0;
+  }
+
+  const discountValue = Number(promoCode.discountValue) || 0;
+
+  if (promoCode.discountType === PROMO_DISCOUNT_TYPES.PERCENTAGE) {
+    const percentage = Math.min(Math.max(discountValue, 0), 100);
+    return Math.round(price * percentage) / 100;
+  }
+
+  return Math.min(Math.max(discountValue, 0), price);
+}
+
 /**
  * Calculates the registration price based on category and pricing tier.
  * Handles both legacy tier format (earlyBirdPrice, memberPrice, regularPrice)
@@ -71,6 +115,129 @@ export function calculatePrice(category, tier = null) {
   }
 }
 
+/**
+ * Calculates the discount a single group discount rule gives a registration.
+ * Returns 0 when the group is smaller than the rule's minimum attendee count.
+ *
+ * @param {Array<number>} ticketPrices - Price of each attendee's ticket (after promo discounts)
+ * @param {Object} rule - Group discount rule (type, value, minAttendees)
+ * @returns {number} The discount amount
+ */
+function calculateGroupRuleDiscount(ticketPrices, rule) {
+  const minAttendees = Number(rule?.minAttendees) || 0;
+  if (!rule || minAttendees < 1 || ticketPrices.length < minAttendees) {
+    return 0;
+  }
+
+  const value = Math.max(Number(rule.value) || 0, 0);
+  const subtotal = ticketPrices.reduce((total, price) => total + price, 0);
+
+  switch (rule.type) {
+    case GROUP_DISCOUNT_TYPES.PERCENTAGE:
+      return Math.round(subtotal * Math.min(value, 100)) / 100;
+    case GROUP_DISCOUNT_TYPES.FIXED_PER_ATTENDEE:
+      return ticketPrices.reduce((total, price) => total + Math.min(value, price), 0);
+    case GROUP_DISCOUNT_TYPES.FREE_EVERY_NTH: {
+      // Every Nth delegate is free; waive the lowest-priced tickets
+      const freeCount = Math.floor(ticketPrices.length / minAttendees);
+      return [...ticketPrices]
+        .sort((a, b) => a - b)
+        .slice(0, freeCount)
+        .reduce((total, price) => total + price, 0);
+    }
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Finds the group discount rule that gives a registration the largest discount.
+ * Group discounts do not stack; only the best active rule is applied.
+ *
+ * @param {Array<number>} ticketPrices - Price of each attendee's ticket (after promo discounts)
+ * @param {Array<Object>} rules - Group discount rules from settings
+ * @returns {{rule: Object|null, amount: number}} The applied rule and its discount
+ */
+function calculateGroupDiscount(ticketPrices, rules) {
+  return (rules || [])
+    .filter((rule) => rule.isActive)
+    .reduce((best, rule) => {
+      const amount = calculateGroupRuleDiscount(ticketPrices, rule);
+      return amount > best.amount ? { rule, amount } : best;
+    }, { rule: null, amount: 0 });
+}
+
+/**
+ * Calculates a registration's subtotal, discounts and total.
+ * A promo code discounts each ticket in the categories it allows, and the
+ * best group discount rule is then applied to the discounted ticket prices.
+ * Every amount shown at registration comes from here. The amounts a
+ * registration is submitted with are not trusted: onRegistrationCreated
+ * recomputes them from the edition's pricing tiers, group discount rules and
+ * promo code with the same rules (functions/src/pricing.ts).
+ *
+ * @param {Array<{category: string, price: number}>} tickets - Each attendee's pricing tier ID and undiscounted price
+ * @param {Object|null} promoCode - Validated promo code object (optional)
+ * @param {Array<Object>} groupDiscountRules - Group discount rules from settings (optional)
+ * @returns {{subtotal: number, promoDiscount: number, groupDiscount: {rule: Object|null, amount: number}, total: number}}
+ *   Registration amounts
+ */
+export function calculateRegistrationPricing(tickets, promoCode = null, groupDiscountRules = []) {
+  const subtotal = tickets.reduce((total, ticket) => total + ticket.price, 0);
+  const promoDiscounts = tickets.map((ticket) => calculatePromoDiscount(ticket.price, ticket.category, promoCode));
+  const promoDiscount = promoDiscounts.reduce((total, discount) => total + discount, 0);
+  const groupDiscount = calculateGroupDiscount(
+    tickets.map((ticket, index) => ticket.price - promoDiscounts[index]),
+    groupDiscountRules
+  );
+
+  return {
+    subtotal,
+    promoDiscount,
+    groupDiscount,
+    total: subtotal - promoDiscount - groupDiscount.amount,
+  };
+}
+
+/**
+ * Describes a group discount rule for display (e.g., "5+ attendees: 10% off")
+ *
+ * @param {Object} rule - Group discount rule
+ * @returns {string} Human-readable rule description
+ */
+export function describeGroupDiscountRule(rule) {
+  if (!rule) {
+    return '';
+  }
+
+  switch (rule.type) {
+    case GROUP_DISCOUNT_TYPES.PERCENTAGE:
+      return `${rule.minAttendees}+ attendees: ${rule.value}% off`;
+    case GROUP_DISCOUNT_TYPES.FIXED_PER_ATTENDEE:
+      return `${rule.minAttendees}+ attendees: ${formatPrice(rule.value)} off each`;
+    case GROUP_DISCOUNT_TYPES.FREE_EVERY_NTH:
+      return `Every ${ordinal(rule.minAttendees)} delegate free`;
+    default:
+      return rule.name || '';
+  }
+}
+
+/**
+ * Formats a number as an English ordinal (1st, 2nd, 3rd, 10th)
+ *
+ * @param {number} value - Number to format
+ * @returns {string} Ordinal string
+ */
+function ordinal(value) {
+  const number = Number(value) || 0;
+  const lastTwo = number % 100;
+  if (lastTwo >= 11 && lastTwo <= 13) {
+    return `${number}th`;
+  }
+  const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+  return `${number}${suffixes[number % 10] || 'th'}`;
+}
+
 /**
  * Generates a unique 6-character short code using safe characters.
  * Safe characters exclude confusing ones like 0/O, 1/l/I, 5/S, 2/Z, 8/B.
@@ -92,10 +259,10 @@ export function generateShortCode() {
  * Uses 6-character short code with safe characters for easy typing and lookup.
  * The short code avoids confusing characters like 0/O, 1/l/I, 5/S, 2/Z, 8/B.
  *
+ * @param {number} [year] - Year of the edition being registered for
  * @returns {Object} Object containing registrationId and shortCode
  */
-export function generateRegistrationId() {
-  const year = CONFERENCE.YEAR;
+export function generateRegistrationId(year = CONFERENCE.YEAR) {
   const shortCode = generateShortCode();
 
   return {
@@ -382,6 +549,28 @@ export function calculateRefundEligibility(refundPolicy, eventDate) {
   };
 }
 
+/**
+ * Works out the refund to prefill for a registration
+ * Uses the eligibility recorded when the attendee cancelled, falling back to
+ * the current policy eligibility for admin-initiated refunds.
+ *
+ * @param {Object} registration - Registration document
+ * @param {RefundEligibility} currentEligibility - Eligibility from calculateRefundEligibility
+ * @returns {{ percent: number, amount: number, amountPaid: number }} Suggested refund
+ */
+export function getSuggestedRefund(registration, currentEligibility) {
+  const amountPaid = registration?.payment?.amountPaid ?? registration?.totalAmount ?? 0;
+  const percent = registration?.cancellation?.refundEligibility?.percent
+    ?? currentEligibility?.percent
+    ?? 0;
+
+  return {
+    percent,
+    amount: Math.round(amountPaid * percent) / 100,
+    amountPaid,
+  };
+}
+
 /**
  * Formats refund policy as a human-readable summary for display.
  *
@@ -0,0 +1,174 @@
+import { PROMO_DISCOUNT_TYPES, GROUP_DISCOUNT_TYPES } from '../constants';
+import {
+  isPromoCodeApplicable,
+  calculateRegistrationPricing,
+  describeGroupDiscountRule,
+  getSuggestedRefund,
+} from './registration';
+
+/**
+ * Registration Utility Tests
+ * Tests for registration pricing with promo code and group discounts, and suggested refunds
+ */
+
+describe('registration', () => {
+  const tickets = [
+    { category: 'early', price: 1000 },
+    { category: 'student', price: 500 },
+    { category: 'regular', price: 1500 },
+  ];
+
+  describe('isPromoCodeApplicable', () => {
+    it('applies codes without allowed categories to every category', () => {
+      expect(isPromoCodeApplicable({ allowedCategories: [] }, 'regular')).toBe(true);
+      expect(isPromoCodeApplicable({}, 'regular')).toBe(true);
+    });
+
+    it('limits codes to their allowed categories', () => {
+      const promoCode = { allowedCategories: ['early', 'student'] };
+      expect(isPromoCodeApplicable(promoCode, 'student')).toBe(true);
+      expect(isPromoCodeApplicable(promoCode, 'regular')).toBe(false);
+    });
+
+    it('returns false without a promo code', () => {
+      expect(isPromoCodeApplicable(null, 'regular')).toBe(false);
+    });
+  });
+
+  describe('calculateRegistrationPricing', () => {
+    it('returns the subtotal as the total without discounts', () => {
+      expect(calculateRegistrationPricing(tickets)).toEqual({
+        subtotal: 3000,
+        promoDiscount: 0,
+        groupDiscount: { rule: null, amount: 0 },
+        total: 3000,
+      });
+    });
+
+    it('applies a percentage promo code to each ticket', () => {
+      const promoCode = { discountType: PROMO_DISCOUNT_TYPES.PERCENTAGE, discountValue: 15 };
+      expect(calculateRegistrationPricing(tickets, promoCode)).toMatchObject({
+        promoDiscount: 450,
+        total: 2550,
+      });
+    });
+
+    it('caps percentages at 100', () => {
+      const promoCode = { discountType: PROMO_DISCOUNT_TYPES.PERCENTAGE, discountValue: 150 };
+      expect(calculateRegistrationPricing(tickets, promoCode).total).toBe(0);
+    });
+
+    it('caps fixed discounts at the ticket price', () => {
+      const promoCode = { discountType: PROMO_DISCOUNT_TYPES.FIXED, discountValue: 800 };
+      expect(calculateRegistrationPricing(tickets, promoCode)).toMatchObject({
+        promoDiscount: 2100,
+        total: 900,
+      });
+    });
+
+    it('only discounts tickets in the allowed categories', () => {
+      const promoCode = {
+        discountType: PROMO_DISCOUNT_TYPES.PERCENTAGE,
+        discountValue: 50,
+        allowedCategories: ['student', 'regular'],
+      };
+      expect(calculateRegistrationPricing(tickets, promoCode)).toMatchObject({
+        promoDiscount: 1000,
+        total: 2000,
+      });
+    });
+
+    it('ignores negative discount values', () => {
+      const promoCode = { discountType: PROMO_DISCOUNT_TYPES.FIXED, discountValue: -100 };
+      expect(calculateRegistrationPricing(tickets, promoCode).promoDiscount).toBe(0);
+    });
+
+    describe('group discounts', () => {
+      const percentageRule = { id: 'pct', type: GROUP_DISCOUNT_TYPES.PERCENTAGE, value: 10, minAttendees: 3, isActive: true };
+      const fixedRule = { id: 'fixed', type: GROUP_DISCOUNT_TYPES.FIXED_PER_ATTENDEE, value: 200, minAttendees: 2, isActive: true };
+      const nthRule = { id: 'nth', type: GROUP_DISCOUNT_TYPES.FREE_EVERY_NTH, minAttendees: 3, isActive: true };
+
+      it('applies a percentage of the subtotal', () => {
+        expect(calculateRegistrationPricing(tickets, null, [percentageRule])).toMatchObject({
+          groupDiscount: { rule: percentageRule, amount: 300 },
+          total: 2700,
+        });
+      });
+
+      it('applies a fixed amount per attendee, capped at each ticket price', () => {
+        const rule = { ...fixedRule, value: 600 };
+        expect(calculateRegistrationPricing(tickets, null, [rule]).groupDiscount.amount).toBe(1700);
+      });
+
+      it('waives the lowest-priced ticket for every Nth delegate', () => {
+        expect(calculateRegistrationPricing(tickets, null, [nthRule]).groupDiscount).toEqual({ rule: nthRule, amount: 500 });
+
+        const sixTickets = [...tickets, ...tickets];
+        expect(calculateRegistrationPricing(sixTickets, null, [nthRule]).groupDiscount.amount).toBe(1000);
+      });
+
+      it('applies only the best active rule', () => {
+        const bigRule = { ...percentageRule, id: 'big', value: 50, isActive: false };
+        expect(calculateRegistrationPricing(tickets, null, [percentageRule, fixedRule, nthRule, bigRule]).groupDiscount)
+          .toEqual({ rule: fixedRule, amount: 600 });
+      });
+
+      it('skips rules the group is too small for', () => {
+        expect(calculateRegistrationPricing(tickets.slice(0, 2), null, [percentageRule, nthRule])).toMatchObject({
+          groupDiscount: { rule: null, amount: 0 },
+          total: 1500,
+        });
+      });
+
+      it('is calculated on ticket prices after promo discounts', () => {
+        const promoCode = { discountType: PROMO_DISCOUNT_TYPES.FIXED, discountValue: 500 };
+        expect(calculateRegistrationPricing(tickets, promoCode, [percentageRule])).toEqual({
+          subtotal: 3000,
+          promoDiscount: 1500,
+          groupDiscount: { rule: percentageRule, amount: 150 },
+          total: 1350,
+        });
+      });
+    });
+  });
+
+  describe('describeGroupDiscountRule', () => {
+    it('describes each rule type', () => {
+      expect(describeGroupDiscountRule({ type: GROUP_DISCOUNT_TYPES.PERCENTAGE, value: 10, minAttendees: 5 }))
+        .toBe('5+ attendees: 10% off');
+      expect(describeGroupDiscountRule({ type: GROUP_DISCOUNT_TYPES.FIXED_PER_ATTENDEE, value: 200, minAttendees: 3 }))
+        .toBe('3+ attendees: PHP 200 off each');
+      expect(describeGroupDiscountRule({ type: GROUP_DISCOUNT_TYPES.FREE_EVERY_NTH, minAttendees: 11 }))
+        .toBe('Every 11th delegate free');
+      expect(describeGroupDiscountRule({ type: GROUP_DISCOUNT_TYPES.FREE_EVERY_NTH, minAttendees: 22 }))
+        .toBe('Every 22nd delegate free');
+    });
+
+    it('falls back to the rule name', () => {
+      expect(describeGroupDiscountRule({ type: 'custom', name: 'Church partners' })).toBe('Church partners');
+      expect(describeGroupDiscountRule(null)).toBe('');
+    });
+  });
+
+  describe('getSuggestedRefund', () => {
+    const registration = { payment: { amountPaid: 3000 }, totalAmount: 3500 };
+
+    it('applies the current policy percentage to the amount paid', () => {
+      expect(getSuggestedRefund(registration, { percent: 50 })).toEqual({
+        percent: 50,
+        amount: 1500,
+        amountPaid: 3000,
+      });
+    });
+
+    it('prefers the eligibility recorded when the attendee cancelled', () => {
+      const cancelled = { ...registration, cancellation: { refundEligibility: { percent: 100 } } };
+      expect(getSuggestedRefund(cancelled, { percent: 0 }).amount).toBe(3000);
+    });
+
+    it('falls back to the registration total and no refund', () => {
+      expect(getSuggestedRefund({ totalAmount: 1999 }, { percent: 50 }).amount).toBe(999.5);
+      expect(getSuggestedRefund({ totalAmount: 1999 }, null)).toEqual({ percent: 0, amount: 0, amountPaid: 1999 });
+    });
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * Reminder Utility
+ * Converts reminder offsets (hours before a deadline or the conference
+ * start, as stored under settings.reminders) for editing and display.
+ *
+ * @module utils/reminders
+ */
+
+/**
+ * Splits an offset in hours into days and hours for editing
+ *
+ * @param {number} offsetHours - Offset in hours
+ * @returns {Object} { days, hours }
+ */
+export function splitReminderOffset(offsetHours) {
+  const total = Math.max(0, Math.round(Number(offsetHours) || 0));
+  return { days: Math.floor(total / 24), hours: total % 24 };
+}
+
+/**
+ * Describes a reminder offset (e.g., "3 days", "1 day 6 hours", "6 hours")
+ *
+ * @param {number} offsetHours - Offset in hours
+ * @returns {string} Readable offset
+ */
+export function formatReminderOffset(offsetHours) {
+  const { days, hours } = splitReminderOffset(offsetHours);
+  const parts = [];
+  if (days) parts.push(`${days} day${days === 1 ? '' : 's'}`);
+  if (hours || !days) parts.push(`${hours} hour${hours === 1 ? '' : 's'}`);
+  return parts.join(' ');
+}
@@ -0,0 +1,31 @@
+import { splitReminderOffset, formatReminderOffset } from './reminders';
+
+/**
+ * Reminder Utility Tests
+ * Tests for editing and describing reminder offsets
+ */
+
+describe('reminders', () => {
+  describe('splitReminderOffset', () => {
+    it('splits hours into days and hours', () => {
+      expect(splitReminderOffset(72)).toEqual({ days: 3, hours: 0 });
+      expect(splitReminderOffset(30)).toEqual({ days: 1, hours: 6 });
+      expect(splitReminderOffset(6)).toEqual({ days: 0, hours: 6 });
+    });
+
+    it('treats invalid and negative offsets as zero', () => {
+      expect(splitReminderOffset('abc')).toEqual({ days: 0, hours: 0 });
+      expect(splitReminderOffset(-5)).toEqual({ days: 0, hours: 0 });
+    });
+  });
+
+  describe('formatReminderOffset', () => {
+    it('describes days and hours', () => {
+      expect(formatReminderOffset(72)).toBe('3 days');
+      expect(formatReminderOffset(24)).toBe('1 day');
+      expect(formatReminderOffset(30)).toBe('1 day 6 hours');
+      expect(formatReminderOffset(1)).toBe('1 hour');
+      expect(formatReminderOffset(0)).toBe('0 hours');
+    });
+  });
+});
@@ -0,0 +1,280 @@
+/**
+ * Delegation Roster Utility
+ * Reads CSV/XLSX rosters uploaded by church coordinators and converts each row
+ * into an attendee for the registration form, collecting row-level errors.
+ *
+ * @module utils/roster
+ */
+
+import { MINISTRY_ROLES } from '../constants';
+import { parseCsvRows } from './bankStatement';
+import { isValidEmail, isValidPhoneNumber } from './registration';
+
+/**
+ * Roster columns with the header names accepted for each.
+ * Headers are compared case-insensitively, ignoring spaces and punctuation.
+ */
+export const ROSTER_COLUMNS = Object.freeze([
+  { field: 'firstName', header: 'First Name', aliases: ['firstname', 'givenname'], required: true },
+  { field: 'middleName', header: 'Middle Name', aliases: ['middlename'] },
+  { field: 'lastName', header: 'Last Name', aliases: ['lastname', 'surname', 'familyname'], required: true },
+  { field: 'email', header: 'Email', aliases: ['email', 'emailaddress'] },
+  {
+    field: 'cellphone',
+    header: 'Cellphone',
+    aliases: ['cellphone', 'cellphonenumber', 'mobile', 'mobilenumber', 'phone', 'contactnumber'],
+    required: true,
+  },
+  { field: 'ministryRole', header: 'Ministry Role', aliases: ['ministryrole', 'role'], required: true },
+  { field: 'category', header: 'Category', aliases: ['category', 'ticket', 'tickettype', 'pricingtier'] },
+  { field: 'isStudent', header: 'Student/Senior', aliases: ['studentsenior', 'student', 'senior', 'studentorsenior'] },
+  { field: 'workshops', header: 'Workshops', aliases: ['workshops', 'workshop'] },
+  { field: 'foodChoice', header: 'Food Choice', aliases: ['foodchoice', 'food', 'meal'] },
+]);
+
+/**
+ * Values in the Student/Senior column treated as "yes"
+ */
+const TRUTHY_VALUES = ['yes', 'y', 'true', '1', 'x'];
+
+/**
+ * Normalizes a header or lookup value for comparison
+ *
+ * @param {*} value - Raw value
+ * @returns {string} Lowercased value without spaces or punctuation
+ */
+function normalizeKey(value) {
+  return String(value ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Converts a spreadsheet cell to a trimmed string
+ *
+ * @param {*} value - Cell value (string, number, Date, or null)
+ * @returns {string} Cell text
+ */
+function cellToString(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString().split('T')[0];
+  }
+  return String(value).trim();
+}
+
+/**
+ * Maps each roster field to its column index using the header row
+ *
+ * @param {Array<string>} headerRow - First row of the roster
+ * @returns {Object} Map of field name to column index
+ */
+function detectRosterColumns(headerRow) {
+  const headers = headerRow.map(normalizeKey);
+  const columns = {};
+
+  ROSTER_COLUMNS.forEach((column) => {
+    const candidates = [normalizeKey(column.header), ...column.aliases];
+    const index = headers.findIndex((header) => candidates.includes(header));
+    if (index !== -1) {
+      columns[column.field] = index;
+    }
+  });
+
+  return columns;
+}
+
+/**
+ * Reads an uploaded roster file into rows of cell text.
+ * CSV files are parsed directly; XLSX files use the first worksheet.
+ *
+ * @param {File} file - Uploaded .csv or .xlsx file
+ * @returns {Promise<Array<Array<string>>>} Rows of trimmed cell values
+ */
+export async function readRosterFile(file) {
+  const name = (file?.name || '').toLowerCase();
+
+  if (name.endsWith('.xlsx')) {
+    const { default: readXlsxFile } = await import('read-excel-file');
+    const rows = await readXlsxFile(file);
+    return rows
+      .map((row) => row.map(cellToString))
+      .filter((row) => row.some((value) => value !== ''));
+  }
+
+  if (name.endsWith('.csv')) {
+    return parseCsvRows(await file.text());
+  }
+
+  throw new Error('Please upload a .csv or .xlsx file');
+}
+
+/**
+ * Builds the header row of the downloadable roster template
+ *
+ * @returns {string} CSV template content
+ */
+export function getRosterTemplateCsv() {
+  return `${ROSTER_COLUMNS.map((column) => column.header).join(',')}\n`;
+}
+
+/**
+ * Converts roster rows into attendees for the registration form.
+ * The first attendee becomes the primary contact, so an email is required on that row.
+ * Each row is checked with the same rules as the step 1 form.
+ *
+ * @param {Array<Array<string>>} rows - Roster rows including the header row
+ * @param {Object} options - Lookup data from the registration page
+ * @param {Array} options.pricingTiers - Available pricing tiers (matched by name or ID)
+ * @param {string} options.defaultCategory - Tier ID used when the Category cell is blank
+ * @param {Array} options.workshops - Published workshops (matched by title)
+ * @param {Array} options.foodMenuItems - Food menu items (matched by name)
+ * @param {boolean} options.requireFoodChoice - Whether a food choice is required
+ * @returns {{attendees: Array<Object>, errors: Array<Object>}} Parsed attendees and row errors
+ */
+export function parseRosterRows(rows, options = {}) {
+  const {
+    pricingTiers = [],
+    defaultCategory = '',
+    workshops = [],
+    foodMenuItems = [],
+    requireFoodChoice = false,
+  } = options;
+
+  if (!rows || rows.length < 2) {
+    return {
+      attendees: [],
+      errors: [{ row: null, name: '', column: '', message: 'The roster has no attendee rows' }],
+    };
+  }
+
+  const columns = detectRosterColumns(rows[0]);
+  const missingColumns = ROSTER_COLUMNS
+    .filter((column) => column.required && columns[column.field] === undefined)
+    .map((column) => column.header);
+
+  if (missingColumns.length > 0) {
+    return {
+      attendees: [],
+      errors: [{
+        row: 1,
+        name: '',
+        column: missingColumns.join(', '),
+        message: `Missing required column${missingColumns.length > 1 ? 's' : ''}: ${missingColumns.join(', ')}`,
+      }],
+    };
+  }
+
+  const errors = [];
+  const attendees = [];
+  const seenEmails = new Map();
+
+  rows.slice(1).forEach((cells, index) => {
+    const rowNumber = index + 2;
+    const isPrimary = index === 0;
+    const value = (field) => (columns[field] === undefined ? '' : cellToString(cells[columns[field]]));
+
+    const firstName = value('firstName');
+    const lastName = value('lastName');
+    const name = `${firstName} ${lastName}`.trim();
+    const addError = (column, message) => {
+      errors.push({ row: rowNumber, name, column, message });
+    };
+
+    if (!firstName) {
+      addError('First Name', 'First name is required');
+    }
+    if (!lastName) {
+      addError('Last Name', 'Last name is required');
+    }
+
+    const cellphone = value('cellphone');
+    if (!cellphone) {
+      addError('Cellphone', 'Cellphone number is required');
+    } else if (!isValidPhoneNumber(cellphone)) {
+      addError('Cellphone', 'Please enter a valid Philippine cellphone number');
+    }
+
+    const email = value('email').toLowerCase();
+    if (!email) {
+      if (isPrimary) {
+        addError('Email', 'Email is required for the first attendee (primary contact)');
+      }
+    } else if (!isValidEmail(email)) {
+      addError('Email', 'Please enter a valid email address');
+    } else if (seenEmails.has(email)) {
+      addError('Email', `Email is repeated from row ${seenEmails.get(email)}`);
+    } else {
+      seenEmails.set(email, rowNumber);
+    }
+
+    const roleValue = value('ministryRole');
+    const ministryRole = MINISTRY_ROLES.find((role) => normalizeKey(role) === normalizeKey(roleValue));
+    if (!roleValue) {
+      addError('Ministry Role', 'Ministry role is required');
+    } else if (!ministryRole) {
+      addError('Ministry Role', `Unknown ministry role "${roleValue}"`);
+    }
+
+    const categoryValue = value('category');
+    let category = defaultCategory;
+    if (categoryValue) {
+      const tier = pricingTiers.find((t) =>
+        normalizeKey(t.name) === normalizeKey(categoryValue) || t.id === categoryValue
+      );
+      if (tier) {
+        category = tier.id;
+      } else {
+        addError('Category', `Unknown category "${categoryValue}"`);
+      }
+    }
+
+    const workshopSelections = [];
+    value('workshops')
+      .split(/[;|]/)
+      .map((title) => title.trim())
+      .filter(Boolean)
+      .forEach((title) => {
+        const workshop = workshops.find((w) => normalizeKey(w.title) === normalizeKey(title));
+        if (!workshop) {
+          addError('Workshops', `Unknown workshop "${title}"`);
+          return;
+        }
+        const timeSlot = workshop.timeSlot || 'unspecified';
+        if (workshopSelections.some((selection) => selection.timeSlot === timeSlot)) {
+          addError('Workshops', `"${title}" is in the same time slot as another selected workshop`);
+          return;
+        }
+        workshopSelections.push({ sessionId: workshop.id, sessionTitle: workshop.title, timeSlot });
+      });
+
+    const foodValue = value('foodChoice');
+    let foodChoice = '';
+    if (foodValue) {
+      const item = foodMenuItems.find((food) => normalizeKey(food.name) === normalizeKey(foodValue));
+      if (item) {
+        foodChoice = item.id;
+      } else {
+        addError('Food Choice', `Unknown food choice "${foodValue}"`);
+      }
+    } else if (requireFoodChoice) {
+      addError('Food Choice', 'Food preference is required');
+    }
+
+    attendees.push({
+      row: rowNumber,
+      firstName,
+      middleName: value('middleName'),
+      lastName,
+      email,
+      cellphone,
+      ministryRole: ministryRole || '',
+      category,
+      isStudent: TRUTHY_VALUES.includes(value('isStudent').toLowerCase()),
+      workshopSelections,
+      foodChoice,
+    });
+  });
+
+  return { attendees, errors };
+}
@@ -0,0 +1,137 @@
+import { ROSTER_COLUMNS, getRosterTemplateCsv, parseRosterRows, readRosterFile } from './roster';
+
+/**
+ * Roster Utility Tests
+ * Tests for converting coordinator roster rows into attendees
+ */
+
+describe('roster', () => {
+  const header = [
+    'First Name', 'Last Name', 'E-mail Address', 'Mobile', 'Role', 'Ticket', 'Student', 'Workshops', 'Meal',
+  ];
+  const options = {
+    pricingTiers: [
+      { id: 'early', name: 'Early Bird' },
+      { id: 'regular', name: 'Regular' },
+    ],
+    defaultCategory: 'regular',
+    workshops: [
+      { id: 'w1', title: 'Expository Preaching', timeSlot: 'am' },
+      { id: 'w2', title: 'Church Planting', timeSlot: 'am' },
+      { id: 'w3', title: 'Youth Ministry', timeSlot: 'pm' },
+    ],
+    foodMenuItems: [{ id: 'f1', name: 'Chicken Adobo' }],
+  };
+
+  describe('getRosterTemplateCsv', () => {
+    it('lists every roster column header', () => {
+      expect(getRosterTemplateCsv()).toBe(`${ROSTER_COLUMNS.map((column) => column.header).join(',')}\n`);
+    });
+  });
+
+  describe('parseRosterRows', () => {
+    it('maps aliased headers and looks up tiers, workshops and food', () => {
+      const { attendees, errors } = parseRosterRows([
+        header,
+        ['Juan', 'Dela Cruz', 'Juan@Example.com', '0917 123 4567', 'pastor', 'Early Bird', 'Yes',
+          'Expository Preaching; youth ministry', 'chicken adobo'],
+        ['Maria', 'Santos', '', '+639181234567', 'Member', '', '', '', ''],
+      ], options);
+
+      expect(errors).toEqual([]);
+      expect(attendees).toEqual([
+        {
+          row: 2,
+          firstName: 'Juan',
+          middleName: '',
+          lastName: 'Dela Cruz',
+          email: 'juan@example.com',
+          cellphone: '0917 123 4567',
+          ministryRole: 'Pastor',
+          category: 'early',
+          isStudent: true,
+          workshopSelections: [
+            { sessionId: 'w1', sessionTitle: 'Expository Preaching', timeSlot: 'am' },
+            { sessionId: 'w3', sessionTitle: 'Youth Ministry', timeSlot: 'pm' },
+          ],
+          foodChoice: 'f1',
+        },
+        expect.objectContaining({
+          row: 3,
+          email: '',
+          ministryRole: 'Member',
+          category: 'regular',
+          isStudent: false,
+          workshopSelections: [],
+          foodChoice: '',
+        }),
+      ]);
+    });
+
+    it('reports missing required columns', () => {
+      const { attendees, errors } = parseRosterRows([['First Name', 'Email'], ['Juan', 'juan@example.com']]);
+
+      expect(attendees).toEqual([]);
+      expect(errors).toEqual([{
+        row: 1,
+        name: '',
+        column: 'Last Name, Cellphone, Ministry Role',
+        message: 'Missing required columns: Last Name, Cellphone, Ministry Role',
+      }]);
+    });
+
+    it('reports a roster without attendee rows', () => {
+      expect(parseRosterRows([header]).errors[0].message).toBe('The roster has no attendee rows');
+    });
+
+    it('collects row errors with the row number and attendee name', () => {
+      const { attendees, errors } = parseRosterRows([
+        header,
+        ['Juan', 'Dela Cruz', '', '12345', 'Bishop', 'VIP', '', 'Expository Preaching; Church Planting', 'Pizza'],
+        ['Maria', '', 'not-an-email', '09181234567', 'Member', '', '', 'Unknown Workshop', ''],
+      ], { ...options, requireFoodChoice: true });
+
+      expect(attendees).toHaveLength(2);
+      expect(errors).toEqual([
+        { row: 2, name: 'Juan Dela Cruz', column: 'Cellphone', message: 'Please enter a valid Philippine cellphone number' },
+        { row: 2, name: 'Juan Dela Cruz', column: 'Email', message: 'Email is required for the first attendee (primary contact)' },
+        { row: 2, name: 'Juan Dela Cruz', column: 'Ministry Role', message: 'Unknown ministry role "Bishop"' },
+        { row: 2, name: 'Juan Dela Cruz', column: 'Category', message: 'Unknown category "VIP"' },
+        {
+          row: 2,
+          name: 'Juan Dela Cruz',
+          column: 'Workshops',
+          message: '"Church Planting" is in the same time slot as another selected workshop',
+        },
+        { row: 2, name: 'Juan Dela Cruz', column: 'Food Choice', message: 'Unknown food choice "Pizza"' },
+        { row: 3, name: 'Maria', column: 'Last Name', message: 'Last name is required' },
+        { row: 3, name: 'Maria', column: 'Email', message: 'Please enter a valid email address' },
+        { row: 3, name: 'Maria', column: 'Workshops', message: 'Unknown workshop "Unknown Workshop"' },
+        { row: 3, name: 'Maria', column: 'Food Choice', message: 'Food preference is required' },
+      ]);
+    });
+
+    it('flags emails repeated across rows', () => {
+      const { errors } = parseRosterRows([
+        header,
+        ['Juan', 'Dela Cruz', 'juan@example.com', '09171234567', 'Pastor'],
+        ['Juana', 'Dela Cruz', 'JUAN@example.com', '09181234567', 'Member'],
+      ], options);
+
+      expect(errors).toEqual([
+        { row: 3, name: 'Juana Dela Cruz', column: 'Email', message: 'Email is repeated from row 2' },
+      ]);
+    });
+  });
+
+  describe('readRosterFile', () => {
+    it('parses CSV files', async () => {
+      const file = { name: 'Roster.CSV', text: () => Promise.resolve('First Name,Last Name\nJuan,Dela Cruz\n') };
+      await expect(readRosterFile(file)).resolves.toEqual([['First Name', 'Last Name'], ['Juan', 'Dela Cruz']]);
+    });
+
+    it('rejects other file types', async () => {
+      await expect(readRosterFile({ name: 'roster.pdf' })).rejects.toThrow('Please upload a .csv or .xlsx file');
+    });
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Session Attendance Utility
+ * Session lookups, capacity checks and report summaries for session and
+ * workshop door scanning. Records are read and written in
+ * services/sessionAttendance.js
+ *
+ * @module utils/sessionAttendance
+ */
+
+import { SESSION_TYPES } from '../constants';
+
+/**
+ * Session types that are not tracked at the door
+ */
+const UNTRACKED_SESSION_TYPES = [
+  SESSION_TYPES.BREAK,
+  SESSION_TYPES.LUNCH,
+  SESSION_TYPES.REGISTRATION,
+];
+
+/**
+ * Builds the attendance document ID for a session and attendee
+ *
+ * @param {string} sessionId - Session document ID
+ * @param {string} registrationId - Registration document ID
+ * @param {number} attendeeIndex - Attendee index (0 for primary, 1+ for additional)
+ * @returns {string} Attendance document ID
+ */
+export function getSessionAttendanceId(sessionId, registrationId, attendeeIndex) {
+  return `${sessionId}_${registrationId}_${attendeeIndex}`;
+}
+
+/**
+ * Filters sessions down to those where attendance is taken
+ *
+ * @param {Array} sessions - Session documents
+ * @returns {Array} Sessions that can be scanned into
+ */
+export function getTrackableSessions(sessions) {
+  return (sessions || []).filter((session) => !UNTRACKED_SESSION_TYPES.includes(session.sessionType));
+}
+
+/**
+ * Gets the room capacity for a session.
+ * Uses the linked venue room capacity if available, otherwise the session's own capacity.
+ *
+ * @param {Object} session - Session document with venue and optional capacity
+ * @param {Array} venueRooms - Venue room documents
+ * @returns {number|null} Capacity or null if unlimited
+ */
+export function getSessionCapacity(session, venueRooms = []) {
+  if (!session) {
+    return null;
+  }
+  const venueName = (session.venue || '').toLowerCase().trim();
+  const matchingRoom = venueName
+    ? venueRooms.find((room) => room.name && room.name.toLowerCase().trim() === venueName)
+    : null;
+  return matchingRoom?.capacity ?? session.capacity ?? null;
+}
+
+/**
+ * Checks whether a room is full. Pass a count read from the server, since
+ * other stations may be scanning into the same room.
+ *
+ * @param {number|null} capacity - Room capacity from getSessionCapacity (null for unlimited)
+ * @param {number} attendanceCount - Attendees already recorded for the session
+ * @returns {boolean} True when another attendee would exceed the capacity
+ */
+export function isSessionOverCapacity(capacity, attendanceCount) {
+  return capacity !== null && capacity !== undefined && attendanceCount >= capacity;
+}
+
+/**
+ * Summarises attendance per session for reports
+ *
+ * @param {Array} sessions - Session documents
+ * @param {Array} records - Attendance records from getAllSessionAttendance
+ * @returns {Array<Object>} One summary per session with attended, enrolled, walk-in, and over-capacity counts
+ */
+export function summarizeSessionAttendance(sessions, records) {
+  return getTrackableSessions(sessions).map((session) => {
+    const sessionRecords = records.filter((record) => record.sessionId === session.id);
+    return {
+      sessionId: session.id,
+      title: session.title || '',
+      sessionType: session.sessionType || '',
+      venue: session.venue || '',
+      registeredCount: session.registeredCount ?? null,
+      attendedCount: sessionRecords.length,
+      walkInCount: sessionRecords.filter((record) => record.enrolled === false).length,
+      overCapacityCount: sessionRecords.filter((record) => record.overCapacity).length,
+    };
+  });
+}
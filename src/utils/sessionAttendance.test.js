@@ -0,0 +1,92 @@
+import { SESSION_TYPES } from '../constants';
+import {
+  getSessionAttendanceId,
+  getTrackableSessions,
+  getSessionCapacity,
+  isSessionOverCapacity,
+  summarizeSessionAttendance,
+} from './sessionAttendance';
+
+/**
+ * Session Attendance Utility Tests
+ * Tests for session door scanning lookups, room capacity and report summaries
+ */
+
+describe('sessionAttendance', () => {
+  const plenary = { id: 'plenary-1', title: 'Opening', sessionType: SESSION_TYPES.PLENARY, venue: 'Main Hall' };
+  const workshop = { id: 'ws-a', title: 'Workshop A', sessionType: SESSION_TYPES.WORKSHOP, venue: 'Room 1', capacity: 40, registeredCount: 35 };
+  const lunch = { id: 'lunch', title: 'Lunch', sessionType: SESSION_TYPES.LUNCH };
+
+  describe('getSessionAttendanceId', () => {
+    it('gives each attendee one record per session', () => {
+      expect(getSessionAttendanceId('ws-a', 'REG-1', 0)).toBe('ws-a_REG-1_0');
+      expect(getSessionAttendanceId('ws-a', 'REG-1', 2)).not.toBe(getSessionAttendanceId('ws-a', 'REG-1', 0));
+    });
+  });
+
+  describe('getTrackableSessions', () => {
+    it('leaves out breaks, meals and registration', () => {
+      expect(getTrackableSessions([plenary, lunch, workshop])).toEqual([plenary, workshop]);
+      expect(getTrackableSessions(undefined)).toEqual([]);
+    });
+  });
+
+  describe('getSessionCapacity', () => {
+    const rooms = [{ name: 'room 1 ', capacity: 30 }];
+
+    it('uses the capacity of the venue room the session is held in', () => {
+      expect(getSessionCapacity(workshop, rooms)).toBe(30);
+    });
+
+    it('falls back to the session capacity, or no limit', () => {
+      expect(getSessionCapacity(workshop, [])).toBe(40);
+      expect(getSessionCapacity(plenary, rooms)).toBeNull();
+      expect(getSessionCapacity(null, rooms)).toBeNull();
+    });
+  });
+
+  describe('isSessionOverCapacity', () => {
+    it('flags a scan once the room is full', () => {
+      expect(isSessionOverCapacity(30, 29)).toBe(false);
+      expect(isSessionOverCapacity(30, 30)).toBe(true);
+    });
+
+    it('never flags rooms without a capacity', () => {
+      expect(isSessionOverCapacity(null, 500)).toBe(false);
+      expect(isSessionOverCapacity(undefined, 500)).toBe(false);
+    });
+  });
+
+  describe('summarizeSessionAttendance', () => {
+    it('counts attended, walk-in and over-capacity scans per session', () => {
+      const records = [
+        { sessionId: 'ws-a', enrolled: true, overCapacity: false },
+        { sessionId: 'ws-a', enrolled: false, overCapacity: true },
+        { sessionId: 'plenary-1', enrolled: null, overCapacity: false },
+      ];
+
+      expect(summarizeSessionAttendance([plenary, lunch, workshop], records)).toEqual([
+        {
+          sessionId: 'plenary-1',
+          title: 'Opening',
+          sessionType: SESSION_TYPES.PLENARY,
+          venue: 'Main Hall',
+          registeredCount: null,
+          attendedCount: 1,
+          walkInCount: 0,
+          overCapacityCount: 0,
+        },
+        {
+          sessionId: 'ws-a',
+          title: 'Workshop A',
+          sessionType: SESSION_TYPES.WORKSHOP,
+          venue: 'Room 1',
+          registeredCount: 35,
+          attendedCount: 2,
+          walkInCount: 1,
+          overCapacityCount: 1,
+        },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Session Rating Utility
+ * Works out when plenaries and workshops can be rated and summarises their
+ * ratings per session and per speaker. Ratings are submitted and read in
+ * services/sessionRatings.js.
+ *
+ * @module utils/sessionRatings
+ */
+
+import { CONFERENCE, SESSION_TYPES } from '../constants';
+import { getTimeZoneOffset } from './exportIcs';
+
+/**
+ * Highest score on the session rating scale
+ */
+export const SESSION_RATING_SCALE = 5;
+
+/**
+ * Session types that cannot be rated
+ */
+const UNRATED_SESSION_TYPES = [
+  SESSION_TYPES.BREAK,
+  SESSION_TYPES.LUNCH,
+  SESSION_TYPES.REGISTRATION,
+];
+
+/**
+ * Combines the conference start date, a session's day number and a time in
+ * the conference timezone into a Date
+ *
+ * @param {Object} session - Session document
+ * @param {string} conferenceStartDate - Conference start date (YYYY-MM-DD)
+ * @param {string} time - Time in HH:MM format
+ * @param {string} timeZone - Conference timezone (settings.timezone)
+ * @returns {Date|null} Date, or null when it cannot be determined
+ */
+function getSessionDateTime(session, conferenceStartDate, time, timeZone) {
+  if (!time || !/^\d{2}:\d{2}$/.test(time) || !/^\d{4}-\d{2}-\d{2}$/.test(conferenceStartDate || '')) {
+    return null;
+  }
+
+  const [year, month, date] = conferenceStartDate.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  const day = Math.max(Number(session.day) || 1, 1);
+  const localTime = Date.UTC(year, month - 1, date + day - 1, hours, minutes);
+  const offset = getTimeZoneOffset(timeZone, new Date(localTime));
+  if (Number.isNaN(localTime) || offset === null) {
+    return null;
+  }
+  return new Date(localTime - offset * 60000);
+}
+
+/**
+ * Gets when a session starts, from the conference start date, the session's
+ * day number and its start time
+ *
+ * @param {Object} session - Session document
+ * @param {string} conferenceStartDate - Conference start date (YYYY-MM-DD)
+ * @param {string} [timeZone] - Conference timezone (settings.timezone)
+ * @returns {Date|null} Session start, or null when it cannot be determined
+ */
+export function getSessionStartTime(session, conferenceStartDate, timeZone = CONFERENCE.TIMEZONE) {
+  return getSessionDateTime(session, conferenceStartDate, session?.startTime, timeZone);
+}
+
+/**
+ * Gets when a session ends, from the conference start date, the session's
+ * day number and its end time
+ *
+ * @param {Object} session - Session document
+ * @param {string} conferenceStartDate - Conference start date (YYYY-MM-DD)
+ * @param {string} [timeZone] - Conference timezone (settings.timezone)
+ * @returns {Date|null} Session end, or null when it cannot be determined
+ */
+export function getSessionEndTime(session, conferenceStartDate, timeZone = CONFERENCE.TIMEZONE) {
+  return getSessionDateTime(session, conferenceStartDate, session?.endTime || session?.startTime, timeZone);
+}
+
+/**
+ * Checks whether a session is a type that can be rated
+ *
+ * @param {Object} session - Session document
+ * @returns {boolean} True for plenaries, workshops and other program sessions
+ */
+export function isRatableSessionType(session) {
+  return Boolean(session) && !UNRATED_SESSION_TYPES.includes(session.sessionType);
+}
+
+/**
+ * Checks whether a session can be rated now
+ *
+ * @param {Object} session - Session document
+ * @param {string} conferenceStartDate - Conference start date (YYYY-MM-DD)
+ * @param {string} [timeZone] - Conference timezone (settings.timezone)
+ * @param {Date} [now] - Current time
+ * @returns {boolean} True when the session is ratable and has ended
+ */
+export function isSessionRatable(session, conferenceStartDate, timeZone = CONFERENCE.TIMEZONE, now = new Date()) {
+  if (!isRatableSessionType(session)) {
+    return false;
+  }
+  const endTime = getSessionEndTime(session, conferenceStartDate, timeZone);
+  return Boolean(endTime) && endTime <= now;
+}
+
+/**
+ * Rounds to one decimal place
+ *
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+function roundOne(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Aggregates a list of ratings
+ *
+ * @param {Array} ratings - Ratings
+ * @returns {Object} { count, average, distribution, comments }
+ */
+function aggregateRatings(ratings) {
+  const distribution = Array(SESSION_RATING_SCALE).fill(0);
+  let total = 0;
+
+  ratings.forEach(({ rating }) => {
+    distribution[rating - 1] += 1;
+    total += rating;
+  });
+
+  return {
+    count: ratings.length,
+    average: ratings.length > 0 ? roundOne(total / ratings.length) : null,
+    distribution,
+    comments: ratings
+      .filter((rating) => rating.comment)
+      .map(({ comment, submittedAt }) => ({ comment, submittedAt })),
+  };
+}
+
+/**
+ * Summarises ratings per ratable session
+ *
+ * @param {Array} sessions - Session documents
+ * @param {Array} ratings - Ratings from getAllSessionRatings
+ * @returns {Array<Object>} One summary per session with count, average, distribution and comments
+ */
+export function summarizeSessionRatings(sessions, ratings) {
+  return (sessions || [])
+    .filter(isRatableSessionType)
+    .map((session) => ({
+      sessionId: session.id,
+      title: session.title || '',
+      sessionType: session.sessionType || '',
+      day: session.day,
+      startTime: session.startTime || '',
+      speakerIds: session.speakerIds || [],
+      speakerNames: session.speakerNames || [],
+      ...aggregateRatings(ratings.filter((rating) => rating.sessionId === session.id)),
+    }));
+}
+
+/**
+ * Summarises ratings per speaker across all of their sessions
+ *
+ * @param {Array} speakers - Speaker documents
+ * @param {Array} sessions - Session documents
+ * @param {Array} ratings - Ratings from getAllSessionRatings
+ * @returns {Array<Object>} One summary per speaker with overall figures and per-session summaries
+ */
+export function summarizeSpeakerRatings(speakers, sessions, ratings) {
+  const sessionSummaries = summarizeSessionRatings(sessions, ratings);
+
+  return (speakers || []).map((speaker) => {
+    const speakerSessions = sessionSummaries.filter((summary) =>
+      summary.speakerIds.includes(speaker.id)
+    );
+    const sessionIds = speakerSessions.map((summary) => summary.sessionId);
+
+    return {
+      speakerId: speaker.id,
+      name: speaker.name || '',
+      sessions: speakerSessions,
+      ...aggregateRatings(ratings.filter((rating) => sessionIds.includes(rating.sessionId))),
+    };
+  });
+}
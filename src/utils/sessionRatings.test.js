@@ -0,0 +1,105 @@
+import {
+  getSessionStartTime,
+  getSessionEndTime,
+  isRatableSessionType,
+  isSessionRatable,
+  summarizeSessionRatings,
+  summarizeSpeakerRatings,
+} from './sessionRatings';
+
+/**
+ * Session Rating Utility Tests
+ * Tests for when sessions can be rated and per-session and per-speaker summaries
+ */
+
+describe('sessionRatings', () => {
+  const plenary = {
+    id: 'plenary-1',
+    title: 'Opening Plenary',
+    sessionType: 'plenary',
+    day: 2,
+    startTime: '09:00',
+    endTime: '10:30',
+    speakerIds: ['speaker-1'],
+    speakerNames: ['Rev. Cruz'],
+  };
+  const workshop = {
+    id: 'workshop-1',
+    title: 'Youth Ministry',
+    sessionType: 'workshop',
+    day: 2,
+    startTime: '13:00',
+    speakerIds: ['speaker-1', 'speaker-2'],
+  };
+  const lunch = { id: 'lunch-1', title: 'Lunch', sessionType: 'lunch', day: 2, startTime: '12:00' };
+  const sessions = [plenary, workshop, lunch];
+  const ratings = [
+    { sessionId: 'plenary-1', rating: 5, comment: 'Inspiring', submittedAt: '2026-03-29T03:00:00Z' },
+    { sessionId: 'plenary-1', rating: 4, comment: '' },
+    { sessionId: 'workshop-1', rating: 3, comment: null },
+  ];
+
+  describe('getSessionStartTime and getSessionEndTime', () => {
+    it('places session times on the conference day in the conference timezone', () => {
+      expect(getSessionStartTime(plenary, '2026-03-28', 'Asia/Manila').toISOString())
+        .toBe('2026-03-29T01:00:00.000Z');
+      expect(getSessionEndTime(plenary, '2026-03-28', 'Asia/Manila').toISOString())
+        .toBe('2026-03-29T02:30:00.000Z');
+    });
+
+    it('ends sessions without an end time at their start', () => {
+      expect(getSessionEndTime(workshop, '2026-03-28', 'Asia/Manila').toISOString())
+        .toBe('2026-03-29T05:00:00.000Z');
+    });
+
+    it('returns null without a valid conference date or time', () => {
+      expect(getSessionStartTime(plenary, '', 'Asia/Manila')).toBeNull();
+      expect(getSessionStartTime({ startTime: '9am' }, '2026-03-28', 'Asia/Manila')).toBeNull();
+    });
+  });
+
+  describe('isRatableSessionType and isSessionRatable', () => {
+    it('excludes breaks, lunch and registration', () => {
+      expect(isRatableSessionType(plenary)).toBe(true);
+      expect(isRatableSessionType(lunch)).toBe(false);
+      expect(isRatableSessionType(null)).toBe(false);
+    });
+
+    it('allows rating once the session has ended', () => {
+      const during = new Date('2026-03-29T02:00:00Z');
+      const after = new Date('2026-03-29T02:30:00Z');
+      expect(isSessionRatable(plenary, '2026-03-28', 'Asia/Manila', during)).toBe(false);
+      expect(isSessionRatable(plenary, '2026-03-28', 'Asia/Manila', after)).toBe(true);
+      expect(isSessionRatable(lunch, '2026-03-28', 'Asia/Manila', after)).toBe(false);
+    });
+  });
+
+  describe('summarizeSessionRatings', () => {
+    it('summarises each ratable session', () => {
+      const summaries = summarizeSessionRatings(sessions, ratings);
+      expect(summaries.map((summary) => summary.sessionId)).toEqual(['plenary-1', 'workshop-1']);
+      expect(summaries[0]).toMatchObject({
+        title: 'Opening Plenary',
+        count: 2,
+        average: 4.5,
+        distribution: [0, 0, 0, 1, 1],
+        comments: [{ comment: 'Inspiring', submittedAt: '2026-03-29T03:00:00Z' }],
+      });
+    });
+
+    it('has no average for sessions without ratings', () => {
+      expect(summarizeSessionRatings([workshop], [])[0]).toMatchObject({ count: 0, average: null });
+    });
+  });
+
+  describe('summarizeSpeakerRatings', () => {
+    it('combines the ratings of all of a speaker\'s sessions', () => {
+      const speakers = [{ id: 'speaker-1', name: 'Rev. Cruz' }, { id: 'speaker-2', name: 'Dr. Santos' }];
+      const [cruz, santos] = summarizeSpeakerRatings(speakers, sessions, ratings);
+
+      expect(cruz).toMatchObject({ speakerId: 'speaker-1', count: 3, average: 4 });
+      expect(cruz.sessions.map((summary) => summary.sessionId)).toEqual(['plenary-1', 'workshop-1']);
+      expect(santos).toMatchObject({ count: 1, average: 3, distribution: [0, 0, 1, 0, 0] });
+    });
+  });
+});